@@ -66,6 +66,9 @@ const corsOptions = {
 };
 app.use(cors(corsOptions));
 
+// 💳 Webhooks PSP : corps brut pour la vérification de signature, donc avant express.json
+app.use('/api/v1/webhooks', require('./core/payments/routes/webhookRoutes'));
+
 // 📝 Parsing des données
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -103,7 +106,7 @@ app.get('/uploads/documents/:filename', authenticate, async (req, res) => {
     const userId = req.user.id; // Depuis le middleware auth
     
     // 🔍 VÉRIFIER QUE L'UTILISATEUR A LE DROIT D'ACCÉDER À CE DOCUMENT
-    const { Document, AssociationMember } = require('./models');
+    const { Document, AssociationMember, Tontine } = require('./models');
     
     const document = await Document.findOne({
       where: {
@@ -120,20 +123,29 @@ app.get('/uploads/documents/:filename', authenticate, async (req, res) => {
       return res.status(404).json({ error: 'Document introuvable' });
     }
     
-    // ✅ VÉRIFIER QUE L'UTILISATEUR EST MEMBRE DE L'ASSOCIATION
-    const isMember = await AssociationMember.findOne({
-      where: {
-        userId: userId,
-        associationId: document.associationId,
-        status: 'active'
-      }
-    });
+    // ✅ VÉRIFIER L'ACCÈS : titulaire du document, membre de l'association ou organisateur de la tontine
+    let hasAccess = document.userId === userId;
+
+    if (!hasAccess && document.associationId) {
+      hasAccess = !!(await AssociationMember.findOne({
+        where: {
+          userId: userId,
+          associationId: document.associationId,
+          status: 'active'
+        }
+      }));
+    }
+
+    if (!hasAccess && document.tontineId) {
+      const tontine = await Tontine.findByPk(document.tontineId, { attributes: ['id', 'organizerId'] });
+      hasAccess = tontine?.organizerId === userId;
+    }
     
-    if (!isMember) {
-      console.log('❌ Accès refusé - utilisateur pas membre:', userId, 'association:', document.associationId);
+    if (!hasAccess) {
+      console.log('❌ Accès refusé - utilisateur:', userId, 'document:', filename);
       return res.status(403).json({ 
         error: 'Accès non autorisé',
-        code: 'NOT_ASSOCIATION_MEMBER'
+        code: 'DOCUMENT_ACCESS_DENIED'
       });
     }
     
@@ -173,6 +185,10 @@ const apiV1 = '/api/v1';
 app.use(`${apiV1}/auth`, require('./core/auth/routes/auth'));
 app.use(`${apiV1}/associations`, require('./modules/associations/routes'));
 app.use(`${apiV1}/users`, require('./core/users/routes/userRoutes'));
+app.use(`${apiV1}/referrals`, require('./core/referrals/routes/referralRoutes'));
+app.use(`${apiV1}/calendar`, require('./core/calendar/routes/calendarRoutes'));
+app.use(`${apiV1}/tontines`, require('./modules/tontines/routes/tontines'));
+app.use(`${apiV1}/ratings`, require('./modules/tontines/routes/ratings'));
 
 // ✅ STATIC FILES pour autres uploads (images générales, etc.)
 app.use('/uploads', express.static('uploads', {
@@ -0,0 +1,32 @@
+// src/config/referral.js
+
+/**
+ * 🎁 Règles du programme de parrainage
+ * Montants et délais surchargeables par variables d'environnement
+ */
+
+module.exports = {
+  // Délai pour que le filleul remplisse la condition (jours)
+  expiryDays: parseInt(process.env.REFERRAL_EXPIRY_DAYS || '90'),
+
+  currency: process.env.REFERRAL_CURRENCY || 'EUR',
+
+  rules: {
+    // Inscription sur la plateforme avec un code
+    platform_signup: {
+      trigger: process.env.REFERRAL_SIGNUP_TRIGGER || 'first_contribution',
+      referrerBonus: parseFloat(process.env.REFERRAL_SIGNUP_BONUS || '5'),
+      refereeBonus: parseFloat(process.env.REFERRAL_SIGNUP_REFEREE_BONUS || '0')
+    },
+
+    // Adhésion à une tontine avec un code
+    tontine_join: {
+      trigger: process.env.REFERRAL_TONTINE_TRIGGER || 'first_contribution',
+      referrerBonus: parseFloat(process.env.REFERRAL_TONTINE_BONUS || '2'),
+      refereeBonus: parseFloat(process.env.REFERRAL_TONTINE_REFEREE_BONUS || '0')
+    }
+  },
+
+  // Plafond de bonus gagnés par parrain et par mois (0 = illimité)
+  monthlyCapPerReferrer: parseInt(process.env.REFERRAL_MONTHLY_CAP || '20')
+};
@@ -8,6 +8,7 @@ const { authService, authenticate } = require('../middleware/auth');
 const { twilioService } = require('../../twilio/twilio');
 const redisConfig = require('../../redis/redis');
 const UserDataSearchService = require('../../services/userDataSearchService'); // 🆕 Service recherche
+const ReferralService = require('../../referrals/services/referralService');
 
 const router = express.Router();
 
@@ -164,7 +165,12 @@ router.post('/verify-otp',
       .notEmpty()
       .withMessage('Code OTP requis')
       .isLength({ min: 4, max: 8 })
-      .withMessage('Code OTP invalide')
+      .withMessage('Code OTP invalide'),
+    body('referralCode')
+      .optional()
+      .trim()
+      .isLength({ min: 4, max: 20 })
+      .withMessage('Code de parrainage invalide')
   ],
   async (req, res) => {
     try {
@@ -299,6 +305,16 @@ router.post('/verify-otp',
           
           console.log(`✅ Utilisateur basique créé: ID ${user.id}`);
         }
+
+        // 🎁 Parrainage : un code invalide ne bloque pas l'inscription
+        if (req.body.referralCode) {
+          try {
+            await ReferralService.attributeSignup(user, req.body.referralCode);
+            console.log(`🎁 Parrainage enregistré pour ${user.id} (code ${req.body.referralCode})`);
+          } catch (error) {
+            console.warn(`⚠️ Code parrainage ignoré pour ${user.id}:`, error.message);
+          }
+        }
       }
 
       // Auto-détection association/section si utilisateur existant
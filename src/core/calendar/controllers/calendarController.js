@@ -0,0 +1,123 @@
+// src/core/calendar/controllers/calendarController.js
+// Abonnement iCalendar personnel : URL secrète, rotation, flux .ics
+
+const CalendarFeedService = require('../services/calendarFeedService');
+
+class CalendarController {
+  constructor() {
+    this.getSubscription = this.getSubscription.bind(this);
+    this.regenerateSubscription = this.regenerateSubscription.bind(this);
+    this.revokeSubscription = this.revokeSubscription.bind(this);
+    this.getFeed = this.getFeed.bind(this);
+  }
+
+  /**
+   * 🔗 URL d'abonnement (https et webcal) de l'utilisateur connecté
+   * GET /api/v1/calendar/subscription
+   */
+  async getSubscription(req, res) {
+    try {
+      const token = await CalendarFeedService.getOrCreateToken(req.user);
+
+      res.json({
+        success: true,
+        data: this.buildUrls(req, token)
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur récupération abonnement calendrier', 'CALENDAR_SUBSCRIPTION_ERROR');
+    }
+  }
+
+  /**
+   * 🔄 Nouvelle URL (l'ancienne est invalidée, à utiliser si le lien a fuité)
+   * POST /api/v1/calendar/subscription/regenerate
+   */
+  async regenerateSubscription(req, res) {
+    try {
+      const token = await CalendarFeedService.regenerateToken(req.user);
+
+      res.json({
+        success: true,
+        message: 'Nouvelle URL d\'abonnement générée, l\'ancienne ne fonctionne plus',
+        data: this.buildUrls(req, token)
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur régénération abonnement calendrier', 'CALENDAR_SUBSCRIPTION_ERROR');
+    }
+  }
+
+  /**
+   * 🚫 Désactiver l'abonnement
+   * DELETE /api/v1/calendar/subscription
+   */
+  async revokeSubscription(req, res) {
+    try {
+      await CalendarFeedService.revokeToken(req.user);
+
+      res.json({
+        success: true,
+        message: 'Abonnement calendrier désactivé'
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur désactivation abonnement calendrier', 'CALENDAR_SUBSCRIPTION_ERROR');
+    }
+  }
+
+  /**
+   * 🗓️ Flux iCalendar (appelé par l'agenda du téléphone, sans session : le jeton fait foi)
+   * GET /api/v1/calendar/feed/:token.ics
+   */
+  async getFeed(req, res) {
+    try {
+      const user = await CalendarFeedService.findUserByToken(req.params.token);
+      if (!user) {
+        return res.status(404).json({
+          error: 'Calendrier introuvable',
+          code: 'CALENDAR_NOT_FOUND'
+        });
+      }
+
+      const content = await CalendarFeedService.buildUserFeed(user);
+
+      res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="diaspora-tontine.ics"',
+        'Cache-Control': 'private, max-age=900'
+      });
+      res.send(content);
+    } catch (error) {
+      this.handleError(res, error, 'Erreur génération calendrier', 'CALENDAR_FEED_ERROR');
+    }
+  }
+
+  // URL publique du flux (API_PUBLIC_URL derrière un proxy, sinon hôte de la requête)
+  buildUrls(req, token) {
+    const baseUrl = process.env.API_PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+    const url = `${baseUrl.replace(/\/$/, '')}/api/v1/calendar/feed/${token}.ics`;
+
+    return {
+      url,
+      webcalUrl: url.replace(/^https?:\/\//, 'webcal://')
+    };
+  }
+
+  // 🔧 Réponse d'erreur (erreurs métier du service : status + code)
+  handleError(res, error, message, code) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+      error: message,
+      code,
+      details: error.message
+    });
+  }
+}
+
+module.exports = new CalendarController();
@@ -0,0 +1,46 @@
+// src/core/calendar/routes/calendarRoutes.js
+const express = require('express');
+const { param } = require('express-validator');
+const { authenticate } = require('../../auth/middleware/auth');
+const { handleValidationErrors } = require('../../middleware/validation');
+const calendarController = require('../controllers/calendarController');
+
+const router = express.Router();
+
+const validateFeedToken = [
+  param('token')
+    .matches(/^[a-f0-9]{48}$/)
+    .withMessage('Calendrier introuvable'),
+
+  handleValidationErrors
+];
+
+/**
+ * @route GET /api/v1/calendar/subscription
+ * @desc URL d'abonnement iCalendar personnelle (créée au premier appel)
+ * @access Utilisateur connecté
+ */
+router.get('/subscription', authenticate, calendarController.getSubscription);
+
+/**
+ * @route POST /api/v1/calendar/subscription/regenerate
+ * @desc Remplacer l'URL d'abonnement (l'ancienne cesse de fonctionner)
+ * @access Utilisateur connecté
+ */
+router.post('/subscription/regenerate', authenticate, calendarController.regenerateSubscription);
+
+/**
+ * @route DELETE /api/v1/calendar/subscription
+ * @desc Désactiver l'abonnement iCalendar
+ * @access Utilisateur connecté
+ */
+router.delete('/subscription', authenticate, calendarController.revokeSubscription);
+
+/**
+ * @route GET /api/v1/calendar/feed/:token.ics
+ * @desc Flux iCalendar : événements des associations et sections, échéances de cotisation, tontines et prêts
+ * @access Public (jeton secret de l'URL)
+ */
+router.get('/feed/:token.ics', validateFeedToken, calendarController.getFeed);
+
+module.exports = router;
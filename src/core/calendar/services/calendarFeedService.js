@@ -0,0 +1,374 @@
+// src/core/calendar/services/calendarFeedService.js
+// Abonnement iCalendar personnel : événements, échéances de cotisation, tontines et prêts
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const {
+  User,
+  Association,
+  AssociationMember,
+  Transaction,
+  Tontine,
+  TontineParticipant,
+  ExpenseRequest,
+  LoanRepayment
+} = require('../../../models');
+const EventService = require('../../../modules/associations/services/eventService');
+const CotisationCollectorService = require('../../../modules/associations/services/cotisationCollectorService');
+const CotisationReminderService = require('../../../modules/associations/services/cotisationReminderService');
+const TontineService = require('../../../modules/tontines/services/tontineService');
+const ICalendar = require('./icalendar');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fenêtre du flux : un mois d'historique, le reste de l'année à venir (limite EventService : 366 jours)
+const FEED_PAST_DAYS = 30;
+const FEED_FUTURE_DAYS = 330;
+const REFRESH_HOURS = 6;
+
+// Rappel des échéances (journée entière) : la veille à 9h
+const DUE_ALARM_MINUTES = 15 * 60;
+
+const TOKEN_PATTERN = /^[a-f0-9]{48}$/;
+
+const EVENT_STATUSES = { cancelled: 'CANCELLED', postponed: 'TENTATIVE' };
+
+// Erreur métier (status HTTP + code)
+function calendarError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+// Jour calendaire d'un instant dans un fuseau, en minuit UTC (pour les événements journée entière)
+function localDay(value, timeZone) {
+  const [year, month, day] = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(new Date(value)).split('-').map((n) => parseInt(n));
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+const compact = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+class CalendarFeedService {
+  // ─── Jeton d'abonnement ────────────────────────────────────
+
+  static generateToken() {
+    return crypto.randomBytes(24).toString('hex');
+  }
+
+  /**
+   * 🔑 Jeton de l'utilisateur (créé au premier appel)
+   */
+  static async getOrCreateToken(user) {
+    if (user.calendarFeedToken) return user.calendarFeedToken;
+    return CalendarFeedService.regenerateToken(user);
+  }
+
+  /**
+   * 🔄 Nouveau jeton : l'ancienne URL cesse de fonctionner
+   */
+  static async regenerateToken(user) {
+    const token = CalendarFeedService.generateToken();
+    await user.update({ calendarFeedToken: token });
+    return token;
+  }
+
+  static async revokeToken(user) {
+    await user.update({ calendarFeedToken: null });
+  }
+
+  static async findUserByToken(token) {
+    if (!TOKEN_PATTERN.test(String(token))) return null;
+
+    return User.findOne({
+      where: {
+        calendarFeedToken: token,
+        status: { [Op.notIn]: ['suspended', 'banned'] }
+      }
+    });
+  }
+
+  // ─── Sources ───────────────────────────────────────────────
+
+  static getRange(now = new Date()) {
+    return {
+      from: new Date(now.getTime() - FEED_PAST_DAYS * DAY_MS),
+      to: new Date(now.getTime() + FEED_FUTURE_DAYS * DAY_MS)
+    };
+  }
+
+  // Adhésions actives (association chargée pour permissions, cotisations et nom)
+  static async getMemberships(userId) {
+    return AssociationMember.findAll({
+      where: { userId, status: 'active' },
+      include: [{
+        model: Association,
+        as: 'association',
+        attributes: ['id', 'name', 'rolesConfiguration', 'cotisationSettings', 'memberTypes', 'primaryCurrency'],
+        required: true
+      }]
+    });
+  }
+
+  /**
+   * 📅 Élément iCalendar d'un événement (vue EventService.present)
+   * Occurrences : UID commun aux occurrences développées et matérialisées
+   */
+  static eventItem(event, association) {
+    const occurrenceStart = event.occurrenceStart || event.metadata?.occurrenceStart;
+    const seriesId = event.isOccurrence ? event.id : event.parentEventId;
+    const uid = occurrenceStart && seriesId
+      ? ICalendar.uid('event', seriesId, compact(occurrenceStart))
+      : ICalendar.uid('event', event.id);
+
+    const location = event.isOnline
+      ? event.onlineLink
+      : [event.location, event.address].filter(Boolean).join(', ');
+
+    const description = [
+      event.description,
+      event.isOnline && event.onlineLink ? `Lien : ${event.onlineLink}` : null,
+      !event.isFree && event.price ? `Participation : ${event.price} ${event.currency}` : null,
+      `Association : ${association.name}`
+    ].filter(Boolean).join('\n\n');
+
+    return {
+      uid,
+      start: event.startDate,
+      end: event.endDate,
+      allDay: event.isAllDay,
+      summary: `${event.title} (${association.name})`,
+      description,
+      location,
+      status: EVENT_STATUSES[event.status] || 'CONFIRMED',
+      categories: [event.type],
+      lastModified: event.updatedAt,
+      alarms: event.sendReminders && event.status !== 'cancelled'
+        ? (event.reminderTimes || []).map((hours) => hours * 60)
+        : []
+    };
+  }
+
+  static async collectEventItems(membership, range) {
+    const events = await EventService.listEvents(membership.associationId, membership, range);
+
+    return events
+      .filter((event) => event.status !== 'draft')
+      .map((event) => CalendarFeedService.eventItem(event, membership.association));
+  }
+
+  /**
+   * 💶 Échéances mensuelles de cotisation (jour dueDay) non encore réglées
+   */
+  static async collectCotisationItems(membership, now = new Date()) {
+    const association = membership.association;
+    const amount = CotisationCollectorService.resolveAmount(membership, association);
+    if (!(amount > 0)) return [];
+
+    const { dueDay } = CotisationReminderService.getSchedule(association);
+    const currency = association.primaryCurrency || 'EUR';
+    const joinDate = membership.joinDate ? new Date(membership.joinDate) : null;
+
+    const periods = [];
+    for (let offset = 0; offset < 12; offset++) {
+      const dueDate = new Date(Date.UTC(now.getFullYear(), now.getMonth() + offset, dueDay));
+      if (joinDate && joinDate > dueDate) continue;
+      periods.push({ month: dueDate.getUTCMonth() + 1, year: dueDate.getUTCFullYear(), dueDate });
+    }
+    if (periods.length === 0) return [];
+
+    const paid = await Transaction.findAll({
+      where: {
+        associationId: association.id,
+        memberId: membership.id,
+        type: 'cotisation',
+        status: 'completed',
+        [Op.or]: periods.map(({ month, year }) => ({ month, year }))
+      },
+      attributes: ['month', 'year']
+    });
+    const paidKeys = new Set(paid.map((t) => `${t.year}-${t.month}`));
+
+    return periods
+      .filter(({ month, year }) => !paidKeys.has(`${year}-${month}`))
+      .map(({ month, year, dueDate }) => {
+        const period = `${String(month).padStart(2, '0')}/${year}`;
+        return {
+          uid: ICalendar.uid('cotisation', membership.id, `${year}${String(month).padStart(2, '0')}`),
+          start: dueDate,
+          allDay: true,
+          summary: `Cotisation ${association.name} : ${amount.toFixed(2)} ${currency}`,
+          description: [
+            `Cotisation ${period} à régler à ${association.name}.`,
+            membership.autoPaymentEnabled ? 'Prélèvement automatique activé.' : null
+          ].filter(Boolean).join('\n'),
+          categories: ['cotisation'],
+          alarms: membership.autoPaymentEnabled ? [] : [DUE_ALARM_MINUTES]
+        };
+      });
+  }
+
+  /**
+   * 🔄 Jours de cotisation des tours restants et jour de versement du participant
+   */
+  static async collectTontineItems(userId, range) {
+    const participations = await TontineParticipant.findAll({
+      where: { userId, status: { [Op.in]: ['approved', 'active'] } },
+      include: [{
+        model: Tontine,
+        as: 'tontine',
+        where: { status: { [Op.in]: ['ready_to_start', 'active'] } },
+        required: true
+      }]
+    });
+
+    const items = [];
+
+    for (const participant of participations) {
+      const tontine = participant.tontine;
+      if (!tontine.startDate) continue;
+
+      const contribution = parseFloat(tontine.totalMonthlyPayment || tontine.monthlyContribution || 0);
+      const payoutRound = participant.payoutMonth || participant.position;
+
+      for (let round = Math.max(tontine.currentRound || 1, 1); round <= tontine.durationMonths; round++) {
+        const { contributionDate, payoutDate } = TontineService.getRoundDates(tontine, round);
+        if (contributionDate > range.to) break;
+
+        if (contributionDate >= range.from) {
+          items.push({
+            uid: ICalendar.uid('tontine', tontine.id, 'round', round, 'contribution'),
+            start: contributionDate,
+            allDay: true,
+            summary: `Tontine « ${tontine.title} » : cotisation ${contribution.toFixed(2)} ${tontine.currency}`,
+            description: `Tour ${round}/${tontine.durationMonths}`,
+            categories: ['tontine'],
+            alarms: participant.autoPaymentEnabled ? [] : [DUE_ALARM_MINUTES]
+          });
+        }
+
+        if (round === payoutRound && !participant.hasReceivedPayout && payoutDate >= range.from) {
+          items.push({
+            uid: ICalendar.uid('tontine', tontine.id, 'round', round, 'payout'),
+            start: payoutDate,
+            allDay: true,
+            summary: `Tontine « ${tontine.title} » : vous recevez ${parseFloat(tontine.payoutAmount || 0).toFixed(2)} ${tontine.currency}`,
+            description: `Versement du tour ${round}/${tontine.durationMonths}`,
+            categories: ['tontine']
+          });
+        }
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * 🏦 Échéances de prêt en attente (emprunteur ou bénéficiaire)
+   */
+  static async collectLoanItems(user, range) {
+    const installments = await LoanRepayment.findAll({
+      where: {
+        isScheduled: true,
+        status: 'pending',
+        dueDate: { [Op.between]: [range.from, range.to] }
+      },
+      include: [{
+        model: ExpenseRequest,
+        as: 'loan',
+        where: {
+          isLoan: true,
+          [Op.or]: [{ requesterId: user.id }, { beneficiaryId: user.id }]
+        },
+        attributes: ['id', 'title', 'currency'],
+        include: [{ model: Association, as: 'association', attributes: ['id', 'name'] }],
+        required: true
+      }]
+    });
+
+    return installments.map((installment) => {
+      const loan = installment.loan;
+      const remaining = installment.getRemaining().total;
+
+      return {
+        uid: ICalendar.uid('loan-installment', installment.id),
+        start: localDay(installment.dueDate, user.timezone || 'Europe/Paris'),
+        allDay: true,
+        summary: `Échéance de prêt${loan.association ? ` ${loan.association.name}` : ''} : ${remaining.toFixed(2)} ${installment.currency || loan.currency}`,
+        description: `Prêt « ${loan.title} », échéance n°${installment.installmentNumber}`,
+        categories: ['pret'],
+        alarms: [DUE_ALARM_MINUTES]
+      };
+    });
+  }
+
+  // ─── Fichiers .ics ─────────────────────────────────────────
+
+  /**
+   * 🗓️ Flux personnel : toutes les associations, sections, tontines et prêts de l'utilisateur
+   */
+  static async buildUserFeed(user, now = new Date()) {
+    const range = CalendarFeedService.getRange(now);
+    const memberships = await CalendarFeedService.getMemberships(user.id);
+    const items = [];
+
+    for (const membership of memberships) {
+      items.push(...await CalendarFeedService.collectEventItems(membership, range));
+      items.push(...await CalendarFeedService.collectCotisationItems(membership, now));
+    }
+    items.push(...await CalendarFeedService.collectTontineItems(user.id, range));
+    items.push(...await CalendarFeedService.collectLoanItems(user, range));
+
+    items.sort((a, b) => new Date(a.start) - new Date(b.start));
+
+    return ICalendar.buildCalendar({
+      name: 'DiasporaTontine',
+      description: `Événements et échéances de ${[user.firstName, user.lastName].filter(Boolean).join(' ')}`,
+      items,
+      refreshHours: REFRESH_HOURS
+    }, now);
+  }
+
+  /**
+   * 📥 Un événement (série récurrente : occurrences de l'année à venir, ou occurrenceStart)
+   */
+  static async buildEventCalendar(associationId, eventId, membership, { occurrenceStart } = {}) {
+    const event = await EventService.getVisibleEvent(associationId, eventId, membership);
+    const association = membership.association || await Association.findByPk(associationId, { attributes: ['id', 'name'] });
+
+    let views;
+    if (event.isRecurring) {
+      const now = new Date();
+      const from = occurrenceStart ? new Date(occurrenceStart) : now;
+      const to = occurrenceStart ? from : new Date(now.getTime() + FEED_FUTURE_DAYS * DAY_MS);
+
+      views = (await EventService.listEvents(associationId, membership, { from, to }))
+        .filter((view) => view.id === event.id || view.parentEventId === event.id)
+        .filter((view) => !occurrenceStart
+          || new Date(view.occurrenceStart || view.metadata?.occurrenceStart).getTime() === from.getTime());
+
+      if (views.length === 0) {
+        throw calendarError(404, 'OCCURRENCE_NOT_FOUND', 'Aucune occurrence de cet événement sur la période');
+      }
+    } else {
+      views = [EventService.present(event, membership)];
+    }
+
+    return {
+      fileName: `evenement-${event.id}.ics`,
+      content: ICalendar.buildCalendar({
+        name: event.title,
+        items: views.map((view) => CalendarFeedService.eventItem(view, association))
+      })
+    };
+  }
+}
+
+CalendarFeedService.calendarError = calendarError;
+
+module.exports = CalendarFeedService;
@@ -0,0 +1,140 @@
+// src/core/calendar/services/icalendar.js
+// Génération iCalendar (RFC 5545) : échappement, pliage des lignes, dates UTC et journées entières
+
+const PRODID = '-//DiasporaTontine//Calendrier//FR';
+const UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || 'diaspora-tontine.app';
+const CRLF = '\r\n';
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Texte : \ ; , et retours à la ligne échappés
+function escapeText(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lignes limitées à 75 octets, suite précédée d'un espace (sans couper un caractère UTF-8)
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let size = 0;
+
+  for (const char of line) {
+    const length = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (size + length > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += length;
+  }
+  parts.push(current);
+
+  return parts.join(`${CRLF} `);
+}
+
+// 20261019T170000Z
+function formatDateTime(value) {
+  const d = new Date(value);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}`
+    + `T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+}
+
+// 20261019 (journée entière : date UTC de la valeur)
+function formatDate(value) {
+  const d = new Date(value);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}`;
+}
+
+// Identifiant stable d'un élément (les agendas mettent à jour plutôt que dupliquer)
+function uid(...parts) {
+  return `${parts.join('-')}@${UID_DOMAIN}`;
+}
+
+/**
+ * 📅 Lignes d'un VEVENT
+ * item: { uid, start, end?, allDay?, summary, description?, location?, url?, status?, categories?, alarms? (minutes avant) }
+ */
+function buildEvent(item, now = new Date()) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${item.uid}`,
+    `DTSTAMP:${formatDateTime(now)}`
+  ];
+
+  if (item.allDay) {
+    const start = new Date(item.start);
+    // DTEND exclusif : lendemain du dernier jour
+    const end = item.end ? new Date(item.end) : start;
+    const endExclusive = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth(), end.getUTCDate() + 1));
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(start)}`, `DTEND;VALUE=DATE:${formatDate(endExclusive)}`);
+  } else {
+    lines.push(`DTSTART:${formatDateTime(item.start)}`);
+    if (item.end) lines.push(`DTEND:${formatDateTime(item.end)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(item.summary)}`);
+  if (item.description) lines.push(`DESCRIPTION:${escapeText(item.description)}`);
+  if (item.location) lines.push(`LOCATION:${escapeText(item.location)}`);
+  if (item.url) lines.push(`URL:${item.url}`);
+  if (item.status) lines.push(`STATUS:${item.status}`);
+  if (item.categories?.length) lines.push(`CATEGORIES:${item.categories.map(escapeText).join(',')}`);
+  if (item.lastModified) lines.push(`LAST-MODIFIED:${formatDateTime(item.lastModified)}`);
+
+  for (const minutes of item.alarms || []) {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(item.summary)}`,
+      `TRIGGER:-PT${parseInt(minutes)}M`,
+      'END:VALARM'
+    );
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * 🗓️ Fichier .ics complet
+ * refreshHours : fréquence de rafraîchissement suggérée aux agendas abonnés
+ */
+function buildCalendar({ name, description, items, refreshHours = null }, now = new Date()) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  if (description) lines.push(`X-WR-CALDESC:${escapeText(description)}`);
+  if (refreshHours) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshHours}H`, `X-PUBLISHED-TTL:PT${refreshHours}H`);
+  }
+
+  for (const item of items) {
+    lines.push(...buildEvent(item, now));
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join(CRLF) + CRLF;
+}
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatDateTime,
+  formatDate,
+  uid,
+  buildEvent,
+  buildCalendar
+};
@@ -0,0 +1,31 @@
+// src/core/jobs/notificationJob.js
+// Cron des notifications différées (fin des heures de silence) et des relances après échec
+
+const cron = require('node-cron');
+const NotificationService = require('../services/notificationService');
+
+// Toutes les 5 minutes par défaut
+const NOTIFICATION_CRON = process.env.NOTIFICATION_CRON || '*/5 * * * *';
+
+function startNotificationJob() {
+  const task = cron.schedule(NOTIFICATION_CRON, async () => {
+    try {
+      const report = await NotificationService.processPending();
+
+      if (report.processed > 0) {
+        console.log(`🔔 Notifications différées: ${report.sent} envoyée(s), ${report.failed} échec(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Erreur envoi notifications différées:', error);
+    }
+  }, {
+    name: 'notification-dispatch',
+    timezone: 'Europe/Paris',
+    noOverlap: true
+  });
+
+  console.log(`⏱️ Cron notifications planifié (${NOTIFICATION_CRON})`);
+  return task;
+}
+
+module.exports = { startNotificationJob };
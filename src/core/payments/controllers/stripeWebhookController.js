@@ -0,0 +1,47 @@
+// src/core/payments/controllers/stripeWebhookController.js
+const StripeWebhookService = require('../services/stripeWebhookService');
+
+class StripeWebhookController {
+  constructor() {
+    this.handleWebhook = this.handleWebhook.bind(this);
+  }
+
+  /**
+   * 💳 Webhook Stripe (corps brut requis pour la signature)
+   * POST /api/v1/webhooks/stripe
+   */
+  async handleWebhook(req, res) {
+    let event;
+    try {
+      event = StripeWebhookService.constructEvent(req.body, req.headers['stripe-signature']);
+    } catch (error) {
+      console.warn('⚠️ Webhook Stripe rejeté:', error.message);
+      return res.status(error.status || 400).json({
+        error: error.message,
+        code: error.code || 'INVALID_SIGNATURE'
+      });
+    }
+
+    try {
+      const result = await StripeWebhookService.handleEvent(event);
+
+      // 200 même si l'événement est ignoré : Stripe ne doit pas le relivrer
+      res.json({
+        received: true,
+        eventId: event.id,
+        type: event.type,
+        ...result
+      });
+    } catch (error) {
+      // 500 : Stripe relivrera l'événement
+      console.error(`Erreur traitement webhook Stripe ${event.id}:`, error);
+      res.status(500).json({
+        error: 'Erreur traitement webhook',
+        code: 'WEBHOOK_PROCESSING_ERROR',
+        details: error.message
+      });
+    }
+  }
+}
+
+module.exports = new StripeWebhookController();
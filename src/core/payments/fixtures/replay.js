@@ -0,0 +1,60 @@
+// src/core/payments/fixtures/replay.js
+// Rejouer un événement Stripe enregistré contre l'API locale, signé avec STRIPE_WEBHOOK_SECRET
+//
+// Usage : STRIPE_WEBHOOK_SECRET=whsec_local node src/core/payments/fixtures/replay.js charge.refunded \
+//           [--payment-intent pi_xxx] [--transaction 42] [--url http://localhost:3000/api/v1/webhooks/stripe]
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const Stripe = require('stripe');
+
+function parseArgs(argv) {
+  const args = { fixture: argv[0] };
+  for (let i = 1; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, '')] = argv[i + 1];
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+
+  if (!args.fixture || !secret) {
+    console.error('Usage : STRIPE_WEBHOOK_SECRET=... node replay.js <fixture> [--payment-intent pi_xxx] [--transaction id] [--url ...]');
+    process.exit(1);
+  }
+
+  const file = path.join(__dirname, 'stripe', `${args.fixture.replace(/\.json$/, '')}.json`);
+  const event = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const object = event.data.object;
+
+  // Cibler une transaction locale
+  if (args['payment-intent']) {
+    if (object.object === 'payment_intent') object.id = args['payment-intent'];
+    else object.payment_intent = args['payment-intent'];
+  }
+  if (args.transaction) {
+    object.metadata = { ...(object.metadata || {}), transactionId: String(args.transaction) };
+  }
+  if (args['event-id']) event.id = args['event-id'];
+
+  const payload = JSON.stringify(event);
+  const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret });
+  const url = args.url || `http://localhost:${process.env.PORT || 3000}/api/v1/webhooks/stripe`;
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+    body: payload
+  });
+
+  console.log(`${event.type} → ${response.status}`);
+  console.log(await response.text());
+}
+
+main().catch((error) => {
+  console.error('❌ Rejeu impossible:', error.message);
+  process.exit(1);
+});
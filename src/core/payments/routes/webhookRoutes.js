@@ -0,0 +1,26 @@
+// src/core/payments/routes/webhookRoutes.js
+const express = require('express');
+const stripeWebhookController = require('../controllers/stripeWebhookController');
+
+const router = express.Router();
+
+/**
+ * @route POST /api/v1/webhooks/stripe
+ * @desc Événements Stripe signés (paiements, remboursements, litiges)
+ * @access Public (signature Stripe-Signature vérifiée)
+ */
+router.post('/stripe',
+  express.raw({ type: 'application/json', limit: '1mb' }),
+  stripeWebhookController.handleWebhook
+);
+
+// 🚨 Gestion d'erreurs
+router.use((error, req, res, next) => {
+  console.error('Erreur route webhooks:', error);
+  res.status(500).json({
+    error: 'Erreur serveur webhook',
+    code: 'WEBHOOK_ROUTE_ERROR'
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,230 @@
+// src/core/payments/services/paymentService.js
+// Transitions de statut des paiements carte (cotisations association et tontine, billets d'événements)
+// Chaque transition est idempotente : rejouer un événement ne recrédite ni ne redébite rien
+
+const { sequelize, Transaction, AssociationMember, TontineParticipant, Tontine } = require('../../../models');
+const TontineRoundService = require('../../../modules/tontines/services/roundService');
+const LedgerService = require('../../../modules/associations/services/ledgerService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Billetterie chargée à la demande (eventTicketService dépend de ce module)
+const eventTickets = () => require('../../../modules/associations/services/eventTicketService');
+
+// Seuils de retard (mêmes paliers que le suivi mensuel des cotisations)
+const LATE_AFTER_DAYS = 30;
+const VERY_LATE_AFTER_DAYS = 60;
+
+// Devises sans décimales chez Stripe (montants non multipliés par 100)
+const ZERO_DECIMAL_CURRENCIES = ['bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga', 'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf'];
+
+const round2 = (value) => parseFloat(parseFloat(value).toFixed(2));
+
+class PaymentService {
+  /**
+   * 💱 Montant décimal vers unité minimale Stripe (centimes, sauf devises sans décimales)
+   */
+  static toStripeAmount(amount, currency) {
+    const value = parseFloat(amount);
+    return ZERO_DECIMAL_CURRENCIES.includes(String(currency).toLowerCase()) ? Math.round(value) : Math.round(value * 100);
+  }
+
+  /**
+   * 💱 Unité minimale Stripe vers montant décimal
+   */
+  static fromStripeAmount(amount, currency) {
+    return ZERO_DECIMAL_CURRENCIES.includes(String(currency).toLowerCase()) ? amount : amount / 100;
+  }
+
+  /**
+   * ✅ Paiement confirmé : transaction terminée et membre crédité
+   */
+  static async markSucceeded(transaction, { externalTransactionId } = {}) {
+    // Cotisation tontine : logique du moteur de tours (compteurs participant, pot, parrainage)
+    if (transaction.type === 'cotisation_tontine') {
+      const { recorded } = await TontineRoundService.recordContribution(transaction, { externalTransactionId, paymentMethod: 'card' });
+      return { transaction, changed: recorded };
+    }
+
+    return sequelize.transaction(async (t) => {
+      await transaction.reload({ transaction: t, lock: t.LOCK.UPDATE });
+
+      // Déjà traité (ou remboursé entre-temps) : rien à faire
+      if (['completed', 'refunded', 'cancelled'].includes(transaction.status)) {
+        return { transaction, changed: false };
+      }
+
+      await transaction.update({
+        status: 'completed',
+        externalTransactionId: externalTransactionId || transaction.externalTransactionId,
+        failureReason: null,
+        processedAt: transaction.processedAt || new Date(),
+        completedAt: new Date()
+      }, { transaction: t });
+
+      if (transaction.type === 'cotisation' && transaction.memberId) {
+        const member = await AssociationMember.findByPk(transaction.memberId, { transaction: t, lock: t.LOCK.UPDATE });
+        if (member) {
+          await member.update({
+            totalContributed: round2(parseFloat(member.totalContributed || 0) + parseFloat(transaction.amount)),
+            lastContributionDate: new Date(),
+            contributionStatus: 'uptodate',
+            // Membre passé inactif faute de cotisation : réactivé par le paiement
+            ...(member.status === 'inactive' ? { status: 'active', suspensionReason: null } : {})
+          }, { transaction: t });
+        }
+
+        // Taux de change manquant : paiement enregistré, écriture reportée
+        await LedgerService.postOrDefer(transaction, () => LedgerService.postCotisation(transaction, t), t);
+      }
+
+      // Billet d'événement : émis avec son entrée d'argent
+      if (transaction.type === 'event_ticket') {
+        await eventTickets().confirmPayment(transaction, t);
+      }
+
+      return { transaction, changed: true };
+    });
+  }
+
+  /**
+   * ❌ Paiement refusé (seulement depuis un statut en attente)
+   */
+  static async markFailed(transaction, reason) {
+    return sequelize.transaction(async (t) => {
+      await transaction.reload({ transaction: t, lock: t.LOCK.UPDATE });
+
+      // Un échec arrivant après le succès (événements désordonnés) est ignoré
+      if (!['pending', 'processing'].includes(transaction.status)) {
+        return { transaction, changed: false };
+      }
+
+      await transaction.update({
+        status: 'failed',
+        failureReason: (reason || 'Paiement refusé').substring(0, 250),
+        processedAt: new Date()
+      }, { transaction: t });
+
+      // Billet d'événement : places réservées libérées
+      if (transaction.type === 'event_ticket') {
+        await eventTickets().releaseTicket(transaction, t);
+      }
+
+      return { transaction, changed: true };
+    });
+  }
+
+  /**
+   * ↩️ Remboursement (total ou partiel) : membre débité du montant remboursé
+   * refundedAmount : montant cumulé remboursé chez le PSP
+   */
+  static async markRefunded(transaction, refundedAmount) {
+    return sequelize.transaction(async (t) => {
+      await transaction.reload({ transaction: t, lock: t.LOCK.UPDATE });
+
+      if (!['completed', 'refunded'].includes(transaction.status)) {
+        return { transaction, changed: false };
+      }
+
+      const amount = parseFloat(transaction.amount);
+      const previous = parseFloat(transaction.metadata?.refundedAmount || 0);
+      const total = Math.min(round2(refundedAmount), amount);
+      const delta = round2(total - previous);
+
+      if (delta <= 0) return { transaction, changed: false };
+
+      const fullRefund = total >= amount;
+
+      await transaction.update({
+        status: fullRefund ? 'refunded' : transaction.status,
+        metadata: { ...(transaction.metadata || {}), refundedAmount: total, refundedAt: new Date().toISOString() }
+      }, { transaction: t });
+
+      if (transaction.type === 'cotisation' && transaction.memberId) {
+        await PaymentService.debitMember(transaction.memberId, delta, t);
+      }
+
+      if (transaction.type === 'cotisation') {
+        await LedgerService.postOrDefer(transaction, () => LedgerService.postCotisationRefund(transaction, t), t);
+      }
+
+      // Tontine : la cotisation sort du pot seulement en cas de remboursement total
+      if (transaction.type === 'cotisation_tontine' && fullRefund) {
+        const participant = await TontineParticipant.findByPk(transaction.participantId, { transaction: t });
+        if (participant) {
+          await participant.update({
+            contributionsCount: Math.max(0, participant.contributionsCount - 1),
+            totalContributed: Math.max(0, round2(parseFloat(participant.totalContributed) - parseFloat(transaction.netAmount)))
+          }, { transaction: t, hooks: false });
+        }
+
+        await Tontine.decrement(
+          { totalAmountCollected: parseFloat(transaction.netAmount) },
+          { where: { id: transaction.tontineId }, transaction: t }
+        );
+      }
+
+      // Billet d'événement : annulé et recette extournée seulement en cas de remboursement total
+      if (transaction.type === 'event_ticket' && fullRefund) {
+        await eventTickets().refundTicket(transaction, t);
+      }
+
+      return { transaction, changed: true, fullRefund };
+    });
+  }
+
+  /**
+   * ⚠️ Litige ouvert : signalé pour revue du trésorier (les fonds restent comptés jusqu'à l'issue)
+   */
+  static async markDisputed(transaction, dispute) {
+    return sequelize.transaction(async (t) => {
+      await transaction.reload({ transaction: t, lock: t.LOCK.UPDATE });
+
+      if (transaction.metadata?.dispute?.id === dispute.id) {
+        return { transaction, changed: false };
+      }
+
+      await transaction.update({
+        requiresApproval: true,
+        notes: `Litige ${dispute.reason || ''} ouvert le ${new Date().toLocaleDateString('fr-FR')}`.trim(),
+        metadata: {
+          ...(transaction.metadata || {}),
+          dispute: {
+            id: dispute.id,
+            reason: dispute.reason,
+            status: dispute.status,
+            amount: dispute.amount,
+            openedAt: new Date().toISOString()
+          }
+        }
+      }, { transaction: t });
+
+      return { transaction, changed: true };
+    });
+  }
+
+  /**
+   * 📉 Débiter le total cotisé d'un membre et recalculer son statut
+   */
+  static async debitMember(memberId, amount, t) {
+    const member = await AssociationMember.findByPk(memberId, { transaction: t, lock: t.LOCK.UPDATE });
+    if (!member) return null;
+
+    const lastPayment = await Transaction.findOne({
+      where: { memberId, type: 'cotisation', status: 'completed' },
+      order: [['completedAt', 'DESC']],
+      transaction: t
+    });
+
+    const lastDate = lastPayment?.completedAt || null;
+    const daysSince = (Date.now() - new Date(lastDate || member.createdAt)) / DAY_MS;
+
+    return member.update({
+      totalContributed: Math.max(0, round2(parseFloat(member.totalContributed || 0) - amount)),
+      lastContributionDate: lastDate,
+      contributionStatus: daysSince > VERY_LATE_AFTER_DAYS ? 'very_late' : daysSince > LATE_AFTER_DAYS ? 'late' : 'uptodate'
+    }, { transaction: t });
+  }
+}
+
+module.exports = PaymentService;
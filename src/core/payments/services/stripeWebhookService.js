@@ -0,0 +1,123 @@
+// src/core/payments/services/stripeWebhookService.js
+// Réception des webhooks Stripe : vérification de signature et rapprochement des transactions
+
+const Stripe = require('stripe');
+const { Op } = require('sequelize');
+const { Transaction } = require('../../../models');
+const PaymentService = require('./paymentService');
+
+// Erreur métier (status HTTP + code)
+function webhookError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+class StripeWebhookService {
+  /**
+   * 🔐 Vérifier la signature et reconstruire l'événement
+   */
+  static constructEvent(rawBody, signature) {
+    const secret = process.env.STRIPE_WEBHOOK_SECRET;
+    if (!secret) {
+      throw webhookError(503, 'WEBHOOK_NOT_CONFIGURED', 'Secret de signature webhook Stripe non configuré');
+    }
+
+    if (!signature) {
+      throw webhookError(400, 'MISSING_SIGNATURE', 'En-tête Stripe-Signature manquant');
+    }
+
+    try {
+      return Stripe.webhooks.constructEvent(rawBody, signature, secret);
+    } catch (error) {
+      throw webhookError(400, 'INVALID_SIGNATURE', `Signature webhook invalide: ${error.message}`);
+    }
+  }
+
+  /**
+   * 🔍 Retrouver la transaction : PaymentIntent (externalTransactionId) puis metadata.transactionId
+   */
+  static async findTransaction(paymentIntentId, metadata = {}) {
+    const candidates = [];
+    if (paymentIntentId) candidates.push({ externalTransactionId: paymentIntentId });
+    if (metadata.transactionId && /^\d+$/.test(metadata.transactionId)) {
+      candidates.push({ id: parseInt(metadata.transactionId) });
+    }
+
+    if (!candidates.length) return null;
+
+    return Transaction.findOne({ where: { [Op.or]: candidates } });
+  }
+
+  /**
+   * 📬 Traiter un événement vérifié
+   */
+  static async handleEvent(event) {
+    const object = event.data?.object || {};
+    const handler = StripeWebhookService.handlers[event.type];
+
+    if (!handler) {
+      return { handled: false, reason: 'EVENT_IGNORED' };
+    }
+
+    const paymentIntentId = event.type.startsWith('payment_intent.') ? object.id : object.payment_intent;
+    const transaction = await StripeWebhookService.findTransaction(paymentIntentId, object.metadata);
+
+    if (!transaction) {
+      console.warn(`⚠️ Webhook Stripe ${event.id} (${event.type}): aucune transaction pour ${paymentIntentId}`);
+      return { handled: false, reason: 'TRANSACTION_NOT_FOUND' };
+    }
+
+    // Événement déjà reçu (Stripe relivre en cas de timeout)
+    const processedEvents = transaction.metadata?.stripeEvents || [];
+    if (processedEvents.some((e) => e.id === event.id)) {
+      return { handled: true, duplicate: true, transactionId: transaction.id, status: transaction.status };
+    }
+
+    const result = await handler(transaction, object);
+
+    await transaction.reload();
+    await transaction.update({
+      metadata: {
+        ...(transaction.metadata || {}),
+        stripeEvents: [
+          ...(transaction.metadata?.stripeEvents || []),
+          { id: event.id, type: event.type, receivedAt: new Date().toISOString() }
+        ]
+      }
+    });
+
+    console.log(`💳 Webhook Stripe ${event.type}: transaction ${transaction.id} → ${transaction.status}${result.changed ? '' : ' (inchangée)'}`);
+
+    return {
+      handled: true,
+      changed: result.changed,
+      transactionId: transaction.id,
+      status: transaction.status
+    };
+  }
+}
+
+StripeWebhookService.handlers = {
+  'payment_intent.succeeded': (transaction, paymentIntent) =>
+    PaymentService.markSucceeded(transaction, { externalTransactionId: paymentIntent.id }),
+
+  'payment_intent.payment_failed': (transaction, paymentIntent) =>
+    PaymentService.markFailed(transaction, paymentIntent.last_payment_error?.message),
+
+  'charge.refunded': (transaction, charge) =>
+    PaymentService.markRefunded(transaction, PaymentService.fromStripeAmount(charge.amount_refunded, charge.currency)),
+
+  'charge.dispute.created': (transaction, dispute) =>
+    PaymentService.markDisputed(transaction, {
+      id: dispute.id,
+      reason: dispute.reason,
+      status: dispute.status,
+      amount: PaymentService.fromStripeAmount(dispute.amount, dispute.currency)
+    })
+};
+
+StripeWebhookService.webhookError = webhookError;
+
+module.exports = StripeWebhookService;
@@ -0,0 +1,117 @@
+// src/core/referrals/controllers/referralController.js
+const ReferralService = require('../services/referralService');
+
+// Délai après inscription pour saisir un code de parrainage oublié
+const LATE_APPLY_DAYS = 7;
+
+class ReferralController {
+  constructor() {
+    this.getDashboard = this.getDashboard.bind(this);
+    this.getRules = this.getRules.bind(this);
+    this.checkCode = this.checkCode.bind(this);
+    this.applyCode = this.applyCode.bind(this);
+  }
+
+  /**
+   * 📊 Tableau de bord parrainage (code, filleuls, bonus en attente et gagnés)
+   * GET /api/v1/referrals/me
+   */
+  async getDashboard(req, res) {
+    try {
+      const dashboard = await ReferralService.getDashboard(req.user);
+
+      res.json({
+        success: true,
+        data: dashboard
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur récupération parrainage', 'REFERRAL_DASHBOARD_ERROR');
+    }
+  }
+
+  /**
+   * 📜 Règles du programme
+   * GET /api/v1/referrals/rules
+   */
+  async getRules(req, res) {
+    res.json({
+      success: true,
+      data: ReferralService.getRules()
+    });
+  }
+
+  /**
+   * 🔍 Vérifier un code (écran d'inscription)
+   * GET /api/v1/referrals/codes/:code
+   */
+  async checkCode(req, res) {
+    try {
+      const referrer = await ReferralService.findReferrer(req.params.code);
+
+      res.json({
+        success: true,
+        data: {
+          valid: true,
+          referrer: { firstName: referrer.firstName }
+        }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur vérification code', 'REFERRAL_CHECK_ERROR');
+    }
+  }
+
+  /**
+   * 🎁 Saisir un code de parrainage après l'inscription
+   * POST /api/v1/referrals/apply
+   */
+  async applyCode(req, res) {
+    try {
+      const deadline = new Date(req.user.createdAt);
+      deadline.setDate(deadline.getDate() + LATE_APPLY_DAYS);
+
+      if (new Date() > deadline) {
+        return res.status(400).json({
+          error: `Code de parrainage accepté uniquement dans les ${LATE_APPLY_DAYS} jours suivant l'inscription`,
+          code: 'REFERRAL_APPLY_EXPIRED'
+        });
+      }
+
+      const referral = await ReferralService.attributeSignup(req.user, req.body.referralCode);
+
+      res.status(201).json({
+        success: true,
+        message: 'Code de parrainage enregistré',
+        data: {
+          referral: {
+            id: referral.id,
+            status: referral.status,
+            trigger: referral.trigger,
+            refereeBonusAmount: referral.refereeBonusAmount,
+            currency: referral.currency
+          }
+        }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur application code parrainage', 'REFERRAL_APPLY_ERROR');
+    }
+  }
+
+  // 🔧 Réponse d'erreur (erreurs métier du service : status + code)
+  handleError(res, error, message, code) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+      error: message,
+      code,
+      details: error.message
+    });
+  }
+}
+
+module.exports = new ReferralController();
@@ -0,0 +1,56 @@
+// src/core/referrals/routes/referralRoutes.js
+const express = require('express');
+const { body, param } = require('express-validator');
+const { authenticate } = require('../../auth/middleware/auth');
+const { handleValidationErrors } = require('../../middleware/validation');
+const referralController = require('../controllers/referralController');
+
+const router = express.Router();
+
+const validateCode = [
+  param('code')
+    .trim()
+    .isLength({ min: 4, max: 20 })
+    .withMessage('Code de parrainage invalide'),
+
+  handleValidationErrors
+];
+
+const validateApply = [
+  body('referralCode')
+    .trim()
+    .isLength({ min: 4, max: 20 })
+    .withMessage('Code de parrainage invalide'),
+
+  handleValidationErrors
+];
+
+/**
+ * @route GET /api/v1/referrals/rules
+ * @desc Règles et montants du programme de parrainage
+ * @access Public
+ */
+router.get('/rules', referralController.getRules);
+
+/**
+ * @route GET /api/v1/referrals/codes/:code
+ * @desc Vérifier un code de parrainage
+ * @access Public
+ */
+router.get('/codes/:code', validateCode, referralController.checkCode);
+
+/**
+ * @route GET /api/v1/referrals/me
+ * @desc Tableau de bord parrainage de l'utilisateur
+ * @access Private
+ */
+router.get('/me', authenticate, referralController.getDashboard);
+
+/**
+ * @route POST /api/v1/referrals/apply
+ * @desc Saisir un code de parrainage après l'inscription
+ * @access Private
+ */
+router.post('/apply', authenticate, validateApply, referralController.applyCode);
+
+module.exports = router;
@@ -0,0 +1,334 @@
+// src/core/referrals/services/referralService.js
+// Programme de parrainage : codes, attribution, crédit des bonus et tableau de bord
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize, Referral, User, TontineParticipant, Transaction, Tontine } = require('../../../models');
+const referralConfig = require('../../../config/referral');
+
+// Alphabet sans caractères ambigus (0/O, 1/I)
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3001';
+
+// Erreur métier (status HTTP + code)
+function referralError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+class ReferralService {
+  /**
+   * 🎲 Générer un code candidat (REF + 6 caractères)
+   */
+  static randomCode() {
+    const bytes = crypto.randomBytes(6);
+    return 'REF' + Array.from(bytes, (b) => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+  }
+
+  /**
+   * 🔑 Code unique (vérifié en base)
+   */
+  static async generateUniqueCode(options = {}) {
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const code = ReferralService.randomCode();
+      const taken = await User.count({ where: { referralCode: code }, paranoid: false, ...options });
+      if (!taken) return code;
+    }
+    throw referralError(500, 'REFERRAL_CODE_GENERATION_FAILED', 'Impossible de générer un code de parrainage');
+  }
+
+  /**
+   * 🔑 Garantir qu'un utilisateur possède un code (comptes antérieurs au programme)
+   */
+  static async ensureReferralCode(user) {
+    if (user.referralCode) return user.referralCode;
+    await user.update({ referralCode: await ReferralService.generateUniqueCode() });
+    return user.referralCode;
+  }
+
+  /**
+   * 🔍 Retrouver le parrain à partir d'un code
+   */
+  static async findReferrer(code) {
+    if (!code) return null;
+
+    const referrer = await User.findOne({
+      where: { referralCode: code.trim().toUpperCase() }
+    });
+
+    if (!referrer || ['suspended', 'deactivated'].includes(referrer.status)) {
+      throw referralError(404, 'INVALID_REFERRAL_CODE', 'Code de parrainage invalide');
+    }
+
+    return referrer;
+  }
+
+  /**
+   * 📝 Enregistrer un parrainage selon la règle du contexte
+   */
+  static async createReferral(referrer, referee, type, context = {}, options = {}) {
+    const rule = referralConfig.rules[type];
+
+    const referral = await Referral.create({
+      referrerId: referrer.id,
+      refereeId: referee.id,
+      referralCode: referrer.referralCode,
+      type,
+      tontineId: context.tontineId || null,
+      participantId: context.participantId || null,
+      trigger: rule.trigger,
+      bonusAmount: rule.referrerBonus,
+      refereeBonusAmount: rule.refereeBonus,
+      currency: referralConfig.currency,
+      status: 'pending',
+      expiresAt: new Date(Date.now() + referralConfig.expiryDays * 24 * 60 * 60 * 1000)
+    }, options);
+
+    // Bonus immédiat si la règle se déclenche à l'inscription
+    if (rule.trigger === 'registration') {
+      await ReferralService.creditReferral(referral, options);
+    }
+
+    return referral;
+  }
+
+  /**
+   * 👤 Attribution à l'inscription
+   */
+  static async attributeSignup(user, code) {
+    const referrer = await ReferralService.findReferrer(code);
+
+    if (referrer.id === user.id) {
+      throw referralError(400, 'SELF_REFERRAL', 'Impossible d\'utiliser son propre code');
+    }
+
+    if (user.referredBy) {
+      throw referralError(409, 'ALREADY_REFERRED', 'Un parrain est déjà enregistré pour ce compte');
+    }
+
+    return sequelize.transaction(async (t) => {
+      await user.update({ referredBy: referrer.id }, { transaction: t });
+      return ReferralService.createReferral(referrer, user, 'platform_signup', {}, { transaction: t });
+    });
+  }
+
+  /**
+   * 🤝 Attribution à l'adhésion d'une tontine
+   */
+  static async attributeTontineJoin(participant, referrer) {
+    if (referrer.id === participant.userId) {
+      throw referralError(400, 'SELF_REFERRAL', 'Impossible d\'utiliser son propre code');
+    }
+
+    const existing = await Referral.findOne({
+      where: { refereeId: participant.userId, type: 'tontine_join', tontineId: participant.tontineId }
+    });
+    if (existing) return existing;
+
+    const referee = await User.findByPk(participant.userId);
+    return ReferralService.createReferral(referrer, referee, 'tontine_join', {
+      tontineId: participant.tontineId,
+      participantId: participant.id
+    });
+  }
+
+  /**
+   * 💳 Première cotisation du filleul : déclencher les bonus en attente
+   */
+  static async handleContribution(userId, tontineId = null) {
+    await ReferralService.expireOverdue({ refereeId: userId });
+
+    const pending = await Referral.findAll({
+      where: {
+        refereeId: userId,
+        status: 'pending',
+        trigger: 'first_contribution',
+        [Op.or]: [
+          { type: 'platform_signup' },
+          ...(tontineId ? [{ type: 'tontine_join', tontineId }] : [])
+        ]
+      }
+    });
+
+    const credited = [];
+    for (const referral of pending) {
+      credited.push(await sequelize.transaction((t) => ReferralService.creditReferral(referral, { transaction: t })));
+    }
+    return credited;
+  }
+
+  /**
+   * 💰 Créditer le bonus du parrain (et du filleul si prévu)
+   */
+  static async creditReferral(referral, options = {}) {
+    if (!options.transaction) {
+      return sequelize.transaction((t) => ReferralService.creditReferral(referral, { ...options, transaction: t }));
+    }
+
+    // Relecture verrouillée : deux cotisations simultanées du filleul ne créditent qu'une fois
+    await referral.reload({ transaction: options.transaction, lock: options.transaction.LOCK.UPDATE });
+    if (referral.status !== 'pending') return referral;
+
+    // Plafond mensuel par parrain (parrain verrouillé : comptage sérialisé entre ses filleuls)
+    if (referralConfig.monthlyCapPerReferrer > 0) {
+      await User.findByPk(referral.referrerId, {
+        attributes: ['id'],
+        transaction: options.transaction,
+        lock: options.transaction.LOCK.UPDATE
+      });
+
+      const monthStart = new Date();
+      monthStart.setUTCDate(1);
+      monthStart.setUTCHours(0, 0, 0, 0);
+
+      const earnedThisMonth = await Referral.count({
+        where: { referrerId: referral.referrerId, status: 'earned', earnedAt: { [Op.gte]: monthStart } },
+        ...options
+      });
+
+      if (earnedThisMonth >= referralConfig.monthlyCapPerReferrer) {
+        return referral.update({
+          status: 'cancelled',
+          metadata: { ...(referral.metadata || {}), cancelReason: 'monthly_cap_reached' }
+        }, options);
+      }
+    }
+
+    const bonus = parseFloat(referral.bonusAmount);
+    const label = referral.type === 'tontine_join' ? 'adhésion tontine' : 'inscription';
+
+    const bonusTransaction = bonus > 0
+      ? await Transaction.create({
+        userId: referral.referrerId,
+        tontineId: referral.tontineId,
+        type: 'bonus_parrainage',
+        amount: bonus,
+        currency: referral.currency,
+        paymentMethod: 'internal',
+        status: 'completed',
+        description: `Bonus parrainage (${label})`,
+        processedAt: new Date(),
+        completedAt: new Date(),
+        metadata: { referralId: referral.id, refereeId: referral.refereeId }
+      }, options)
+      : null;
+
+    const refereeBonus = parseFloat(referral.refereeBonusAmount);
+    if (refereeBonus > 0) {
+      await Transaction.create({
+        userId: referral.refereeId,
+        tontineId: referral.tontineId,
+        type: 'bonus_parrainage',
+        amount: refereeBonus,
+        currency: referral.currency,
+        paymentMethod: 'internal',
+        status: 'completed',
+        description: `Bonus de bienvenue (${label})`,
+        processedAt: new Date(),
+        completedAt: new Date(),
+        metadata: { referralId: referral.id, referee: true }
+      }, options);
+    }
+
+    // Bonus reporté sur la participation du parrain dans la tontine
+    if (referral.type === 'tontine_join' && bonus > 0) {
+      await TontineParticipant.increment(
+        { referralBonus: bonus },
+        { where: { tontineId: referral.tontineId, userId: referral.referrerId }, ...options }
+      );
+    }
+
+    console.log(`🎁 Parrainage ${referral.id}: bonus ${bonus} ${referral.currency} crédité à l'utilisateur ${referral.referrerId}`);
+
+    return referral.update({
+      status: 'earned',
+      earnedAt: new Date(),
+      bonusTransactionId: bonusTransaction?.id || null
+    }, options);
+  }
+
+  /**
+   * ⌛ Expirer les bonus dont la condition n'a pas été remplie à temps
+   */
+  static async expireOverdue(where = {}) {
+    const [count] = await Referral.update(
+      { status: 'expired' },
+      { where: { ...where, status: 'pending', expiresAt: { [Op.lt]: new Date() } } }
+    );
+    return count;
+  }
+
+  /**
+   * 📊 Tableau de bord du parrain
+   */
+  static async getDashboard(user) {
+    const code = await ReferralService.ensureReferralCode(user);
+    await ReferralService.expireOverdue({ referrerId: user.id });
+
+    const referrals = await Referral.findAll({
+      where: { referrerId: user.id },
+      include: [
+        { model: User, as: 'referee', attributes: ['id', 'firstName', 'lastName', 'createdAt'] },
+        { model: Tontine, as: 'tontine', attributes: ['id', 'title'] }
+      ],
+      order: [['createdAt', 'DESC']]
+    });
+
+    const sum = (status) => parseFloat(
+      referrals
+        .filter((r) => r.status === status)
+        .reduce((total, r) => total + parseFloat(r.bonusAmount), 0)
+        .toFixed(2)
+    );
+
+    return {
+      referralCode: code,
+      shareUrl: `${FRONTEND_URL}/register?ref=${code}`,
+      rules: ReferralService.getRules(),
+      stats: {
+        totalReferrals: referrals.length,
+        signups: referrals.filter((r) => r.type === 'platform_signup').length,
+        tontineJoins: referrals.filter((r) => r.type === 'tontine_join').length,
+        pendingCount: referrals.filter((r) => r.status === 'pending').length,
+        earnedCount: referrals.filter((r) => r.status === 'earned').length,
+        pendingBonus: sum('pending'),
+        earnedBonus: sum('earned'),
+        currency: referralConfig.currency
+      },
+      referrals: referrals.map((r) => ({
+        id: r.id,
+        type: r.type,
+        status: r.status,
+        trigger: r.trigger,
+        bonusAmount: r.bonusAmount,
+        currency: r.currency,
+        // Nom du filleul abrégé
+        referee: r.referee
+          ? { id: r.referee.id, name: `${r.referee.firstName} ${(r.referee.lastName || '').charAt(0)}.` }
+          : null,
+        tontine: r.tontine,
+        createdAt: r.createdAt,
+        expiresAt: r.expiresAt,
+        earnedAt: r.earnedAt
+      }))
+    };
+  }
+
+  /**
+   * 📜 Règles publiques du programme
+   */
+  static getRules() {
+    return {
+      currency: referralConfig.currency,
+      expiryDays: referralConfig.expiryDays,
+      monthlyCapPerReferrer: referralConfig.monthlyCapPerReferrer,
+      rules: referralConfig.rules
+    };
+  }
+}
+
+ReferralService.referralError = referralError;
+
+module.exports = ReferralService;
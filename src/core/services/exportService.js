@@ -0,0 +1,171 @@
+// src/core/services/exportService.js
+// Exports tabulaires CSV / XLSX / PDF avec en-têtes bilingues (fr/en)
+
+const ExcelJS = require('exceljs');
+const PdfDocumentService = require('./pdfDocumentService');
+
+const SUPPORTED_LANGUAGES = ['fr', 'en'];
+
+const FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  excel: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  pdf: { extension: 'pdf', contentType: 'application/pdf' }
+};
+
+// Début de cellule interprété comme formule par les tableurs (injection CSV)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const BOOLEAN_LABELS = {
+  fr: ['Oui', 'Non'],
+  en: ['Yes', 'No']
+};
+
+/**
+ * Colonnes : { key, fr, en, value(record, lang), type: 'text'|'date'|'amount'|'boolean', width, pdf }
+ * pdf: false exclut la colonne de l'export PDF (largeur de page limitée)
+ */
+class ExportService {
+  /**
+   * 🌐 Langue des en-têtes depuis Accept-Language (français par défaut)
+   */
+  static resolveLanguage(req) {
+    return req.acceptsLanguages(...SUPPORTED_LANGUAGES) || 'fr';
+  }
+
+  // Valeur brute d'une cellule (nombres et dates conservés pour Excel)
+  static cellValue(column, record, lang) {
+    const value = column.value ? column.value(record, lang) : record[column.key];
+    if (value === null || value === undefined) return '';
+
+    switch (column.type) {
+      case 'boolean':
+        return BOOLEAN_LABELS[lang][value ? 0 : 1];
+      case 'amount':
+        return value === '' ? '' : parseFloat(value);
+      case 'date':
+        return value instanceof Date ? value : new Date(value);
+      default:
+        return value;
+    }
+  }
+
+  // Valeur texte (CSV, PDF) ; texte saisi commençant par =, +, -, @ ou une tabulation
+  // préfixé d'une apostrophe pour ne pas être évalué comme formule (montants et dates inchangés)
+  static cellText(column, record, lang) {
+    const value = ExportService.cellValue(column, record, lang);
+    if (value instanceof Date) {
+      return isNaN(value) ? '' : value.toISOString().split('T')[0];
+    }
+    if (column.type === 'amount' && value !== '') return value.toFixed(2);
+
+    const text = String(value);
+    return FORMULA_PREFIX.test(text) ? `'${text}` : text;
+  }
+
+  /**
+   * 📄 CSV (BOM UTF-8 pour Excel ; séparateur ";" en français)
+   */
+  static toCsv(columns, records, lang) {
+    const separator = lang === 'fr' ? ';' : ',';
+    const escape = (text) => (/["\n\r;,]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+
+    const lines = [
+      columns.map((column) => escape(column[lang])).join(separator),
+      ...records.map((record) =>
+        columns.map((column) => escape(ExportService.cellText(column, record, lang))).join(separator)
+      )
+    ];
+
+    return Buffer.from('\ufeff' + lines.join('\r\n'), 'utf8');
+  }
+
+  /**
+   * 📗 Classeur XLSX (en-tête figé, filtres automatiques)
+   */
+  static async toXlsx(columns, records, lang, { sheetName = 'Export' } = {}) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'Diaspora Tontine';
+    workbook.created = new Date();
+
+    const sheet = workbook.addWorksheet(sheetName.slice(0, 31), {
+      views: [{ state: 'frozen', ySplit: 1 }]
+    });
+
+    sheet.columns = columns.map((column) => ({
+      header: column[lang],
+      key: column.key,
+      width: Math.max(12, (column.width || 1) * 12),
+      style: column.type === 'amount'
+        ? { numFmt: '#,##0.00' }
+        : column.type === 'date' ? { numFmt: 'yyyy-mm-dd' } : {}
+    }));
+
+    records.forEach((record) => {
+      sheet.addRow(columns.reduce((row, column) => {
+        row[column.key] = ExportService.cellValue(column, record, lang);
+        return row;
+      }, {}));
+    });
+
+    sheet.getRow(1).font = { bold: true };
+    sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+
+  /**
+   * 📕 PDF tabulaire paysage
+   */
+  static async toPdf(columns, records, lang, { title, subtitle, footer, theme } = {}) {
+    const pdfColumns = columns.filter((column) => column.pdf !== false);
+
+    return PdfDocumentService.buildTablePdf({
+      title,
+      subtitle,
+      footer,
+      theme,
+      columns: pdfColumns.map((column) => ({ label: column[lang], width: column.width })),
+      rows: records.map((record) => pdfColumns.map((column) => ExportService.cellText(column, record, lang)))
+    });
+  }
+
+  /**
+   * 📦 Générer le fichier dans le format demandé
+   */
+  static async build(format, columns, records, lang, options = {}) {
+    const definition = FORMATS[format] || FORMATS.excel;
+    let buffer;
+
+    switch (format) {
+      case 'csv':
+        buffer = ExportService.toCsv(columns, records, lang);
+        break;
+      case 'pdf':
+        buffer = await ExportService.toPdf(columns, records, lang, options);
+        break;
+      default:
+        buffer = await ExportService.toXlsx(columns, records, lang, options);
+    }
+
+    return {
+      buffer,
+      extension: definition.extension,
+      contentType: definition.contentType,
+      filename: `${options.filenamePrefix || 'export'}_${new Date().toISOString().split('T')[0]}.${definition.extension}`
+    };
+  }
+
+  /**
+   * ⬇️ Renvoyer le fichier en téléchargement
+   */
+  static send(res, file) {
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.setHeader('Content-Length', file.buffer.length);
+    res.send(file.buffer);
+  }
+}
+
+ExportService.FORMATS = FORMATS;
+
+module.exports = ExportService;
@@ -0,0 +1,358 @@
+// src/core/services/notificationService.js
+// Service unifié de notifications : modèles localisés, routage selon préférences et heures de silence,
+// journal d'envoi (table notifications) et transports interchangeables (SMS, push, email, in-app)
+
+const { Op } = require('sequelize');
+const { Notification, User, AssociationMember } = require('../../models');
+const { TEMPLATES, DEFAULT_LOCALE, render } = require('./notificationTemplates');
+const { smsTransport, pushTransport, emailTransport } = require('./notificationTransports');
+
+const CHANNELS = ['in_app', 'push', 'sms', 'email'];
+
+// Canaux intrusifs retenus pendant les heures de silence
+const QUIET_CHANNELS = ['push', 'sms'];
+
+const MAX_ATTEMPTS = 3;
+
+const DEFAULT_SETTINGS = {
+  pushEnabled: true,
+  smsEnabled: true,
+  emailEnabled: false,
+  cotisationReminders: true,
+  tontineUpdates: true,
+  aidApprovals: true,
+  quietHours: null
+};
+
+const DEFAULT_TRANSPORTS = {
+  sms: smsTransport,
+  push: pushTransport,
+  email: emailTransport
+};
+
+let transports = { ...DEFAULT_TRANSPORTS };
+
+// "HH:MM" → minutes depuis minuit
+function toMinutes(time) {
+  const [hours, minutes] = String(time).split(':').map((n) => parseInt(n, 10));
+  return hours * 60 + (minutes || 0);
+}
+
+// Heure locale (minutes depuis minuit) dans le fuseau du destinataire
+function localMinutes(at, timeZone) {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).formatToParts(at);
+  } catch (error) {
+    parts = new Intl.DateTimeFormat('en-GB', { timeZone: 'Europe/Paris', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).formatToParts(at);
+  }
+  const value = (type) => parseInt(parts.find((p) => p.type === type).value, 10);
+  return value('hour') * 60 + value('minute');
+}
+
+function fcmTokensOf(user) {
+  return (user.fcmTokens || [])
+    .map((entry) => (typeof entry === 'string' ? entry : entry?.token))
+    .filter(Boolean);
+}
+
+class NotificationService {
+  // 🔌 Remplacer un transport (tests : createMemoryTransport)
+  static registerTransport(channel, transport) {
+    if (!['push', 'sms', 'email'].includes(channel)) {
+      throw new Error(`Canal de notification inconnu: ${channel}`);
+    }
+    transports[channel] = transport;
+  }
+
+  static resetTransports() {
+    transports = { ...DEFAULT_TRANSPORTS };
+  }
+
+  static getSettings(user) {
+    return { ...DEFAULT_SETTINGS, ...(user?.notificationSettings || {}) };
+  }
+
+  /**
+   * 🌙 Heures de silence du destinataire : { quiet, resumeAt }
+   * quietHours = { start: "22:00", end: "07:00" } dans le fuseau User.timezone
+   */
+  static checkQuietHours(user, at = new Date()) {
+    const { quietHours } = NotificationService.getSettings(user);
+    if (!quietHours?.start || !quietHours?.end) return { quiet: false, resumeAt: null };
+
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    if (start === end) return { quiet: false, resumeAt: null };
+
+    const now = localMinutes(at, user.timezone || 'Europe/Paris');
+    const quiet = start < end ? now >= start && now < end : now >= start || now < end;
+    if (!quiet) return { quiet: false, resumeAt: null };
+
+    const minutesLeft = (end - now + 1440) % 1440;
+    return { quiet: true, resumeAt: new Date(at.getTime() + minutesLeft * 60 * 1000) };
+  }
+
+  /**
+   * 🧭 Canaux retenus pour un destinataire
+   * Préférences utilisateur (canaux, catégories) puis préférences d'adhésion (AssociationMember.notificationPreferences)
+   * L'in-app est toujours conservé
+   */
+  static resolveChannels(type, user, member = null, requested = null) {
+    const template = TEMPLATES[type];
+    const settings = NotificationService.getSettings(user);
+    const prefs = member?.notificationPreferences || {};
+
+    const muted = (template.category && settings[template.category] === false)
+      || (Array.isArray(prefs.mutedTypes) && prefs.mutedTypes.includes(type));
+
+    return (requested || template.channels).filter((channel) => {
+      switch (channel) {
+        case 'in_app':
+          return true;
+        case 'push':
+          return !muted && settings.pushEnabled && prefs.push !== false && fcmTokensOf(user).length > 0;
+        case 'sms':
+          return !muted && settings.smsEnabled && prefs.sms !== false && !!user.phoneNumber;
+        case 'email':
+          return !muted && settings.emailEnabled && prefs.email !== false && !!user.email;
+        default:
+          return false;
+      }
+    });
+  }
+
+  static recipientFor(channel, user) {
+    switch (channel) {
+      case 'sms':
+        return user.phoneNumber;
+      case 'email':
+        return user.email;
+      case 'push':
+        return `${fcmTokensOf(user).length} appareil(s)`;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * 📤 Envoyer une ligne du journal via son transport (statut sent ou failed)
+   */
+  static async deliver(notification, user = null) {
+    if (notification.channel === 'in_app') {
+      return notification.update({ status: 'sent', sentAt: new Date() });
+    }
+
+    const transport = transports[notification.channel];
+    let to = notification.recipient;
+
+    if (notification.channel === 'push') {
+      const recipient = user || await User.findByPk(notification.userId);
+      to = recipient ? fcmTokensOf(recipient) : [];
+    }
+
+    try {
+      const result = await transport.send({
+        channel: notification.channel,
+        to,
+        title: notification.title,
+        body: notification.body,
+        data: notification.data
+      });
+
+      if (result?.invalidTokens?.length) {
+        await NotificationService.removeFcmTokens(notification.userId, result.invalidTokens);
+      }
+
+      return notification.update({
+        status: 'sent',
+        sentAt: new Date(),
+        attempts: notification.attempts + 1,
+        providerMessageId: result?.providerMessageId || null,
+        error: null
+      });
+    } catch (error) {
+      if (error.invalidTokens?.length) {
+        await NotificationService.removeFcmTokens(notification.userId, error.invalidTokens);
+      }
+
+      console.error(`⚠️ Échec notification ${notification.channel} #${notification.id}:`, error.message);
+      return notification.update({
+        status: 'failed',
+        attempts: notification.attempts + 1,
+        error: error.message
+      });
+    }
+  }
+
+  // Appareils désinscrits : jetons FCM retirés du profil
+  static async removeFcmTokens(userId, invalidTokens) {
+    const user = userId && await User.findByPk(userId, { attributes: ['id', 'fcmTokens'] });
+    if (!user) return;
+
+    await user.update({
+      fcmTokens: (user.fcmTokens || []).filter((entry) => !invalidTokens.includes(typeof entry === 'string' ? entry : entry?.token))
+    });
+  }
+
+  /**
+   * 🔔 Notifier un utilisateur
+   * options : { associationId, data (variables du modèle + contexte), channels, priority, member }
+   * Retourne les lignes du journal (une par canal retenu)
+   */
+  static async notify(type, userOrId, options = {}) {
+    const { associationId = null, data = {}, channels = null } = options;
+    const template = TEMPLATES[type];
+    if (!template) throw new Error(`Modèle de notification inconnu: ${type}`);
+
+    const user = typeof userOrId === 'object' ? userOrId : await User.findByPk(userOrId);
+    if (!user) return [];
+
+    const member = options.member !== undefined
+      ? options.member
+      : associationId && await AssociationMember.findOne({
+          where: { userId: user.id, associationId },
+          attributes: ['id', 'notificationPreferences']
+        });
+
+    const priority = options.priority || template.priority || 'normal';
+    const { locale, title, body } = render(type, user.language || DEFAULT_LOCALE, data);
+    const quietHours = priority === 'high' ? { quiet: false } : NotificationService.checkQuietHours(user);
+
+    const notifications = [];
+    for (const channel of NotificationService.resolveChannels(type, user, member, channels)) {
+      const deferred = quietHours.quiet && QUIET_CHANNELS.includes(channel);
+
+      const notification = await Notification.create({
+        userId: user.id,
+        associationId,
+        recipient: NotificationService.recipientFor(channel, user),
+        type,
+        channel,
+        locale,
+        title,
+        body,
+        data,
+        priority,
+        status: deferred ? 'deferred' : 'pending',
+        scheduledFor: deferred ? quietHours.resumeAt : null
+      });
+
+      notifications.push(deferred ? notification : await NotificationService.deliver(notification, user));
+    }
+
+    return notifications;
+  }
+
+  /**
+   * 👥 Notifier plusieurs utilisateurs (les échecs individuels n'interrompent pas l'envoi)
+   */
+  static async notifyUsers(type, userIds, options = {}) {
+    const uniqueIds = [...new Set(userIds.filter(Boolean))];
+    const users = await User.findAll({ where: { id: uniqueIds } });
+
+    const results = [];
+    for (const user of users) {
+      try {
+        results.push(...await NotificationService.notify(type, user, options));
+      } catch (error) {
+        console.error(`⚠️ Notification ${type} utilisateur ${user.id}:`, error.message);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * ✉️ Notifier un contact sans compte (donateur...) : { email, phoneNumber, language }
+   */
+  static async notifyContact(type, contact, options = {}) {
+    const { associationId = null, data = {} } = options;
+    const template = TEMPLATES[type];
+    if (!template) throw new Error(`Modèle de notification inconnu: ${type}`);
+
+    const { locale, title, body } = render(type, contact.language || DEFAULT_LOCALE, data);
+    const channels = (options.channels || template.channels).filter((channel) => (
+      (channel === 'email' && contact.email) || (channel === 'sms' && contact.phoneNumber)
+    ));
+
+    const notifications = [];
+    for (const channel of channels) {
+      const notification = await Notification.create({
+        userId: null,
+        associationId,
+        recipient: channel === 'email' ? contact.email : contact.phoneNumber,
+        type,
+        channel,
+        locale,
+        title,
+        body,
+        data,
+        priority: options.priority || 'normal'
+      });
+      notifications.push(await NotificationService.deliver(notification));
+    }
+    return notifications;
+  }
+
+  /**
+   * ⏱️ Envoyer les notifications différées arrivées à échéance et relancer les échecs
+   */
+  static async processPending(now = new Date()) {
+    const due = await Notification.findAll({
+      where: {
+        [Op.or]: [
+          { status: 'deferred', scheduledFor: { [Op.lte]: now } },
+          { status: 'failed', attempts: { [Op.lt]: MAX_ATTEMPTS }, channel: { [Op.ne]: 'in_app' } }
+        ]
+      },
+      order: [['created_at', 'ASC']],
+      limit: 200
+    });
+
+    const report = { processed: due.length, sent: 0, failed: 0 };
+    for (const notification of due) {
+      const result = await NotificationService.deliver(notification);
+      if (result.status === 'sent') report.sent++;
+      else report.failed++;
+    }
+    return report;
+  }
+
+  /**
+   * 📥 Boîte de réception in-app
+   */
+  static async listInbox(userId, { unreadOnly = false, associationId, limit = 20, offset = 0 } = {}) {
+    const where = { userId, channel: 'in_app' };
+    if (unreadOnly) where.readAt = null;
+    if (associationId) where.associationId = associationId;
+
+    const [{ count, rows }, unread] = await Promise.all([
+      Notification.findAndCountAll({
+        where,
+        attributes: ['id', 'associationId', 'type', 'title', 'body', 'data', 'readAt', 'createdAt'],
+        order: [['created_at', 'DESC']],
+        limit,
+        offset
+      }),
+      Notification.count({ where: { userId, channel: 'in_app', readAt: null } })
+    ]);
+
+    return { notifications: rows, total: count, unread };
+  }
+
+  /**
+   * ✅ Marquer comme lues (ids ou toutes)
+   */
+  static async markRead(userId, ids = null) {
+    const where = { userId, channel: 'in_app', readAt: null };
+    if (ids) where.id = ids;
+
+    const [updated] = await Notification.update({ readAt: new Date() }, { where });
+    return updated;
+  }
+}
+
+NotificationService.CHANNELS = CHANNELS;
+NotificationService.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+
+module.exports = NotificationService;
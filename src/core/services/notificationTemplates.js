@@ -0,0 +1,171 @@
+// src/core/services/notificationTemplates.js
+// Modèles de notifications par type d'événement : canaux par défaut, catégorie de préférence, textes localisés
+
+// category = clé de User.notificationSettings permettant de couper ces notifications (in-app conservé)
+const TEMPLATES = {
+  expense_submitted: {
+    category: 'aidApprovals',
+    channels: ['in_app', 'push', 'email'],
+    fr: {
+      title: 'Nouvelle demande à valider',
+      body: '{requesterName} demande {amount} {currency} pour « {title} » ({associationName}). Votre validation est attendue.'
+    },
+    en: {
+      title: 'New request awaiting approval',
+      body: '{requesterName} requests {amount} {currency} for "{title}" ({associationName}). Your approval is needed.'
+    }
+  },
+
+  expense_approved: {
+    category: 'aidApprovals',
+    channels: ['in_app', 'push', 'sms'],
+    fr: {
+      title: 'Demande approuvée',
+      body: 'Votre demande « {title} » de {amount} {currency} a été approuvée par {associationName}.'
+    },
+    en: {
+      title: 'Request approved',
+      body: 'Your request "{title}" for {amount} {currency} was approved by {associationName}.'
+    }
+  },
+
+  expense_rejected: {
+    category: 'aidApprovals',
+    channels: ['in_app', 'push'],
+    fr: {
+      title: 'Demande refusée',
+      body: 'Votre demande « {title} » a été refusée par {associationName}. Motif : {reason}'
+    },
+    en: {
+      title: 'Request declined',
+      body: 'Your request "{title}" was declined by {associationName}. Reason: {reason}'
+    }
+  },
+
+  cotisation_due: {
+    category: 'cotisationReminders',
+    channels: ['in_app', 'push', 'sms', 'email'],
+    fr: {
+      title: 'Cotisation à régler',
+      body: 'Votre cotisation {period} de {amount} {currency} à {associationName} est attendue le {dueDate}.'
+    },
+    en: {
+      title: 'Membership fee due',
+      body: 'Your {period} membership fee of {amount} {currency} to {associationName} is due on {dueDate}.'
+    }
+  },
+
+  cotisation_due_today: {
+    category: 'cotisationReminders',
+    channels: ['in_app', 'push', 'sms'],
+    fr: {
+      title: 'Cotisation à régler aujourd\'hui',
+      body: 'Votre cotisation {period} de {amount} {currency} à {associationName} est attendue aujourd\'hui.'
+    },
+    en: {
+      title: 'Membership fee due today',
+      body: 'Your {period} membership fee of {amount} {currency} to {associationName} is due today.'
+    }
+  },
+
+  cotisation_late: {
+    category: 'cotisationReminders',
+    channels: ['in_app', 'push', 'sms', 'email'],
+    fr: {
+      title: 'Cotisation en retard',
+      body: 'Votre cotisation {period} de {amount} {currency} à {associationName} n\'a pas été reçue (échéance du {dueDate}).'
+    },
+    en: {
+      title: 'Membership fee overdue',
+      body: 'Your {period} membership fee of {amount} {currency} to {associationName} has not been received (due {dueDate}).'
+    }
+  },
+
+  cotisation_final_notice: {
+    category: 'cotisationReminders',
+    channels: ['in_app', 'push', 'sms', 'email'],
+    fr: {
+      title: 'Dernière relance de cotisation',
+      body: 'Sans règlement de votre cotisation {period} ({amount} {currency}, échue le {dueDate}), {associationName} pourra appliquer les pénalités prévues par ses statuts.'
+    },
+    en: {
+      title: 'Final membership fee reminder',
+      body: 'Without payment of your {period} membership fee ({amount} {currency}, due {dueDate}), {associationName} may apply the penalties set out in its bylaws.'
+    }
+  },
+
+  tontine_payout: {
+    category: 'tontineUpdates',
+    channels: ['in_app', 'push', 'sms'],
+    priority: 'high',
+    fr: {
+      title: 'Versement de tontine reçu',
+      body: 'Vous avez reçu {amount} {currency} de la tontine « {tontineTitle} » (tour {round}).'
+    },
+    en: {
+      title: 'Tontine payout received',
+      body: 'You received {amount} {currency} from the tontine "{tontineTitle}" (round {round}).'
+    }
+  },
+
+  new_member: {
+    category: null,
+    channels: ['in_app', 'push', 'email'],
+    fr: {
+      title: 'Bienvenue dans {associationName}',
+      body: 'Vous êtes désormais membre de {associationName}.'
+    },
+    en: {
+      title: 'Welcome to {associationName}',
+      body: 'You are now a member of {associationName}.'
+    }
+  },
+
+  income_thanks: {
+    category: null,
+    channels: ['email', 'sms'],
+    fr: {
+      title: 'Merci de la part de {associationName}',
+      body: '{message}'
+    },
+    en: {
+      title: 'Thank you from {associationName}',
+      body: '{message}'
+    }
+  }
+};
+
+const DEFAULT_LOCALE = 'fr';
+
+// Remplace {clé} par la valeur fournie (chaîne vide si absente)
+function interpolate(text, data = {}) {
+  return text.replace(/\{(\w+)\}/g, (match, key) => (
+    data[key] === undefined || data[key] === null ? '' : String(data[key])
+  ));
+}
+
+/**
+ * 🌍 Texte d'une notification dans la langue du destinataire (repli sur le français)
+ */
+function render(type, locale, data) {
+  const template = TEMPLATES[type];
+  if (!template) {
+    throw new Error(`Modèle de notification inconnu: ${type}`);
+  }
+
+  const resolvedLocale = template[locale] ? locale : DEFAULT_LOCALE;
+  const texts = template[resolvedLocale];
+
+  return {
+    locale: resolvedLocale,
+    title: interpolate(texts.title, data),
+    body: interpolate(texts.body, data)
+  };
+}
+
+module.exports = {
+  TEMPLATES,
+  DEFAULT_LOCALE,
+  interpolate,
+  render
+};
@@ -0,0 +1,143 @@
+// src/core/services/notificationTransports.js
+// Transports d'envoi des notifications : SMS (Twilio), push (FCM), email (SendGrid), mémoire (tests)
+// Interface commune : send({ channel, to, title, body, data }) → { providerMessageId, invalidTokens? }
+
+const { twilioService } = require('../twilio/twilio');
+
+const INVALID_FCM_TOKEN_CODES = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+];
+
+// 📱 SMS via Twilio (mode test géré par le service Twilio)
+const smsTransport = {
+  async send({ to, title, body }) {
+    const result = await twilioService.sendNotification(to, `${title} : ${body}`, 'notification');
+    return { providerMessageId: result.sid };
+  }
+};
+
+// 🔔 Push via Firebase Cloud Messaging
+let messaging;
+
+function getMessaging() {
+  if (messaging !== undefined) return messaging;
+
+  const serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT;
+  if (!serviceAccount && !process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+    console.log('🔔 Mode test FCM activé - notifications push affichées dans la console');
+    messaging = null;
+    return messaging;
+  }
+
+  try {
+    const admin = require('firebase-admin');
+    if (!admin.apps.length) {
+      admin.initializeApp({
+        credential: serviceAccount
+          ? admin.credential.cert(JSON.parse(serviceAccount))
+          : admin.credential.applicationDefault()
+      });
+    }
+    messaging = admin.messaging();
+    console.log('✅ Client FCM initialisé');
+  } catch (error) {
+    console.warn('⚠️ Erreur initialisation FCM, mode test activé:', error.message);
+    messaging = null;
+  }
+
+  return messaging;
+}
+
+const pushTransport = {
+  async send({ to: tokens, title, body, data }) {
+    const client = getMessaging();
+
+    if (!client) {
+      console.log(`🔔 Push (mode test) à ${tokens.length} appareil(s): ${title} - ${body}`);
+      return { providerMessageId: `test_push_${Date.now()}` };
+    }
+
+    // FCM n'accepte que des valeurs texte dans data
+    const payloadData = Object.fromEntries(
+      Object.entries(data || {}).map(([key, value]) => [key, typeof value === 'string' ? value : JSON.stringify(value)])
+    );
+
+    const response = await client.sendEachForMulticast({
+      tokens,
+      notification: { title, body },
+      data: payloadData
+    });
+
+    const invalidTokens = response.responses
+      .map((r, index) => (r.error && INVALID_FCM_TOKEN_CODES.includes(r.error.code) ? tokens[index] : null))
+      .filter(Boolean);
+
+    if (response.successCount === 0) {
+      const error = new Error(response.responses.find((r) => r.error)?.error.message || 'Aucun appareil joignable');
+      error.invalidTokens = invalidTokens;
+      throw error;
+    }
+
+    return {
+      providerMessageId: response.responses.find((r) => r.messageId)?.messageId,
+      invalidTokens
+    };
+  }
+};
+
+// 📧 Email via l'API SendGrid (mode test sans clé)
+const emailTransport = {
+  async send({ to, title, body }) {
+    if (!process.env.SENDGRID_API_KEY) {
+      console.log(`📧 Email (mode test) à ${to}: ${title} - ${body}`);
+      return { providerMessageId: `test_email_${Date.now()}` };
+    }
+
+    const response = await fetch('https://api.sendgrid.com/v3/mail/send', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${process.env.SENDGRID_API_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        personalizations: [{ to: [{ email: to }] }],
+        from: {
+          email: process.env.EMAIL_FROM || 'no-reply@diaspora-tontine.com',
+          name: process.env.EMAIL_FROM_NAME || 'Diaspora Tontine'
+        },
+        subject: title,
+        content: [{ type: 'text/plain', value: body }]
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`SendGrid ${response.status}: ${await response.text()}`);
+    }
+
+    return { providerMessageId: response.headers.get('x-message-id') };
+  }
+};
+
+/**
+ * 🧪 Transport en mémoire (tests) : conserve les messages dans sent[]
+ */
+function createMemoryTransport({ fail = false } = {}) {
+  const sent = [];
+
+  return {
+    sent,
+    async send(message) {
+      if (fail) throw new Error('Échec simulé du transport');
+      sent.push(message);
+      return { providerMessageId: `memory_${sent.length}` };
+    }
+  };
+}
+
+module.exports = {
+  smsTransport,
+  pushTransport,
+  emailTransport,
+  createMemoryTransport
+};
@@ -0,0 +1,294 @@
+// src/core/services/pdfDocumentService.js
+// Génération de documents PDF (avis, attestations) stockés dans uploads/documents
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { Document } = require('../../models');
+
+const DOCUMENTS_DIR = path.join(__dirname, '..', '..', '..', 'uploads', 'documents');
+
+const PAGE_WIDTH = 595.28; // A4
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 50;
+
+// Les polices standard PDF ne couvrent que WinAnsi : remplacer le reste
+function sanitize(text) {
+  return String(text ?? '')
+    .replace(/[\u00a0\u202f]/g, ' ')
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/[\u201c\u201d]/g, '"')
+    .replace(/[\u2013\u2014]/g, '-')
+    .replace(/[^\x20-\x7e\u00a1-\u00ff\u0152\u0153\u2022\u2026\u20ac\n]/g, '?');
+}
+
+// Couleur hexadécimale (#2c5530) vers rgb pdf-lib
+function hexToRgb(hex, fallback = rgb(0, 0, 0)) {
+  const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+  if (!match) return fallback;
+  return rgb(parseInt(match[1], 16) / 255, parseInt(match[2], 16) / 255, parseInt(match[3], 16) / 255);
+}
+
+// Découper un texte en lignes selon la largeur disponible
+function wrapText(text, font, size, maxWidth) {
+  const lines = [];
+
+  sanitize(text).split('\n').forEach((paragraph) => {
+    let line = '';
+    paragraph.split(' ').forEach((word) => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (font.widthOfTextAtSize(candidate, size) > maxWidth && line) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+    lines.push(line);
+  });
+
+  return lines;
+}
+
+class PdfDocumentService {
+  /**
+   * 📄 Construire un PDF simple : en-tête, titre, sections de texte et tableaux clé/valeur
+   * theme optionnel : { primaryColor, logoPath } (logo PNG/JPG local)
+   */
+  static async buildPdf({ header = [], title, subtitle, sections = [], footer, theme = {} }) {
+    const pdf = await PDFDocument.create();
+    const font = await pdf.embedFont(StandardFonts.Helvetica);
+    const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+    const contentWidth = PAGE_WIDTH - MARGIN * 2;
+    const accent = hexToRgb(theme.primaryColor, rgb(0, 0, 0));
+
+    let page = pdf.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+    let y = PAGE_HEIGHT - MARGIN;
+
+    // En-tête : bandeau couleur et logo
+    if (theme.primaryColor) {
+      page.drawRectangle({ x: 0, y: PAGE_HEIGHT - 12, width: PAGE_WIDTH, height: 12, color: accent });
+    }
+    if (theme.logoPath && fs.existsSync(theme.logoPath)) {
+      try {
+        const bytes = fs.readFileSync(theme.logoPath);
+        const image = /\.png$/i.test(theme.logoPath) ? await pdf.embedPng(bytes) : await pdf.embedJpg(bytes);
+        const scaled = image.scaleToFit(90, 50);
+        page.drawImage(image, {
+          x: PAGE_WIDTH - MARGIN - scaled.width,
+          y: PAGE_HEIGHT - MARGIN - scaled.height,
+          width: scaled.width,
+          height: scaled.height
+        });
+      } catch (error) {
+        console.warn('⚠️ Logo non intégré au PDF:', error.message);
+      }
+    }
+
+    const ensureSpace = (height) => {
+      if (y - height < MARGIN + 30) {
+        page = pdf.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+        y = PAGE_HEIGHT - MARGIN;
+      }
+    };
+
+    const write = (text, { size = 10, useFont = font, color = rgb(0, 0, 0), indent = 0, gap = 4 } = {}) => {
+      wrapText(text, useFont, size, contentWidth - indent).forEach((line) => {
+        ensureSpace(size + gap);
+        page.drawText(line, { x: MARGIN + indent, y: y - size, size, font: useFont, color });
+        y -= size + gap;
+      });
+    };
+
+    header.forEach((line, index) => write(line, {
+      size: index === 0 ? 12 : 9,
+      useFont: index === 0 ? bold : font,
+      color: index === 0 ? accent : rgb(0, 0, 0)
+    }));
+    if (header.length) y -= 20;
+
+    write(title, { size: 16, useFont: bold, gap: 8 });
+    if (subtitle) write(subtitle, { size: 10, color: rgb(0.35, 0.35, 0.35) });
+    y -= 12;
+
+    sections.forEach((section) => {
+      if (section.heading) {
+        ensureSpace(30);
+        y -= 6;
+        write(section.heading, { size: 12, useFont: bold, gap: 6, color: accent });
+      }
+
+      (section.paragraphs || []).forEach((paragraph) => {
+        write(paragraph);
+        y -= 4;
+      });
+
+      (section.rows || []).forEach(([label, value]) => {
+        ensureSpace(16);
+        page.drawText(sanitize(label), { x: MARGIN, y: y - 10, size: 10, font: bold });
+        wrapText(value, font, 10, contentWidth - 200).forEach((line) => {
+          ensureSpace(14);
+          page.drawText(line, { x: MARGIN + 200, y: y - 10, size: 10, font });
+          y -= 14;
+        });
+      });
+
+      y -= 8;
+    });
+
+    if (footer) {
+      pdf.getPages().forEach((p, index, pages) => {
+        p.drawText(sanitize(`${footer} - page ${index + 1}/${pages.length}`), {
+          x: MARGIN,
+          y: MARGIN - 20,
+          size: 8,
+          font,
+          color: rgb(0.4, 0.4, 0.4)
+        });
+      });
+    }
+
+    return Buffer.from(await pdf.save());
+  }
+
+  /**
+   * 📊 Construire un PDF tabulaire paysage (exports) : colonnes { label, width } et lignes de valeurs
+   * Les cellules trop longues sont tronquées, l'en-tête de colonnes est répété à chaque page
+   */
+  static async buildTablePdf({ title, subtitle, columns = [], rows = [], footer, theme = {} }) {
+    const pdf = await PDFDocument.create();
+    const font = await pdf.embedFont(StandardFonts.Helvetica);
+    const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+    const width = PAGE_HEIGHT; // Paysage
+    const height = PAGE_WIDTH;
+    const margin = 30;
+    const size = 7;
+    const rowHeight = 12;
+    const accent = hexToRgb(theme.primaryColor, rgb(0.2, 0.2, 0.2));
+
+    // Largeurs proportionnelles
+    const totalWeight = columns.reduce((sum, column) => sum + (column.width || 1), 0);
+    const widths = columns.map((column) => ((column.width || 1) / totalWeight) * (width - margin * 2));
+
+    const fit = (text, useFont, maxWidth) => {
+      let value = sanitize(text).replace(/\n/g, ' ');
+      if (useFont.widthOfTextAtSize(value, size) <= maxWidth) return value;
+      while (value.length > 1 && useFont.widthOfTextAtSize(`${value}…`, size) > maxWidth) {
+        value = value.slice(0, -1);
+      }
+      return `${value}…`;
+    };
+
+    let page;
+    let y;
+
+    const drawHeaderRow = () => {
+      page.drawRectangle({ x: margin, y: y - rowHeight + 2, width: width - margin * 2, height: rowHeight, color: accent });
+      let x = margin;
+      columns.forEach((column, index) => {
+        page.drawText(fit(column.label, bold, widths[index] - 4), { x: x + 2, y: y - 7, size, font: bold, color: rgb(1, 1, 1) });
+        x += widths[index];
+      });
+      y -= rowHeight + 2;
+    };
+
+    const newPage = () => {
+      page = pdf.addPage([width, height]);
+      y = height - margin;
+    };
+
+    newPage();
+    page.drawText(sanitize(title), { x: margin, y: y - 14, size: 14, font: bold, color: accent });
+    y -= 22;
+    if (subtitle) {
+      page.drawText(sanitize(subtitle), { x: margin, y: y - 9, size: 9, font, color: rgb(0.35, 0.35, 0.35) });
+      y -= 18;
+    }
+    drawHeaderRow();
+
+    rows.forEach((row, rowIndex) => {
+      if (y - rowHeight < margin + 20) {
+        newPage();
+        drawHeaderRow();
+      }
+      if (rowIndex % 2 === 1) {
+        page.drawRectangle({ x: margin, y: y - rowHeight + 2, width: width - margin * 2, height: rowHeight, color: rgb(0.95, 0.95, 0.95) });
+      }
+      let x = margin;
+      row.forEach((cell, index) => {
+        page.drawText(fit(cell, font, widths[index] - 4), { x: x + 2, y: y - 7, size, font });
+        x += widths[index];
+      });
+      y -= rowHeight;
+    });
+
+    pdf.getPages().forEach((p, index, pages) => {
+      p.drawText(sanitize(`${footer ? `${footer} - ` : ''}page ${index + 1}/${pages.length}`), {
+        x: margin,
+        y: margin - 15,
+        size: 7,
+        font,
+        color: rgb(0.4, 0.4, 0.4)
+      });
+    });
+
+    return Buffer.from(await pdf.save());
+  }
+
+  /**
+   * 💾 Écrire un fichier généré sur disque et créer le Document associé (hash SHA256)
+   */
+  static async storeFile(buffer, { extension = 'pdf', mimeType = 'application/pdf', type, category, title, description, userId, associationId, tontineId, transactionId, visibility = 'private', templateUsed, generationData, metadata, transaction }) {
+    fs.mkdirSync(DOCUMENTS_DIR, { recursive: true });
+
+    const fileName = `${type}-${Date.now()}-${crypto.randomBytes(4).toString('hex')}.${extension}`;
+    const filePath = path.join(DOCUMENTS_DIR, fileName);
+    fs.writeFileSync(filePath, buffer);
+
+    return Document.create({
+      userId,
+      associationId: associationId || null,
+      tontineId: tontineId || null,
+      transactionId: transactionId || null,
+      type,
+      category: category || null,
+      title,
+      description,
+      fileName,
+      fileUrl: `uploads/documents/${fileName}`,
+      filePath,
+      fileSize: buffer.length,
+      mimeType,
+      fileHash: crypto.createHash('sha256').update(buffer).digest('hex'),
+      status: 'validated',
+      validatedAt: new Date(),
+      issuedDate: new Date(),
+      isGenerated: true,
+      templateUsed: templateUsed || type,
+      generationData: generationData || null,
+      visibility,
+      uploadedFrom: 'admin',
+      metadata: metadata || null
+    }, { transaction });
+  }
+
+  /**
+   * 💾 Enregistrer un PDF généré
+   */
+  static async storePdf(buffer, documentData) {
+    return PdfDocumentService.storeFile(buffer, { ...documentData, extension: 'pdf', mimeType: 'application/pdf' });
+  }
+
+  /**
+   * 🧾 Générer et enregistrer un document PDF en une étape
+   */
+  static async generateDocument(layout, documentData) {
+    const buffer = await PdfDocumentService.buildPdf(layout);
+    return PdfDocumentService.storePdf(buffer, documentData);
+  }
+}
+
+PdfDocumentService.DOCUMENTS_DIR = DOCUMENTS_DIR;
+
+module.exports = PdfDocumentService;
@@ -0,0 +1,190 @@
+// src/core/users/controllers/notificationController.js
+// Notifications de l'utilisateur connecté : boîte in-app, préférences, appareils push
+
+const { User } = require('../../../models');
+const NotificationService = require('../../services/notificationService');
+
+const SETTING_KEYS = ['pushEnabled', 'smsEnabled', 'emailEnabled', 'cotisationReminders', 'tontineUpdates', 'aidApprovals', 'quietHours'];
+
+class NotificationController {
+  constructor() {
+    this.getNotifications = this.getNotifications.bind(this);
+    this.markAsRead = this.markAsRead.bind(this);
+    this.markAllAsRead = this.markAllAsRead.bind(this);
+    this.getSettings = this.getSettings.bind(this);
+    this.updateSettings = this.updateSettings.bind(this);
+    this.registerDevice = this.registerDevice.bind(this);
+    this.unregisterDevice = this.unregisterDevice.bind(this);
+  }
+
+  /**
+   * 📥 Notifications in-app
+   * GET /api/v1/users/me/notifications
+   */
+  async getNotifications(req, res) {
+    try {
+      const { unreadOnly, associationId, limit = 20, offset = 0 } = req.query;
+
+      const data = await NotificationService.listInbox(req.user.id, {
+        unreadOnly: unreadOnly === 'true',
+        associationId: associationId ? parseInt(associationId) : null,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      });
+
+      res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur récupération notifications', 'NOTIFICATIONS_FETCH_ERROR');
+    }
+  }
+
+  /**
+   * ✅ Marquer une notification comme lue
+   * POST /api/v1/users/me/notifications/:notificationId/read
+   */
+  async markAsRead(req, res) {
+    try {
+      const updated = await NotificationService.markRead(req.user.id, [parseInt(req.params.notificationId)]);
+
+      res.json({
+        success: true,
+        data: { updated }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur lecture notification', 'NOTIFICATION_READ_ERROR');
+    }
+  }
+
+  /**
+   * ✅ Tout marquer comme lu
+   * POST /api/v1/users/me/notifications/read-all
+   */
+  async markAllAsRead(req, res) {
+    try {
+      const updated = await NotificationService.markRead(req.user.id);
+
+      res.json({
+        success: true,
+        message: `${updated} notification(s) marquée(s) comme lue(s)`,
+        data: { updated }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur lecture notifications', 'NOTIFICATIONS_READ_ERROR');
+    }
+  }
+
+  /**
+   * ⚙️ Préférences de notification
+   * GET /api/v1/users/me/notification-settings
+   */
+  async getSettings(req, res) {
+    try {
+      const user = await User.findByPk(req.user.id, { attributes: ['id', 'notificationSettings', 'timezone', 'language'] });
+
+      res.json({
+        success: true,
+        data: {
+          settings: NotificationService.getSettings(user),
+          timezone: user.timezone,
+          language: user.language
+        }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur récupération préférences', 'NOTIFICATION_SETTINGS_FETCH_ERROR');
+    }
+  }
+
+  /**
+   * ⚙️ Modifier canaux, catégories et heures de silence
+   * PUT /api/v1/users/me/notification-settings
+   */
+  async updateSettings(req, res) {
+    try {
+      const user = await User.findByPk(req.user.id);
+
+      const updates = Object.fromEntries(
+        SETTING_KEYS.filter((key) => req.body[key] !== undefined).map((key) => [key, req.body[key]])
+      );
+
+      await user.update({
+        notificationSettings: { ...NotificationService.getSettings(user), ...updates },
+        ...(req.body.timezone && { timezone: req.body.timezone })
+      });
+
+      res.json({
+        success: true,
+        message: 'Préférences de notification mises à jour',
+        data: {
+          settings: user.notificationSettings,
+          timezone: user.timezone
+        }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur mise à jour préférences', 'NOTIFICATION_SETTINGS_UPDATE_ERROR');
+    }
+  }
+
+  /**
+   * 📱 Enregistrer un appareil pour les notifications push (jeton FCM)
+   * POST /api/v1/users/me/devices
+   */
+  async registerDevice(req, res) {
+    try {
+      const { token, platform } = req.body;
+      const user = await User.findByPk(req.user.id, { attributes: ['id', 'fcmTokens'] });
+
+      const others = (user.fcmTokens || []).filter((entry) => (typeof entry === 'string' ? entry : entry?.token) !== token);
+      await user.update({
+        fcmTokens: [...others, { token, platform: platform || null, registeredAt: new Date().toISOString() }]
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Appareil enregistré',
+        data: { devices: user.fcmTokens.length }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur enregistrement appareil', 'DEVICE_REGISTER_ERROR');
+    }
+  }
+
+  /**
+   * 📱 Retirer un appareil
+   * DELETE /api/v1/users/me/devices/:token
+   */
+  async unregisterDevice(req, res) {
+    try {
+      await NotificationService.removeFcmTokens(req.user.id, [req.params.token]);
+
+      res.json({
+        success: true,
+        message: 'Appareil retiré'
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur suppression appareil', 'DEVICE_UNREGISTER_ERROR');
+    }
+  }
+
+  // 🔧 Réponse d'erreur
+  handleError(res, error, message, code) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+      error: message,
+      code,
+      details: error.message
+    });
+  }
+}
+
+module.exports = new NotificationController();
@@ -1,10 +1,137 @@
 const express = require('express');
+const { body, param, query } = require('express-validator');
 const { authenticate } = require('../../auth/middleware/auth');
+const { handleValidationErrors } = require('../../middleware/validation');
 const userController = require('../controllers/userController');
+const notificationController = require('../controllers/notificationController');
 
 const router = express.Router();
 
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const validateListNotifications = [
+  query('unreadOnly')
+    .optional()
+    .isBoolean()
+    .withMessage('unreadOnly doit être un booléen'),
+
+  query('associationId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limite invalide (1-100)'),
+
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Offset invalide'),
+
+  handleValidationErrors
+];
+
+const validateNotificationId = [
+  param('notificationId')
+    .isInt({ min: 1 })
+    .withMessage('ID notification invalide'),
+
+  handleValidationErrors
+];
+
+const validateSettings = [
+  body(['pushEnabled', 'smsEnabled', 'emailEnabled', 'cotisationReminders', 'tontineUpdates', 'aidApprovals'])
+    .optional()
+    .isBoolean()
+    .withMessage('Préférence booléenne attendue'),
+
+  body('quietHours')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('Heures de silence : { start, end } attendu'),
+
+  body(['quietHours.start', 'quietHours.end'])
+    .if(body('quietHours').exists({ values: 'null' }))
+    .matches(TIME_PATTERN)
+    .withMessage('Heure invalide (format HH:MM)'),
+
+  body('timezone')
+    .optional()
+    .custom((value) => {
+      new Intl.DateTimeFormat('fr-FR', { timeZone: value });
+      return true;
+    })
+    .withMessage('Fuseau horaire invalide'),
+
+  handleValidationErrors
+];
+
+const validateDevice = [
+  body('token')
+    .trim()
+    .isLength({ min: 10, max: 4096 })
+    .withMessage('Jeton FCM requis'),
+
+  body('platform')
+    .optional()
+    .isIn(['android', 'ios', 'web'])
+    .withMessage('Plateforme invalide (android, ios, web)'),
+
+  handleValidationErrors
+];
+
 // GET /api/v1/users/me - Profil utilisateur complet
 router.get('/me', authenticate, userController.getProfile);
 
-module.exports = router; 
\ No newline at end of file
+/**
+ * @route GET /api/v1/users/me/notifications
+ * @desc Notifications in-app (?unreadOnly, ?associationId, pagination)
+ * @access Utilisateur connecté
+ */
+router.get('/me/notifications', authenticate, validateListNotifications, notificationController.getNotifications);
+
+/**
+ * @route POST /api/v1/users/me/notifications/read-all
+ * @desc Marquer toutes les notifications comme lues
+ * @access Utilisateur connecté
+ */
+router.post('/me/notifications/read-all', authenticate, notificationController.markAllAsRead);
+
+/**
+ * @route POST /api/v1/users/me/notifications/:notificationId/read
+ * @desc Marquer une notification comme lue
+ * @access Utilisateur connecté
+ */
+router.post('/me/notifications/:notificationId/read', authenticate, validateNotificationId, notificationController.markAsRead);
+
+/**
+ * @route GET /api/v1/users/me/notification-settings
+ * @desc Canaux, catégories et heures de silence
+ * @access Utilisateur connecté
+ */
+router.get('/me/notification-settings', authenticate, notificationController.getSettings);
+
+/**
+ * @route PUT /api/v1/users/me/notification-settings
+ * @desc Modifier les préférences (quietHours: { start: "22:00", end: "07:00" } dans le fuseau timezone)
+ * @access Utilisateur connecté
+ */
+router.put('/me/notification-settings', authenticate, validateSettings, notificationController.updateSettings);
+
+/**
+ * @route POST /api/v1/users/me/devices
+ * @desc Enregistrer un appareil pour les notifications push (jeton FCM)
+ * @access Utilisateur connecté
+ */
+router.post('/me/devices', authenticate, validateDevice, notificationController.registerDevice);
+
+/**
+ * @route DELETE /api/v1/users/me/devices/:token
+ * @desc Retirer un appareil
+ * @access Utilisateur connecté
+ */
+router.delete('/me/devices/:token', authenticate, notificationController.unregisterDevice);
+
+module.exports = router;
@@ -0,0 +1,169 @@
+//src/models/Notification.js
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Notification extends Model {
+    static associate(models) {
+      // Destinataire (null pour un contact externe : donateur, etc.)
+      Notification.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user'
+      });
+
+      Notification.belongsTo(models.Association, {
+        foreignKey: 'associationId',
+        as: 'association'
+      });
+    }
+
+    // Notification in-app non lue
+    isUnread() {
+      return this.channel === 'in_app' && !this.readAt;
+    }
+  }
+
+  Notification.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+
+    // 👤 DESTINATAIRE
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+
+    associationId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'associations',
+        key: 'id'
+      }
+    },
+
+    recipient: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'Numéro, email ou nombre d\'appareils selon le canal'
+    },
+
+    // 📨 MESSAGE
+    type: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      comment: 'Modèle de message (expense_submitted, cotisation_late, ...)'
+    },
+
+    channel: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [['in_app', 'push', 'sms', 'email']]
+      }
+    },
+
+    locale: {
+      type: DataTypes.STRING(5),
+      allowNull: false,
+      defaultValue: 'fr'
+    },
+
+    title: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+
+    body: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+
+    data: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Contexte (IDs liés, lien d\'action)'
+    },
+
+    priority: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      defaultValue: 'normal',
+      validate: {
+        isIn: [['normal', 'high']]
+      },
+      comment: 'high = envoyé même pendant les heures de silence'
+    },
+
+    // 📬 ENVOI
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'pending',
+      validate: {
+        isIn: [['pending', 'deferred', 'sent', 'failed']]
+      }
+    },
+
+    scheduledFor: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Envoi différé à la fin des heures de silence'
+    },
+
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+
+    sentAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
+    providerMessageId: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'Identifiant Twilio / FCM / email'
+    },
+
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    readAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Lecture (notifications in-app)'
+    }
+  }, {
+    sequelize,
+    modelName: 'Notification',
+    tableName: 'notifications',
+    underscored: true,
+    timestamps: true,
+
+    indexes: [
+      {
+        fields: ['user_id', 'channel', 'read_at']
+      },
+      {
+        fields: ['status', 'scheduled_for']
+      },
+      {
+        fields: ['association_id', 'type']
+      }
+    ]
+  });
+
+  return Notification;
+};
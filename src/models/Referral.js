@@ -0,0 +1,195 @@
+//src/models/Referral.js
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Referral extends Model {
+    static associate(models) {
+      // Parrain
+      Referral.belongsTo(models.User, {
+        foreignKey: 'referrerId',
+        as: 'referrer'
+      });
+
+      // Filleul
+      Referral.belongsTo(models.User, {
+        foreignKey: 'refereeId',
+        as: 'referee'
+      });
+
+      // Tontine rejointe via le parrainage (optionnel)
+      Referral.belongsTo(models.Tontine, {
+        foreignKey: 'tontineId',
+        as: 'tontine'
+      });
+
+      Referral.belongsTo(models.TontineParticipant, {
+        foreignKey: 'participantId',
+        as: 'participant'
+      });
+
+      // Transaction de crédit du bonus
+      Referral.belongsTo(models.Transaction, {
+        foreignKey: 'bonusTransactionId',
+        as: 'bonusTransaction'
+      });
+    }
+
+    // Bonus encore en attente mais dont le délai est dépassé
+    isExpired() {
+      return this.status === 'pending' && this.expiresAt && new Date() > this.expiresAt;
+    }
+  }
+
+  Referral.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+
+    // 🔗 PARRAIN / FILLEUL
+    referrerId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Utilisateur parrain (propriétaire du code)'
+    },
+
+    refereeId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Utilisateur parrainé'
+    },
+
+    referralCode: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Code utilisé lors du parrainage'
+    },
+
+    // 🎯 CONTEXTE
+    type: {
+      type: DataTypes.STRING(30),
+      allowNull: false,
+      validate: {
+        isIn: [['platform_signup', 'tontine_join']]
+      },
+      comment: 'Inscription plateforme ou adhésion à une tontine'
+    },
+
+    tontineId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'tontines',
+        key: 'id'
+      }
+    },
+
+    participantId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'tontine_participants',
+        key: 'id'
+      },
+      comment: 'Participation du filleul créée via le parrainage'
+    },
+
+    // 💰 BONUS
+    trigger: {
+      type: DataTypes.STRING(30),
+      allowNull: false,
+      validate: {
+        isIn: [['registration', 'first_contribution']]
+      },
+      comment: 'Événement déclenchant le crédit du bonus'
+    },
+
+    bonusAmount: {
+      type: DataTypes.DECIMAL(8, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+
+    refereeBonusAmount: {
+      type: DataTypes.DECIMAL(8, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      comment: 'Bonus de bienvenue crédité au filleul'
+    },
+
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: 'EUR'
+    },
+
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'pending',
+      validate: {
+        isIn: [['pending', 'earned', 'expired', 'cancelled']]
+      }
+    },
+
+    earnedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Date limite pour remplir la condition du bonus'
+    },
+
+    bonusTransactionId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'transactions',
+        key: 'id'
+      }
+    },
+
+    metadata: {
+      type: DataTypes.JSON,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'Referral',
+    tableName: 'referrals',
+    underscored: true,
+    timestamps: true,
+
+    indexes: [
+      {
+        fields: ['referrer_id']
+      },
+      {
+        fields: ['referee_id']
+      },
+      {
+        fields: ['status']
+      },
+      {
+        unique: true,
+        fields: ['referee_id', 'type', 'tontine_id'],
+        name: 'unique_referral_per_context'
+      }
+    ]
+  });
+
+  return Referral;
+};
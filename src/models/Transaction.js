@@ -81,7 +81,9 @@ module.exports = (sequelize, DataTypes) => {
         'aide': 'Aide financière',
         'versement_tontine': 'Versement tontine',
         'remboursement': 'Remboursement',
-        'commission': 'Commission DiasporaTontine'
+        'commission': 'Commission DiasporaTontine',
+        'echange_position': 'Prime échange de position tontine',
+        'bonus_parrainage': 'Bonus parrainage'
       };
       
       return descriptions[this.type] || this.description || 'Transaction';
@@ -165,11 +167,15 @@ module.exports = (sequelize, DataTypes) => {
           'cotisation',           // Cotisation association
           'cotisation_tontine',   // Cotisation tontine
           'aide',                 // Aide association
+          'pret',                 // Décaissement prêt association
           'versement_tontine',    // Versement tontine (bénéficiaire)
           'remboursement',        // Remboursement défaillance
           'commission',           // Commission DiasporaTontine
+          'echange_position',     // Prime/décote échange de position tontine
+          'bonus_parrainage',     // Bonus programme de parrainage
           'refund',
-          'income_entry'               // Remboursement client
+          'income_entry',              // Remboursement client
+          'event_ticket'          // Billet d'événement payant
         ]]
       },
       comment: 'Type de transaction'
@@ -211,6 +217,25 @@ module.exports = (sequelize, DataTypes) => {
       comment: 'Devise de la transaction'
     },
     
+    // 💱 CONVERSION (devise principale de l'association, au taux du jour de comptabilisation)
+    exchangeRate: {
+      type: DataTypes.DECIMAL(18, 8),
+      allowNull: true,
+      comment: 'Taux appliqué : 1 unité de currency = exchangeRate devise principale'
+    },
+    
+    convertedAmount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: true,
+      comment: 'Montant converti en devise principale'
+    },
+    
+    convertedCurrency: {
+      type: DataTypes.STRING(3),
+      allowNull: true,
+      comment: 'Devise principale de l\'association au moment de la conversion'
+    },
+    
     // 📅 PÉRIODE (pour cotisations)
     month: {
       type: DataTypes.INTEGER,
@@ -2,6 +2,7 @@
 "use strict";
 const { Model } = require("sequelize");
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
 
 module.exports = (sequelize, DataTypes) => {
   class User extends Model {
@@ -43,6 +44,7 @@ module.exports = (sequelize, DataTypes) => {
       const values = { ...this.get() };
       delete values.password;
       delete values.pinCode;
+      delete values.calendarFeedToken;
       return values;
     }
 
@@ -260,6 +262,13 @@ module.exports = (sequelize, DataTypes) => {
         comment: "Tokens Firebase pour notifications push",
       },
 
+      calendarFeedToken: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+        unique: true,
+        comment: "Jeton de l'abonnement iCalendar personnel (URL secrète)",
+      },
+
       // 🔒 SECURITE
       loginAttempts: {
         type: DataTypes.INTEGER,
@@ -316,7 +325,7 @@ module.exports = (sequelize, DataTypes) => {
       paranoid: true, // Soft delete avec deleted_at
 
       hooks: {
-        beforeCreate: async (user) => {
+        beforeCreate: async (user, options) => {
           // Hash password si fourni
           if (user.password) {
             user.password = await bcrypt.hash(user.password, 12);
@@ -327,13 +336,20 @@ module.exports = (sequelize, DataTypes) => {
             user.pinCode = await bcrypt.hash(user.pinCode, 12);
           }
 
-          // Générer code parrainage unique
+          // Générer code parrainage unique (vérifié en base)
           if (!user.referralCode) {
-            const timestamp = Date.now().toString().slice(-6);
-            const random = Math.floor(Math.random() * 1000)
-              .toString()
-              .padStart(3, "0");
-            user.referralCode = `REF${timestamp}${random}`;
+            const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+            for (let attempt = 0; attempt < 10 && !user.referralCode; attempt++) {
+              const code =
+                "REF" +
+                Array.from(crypto.randomBytes(6), (b) => alphabet[b % alphabet.length]).join("");
+              const taken = await User.count({
+                where: { referralCode: code },
+                paranoid: false,
+                transaction: options.transaction,
+              });
+              if (!taken) user.referralCode = code;
+            }
           }
         },
 
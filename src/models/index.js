@@ -71,9 +71,11 @@ console.log('\n🔍 Vérification intégrité des associations...');
 const expectedModels = [
   'User', 'Association', 'Section', 'AssociationMember',
   'Tontine', 'TontineParticipant', 'Rating',
-  'Transaction', 'Document', 'Event',
+  'Transaction', 'Document', 'Event', 'Referral', 'Notification',
   // ➕ Nouveaux modèles
-  'ExpenseRequest', 'LoanRepayment'
+  'ExpenseRequest', 'LoanRepayment', 'LateFee',
+  'LedgerAccount', 'LedgerEntry', 'LedgerLine', 'Fund', 'ExchangeRate', 'Budget', 'BudgetLine',
+  'Ballot', 'BallotVote', 'VotingProxy', 'EventTicket'
 ];
 
 const missingModels = expectedModels.filter(model => !db[model]);
@@ -103,10 +105,12 @@ db.checkModelsIntegrity = () => {
 db.getModelsSummary = () => {
   return {
     totalModels: Object.keys(db).filter(k => typeof db[k] === 'function').length,
-    coreModels: ['User', 'Transaction', 'Document'].filter(m => db[m]).length,
+    coreModels: ['User', 'Transaction', 'Document', 'Referral', 'Notification'].filter(m => db[m]).length,
     associationModels: [
       'Association', 'Section', 'AssociationMember',
-      'ExpenseRequest', 'LoanRepayment' // ✅ inclus ici
+      'ExpenseRequest', 'LoanRepayment', 'LateFee', // ✅ inclus ici
+      'LedgerAccount', 'LedgerEntry', 'LedgerLine', 'Fund', 'ExchangeRate', 'Budget', 'BudgetLine',
+      'Ballot', 'BallotVote', 'VotingProxy', 'EventTicket'
     ].filter(m => db[m]).length,
     tontineModels: ['Tontine', 'TontineParticipant', 'Rating'].filter(m => db[m]).length,
     supportModels: ['Event'].filter(m => db[m]).length
@@ -0,0 +1,195 @@
+// src/modules/associations/controllers/approvalPolicyController.js
+// Politiques de validation des dépenses : règles, simulation, délégations
+
+const ApprovalPolicyService = require('../services/approvalPolicyService');
+
+class ApprovalPolicyController {
+  constructor() {
+    this.getPolicies = this.getPolicies.bind(this);
+    this.createPolicy = this.createPolicy.bind(this);
+    this.updatePolicy = this.updatePolicy.bind(this);
+    this.deletePolicy = this.deletePolicy.bind(this);
+    this.previewPolicy = this.previewPolicy.bind(this);
+    this.getDelegations = this.getDelegations.bind(this);
+    this.createDelegation = this.createDelegation.bind(this);
+    this.revokeDelegation = this.revokeDelegation.bind(this);
+  }
+
+  /**
+   * 📋 Règles de validation et délégations en cours
+   * GET /api/v1/associations/:associationId/approval-policies
+   */
+  async getPolicies(req, res) {
+    try {
+      const data = await ApprovalPolicyService.listRules(parseInt(req.params.associationId));
+
+      res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur récupération politiques de validation', 'APPROVAL_POLICIES_FETCH_ERROR');
+    }
+  }
+
+  /**
+   * ➕ Ajouter une règle de validation
+   * POST /api/v1/associations/:associationId/approval-policies
+   */
+  async createPolicy(req, res) {
+    try {
+      const rule = await ApprovalPolicyService.createRule(parseInt(req.params.associationId), req.body, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Règle de validation créée',
+        data: { rule }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur création règle de validation', 'APPROVAL_POLICY_CREATION_ERROR');
+    }
+  }
+
+  /**
+   * ✏️ Modifier une règle (sans effet sur les demandes déjà créées)
+   * PUT /api/v1/associations/:associationId/approval-policies/:ruleId
+   */
+  async updatePolicy(req, res) {
+    try {
+      const rule = await ApprovalPolicyService.updateRule(
+        parseInt(req.params.associationId),
+        req.params.ruleId,
+        req.body,
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        message: 'Règle de validation modifiée',
+        data: { rule }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur modification règle de validation', 'APPROVAL_POLICY_UPDATE_ERROR');
+    }
+  }
+
+  /**
+   * 🗑️ Supprimer une règle
+   * DELETE /api/v1/associations/:associationId/approval-policies/:ruleId
+   */
+  async deletePolicy(req, res) {
+    try {
+      await ApprovalPolicyService.deleteRule(parseInt(req.params.associationId), req.params.ruleId);
+
+      res.json({
+        success: true,
+        message: 'Règle de validation supprimée'
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur suppression règle de validation', 'APPROVAL_POLICY_DELETE_ERROR');
+    }
+  }
+
+  /**
+   * 🧪 Simuler le circuit de validation d'une demande
+   * POST /api/v1/associations/:associationId/approval-policies/preview
+   */
+  async previewPolicy(req, res) {
+    try {
+      const { requiredValidators, approvalPolicy } = await ApprovalPolicyService.resolvePolicy(
+        parseInt(req.params.associationId),
+        req.body
+      );
+
+      res.json({
+        success: true,
+        data: { requiredValidators, approvalPolicy }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur simulation circuit de validation', 'APPROVAL_POLICY_PREVIEW_ERROR');
+    }
+  }
+
+  /**
+   * 🤝 Délégations de validation (?includeInactive=true pour l'historique)
+   * GET /api/v1/associations/:associationId/approval-delegations
+   */
+  async getDelegations(req, res) {
+    try {
+      const delegations = await ApprovalPolicyService.listDelegations(parseInt(req.params.associationId), {
+        includeInactive: req.query.includeInactive === 'true'
+      });
+
+      res.json({
+        success: true,
+        data: { delegations }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur récupération délégations', 'DELEGATIONS_FETCH_ERROR');
+    }
+  }
+
+  /**
+   * ➕ Déléguer son droit de validation pendant une absence
+   * POST /api/v1/associations/:associationId/approval-delegations
+   */
+  async createDelegation(req, res) {
+    try {
+      const delegation = await ApprovalPolicyService.createDelegation(
+        parseInt(req.params.associationId),
+        req.body,
+        { user: req.user, membership: req.membership }
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Délégation enregistrée',
+        data: { delegation }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur création délégation', 'DELEGATION_CREATION_ERROR');
+    }
+  }
+
+  /**
+   * ⛔ Révoquer une délégation
+   * DELETE /api/v1/associations/:associationId/approval-delegations/:delegationId
+   */
+  async revokeDelegation(req, res) {
+    try {
+      const delegation = await ApprovalPolicyService.revokeDelegation(
+        parseInt(req.params.associationId),
+        req.params.delegationId,
+        { user: req.user, membership: req.membership }
+      );
+
+      res.json({
+        success: true,
+        message: 'Délégation révoquée',
+        data: { delegation }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur révocation délégation', 'DELEGATION_REVOKE_ERROR');
+    }
+  }
+
+  // 🔧 Réponse d'erreur (erreurs métier du service : status + code)
+  handleError(res, error, message, code) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+      error: message,
+      code,
+      details: error.message
+    });
+  }
+}
+
+module.exports = new ApprovalPolicyController();
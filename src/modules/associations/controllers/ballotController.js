@@ -0,0 +1,389 @@
+// src/modules/associations/controllers/ballotController.js
+// Votes d'assemblée générale : scrutins, procurations, résultats et procès-verbaux signés
+
+const BallotService = require('../services/ballotService');
+const MeetingMinutesService = require('../services/meetingMinutesService');
+
+class BallotController {
+  constructor() {
+    this.getBallots = this.getBallots.bind(this);
+    this.getBallot = this.getBallot.bind(this);
+    this.createBallot = this.createBallot.bind(this);
+    this.updateBallot = this.updateBallot.bind(this);
+    this.openBallot = this.openBallot.bind(this);
+    this.closeBallot = this.closeBallot.bind(this);
+    this.cancelBallot = this.cancelBallot.bind(this);
+    this.castVote = this.castVote.bind(this);
+    this.getResults = this.getResults.bind(this);
+    this.getVotes = this.getVotes.bind(this);
+    this.getProxies = this.getProxies.bind(this);
+    this.createProxy = this.createProxy.bind(this);
+    this.revokeProxy = this.revokeProxy.bind(this);
+    this.generateBallotMinutes = this.generateBallotMinutes.bind(this);
+    this.generateEventMinutes = this.generateEventMinutes.bind(this);
+    this.verifyMinutes = this.verifyMinutes.bind(this);
+  }
+
+  /**
+   * 📋 Scrutins de l'association
+   * GET /api/v1/associations/:associationId/ballots
+   */
+  async getBallots(req, res) {
+    try {
+      const ballots = await BallotService.listBallots(parseInt(req.params.associationId), req.query);
+
+      res.json({
+        success: true,
+        data: { ballots }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur récupération scrutins', 'BALLOTS_FETCH_ERROR');
+    }
+  }
+
+  /**
+   * 🔎 Détail d'un scrutin (droit de vote, vote effectué, procurations détenues)
+   * GET /api/v1/associations/:associationId/ballots/:ballotId
+   */
+  async getBallot(req, res) {
+    try {
+      const data = await BallotService.getBallotForMember(
+        parseInt(req.params.associationId),
+        parseInt(req.params.ballotId),
+        req.membership
+      );
+
+      res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur récupération scrutin', 'BALLOT_FETCH_ERROR');
+    }
+  }
+
+  /**
+   * ➕ Créer un scrutin (brouillon)
+   * POST /api/v1/associations/:associationId/ballots
+   */
+  async createBallot(req, res) {
+    try {
+      const ballot = await BallotService.createBallot(parseInt(req.params.associationId), req.body, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Scrutin créé',
+        data: { ballot }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur création scrutin', 'BALLOT_CREATION_ERROR');
+    }
+  }
+
+  /**
+   * ✏️ Modifier un scrutin en brouillon
+   * PUT /api/v1/associations/:associationId/ballots/:ballotId
+   */
+  async updateBallot(req, res) {
+    try {
+      const ballot = await BallotService.updateBallot(
+        parseInt(req.params.associationId),
+        parseInt(req.params.ballotId),
+        req.body
+      );
+
+      res.json({
+        success: true,
+        message: 'Scrutin modifié',
+        data: { ballot }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur modification scrutin', 'BALLOT_UPDATE_ERROR');
+    }
+  }
+
+  /**
+   * 🗳️ Ouvrir le vote (liste d'émargement figée)
+   * POST /api/v1/associations/:associationId/ballots/:ballotId/open
+   */
+  async openBallot(req, res) {
+    try {
+      const ballot = await BallotService.openBallot(parseInt(req.params.associationId), parseInt(req.params.ballotId));
+
+      res.json({
+        success: true,
+        message: `Vote ouvert : ${ballot.electorate.length} électeur(s) inscrit(s)`,
+        data: {
+          ballot: { id: ballot.id, status: ballot.status, openedAt: ballot.openedAt },
+          electorate: ballot.electorate.length
+        }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur ouverture scrutin', 'BALLOT_OPEN_ERROR');
+    }
+  }
+
+  /**
+   * 🔒 Clôturer le vote et publier les résultats
+   * POST /api/v1/associations/:associationId/ballots/:ballotId/close
+   */
+  async closeBallot(req, res) {
+    try {
+      const ballot = await BallotService.closeBallot(
+        parseInt(req.params.associationId),
+        parseInt(req.params.ballotId),
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        message: 'Vote clôturé',
+        data: { results: ballot.results }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur clôture scrutin', 'BALLOT_CLOSE_ERROR');
+    }
+  }
+
+  /**
+   * ⛔ Annuler un scrutin
+   * POST /api/v1/associations/:associationId/ballots/:ballotId/cancel
+   */
+  async cancelBallot(req, res) {
+    try {
+      const ballot = await BallotService.cancelBallot(parseInt(req.params.associationId), parseInt(req.params.ballotId));
+
+      res.json({
+        success: true,
+        message: 'Scrutin annulé',
+        data: { ballot: { id: ballot.id, status: ballot.status } }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur annulation scrutin', 'BALLOT_CANCEL_ERROR');
+    }
+  }
+
+  /**
+   * ✅ Voter (en son nom ou par procuration avec onBehalfOf)
+   * POST /api/v1/associations/:associationId/ballots/:ballotId/vote
+   */
+  async castVote(req, res) {
+    try {
+      const receipt = await BallotService.castVote(
+        parseInt(req.params.associationId),
+        parseInt(req.params.ballotId),
+        {
+          membership: req.membership,
+          choice: req.body.choice,
+          onBehalfOf: req.body.onBehalfOf
+        }
+      );
+
+      res.status(201).json({
+        success: true,
+        message: receipt.byProxy ? 'Vote par procuration enregistré' : 'Vote enregistré',
+        data: { receipt }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur enregistrement vote', 'VOTE_CAST_ERROR');
+    }
+  }
+
+  /**
+   * 📊 Résultats (publiés à la clôture ; participation seule pendant le vote)
+   * GET /api/v1/associations/:associationId/ballots/:ballotId/results
+   */
+  async getResults(req, res) {
+    try {
+      const ballot = await BallotService.getBallot(parseInt(req.params.associationId), parseInt(req.params.ballotId));
+
+      if (ballot.status !== 'closed') {
+        const participants = Object.values(ballot.tally || {}).reduce((sum, n) => sum + n, 0);
+        return res.json({
+          success: true,
+          data: {
+            status: ballot.status,
+            participation: { eligible: (ballot.electorate || []).length, participants },
+            results: null
+          }
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          status: ballot.status,
+          results: ballot.results,
+          minutesDocumentId: ballot.minutesDocumentId
+        }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur récupération résultats', 'BALLOT_RESULTS_ERROR');
+    }
+  }
+
+  /**
+   * 📝 Émargement (choix affichés seulement pour un vote public)
+   * GET /api/v1/associations/:associationId/ballots/:ballotId/votes
+   */
+  async getVotes(req, res) {
+    try {
+      const { ballot, votes } = await BallotService.listVotes(parseInt(req.params.associationId), parseInt(req.params.ballotId));
+
+      res.json({
+        success: true,
+        data: {
+          secret: ballot.secret,
+          eligible: (ballot.electorate || []).length,
+          votes
+        }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur récupération émargement', 'BALLOT_VOTES_FETCH_ERROR');
+    }
+  }
+
+  /**
+   * 📋 Procurations
+   * GET /api/v1/associations/:associationId/voting-proxies
+   */
+  async getProxies(req, res) {
+    try {
+      const proxies = await BallotService.listProxies(parseInt(req.params.associationId), req.query, req.membership);
+
+      res.json({
+        success: true,
+        data: { proxies }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur récupération procurations', 'PROXIES_FETCH_ERROR');
+    }
+  }
+
+  /**
+   * ✍️ Donner procuration
+   * POST /api/v1/associations/:associationId/voting-proxies
+   */
+  async createProxy(req, res) {
+    try {
+      const proxy = await BallotService.createProxy(parseInt(req.params.associationId), req.body, {
+        user: req.user,
+        membership: req.membership
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Procuration enregistrée',
+        data: { proxy }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur création procuration', 'PROXY_CREATION_ERROR');
+    }
+  }
+
+  /**
+   * ⛔ Révoquer une procuration
+   * DELETE /api/v1/associations/:associationId/voting-proxies/:proxyId
+   */
+  async revokeProxy(req, res) {
+    try {
+      const proxy = await BallotService.revokeProxy(
+        parseInt(req.params.associationId),
+        parseInt(req.params.proxyId),
+        req.membership
+      );
+
+      res.json({
+        success: true,
+        message: 'Procuration révoquée',
+        data: { proxy }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur révocation procuration', 'PROXY_REVOKE_ERROR');
+    }
+  }
+
+  /**
+   * 📜 Procès-verbal signé d'un scrutin autonome
+   * POST /api/v1/associations/:associationId/ballots/:ballotId/minutes
+   */
+  async generateBallotMinutes(req, res) {
+    try {
+      const { document, signature } = await MeetingMinutesService.generateMinutes(
+        parseInt(req.params.associationId),
+        { ballotId: parseInt(req.params.ballotId) },
+        { user: req.user, signatories: req.body.signatories }
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Procès-verbal généré',
+        data: { document, signature }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur génération procès-verbal', 'MINUTES_GENERATION_ERROR');
+    }
+  }
+
+  /**
+   * 📜 Procès-verbal signé d'une assemblée générale (tous ses scrutins)
+   * POST /api/v1/associations/:associationId/events/:eventId/minutes
+   */
+  async generateEventMinutes(req, res) {
+    try {
+      const { document, signature } = await MeetingMinutesService.generateMinutes(
+        parseInt(req.params.associationId),
+        { eventId: parseInt(req.params.eventId) },
+        { user: req.user, signatories: req.body.signatories }
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Procès-verbal généré',
+        data: { document, signature }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur génération procès-verbal', 'MINUTES_GENERATION_ERROR');
+    }
+  }
+
+  /**
+   * 🔍 Vérifier la signature et l'intégrité d'un procès-verbal
+   * GET /api/v1/associations/:associationId/minutes/:documentId/verify
+   */
+  async verifyMinutes(req, res) {
+    try {
+      const verification = await MeetingMinutesService.verifyMinutes(
+        parseInt(req.params.associationId),
+        parseInt(req.params.documentId)
+      );
+
+      res.json({
+        success: true,
+        data: verification
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur vérification procès-verbal', 'MINUTES_VERIFY_ERROR');
+    }
+  }
+
+  // 🔧 Réponse d'erreur (erreurs métier du service : status + code)
+  handleError(res, error, message, code) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+      error: message,
+      code,
+      details: error.message
+    });
+  }
+}
+
+module.exports = new BallotController();
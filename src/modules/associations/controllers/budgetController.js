@@ -0,0 +1,174 @@
+// src/modules/associations/controllers/budgetController.js
+// Budgets annuels : création, modification, suivi budget vs réalisé
+
+const BudgetService = require('../services/budgetService');
+const ExportService = require('../../../core/services/exportService');
+
+class BudgetController {
+  constructor() {
+    this.getBudgets = this.getBudgets.bind(this);
+    this.getBudget = this.getBudget.bind(this);
+    this.createBudget = this.createBudget.bind(this);
+    this.updateBudget = this.updateBudget.bind(this);
+    this.deleteBudget = this.deleteBudget.bind(this);
+    this.getBudgetReport = this.getBudgetReport.bind(this);
+  }
+
+  /**
+   * 📋 Budgets de l'association (filtres exercice, section, statut)
+   * GET /api/v1/associations/:associationId/budgets
+   */
+  async getBudgets(req, res) {
+    try {
+      const budgets = await BudgetService.listBudgets(parseInt(req.params.associationId), req.query);
+
+      res.json({
+        success: true,
+        data: { budgets }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur récupération budgets', 'BUDGETS_FETCH_ERROR');
+    }
+  }
+
+  /**
+   * 🔎 Détail d'un budget et de ses lignes
+   * GET /api/v1/associations/:associationId/budgets/:budgetId
+   */
+  async getBudget(req, res) {
+    try {
+      const budget = await BudgetService.getBudget(
+        parseInt(req.params.associationId),
+        parseInt(req.params.budgetId)
+      );
+
+      res.json({
+        success: true,
+        data: { budget }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur récupération budget', 'BUDGET_FETCH_ERROR');
+    }
+  }
+
+  /**
+   * ➕ Créer un budget annuel
+   * POST /api/v1/associations/:associationId/budgets
+   */
+  async createBudget(req, res) {
+    try {
+      const budget = await BudgetService.createBudget(parseInt(req.params.associationId), req.body, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Budget créé avec succès',
+        data: { budget }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur création budget', 'BUDGET_CREATION_ERROR');
+    }
+  }
+
+  /**
+   * ✏️ Modifier, activer ou clôturer un budget
+   * PUT /api/v1/associations/:associationId/budgets/:budgetId
+   */
+  async updateBudget(req, res) {
+    try {
+      const budget = await BudgetService.updateBudget(
+        parseInt(req.params.associationId),
+        parseInt(req.params.budgetId),
+        req.body
+      );
+
+      res.json({
+        success: true,
+        message: 'Budget modifié avec succès',
+        data: { budget }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur modification budget', 'BUDGET_UPDATE_ERROR');
+    }
+  }
+
+  /**
+   * 🗑️ Supprimer un budget en brouillon
+   * DELETE /api/v1/associations/:associationId/budgets/:budgetId
+   */
+  async deleteBudget(req, res) {
+    try {
+      await BudgetService.deleteBudget(parseInt(req.params.associationId), parseInt(req.params.budgetId));
+
+      res.json({
+        success: true,
+        message: 'Budget supprimé'
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur suppression budget', 'BUDGET_DELETE_ERROR');
+    }
+  }
+
+  /**
+   * 📊 Budget vs réalisé (annuel ou mensuel ; JSON ou export csv / excel / pdf)
+   * GET /api/v1/associations/:associationId/budgets/:budgetId/report
+   */
+  async getBudgetReport(req, res) {
+    try {
+      const report = await BudgetService.getReport(
+        parseInt(req.params.associationId),
+        parseInt(req.params.budgetId),
+        { period: req.query.period, month: req.query.month }
+      );
+
+      if (!req.query.format) {
+        return res.json({
+          success: true,
+          data: report
+        });
+      }
+
+      const lang = ExportService.resolveLanguage(req);
+      const { budget, period } = report;
+      const periodLabel = period.month
+        ? `${String(period.month).padStart(2, '0')}/${period.year}`
+        : String(period.year);
+
+      const file = await ExportService.build(
+        req.query.format,
+        BudgetService.REPORT_COLUMNS,
+        report.lines,
+        lang,
+        {
+          title: lang === 'fr' ? `Budget vs réalisé - ${budget.name}` : `Budget vs actual - ${budget.name}`,
+          subtitle: `${periodLabel} · ${budget.currency}`,
+          sheetName: periodLabel,
+          filenamePrefix: `budget_${budget.fiscalYear}_${period.month ? `m${period.month}` : 'annuel'}`
+        }
+      );
+
+      ExportService.send(res, file);
+    } catch (error) {
+      this.handleError(res, error, 'Erreur rapport budgétaire', 'BUDGET_REPORT_ERROR');
+    }
+  }
+
+  // 🔧 Réponse d'erreur (erreurs métier du service : status + code)
+  handleError(res, error, message, code) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+      error: message,
+      code,
+      details: error.message
+    });
+  }
+}
+
+module.exports = new BudgetController();
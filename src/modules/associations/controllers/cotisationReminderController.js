@@ -0,0 +1,131 @@
+// src/modules/associations/controllers/cotisationReminderController.js
+// Relances de cotisations : calendrier, campagne du jour, relance manuelle
+
+const { Association } = require('../../../models');
+const CotisationReminderService = require('../services/cotisationReminderService');
+
+class CotisationReminderController {
+  constructor() {
+    this.getReminderSettings = this.getReminderSettings.bind(this);
+    this.updateReminderSettings = this.updateReminderSettings.bind(this);
+    this.runReminders = this.runReminders.bind(this);
+    this.sendReminders = this.sendReminders.bind(this);
+  }
+
+  /**
+   * 📅 Calendrier de relance et simulation de la campagne du jour
+   * GET /api/v1/associations/:associationId/cotisation-reminders
+   */
+  async getReminderSettings(req, res) {
+    try {
+      const association = await Association.findByPk(parseInt(req.params.associationId));
+      if (!association) {
+        return res.status(404).json({
+          error: 'Association introuvable',
+          code: 'ASSOCIATION_NOT_FOUND'
+        });
+      }
+
+      const preview = await CotisationReminderService.runAssociation(association, new Date(), { dryRun: true });
+
+      res.json({
+        success: true,
+        data: {
+          schedule: CotisationReminderService.getSchedule(association),
+          templates: CotisationReminderService.REMINDER_TEMPLATES,
+          today: {
+            steps: preview.steps,
+            recipients: preview.recipients.length,
+            skipped: preview.skipped
+          }
+        }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur récupération relances', 'REMINDER_SETTINGS_FETCH_ERROR');
+    }
+  }
+
+  /**
+   * ✏️ Modifier le calendrier de relance
+   * PUT /api/v1/associations/:associationId/cotisation-reminders
+   */
+  async updateReminderSettings(req, res) {
+    try {
+      const schedule = await CotisationReminderService.updateSchedule(parseInt(req.params.associationId), req.body);
+
+      res.json({
+        success: true,
+        message: 'Calendrier de relance mis à jour',
+        data: { schedule }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur mise à jour relances', 'REMINDER_SETTINGS_UPDATE_ERROR');
+    }
+  }
+
+  /**
+   * ⏱️ Exécuter la campagne du jour (idempotent)
+   * POST /api/v1/associations/:associationId/cotisation-reminders/run
+   */
+  async runReminders(req, res) {
+    try {
+      const association = await Association.findByPk(parseInt(req.params.associationId));
+      if (!association) {
+        return res.status(404).json({
+          error: 'Association introuvable',
+          code: 'ASSOCIATION_NOT_FOUND'
+        });
+      }
+
+      const report = await CotisationReminderService.runAssociation(association);
+
+      res.json({
+        success: true,
+        message: report.enabled
+          ? `${report.sent} relance(s) envoyée(s)`
+          : 'Relances automatiques désactivées',
+        data: { report }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur campagne de relance', 'REMINDER_RUN_ERROR');
+    }
+  }
+
+  /**
+   * 📣 Relancer les membres (tous les impayés ou une sélection)
+   * POST /api/v1/associations/:associationId/cotisation-reminders/send
+   */
+  async sendReminders(req, res) {
+    try {
+      const report = await CotisationReminderService.sendManualReminders(parseInt(req.params.associationId), req.body);
+
+      res.json({
+        success: true,
+        message: `${report.sent} membre(s) relancé(s)`,
+        data: { report }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur relance manuelle', 'REMINDER_SEND_ERROR');
+    }
+  }
+
+  // 🔧 Réponse d'erreur (erreurs métier du service : status + code)
+  handleError(res, error, message, code) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+      error: message,
+      code,
+      details: error.message
+    });
+  }
+}
+
+module.exports = new CotisationReminderController();
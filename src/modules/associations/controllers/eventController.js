@@ -0,0 +1,254 @@
+// src/modules/associations/controllers/eventController.js
+// Événements : calendrier, CRUD, inscriptions (RSVP), participants et présences
+
+const EventService = require('../services/eventService');
+const CalendarFeedService = require('../../../core/calendar/services/calendarFeedService');
+
+class EventController {
+  constructor() {
+    this.getEvents = this.getEvents.bind(this);
+    this.getEvent = this.getEvent.bind(this);
+    this.createEvent = this.createEvent.bind(this);
+    this.updateEvent = this.updateEvent.bind(this);
+    this.deleteEvent = this.deleteEvent.bind(this);
+    this.cancelEvent = this.cancelEvent.bind(this);
+    this.respondToEvent = this.respondToEvent.bind(this);
+    this.getParticipants = this.getParticipants.bind(this);
+    this.recordAttendance = this.recordAttendance.bind(this);
+    this.downloadIcs = this.downloadIcs.bind(this);
+  }
+
+  /**
+   * 📅 Calendrier des événements visibles (occurrences récurrentes développées)
+   * GET /api/v1/associations/:associationId/events
+   */
+  async getEvents(req, res) {
+    try {
+      const events = await EventService.listEvents(parseInt(req.params.associationId), req.membership, req.query);
+
+      res.json({
+        success: true,
+        data: { events }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur récupération événements', 'EVENTS_FETCH_ERROR');
+    }
+  }
+
+  /**
+   * 🔎 Détail d'un événement
+   * GET /api/v1/associations/:associationId/events/:eventId
+   */
+  async getEvent(req, res) {
+    try {
+      const event = await EventService.getEventForMember(
+        parseInt(req.params.associationId),
+        parseInt(req.params.eventId),
+        req.membership
+      );
+
+      res.json({
+        success: true,
+        data: { event }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur récupération événement', 'EVENT_FETCH_ERROR');
+    }
+  }
+
+  /**
+   * ➕ Créer un événement
+   * POST /api/v1/associations/:associationId/events
+   */
+  async createEvent(req, res) {
+    try {
+      const event = await EventService.createEvent(parseInt(req.params.associationId), req.body, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        message: event.status === 'published' ? 'Événement publié' : 'Événement créé en brouillon',
+        data: { event: EventService.present(event, req.membership) }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur création événement', 'EVENT_CREATE_ERROR');
+    }
+  }
+
+  /**
+   * ✏️ Modifier un événement
+   * PUT /api/v1/associations/:associationId/events/:eventId
+   */
+  async updateEvent(req, res) {
+    try {
+      const event = await EventService.updateEvent(
+        parseInt(req.params.associationId),
+        parseInt(req.params.eventId),
+        req.body,
+        req.membership
+      );
+
+      res.json({
+        success: true,
+        message: 'Événement mis à jour',
+        data: { event: EventService.present(event, req.membership) }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur mise à jour événement', 'EVENT_UPDATE_ERROR');
+    }
+  }
+
+  /**
+   * 🗑️ Supprimer un événement sans réponses
+   * DELETE /api/v1/associations/:associationId/events/:eventId
+   */
+  async deleteEvent(req, res) {
+    try {
+      await EventService.deleteEvent(
+        parseInt(req.params.associationId),
+        parseInt(req.params.eventId),
+        req.membership
+      );
+
+      res.json({
+        success: true,
+        message: 'Événement supprimé'
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur suppression événement', 'EVENT_DELETE_ERROR');
+    }
+  }
+
+  /**
+   * 🚫 Annuler un événement ou une occurrence
+   * POST /api/v1/associations/:associationId/events/:eventId/cancel
+   */
+  async cancelEvent(req, res) {
+    try {
+      const event = await EventService.cancelEvent(
+        parseInt(req.params.associationId),
+        parseInt(req.params.eventId),
+        req.membership,
+        req.body
+      );
+
+      res.json({
+        success: true,
+        message: event.parentEventId ? 'Occurrence annulée' : 'Événement annulé',
+        data: { event: EventService.present(event, req.membership) }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur annulation événement', 'EVENT_CANCEL_ERROR');
+    }
+  }
+
+  /**
+   * 🙋 Répondre à un événement (yes / no / maybe)
+   * POST /api/v1/associations/:associationId/events/:eventId/rsvp
+   */
+  async respondToEvent(req, res) {
+    try {
+      const result = await EventService.respond(
+        parseInt(req.params.associationId),
+        parseInt(req.params.eventId),
+        req.membership,
+        req.body
+      );
+
+      res.json({
+        success: true,
+        message: 'Réponse enregistrée',
+        data: result
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur enregistrement réponse', 'RSVP_ERROR');
+    }
+  }
+
+  /**
+   * 👥 Participants : réponses, notes et présences
+   * GET /api/v1/associations/:associationId/events/:eventId/participants
+   */
+  async getParticipants(req, res) {
+    try {
+      const data = await EventService.getParticipants(
+        parseInt(req.params.associationId),
+        parseInt(req.params.eventId),
+        req.membership,
+        req.query
+      );
+
+      res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur récupération participants', 'PARTICIPANTS_FETCH_ERROR');
+    }
+  }
+
+  /**
+   * 📍 Pointer les présences
+   * POST /api/v1/associations/:associationId/events/:eventId/attendance
+   */
+  async recordAttendance(req, res) {
+    try {
+      const result = await EventService.recordAttendance(
+        parseInt(req.params.associationId),
+        parseInt(req.params.eventId),
+        req.membership,
+        req.body
+      );
+
+      res.json({
+        success: true,
+        message: `${result.recorded} présence(s) enregistrée(s)`,
+        data: result
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur pointage présences', 'ATTENDANCE_RECORD_ERROR');
+    }
+  }
+
+  /**
+   * 📥 Télécharger l'événement au format iCalendar
+   * GET /api/v1/associations/:associationId/events/:eventId/ics
+   */
+  async downloadIcs(req, res) {
+    try {
+      const { fileName, content } = await CalendarFeedService.buildEventCalendar(
+        parseInt(req.params.associationId),
+        parseInt(req.params.eventId),
+        req.membership,
+        req.query
+      );
+
+      res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${fileName}"`
+      });
+      res.send(content);
+    } catch (error) {
+      this.handleError(res, error, 'Erreur export iCalendar', 'EVENT_ICS_ERROR');
+    }
+  }
+
+  // 🔧 Réponse d'erreur (erreurs métier du service : status + code)
+  handleError(res, error, message, code) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+      error: message,
+      code,
+      details: error.message
+    });
+  }
+}
+
+module.exports = new EventController();
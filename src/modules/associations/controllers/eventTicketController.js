@@ -0,0 +1,219 @@
+// src/modules/associations/controllers/eventTicketController.js
+// Billetterie des événements payants : achat, vente sur place, contrôle à l'entrée, recettes
+
+const EventTicketService = require('../services/eventTicketService');
+
+class EventTicketController {
+  constructor() {
+    this.purchaseTicket = this.purchaseTicket.bind(this);
+    this.sellAtDoor = this.sellAtDoor.bind(this);
+    this.getMyTickets = this.getMyTickets.bind(this);
+    this.getEventTickets = this.getEventTickets.bind(this);
+    this.getFundraising = this.getFundraising.bind(this);
+    this.checkIn = this.checkIn.bind(this);
+    this.getTicket = this.getTicket.bind(this);
+    this.cancelTicket = this.cancelTicket.bind(this);
+  }
+
+  /**
+   * 💳 Acheter un billet par carte
+   * POST /api/v1/associations/:associationId/events/:eventId/tickets
+   */
+  async purchaseTicket(req, res) {
+    try {
+      const result = await EventTicketService.purchase(
+        parseInt(req.params.associationId),
+        parseInt(req.params.eventId),
+        req.membership,
+        req.user,
+        req.body
+      );
+
+      const paid = result.ticket.status === 'paid';
+
+      res.status(paid ? 201 : 202).json({
+        success: true,
+        message: paid ? 'Billet acheté avec succès' : 'Paiement en cours',
+        data: result
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur achat billet', 'TICKET_PURCHASE_ERROR');
+    }
+  }
+
+  /**
+   * 💵 Vente sur place en espèces
+   * POST /api/v1/associations/:associationId/events/:eventId/tickets/cash
+   */
+  async sellAtDoor(req, res) {
+    try {
+      const ticket = await EventTicketService.sellAtDoor(
+        parseInt(req.params.associationId),
+        parseInt(req.params.eventId),
+        req.membership,
+        req.body
+      );
+
+      res.status(201).json({
+        success: true,
+        message: ticket.checkedInCount > 0 ? 'Billet vendu, entrée enregistrée' : 'Billet vendu',
+        data: { ticket }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur vente billet sur place', 'TICKET_CASH_SALE_ERROR');
+    }
+  }
+
+  /**
+   * 🙋 Mes billets pour un événement (avec QR codes)
+   * GET /api/v1/associations/:associationId/events/:eventId/tickets/mine
+   */
+  async getMyTickets(req, res) {
+    try {
+      const tickets = await EventTicketService.listMyTickets(
+        parseInt(req.params.associationId),
+        parseInt(req.params.eventId),
+        req.membership,
+        req.query
+      );
+
+      res.json({
+        success: true,
+        data: { tickets }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur récupération billets', 'TICKETS_FETCH_ERROR');
+    }
+  }
+
+  /**
+   * 📋 Billets vendus et totaux de l'événement
+   * GET /api/v1/associations/:associationId/events/:eventId/tickets
+   */
+  async getEventTickets(req, res) {
+    try {
+      const data = await EventTicketService.listEventTickets(
+        parseInt(req.params.associationId),
+        parseInt(req.params.eventId),
+        req.membership,
+        req.query
+      );
+
+      res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur récupération billetterie', 'TICKETS_FETCH_ERROR');
+    }
+  }
+
+  /**
+   * 💰 Recettes de l'événement (billetterie et autres entrées rattachées)
+   * GET /api/v1/associations/:associationId/events/:eventId/fundraising
+   */
+  async getFundraising(req, res) {
+    try {
+      const data = await EventTicketService.getFundraising(
+        parseInt(req.params.associationId),
+        parseInt(req.params.eventId),
+        req.membership,
+        req.query
+      );
+
+      res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur récupération recettes événement', 'EVENT_FUNDRAISING_ERROR');
+    }
+  }
+
+  /**
+   * 🎟️ Scanner un billet à l'entrée
+   * POST /api/v1/associations/:associationId/events/:eventId/tickets/check-in
+   */
+  async checkIn(req, res) {
+    try {
+      const result = await EventTicketService.checkIn(
+        parseInt(req.params.associationId),
+        parseInt(req.params.eventId),
+        req.membership,
+        req.body
+      );
+
+      res.json({
+        success: true,
+        message: `${result.admitted} entrée(s) enregistrée(s) - ${result.ticket.buyerName}`,
+        data: result
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur contrôle billet', 'TICKET_CHECK_IN_ERROR');
+    }
+  }
+
+  /**
+   * 🔎 Détail d'un billet (QR code)
+   * GET /api/v1/associations/:associationId/tickets/:ticketId
+   */
+  async getTicket(req, res) {
+    try {
+      const ticket = await EventTicketService.getTicket(
+        parseInt(req.params.associationId),
+        parseInt(req.params.ticketId),
+        req.membership
+      );
+
+      res.json({
+        success: true,
+        data: { ticket }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur récupération billet', 'TICKET_FETCH_ERROR');
+    }
+  }
+
+  /**
+   * 🚫 Annuler un billet (remboursement carte ou espèces rendues)
+   * POST /api/v1/associations/:associationId/tickets/:ticketId/cancel
+   */
+  async cancelTicket(req, res) {
+    try {
+      const ticket = await EventTicketService.cancelTicket(
+        parseInt(req.params.associationId),
+        parseInt(req.params.ticketId),
+        req.membership,
+        req.body
+      );
+
+      res.json({
+        success: true,
+        message: ticket.status === 'refunded' ? 'Billet annulé et remboursé' : 'Billet annulé',
+        data: { ticket }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur annulation billet', 'TICKET_CANCEL_ERROR');
+    }
+  }
+
+  // 🔧 Réponse d'erreur (erreurs métier du service : status + code)
+  handleError(res, error, message, code) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+      error: message,
+      code,
+      details: error.message
+    });
+  }
+}
+
+module.exports = new EventTicketController();
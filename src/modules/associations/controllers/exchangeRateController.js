@@ -0,0 +1,174 @@
+// src/modules/associations/controllers/exchangeRateController.js
+// Taux de change : consultation, saisie manuelle, import de fichier, conversion
+
+const CurrencyService = require('../services/currencyService');
+const LedgerService = require('../services/ledgerService');
+
+class ExchangeRateController {
+  constructor() {
+    this.listRates = this.listRates.bind(this);
+    this.setRate = this.setRate.bind(this);
+    this.importRates = this.importRates.bind(this);
+    this.deleteRate = this.deleteRate.bind(this);
+    this.convert = this.convert.bind(this);
+  }
+
+  /**
+   * 📋 Taux de change (propres à l'association et communs)
+   * GET /api/v1/associations/:associationId/exchange-rates
+   */
+  async listRates(req, res) {
+    try {
+      const associationId = parseInt(req.params.associationId);
+      const [rates, primaryCurrency] = await Promise.all([
+        CurrencyService.listRates(associationId, req.query),
+        CurrencyService.getPrimaryCurrency(associationId)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          primaryCurrency,
+          supportedCurrencies: CurrencyService.SUPPORTED_CURRENCIES,
+          fixedPegs: CurrencyService.FIXED_PEGS,
+          rates
+        }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur récupération taux de change', 'EXCHANGE_RATES_FETCH_ERROR');
+    }
+  }
+
+  /**
+   * ✍️ Saisir un taux (remplace celui de la même paire à la même date)
+   * POST /api/v1/associations/:associationId/exchange-rates
+   */
+  async setRate(req, res) {
+    try {
+      const { rate, created } = await CurrencyService.setRate(
+        parseInt(req.params.associationId),
+        req.body,
+        req.user.id
+      );
+
+      res.status(created ? 201 : 200).json({
+        success: true,
+        message: created ? 'Taux de change enregistré' : 'Taux de change mis à jour',
+        data: { rate }
+      });
+
+      this.postPendingEntries(parseInt(req.params.associationId));
+    } catch (error) {
+      this.handleError(res, error, 'Erreur enregistrement taux de change', 'EXCHANGE_RATE_SAVE_ERROR');
+    }
+  }
+
+  /**
+   * 📥 Importer un fichier de taux (CSV ou XLSX)
+   * POST /api/v1/associations/:associationId/exchange-rates/import
+   */
+  async importRates(req, res) {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          error: 'Fichier de taux requis (CSV ou XLSX)',
+          code: 'FILE_REQUIRED'
+        });
+      }
+
+      const report = await CurrencyService.importRates(
+        parseInt(req.params.associationId),
+        req.file,
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        message: `${report.created + report.updated} taux importé(s)`,
+        data: { report }
+      });
+
+      this.postPendingEntries(parseInt(req.params.associationId));
+    } catch (error) {
+      this.handleError(res, error, 'Erreur import taux de change', 'EXCHANGE_RATES_IMPORT_ERROR');
+    }
+  }
+
+  /**
+   * ⏳ Passer les écritures reportées faute de taux (en arrière-plan, après la réponse)
+   */
+  postPendingEntries(associationId) {
+    LedgerService.syncAssociation(associationId)
+      .then((report) => {
+        if (report.errors.length) {
+          console.warn(`⚠️ ${report.errors.length} écriture(s) toujours en attente pour l'association ${associationId}`);
+        }
+      })
+      .catch((error) => console.error('❌ Erreur passage écritures reportées:', error.message));
+  }
+
+  /**
+   * 🗑️ Supprimer un taux saisi par l'association
+   * DELETE /api/v1/associations/:associationId/exchange-rates/:rateId
+   */
+  async deleteRate(req, res) {
+    try {
+      await CurrencyService.deleteRate(parseInt(req.params.associationId), parseInt(req.params.rateId));
+
+      res.json({
+        success: true,
+        message: 'Taux de change supprimé'
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur suppression taux de change', 'EXCHANGE_RATE_DELETE_ERROR');
+    }
+  }
+
+  /**
+   * 🔄 Convertir un montant au taux applicable à une date
+   * GET /api/v1/associations/:associationId/exchange-rates/convert
+   */
+  async convert(req, res) {
+    try {
+      const associationId = parseInt(req.params.associationId);
+      const { amount, from, date } = req.query;
+      const to = req.query.to || await CurrencyService.getPrimaryCurrency(associationId);
+
+      const result = await CurrencyService.convert(associationId, amount, from, to, {
+        date: date ? new Date(date) : new Date()
+      });
+
+      res.json({
+        success: true,
+        data: {
+          from: CurrencyService.normalize(from),
+          to: CurrencyService.normalize(to),
+          originalAmount: parseFloat(amount),
+          ...result
+        }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur conversion', 'CONVERSION_ERROR');
+    }
+  }
+
+  // 🔧 Réponse d'erreur (erreurs métier du service : status + code)
+  handleError(res, error, message, code) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+      error: message,
+      code,
+      details: error.message
+    });
+  }
+}
+
+module.exports = new ExchangeRateController();
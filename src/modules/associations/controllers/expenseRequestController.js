@@ -2,6 +2,7 @@
 
 const { Op } = require("sequelize");
 const {
+  sequelize,
   ExpenseRequest,
   LoanRepayment,
   Association,
@@ -11,11 +12,56 @@ const {
   Document,
   AssociationMember,
 } = require("../../../models");
-const AssociationBalanceService = require("../services/associationBalanceService");
+const FinancialExportService = require("../services/financialExportService");
+const LoanScheduleService = require("../services/loanScheduleService");
+const LedgerService = require("../services/ledgerService");
+const FundService = require("../services/fundService");
+const BudgetService = require("../services/budgetService");
+const ApprovalPolicyService = require("../services/approvalPolicyService");
+const ExportService = require("../../../core/services/exportService");
+const NotificationService = require("../../../core/services/notificationService");
+
+// Méthodes de paiement des demandes → méthodes du modèle Transaction
+const TRANSACTION_PAYMENT_METHODS = {
+  bank_transfer: 'iban',
+  check: 'internal'
+};
 
 // ✅ NOUVEAU : Import système RBAC moderne
 const { hasPermission, getEffectivePermissions } = require('../../../core/middleware/checkPermission');
 
+// 🔔 Décision notifiée au demandeur (sans bloquer la réponse)
+function notifyRequester(expenseRequest, type, data = {}) {
+  Association.findByPk(expenseRequest.associationId, { attributes: ["id", "name"] })
+    .then((association) => NotificationService.notify(type, expenseRequest.requesterId, {
+      associationId: expenseRequest.associationId,
+      data: {
+        title: expenseRequest.title,
+        amount: parseFloat(expenseRequest.amountApproved || expenseRequest.amountRequested).toFixed(2),
+        currency: expenseRequest.currency,
+        associationName: association?.name,
+        expenseRequestId: expenseRequest.id,
+        ...data
+      }
+    }))
+    .catch((error) => console.error(`⚠️ Notification ${type} demande ${expenseRequest.id}:`, error.message));
+}
+
+// Erreurs métier de l'échéancier (status HTTP + code), sinon 500
+function handleLoanError(res, error, message, code) {
+  console.error(`${message}:`, error);
+
+  if (error.status) {
+    return res.status(error.status).json({
+      error: error.message,
+      code: error.code,
+      details: error.details,
+    });
+  }
+
+  res.status(500).json({ error: message, code, details: error.message });
+}
+
 class ExpenseRequestController {
   /**
    * 📝 Créer nouvelle demande de dépense
@@ -41,6 +87,7 @@ class ExpenseRequestController {
         expectedImpact,
         isLoan = false,
         loanTerms,
+        fundId,
         metadata,
       } = req.body;
 
@@ -69,21 +116,17 @@ class ExpenseRequestController {
         }
       }
 
-      // 💰 VÉRIFICATION FONDS DISPONIBLES
-      const fundsCheck = await AssociationBalanceService.checkSufficientFunds(
-        parseInt(associationId),
+      // 💰 VÉRIFICATION FONDS DISPONIBLES (fonds dédié imputé, sinon solde libre)
+      const fundsCheck = await FundService.checkExpense(
+        { associationId, fundId, expenseType, isLoan },
         parseFloat(amountRequested)
       );
 
       if (!fundsCheck.sufficient) {
         return res.status(400).json({
-          error: "Fonds insuffisants",
-          code: "INSUFFICIENT_FUNDS",
-          details: {
-            requested: amountRequested,
-            available: fundsCheck.availableBalance,
-            shortage: fundsCheck.shortage,
-          },
+          error: fundsCheck.error,
+          code: fundsCheck.code,
+          details: fundsCheck.details,
         });
       }
 
@@ -98,6 +141,12 @@ class ExpenseRequestController {
         }
       }
 
+      // ⚖️ CIRCUIT DE VALIDATION selon les règles de l'association (figé à la création)
+      const { requiredValidators, approvalPolicy } = await ApprovalPolicyService.resolvePolicy(
+        parseInt(associationId),
+        { expenseType, amountRequested, currency, isLoan, urgencyLevel }
+      );
+
       // ✅ CRÉATION DEMANDE
       const expenseRequest = await ExpenseRequest.create({
         associationId: parseInt(associationId),
@@ -117,7 +166,10 @@ class ExpenseRequestController {
         expectedImpact,
         isLoan,
         loanTerms,
+        fundId: fundId ? parseInt(fundId) : null,
         metadata,
+        requiredValidators,
+        approvalPolicy,
         status: "pending",
       });
 
@@ -172,6 +224,13 @@ class ExpenseRequestController {
       });
     } catch (error) {
       console.error("Erreur création demande dépense:", error);
+      if (error.status) {
+        return res.status(error.status).json({
+          error: error.message,
+          code: error.code,
+          details: error.details,
+        });
+      }
       res.status(500).json({
         error: "Erreur lors de la création de la demande",
       });
@@ -485,32 +544,69 @@ class ExpenseRequestController {
         });
       }
 
-      // 💰 VÉRIFIER FONDS SI MONTANT MODIFIÉ
-      const { amountRequested } = req.body;
-      if (
+      // 💰 VÉRIFIER FONDS SI MONTANT, TYPE OU FONDS IMPUTÉ MODIFIÉ
+      const { amountRequested, fundId, expenseType } = req.body;
+      const amountChanged =
         amountRequested &&
         parseFloat(amountRequested) !==
-          parseFloat(expenseRequest.amountRequested)
-      ) {
-        const fundsCheck = await AssociationBalanceService.checkSufficientFunds(
-          parseInt(associationId),
-          parseFloat(amountRequested)
+          parseFloat(expenseRequest.amountRequested);
+      const fundChanged =
+        fundId !== undefined && (fundId || null) !== expenseRequest.fundId;
+      const typeChanged =
+        expenseType !== undefined && expenseType !== expenseRequest.expenseType;
+
+      if (amountChanged || fundChanged || typeChanged) {
+        const fundsCheck = await FundService.checkExpense(
+          {
+            id: expenseRequest.id,
+            associationId,
+            fundId: fundId !== undefined ? fundId : expenseRequest.fundId,
+            expenseType: expenseType || expenseRequest.expenseType,
+            isLoan: req.body.isLoan !== undefined ? req.body.isLoan : expenseRequest.isLoan,
+          },
+          parseFloat(amountRequested || expenseRequest.amountRequested)
         );
 
         if (!fundsCheck.sufficient) {
           return res.status(400).json({
-            error: "Fonds insuffisants pour ce montant",
-            code: "INSUFFICIENT_FUNDS",
-            details: {
-              requested: amountRequested,
-              available: fundsCheck.availableBalance,
-            },
+            error: fundsCheck.error,
+            code: fundsCheck.code,
+            details: fundsCheck.details,
           });
         }
       }
 
+      // 🔒 Circuit de validation non modifiable par le corps de la requête
+      const {
+        requiredValidators: _requiredValidators,
+        validationHistory: _validationHistory,
+        approvalPolicy: _approvalPolicy,
+        ratificationStatus: _ratificationStatus,
+        ratificationDueAt: _ratificationDueAt,
+        ...changes
+      } = req.body;
+
+      // ⚖️ Montant, type, prêt ou urgence modifiés : la règle applicable est recalculée
+      const policyInputChanged = amountChanged || typeChanged ||
+        ["isLoan", "urgencyLevel", "currency"].some(
+          (field) => req.body[field] !== undefined && req.body[field] !== expenseRequest[field]
+        );
+
+      if (policyInputChanged) {
+        Object.assign(changes, await ApprovalPolicyService.resolvePolicy(
+          parseInt(associationId),
+          {
+            expenseType: expenseType || expenseRequest.expenseType,
+            amountRequested: amountRequested || expenseRequest.amountRequested,
+            currency: req.body.currency || expenseRequest.currency,
+            isLoan: req.body.isLoan !== undefined ? req.body.isLoan : expenseRequest.isLoan,
+            urgencyLevel: req.body.urgencyLevel || expenseRequest.urgencyLevel,
+          }
+        ));
+      }
+
       // 🔄 MISE À JOUR
-      const updatedRequest = await expenseRequest.update(req.body, {
+      const updatedRequest = await expenseRequest.update(changes, {
         userId, // Pour audit trail
       });
 
@@ -539,6 +635,13 @@ class ExpenseRequestController {
       });
     } catch (error) {
       console.error("Erreur modification demande dépense:", error);
+      if (error.status) {
+        return res.status(error.status).json({
+          error: error.message,
+          code: error.code,
+          details: error.details,
+        });
+      }
       res.status(500).json({
         error: "Erreur lors de la modification",
       });
@@ -661,39 +764,51 @@ class ExpenseRequestController {
         });
       }
 
-      // Vérifier si déjà validé
-      const existingValidation = expenseRequest.validationHistory?.find(
-        v => v.userId === req.user.id
-      );
+      // 🗳️ Vote selon la politique de la demande (rôles, quorum, délégations)
+      const { validationHistory, evaluation } = await ApprovalPolicyService.castVote(expenseRequest, {
+        user: req.user,
+        membership,
+        decision: 'approved',
+        comment
+      });
 
-      if (existingValidation) {
-        return res.status(400).json({
-          error: 'Vous avez déjà validé cette demande',
-          code: 'ALREADY_VALIDATED'
-        });
-      }
+      // Déterminer statut (approbation en urgence : ratification attendue)
+      const newStatus = evaluation.outcome === 'approved' ? 'approved' : 'under_review';
+      const ratification = evaluation.fastTracked
+        ? ApprovalPolicyService.ratificationFields(expenseRequest.approvalPolicy)
+        : {};
 
-      // Ajouter validation
-      const validationHistory = expenseRequest.validationHistory || [];
-      validationHistory.push({
-        userId: req.user.id,
-        role: membership?.assignedRoles?.[0] || 'member',
-        decision: 'approved',
-        comment: comment || '',
-        timestamp: new Date().toISOString(),
-        user: {
-          firstName: req.user.firstName,
-          lastName: req.user.lastName
+      // 🎯 Approbation finale : pas de dépense sur des fonds dédiés à un autre usage
+      if (newStatus === 'approved') {
+        const fundsCheck = await FundService.checkExpense(
+          expenseRequest,
+          parseFloat(amountApproved || expenseRequest.amountRequested)
+        );
+
+        if (!fundsCheck.sufficient) {
+          return res.status(400).json({
+            error: fundsCheck.error,
+            code: fundsCheck.code,
+            details: fundsCheck.details
+          });
         }
-      });
+      }
 
-      // Déterminer statut
-      const requiredValidators = expenseRequest.requiredValidators || ['president', 'tresorier'];
-      const approvedCount = validationHistory.filter(v => v.decision === 'approved').length;
-      
-      let newStatus = 'under_review';
-      if (approvedCount >= requiredValidators.length) {
-        newStatus = 'approved';
+      // 📊 Budgets actifs : avertissement, ou blocage si la politique du budget l'exige
+      let budgetCheck = { allowed: true, warnings: [] };
+      if (newStatus === 'approved') {
+        budgetCheck = await BudgetService.checkExpense(
+          expenseRequest,
+          parseFloat(amountApproved || expenseRequest.amountRequested)
+        );
+
+        if (!budgetCheck.allowed) {
+          return res.status(400).json({
+            error: 'Budget dépassé : approbation bloquée',
+            code: 'BUDGET_EXCEEDED',
+            details: budgetCheck.warnings
+          });
+        }
       }
 
       await expenseRequest.update({
@@ -701,23 +816,41 @@ class ExpenseRequestController {
         validationHistory,
         amountApproved: amountApproved || expenseRequest.amountRequested,
         approvalConditions: conditions || null,
-        approvedAt: newStatus === 'approved' ? new Date() : null
+        approvedAt: newStatus === 'approved' ? new Date() : null,
+        ...ratification
       });
 
+      if (newStatus === 'approved') {
+        notifyRequester(expenseRequest, 'expense_approved');
+      }
+
       res.json({
         success: true,
-        message: newStatus === 'approved' ? 'Demande approuvée' : 'Validation enregistrée',
+        message: evaluation.fastTracked
+          ? 'Demande approuvée en urgence, ratification attendue'
+          : newStatus === 'approved' ? 'Demande approuvée' : 'Validation enregistrée',
         data: {
           expenseRequest,
-          validationProgress: {
-            completed: approvedCount,
-            total: requiredValidators.length,
-            percentage: Math.round((approvedCount / requiredValidators.length) * 100)
-          }
+          validationProgress: evaluation.progress,
+          approval: {
+            mode: evaluation.mode,
+            approvals: evaluation.approvals,
+            abstentions: evaluation.abstentions,
+            missingRoles: evaluation.missingRoles,
+            fastTracked: evaluation.fastTracked
+          },
+          budgetWarnings: budgetCheck.warnings
         }
       });
     } catch (error) {
       console.error('Erreur approbation:', error);
+      if (error.status) {
+        return res.status(error.status).json({
+          error: error.message,
+          code: error.code,
+          details: error.details
+        });
+      }
       res.status(500).json({
         error: 'Erreur lors de l\'approbation',
         code: 'APPROVAL_ERROR'
@@ -760,13 +893,31 @@ class ExpenseRequestController {
         ],
       });
 
-      // Filtrer où user n'a pas validé
-      const userPendingRequests = pendingRequests.filter((request) => {
-        const userValidation = request.validationHistory?.find(
-          (v) => v.userId === req.user.id
-        );
-        return !userValidation;
+      // Filtrer où user (ou un validateur qui lui a délégué) peut encore voter
+      const actor = await ApprovalPolicyService.getActor(
+        parseInt(associationId),
+        req.user,
+        req.membership
+      );
+      const userPendingRequests = pendingRequests.filter(
+        (request) => ApprovalPolicyService.pendingPrincipals(request, actor).length > 0
+      );
+
+      // Dépenses approuvées en urgence en attente de ratification
+      const ratificationRequests = await ExpenseRequest.findAll({
+        where: {
+          associationId: parseInt(associationId),
+          status: ["approved", "paid"],
+          ratificationStatus: "pending",
+        },
+        order: [["ratificationDueAt", "ASC"]],
       });
+      const pendingRatifications = ratificationRequests
+        .filter((request) => ApprovalPolicyService.pendingPrincipals(request, actor).length > 0)
+        .map((request) => ({
+          ...request.toJSON(),
+          overdue: request.ratificationDueAt < new Date(),
+        }));
 
       const stats = {
         total: userPendingRequests.length,
@@ -791,6 +942,7 @@ class ExpenseRequestController {
         success: true,
         data: {
           pendingRequests: userPendingRequests,
+          pendingRatifications,
           statistics: stats,
         },
       });
@@ -862,32 +1014,52 @@ class ExpenseRequestController {
         });
       }
 
-      // Créer la transaction
-      const transaction = await Transaction.create({
-        associationId: parseInt(associationId),
-        userId: expenseRequest.beneficiaryId || null,
-        type: expenseRequest.isLoan ? 'pret' : 'aide',
-        amount: parseFloat(expenseRequest.amountApproved || expenseRequest.amountRequested),
-        currency: expenseRequest.currency,
-        status: 'completed',
-        paymentMode,
-        paymentMethod,
-        manualPaymentReference,
-        manualPaymentDetails,
-        metadata: {
-          expenseRequestId: expenseRequest.id,
-          processedBy: req.user.id,
-          processedAt: new Date().toISOString(),
-          notes
-        }
-      });
+      const paidAt = new Date(paymentDate || new Date());
 
-      // Mettre à jour le statut de la demande
-      await expenseRequest.update({
-        status: 'paid',
-        transactionId: transaction.id,
-        paidAt: new Date(paymentDate || new Date()),
-        paymentValidator: req.user.id
+      const { transaction, schedule } = await sequelize.transaction(async (t) => {
+        // Créer la transaction
+        const transaction = await Transaction.create({
+          associationId: parseInt(associationId),
+          userId: expenseRequest.beneficiaryId || expenseRequest.requesterId,
+          type: expenseRequest.isLoan ? 'pret' : 'aide',
+          amount: parseFloat(expenseRequest.amountApproved || expenseRequest.amountRequested),
+          currency: expenseRequest.currency,
+          status: 'completed',
+          paymentMethod: TRANSACTION_PAYMENT_METHODS[paymentMethod] || paymentMethod,
+          source: 'manual',
+          completedAt: paidAt,
+          metadata: {
+            expenseRequestId: expenseRequest.id,
+            processedBy: req.user.id,
+            processedAt: new Date().toISOString(),
+            paymentMode,
+            paymentMethod,
+            manualPaymentReference,
+            manualPaymentDetails,
+            notes
+          }
+        }, { transaction: t });
+
+        // Mettre à jour le statut de la demande
+        await expenseRequest.update({
+          status: 'paid',
+          transactionId: transaction.id,
+          paymentMode,
+          paymentMethod,
+          manualPaymentReference,
+          manualPaymentDetails,
+          paidAt,
+          paymentValidatedBy: req.user.id
+        }, { transaction: t });
+
+        await LedgerService.postExpensePayment(expenseRequest, t);
+
+        // Prêt : échéancier généré au décaissement
+        const schedule = expenseRequest.isLoan
+          ? await LoanScheduleService.generateSchedule(expenseRequest, { startDate: paidAt, transaction: t })
+          : null;
+
+        return { transaction, schedule };
       });
 
       res.json({
@@ -903,11 +1075,17 @@ class ExpenseRequestController {
             id: transaction.id,
             amount: transaction.amount,
             reference: manualPaymentReference
-          }
+          },
+          schedule: schedule ? schedule.map(LoanScheduleService.formatInstallment) : undefined
         }
       });
     } catch (error) {
       console.error('Erreur confirmation paiement:', error);
+
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+      }
+
       res.status(500).json({
         error: 'Erreur lors de la confirmation du paiement',
         code: 'PAYMENT_PROCESS_ERROR',
@@ -1031,6 +1209,34 @@ class ExpenseRequestController {
         });
       }
 
+      // Prêt avec échéancier : imputation pénalités → intérêts → capital
+      const hasSchedule = await LoanRepayment.count({
+        where: { expenseRequestId: loan.id, isScheduled: true },
+      });
+
+      if (hasSchedule) {
+        const result = await LoanScheduleService.recordRepayment(loan.associationId, loan.id, {
+          amount: parseFloat(amount),
+          paymentDate: new Date(paymentDate),
+          paymentMode,
+          paymentMethod,
+          reference: manualReference || `REMB-${requestId}-${Date.now()}`,
+          userId: req.user.id,
+        });
+
+        return res.status(201).json({
+          success: true,
+          message: "Remboursement imputé sur l'échéancier",
+          data: {
+            allocations: result.allocations,
+            loanStatus: {
+              repaymentStatus: result.repaymentStatus,
+              outstanding: result.outstanding,
+            },
+          },
+        });
+      }
+
       // Calculer total déjà remboursé
       const existingRepayments = await LoanRepayment.findAll({
         where: {
@@ -1114,6 +1320,15 @@ class ExpenseRequestController {
       });
     } catch (error) {
       console.error("Erreur enregistrement remboursement:", error);
+
+      if (error.status) {
+        return res.status(error.status).json({
+          error: error.message,
+          code: error.code,
+          details: error.details,
+        });
+      }
+
       res.status(500).json({
         error: "Erreur lors de l'enregistrement du remboursement",
         code: "REPAYMENT_RECORD_ERROR",
@@ -1122,6 +1337,143 @@ class ExpenseRequestController {
     }
   }
 
+  /**
+   * 📅 Échéancier d'un prêt
+   */
+  async getLoanSchedule(req, res) {
+    try {
+      const { associationId, requestId } = req.params;
+
+      const loan = await ExpenseRequest.findOne({
+        where: {
+          id: parseInt(requestId),
+          associationId: parseInt(associationId),
+          isLoan: true,
+        },
+      });
+
+      if (!loan) {
+        return res.status(404).json({
+          error: "Prêt non trouvé",
+          code: "LOAN_NOT_FOUND",
+        });
+      }
+
+      const installments = await LoanRepayment.findAll({
+        where: { expenseRequestId: loan.id, isScheduled: true },
+        order: [["installmentNumber", "ASC"]],
+      });
+
+      res.json({
+        success: true,
+        data: {
+          loanId: loan.id,
+          currency: loan.currency,
+          repaymentStatus: loan.repaymentStatus,
+          terms: loan.loanTerms,
+          installments: installments.map(LoanScheduleService.formatInstallment),
+          outstanding: LoanScheduleService.summarize(installments),
+        },
+      });
+    } catch (error) {
+      console.error("Erreur récupération échéancier:", error);
+      res.status(500).json({
+        error: "Erreur lors de la récupération de l'échéancier",
+        code: "SCHEDULE_FETCH_ERROR",
+      });
+    }
+  }
+
+  /**
+   * 🧾 Montant du remboursement anticipé
+   */
+  async getPayoffQuote(req, res) {
+    try {
+      const { associationId, requestId } = req.params;
+      const payoffDate = req.query.date ? new Date(req.query.date) : new Date();
+
+      const quote = await LoanScheduleService.getPayoffQuote(
+        parseInt(associationId),
+        parseInt(requestId),
+        payoffDate
+      );
+
+      res.json({
+        success: true,
+        data: { quote },
+      });
+    } catch (error) {
+      handleLoanError(res, error, "Erreur lors du calcul du remboursement anticipé", "PAYOFF_QUOTE_ERROR");
+    }
+  }
+
+  /**
+   * ⏩ Remboursement anticipé total
+   */
+  async payoffLoan(req, res) {
+    try {
+      const { associationId, requestId } = req.params;
+      const {
+        amount,
+        paymentDate,
+        paymentMethod,
+        paymentMode = "manual",
+        manualReference,
+      } = req.body;
+
+      const result = await LoanScheduleService.earlyPayoff(parseInt(associationId), parseInt(requestId), {
+        amount: amount !== undefined ? parseFloat(amount) : undefined,
+        paymentDate: paymentDate ? new Date(paymentDate) : new Date(),
+        paymentMode,
+        paymentMethod,
+        reference: manualReference || `SOLDE-${requestId}-${Date.now()}`,
+        userId: req.user.id,
+      });
+
+      res.json({
+        success: true,
+        message: "Prêt soldé par remboursement anticipé",
+        data: result,
+      });
+    } catch (error) {
+      handleLoanError(res, error, "Erreur lors du remboursement anticipé", "PAYOFF_ERROR");
+    }
+  }
+
+  /**
+   * 🔁 Rééchelonner un prêt
+   */
+  async rescheduleLoan(req, res) {
+    try {
+      const { associationId, requestId } = req.params;
+      const { reason, ...terms } = req.body;
+
+      const overrides = {};
+      ["interestType", "interestRate", "frequency", "installmentsCount", "durationMonths", "gracePeriodDays", "firstDueDate"]
+        .filter((key) => terms[key] !== undefined)
+        .forEach((key) => { overrides[key] = terms[key]; });
+
+      const result = await LoanScheduleService.reschedule(parseInt(associationId), parseInt(requestId), {
+        overrides,
+        reason: reason.trim(),
+        userId: req.user.id,
+      });
+
+      res.json({
+        success: true,
+        message: "Prêt rééchelonné",
+        data: {
+          capitalised: result.capitalised,
+          newPrincipal: result.newPrincipal,
+          repaymentStatus: result.repaymentStatus,
+          installments: result.installments.map(LoanScheduleService.formatInstallment),
+        },
+      });
+    } catch (error) {
+      handleLoanError(res, error, "Erreur lors du rééchelonnement", "RESCHEDULE_ERROR");
+    }
+  }
+
   /**
    * 📊 Statistiques dépenses
    */
@@ -1635,13 +1987,59 @@ class ExpenseRequestController {
    */
   async exportExpenseData(req, res) {
     try {
-      res.status(501).json({
-        error: "Fonctionnalité en cours de développement",
-        code: "NOT_IMPLEMENTED",
-      });
+      const { associationId } = req.params;
+      const {
+        format = "excel",
+        dateFrom,
+        dateTo,
+        sectionId,
+        status,
+        includeDetails = "true",
+        store = "false",
+      } = req.query;
+
+      const filters = { dateFrom, dateTo, sectionId, status };
+      const file = await FinancialExportService.buildExport(
+        "expense",
+        parseInt(associationId),
+        filters,
+        {
+          format,
+          lang: ExportService.resolveLanguage(req),
+          includeDetails: String(includeDetails) !== "false",
+        }
+      );
+
+      // Archivage optionnel dans les documents de l'association
+      if (String(store) === "true") {
+        const document = await FinancialExportService.storeExport(file, {
+          kind: "expense",
+          associationId: parseInt(associationId),
+          userId: req.user.id,
+          filters,
+        });
+
+        return res.status(201).json({
+          success: true,
+          message: "Export généré avec succès",
+          data: {
+            documentId: document.id,
+            downloadUrl: `/${document.fileUrl}`,
+            filename: file.filename,
+            format,
+            totalRequests: file.total,
+            dateRange: { dateFrom, dateTo },
+          },
+        });
+      }
+
+      ExportService.send(res, file);
     } catch (error) {
       console.error("Erreur export:", error);
-      res.status(500).json({ error: "Erreur serveur" });
+      res.status(500).json({
+        error: "Erreur lors de l'export",
+        code: "EXPORT_ERROR",
+      });
     }
   }
 
@@ -1690,19 +2088,30 @@ class ExpenseRequestController {
         });
       }
 
-      const validationHistory = expenseRequest.validationHistory || [];
-      validationHistory.push({
-        userId: req.user.id,
-        role: membership?.assignedRoles?.[0] || "member",
+      // 🗳️ Vote défavorable : refus immédiat, ou en mode quorum quand le quorum devient inatteignable
+      const { validationHistory, evaluation } = await ApprovalPolicyService.castVote(expenseRequest, {
+        user: req.user,
+        membership,
         decision: "rejected",
         comment: rejectionReason.trim(),
-        timestamp: new Date().toISOString(),
-        user: {
-          firstName: req.user.firstName,
-          lastName: req.user.lastName,
-        },
       });
 
+      if (evaluation.outcome !== "rejected") {
+        await expenseRequest.update({
+          status: "under_review",
+          validationHistory,
+        });
+
+        return res.json({
+          success: true,
+          message: "Vote défavorable enregistré",
+          data: {
+            expenseRequest,
+            validationProgress: evaluation.progress,
+          },
+        });
+      }
+
       await expenseRequest.update({
         status: "rejected",
         validationHistory,
@@ -1710,6 +2119,8 @@ class ExpenseRequestController {
         rejectedAt: new Date(),
       });
 
+      notifyRequester(expenseRequest, "expense_rejected", { reason: rejectionReason.trim() });
+
       res.json({
         success: true,
         message: "Demande rejetée",
@@ -1717,6 +2128,13 @@ class ExpenseRequestController {
       });
     } catch (error) {
       console.error("Erreur rejet:", error);
+      if (error.status) {
+        return res.status(error.status).json({
+          error: error.message,
+          code: error.code,
+          details: error.details,
+        });
+      }
       res.status(500).json({
         error: "Erreur lors du rejet",
         code: "REJECTION_ERROR",
@@ -1724,6 +2142,145 @@ class ExpenseRequestController {
     }
   }
 
+  /**
+   * 🤐 S'abstenir sur une demande (si la politique le permet)
+   */
+  async abstainExpenseRequest(req, res) {
+    try {
+      const { associationId, requestId } = req.params;
+      const { comment } = req.body;
+
+      const expenseRequest = await ExpenseRequest.findOne({
+        where: {
+          id: parseInt(requestId),
+          associationId: parseInt(associationId),
+          status: ["pending", "under_review"],
+        },
+      });
+
+      if (!expenseRequest) {
+        return res.status(404).json({
+          error: "Demande non trouvée ou déjà traitée",
+          code: "EXPENSE_REQUEST_NOT_FOUND",
+        });
+      }
+
+      const { validationHistory, evaluation } = await ApprovalPolicyService.castVote(expenseRequest, {
+        user: req.user,
+        membership: req.membership,
+        decision: "abstained",
+        comment,
+      });
+
+      // Trop d'abstentions : l'approbation n'est plus atteignable
+      const rejected = evaluation.outcome === "rejected";
+
+      await expenseRequest.update({
+        status: rejected ? "rejected" : "under_review",
+        validationHistory,
+        ...(rejected && {
+          rejectionReason: "Quorum de validation inatteignable",
+          rejectedAt: new Date(),
+        }),
+      });
+
+      res.json({
+        success: true,
+        message: rejected
+          ? "Abstention enregistrée : quorum inatteignable, demande rejetée"
+          : "Abstention enregistrée",
+        data: {
+          expenseRequest,
+          validationProgress: evaluation.progress,
+        },
+      });
+    } catch (error) {
+      console.error("Erreur abstention:", error);
+      if (error.status) {
+        return res.status(error.status).json({
+          error: error.message,
+          code: error.code,
+          details: error.details,
+        });
+      }
+      res.status(500).json({
+        error: "Erreur lors de l'abstention",
+        code: "ABSTENTION_ERROR",
+      });
+    }
+  }
+
+  /**
+   * 🖋️ Ratifier une dépense approuvée en urgence (validateurs restants)
+   */
+  async ratifyExpenseRequest(req, res) {
+    try {
+      const { associationId, requestId } = req.params;
+      const { decision, comment } = req.body;
+
+      const expenseRequest = await ExpenseRequest.findOne({
+        where: {
+          id: parseInt(requestId),
+          associationId: parseInt(associationId),
+          status: ["approved", "paid"],
+          ratificationStatus: "pending",
+        },
+      });
+
+      if (!expenseRequest) {
+        return res.status(404).json({
+          error: "Aucune ratification en attente pour cette demande",
+          code: "RATIFICATION_NOT_FOUND",
+        });
+      }
+
+      const { validationHistory, evaluation } = await ApprovalPolicyService.castVote(expenseRequest, {
+        user: req.user,
+        membership: req.membership,
+        decision,
+        comment,
+        phase: "ratification",
+      });
+
+      let ratificationStatus = "pending";
+      if (evaluation.complete) ratificationStatus = "ratified";
+      if (evaluation.outcome === "rejected") ratificationStatus = "rejected";
+
+      await expenseRequest.update({
+        validationHistory,
+        ratificationStatus,
+      });
+
+      const messages = {
+        pending: "Vote de ratification enregistré",
+        ratified: "Dépense ratifiée",
+        rejected: "Ratification refusée : la dépense engagée en urgence doit être régularisée",
+      };
+
+      res.json({
+        success: true,
+        message: messages[ratificationStatus],
+        data: {
+          expenseRequest,
+          validationProgress: evaluation.progress,
+        },
+      });
+    } catch (error) {
+      console.error("Erreur ratification:", error);
+      if (error.status) {
+        return res.status(error.status).json({
+          error: error.message,
+          code: error.code,
+          details: error.details,
+        });
+      }
+      res.status(500).json({
+        error: "Erreur lors de la ratification",
+        code: "RATIFICATION_ERROR",
+      });
+    }
+  }
+
   /**
    * 💬 Demander infos complémentaires
    */
@@ -1754,18 +2311,20 @@ class ExpenseRequestController {
         });
       }
 
-      const validationHistory = expenseRequest.validationHistory || [];
-      validationHistory.push({
-        userId: req.user.id,
-        role: req.membership?.assignedRoles?.[0] || "member",
-        decision: "info_needed",
-        comment: requestedInfo.trim(),
-        timestamp: new Date().toISOString(),
-        user: {
-          firstName: req.user.firstName,
-          lastName: req.user.lastName,
+      const validationHistory = [
+        ...(expenseRequest.validationHistory || []),
+        {
+          userId: req.user.id,
+          role: req.membership?.assignedRoles?.[0] || "member",
+          decision: "info_needed",
+          comment: requestedInfo.trim(),
+          timestamp: new Date().toISOString(),
+          user: {
+            firstName: req.user.firstName,
+            lastName: req.user.lastName,
+          },
         },
-      });
+      ];
 
       await expenseRequest.update({
         status: "additional_info_needed",
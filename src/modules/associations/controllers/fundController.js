@@ -0,0 +1,134 @@
+// src/modules/associations/controllers/fundController.js
+// Fonds dédiés : liste avec soldes, création, clôture, relevé donateurs
+
+const FundService = require('../services/fundService');
+const ExportService = require('../../../core/services/exportService');
+
+class FundController {
+  constructor() {
+    this.getFunds = this.getFunds.bind(this);
+    this.createFund = this.createFund.bind(this);
+    this.updateFund = this.updateFund.bind(this);
+    this.getFundStatement = this.getFundStatement.bind(this);
+  }
+
+  /**
+   * 📋 Fonds dédiés avec collecte, dépenses et solde disponible
+   * GET /api/v1/associations/:associationId/funds
+   */
+  async getFunds(req, res) {
+    try {
+      const funds = await FundService.listFunds(parseInt(req.params.associationId), {
+        status: req.query.status
+      });
+
+      res.json({
+        success: true,
+        data: { funds }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur récupération fonds', 'FUNDS_FETCH_ERROR');
+    }
+  }
+
+  /**
+   * ➕ Créer un fonds dédié
+   * POST /api/v1/associations/:associationId/funds
+   */
+  async createFund(req, res) {
+    try {
+      const fund = await FundService.createFund(parseInt(req.params.associationId), req.body, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Fonds créé avec succès',
+        data: { fund }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur création fonds', 'FUND_CREATION_ERROR');
+    }
+  }
+
+  /**
+   * ✏️ Modifier ou clôturer un fonds dédié
+   * PUT /api/v1/associations/:associationId/funds/:fundId
+   */
+  async updateFund(req, res) {
+    try {
+      const fund = await FundService.updateFund(
+        parseInt(req.params.associationId),
+        parseInt(req.params.fundId),
+        req.body
+      );
+
+      res.json({
+        success: true,
+        message: fund.status === 'closed' ? 'Fonds clôturé' : 'Fonds modifié avec succès',
+        data: { fund }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur modification fonds', 'FUND_UPDATE_ERROR');
+    }
+  }
+
+  /**
+   * 📜 Relevé du fonds : donateurs et utilisation (JSON ou export csv / excel / pdf)
+   * GET /api/v1/associations/:associationId/funds/:fundId/statement
+   */
+  async getFundStatement(req, res) {
+    try {
+      const statement = await FundService.getStatement(
+        parseInt(req.params.associationId),
+        parseInt(req.params.fundId)
+      );
+
+      if (!req.query.format) {
+        return res.json({
+          success: true,
+          data: statement
+        });
+      }
+
+      const lang = ExportService.resolveLanguage(req);
+      const { fund, totals } = statement;
+      const file = await ExportService.build(
+        req.query.format,
+        FundService.STATEMENT_COLUMNS,
+        FundService.statementRows(statement),
+        lang,
+        {
+          title: lang === 'fr' ? `Relevé du fonds ${fund.name}` : `Fund statement: ${fund.name}`,
+          subtitle: lang === 'fr'
+            ? `Reçu ${totals.raised.toFixed(2)} ${fund.currency} · Dépensé ${totals.spent.toFixed(2)} ${fund.currency} · Solde ${totals.balance.toFixed(2)} ${fund.currency}`
+            : `Received ${totals.raised.toFixed(2)} ${fund.currency} · Spent ${totals.spent.toFixed(2)} ${fund.currency} · Balance ${totals.balance.toFixed(2)} ${fund.currency}`,
+          sheetName: fund.name,
+          filenamePrefix: `fonds_${fund.code}`
+        }
+      );
+
+      ExportService.send(res, file);
+    } catch (error) {
+      this.handleError(res, error, 'Erreur relevé fonds', 'FUND_STATEMENT_ERROR');
+    }
+  }
+
+  // 🔧 Réponse d'erreur (erreurs métier du service : status + code)
+  handleError(res, error, message, code) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+      error: message,
+      code,
+      details: error.message
+    });
+  }
+}
+
+module.exports = new FundController();
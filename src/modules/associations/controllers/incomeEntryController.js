@@ -2,9 +2,11 @@
 
 const { Op } = require("sequelize");
 const {
+  sequelize,
   IncomeEntry,
   Association,
   Section,
+  Event,
   User,
   Transaction,
   AssociationMember,
@@ -12,6 +14,24 @@ const {
 
 // ✅ NOUVEAU : Import système RBAC moderne
 const { hasPermission, getEffectivePermissions } = require('../../../core/middleware/checkPermission');
+const ReceiptService = require('../services/receiptService');
+const FinancialExportService = require('../services/financialExportService');
+const ExportService = require('../../../core/services/exportService');
+const LedgerService = require('../services/ledgerService');
+const FundService = require('../services/fundService');
+const NotificationService = require('../../../core/services/notificationService');
+
+// Coordonnées du donateur (sourceDetails : email, phone ou contact libre)
+function getDonorContact(incomeEntry) {
+  const details = incomeEntry.sourceDetails || {};
+  const contact = details.contact ? String(details.contact).trim() : null;
+
+  return {
+    email: details.email || (contact && contact.includes('@') ? contact : null),
+    phoneNumber: details.phone || details.phoneNumber || (contact && /^\+?[\d\s().-]{8,}$/.test(contact) ? contact : null),
+    language: details.language || 'fr'
+  };
+}
 
 class IncomeEntryController {
   constructor() {
@@ -62,10 +82,12 @@ class IncomeEntryController {
         designatedFor,
         restrictedUse = false,
         usageRestrictions,
+        fundId,
         publiclyVisible = false,
         thanksRequired = false,
         tags,
         sectionId,
+        eventId,
       } = req.body;
 
       console.log(`💰 Création entrée d'argent - Association ${associationId}`);
@@ -159,6 +181,20 @@ class IncomeEntryController {
         }
       }
 
+      // Vérifier l'événement si l'entrée y est rattachée (collecte, dons lors d'un gala)
+      if (eventId) {
+        const event = await Event.findOne({
+          where: { id: eventId, associationId: parsedAssociationId },
+          attributes: ["id"],
+        });
+        if (!event) {
+          return res.status(400).json({
+            error: "Événement non trouvé",
+            code: "EVENT_NOT_FOUND",
+          });
+        }
+      }
+
       // Calculer montant net
       const netAmount = parseFloat(amount) - parseFloat(fees);
       if (netAmount <= 0) {
@@ -168,10 +204,18 @@ class IncomeEntryController {
         });
       }
 
+      // 🎯 Fonds dédié alimenté (explicite ou déduit de designatedFor si usage restreint)
+      const fundAssignment = await FundService.resolveIncomeFund(
+        parsedAssociationId,
+        { fundId, designatedFor, restrictedUse },
+        req.user.id
+      );
+
       // Créer l'entrée d'argent
       const incomeEntry = await IncomeEntry.create({
         associationId: parsedAssociationId,
         sectionId: sectionId || null,
+        eventId: eventId || null,
         registeredBy: req.user.id,
         incomeType,
         incomeSubtype,
@@ -192,8 +236,9 @@ class IncomeEntryController {
         manualReference,
         bankDetails,
         designatedFor,
-        restrictedUse,
+        restrictedUse: fundAssignment.restrictedUse,
         usageRestrictions,
+        fundId: fundAssignment.fundId,
         publiclyVisible,
         thanksRequired,
         tags,
@@ -237,6 +282,9 @@ class IncomeEntryController {
       });
     } catch (error) {
       console.error("Erreur création entrée d'argent:", error);
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+      }
       res.status(500).json({
         error: "Erreur lors de la création de l'entrée d'argent",
         code: "INCOME_ENTRY_CREATION_ERROR",
@@ -268,6 +316,7 @@ class IncomeEntryController {
         minAmount,
         maxAmount,
         search,
+        eventId,
       } = req.query;
 
       const parsedAssociationId = parseInt(associationId);
@@ -284,6 +333,9 @@ class IncomeEntryController {
       if (sourceType !== "all") {
         whereClause.sourceType = sourceType;
       }
+      if (eventId) {
+        whereClause.eventId = parseInt(eventId);
+      }
       if (dateFrom && dateTo) {
         whereClause.receivedDate = {
           [Op.between]: [new Date(dateFrom), new Date(dateTo)],
@@ -507,21 +559,26 @@ class IncomeEntryController {
         });
       }
 
-      // Mettre à jour le statut
-      await incomeEntry.update({
-        status: "validated",
-        validatedBy: req.user.id,
-        validatedAt: new Date(),
-        internalNotes: validationNote || null,
-      });
+      await sequelize.transaction(async (t) => {
+        // Mettre à jour le statut
+        await incomeEntry.update({
+          status: "validated",
+          validatedBy: req.user.id,
+          validatedAt: new Date(),
+          internalNotes: validationNote || null,
+        }, { transaction: t });
+
+        // Mettre à jour la transaction liée
+        if (incomeEntry.transactionId) {
+          await Transaction.update(
+            { status: "completed" },
+            { where: { id: incomeEntry.transactionId }, transaction: t }
+          );
+        }
 
-      // Mettre à jour la transaction liée
-      if (incomeEntry.transactionId) {
-        await Transaction.update(
-          { status: "completed" },
-          { where: { id: incomeEntry.transactionId } }
-        );
-      }
+        // Écriture au grand livre (produit ou fonds dédiés)
+        await LedgerService.postIncomeEntry(incomeEntry, t);
+      });
 
       console.log(`✅ Entrée d'argent validée: ${entryId} par ${req.user.id}`);
 
@@ -650,7 +707,19 @@ class IncomeEntryController {
           {
             model: Association,
             as: "association",
-            attributes: ["id", "name", "legalStatus"],
+            attributes: [
+              "id",
+              "name",
+              "description",
+              "legalStatus",
+              "registrationNumber",
+              "headquartersAddress",
+              "domiciliationCountry",
+              "domiciliationCity",
+              "theme",
+              "contactInfo",
+              "website",
+            ],
           },
         ],
       });
@@ -662,18 +731,28 @@ class IncomeEntryController {
         });
       }
 
-      // Générer le reçu
-      const receiptNumber = await incomeEntry.generateReceipt();
-
-      // TODO: Générer PDF du reçu fiscal
-      const receiptPdfUrl = await generateReceiptPdf(incomeEntry);
+      // Générer le PDF (ou retrouver le reçu déjà émis)
+      const { document, receiptNumber, created, cerfa } = await ReceiptService.generateReceipt(
+        incomeEntry,
+        incomeEntry.association,
+        req.user.id
+      );
 
-      res.status(200).json({
+      res.status(created ? 201 : 200).json({
         success: true,
-        message: "Reçu fiscal généré",
+        message: created
+          ? cerfa ? "Reçu fiscal (Cerfa 11580) généré" : "Reçu généré"
+          : "Reçu déjà généré",
         data: {
           receiptNumber,
-          receiptPdfUrl,
+          receiptPdfUrl: `/${document.fileUrl}`,
+          document: {
+            id: document.id,
+            type: document.type,
+            category: document.category,
+            fileName: document.fileName,
+            fileHash: document.fileHash,
+          },
           incomeEntry,
         },
       });
@@ -808,6 +887,7 @@ class IncomeEntryController {
         designatedFor,
         restrictedUse,
         usageRestrictions,
+        fundId,
         publiclyVisible,
         thanksRequired,
         tags,
@@ -899,6 +979,19 @@ class IncomeEntryController {
       if (restrictedUse !== undefined) updateData.restrictedUse = restrictedUse;
       if (usageRestrictions !== undefined)
         updateData.usageRestrictions = usageRestrictions;
+      if (fundId !== undefined || designatedFor !== undefined || restrictedUse !== undefined) {
+        const fundAssignment = await FundService.resolveIncomeFund(
+          incomeEntry.associationId,
+          {
+            fundId: fundId !== undefined ? fundId : incomeEntry.fundId,
+            designatedFor: designatedFor !== undefined ? designatedFor : incomeEntry.designatedFor,
+            restrictedUse: restrictedUse !== undefined ? restrictedUse : incomeEntry.restrictedUse,
+          },
+          req.user.id
+        );
+        updateData.fundId = fundAssignment.fundId;
+        updateData.restrictedUse = fundAssignment.restrictedUse;
+      }
       if (publiclyVisible !== undefined)
         updateData.publiclyVisible = publiclyVisible;
       if (thanksRequired !== undefined)
@@ -935,6 +1028,9 @@ class IncomeEntryController {
       });
     } catch (error) {
       console.error("Erreur modification entrée:", error);
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+      }
       res.status(500).json({
         error: "Erreur lors de la modification",
         code: "INCOME_ENTRY_UPDATE_ERROR",
@@ -1188,99 +1284,47 @@ class IncomeEntryController {
         format = "excel",
         dateFrom,
         dateTo,
-        includeDetails = true,
+        sectionId,
+        includeDetails = "true",
+        store = "false",
       } = req.query;
 
-      // Construire filtres
-      let whereClause = {
-        associationId: parseInt(associationId),
-        status: "validated",
-      };
+      const filters = { dateFrom, dateTo, sectionId };
+      const file = await FinancialExportService.buildExport(
+        "income",
+        parseInt(associationId),
+        filters,
+        {
+          format,
+          lang: ExportService.resolveLanguage(req),
+          includeDetails: String(includeDetails) !== "false",
+        }
+      );
 
-      if (dateFrom && dateTo) {
-        whereClause.receivedDate = {
-          [Op.between]: [new Date(dateFrom), new Date(dateTo)],
-        };
-      }
+      // Archivage optionnel dans les documents de l'association
+      if (String(store) === "true") {
+        const document = await FinancialExportService.storeExport(file, {
+          kind: "income",
+          associationId: parseInt(associationId),
+          userId: req.user.id,
+          filters,
+        });
 
-      // Récupérer les données
-      const incomeEntries = await IncomeEntry.findAll({
-        where: whereClause,
-        include: [
-          {
-            model: User,
-            as: "registeredByUser",
-            attributes: ["firstName", "lastName"],
+        return res.status(201).json({
+          success: true,
+          message: "Export généré avec succès",
+          data: {
+            documentId: document.id,
+            downloadUrl: `/${document.fileUrl}`,
+            filename: file.filename,
+            format: format,
+            totalEntries: file.total,
+            dateRange: { dateFrom, dateTo },
           },
-          {
-            model: User,
-            as: "validatedByUser",
-            attributes: ["firstName", "lastName"],
-          },
-          {
-            model: Section,
-            as: "section",
-            attributes: ["name"],
-          },
-        ],
-        order: [["receivedDate", "DESC"]],
-      });
-
-      // Formater données pour export
-      const exportData = incomeEntries.map((entry) => ({
-        Date: entry.receivedDate.toISOString().split("T")[0],
-        Titre: entry.title,
-        Type: entry.incomeType,
-        "Type Source": entry.sourceType,
-        "Nom Source": entry.isAnonymous ? "Anonyme" : entry.sourceName,
-        "Montant Brut": entry.grossAmount || entry.amount,
-        Frais: entry.fees,
-        "Montant Net": entry.netAmount,
-        Devise: entry.currency,
-        Méthode: entry.paymentMethod,
-        Section: entry.section?.name || "Centrale",
-        "Enregistré par": `${entry.registeredByUser.firstName} ${entry.registeredByUser.lastName}`,
-        "Validé par": entry.validatedByUser
-          ? `${entry.validatedByUser.firstName} ${entry.validatedByUser.lastName}`
-          : "",
-        "Date validation": entry.validatedAt
-          ? entry.validatedAt.toISOString().split("T")[0]
-          : "",
-        ...(includeDetails && {
-          Description: entry.description,
-          Objectif: entry.purpose,
-          Référence: entry.manualReference,
-          "Usage restreint": entry.restrictedUse ? "Oui" : "Non",
-        }),
-      }));
-
-      // Générer le fichier selon le format
-      let exportResult;
-      switch (format) {
-        case "csv":
-          exportResult = await generateCSVExport(exportData);
-          break;
-        case "excel":
-          exportResult = await generateExcelExport(exportData);
-          break;
-        case "pdf":
-          exportResult = await generatePDFExport(exportData, associationId);
-          break;
-        default:
-          exportResult = await generateExcelExport(exportData);
+        });
       }
 
-      res.status(200).json({
-        success: true,
-        message: "Export généré avec succès",
-        data: {
-          downloadUrl: exportResult.url,
-          filename: exportResult.filename,
-          format: format,
-          totalEntries: exportData.length,
-          dateRange: { dateFrom, dateTo },
-        },
-      });
+      ExportService.send(res, file);
     } catch (error) {
       console.error("Erreur export données:", error);
       res.status(500).json({
@@ -1554,14 +1598,39 @@ class IncomeEntryController {
         });
       }
 
-      // TODO: Intégrer avec service d'envoi (email, SMS)
+      const contact = getDonorContact(incomeEntry);
+      if (incomeEntry.isAnonymous || (!contact.email && !contact.phoneNumber)) {
+        return res.status(400).json({
+          error: "Aucun email ni téléphone pour ce donateur",
+          code: "NO_DONOR_CONTACT",
+        });
+      }
+
+      const association = await Association.findByPk(incomeEntry.associationId, { attributes: ["id", "name"] });
+      const message = thanksMessage?.trim() ||
+        `${association.name} vous remercie chaleureusement pour votre soutien de ${parseFloat(incomeEntry.amount).toFixed(2)} ${incomeEntry.currency}.`;
+
+      const notifications = await NotificationService.notifyContact("income_thanks", contact, {
+        associationId: incomeEntry.associationId,
+        data: { associationName: association.name, message, incomeEntryId: incomeEntry.id },
+      });
+
+      const delivered = notifications.filter((n) => n.status === "sent");
+      if (delivered.length === 0) {
+        return res.status(502).json({
+          error: "Échec de l'envoi des remerciements",
+          code: "THANKS_DELIVERY_FAILED",
+          details: notifications.map((n) => ({ channel: n.channel, error: n.error })),
+        });
+      }
 
       // Marquer comme envoyé
       await incomeEntry.update({
         thanksSent: true,
         metadata: {
           ...incomeEntry.metadata,
-          thanksMessage,
+          thanksMessage: message,
+          thanksChannels: delivered.map((n) => n.channel),
           thanksSentAt: new Date().toISOString(),
           thanksSentBy: req.user.id,
         },
@@ -1584,34 +1653,4 @@ class IncomeEntryController {
   }
 }
 
-// 🔧 FONCTIONS UTILITAIRES
-async function generateReceiptPdf(incomeEntry) {
-  console.log(`📄 Génération PDF reçu pour entrée ${incomeEntry.id}`);
-  return `https://cdn.diasporatontine.com/receipts/${incomeEntry.receiptNumber}.pdf`;
-}
-
-async function generateCSVExport(data) {
-  console.log("📊 Génération export CSV...");
-  return {
-    url: `https://cdn.diasporatontine.com/exports/income_entries_${Date.now()}.csv`,
-    filename: `income_entries_${new Date().toISOString().split("T")[0]}.csv`,
-  };
-}
-
-async function generateExcelExport(data) {
-  console.log("📊 Génération export Excel...");
-  return {
-    url: `https://cdn.diasporatontine.com/exports/income_entries_${Date.now()}.xlsx`,
-    filename: `income_entries_${new Date().toISOString().split("T")[0]}.xlsx`,
-  };
-}
-
-async function generatePDFExport(data, associationId) {
-  console.log("📊 Génération export PDF...");
-  return {
-    url: `https://cdn.diasporatontine.com/exports/income_entries_${associationId}_${Date.now()}.pdf`,
-    filename: `income_entries_${new Date().toISOString().split("T")[0]}.pdf`,
-  };
-}
-
 module.exports = new IncomeEntryController();
\ No newline at end of file
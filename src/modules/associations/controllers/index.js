@@ -6,11 +6,31 @@ const sectionController = require('./sectionController');
 const memberController = require('./memberController');
 const expenseRequestController = require('./expenseRequestController');
 const incomeEntryController = require('./incomeEntryController');
+const lateFeeController = require('./lateFeeController');
+const ledgerController = require('./ledgerController');
+const fundController = require('./fundController');
+const exchangeRateController = require('./exchangeRateController');
+const budgetController = require('./budgetController');
+const approvalPolicyController = require('./approvalPolicyController');
+const ballotController = require('./ballotController');
+const cotisationReminderController = require('./cotisationReminderController');
+const eventController = require('./eventController');
+const eventTicketController = require('./eventTicketController');
 
 module.exports = {
   associationController,
   sectionController,
   memberController,
   expenseRequestController,
-  incomeEntryController
+  incomeEntryController,
+  lateFeeController,
+  ledgerController,
+  fundController,
+  exchangeRateController,
+  budgetController,
+  approvalPolicyController,
+  ballotController,
+  cotisationReminderController,
+  eventController,
+  eventTicketController
 };
\ No newline at end of file
@@ -0,0 +1,122 @@
+// src/modules/associations/controllers/lateFeeController.js
+// Pénalités de retard : consultation, calcul manuel, règlements et exonérations
+
+const { Association } = require('../../../models');
+const LateFeeService = require('../services/lateFeeService');
+
+class LateFeeController {
+  constructor() {
+    this.listLateFees = this.listLateFees.bind(this);
+    this.runPenaltyEngine = this.runPenaltyEngine.bind(this);
+    this.waiveLateFee = this.waiveLateFee.bind(this);
+    this.payLateFee = this.payLateFee.bind(this);
+  }
+
+  /**
+   * 📋 Lister les pénalités
+   * GET /api/v1/associations/:associationId/late-fees
+   */
+  async listLateFees(req, res) {
+    try {
+      const data = await LateFeeService.listFees(parseInt(req.params.associationId), req.query);
+
+      res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur récupération pénalités', 'LATE_FEES_FETCH_ERROR');
+    }
+  }
+
+  /**
+   * ⚙️ Appliquer la politique de pénalités maintenant (idempotent)
+   * POST /api/v1/associations/:associationId/late-fees/run
+   */
+  async runPenaltyEngine(req, res) {
+    try {
+      const association = await Association.findByPk(req.params.associationId);
+      if (!association) {
+        return res.status(404).json({
+          error: 'Association introuvable',
+          code: 'ASSOCIATION_NOT_FOUND'
+        });
+      }
+
+      const report = await LateFeeService.applyAssociation(association);
+
+      res.json({
+        success: true,
+        message: 'Politique de pénalités appliquée',
+        data: { report }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur application pénalités', 'LATE_FEES_RUN_ERROR');
+    }
+  }
+
+  /**
+   * 🙏 Exonérer une pénalité
+   * POST /api/v1/associations/:associationId/late-fees/:feeId/waive
+   */
+  async waiveLateFee(req, res) {
+    try {
+      const fee = await LateFeeService.waiveFee(
+        parseInt(req.params.associationId),
+        parseInt(req.params.feeId),
+        req.user.id,
+        req.body.reason.trim()
+      );
+
+      res.json({
+        success: true,
+        message: 'Pénalité exonérée',
+        data: { lateFee: fee }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur exonération pénalité', 'LATE_FEE_WAIVE_ERROR');
+    }
+  }
+
+  /**
+   * 💶 Enregistrer le règlement d'une pénalité
+   * POST /api/v1/associations/:associationId/late-fees/:feeId/pay
+   */
+  async payLateFee(req, res) {
+    try {
+      const fee = await LateFeeService.payFee(
+        parseInt(req.params.associationId),
+        parseInt(req.params.feeId),
+        req.user.id,
+        req.body
+      );
+
+      res.json({
+        success: true,
+        message: 'Pénalité réglée',
+        data: { lateFee: fee }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur règlement pénalité', 'LATE_FEE_PAY_ERROR');
+    }
+  }
+
+  // 🔧 Réponse d'erreur (erreurs métier du service : status + code)
+  handleError(res, error, message, code) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+      error: message,
+      code,
+      details: error.message
+    });
+  }
+}
+
+module.exports = new LateFeeController();
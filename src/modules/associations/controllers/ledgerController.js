@@ -0,0 +1,135 @@
+// src/modules/associations/controllers/ledgerController.js
+// Grand livre : balance générale, historique des comptes, rattrapage des écritures
+
+const LedgerService = require('../services/ledgerService');
+
+class LedgerController {
+  constructor() {
+    this.getAccounts = this.getAccounts.bind(this);
+    this.getTrialBalance = this.getTrialBalance.bind(this);
+    this.getAccountHistory = this.getAccountHistory.bind(this);
+    this.getConsolidatedReport = this.getConsolidatedReport.bind(this);
+    this.syncLedger = this.syncLedger.bind(this);
+  }
+
+  /**
+   * 📒 Plan comptable avec soldes et position financière
+   * GET /api/v1/associations/:associationId/ledger/accounts
+   */
+  async getAccounts(req, res) {
+    try {
+      const associationId = parseInt(req.params.associationId);
+      const [accounts, position] = await Promise.all([
+        LedgerService.getBalances(associationId),
+        LedgerService.getPosition(associationId)
+      ]);
+
+      res.json({
+        success: true,
+        data: { accounts, position }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur récupération comptes', 'LEDGER_ACCOUNTS_ERROR');
+    }
+  }
+
+  /**
+   * 🧮 Balance générale
+   * GET /api/v1/associations/:associationId/ledger/trial-balance
+   */
+  async getTrialBalance(req, res) {
+    try {
+      const trialBalance = await LedgerService.getTrialBalance(parseInt(req.params.associationId), {
+        asOf: req.query.asOf ? new Date(req.query.asOf) : undefined
+      });
+
+      res.json({
+        success: true,
+        data: trialBalance
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur calcul balance', 'TRIAL_BALANCE_ERROR');
+    }
+  }
+
+  /**
+   * 📜 Mouvements d'un compte
+   * GET /api/v1/associations/:associationId/ledger/accounts/:accountCode/history
+   */
+  async getAccountHistory(req, res) {
+    try {
+      const history = await LedgerService.getAccountHistory(
+        parseInt(req.params.associationId),
+        req.params.accountCode,
+        req.query
+      );
+
+      res.json({
+        success: true,
+        data: history
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur historique compte', 'ACCOUNT_HISTORY_ERROR');
+    }
+  }
+
+  /**
+   * 🌍 Rapport consolidé en devise principale avec écarts de change
+   * GET /api/v1/associations/:associationId/ledger/consolidated
+   */
+  async getConsolidatedReport(req, res) {
+    try {
+      const report = await LedgerService.getConsolidatedReport(parseInt(req.params.associationId), {
+        asOf: req.query.asOf ? new Date(req.query.asOf) : undefined
+      });
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur rapport consolidé', 'CONSOLIDATED_REPORT_ERROR');
+    }
+  }
+
+  /**
+   * 🔄 Comptabiliser les opérations antérieures au grand livre (idempotent)
+   * POST /api/v1/associations/:associationId/ledger/sync
+   */
+  async syncLedger(req, res) {
+    try {
+      const associationId = parseInt(req.params.associationId);
+      const report = await LedgerService.syncAssociation(associationId);
+      const trialBalance = await LedgerService.getTrialBalance(associationId);
+
+      res.json({
+        success: true,
+        message: report.complete
+          ? 'Grand livre synchronisé'
+          : `Grand livre partiellement synchronisé (${report.errors.length} opération(s) en erreur)`,
+        data: { report, balanced: trialBalance.balanced, totals: trialBalance.totals }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Erreur synchronisation grand livre', 'LEDGER_SYNC_ERROR');
+    }
+  }
+
+  // 🔧 Réponse d'erreur (erreurs métier du service : status + code)
+  handleError(res, error, message, code) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+      error: message,
+      code,
+      details: error.message
+    });
+  }
+}
+
+module.exports = new LedgerController();
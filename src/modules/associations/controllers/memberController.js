@@ -10,6 +10,10 @@ const {
 } = require("../../../models");
 const { Op } = require("sequelize");
 const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+const PaymentService = require("../../../core/payments/services/paymentService");
+const CotisationCollectorService = require("../services/cotisationCollectorService");
+const LedgerService = require("../services/ledgerService");
+const NotificationService = require("../../../core/services/notificationService");
 
 
 
@@ -327,6 +331,15 @@ class MemberController {
         assignedRoles
       );
 
+      // 🔔 Bienvenue au nouveau membre
+      if (member.status === "active") {
+        NotificationService.notify("new_member", targetUser, {
+          associationId: association.id,
+          member,
+          data: { associationName: association.name, associationId: association.id },
+        }).catch((error) => console.error("⚠️ Notification nouveau membre:", error.message));
+      }
+
       // Charger membre complet pour retour
       const memberComplete = await AssociationMember.findByPk(member.id, {
         include: [
@@ -717,6 +730,20 @@ async listMembers(req, res) {
         });
       }
 
+      // 💱 Devise de la section du membre, sinon devise principale de l'association
+      const paymentSectionId = sectionId || membership.sectionId;
+      const section = paymentSectionId
+        ? await Section.findOne({
+            where: { id: paymentSectionId, associationId },
+            attributes: ["id", "currency"],
+          })
+        : null;
+      const currency = (
+        section?.currency ||
+        membership.association.primaryCurrency ||
+        "EUR"
+      ).toUpperCase();
+
       // Calculer commission (2.5% + 0.25€)
       const commissionAmount = parseFloat((amount * 0.025 + 0.25).toFixed(2));
       const netAmount = parseFloat((amount - commissionAmount).toFixed(2));
@@ -731,7 +758,7 @@ async listMembers(req, res) {
         amount,
         commissionAmount,
         netAmount,
-        currency: membership.association.currency || "EUR",
+        currency,
         month,
         year,
         paymentMethod: "card",
@@ -744,8 +771,8 @@ async listMembers(req, res) {
       try {
         // Traitement paiement Stripe
         const paymentIntent = await stripe.paymentIntents.create({
-          amount: Math.round(amount * 100),
-          currency: "eur",
+          amount: PaymentService.toStripeAmount(amount, currency),
+          currency: currency.toLowerCase(),
           payment_method: paymentMethodId,
           confirm: true,
           automatic_payment_methods: {
@@ -758,27 +785,22 @@ async listMembers(req, res) {
             type: "cotisation",
             month: String(month),
             year: String(year),
+            transactionId: String(transaction.id),
           },
         });
 
         // Mettre à jour transaction avec résultat Stripe
         await transaction.update({
           externalTransactionId: paymentIntent.id,
-          status:
-            paymentIntent.status === "succeeded" ? "completed" : "processing",
+          paymentProvider: "stripe",
+          status: "processing",
           processedAt: new Date(),
         });
 
-        // Si succès, mettre à jour statistiques membre
+        // Si succès immédiat, créditer le membre (sinon le webhook Stripe s'en charge)
         if (paymentIntent.status === "succeeded") {
-          await membership.update({
-            totalContributed: membership.totalContributed + amount,
-            lastContributionDate: new Date(),
-            contributionStatus: "uptodate",
-          });
-
-          await transaction.update({
-            completedAt: new Date(),
+          await PaymentService.markSucceeded(transaction, {
+            externalTransactionId: paymentIntent.id,
           });
         }
 
@@ -792,6 +814,7 @@ async listMembers(req, res) {
             transaction: {
               id: transaction.id,
               amount,
+              currency,
               commissionAmount,
               netAmount,
               status: transaction.status,
@@ -1306,6 +1329,39 @@ async listMembers(req, res) {
     }
   }
 
+  // 🔁 LANCER LES PRÉLÈVEMENTS AUTOMATIQUES (hors cron)
+  async runAutoDebit(req, res) {
+    try {
+      const { associationId } = req.params;
+
+      const association = await Association.findByPk(associationId);
+      if (!association) {
+        return res.status(404).json({
+          error: "Association introuvable",
+          code: "ASSOCIATION_NOT_FOUND",
+        });
+      }
+
+      // Idempotent : les membres déjà prélevés ce mois sont ignorés
+      const report = await CotisationCollectorService.collectAssociation(association);
+
+      res.json({
+        success: true,
+        message: report.notDueUntil
+          ? "Échéance de cotisation non atteinte"
+          : "Prélèvements automatiques exécutés",
+        data: { report },
+      });
+    } catch (error) {
+      console.error("Erreur prélèvements automatiques:", error);
+      res.status(500).json({
+        error: "Erreur lors des prélèvements automatiques",
+        code: "AUTO_DEBIT_RUN_ERROR",
+        details: error.message,
+      });
+    }
+  }
+
   // 📈 RAPPORT COTISATIONS ASSOCIATION
   async getCotisationsReport(req, res) {
     try {
@@ -1532,34 +1588,38 @@ async listMembers(req, res) {
             continue;
           }
 
-          // Créer transaction historique
-          await Transaction.create({
-            userId: member.userId,
-            associationId,
-            memberId: member.id,
-            sectionId: member.sectionId,
-            type: "cotisation",
-            amount: parseFloat(amount),
-            commissionAmount: 0, // Pas de commission sur historique
-            netAmount: parseFloat(amount),
-            currency: "EUR",
-            month: parseInt(month),
-            year: parseInt(year),
-            paymentMethod: "iban", // Historique supposé par virement
-            status,
-            description: `Import historique ${month}/${year}`,
-            source: "imported",
-            processedAt: new Date(),
-            completedAt: status === "completed" ? new Date() : null,
+          // Créer transaction historique (payée : membre crédité et écriture au grand livre)
+          await sequelize.transaction(async (t) => {
+            const imported = await Transaction.create({
+              userId: member.userId,
+              associationId,
+              memberId: member.id,
+              sectionId: member.sectionId,
+              type: "cotisation",
+              amount: parseFloat(amount),
+              commissionAmount: 0, // Pas de commission sur historique
+              netAmount: parseFloat(amount),
+              currency: "EUR",
+              month: parseInt(month),
+              year: parseInt(year),
+              paymentMethod: "iban", // Historique supposé par virement
+              status,
+              description: `Import historique ${month}/${year}`,
+              source: "imported",
+              processedAt: new Date(),
+              completedAt: status === "completed" ? new Date() : null,
+            }, { transaction: t });
+
+            // Mettre à jour statistiques membre si cotisation payée
+            if (status === "completed") {
+              await member.update({
+                totalContributed: parseFloat(member.totalContributed || 0) + parseFloat(amount),
+              }, { transaction: t });
+
+              await LedgerService.postOrDefer(imported, () => LedgerService.postCotisation(imported, t), t);
+            }
           });
 
-          // Mettre à jour statistiques membre si cotisation payée
-          if (status === "completed") {
-            await member.update({
-              totalContributed: member.totalContributed + parseFloat(amount),
-            });
-          }
-
           importResults.success++;
           importResults.details.push({
             line: index + 1,
@@ -1962,6 +2022,8 @@ async listMembers(req, res) {
               section: member.section,
               cotisationAmount: member.cotisationAmount,
               autoPaymentEnabled: member.autoPaymentEnabled,
+              lastReminderSent: member.lastReminderSent,
+              remindersSentCount: member.remindersSentCount,
             },
             overdue: {
               monthsOverdue,
@@ -2673,43 +2735,49 @@ async listMembers(req, res) {
         netAmount,
       });
 
-      // Créer la transaction
-      const transaction = await Transaction.create({
-        userId: targetMember.userId,
-        associationId,
-        sectionId: targetMember.sectionId,
-        memberId: targetMember.id,
-        type: "cotisation",
-        amount: parseFloat(amount),
-        commissionAmount,
-        netAmount,
-        currency: "EUR",
-        month: parseInt(month),
-        year: parseInt(year),
-        paymentMethod,
-        status: initialStatus,
-        description: reason,
-        source: "manual",
-        addedBy: req.user.id,
-        addedByRole: requestorMembership?.roles?.[0] || "member",
-        ...(validatorInfo?.approvedBy && {
-          approvedBy: validatorInfo.approvedBy,
-          approvedAt: validatorInfo.approvedAt,
-          completedAt: validatorInfo.approvedAt,
-          processedAt: validatorInfo.approvedAt,
-        }),
-      });
+      // Créer la transaction (validée : membre crédité et écriture au grand livre dans la même transaction)
+      const transaction = await sequelize.transaction(async (t) => {
+        const created = await Transaction.create({
+          userId: targetMember.userId,
+          associationId,
+          sectionId: targetMember.sectionId,
+          memberId: targetMember.id,
+          type: "cotisation",
+          amount: parseFloat(amount),
+          commissionAmount,
+          netAmount,
+          currency: "EUR",
+          month: parseInt(month),
+          year: parseInt(year),
+          paymentMethod,
+          status: initialStatus,
+          description: reason,
+          source: "manual",
+          addedBy: req.user.id,
+          addedByRole: requestorMembership?.roles?.[0] || "member",
+          ...(validatorInfo?.approvedBy && {
+            approvedBy: validatorInfo.approvedBy,
+            approvedAt: validatorInfo.approvedAt,
+            completedAt: validatorInfo.approvedAt,
+            processedAt: validatorInfo.approvedAt,
+          }),
+        }, { transaction: t });
+
+        // Si validé directement, mettre à jour les stats du membre
+        if (initialStatus === "completed") {
+          await targetMember.update({
+            totalContributed:
+              parseFloat(targetMember.totalContributed || "0") +
+              parseFloat(amount),
+            lastContributionDate: new Date(),
+            contributionStatus: "uptodate",
+          }, { transaction: t });
 
-      // Si validé directement, mettre à jour les stats du membre
-      if (initialStatus === "completed") {
-        await targetMember.update({
-          totalContributed:
-            parseFloat(targetMember.totalContributed || "0") +
-            parseFloat(amount),
-          lastContributionDate: new Date(),
-          contributionStatus: "uptodate",
-        });
-      }
+          await LedgerService.postOrDefer(created, () => LedgerService.postCotisation(created, t), t);
+        }
+
+        return created;
+      });
 
       // Préparer les notifications (à implémenter)
       let notificationMessage = "";
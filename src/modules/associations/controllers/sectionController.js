@@ -1,5 +1,6 @@
 //src\modules\associations\controllers\sectionController.js
 const {
+  sequelize,
   Association,
   Section,
   AssociationMember,
@@ -7,6 +8,7 @@ const {
   Transaction,
 } = require("../../../models");
 const { Op } = require("sequelize");
+const CurrencyService = require("../services/currencyService");
 
 // ✅ NOUVEAU : Import système RBAC moderne
 const {
@@ -632,13 +634,28 @@ class SectionController {
         where: { associationId, status: "active" },
       });
 
+      // 💱 Totaux consolidés en devise principale (montants convertis à l'encaissement)
+      const primaryCurrency = await CurrencyService.getPrimaryCurrency(associationId);
+      const now = new Date();
+      const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+
       // Calculer stats comparatives
       const comparison = await Promise.all(
         sections.map(async (section) => {
-          const [membersCount, monthlyRevenue, averageCotisation] =
+          const [membersCount, monthlyRevenue, monthlyTransactions, averageCotisation] =
             await Promise.all([
               section.getActiveMembersCount(),
               section.getMonthlyContributions(),
+              Transaction.findAll({
+                where: {
+                  sectionId: section.id,
+                  type: "cotisation",
+                  status: "completed",
+                  createdAt: { [Op.gte]: startOfMonth },
+                },
+                attributes: ["amount", "currency", "convertedAmount", "convertedCurrency", "createdAt"],
+                raw: true,
+              }),
 
               Transaction.findOne({
                 where: {
@@ -656,12 +673,19 @@ class SectionController {
               }),
             ]);
 
+          const monthlyRevenueConverted = await CurrencyService.sumIn(
+            associationId,
+            monthlyTransactions.map((t) => ({ ...t, date: t.createdAt })),
+            primaryCurrency
+          );
+
           return {
             section: {
               id: section.id,
               name: section.name,
               country: section.country,
               city: section.city,
+              currency: section.currency,
             },
             stats: {
               membersCount,
@@ -670,18 +694,28 @@ class SectionController {
               revenuePerMember:
                 membersCount > 0 ? monthlyRevenue / membersCount : 0,
             },
+            consolidated: {
+              currency: primaryCurrency,
+              monthlyRevenue: monthlyRevenueConverted,
+              revenuePerMember:
+                membersCount > 0
+                  ? parseFloat((monthlyRevenueConverted / membersCount).toFixed(2))
+                  : 0,
+            },
           };
         })
       );
 
-      // Calculer totaux
+      // Calculer totaux (devise principale : les sections peuvent avoir des devises différentes)
       const totals = comparison.reduce(
         (acc, item) => {
           acc.totalMembers += item.stats.membersCount;
-          acc.totalRevenue += item.stats.monthlyRevenue;
+          acc.totalRevenue = parseFloat(
+            (acc.totalRevenue + item.consolidated.monthlyRevenue).toFixed(2)
+          );
           return acc;
         },
-        { totalMembers: 0, totalRevenue: 0 }
+        { totalMembers: 0, totalRevenue: 0, currency: primaryCurrency }
       );
 
       res.json({
@@ -694,6 +728,13 @@ class SectionController {
       });
     } catch (error) {
       console.error("Erreur rapport sections:", error);
+      if (error.status) {
+        return res.status(error.status).json({
+          error: error.message,
+          code: error.code,
+          details: error.details,
+        });
+      }
       res.status(500).json({
         error: "Erreur génération rapport sections",
         code: "SECTIONS_REPORT_ERROR",
@@ -0,0 +1,82 @@
+// src/modules/associations/jobs/cotisationJob.js
+// Cron quotidien des prélèvements automatiques de cotisations, des pénalités de retard puis des relances
+
+const cron = require('node-cron');
+const CotisationCollectorService = require('../services/cotisationCollectorService');
+const LateFeeService = require('../services/lateFeeService');
+const CotisationReminderService = require('../services/cotisationReminderService');
+
+// Tous les jours à 7h (heure de Paris) par défaut
+const AUTO_DEBIT_CRON = process.env.COTISATION_AUTO_DEBIT_CRON || '0 7 * * *';
+
+function startCotisationJob() {
+  const task = cron.schedule(AUTO_DEBIT_CRON, async () => {
+    console.log('⏱️ Prélèvements cotisations - démarrage');
+
+    try {
+      const reports = await CotisationCollectorService.collectAll();
+
+      reports.forEach((report) => {
+        if (report.members) {
+          console.log(
+            `✅ Prélèvements ${report.associationName} (${report.period.month}/${report.period.year}): ` +
+            `${report.succeeded} réussi(s), ${report.processing} en cours, ${report.failed} échec(s), ` +
+            `${report.waitingRetry} en attente de relance, ${report.exhausted} abandonné(s), ` +
+            `${report.markedLate} en retard, ${report.amountCollected} ${report.currency} collectés`
+          );
+        }
+
+        if (report.errors.length > 0) {
+          console.error(`⚠️ Erreurs prélèvements association ${report.associationId}:`, report.errors);
+        }
+      });
+    } catch (error) {
+      console.error('❌ Erreur prélèvements cotisations:', error);
+    }
+
+    // Pénalités et inactivité après les prélèvements du jour
+    try {
+      const reports = await LateFeeService.applyAll();
+
+      reports.forEach((report) => {
+        if (report.error) {
+          console.error(`⚠️ Erreur pénalités association ${report.associationId}:`, report.error);
+        } else if (report.cotisationFees || report.loanFees || report.loanFeesUpdated || report.inactivated) {
+          console.log(
+            `✅ Pénalités ${report.associationName}: ${report.cotisationFees} cotisation(s), ` +
+            `${report.loanFees} échéance(s) de prêt, ${report.amountCharged} ${report.currency}, ` +
+            `${report.inactivated} membre(s) passé(s) inactif(s)`
+          );
+        }
+      });
+    } catch (error) {
+      console.error('❌ Erreur moteur pénalités:', error);
+    }
+
+    // Relances après prélèvements : les membres débités ce jour ne sont pas relancés
+    try {
+      const reports = await CotisationReminderService.runAll();
+
+      reports.forEach((report) => {
+        if (report.error) {
+          console.error(`⚠️ Erreur relances association ${report.associationId}:`, report.error);
+        } else if (report.sent || report.errors.length) {
+          console.log(
+            `🔔 Relances ${report.associationName}: ${report.sent} envoyée(s), ${report.errors.length} échec(s)`
+          );
+        }
+      });
+    } catch (error) {
+      console.error('❌ Erreur relances cotisations:', error);
+    }
+  }, {
+    name: 'cotisation-auto-debit',
+    timezone: 'Europe/Paris',
+    noOverlap: true
+  });
+
+  console.log(`⏱️ Cron prélèvements cotisations planifié (${AUTO_DEBIT_CRON})`);
+  return task;
+}
+
+module.exports = { startCotisationJob };
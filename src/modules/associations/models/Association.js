@@ -146,6 +146,12 @@ module.exports = (sequelize, DataTypes) => {
         comment: "RIB principal: {iban, bic, bankName, accountHolder}",
       },
 
+      ledgerBackfilledAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: "Rattrapage du grand livre terminé (opérations antérieures comptabilisées)",
+      },
+
       // 🔐 SYSTÈME RBAC DYNAMIQUE - RÔLES & PERMISSIONS
       rolesConfiguration: {
         type: DataTypes.JSONB,
@@ -306,6 +312,15 @@ module.exports = (sequelize, DataTypes) => {
         comment: "Types d'entrées d'argent configurables",
       },
 
+      // ⚖️ CIRCUIT DE VALIDATION DES DÉPENSES
+      workflowRules: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        defaultValue: { version: 1, rules: [], delegations: [] },
+        comment:
+          "Règles de validation des dépenses (rôles, quorum, urgence) et délégations",
+      },
+
       // 📈 BUSINESS METRICS
       monthlyRevenue: {
         type: DataTypes.DECIMAL(8, 2),
@@ -379,6 +379,26 @@ module.exports = (sequelize, DataTypes) => {
         comment: "Statut cotisations",
       },
 
+      // 🔔 RELANCES COTISATIONS
+      lastReminderSent: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: "Date de la dernière relance de cotisation",
+      },
+
+      remindersSentCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: "Relances envoyées pour la période impayée en cours",
+      },
+
+      lastReminderStep: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        comment: "Dernière étape automatique envoyée (AAAA-MM:décalage, ex: 2026-03:+3)",
+      },
+
       // 📋 INFORMATIONS ADDITIONNELLES
       notes: {
         type: DataTypes.TEXT,
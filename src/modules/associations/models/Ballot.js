@@ -0,0 +1,255 @@
+//src/modules/associations/models/Ballot.js
+// Scrutin : résolution (pour / contre / abstention) ou élection, en assemblée générale ou en ligne
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Ballot = sequelize.define('Ballot', {
+
+    // 🆔 IDENTIFIANTS
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+
+    associationId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'associations',
+        key: 'id'
+      }
+    },
+
+    eventId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'events',
+        key: 'id'
+      },
+      comment: 'Assemblée générale de rattachement (null = vote en ligne autonome)'
+    },
+
+    sectionId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'sections',
+        key: 'id'
+      },
+      comment: 'Vote réservé aux membres d\'une section (null = toute l\'association)'
+    },
+
+    // 📋 OBJET DU VOTE
+    title: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: 'Intitulé de la résolution ou du poste à pourvoir'
+    },
+
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Texte de la résolution soumise au vote'
+    },
+
+    kind: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'motion',
+      validate: {
+        isIn: [['motion', 'election']]
+      },
+      comment: 'motion = pour / contre / abstention, election = choix entre candidats'
+    },
+
+    options: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      comment: 'Choix proposés [{ key, label }] (abstain = abstention / vote blanc)'
+    },
+
+    // ⚖️ RÈGLES DU SCRUTIN
+    secret: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: 'Vote secret : le choix de chaque votant n\'est pas conservé'
+    },
+
+    majorityRule: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'simple',
+      validate: {
+        isIn: [['simple', 'two_thirds']]
+      },
+      comment: 'Majorité des suffrages exprimés (abstentions exclues)'
+    },
+
+    eligibility: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {
+        memberStatuses: ['active'],
+        memberTypes: null,
+        requireUpToDate: true,
+        minSeniorityMonths: null
+      },
+      comment: 'Conditions pour voter : statut, type de membre, cotisations à jour, ancienneté'
+    },
+
+    quorum: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Quorum de participation { type: "percentage"|"count", value } (null = sans quorum)'
+    },
+
+    allowProxies: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: 'Vote par procuration autorisé'
+    },
+
+    maxProxiesPerMember: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      validate: {
+        min: 0
+      },
+      comment: 'Procurations qu\'un même mandataire peut exercer'
+    },
+
+    // 📅 DÉROULEMENT
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'draft',
+      validate: {
+        isIn: [['draft', 'open', 'closed', 'cancelled']]
+      }
+    },
+
+    opensAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Ouverture prévue du vote en ligne'
+    },
+
+    closesAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Clôture prévue du vote en ligne'
+    },
+
+    openedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
+    closedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
+    // 🗳️ DÉPOUILLEMENT
+    electorate: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Liste d\'émargement figée à l\'ouverture (IDs AssociationMember)'
+    },
+
+    tally: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Décompte par choix { [key]: nombre de voix }'
+    },
+
+    results: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Résultats figés à la clôture (quorum, majorité, décision)'
+    },
+
+    minutesDocumentId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'documents',
+        key: 'id'
+      },
+      comment: 'Procès-verbal signé'
+    },
+
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+
+    closedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+
+  }, {
+
+    tableName: 'ballots',
+    timestamps: true,
+
+    indexes: [
+      { fields: ['association_id', 'status'] },
+      { fields: ['event_id'] }
+    ]
+  });
+
+  // 🔗 ASSOCIATIONS
+  Ballot.associate = (models) => {
+    Ballot.belongsTo(models.Association, {
+      foreignKey: 'associationId',
+      as: 'association'
+    });
+
+    Ballot.belongsTo(models.Event, {
+      foreignKey: 'eventId',
+      as: 'event'
+    });
+
+    Ballot.belongsTo(models.Section, {
+      foreignKey: 'sectionId',
+      as: 'section'
+    });
+
+    Ballot.belongsTo(models.Document, {
+      foreignKey: 'minutesDocumentId',
+      as: 'minutes'
+    });
+
+    Ballot.hasMany(models.BallotVote, {
+      foreignKey: 'ballotId',
+      as: 'votes',
+      onDelete: 'CASCADE'
+    });
+  };
+
+  // 🔧 MÉTHODES D'INSTANCE
+  Ballot.prototype.isOpenForVoting = function(at = new Date()) {
+    if (this.status !== 'open') return false;
+    if (this.opensAt && new Date(this.opensAt) > at) return false;
+    if (this.closesAt && new Date(this.closesAt) < at) return false;
+    return true;
+  };
+
+  return Ballot;
+};
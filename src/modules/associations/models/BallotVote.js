@@ -0,0 +1,109 @@
+//src/modules/associations/models/BallotVote.js
+// Émargement d'un votant sur un scrutin (choix conservé seulement pour les votes publics)
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const BallotVote = sequelize.define('BallotVote', {
+
+    // 🆔 IDENTIFIANTS
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+
+    ballotId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'ballots',
+        key: 'id'
+      }
+    },
+
+    memberId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'association_members',
+        key: 'id'
+      },
+      comment: 'Membre dont la voix est exprimée'
+    },
+
+    castByMemberId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'association_members',
+        key: 'id'
+      },
+      comment: 'Membre ayant voté (mandataire si procuration)'
+    },
+
+    proxyId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'voting_proxies',
+        key: 'id'
+      },
+      comment: 'Procuration utilisée'
+    },
+
+    // 🗳️ CHOIX
+    choice: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: 'Choix exprimé (null pour un vote secret : seul le décompte du scrutin le conserve)'
+    },
+
+    receiptCode: {
+      type: DataTypes.STRING(32),
+      allowNull: false,
+      comment: 'Code de reçu remis au votant'
+    },
+
+    castAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+
+  }, {
+
+    tableName: 'ballot_votes',
+    timestamps: true,
+
+    indexes: [
+      { unique: true, fields: ['ballot_id', 'member_id'] },
+      { fields: ['cast_by_member_id'] }
+    ]
+  });
+
+  // 🔗 ASSOCIATIONS
+  BallotVote.associate = (models) => {
+    BallotVote.belongsTo(models.Ballot, {
+      foreignKey: 'ballotId',
+      as: 'ballot'
+    });
+
+    BallotVote.belongsTo(models.AssociationMember, {
+      foreignKey: 'memberId',
+      as: 'member'
+    });
+
+    BallotVote.belongsTo(models.AssociationMember, {
+      foreignKey: 'castByMemberId',
+      as: 'castBy'
+    });
+
+    BallotVote.belongsTo(models.VotingProxy, {
+      foreignKey: 'proxyId',
+      as: 'proxy'
+    });
+  };
+
+  return BallotVote;
+};
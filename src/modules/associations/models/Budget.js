@@ -0,0 +1,134 @@
+//src/modules/associations/models/Budget.js
+// Budget annuel d'une association (ou d'une section) : lignes prévisionnelles de dépenses et recettes
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Budget = sequelize.define('Budget', {
+
+    // 🆔 IDENTIFIANTS
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+
+    associationId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'associations',
+        key: 'id'
+      }
+    },
+
+    sectionId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'sections',
+        key: 'id'
+      },
+      comment: 'Section concernée (null = budget central de l\'association)'
+    },
+
+    fiscalYear: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 2020,
+        max: 2100
+      },
+      comment: 'Exercice (année civile)'
+    },
+
+    name: {
+      type: DataTypes.STRING(150),
+      allowNull: false
+    },
+
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: 'EUR',
+      comment: 'Devise du budget (réalisé converti dans cette devise)'
+    },
+
+    // ⚖️ STATUT & CONTRÔLE
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'draft',
+      validate: {
+        isIn: [['draft', 'active', 'closed']]
+      },
+      comment: 'Seul un budget actif contrôle les approbations de dépenses'
+    },
+
+    overrunPolicy: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      defaultValue: 'warn',
+      validate: {
+        isIn: [['warn', 'block']]
+      },
+      comment: 'Dépassement d\'une ligne : avertir ou bloquer l\'approbation'
+    },
+
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+
+    activatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+
+  }, {
+
+    tableName: 'budgets',
+    timestamps: true,
+
+    indexes: [
+      { fields: ['association_id', 'fiscal_year'] },
+      { fields: ['section_id'] },
+      { fields: ['status'] }
+    ]
+  });
+
+  // 🔗 ASSOCIATIONS
+  Budget.associate = (models) => {
+    Budget.belongsTo(models.Association, {
+      foreignKey: 'associationId',
+      as: 'association'
+    });
+
+    Budget.belongsTo(models.Section, {
+      foreignKey: 'sectionId',
+      as: 'section'
+    });
+
+    Budget.belongsTo(models.User, {
+      foreignKey: 'createdBy',
+      as: 'author'
+    });
+
+    Budget.hasMany(models.BudgetLine, {
+      foreignKey: 'budgetId',
+      as: 'lines',
+      onDelete: 'CASCADE'
+    });
+  };
+
+  return Budget;
+};
@@ -0,0 +1,99 @@
+//src/modules/associations/models/BudgetLine.js
+// Ligne de budget : montant prévu pour un type de dépense ou de recette
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const BudgetLine = sequelize.define('BudgetLine', {
+
+    // 🆔 IDENTIFIANTS
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+
+    budgetId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'budgets',
+        key: 'id'
+      }
+    },
+
+    kind: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      validate: {
+        isIn: [['expense', 'income']]
+      }
+    },
+
+    category: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      comment: 'ExpenseRequest.expenseType, clé de Association.incomeTypes ou "cotisations"'
+    },
+
+    label: {
+      type: DataTypes.STRING(150),
+      allowNull: true
+    },
+
+    // 💰 MONTANTS PRÉVUS
+    annualAmount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      validate: {
+        min: 0
+      }
+    },
+
+    monthlyAmounts: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Répartition mensuelle (12 montants) ; réparti uniformément si absent',
+      // [100, 100, 150, ...]
+    },
+
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+
+  }, {
+
+    tableName: 'budget_lines',
+    timestamps: true,
+
+    indexes: [
+      { fields: ['budget_id'] },
+      {
+        unique: true,
+        fields: ['budget_id', 'kind', 'category'],
+        name: 'unique_budget_line_category'
+      }
+    ]
+  });
+
+  // 🔗 ASSOCIATIONS
+  BudgetLine.associate = (models) => {
+    BudgetLine.belongsTo(models.Budget, {
+      foreignKey: 'budgetId',
+      as: 'budget'
+    });
+  };
+
+  // 🔧 MÉTHODES D'INSTANCE
+
+  // Montant prévu pour un mois (1-12)
+  BudgetLine.prototype.getPlannedForMonth = function(month) {
+    if (Array.isArray(this.monthlyAmounts) && this.monthlyAmounts.length === 12) {
+      return parseFloat(this.monthlyAmounts[month - 1] || 0);
+    }
+    return parseFloat((parseFloat(this.annualAmount) / 12).toFixed(2));
+  };
+
+  return BudgetLine;
+};
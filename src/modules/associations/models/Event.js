@@ -21,6 +21,18 @@ module.exports = (sequelize, DataTypes) => {
         foreignKey: 'createdBy',
         as: 'creator'
       });
+
+      // Billets vendus (événement payant)
+      Event.hasMany(models.EventTicket, {
+        foreignKey: 'eventId',
+        as: 'tickets'
+      });
+
+      // Recettes rattachées (billetterie, dons collectés sur place)
+      Event.hasMany(models.IncomeEntry, {
+        foreignKey: 'eventId',
+        as: 'incomeEntries'
+      });
     }
 
     // Vérifier si événement est passé
@@ -75,6 +87,12 @@ module.exports = (sequelize, DataTypes) => {
       return responses[userId.toString()] || null;
     }
 
+    // Vérifier si les inscriptions sont encore ouvertes
+    isRegistrationOpen() {
+      if (this.status !== 'published' || !this.isUpcoming()) return false;
+      return !this.registrationDeadline || new Date() <= new Date(this.registrationDeadline);
+    }
+
     // Formater date pour affichage
     getFormattedDate() {
       const start = new Date(this.startDate);
@@ -265,6 +283,11 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true,
       comment: 'Liste utilisateurs invités spécifiquement'
     },
+    attendance: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Présences pointées: { userId: { status: "present|absent|excused", checkedInAt, checkedInBy } }'
+    },
     
     // 📋 AGENDA & DOCUMENTS
     agenda: {
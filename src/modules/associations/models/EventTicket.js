@@ -0,0 +1,240 @@
+//src/modules/associations/models/EventTicket.js
+// Billets d'événements payants (galas, soirées culturelles) : achat carte ou vente sur place, contrôle à l'entrée
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const EventTicket = sequelize.define('EventTicket', {
+
+    // 🆔 IDENTIFIANTS
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+
+    associationId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'associations',
+        key: 'id'
+      }
+    },
+
+    eventId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'events',
+        key: 'id'
+      }
+    },
+
+    ticketNumber: {
+      type: DataTypes.STRING(30),
+      allowNull: false,
+      unique: true,
+      comment: 'Numéro lisible (BIL-<événement>-<suffixe>)'
+    },
+
+    code: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      comment: 'Code secret encodé dans le QR code, présenté à l\'entrée'
+    },
+
+    // 👤 ACHETEUR
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Membre acheteur (vide pour un invité payant sur place)'
+    },
+
+    buyerName: {
+      type: DataTypes.STRING(150),
+      allowNull: false
+    },
+
+    buyerEmail: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      validate: { isEmail: true }
+    },
+
+    buyerPhone: {
+      type: DataTypes.STRING(30),
+      allowNull: true
+    },
+
+    // 💰 MONTANT
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      validate: { min: 1 },
+      comment: 'Places couvertes par le billet'
+    },
+
+    unitPrice: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: { min: 0 }
+    },
+
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: { min: 0 }
+    },
+
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: 'EUR'
+    },
+
+    paymentMethod: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [['card', 'cash']]
+      }
+    },
+
+    // ⚖️ STATUT
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'pending_payment',
+      validate: {
+        isIn: [['pending_payment', 'paid', 'cancelled', 'refunded']]
+      }
+    },
+
+    paidAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
+    transactionId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'transactions',
+        key: 'id'
+      },
+      comment: 'Paiement (carte ou espèces)'
+    },
+
+    incomeEntryId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'income_entries',
+        key: 'id'
+      },
+      comment: 'Entrée d\'argent créée au paiement'
+    },
+
+    soldBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Organisateur ayant encaissé sur place'
+    },
+
+    // 🎟️ CONTRÔLE À L'ENTRÉE
+    checkedInCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Places déjà admises'
+    },
+
+    checkedInAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Dernier passage à l\'entrée'
+    },
+
+    checkedInBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+
+    cancelledAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
+    cancellationReason: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+
+    metadata: {
+      type: DataTypes.JSON,
+      allowNull: true
+    }
+
+  }, {
+
+    tableName: 'event_tickets',
+    timestamps: true,
+
+    indexes: [
+      { fields: ['association_id'] },
+      { fields: ['event_id', 'status'] },
+      { fields: ['user_id'] },
+      { fields: ['transaction_id'] }
+    ]
+  });
+
+  // 🔗 ASSOCIATIONS
+  EventTicket.associate = (models) => {
+    EventTicket.belongsTo(models.Association, {
+      foreignKey: 'associationId',
+      as: 'association'
+    });
+
+    EventTicket.belongsTo(models.Event, {
+      foreignKey: 'eventId',
+      as: 'event'
+    });
+
+    EventTicket.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'buyer'
+    });
+
+    EventTicket.belongsTo(models.Transaction, {
+      foreignKey: 'transactionId',
+      as: 'transaction'
+    });
+
+    EventTicket.belongsTo(models.IncomeEntry, {
+      foreignKey: 'incomeEntryId',
+      as: 'incomeEntry'
+    });
+  };
+
+  // Places restant à admettre
+  EventTicket.prototype.getRemainingAdmissions = function() {
+    return Math.max(this.quantity - this.checkedInCount, 0);
+  };
+
+  return EventTicket;
+};
@@ -0,0 +1,107 @@
+//src/modules/associations/models/ExchangeRate.js
+// Taux de change datés : 1 baseCurrency = rate quoteCurrency à partir de effectiveDate
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ExchangeRate = sequelize.define('ExchangeRate', {
+
+    // 🆔 IDENTIFIANTS
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+
+    associationId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'associations',
+        key: 'id'
+      },
+      comment: 'Association concernée (null = taux commun à toute la plateforme)'
+    },
+
+    // 💱 PAIRE DE DEVISES
+    baseCurrency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      validate: {
+        isIn: [['EUR', 'USD', 'GBP', 'CAD', 'CHF', 'XOF', 'XAF']]
+      }
+    },
+
+    quoteCurrency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      validate: {
+        isIn: [['EUR', 'USD', 'GBP', 'CAD', 'CHF', 'XOF', 'XAF']]
+      }
+    },
+
+    rate: {
+      type: DataTypes.DECIMAL(18, 8),
+      allowNull: false,
+      validate: {
+        min: 0.00000001
+      },
+      comment: 'Montant en quoteCurrency pour 1 baseCurrency'
+    },
+
+    effectiveDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      comment: 'Date à partir de laquelle le taux s\'applique'
+    },
+
+    // 🔗 ORIGINE
+    source: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'manual',
+      validate: {
+        isIn: [['manual', 'import']]
+      }
+    },
+
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+
+  }, {
+
+    tableName: 'exchange_rates',
+    timestamps: true,
+
+    indexes: [
+      { fields: ['association_id'] },
+      { fields: ['base_currency', 'quote_currency', 'effective_date'] },
+      {
+        unique: true,
+        fields: ['association_id', 'base_currency', 'quote_currency', 'effective_date'],
+        name: 'unique_exchange_rate_per_day'
+      }
+    ]
+  });
+
+  // 🔗 ASSOCIATIONS
+  ExchangeRate.associate = (models) => {
+    ExchangeRate.belongsTo(models.Association, {
+      foreignKey: 'associationId',
+      as: 'association'
+    });
+
+    ExchangeRate.belongsTo(models.User, {
+      foreignKey: 'createdBy',
+      as: 'author'
+    });
+  };
+
+  return ExchangeRate;
+};
@@ -108,6 +108,25 @@ module.exports = (sequelize) => {
       comment: 'Devise'
     },
     
+    // 💱 CONVERSION (devise principale de l'association, au taux du jour de comptabilisation)
+    exchangeRate: {
+      type: DataTypes.DECIMAL(18, 8),
+      allowNull: true,
+      comment: 'Taux appliqué : 1 unité de currency = exchangeRate devise principale'
+    },
+    
+    convertedAmount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: true,
+      comment: 'Montant converti en devise principale'
+    },
+    
+    convertedCurrency: {
+      type: DataTypes.STRING(3),
+      allowNull: true,
+      comment: 'Devise principale de l\'association au moment de la conversion'
+    },
+    
     // 📝 JUSTIFICATION
     title: {
       type: DataTypes.STRING(255),
@@ -170,6 +189,29 @@ module.exports = (sequelize) => {
       allowNull: true,
       comment: 'Historique des validations',
       // [{ userId: 123, role: "president", decision: "approved", comment: "...", timestamp: "..." }]
+      // Politique configurée : + roles, onBehalfOf (délégation), phase (approval | ratification)
+    },
+    
+    approvalPolicy: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Règle de validation figée à la création (null = circuit historique)',
+      // { ruleId, ruleName, mode: "all"|"quorum", roles, quorum, allowAbstention, fastTrack, eligible: [{ userId, roles }] }
+    },
+    
+    ratificationStatus: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      validate: {
+        isIn: [['pending', 'ratified', 'rejected']]
+      },
+      comment: 'Ratification après approbation en urgence'
+    },
+    
+    ratificationDueAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Échéance de ratification par les validateurs restants'
     },
     
     rejectionReason: {
@@ -238,6 +280,17 @@ module.exports = (sequelize) => {
       comment: 'Date/heure du paiement effectif'
     },
     
+    // 🎯 FONDS DÉDIÉ IMPUTÉ
+    fundId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'funds',
+        key: 'id'
+      },
+      comment: 'Fonds dédié sur lequel la dépense est imputée'
+    },
+    
     // 🔄 REMBOURSEMENT (pour prêts)
     isLoan: {
       type: DataTypes.BOOLEAN,
@@ -357,9 +410,13 @@ module.exports = (sequelize) => {
         }];
       },
       
-      afterCreate: async (expenseRequest) => {
-        // Notification automatique aux validateurs
-        await sendNotificationToValidators(expenseRequest);
+      afterCreate: async (expenseRequest, options) => {
+        // Notification automatique aux validateurs (après commit si transaction)
+        if (options.transaction) {
+          options.transaction.afterCommit(() => sendNotificationToValidators(expenseRequest));
+        } else {
+          await sendNotificationToValidators(expenseRequest);
+        }
       },
       
       beforeUpdate: async (expenseRequest, options) => {
@@ -417,6 +474,12 @@ module.exports = (sequelize) => {
       as: 'paymentValidator'
     });
     
+    // Fonds dédié imputé
+    ExpenseRequest.belongsTo(models.Fund, {
+      foreignKey: 'fundId',
+      as: 'fund'
+    });
+    
     // Transaction liée (si paiement numérique)
     ExpenseRequest.belongsTo(models.Transaction, {
       foreignKey: 'transactionId',
@@ -439,6 +502,11 @@ module.exports = (sequelize) => {
   
   // 🔧 MÉTHODES D'INSTANCE
   ExpenseRequest.prototype.isFullyValidated = function() {
+    if (this.approvalPolicy) {
+      const ApprovalPolicyService = require('../services/approvalPolicyService');
+      return ApprovalPolicyService.evaluate(this).complete;
+    }
+    
     const required = this.requiredValidators || [];
     const validated = (this.validationHistory || [])
       .filter(v => v.decision === 'approved')
@@ -452,6 +520,11 @@ module.exports = (sequelize) => {
   };
   
   ExpenseRequest.prototype.getValidationProgress = function() {
+    if (this.approvalPolicy) {
+      const ApprovalPolicyService = require('../services/approvalPolicyService');
+      return ApprovalPolicyService.evaluate(this).progress;
+    }
+    
     const required = this.requiredValidators || [];
     const validated = (this.validationHistory || [])
       .filter(v => v.decision === 'approved').length;
@@ -484,7 +557,45 @@ async function generateRequiredValidators(association, expenseType, amount) {
 }
 
 async function sendNotificationToValidators(expenseRequest) {
-  // Service de notification aux validateurs requis
-  // Implémentation dans notificationService
-  console.log(`📧 Notifications envoyées pour demande ${expenseRequest.id}`);
+  // Validateurs possibles : éligibles de la politique, sinon membres actifs titulaires des rôles requis
+  try {
+    const NotificationService = require('../../../core/services/notificationService');
+    const { Association, AssociationMember, User } = require('../../../models');
+
+    let validatorIds;
+    if (expenseRequest.approvalPolicy) {
+      validatorIds = expenseRequest.approvalPolicy.eligible.map((e) => e.userId);
+    } else {
+      const roles = expenseRequest.requiredValidators || [];
+      const members = await AssociationMember.findAll({
+        where: { associationId: expenseRequest.associationId, status: 'active' },
+        attributes: ['userId', 'assignedRoles']
+      });
+      validatorIds = members
+        .filter((m) => (m.assignedRoles || []).some((role) => roles.includes(role)))
+        .map((m) => m.userId);
+    }
+
+    validatorIds = validatorIds.filter((id) => id !== expenseRequest.requesterId);
+    if (validatorIds.length === 0) return;
+
+    const [association, requester] = await Promise.all([
+      Association.findByPk(expenseRequest.associationId, { attributes: ['id', 'name'] }),
+      User.findByPk(expenseRequest.requesterId, { attributes: ['id', 'firstName', 'lastName'] })
+    ]);
+
+    await NotificationService.notifyUsers('expense_submitted', validatorIds, {
+      associationId: expenseRequest.associationId,
+      data: {
+        requesterName: requester ? `${requester.firstName} ${requester.lastName}` : '',
+        amount: parseFloat(expenseRequest.amountRequested).toFixed(2),
+        currency: expenseRequest.currency,
+        title: expenseRequest.title,
+        associationName: association?.name,
+        expenseRequestId: expenseRequest.id
+      }
+    });
+  } catch (error) {
+    console.error(`⚠️ Notification validateurs demande ${expenseRequest.id}:`, error.message);
+  }
 }
\ No newline at end of file
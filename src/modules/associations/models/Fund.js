@@ -0,0 +1,127 @@
+//src/modules/associations/models/Fund.js
+// Fonds dédiés : ressources affectées à un usage précis par les donateurs
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Fund = sequelize.define('Fund', {
+
+    // 🆔 IDENTIFIANTS
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+
+    associationId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'associations',
+        key: 'id'
+      }
+    },
+
+    name: {
+      type: DataTypes.STRING(150),
+      allowNull: false,
+      comment: 'Nom du fonds (ex: Rapatriement, Construction école)'
+    },
+
+    code: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: 'Identifiant stable (ex: construction_ecole), repris de designatedFor.project'
+    },
+
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    // 🎯 USAGE AUTORISÉ
+    allowedExpenseTypes: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Types de dépenses finançables par ce fonds (vide = tous)',
+      // ["aide_membre", "projet_special"]
+    },
+
+    targetAmount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: true,
+      comment: 'Objectif de collecte (optionnel)'
+    },
+
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: 'EUR'
+    },
+
+    // ⚖️ STATUT
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'active',
+      validate: {
+        isIn: [['active', 'closed']]
+      },
+      comment: 'Un fonds clôturé ne reçoit plus de dons ni de dépenses'
+    },
+
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+
+    closedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+
+  }, {
+
+    tableName: 'funds',
+    timestamps: true,
+
+    indexes: [
+      { fields: ['association_id'] },
+      {
+        unique: true,
+        fields: ['association_id', 'code'],
+        name: 'unique_fund_code_per_association'
+      }
+    ]
+  });
+
+  // 🔗 ASSOCIATIONS
+  Fund.associate = (models) => {
+    Fund.belongsTo(models.Association, {
+      foreignKey: 'associationId',
+      as: 'association'
+    });
+
+    Fund.hasMany(models.IncomeEntry, {
+      foreignKey: 'fundId',
+      as: 'incomeEntries'
+    });
+
+    Fund.hasMany(models.ExpenseRequest, {
+      foreignKey: 'fundId',
+      as: 'expenseRequests'
+    });
+  };
+
+  // 🔧 MÉTHODES D'INSTANCE
+  Fund.prototype.allowsExpenseType = function(expenseType) {
+    const allowed = Array.isArray(this.allowedExpenseTypes) ? this.allowedExpenseTypes : [];
+    return !allowed.length || allowed.includes(expenseType);
+  };
+
+  return Fund;
+};
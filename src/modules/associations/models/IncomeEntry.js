@@ -97,6 +97,25 @@ module.exports = (sequelize) => {
       comment: 'Devise'
     },
     
+    // 💱 CONVERSION (devise principale de l'association, au taux du jour de comptabilisation)
+    exchangeRate: {
+      type: DataTypes.DECIMAL(18, 8),
+      allowNull: true,
+      comment: 'Taux appliqué : 1 unité de currency = exchangeRate devise principale'
+    },
+    
+    convertedAmount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: true,
+      comment: 'Montant converti en devise principale'
+    },
+    
+    convertedCurrency: {
+      type: DataTypes.STRING(3),
+      allowNull: true,
+      comment: 'Devise principale de l\'association au moment de la conversion'
+    },
+    
     // 🏢 SOURCE & DONATEUR
     sourceType: {
       type: DataTypes.STRING(30),
@@ -294,6 +313,26 @@ module.exports = (sequelize) => {
       comment: 'Restrictions d\'usage si applicable'
     },
     
+    fundId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'funds',
+        key: 'id'
+      },
+      comment: 'Fonds dédié alimenté (usage restreint)'
+    },
+    
+    eventId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'events',
+        key: 'id'
+      },
+      comment: 'Événement concerné (billetterie, collecte lors d\'un gala)'
+    },
+    
     // 📊 STATISTIQUES & REMERCIEMENTS
     publiclyVisible: {
       type: DataTypes.BOOLEAN,
@@ -349,11 +388,12 @@ module.exports = (sequelize) => {
       { fields: ['status'] },
       { fields: ['amount'] },
       { fields: ['is_recurring'] },
-      { fields: ['parent_income_id'] }
+      { fields: ['parent_income_id'] },
+      { fields: ['event_id'] }
     ],
     
     hooks: {
-      beforeCreate: async (incomeEntry) => {
+      beforeCreate: async (incomeEntry, options) => {
         // Calculer montant net si pas fourni
         if (!incomeEntry.netAmount) {
           incomeEntry.netAmount = incomeEntry.amount - (incomeEntry.fees || 0);
@@ -361,13 +401,15 @@ module.exports = (sequelize) => {
         
         // Générer numéro de reçu si nécessaire
         if (incomeEntry.receiptGenerated && !incomeEntry.receiptNumber) {
-          incomeEntry.receiptNumber = await generateReceiptNumber(incomeEntry.associationId);
+          incomeEntry.receiptNumber = await generateReceiptNumber(incomeEntry.associationId, options.transaction);
         }
       },
       
-      afterCreate: async (incomeEntry) => {
-        // Créer transaction dans le système unifié
-        await createLinkedTransaction(incomeEntry);
+      afterCreate: async (incomeEntry, options) => {
+        // Créer transaction dans le système unifié (sauf si déjà rattachée, ex. billet payé par carte)
+        if (!incomeEntry.transactionId) {
+          await createLinkedTransaction(incomeEntry, options.transaction);
+        }
         
         // Notification bureau si montant important
         if (incomeEntry.amount > 1000) {
@@ -409,6 +451,18 @@ module.exports = (sequelize) => {
       as: 'validatedByUser'
     });
     
+    // Fonds dédié
+    IncomeEntry.belongsTo(models.Fund, {
+      foreignKey: 'fundId',
+      as: 'fund'
+    });
+    
+    // Événement (recettes de billetterie, collectes)
+    IncomeEntry.belongsTo(models.Event, {
+      foreignKey: 'eventId',
+      as: 'event'
+    });
+    
     // Transaction liée
     IncomeEntry.belongsTo(models.Transaction, {
       foreignKey: 'transactionId',
@@ -436,10 +490,12 @@ module.exports = (sequelize) => {
   
   // 🔧 MÉTHODES D'INSTANCE
   IncomeEntry.prototype.generateReceipt = async function() {
-    if (!this.receiptGenerated) {
-      this.receiptNumber = await generateReceiptNumber(this.associationId);
-      this.receiptGenerated = true;
-      await this.save();
+    if (!this.receiptNumber) {
+      await sequelize.transaction(async (t) => {
+        this.receiptNumber = await generateReceiptNumber(this.associationId, t);
+        this.receiptGenerated = true;
+        await this.save({ transaction: t });
+      });
     }
     return this.receiptNumber;
   };
@@ -461,22 +517,19 @@ module.exports = (sequelize) => {
 
 // 🔧 FONCTIONS UTILITAIRES
 
-async function generateReceiptNumber(associationId) {
-  const year = new Date().getFullYear();
-  const count = await IncomeEntry.count({
-    where: {
-      associationId,
-      receiptGenerated: true,
-      createdAt: {
-        [sequelize.Sequelize.Op.gte]: new Date(`${year}-01-01`)
-      }
-    }
-  });
-  
-  return `RECU-${associationId}-${year}-${String(count + 1).padStart(4, '0')}`;
+// Numéro séquentiel par association et par année (verrou posé dans la transaction fournie)
+async function generateReceiptNumber(associationId, transaction) {
+  const ReceiptService = require('../services/receiptService');
+
+  if (transaction) {
+    return ReceiptService.nextReceiptNumber(associationId, transaction);
+  }
+
+  const { sequelize } = require('../../../models');
+  return sequelize.transaction((t) => ReceiptService.nextReceiptNumber(associationId, t));
 }
 
-async function createLinkedTransaction(incomeEntry) {
+async function createLinkedTransaction(incomeEntry, t) {
   const { Transaction } = require('../../../models');
   
   const transaction = await Transaction.create({
@@ -496,10 +549,10 @@ async function createLinkedTransaction(incomeEntry) {
       sourceType: incomeEntry.sourceType,
       sourceName: incomeEntry.sourceName
     }
-  });
+  }, { transaction: t });
   
   // Lier la transaction
-  await incomeEntry.update({ transactionId: transaction.id });
+  await incomeEntry.update({ transactionId: transaction.id }, { transaction: t });
 }
 
 async function updateLinkedTransaction(incomeEntry) {
@@ -0,0 +1,231 @@
+//src/modules/associations/models/LateFee.js
+// Pénalités de retard (cotisations impayées, échéances de prêt en retard)
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const LateFee = sequelize.define('LateFee', {
+
+    // 🆔 IDENTIFIANTS
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+
+    associationId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'associations',
+        key: 'id'
+      }
+    },
+
+    memberId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'association_members',
+        key: 'id'
+      },
+      comment: 'Membre redevable'
+    },
+
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+
+    // 🏷️ ORIGINE DE LA PÉNALITÉ
+    sourceType: {
+      type: DataTypes.STRING(30),
+      allowNull: false,
+      validate: {
+        isIn: [['cotisation', 'loan_installment']]
+      },
+      comment: 'Cotisation impayée ou échéance de prêt en retard'
+    },
+
+    // Cotisation : période concernée
+    periodMonth: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: { min: 1, max: 12 }
+    },
+
+    periodYear: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+
+    // Prêt : échéance concernée
+    loanRepaymentId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'loan_repayments',
+        key: 'id'
+      }
+    },
+
+    expenseRequestId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'expense_requests',
+        key: 'id'
+      },
+      comment: 'Prêt concerné'
+    },
+
+    // 💰 MONTANT
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: { min: 0 }
+    },
+
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: 'EUR'
+    },
+
+    daysLate: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+
+    dueDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+      comment: 'Échéance non respectée'
+    },
+
+    calculation: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Règle appliquée (montant fixe, taux journalier, base)'
+    },
+
+    // ⚖️ STATUT
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'pending',
+      validate: {
+        isIn: [['pending', 'paid', 'waived', 'cancelled']]
+      }
+    },
+
+    paidAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
+    paymentTransactionId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'transactions',
+        key: 'id'
+      }
+    },
+
+    // 🙏 EXONÉRATION
+    waivedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+
+    waivedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
+    waiverReason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    auditTrail: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Journal des modifications'
+      // [{ action: "created"|"updated"|"waived"|"paid", by: 12, at: "...", details: {...} }]
+    }
+
+  }, {
+
+    tableName: 'late_fees',
+    timestamps: true,
+
+    indexes: [
+      { fields: ['association_id'] },
+      { fields: ['member_id'] },
+      { fields: ['status'] },
+      // Une seule pénalité par membre et par mois de cotisation
+      {
+        unique: true,
+        fields: ['member_id', 'source_type', 'period_year', 'period_month'],
+        name: 'unique_late_fee_per_cotisation_period'
+      },
+      // Une seule pénalité par échéance de prêt
+      {
+        unique: true,
+        fields: ['loan_repayment_id'],
+        name: 'unique_late_fee_per_installment'
+      }
+    ]
+  });
+
+  // 🔗 ASSOCIATIONS
+  LateFee.associate = (models) => {
+    LateFee.belongsTo(models.Association, {
+      foreignKey: 'associationId',
+      as: 'association'
+    });
+
+    LateFee.belongsTo(models.AssociationMember, {
+      foreignKey: 'memberId',
+      as: 'member'
+    });
+
+    LateFee.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+
+    LateFee.belongsTo(models.User, {
+      foreignKey: 'waivedBy',
+      as: 'waiver'
+    });
+
+    LateFee.belongsTo(models.LoanRepayment, {
+      foreignKey: 'loanRepaymentId',
+      as: 'installment'
+    });
+
+    LateFee.belongsTo(models.ExpenseRequest, {
+      foreignKey: 'expenseRequestId',
+      as: 'loan'
+    });
+  };
+
+  // 🔧 MÉTHODES D'INSTANCE
+  LateFee.prototype.canBeWaived = function() {
+    return this.status === 'pending';
+  };
+
+  return LateFee;
+};
@@ -0,0 +1,104 @@
+//src/modules/associations/models/LedgerAccount.js
+// Plan comptable d'une association (comptabilité en partie double)
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const LedgerAccount = sequelize.define('LedgerAccount', {
+
+    // 🆔 IDENTIFIANTS
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+
+    associationId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'associations',
+        key: 'id'
+      }
+    },
+
+    code: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      comment: 'Code du compte (ex: bank, cash, income_cotisations)'
+    },
+
+    name: {
+      type: DataTypes.STRING(150),
+      allowNull: false
+    },
+
+    // 🏷️ NATURE DU COMPTE
+    type: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [['asset', 'liability', 'equity', 'income', 'expense']]
+      },
+      comment: 'Actif, passif, fonds propres, produit ou charge'
+    },
+
+    normalBalance: {
+      type: DataTypes.STRING(6),
+      allowNull: false,
+      validate: {
+        isIn: [['debit', 'credit']]
+      },
+      comment: 'Sens du solde normal (débit pour actifs/charges, crédit sinon)'
+    },
+
+    isTreasury: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Compte de trésorerie (caisse, banque, mobile money)'
+    },
+
+    isSystem: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: 'Compte créé automatiquement'
+    },
+
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    }
+
+  }, {
+
+    tableName: 'ledger_accounts',
+    timestamps: true,
+
+    indexes: [
+      { fields: ['association_id'] },
+      {
+        unique: true,
+        fields: ['association_id', 'code'],
+        name: 'unique_ledger_account_code'
+      }
+    ]
+  });
+
+  // 🔗 ASSOCIATIONS
+  LedgerAccount.associate = (models) => {
+    LedgerAccount.belongsTo(models.Association, {
+      foreignKey: 'associationId',
+      as: 'association'
+    });
+
+    LedgerAccount.hasMany(models.LedgerLine, {
+      foreignKey: 'accountId',
+      as: 'lines'
+    });
+  };
+
+  return LedgerAccount;
+};
@@ -0,0 +1,139 @@
+//src/modules/associations/models/LedgerEntry.js
+// Écriture comptable (en-tête) : une opération, des lignes débit/crédit équilibrées
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const LedgerEntry = sequelize.define('LedgerEntry', {
+
+    // 🆔 IDENTIFIANTS
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+
+    associationId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'associations',
+        key: 'id'
+      }
+    },
+
+    entryDate: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'Date comptable de l\'opération'
+    },
+
+    description: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+
+    // 🔗 ORIGINE
+    sourceType: {
+      type: DataTypes.STRING(30),
+      allowNull: false,
+      validate: {
+        isIn: [[
+          'cotisation',          // Cotisation encaissée
+          'cotisation_refund',   // Remboursement de cotisation
+          'income_entry',        // Entrée d'argent validée (don, subvention...)
+          'income_entry_reversal', // Entrée validée puis annulée (billet remboursé)
+          'expense_payment',     // Dépense / aide payée
+          'loan_disbursement',   // Décaissement de prêt
+          'loan_repayment',      // Remboursement d'échéance
+          'loan_reschedule',     // Capitalisation au rééchelonnement
+          'late_fee',            // Pénalité de retard constatée
+          'late_fee_payment',    // Pénalité réglée par le membre
+          'late_fee_reversal'    // Pénalité exonérée ou annulée
+        ]]
+      }
+    },
+
+    sourceId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Identifiant de l\'objet source (transaction, entrée, demande...)'
+    },
+
+    sourceKey: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: 'Clé d\'idempotence : une seule écriture par événement source'
+    },
+
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: 'EUR',
+      comment: 'Devise de l\'opération d\'origine'
+    },
+
+    exchangeRate: {
+      type: DataTypes.DECIMAL(18, 8),
+      allowNull: false,
+      defaultValue: 1,
+      comment: 'Taux vers la devise principale (les lignes sont en devise principale)'
+    },
+
+    reference: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: 'Référence externe (reçu, virement...)'
+    },
+
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+
+    metadata: {
+      type: DataTypes.JSON,
+      allowNull: true
+    }
+
+  }, {
+
+    tableName: 'ledger_entries',
+    timestamps: true,
+
+    indexes: [
+      { fields: ['association_id'] },
+      { fields: ['entry_date'] },
+      { fields: ['source_type', 'source_id'] },
+      {
+        unique: true,
+        fields: ['association_id', 'source_key'],
+        name: 'unique_ledger_entry_source'
+      }
+    ]
+  });
+
+  // 🔗 ASSOCIATIONS
+  LedgerEntry.associate = (models) => {
+    LedgerEntry.belongsTo(models.Association, {
+      foreignKey: 'associationId',
+      as: 'association'
+    });
+
+    LedgerEntry.belongsTo(models.User, {
+      foreignKey: 'createdBy',
+      as: 'author'
+    });
+
+    LedgerEntry.hasMany(models.LedgerLine, {
+      foreignKey: 'entryId',
+      as: 'lines'
+    });
+  };
+
+  return LedgerEntry;
+};
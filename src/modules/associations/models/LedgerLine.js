@@ -0,0 +1,113 @@
+//src/modules/associations/models/LedgerLine.js
+// Ligne d'écriture : montant au débit ou au crédit d'un compte
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const LedgerLine = sequelize.define('LedgerLine', {
+
+    // 🆔 IDENTIFIANTS
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+
+    entryId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'ledger_entries',
+        key: 'id'
+      }
+    },
+
+    accountId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'ledger_accounts',
+        key: 'id'
+      }
+    },
+
+    // Dénormalisé pour les soldes par association
+    associationId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'associations',
+        key: 'id'
+      }
+    },
+
+    // 💰 MONTANTS EN DEVISE PRINCIPALE (un seul des deux renseigné)
+    debit: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      validate: { min: 0 }
+    },
+
+    credit: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      validate: { min: 0 }
+    },
+
+    // 💱 MONTANT D'ORIGINE (même sens que debit/credit, dans la devise de l'opération)
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: true
+    },
+
+    originalAmount: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: true
+    },
+
+    // Dimension analytique : fonds dédié concerné (compte restricted_funds)
+    fundId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'funds',
+        key: 'id'
+      }
+    },
+
+    memo: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    }
+
+  }, {
+
+    tableName: 'ledger_lines',
+    timestamps: true,
+    updatedAt: false,
+
+    indexes: [
+      { fields: ['entry_id'] },
+      { fields: ['account_id'] },
+      { fields: ['association_id'] },
+      { fields: ['fund_id'] }
+    ]
+  });
+
+  // 🔗 ASSOCIATIONS
+  LedgerLine.associate = (models) => {
+    LedgerLine.belongsTo(models.LedgerEntry, {
+      foreignKey: 'entryId',
+      as: 'entry'
+    });
+
+    LedgerLine.belongsTo(models.LedgerAccount, {
+      foreignKey: 'accountId',
+      as: 'account'
+    });
+  };
+
+  return LedgerLine;
+};
@@ -53,8 +53,8 @@ module.exports = (sequelize) => {
     
     paymentDate: {
       type: DataTypes.DATE,
-      allowNull: false,
-      comment: 'Date effective du remboursement'
+      allowNull: true,
+      comment: 'Date effective du remboursement (vide tant que l\'échéance n\'est pas réglée)'
     },
     
     // 💳 MÉTHODE PAIEMENT (Hybride)
@@ -70,7 +70,7 @@ module.exports = (sequelize) => {
     
     paymentMethod: {
       type: DataTypes.STRING(30),
-      allowNull: false,
+      allowNull: true,
       validate: {
         isIn: [['bank_transfer', 'card_payment', 'cash', 'check', 'mobile_money']]
       },
@@ -108,7 +108,7 @@ module.exports = (sequelize) => {
       allowNull: false,
       defaultValue: 'pending',
       validate: {
-        isIn: [['pending', 'validated', 'rejected', 'disputed']]
+        isIn: [['pending', 'validated', 'rejected', 'disputed', 'cancelled']]
       },
       comment: 'Statut du remboursement'
     },
@@ -150,6 +150,13 @@ module.exports = (sequelize) => {
       comment: 'Remboursement partiel'
     },
     
+    isScheduled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Échéance générée par l\'échéancier du prêt'
+    },
+    
     // 📊 CALCULS
     interestAmount: {
       type: DataTypes.DECIMAL(10, 2),
@@ -171,6 +178,35 @@ module.exports = (sequelize) => {
       comment: 'Pénalités de retard (si applicable)'
     },
     
+    // ✅ MONTANTS RÉGLÉS (échéancier : imputation pénalités → intérêts → capital)
+    principalPaid: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Capital déjà réglé sur l\'échéance'
+    },
+    
+    interestPaid: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Intérêts déjà réglés sur l\'échéance'
+    },
+    
+    penaltyPaid: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Pénalités déjà réglées sur l\'échéance'
+    },
+    
+    allocations: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Historique des imputations de paiements',
+      // [{ at: "...", by: 12, reference: "REMB-...", penalty: 1.2, interest: 3, principal: 50 }]
+    },
+    
     // 🕒 RETARD
     daysLate: {
       type: DataTypes.INTEGER,
@@ -190,7 +226,8 @@ module.exports = (sequelize) => {
   { fields: ['due_date'] },           // au lieu de 'dueDate'
   { fields: ['status'] },
   { fields: ['validated_by'] },       // au lieu de 'validatedBy'
-  { fields: ['installment_number'] }  // au lieu de 'installmentNumber'
+  { fields: ['installment_number'] }, // au lieu de 'installmentNumber'
+  { fields: ['is_scheduled'] }
 ],
     
     hooks: {
@@ -215,13 +252,13 @@ module.exports = (sequelize) => {
       
       afterCreate: async (repayment) => {
         // Mettre à jour le statut du prêt parent
-        await updateLoanStatus(repayment.expenseRequestId);
+        await updateLoanStatus(sequelize.models, repayment.expenseRequestId);
       },
       
       afterUpdate: async (repayment) => {
         // Mettre à jour le statut du prêt parent si changement
         if (repayment.changed('status') || repayment.changed('amount')) {
-          await updateLoanStatus(repayment.expenseRequestId);
+          await updateLoanStatus(sequelize.models, repayment.expenseRequestId);
         }
       }
     }
@@ -256,21 +293,41 @@ module.exports = (sequelize) => {
   
   LoanRepayment.prototype.calculatePenalty = function(penaltyRate = 0.05) {
     if (this.daysLate > 0) {
-      return this.principalAmount * (penaltyRate / 365) * this.daysLate;
+      // Capital restant dû sur l'échéance (déduction des paiements partiels)
+      const principal = parseFloat(this.principalAmount) - parseFloat(this.principalPaid || 0);
+      return Math.max(0, principal) * (penaltyRate / 365) * this.daysLate;
     }
     return 0;
   };
   
+  LoanRepayment.prototype.getRemaining = function() {
+    const remaining = (due, paid) => Math.max(0, parseFloat((parseFloat(due || 0) - parseFloat(paid || 0)).toFixed(2)));
+    const penalty = remaining(this.penaltyAmount, this.penaltyPaid);
+    const interest = remaining(this.interestAmount, this.interestPaid);
+    const principal = remaining(this.principalAmount, this.principalPaid);
+    
+    return {
+      penalty,
+      interest,
+      principal,
+      total: parseFloat((penalty + interest + principal).toFixed(2))
+    };
+  };
+  
   return LoanRepayment;
 };
 
 // 🔧 FONCTION UTILITAIRE
-async function updateLoanStatus(expenseRequestId) {
-  const { ExpenseRequest, LoanRepayment } = require('./index');
+async function updateLoanStatus(models, expenseRequestId) {
+  const { ExpenseRequest, LoanRepayment } = models;
   
   const loan = await ExpenseRequest.findByPk(expenseRequestId);
   if (!loan || !loan.isLoan) return;
   
+  // Prêt avec échéancier : statut tenu par LoanScheduleService
+  const scheduled = await LoanRepayment.count({ where: { expenseRequestId, isScheduled: true } });
+  if (scheduled > 0) return;
+  
   const repayments = await LoanRepayment.findAll({
     where: { 
       expenseRequestId,
@@ -0,0 +1,133 @@
+//src/modules/associations/models/VotingProxy.js
+// Procuration : un membre donne pouvoir à un autre de voter à sa place (AG entière ou scrutin)
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const VotingProxy = sequelize.define('VotingProxy', {
+
+    // 🆔 IDENTIFIANTS
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+
+    associationId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'associations',
+        key: 'id'
+      }
+    },
+
+    // 🎯 PORTÉE (une des deux)
+    eventId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'events',
+        key: 'id'
+      },
+      comment: 'Procuration pour tous les scrutins d\'une assemblée'
+    },
+
+    ballotId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'ballots',
+        key: 'id'
+      },
+      comment: 'Procuration pour un seul scrutin'
+    },
+
+    // 👥 MANDANT & MANDATAIRE
+    grantorMemberId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'association_members',
+        key: 'id'
+      },
+      comment: 'Membre qui donne procuration'
+    },
+
+    holderMemberId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'association_members',
+        key: 'id'
+      },
+      comment: 'Membre qui vote à sa place'
+    },
+
+    instructions: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Consignes de vote du mandant'
+    },
+
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'active',
+      validate: {
+        isIn: [['active', 'revoked']]
+      }
+    },
+
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+
+  }, {
+
+    tableName: 'voting_proxies',
+    timestamps: true,
+
+    indexes: [
+      { fields: ['association_id'] },
+      { fields: ['event_id'] },
+      { fields: ['ballot_id'] },
+      { fields: ['holder_member_id', 'status'] }
+    ]
+  });
+
+  // 🔗 ASSOCIATIONS
+  VotingProxy.associate = (models) => {
+    VotingProxy.belongsTo(models.Event, {
+      foreignKey: 'eventId',
+      as: 'event'
+    });
+
+    VotingProxy.belongsTo(models.Ballot, {
+      foreignKey: 'ballotId',
+      as: 'ballot'
+    });
+
+    VotingProxy.belongsTo(models.AssociationMember, {
+      foreignKey: 'grantorMemberId',
+      as: 'grantor'
+    });
+
+    VotingProxy.belongsTo(models.AssociationMember, {
+      foreignKey: 'holderMemberId',
+      as: 'holder'
+    });
+  };
+
+  return VotingProxy;
+};
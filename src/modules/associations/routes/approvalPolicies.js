@@ -0,0 +1,363 @@
+// src/modules/associations/routes/approvalPolicies.js
+// Routes API des politiques de validation des dépenses et des délégations
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { authenticate: authMiddleware } = require('../../../core/auth/middleware/auth');
+const { handleValidationErrors } = require('../../../core/middleware/validation');
+const { checkAssociationMember, checkPermission } = require('../../../core/middleware/checkPermission');
+
+const approvalPolicyController = require('../controllers/approvalPolicyController');
+const ApprovalPolicyService = require('../services/approvalPolicyService');
+const CurrencyService = require('../services/currencyService');
+
+// 📋 VALIDATIONS
+
+const policyValidators = [
+  body('description')
+    .optional({ nullable: true })
+    .isLength({ max: 500 })
+    .withMessage('Description max 500 caractères'),
+
+  body('priority')
+    .optional()
+    .isInt({ min: 0, max: 1000 })
+    .withMessage('Priorité invalide (0-1000, plus petit = évalué en premier)'),
+
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('active doit être un booléen'),
+
+  body('mode')
+    .optional()
+    .isIn(ApprovalPolicyService.POLICY_MODES)
+    .withMessage('Mode invalide (all, quorum)'),
+
+  body('roles')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Rôles validateurs requis'),
+
+  body('quorum')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Quorum invalide'),
+
+  body('allowAbstention')
+    .optional()
+    .isBoolean()
+    .withMessage('allowAbstention doit être un booléen'),
+
+  body('conditions.expenseTypes')
+    .optional({ nullable: true })
+    .isArray()
+    .withMessage('Types de dépense : tableau attendu'),
+
+  body('conditions.amountAbove')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Seuil de montant invalide'),
+
+  body('conditions.amountUpTo')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Plafond de montant invalide'),
+
+  body('conditions.currency')
+    .optional({ nullable: true })
+    .isIn(CurrencyService.SUPPORTED_CURRENCIES)
+    .withMessage('Devise non supportée'),
+
+  body('conditions.isLoan')
+    .optional({ nullable: true })
+    .isBoolean()
+    .withMessage('isLoan doit être un booléen'),
+
+  body('conditions.urgencyLevels')
+    .optional({ nullable: true })
+    .isArray()
+    .withMessage('Niveaux d\'urgence : tableau attendu'),
+
+  body('conditions.urgencyLevels.*')
+    .isIn(ApprovalPolicyService.URGENCY_LEVELS)
+    .withMessage('Niveau d\'urgence invalide'),
+
+  body('fastTrack.urgencyLevels.*')
+    .isIn(ApprovalPolicyService.URGENCY_LEVELS)
+    .withMessage('Niveau d\'urgence invalide'),
+
+  body('fastTrack.approvals')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Nombre d\'approbations en urgence invalide'),
+
+  body('fastTrack.ratificationDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Délai de ratification invalide (1-365 jours)')
+];
+
+const validateAssociationId = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  handleValidationErrors
+];
+
+const validateCreatePolicy = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 150 })
+    .withMessage('Nom de la règle: 2-150 caractères'),
+
+  ...policyValidators,
+
+  handleValidationErrors
+];
+
+const validateUpdatePolicy = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  param('ruleId')
+    .notEmpty()
+    .withMessage('ID règle requis'),
+
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 150 })
+    .withMessage('Nom de la règle: 2-150 caractères'),
+
+  ...policyValidators,
+
+  handleValidationErrors
+];
+
+const validateRuleId = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  param('ruleId')
+    .notEmpty()
+    .withMessage('ID règle requis'),
+
+  handleValidationErrors
+];
+
+const validatePreview = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  body('expenseType')
+    .notEmpty()
+    .withMessage('Type de dépense requis'),
+
+  body('amountRequested')
+    .isFloat({ min: 0.01 })
+    .withMessage('Montant invalide'),
+
+  body('currency')
+    .optional()
+    .isIn(CurrencyService.SUPPORTED_CURRENCIES)
+    .withMessage('Devise non supportée'),
+
+  body('isLoan')
+    .optional()
+    .isBoolean()
+    .withMessage('isLoan doit être un booléen'),
+
+  body('urgencyLevel')
+    .optional()
+    .isIn(ApprovalPolicyService.URGENCY_LEVELS)
+    .withMessage('Niveau d\'urgence invalide'),
+
+  handleValidationErrors
+];
+
+const validateListDelegations = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  query('includeInactive')
+    .optional()
+    .isBoolean()
+    .withMessage('includeInactive doit être un booléen'),
+
+  handleValidationErrors
+];
+
+const validateCreateDelegation = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  body('toUserId')
+    .isInt({ min: 1 })
+    .withMessage('Délégataire requis'),
+
+  body('fromUserId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Délégant invalide'),
+
+  body('startsAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Date de début invalide'),
+
+  body('endsAt')
+    .isISO8601()
+    .withMessage('Date de fin de délégation requise'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Motif max 500 caractères'),
+
+  handleValidationErrors
+];
+
+const validateDelegationId = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  param('delegationId')
+    .notEmpty()
+    .withMessage('ID délégation requis'),
+
+  handleValidationErrors
+];
+
+// ⚖️ ROUTES POLITIQUES DE VALIDATION
+
+/**
+ * @route GET /api/v1/associations/:associationId/approval-policies
+ * @desc Règles de validation des dépenses (par priorité) et délégations en cours
+ * @access Bureau avec droits finances
+ */
+router.get('/:associationId/approval-policies',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('view_finances'),
+  validateAssociationId,
+  approvalPolicyController.getPolicies
+);
+
+/**
+ * @route POST /api/v1/associations/:associationId/approval-policies/preview
+ * @desc Simuler le circuit de validation d'une demande (type, montant, prêt, urgence)
+ * @access Bureau avec droits finances
+ */
+router.post('/:associationId/approval-policies/preview',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('view_finances'),
+  validatePreview,
+  approvalPolicyController.previewPolicy
+);
+
+/**
+ * @route POST /api/v1/associations/:associationId/approval-policies
+ * @desc Ajouter une règle (ex : montant > 500 EUR → président + trésorier ; prêts → 3 votes du bureau)
+ * @access Membres avec administration.modify_settings
+ */
+router.post('/:associationId/approval-policies',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('administration.modify_settings'),
+  validateCreatePolicy,
+  approvalPolicyController.createPolicy
+);
+
+/**
+ * @route PUT /api/v1/associations/:associationId/approval-policies/:ruleId
+ * @desc Modifier une règle de validation
+ * @access Membres avec administration.modify_settings
+ */
+router.put('/:associationId/approval-policies/:ruleId',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('administration.modify_settings'),
+  validateUpdatePolicy,
+  approvalPolicyController.updatePolicy
+);
+
+/**
+ * @route DELETE /api/v1/associations/:associationId/approval-policies/:ruleId
+ * @desc Supprimer une règle de validation
+ * @access Membres avec administration.modify_settings
+ */
+router.delete('/:associationId/approval-policies/:ruleId',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('administration.modify_settings'),
+  validateRuleId,
+  approvalPolicyController.deletePolicy
+);
+
+// 🤝 ROUTES DÉLÉGATIONS
+
+/**
+ * @route GET /api/v1/associations/:associationId/approval-delegations
+ * @desc Délégations de validation en cours (?includeInactive=true pour l'historique)
+ * @access Bureau avec droits validation
+ */
+router.get('/:associationId/approval-delegations',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('validate_expenses'),
+  validateListDelegations,
+  approvalPolicyController.getDelegations
+);
+
+/**
+ * @route POST /api/v1/associations/:associationId/approval-delegations
+ * @desc Déléguer son droit de validation pendant une absence (admin : pour un autre validateur)
+ * @access Bureau avec droits validation
+ */
+router.post('/:associationId/approval-delegations',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('validate_expenses'),
+  validateCreateDelegation,
+  approvalPolicyController.createDelegation
+);
+
+/**
+ * @route DELETE /api/v1/associations/:associationId/approval-delegations/:delegationId
+ * @desc Révoquer une délégation
+ * @access Délégant ou admin association
+ */
+router.delete('/:associationId/approval-delegations/:delegationId',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('validate_expenses'),
+  validateDelegationId,
+  approvalPolicyController.revokeDelegation
+);
+
+// 🚨 MIDDLEWARE GESTION ERREURS
+router.use((error, req, res, next) => {
+  console.error('Erreur routes politiques de validation:', error);
+
+  res.status(500).json({
+    error: 'Erreur serveur',
+    code: 'INTERNAL_SERVER_ERROR'
+  });
+});
+
+module.exports = router;
@@ -321,6 +321,16 @@ router.put(
 // Payer cotisation (CB prioritaire)
 router.post("/cotisations", authenticate, memberController.payCotisation);
 
+// Lancer les prélèvements automatiques du mois (idempotent)
+router.post(
+  "/:associationId/cotisations/auto-debit/run",
+  authenticate,
+  validateAssociationId,
+  checkAssociationMember,
+  checkPermission("manage_cotisations"),
+  memberController.runAutoDebit
+);
+
 // Rapport cotisations association
 // ✅ MIGRÉ: tresorier → view_finances
 router.get(
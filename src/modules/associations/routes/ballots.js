@@ -0,0 +1,529 @@
+// src/modules/associations/routes/ballots.js
+// Routes API des votes d'assemblée générale, procurations et procès-verbaux
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { authenticate: authMiddleware } = require('../../../core/auth/middleware/auth');
+const { handleValidationErrors } = require('../../../core/middleware/validation');
+const { checkAssociationMember, checkPermission } = require('../../../core/middleware/checkPermission');
+
+const ballotController = require('../controllers/ballotController');
+
+// 📋 VALIDATIONS
+
+const ballotValidators = [
+  body('description')
+    .optional({ nullable: true })
+    .isLength({ max: 5000 })
+    .withMessage('Texte de la résolution max 5000 caractères'),
+
+  body('eventId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('ID assemblée invalide'),
+
+  body('sectionId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('ID section invalide'),
+
+  body('kind')
+    .optional()
+    .isIn(['motion', 'election'])
+    .withMessage('Type de scrutin invalide (motion, election)'),
+
+  body('options')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Candidats : tableau attendu'),
+
+  body('secret')
+    .optional()
+    .isBoolean()
+    .withMessage('secret doit être un booléen'),
+
+  body('majorityRule')
+    .optional()
+    .isIn(['simple', 'two_thirds'])
+    .withMessage('Règle de majorité invalide (simple, two_thirds)'),
+
+  body('eligibility.memberStatuses')
+    .optional({ nullable: true })
+    .isArray()
+    .withMessage('Statuts membres : tableau attendu'),
+
+  body('eligibility.memberStatuses.*')
+    .isIn(['pending', 'active', 'suspended', 'excluded', 'inactive'])
+    .withMessage('Statut membre invalide'),
+
+  body('eligibility.memberTypes')
+    .optional({ nullable: true })
+    .isArray()
+    .withMessage('Types de membre : tableau attendu'),
+
+  body('eligibility.requireUpToDate')
+    .optional()
+    .isBoolean()
+    .withMessage('requireUpToDate doit être un booléen'),
+
+  body('eligibility.minSeniorityMonths')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Ancienneté minimale invalide'),
+
+  body('quorum.type')
+    .optional()
+    .isIn(['percentage', 'count'])
+    .withMessage('Type de quorum invalide (percentage, count)'),
+
+  body('quorum.value')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Valeur de quorum invalide'),
+
+  body('allowProxies')
+    .optional()
+    .isBoolean()
+    .withMessage('allowProxies doit être un booléen'),
+
+  body('maxProxiesPerMember')
+    .optional()
+    .isInt({ min: 0, max: 20 })
+    .withMessage('Nombre de procurations par mandataire invalide (0-20)'),
+
+  body('opensAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Date d\'ouverture invalide'),
+
+  body('closesAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Date de clôture invalide')
+];
+
+const validateListBallots = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  query('eventId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID assemblée invalide'),
+
+  query('status')
+    .optional()
+    .isIn(['draft', 'open', 'closed', 'cancelled'])
+    .withMessage('Statut invalide'),
+
+  handleValidationErrors
+];
+
+const validateCreateBallot = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  body('title')
+    .trim()
+    .isLength({ min: 3, max: 255 })
+    .withMessage('Intitulé: 3-255 caractères'),
+
+  ...ballotValidators,
+
+  handleValidationErrors
+];
+
+const validateUpdateBallot = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  param('ballotId')
+    .isInt({ min: 1 })
+    .withMessage('ID scrutin invalide'),
+
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 255 })
+    .withMessage('Intitulé: 3-255 caractères'),
+
+  ...ballotValidators,
+
+  handleValidationErrors
+];
+
+const validateBallotId = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  param('ballotId')
+    .isInt({ min: 1 })
+    .withMessage('ID scrutin invalide'),
+
+  handleValidationErrors
+];
+
+const validateVote = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  param('ballotId')
+    .isInt({ min: 1 })
+    .withMessage('ID scrutin invalide'),
+
+  body('choice')
+    .notEmpty()
+    .withMessage('Choix requis'),
+
+  body('onBehalfOf')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID membre mandant invalide'),
+
+  handleValidationErrors
+];
+
+const signatoriesValidators = [
+  body('signatories')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Signataires : tableau attendu'),
+
+  body('signatories.*.name')
+    .trim()
+    .isLength({ min: 2, max: 150 })
+    .withMessage('Nom du signataire: 2-150 caractères'),
+
+  body('signatories.*.role')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Qualité du signataire max 100 caractères')
+];
+
+const validateBallotMinutes = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  param('ballotId')
+    .isInt({ min: 1 })
+    .withMessage('ID scrutin invalide'),
+
+  ...signatoriesValidators,
+
+  handleValidationErrors
+];
+
+const validateEventMinutes = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  param('eventId')
+    .isInt({ min: 1 })
+    .withMessage('ID assemblée invalide'),
+
+  ...signatoriesValidators,
+
+  handleValidationErrors
+];
+
+const validateMinutesId = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  param('documentId')
+    .isInt({ min: 1 })
+    .withMessage('ID document invalide'),
+
+  handleValidationErrors
+];
+
+const validateListProxies = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  query('eventId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID assemblée invalide'),
+
+  query('ballotId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID scrutin invalide'),
+
+  handleValidationErrors
+];
+
+const validateCreateProxy = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  body('holderMemberId')
+    .isInt({ min: 1 })
+    .withMessage('Mandataire requis'),
+
+  body('grantorMemberId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Mandant invalide'),
+
+  body('eventId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID assemblée invalide'),
+
+  body('ballotId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID scrutin invalide'),
+
+  body('instructions')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Consignes max 1000 caractères'),
+
+  handleValidationErrors
+];
+
+const validateProxyId = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  param('proxyId')
+    .isInt({ min: 1 })
+    .withMessage('ID procuration invalide'),
+
+  handleValidationErrors
+];
+
+// 🗳️ ROUTES SCRUTINS
+
+/**
+ * @route GET /api/v1/associations/:associationId/ballots
+ * @desc Scrutins de l'association (?eventId, ?status)
+ * @access Membres association
+ */
+router.get('/:associationId/ballots',
+  authMiddleware,
+  checkAssociationMember,
+  validateListBallots,
+  ballotController.getBallots
+);
+
+/**
+ * @route POST /api/v1/associations/:associationId/ballots
+ * @desc Créer une résolution ou une élection (assemblée générale ou vote en ligne)
+ * @access Membres avec evenements.manage
+ */
+router.post('/:associationId/ballots',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('evenements.manage'),
+  validateCreateBallot,
+  ballotController.createBallot
+);
+
+/**
+ * @route GET /api/v1/associations/:associationId/ballots/:ballotId
+ * @desc Détail d'un scrutin : droit de vote, vote effectué, procurations détenues
+ * @access Membres association
+ */
+router.get('/:associationId/ballots/:ballotId',
+  authMiddleware,
+  checkAssociationMember,
+  validateBallotId,
+  ballotController.getBallot
+);
+
+/**
+ * @route PUT /api/v1/associations/:associationId/ballots/:ballotId
+ * @desc Modifier un scrutin en brouillon
+ * @access Membres avec evenements.manage
+ */
+router.put('/:associationId/ballots/:ballotId',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('evenements.manage'),
+  validateUpdateBallot,
+  ballotController.updateBallot
+);
+
+/**
+ * @route POST /api/v1/associations/:associationId/ballots/:ballotId/open
+ * @desc Ouvrir le vote (liste d'émargement figée selon les conditions d'éligibilité)
+ * @access Membres avec evenements.manage
+ */
+router.post('/:associationId/ballots/:ballotId/open',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('evenements.manage'),
+  validateBallotId,
+  ballotController.openBallot
+);
+
+/**
+ * @route POST /api/v1/associations/:associationId/ballots/:ballotId/close
+ * @desc Clôturer le vote : quorum, majorité et décision figés
+ * @access Membres avec evenements.manage
+ */
+router.post('/:associationId/ballots/:ballotId/close',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('evenements.manage'),
+  validateBallotId,
+  ballotController.closeBallot
+);
+
+/**
+ * @route POST /api/v1/associations/:associationId/ballots/:ballotId/cancel
+ * @desc Annuler un scrutin non clôturé
+ * @access Membres avec evenements.manage
+ */
+router.post('/:associationId/ballots/:ballotId/cancel',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('evenements.manage'),
+  validateBallotId,
+  ballotController.cancelBallot
+);
+
+/**
+ * @route POST /api/v1/associations/:associationId/ballots/:ballotId/vote
+ * @desc Voter (onBehalfOf = ID membre du mandant pour un vote par procuration)
+ * @access Membres inscrits sur la liste d'émargement
+ */
+router.post('/:associationId/ballots/:ballotId/vote',
+  authMiddleware,
+  checkAssociationMember,
+  validateVote,
+  ballotController.castVote
+);
+
+/**
+ * @route GET /api/v1/associations/:associationId/ballots/:ballotId/results
+ * @desc Résultats publiés à la clôture (participation seule pendant le vote)
+ * @access Membres association
+ */
+router.get('/:associationId/ballots/:ballotId/results',
+  authMiddleware,
+  checkAssociationMember,
+  validateBallotId,
+  ballotController.getResults
+);
+
+/**
+ * @route GET /api/v1/associations/:associationId/ballots/:ballotId/votes
+ * @desc Émargement des votants (choix visibles seulement pour un vote public)
+ * @access Membres avec evenements.manage
+ */
+router.get('/:associationId/ballots/:ballotId/votes',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('evenements.manage'),
+  validateBallotId,
+  ballotController.getVotes
+);
+
+// 📜 ROUTES PROCÈS-VERBAUX
+
+/**
+ * @route POST /api/v1/associations/:associationId/ballots/:ballotId/minutes
+ * @desc Générer le procès-verbal signé d'un scrutin autonome (document meeting_minutes)
+ * @access Membres avec evenements.manage
+ */
+router.post('/:associationId/ballots/:ballotId/minutes',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('evenements.manage'),
+  validateBallotMinutes,
+  ballotController.generateBallotMinutes
+);
+
+/**
+ * @route POST /api/v1/associations/:associationId/events/:eventId/minutes
+ * @desc Générer le procès-verbal signé d'une assemblée générale (tous ses scrutins clôturés)
+ * @access Membres avec evenements.manage
+ */
+router.post('/:associationId/events/:eventId/minutes',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('evenements.manage'),
+  validateEventMinutes,
+  ballotController.generateEventMinutes
+);
+
+/**
+ * @route GET /api/v1/associations/:associationId/minutes/:documentId/verify
+ * @desc Vérifier la signature des résultats et l'intégrité du fichier
+ * @access Membres association
+ */
+router.get('/:associationId/minutes/:documentId/verify',
+  authMiddleware,
+  checkAssociationMember,
+  validateMinutesId,
+  ballotController.verifyMinutes
+);
+
+// ✍️ ROUTES PROCURATIONS
+
+/**
+ * @route GET /api/v1/associations/:associationId/voting-proxies
+ * @desc Procurations (gestionnaire : toutes ; membre : données ou reçues)
+ * @access Membres association
+ */
+router.get('/:associationId/voting-proxies',
+  authMiddleware,
+  checkAssociationMember,
+  validateListProxies,
+  ballotController.getProxies
+);
+
+/**
+ * @route POST /api/v1/associations/:associationId/voting-proxies
+ * @desc Donner procuration pour une assemblée ou un scrutin (gestionnaire : procuration papier)
+ * @access Membres association
+ */
+router.post('/:associationId/voting-proxies',
+  authMiddleware,
+  checkAssociationMember,
+  validateCreateProxy,
+  ballotController.createProxy
+);
+
+/**
+ * @route DELETE /api/v1/associations/:associationId/voting-proxies/:proxyId
+ * @desc Révoquer une procuration
+ * @access Mandant ou membres avec evenements.manage
+ */
+router.delete('/:associationId/voting-proxies/:proxyId',
+  authMiddleware,
+  checkAssociationMember,
+  validateProxyId,
+  ballotController.revokeProxy
+);
+
+// 🚨 MIDDLEWARE GESTION ERREURS
+router.use((error, req, res, next) => {
+  console.error('Erreur routes votes:', error);
+
+  res.status(500).json({
+    error: 'Erreur serveur',
+    code: 'INTERNAL_SERVER_ERROR'
+  });
+});
+
+module.exports = router;
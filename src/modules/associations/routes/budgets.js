@@ -0,0 +1,272 @@
+// src/modules/associations/routes/budgets.js
+// Routes API des budgets annuels (budget vs réalisé)
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { authenticate: authMiddleware } = require('../../../core/auth/middleware/auth');
+const { handleValidationErrors } = require('../../../core/middleware/validation');
+const { checkAssociationMember, checkPermission } = require('../../../core/middleware/checkPermission');
+
+const budgetController = require('../controllers/budgetController');
+const CurrencyService = require('../services/currencyService');
+
+// 📋 VALIDATIONS
+
+const budgetLinesValidators = [
+  body('lines')
+    .optional()
+    .isArray()
+    .withMessage('Les lignes doivent être un tableau'),
+
+  body('lines.*.kind')
+    .isIn(['expense', 'income'])
+    .withMessage('Nature de ligne invalide (expense, income)'),
+
+  body('lines.*.category')
+    .trim()
+    .notEmpty()
+    .withMessage('Catégorie de ligne requise'),
+
+  body('lines.*.label')
+    .optional()
+    .isLength({ max: 150 })
+    .withMessage('Libellé trop long (150 caractères max)'),
+
+  body('lines.*.annualAmount')
+    .isFloat({ min: 0 })
+    .withMessage('Montant annuel invalide'),
+
+  body('lines.*.monthlyAmounts')
+    .optional({ nullable: true })
+    .isArray({ min: 12, max: 12 })
+    .withMessage('Répartition mensuelle : 12 montants'),
+
+  body('lines.*.monthlyAmounts.*')
+    .isFloat({ min: 0 })
+    .withMessage('Montant mensuel invalide')
+];
+
+const validateListBudgets = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  query('fiscalYear')
+    .optional()
+    .isInt({ min: 2020, max: 2100 })
+    .withMessage('Exercice invalide'),
+
+  query('sectionId')
+    .optional()
+    .custom((value) => value === 'central' || /^\d+$/.test(value))
+    .withMessage('Section invalide (ID ou "central")'),
+
+  query('status')
+    .optional()
+    .isIn(['draft', 'active', 'closed'])
+    .withMessage('Statut invalide'),
+
+  handleValidationErrors
+];
+
+const validateBudgetId = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  param('budgetId')
+    .isInt({ min: 1 })
+    .withMessage('ID budget invalide'),
+
+  handleValidationErrors
+];
+
+const validateCreateBudget = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  body('fiscalYear')
+    .isInt({ min: 2020, max: 2100 })
+    .withMessage('Exercice requis (2020-2100)'),
+
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 150 })
+    .withMessage('Nom du budget: 2-150 caractères'),
+
+  body('sectionId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('ID section invalide'),
+
+  body('currency')
+    .optional()
+    .isIn(CurrencyService.SUPPORTED_CURRENCIES)
+    .withMessage('Devise non supportée'),
+
+  body('status')
+    .optional()
+    .isIn(['draft', 'active'])
+    .withMessage('Statut initial invalide (draft, active)'),
+
+  body('overrunPolicy')
+    .optional()
+    .isIn(['warn', 'block'])
+    .withMessage('Politique de dépassement invalide (warn, block)'),
+
+  ...budgetLinesValidators,
+
+  handleValidationErrors
+];
+
+const validateUpdateBudget = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  param('budgetId')
+    .isInt({ min: 1 })
+    .withMessage('ID budget invalide'),
+
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 150 })
+    .withMessage('Nom du budget: 2-150 caractères'),
+
+  body('status')
+    .optional()
+    .isIn(['draft', 'active', 'closed'])
+    .withMessage('Statut invalide'),
+
+  body('overrunPolicy')
+    .optional()
+    .isIn(['warn', 'block'])
+    .withMessage('Politique de dépassement invalide (warn, block)'),
+
+  ...budgetLinesValidators,
+
+  handleValidationErrors
+];
+
+const validateBudgetReport = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  param('budgetId')
+    .isInt({ min: 1 })
+    .withMessage('ID budget invalide'),
+
+  query('period')
+    .optional()
+    .isIn(['year', 'month'])
+    .withMessage('Période invalide (year, month)'),
+
+  query('month')
+    .optional()
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Mois invalide (1-12)'),
+
+  query('format')
+    .optional()
+    .isIn(['csv', 'excel', 'pdf'])
+    .withMessage('Format invalide (csv, excel, pdf)'),
+
+  handleValidationErrors
+];
+
+// 📊 ROUTES BUDGETS
+
+/**
+ * @route GET /api/v1/associations/:associationId/budgets
+ * @desc Budgets annuels avec totaux prévus
+ * @access Bureau avec droits finances
+ */
+router.get('/:associationId/budgets',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('view_finances'),
+  validateListBudgets,
+  budgetController.getBudgets
+);
+
+/**
+ * @route POST /api/v1/associations/:associationId/budgets
+ * @desc Créer un budget (central ou section) avec ses lignes de dépenses et recettes
+ * @access Membres avec finances.manage_budgets
+ */
+router.post('/:associationId/budgets',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('finances.manage_budgets'),
+  validateCreateBudget,
+  budgetController.createBudget
+);
+
+/**
+ * @route GET /api/v1/associations/:associationId/budgets/:budgetId
+ * @desc Détail d'un budget
+ * @access Bureau avec droits finances
+ */
+router.get('/:associationId/budgets/:budgetId',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('view_finances'),
+  validateBudgetId,
+  budgetController.getBudget
+);
+
+/**
+ * @route PUT /api/v1/associations/:associationId/budgets/:budgetId
+ * @desc Modifier, activer ou clôturer un budget (lignes remplacées si fournies)
+ * @access Membres avec finances.manage_budgets
+ */
+router.put('/:associationId/budgets/:budgetId',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('finances.manage_budgets'),
+  validateUpdateBudget,
+  budgetController.updateBudget
+);
+
+/**
+ * @route DELETE /api/v1/associations/:associationId/budgets/:budgetId
+ * @desc Supprimer un budget en brouillon
+ * @access Membres avec finances.manage_budgets
+ */
+router.delete('/:associationId/budgets/:budgetId',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('finances.manage_budgets'),
+  validateBudgetId,
+  budgetController.deleteBudget
+);
+
+/**
+ * @route GET /api/v1/associations/:associationId/budgets/:budgetId/report
+ * @desc Budget vs réalisé (?period=year|month&month=1-12, export ?format=csv|excel|pdf)
+ * @access Bureau avec droits finances
+ */
+router.get('/:associationId/budgets/:budgetId/report',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('view_finances'),
+  validateBudgetReport,
+  budgetController.getBudgetReport
+);
+
+// 🚨 MIDDLEWARE GESTION ERREURS
+router.use((error, req, res, next) => {
+  console.error('Erreur routes budgets:', error);
+
+  res.status(500).json({
+    error: 'Erreur serveur',
+    code: 'INTERNAL_SERVER_ERROR'
+  });
+});
+
+module.exports = router;
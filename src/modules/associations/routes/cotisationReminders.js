@@ -0,0 +1,164 @@
+// src/modules/associations/routes/cotisationReminders.js
+// Routes API des relances de cotisations
+
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const { authenticate: authMiddleware } = require('../../../core/auth/middleware/auth');
+const { handleValidationErrors } = require('../../../core/middleware/validation');
+const { checkAssociationMember, checkPermission } = require('../../../core/middleware/checkPermission');
+
+const cotisationReminderController = require('../controllers/cotisationReminderController');
+const CotisationReminderService = require('../services/cotisationReminderService');
+const NotificationService = require('../../../core/services/notificationService');
+
+// 📋 VALIDATIONS
+
+const validateAssociationId = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  handleValidationErrors
+];
+
+const validateSchedule = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('enabled doit être un booléen'),
+
+  body('steps')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Étapes : tableau de 10 éléments maximum'),
+
+  body('steps.*.offsetDays')
+    .isInt({ min: -30, max: 60 })
+    .withMessage('Décalage invalide (-30 à +60 jours par rapport à l\'échéance)'),
+
+  body('steps.*.template')
+    .isIn(CotisationReminderService.REMINDER_TEMPLATES)
+    .withMessage('Modèle de relance invalide'),
+
+  body('steps.*.channels')
+    .isArray({ min: 1 })
+    .withMessage('Au moins un canal par étape'),
+
+  body('steps.*.channels.*')
+    .isIn(NotificationService.CHANNELS)
+    .withMessage('Canal invalide (in_app, push, sms, email)'),
+
+  handleValidationErrors
+];
+
+const validateSend = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  body('memberIds')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Membres : tableau d\'IDs attendu'),
+
+  body('memberIds.*')
+    .isInt({ min: 1 })
+    .withMessage('ID membre invalide'),
+
+  body('month')
+    .optional()
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Mois invalide'),
+
+  body('year')
+    .if(body('month').exists())
+    .isInt({ min: 2000, max: 2100 })
+    .withMessage('Année requise avec le mois'),
+
+  body('template')
+    .optional()
+    .isIn(CotisationReminderService.REMINDER_TEMPLATES)
+    .withMessage('Modèle de relance invalide'),
+
+  body('channels')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Canaux : tableau attendu'),
+
+  body('channels.*')
+    .isIn(NotificationService.CHANNELS)
+    .withMessage('Canal invalide (in_app, push, sms, email)'),
+
+  handleValidationErrors
+];
+
+// 🔔 ROUTES RELANCES
+
+/**
+ * @route GET /api/v1/associations/:associationId/cotisation-reminders
+ * @desc Calendrier de relance (J-3, J0, J+3, J+10...) et simulation de la campagne du jour
+ * @access Bureau avec droits finances
+ */
+router.get('/:associationId/cotisation-reminders',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('view_finances'),
+  validateAssociationId,
+  cotisationReminderController.getReminderSettings
+);
+
+/**
+ * @route PUT /api/v1/associations/:associationId/cotisation-reminders
+ * @desc Activer / désactiver les relances, définir les étapes (décalage, modèle, canaux)
+ * @access Membres avec manage_cotisations
+ */
+router.put('/:associationId/cotisation-reminders',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('manage_cotisations'),
+  validateSchedule,
+  cotisationReminderController.updateReminderSettings
+);
+
+/**
+ * @route POST /api/v1/associations/:associationId/cotisation-reminders/run
+ * @desc Exécuter la campagne du jour sans attendre le cron (étapes déjà envoyées ignorées)
+ * @access Membres avec manage_cotisations
+ */
+router.post('/:associationId/cotisation-reminders/run',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('manage_cotisations'),
+  validateAssociationId,
+  cotisationReminderController.runReminders
+);
+
+/**
+ * @route POST /api/v1/associations/:associationId/cotisation-reminders/send
+ * @desc Relancer les membres impayés (tous ou memberIds), hors prélèvement automatique
+ * @access Membres avec manage_cotisations
+ */
+router.post('/:associationId/cotisation-reminders/send',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('manage_cotisations'),
+  validateSend,
+  cotisationReminderController.sendReminders
+);
+
+// 🚨 MIDDLEWARE GESTION ERREURS
+router.use((error, req, res, next) => {
+  console.error('Erreur routes relances cotisations:', error);
+
+  res.status(500).json({
+    error: 'Erreur serveur',
+    code: 'INTERNAL_SERVER_ERROR'
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,251 @@
+// src/modules/associations/routes/eventTickets.js
+// Routes API de la billetterie des événements payants
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { authenticate: authMiddleware } = require('../../../core/auth/middleware/auth');
+const { handleValidationErrors } = require('../../../core/middleware/validation');
+const { checkAssociationMember } = require('../../../core/middleware/checkPermission');
+
+const eventTicketController = require('../controllers/eventTicketController');
+const EventTicketService = require('../services/eventTicketService');
+
+// 📋 VALIDATIONS
+
+const validateEventParams = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  param('eventId')
+    .isInt({ min: 1 })
+    .withMessage('ID événement invalide')
+];
+
+const validateTicketParams = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  param('ticketId')
+    .isInt({ min: 1 })
+    .withMessage('ID billet invalide')
+];
+
+const buyerValidators = [
+  body('quantity')
+    .optional()
+    .isInt({ min: 1, max: EventTicketService.MAX_TICKETS_PER_ORDER })
+    .withMessage(`Nombre de places invalide (1 à ${EventTicketService.MAX_TICKETS_PER_ORDER})`),
+
+  body('buyerName')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 150 })
+    .withMessage('Nom de l\'acheteur invalide (2-150 caractères)'),
+
+  body('buyerEmail')
+    .optional({ nullable: true })
+    .isEmail()
+    .withMessage('Email de l\'acheteur invalide'),
+
+  body('buyerPhone')
+    .optional({ nullable: true })
+    .isLength({ max: 30 })
+    .withMessage('Téléphone max 30 caractères'),
+
+  body('occurrenceStart')
+    .optional()
+    .isISO8601()
+    .withMessage('Date d\'occurrence invalide')
+];
+
+const validatePurchase = [
+  ...validateEventParams,
+
+  body('paymentMethodId')
+    .notEmpty()
+    .withMessage('Moyen de paiement requis'),
+
+  ...buyerValidators,
+
+  handleValidationErrors
+];
+
+const validateCashSale = [
+  ...validateEventParams,
+
+  body('userId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('ID utilisateur invalide'),
+
+  body('checkIn')
+    .optional()
+    .isBoolean()
+    .withMessage('checkIn doit être un booléen'),
+
+  ...buyerValidators,
+
+  handleValidationErrors
+];
+
+const validateListTickets = [
+  ...validateEventParams,
+
+  query('status')
+    .optional()
+    .isIn(EventTicketService.TICKET_STATUSES)
+    .withMessage('Statut invalide (pending_payment, paid, cancelled, refunded)'),
+
+  query('occurrenceStart')
+    .optional()
+    .isISO8601()
+    .withMessage('Date d\'occurrence invalide'),
+
+  handleValidationErrors
+];
+
+const validateCheckIn = [
+  ...validateEventParams,
+
+  body('code')
+    .matches(/^[a-f0-9]{48}$/)
+    .withMessage('Code billet invalide'),
+
+  body('admit')
+    .optional()
+    .isInt({ min: 1, max: EventTicketService.MAX_TICKETS_PER_ORDER })
+    .withMessage('Nombre d\'entrées invalide'),
+
+  handleValidationErrors
+];
+
+const validateTicketId = [
+  ...validateTicketParams,
+
+  handleValidationErrors
+];
+
+const validateCancelTicket = [
+  ...validateTicketParams,
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Motif max 255 caractères'),
+
+  handleValidationErrors
+];
+
+// 🎟️ ROUTES BILLETTERIE
+
+/**
+ * @route GET /api/v1/associations/:associationId/events/:eventId/tickets
+ * @desc Billets vendus, entrées et recettes de l'événement (?status, ?occurrenceStart)
+ * @access Organisateur, evenements.manage, view_finances ou evenements.view_attendance
+ */
+router.get('/:associationId/events/:eventId/tickets',
+  authMiddleware,
+  checkAssociationMember,
+  validateListTickets,
+  eventTicketController.getEventTickets
+);
+
+/**
+ * @route POST /api/v1/associations/:associationId/events/:eventId/tickets
+ * @desc Acheter un billet par carte (Stripe) ; entrée d'argent validée créée au paiement
+ * @access Membres ayant accès à l'événement
+ */
+router.post('/:associationId/events/:eventId/tickets',
+  authMiddleware,
+  checkAssociationMember,
+  validatePurchase,
+  eventTicketController.purchaseTicket
+);
+
+/**
+ * @route GET /api/v1/associations/:associationId/events/:eventId/tickets/mine
+ * @desc Mes billets pour l'événement, avec QR code à présenter à l'entrée
+ * @access Membres ayant accès à l'événement
+ */
+router.get('/:associationId/events/:eventId/tickets/mine',
+  authMiddleware,
+  checkAssociationMember,
+  validateListTickets,
+  eventTicketController.getMyTickets
+);
+
+/**
+ * @route POST /api/v1/associations/:associationId/events/:eventId/tickets/cash
+ * @desc Vente sur place en espèces (admission immédiate avec checkIn)
+ * @access Organisateur ou membres avec evenements.manage
+ */
+router.post('/:associationId/events/:eventId/tickets/cash',
+  authMiddleware,
+  checkAssociationMember,
+  validateCashSale,
+  eventTicketController.sellAtDoor
+);
+
+/**
+ * @route POST /api/v1/associations/:associationId/events/:eventId/tickets/check-in
+ * @desc Scanner le QR code d'un billet et admettre ses places (toutes, ou admit)
+ * @access Organisateur ou membres avec evenements.manage
+ */
+router.post('/:associationId/events/:eventId/tickets/check-in',
+  authMiddleware,
+  checkAssociationMember,
+  validateCheckIn,
+  eventTicketController.checkIn
+);
+
+/**
+ * @route GET /api/v1/associations/:associationId/events/:eventId/fundraising
+ * @desc Recettes de l'événement par devise : billetterie et autres entrées rattachées (dons...)
+ * @access Organisateur, evenements.manage, view_finances ou evenements.view_attendance
+ */
+router.get('/:associationId/events/:eventId/fundraising',
+  authMiddleware,
+  checkAssociationMember,
+  validateListTickets,
+  eventTicketController.getFundraising
+);
+
+/**
+ * @route GET /api/v1/associations/:associationId/tickets/:ticketId
+ * @desc Détail d'un billet avec QR code
+ * @access Acheteur ou organisateurs de l'événement
+ */
+router.get('/:associationId/tickets/:ticketId',
+  authMiddleware,
+  checkAssociationMember,
+  validateTicketId,
+  eventTicketController.getTicket
+);
+
+/**
+ * @route POST /api/v1/associations/:associationId/tickets/:ticketId/cancel
+ * @desc Annuler un billet non utilisé (carte remboursée via Stripe, espèces rendues)
+ * @access Organisateur ou membres avec evenements.manage
+ */
+router.post('/:associationId/tickets/:ticketId/cancel',
+  authMiddleware,
+  checkAssociationMember,
+  validateCancelTicket,
+  eventTicketController.cancelTicket
+);
+
+// 🚨 MIDDLEWARE GESTION ERREURS
+router.use((error, req, res, next) => {
+  console.error('Erreur routes billetterie:', error);
+
+  res.status(500).json({
+    error: 'Erreur serveur',
+    code: 'INTERNAL_SERVER_ERROR'
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,405 @@
+// src/modules/associations/routes/events.js
+// Routes API des événements d'association et de section
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { authenticate: authMiddleware } = require('../../../core/auth/middleware/auth');
+const { handleValidationErrors } = require('../../../core/middleware/validation');
+const { checkAssociationMember, checkPermission } = require('../../../core/middleware/checkPermission');
+
+const eventController = require('../controllers/eventController');
+const EventService = require('../services/eventService');
+
+// 📋 VALIDATIONS
+
+const validateEventParams = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  param('eventId')
+    .isInt({ min: 1 })
+    .withMessage('ID événement invalide')
+];
+
+const eventValidators = [
+  body('description')
+    .optional({ nullable: true })
+    .isLength({ max: 10000 })
+    .withMessage('Description max 10000 caractères'),
+
+  body('type')
+    .optional()
+    .isIn(EventService.EVENT_TYPES)
+    .withMessage('Type d\'événement invalide'),
+
+  body('sectionId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('ID section invalide'),
+
+  body(['endDate', 'registrationDeadline'])
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Date invalide'),
+
+  body('timezone')
+    .optional()
+    .custom((value) => {
+      new Intl.DateTimeFormat('fr-FR', { timeZone: value });
+      return true;
+    })
+    .withMessage('Fuseau horaire invalide'),
+
+  body(['isAllDay', 'isOnline', 'requiresRegistration', 'sendReminders', 'isFree', 'isRecurring'])
+    .optional()
+    .isBoolean()
+    .withMessage('Valeur booléenne attendue'),
+
+  body('onlineLink')
+    .optional({ nullable: true })
+    .isURL()
+    .withMessage('Lien de visioconférence invalide'),
+
+  body('visibility')
+    .optional()
+    .isIn(EventService.VISIBILITIES)
+    .withMessage('Visibilité invalide (public, association, section, bureau, invited_only)'),
+
+  body('maxParticipants')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Nombre de places invalide'),
+
+  body('invitedUsers')
+    .optional({ nullable: true })
+    .isArray()
+    .withMessage('Invités : tableau d\'IDs utilisateurs attendu'),
+
+  body('invitedUsers.*')
+    .isInt({ min: 1 })
+    .withMessage('ID utilisateur invité invalide'),
+
+  body(['agenda', 'documents', 'tags'])
+    .optional({ nullable: true })
+    .isArray()
+    .withMessage('Tableau attendu'),
+
+  body('reminderTimes')
+    .optional({ nullable: true })
+    .isArray({ max: 5 })
+    .withMessage('Rappels : 5 maximum'),
+
+  body('reminderTimes.*')
+    .isInt({ min: 1, max: 720 })
+    .withMessage('Rappel invalide (1 à 720 heures avant)'),
+
+  body('price')
+    .optional({ nullable: true })
+    .isFloat({ min: 0.01 })
+    .withMessage('Prix invalide'),
+
+  body('currency')
+    .optional()
+    .isLength({ min: 3, max: 3 })
+    .withMessage('Devise invalide (code ISO à 3 lettres)'),
+
+  body('status')
+    .optional()
+    .isIn(['draft', 'published', 'postponed', 'completed'])
+    .withMessage('Statut invalide (draft, published, postponed, completed)'),
+
+  body('recurrencePattern')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('Récurrence : { type, interval, until?, count? } attendu'),
+
+  body('recurrencePattern.type')
+    .if(body('recurrencePattern').exists({ values: 'null' }))
+    .isIn(EventService.RECURRENCE_TYPES)
+    .withMessage('Récurrence invalide (daily, weekly, monthly)')
+];
+
+const validateListEvents = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Date invalide'),
+
+  query('type')
+    .optional()
+    .isIn(EventService.EVENT_TYPES)
+    .withMessage('Type d\'événement invalide'),
+
+  query('sectionId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID section invalide'),
+
+  query('status')
+    .optional()
+    .isIn(['draft', 'published', 'cancelled', 'postponed', 'completed'])
+    .withMessage('Statut invalide'),
+
+  query('expand')
+    .optional()
+    .isBoolean()
+    .withMessage('expand doit être un booléen'),
+
+  handleValidationErrors
+];
+
+const validateEventId = [
+  ...validateEventParams,
+
+  handleValidationErrors
+];
+
+const validateCreateEvent = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  body('title')
+    .trim()
+    .isLength({ min: 3, max: 255 })
+    .withMessage('Titre requis (3-255 caractères)'),
+
+  body('startDate')
+    .isISO8601()
+    .withMessage('Date de début requise'),
+
+  ...eventValidators,
+
+  handleValidationErrors
+];
+
+const validateUpdateEvent = [
+  ...validateEventParams,
+
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 255 })
+    .withMessage('Titre invalide (3-255 caractères)'),
+
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Date de début invalide'),
+
+  ...eventValidators,
+
+  handleValidationErrors
+];
+
+const validateCancelEvent = [
+  ...validateEventParams,
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Motif max 255 caractères'),
+
+  body('occurrenceStart')
+    .optional()
+    .isISO8601()
+    .withMessage('Date d\'occurrence invalide'),
+
+  handleValidationErrors
+];
+
+const validateRsvp = [
+  ...validateEventParams,
+
+  body('response')
+    .isIn(EventService.RSVP_RESPONSES)
+    .withMessage('Réponse invalide (yes, no, maybe)'),
+
+  body('note')
+    .optional({ nullable: true })
+    .isLength({ max: 500 })
+    .withMessage('Commentaire max 500 caractères'),
+
+  body('occurrenceStart')
+    .optional()
+    .isISO8601()
+    .withMessage('Date d\'occurrence invalide'),
+
+  handleValidationErrors
+];
+
+const validateParticipants = [
+  ...validateEventParams,
+
+  query('occurrenceStart')
+    .optional()
+    .isISO8601()
+    .withMessage('Date d\'occurrence invalide'),
+
+  handleValidationErrors
+];
+
+const validateAttendance = [
+  ...validateEventParams,
+
+  body('entries')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('Présences : tableau de 1 à 500 entrées'),
+
+  body('entries.*.userId')
+    .isInt({ min: 1 })
+    .withMessage('ID utilisateur invalide'),
+
+  body('entries.*.status')
+    .isIn(EventService.ATTENDANCE_STATUSES)
+    .withMessage('Statut de présence invalide (present, absent, excused)'),
+
+  body('occurrenceStart')
+    .optional()
+    .isISO8601()
+    .withMessage('Date d\'occurrence invalide'),
+
+  handleValidationErrors
+];
+
+// 📅 ROUTES ÉVÉNEMENTS
+
+/**
+ * @route GET /api/v1/associations/:associationId/events
+ * @desc Calendrier des événements visibles par le membre (?from, ?to, ?type, ?sectionId, ?status, ?expand)
+ * @access Membres de l'association
+ */
+router.get('/:associationId/events',
+  authMiddleware,
+  checkAssociationMember,
+  validateListEvents,
+  eventController.getEvents
+);
+
+/**
+ * @route POST /api/v1/associations/:associationId/events
+ * @desc Créer un événement d'association ou de section (brouillon par défaut)
+ * @access Membres avec evenements.create
+ */
+router.post('/:associationId/events',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('evenements.create'),
+  validateCreateEvent,
+  eventController.createEvent
+);
+
+/**
+ * @route GET /api/v1/associations/:associationId/events/:eventId
+ * @desc Détail d'un événement (ma réponse, places restantes, prochaines occurrences)
+ * @access Membres ayant accès à l'événement
+ */
+router.get('/:associationId/events/:eventId',
+  authMiddleware,
+  checkAssociationMember,
+  validateEventId,
+  eventController.getEvent
+);
+
+/**
+ * @route PUT /api/v1/associations/:associationId/events/:eventId
+ * @desc Modifier un événement (série complète pour un événement récurrent)
+ * @access Organisateur ou membres avec evenements.manage
+ */
+router.put('/:associationId/events/:eventId',
+  authMiddleware,
+  checkAssociationMember,
+  validateUpdateEvent,
+  eventController.updateEvent
+);
+
+/**
+ * @route DELETE /api/v1/associations/:associationId/events/:eventId
+ * @desc Supprimer un événement sans réponses (sinon l'annuler)
+ * @access Organisateur ou membres avec evenements.manage
+ */
+router.delete('/:associationId/events/:eventId',
+  authMiddleware,
+  checkAssociationMember,
+  validateEventId,
+  eventController.deleteEvent
+);
+
+/**
+ * @route POST /api/v1/associations/:associationId/events/:eventId/cancel
+ * @desc Annuler un événement, ou une occurrence d'une série (occurrenceStart)
+ * @access Organisateur ou membres avec evenements.manage
+ */
+router.post('/:associationId/events/:eventId/cancel',
+  authMiddleware,
+  checkAssociationMember,
+  validateCancelEvent,
+  eventController.cancelEvent
+);
+
+/**
+ * @route POST /api/v1/associations/:associationId/events/:eventId/rsvp
+ * @desc Répondre yes / no / maybe (places limitées, avant la date limite d'inscription)
+ * @access Membres ayant accès à l'événement
+ */
+router.post('/:associationId/events/:eventId/rsvp',
+  authMiddleware,
+  checkAssociationMember,
+  validateRsvp,
+  eventController.respondToEvent
+);
+
+/**
+ * @route GET /api/v1/associations/:associationId/events/:eventId/participants
+ * @desc Réponses, commentaires et présences des participants
+ * @access Organisateur, evenements.manage ou evenements.view_attendance
+ */
+router.get('/:associationId/events/:eventId/participants',
+  authMiddleware,
+  checkAssociationMember,
+  validateParticipants,
+  eventController.getParticipants
+);
+
+/**
+ * @route GET /api/v1/associations/:associationId/events/:eventId/ics
+ * @desc Télécharger l'événement (.ics) ; série récurrente : occurrences à venir, ou ?occurrenceStart
+ * @access Membres ayant accès à l'événement
+ */
+router.get('/:associationId/events/:eventId/ics',
+  authMiddleware,
+  checkAssociationMember,
+  validateParticipants,
+  eventController.downloadIcs
+);
+
+/**
+ * @route POST /api/v1/associations/:associationId/events/:eventId/attendance
+ * @desc Pointer les présences (present, absent, excused) à partir du début de l'événement
+ * @access Organisateur ou membres avec evenements.manage
+ */
+router.post('/:associationId/events/:eventId/attendance',
+  authMiddleware,
+  checkAssociationMember,
+  validateAttendance,
+  eventController.recordAttendance
+);
+
+// 🚨 MIDDLEWARE GESTION ERREURS
+router.use((error, req, res, next) => {
+  console.error('Erreur routes événements:', error);
+
+  res.status(500).json({
+    error: 'Erreur serveur',
+    code: 'INTERNAL_SERVER_ERROR'
+  });
+});
+
+module.exports = router;
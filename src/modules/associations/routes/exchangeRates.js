@@ -0,0 +1,215 @@
+// src/modules/associations/routes/exchangeRates.js
+// Routes API des taux de change (multi-devises)
+
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { body, param, query } = require('express-validator');
+const { authenticate: authMiddleware } = require('../../../core/auth/middleware/auth');
+const { handleValidationErrors } = require('../../../core/middleware/validation');
+const { checkAssociationMember, checkPermission } = require('../../../core/middleware/checkPermission');
+
+const exchangeRateController = require('../controllers/exchangeRateController');
+const CurrencyService = require('../services/currencyService');
+
+// Fichier de taux gardé en mémoire (petit fichier, lu puis jeté)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB max
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|xlsx)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Type de fichier non autorisé (CSV ou XLSX)'), false);
+    }
+  }
+});
+
+// 📋 VALIDATIONS
+
+const validateListRates = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  query('baseCurrency')
+    .optional()
+    .isIn(CurrencyService.SUPPORTED_CURRENCIES)
+    .withMessage('Devise non supportée'),
+
+  query('quoteCurrency')
+    .optional()
+    .isIn(CurrencyService.SUPPORTED_CURRENCIES)
+    .withMessage('Devise non supportée'),
+
+  query('dateFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('Date de début invalide'),
+
+  query('dateTo')
+    .optional()
+    .isISO8601()
+    .withMessage('Date de fin invalide'),
+
+  handleValidationErrors
+];
+
+const validateSetRate = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  body('baseCurrency')
+    .isIn(CurrencyService.SUPPORTED_CURRENCIES)
+    .withMessage('Devise de base non supportée'),
+
+  body('quoteCurrency')
+    .isIn(CurrencyService.SUPPORTED_CURRENCIES)
+    .withMessage('Devise de cotation non supportée'),
+
+  body('rate')
+    .isFloat({ gt: 0 })
+    .withMessage('Taux invalide (strictement positif)'),
+
+  body('effectiveDate')
+    .isISO8601()
+    .withMessage('Date d\'effet invalide'),
+
+  handleValidationErrors
+];
+
+const validateImport = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  handleValidationErrors
+];
+
+const validateDeleteRate = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  param('rateId')
+    .isInt({ min: 1 })
+    .withMessage('ID taux invalide'),
+
+  handleValidationErrors
+];
+
+const validateConvert = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  query('amount')
+    .isFloat({ min: 0 })
+    .withMessage('Montant invalide'),
+
+  query('from')
+    .isIn(CurrencyService.SUPPORTED_CURRENCIES)
+    .withMessage('Devise source non supportée'),
+
+  query('to')
+    .optional()
+    .isIn(CurrencyService.SUPPORTED_CURRENCIES)
+    .withMessage('Devise cible non supportée'),
+
+  query('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date invalide'),
+
+  handleValidationErrors
+];
+
+// 💱 ROUTES TAUX DE CHANGE
+
+/**
+ * @route GET /api/v1/associations/:associationId/exchange-rates
+ * @desc Taux de change datés (association + taux communs) et devise principale
+ * @access Bureau avec droits finances
+ */
+router.get('/:associationId/exchange-rates',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('view_finances'),
+  validateListRates,
+  exchangeRateController.listRates
+);
+
+/**
+ * @route GET /api/v1/associations/:associationId/exchange-rates/convert
+ * @desc Convertir un montant (vers la devise principale par défaut)
+ * @access Bureau avec droits finances
+ */
+router.get('/:associationId/exchange-rates/convert',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('view_finances'),
+  validateConvert,
+  exchangeRateController.convert
+);
+
+/**
+ * @route POST /api/v1/associations/:associationId/exchange-rates
+ * @desc Saisir un taux de change à une date d'effet
+ * @access Trésorier + admin_association
+ */
+router.post('/:associationId/exchange-rates',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('validate_expenses'),
+  validateSetRate,
+  exchangeRateController.setRate
+);
+
+/**
+ * @route POST /api/v1/associations/:associationId/exchange-rates/import
+ * @desc Importer des taux depuis un fichier CSV / XLSX (baseCurrency, quoteCurrency, rate, effectiveDate)
+ * @access Trésorier + admin_association
+ */
+router.post('/:associationId/exchange-rates/import',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('validate_expenses'),
+  upload.single('file'),
+  validateImport,
+  exchangeRateController.importRates
+);
+
+/**
+ * @route DELETE /api/v1/associations/:associationId/exchange-rates/:rateId
+ * @desc Supprimer un taux saisi par l'association
+ * @access Trésorier + admin_association
+ */
+router.delete('/:associationId/exchange-rates/:rateId',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('validate_expenses'),
+  validateDeleteRate,
+  exchangeRateController.deleteRate
+);
+
+// 🚨 MIDDLEWARE GESTION ERREURS
+router.use((error, req, res, next) => {
+  console.error('Erreur routes taux de change:', error);
+
+  if (error instanceof multer.MulterError || error.message?.startsWith('Type de fichier')) {
+    return res.status(400).json({
+      error: error.message,
+      code: 'INVALID_FILE'
+    });
+  }
+
+  res.status(500).json({
+    error: 'Erreur serveur',
+    code: 'INTERNAL_SERVER_ERROR'
+  });
+});
+
+module.exports = router;
@@ -20,6 +20,45 @@ const checkValidationRights = async (req, res, next) => {
 */
 
 // 📋 VALIDATIONS (inchangées)
+
+// Conditions d'échéancier (loanTerms.* à la création, à la racine pour un rééchelonnement)
+const loanTermsValidators = (prefix = '') => [
+  body(`${prefix}interestType`)
+    .optional()
+    .isIn(['none', 'flat', 'declining'])
+    .withMessage('Type d\'intérêts invalide (none, flat, declining)'),
+    
+  body(`${prefix}interestRate`)
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Taux d\'intérêt annuel entre 0 et 100 %'),
+    
+  body(`${prefix}frequency`)
+    .optional()
+    .isIn(['weekly', 'biweekly', 'monthly', 'quarterly'])
+    .withMessage('Périodicité invalide'),
+    
+  body(`${prefix}installmentsCount`)
+    .optional()
+    .isInt({ min: 1, max: 360 })
+    .withMessage('Nombre d\'échéances entre 1 et 360'),
+    
+  body(`${prefix}durationMonths`)
+    .optional()
+    .isInt({ min: 1, max: 360 })
+    .withMessage('Durée entre 1 et 360 mois'),
+    
+  body(`${prefix}gracePeriodDays`)
+    .optional()
+    .isInt({ min: 0, max: 365 })
+    .withMessage('Différé entre 0 et 365 jours'),
+    
+  body(`${prefix}firstDueDate`)
+    .optional()
+    .isISO8601()
+    .withMessage('Date de première échéance invalide')
+];
+
 const validateCreateExpenseRequest = [
   param('associationId')
     .isInt({ min: 1 })
@@ -73,6 +112,13 @@ const validateCreateExpenseRequest = [
     .isObject()
     .withMessage('Conditions prêt doivent être un objet'),
     
+  ...loanTermsValidators('loanTerms.'),
+    
+  body('fundId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('ID fonds invalide'),
+    
   body('documents')
     .optional()
     .isArray()
@@ -117,6 +163,11 @@ const validateUpdateExpenseRequest = [
     .isIn(['low', 'normal', 'high', 'critical'])
     .withMessage('Niveau urgence invalide'),
     
+  body('fundId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('ID fonds invalide'),
+    
   handleValidationErrors
 ];
 
@@ -401,6 +452,74 @@ router.post('/:associationId/expense-requests/:requestId/reject',
   expenseRequestController.rejectExpenseRequest
 );
 
+/**
+ * @route POST /api/v1/associations/:associationId/expense-requests/:requestId/abstain
+ * @desc S'abstenir sur une demande (si la règle de validation le permet)
+ * @access Validateurs requis par la politique (ou leurs délégataires)
+ */
+router.post('/:associationId/expense-requests/:requestId/abstain',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('validate_expenses'),
+  [
+    param('associationId')
+      .isInt({ min: 1 })
+      .withMessage('ID association invalide'),
+      
+    param('requestId')
+      .isInt({ min: 1 })
+      .withMessage('ID demande invalide'),
+      
+    body('comment')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Commentaire max 1000 caractères'),
+      
+    handleValidationErrors
+  ],
+  expenseRequestController.abstainExpenseRequest
+);
+
+/**
+ * @route POST /api/v1/associations/:associationId/expense-requests/:requestId/ratify
+ * @desc Ratifier (ou non) une dépense approuvée en urgence
+ * @access Validateurs requis par la politique (ou leurs délégataires)
+ */
+router.post('/:associationId/expense-requests/:requestId/ratify',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('validate_expenses'),
+  [
+    param('associationId')
+      .isInt({ min: 1 })
+      .withMessage('ID association invalide'),
+      
+    param('requestId')
+      .isInt({ min: 1 })
+      .withMessage('ID demande invalide'),
+      
+    body('decision')
+      .isIn(['approved', 'rejected', 'abstained'])
+      .withMessage('Décision invalide (approved, rejected, abstained)'),
+      
+    body('comment')
+      .if(body('decision').equals('rejected'))
+      .trim()
+      .isLength({ min: 10, max: 1000 })
+      .withMessage('Motif requis pour refuser la ratification (10-1000 caractères)'),
+      
+    body('comment')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Commentaire max 1000 caractères'),
+      
+    handleValidationErrors
+  ],
+  expenseRequestController.ratifyExpenseRequest
+);
+
 /**
  * @route POST /api/v1/associations/:associationId/expense-requests/:requestId/request-info
  * @desc Demander des informations complémentaires
@@ -624,6 +743,135 @@ router.post('/:associationId/expense-requests/:requestId/repayments',
   expenseRequestController.recordRepayment
 );
 
+/**
+ * @route GET /api/v1/associations/:associationId/expense-requests/:requestId/schedule
+ * @desc Échéancier d'un prêt (échéances, restant dû)
+ * @access Bureau avec droits finances
+ */
+router.get('/:associationId/expense-requests/:requestId/schedule',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('view_finances'),
+  [
+    param('associationId')
+      .isInt({ min: 1 })
+      .withMessage('ID association invalide'),
+      
+    param('requestId')
+      .isInt({ min: 1 })
+      .withMessage('ID demande invalide'),
+      
+    handleValidationErrors
+  ],
+  expenseRequestController.getLoanSchedule
+);
+
+/**
+ * @route GET /api/v1/associations/:associationId/expense-requests/:requestId/payoff
+ * @desc Montant du remboursement anticipé à une date
+ * @access Bureau avec droits finances
+ */
+router.get('/:associationId/expense-requests/:requestId/payoff',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('view_finances'),
+  [
+    param('associationId')
+      .isInt({ min: 1 })
+      .withMessage('ID association invalide'),
+      
+    param('requestId')
+      .isInt({ min: 1 })
+      .withMessage('ID demande invalide'),
+      
+    query('date')
+      .optional()
+      .isISO8601()
+      .withMessage('Date invalide'),
+      
+    handleValidationErrors
+  ],
+  expenseRequestController.getPayoffQuote
+);
+
+/**
+ * @route POST /api/v1/associations/:associationId/expense-requests/:requestId/payoff
+ * @desc Solder un prêt par remboursement anticipé (intérêts non échus abandonnés)
+ * @access Trésorier + admin_association
+ */
+router.post('/:associationId/expense-requests/:requestId/payoff',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('validate_expenses'),
+  [
+    param('associationId')
+      .isInt({ min: 1 })
+      .withMessage('ID association invalide'),
+      
+    param('requestId')
+      .isInt({ min: 1 })
+      .withMessage('ID demande invalide'),
+      
+    body('amount')
+      .optional()
+      .isFloat({ min: 0.01 })
+      .withMessage('Montant invalide'),
+      
+    body('paymentDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Date paiement invalide'),
+      
+    body('paymentMethod')
+      .isIn(['bank_transfer', 'card_payment', 'cash', 'check', 'mobile_money'])
+      .withMessage('Méthode paiement invalide'),
+      
+    body('paymentMode')
+      .optional()
+      .isIn(['digital', 'manual'])
+      .withMessage('Mode paiement invalide'),
+      
+    body('manualReference')
+      .optional()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Référence max 255 caractères'),
+      
+    handleValidationErrors
+  ],
+  expenseRequestController.payoffLoan
+);
+
+/**
+ * @route POST /api/v1/associations/:associationId/expense-requests/:requestId/reschedule
+ * @desc Rééchelonner le restant dû d'un prêt sur de nouvelles conditions
+ * @access Trésorier + admin_association
+ */
+router.post('/:associationId/expense-requests/:requestId/reschedule',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('validate_expenses'),
+  [
+    param('associationId')
+      .isInt({ min: 1 })
+      .withMessage('ID association invalide'),
+      
+    param('requestId')
+      .isInt({ min: 1 })
+      .withMessage('ID demande invalide'),
+      
+    body('reason')
+      .trim()
+      .isLength({ min: 10, max: 500 })
+      .withMessage('Motif du rééchelonnement requis (10-500 caractères)'),
+      
+    ...loanTermsValidators(),
+      
+    handleValidationErrors
+  ],
+  expenseRequestController.rescheduleLoan
+);
+
 // 📊 ROUTES STATISTIQUES & ANALYTICS
 
 /**
@@ -721,18 +969,35 @@ router.get('/:associationId/expense-requests/export',
       .withMessage('Format invalide'),
       
     query('dateFrom')
+      .optional()
       .isISO8601()
-      .withMessage('Date début requise'),
+      .withMessage('Date début invalide'),
       
     query('dateTo')
+      .optional()
       .isISO8601()
-      .withMessage('Date fin requise'),
+      .withMessage('Date fin invalide'),
+      
+    query('sectionId')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('ID section invalide'),
+      
+    query('status')
+      .optional()
+      .isIn(['pending', 'under_review', 'additional_info_needed', 'approved', 'rejected', 'paid', 'cancelled'])
+      .withMessage('Statut invalide'),
       
     query('includeDetails')
       .optional()
       .isBoolean()
       .withMessage('includeDetails doit être boolean'),
       
+    query('store')
+      .optional()
+      .isBoolean()
+      .withMessage('store doit être boolean'),
+      
     handleValidationErrors
   ],
   expenseRequestController.exportExpenseData
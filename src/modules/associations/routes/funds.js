@@ -0,0 +1,196 @@
+// src/modules/associations/routes/funds.js
+// Routes API des fonds dédiés (dons à usage restreint)
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { authenticate: authMiddleware } = require('../../../core/auth/middleware/auth');
+const { handleValidationErrors } = require('../../../core/middleware/validation');
+const { checkAssociationMember, checkPermission } = require('../../../core/middleware/checkPermission');
+
+const fundController = require('../controllers/fundController');
+
+const EXPENSE_TYPES = ['aide_membre', 'depense_operationnelle', 'pret_partenariat', 'projet_special', 'urgence_communautaire'];
+
+// 📋 VALIDATIONS
+
+const validateListFunds = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  query('status')
+    .optional()
+    .isIn(['active', 'closed'])
+    .withMessage('Statut invalide'),
+
+  handleValidationErrors
+];
+
+const validateCreateFund = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 150 })
+    .withMessage('Nom du fonds requis (2-150 caractères)'),
+
+  body('code')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Code invalide (2-100 caractères)'),
+
+  body('description')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Description trop longue (2000 caractères max)'),
+
+  body('allowedExpenseTypes')
+    .optional({ nullable: true })
+    .isArray()
+    .withMessage('Types de dépenses autorisés doivent être un tableau'),
+
+  body('allowedExpenseTypes.*')
+    .isIn(EXPENSE_TYPES)
+    .withMessage('Type de dépense invalide'),
+
+  body('targetAmount')
+    .optional({ nullable: true })
+    .isFloat({ min: 0.01 })
+    .withMessage('Objectif de collecte invalide'),
+
+  body('currency')
+    .optional()
+    .isIn(['EUR', 'USD', 'GBP', 'CAD', 'CHF', 'XOF', 'XAF'])
+    .withMessage('Devise non supportée'),
+
+  handleValidationErrors
+];
+
+const validateUpdateFund = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  param('fundId')
+    .isInt({ min: 1 })
+    .withMessage('ID fonds invalide'),
+
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 150 })
+    .withMessage('Nom du fonds: 2-150 caractères'),
+
+  body('description')
+    .optional({ nullable: true })
+    .isLength({ max: 2000 })
+    .withMessage('Description trop longue (2000 caractères max)'),
+
+  body('allowedExpenseTypes')
+    .optional({ nullable: true })
+    .isArray()
+    .withMessage('Types de dépenses autorisés doivent être un tableau'),
+
+  body('allowedExpenseTypes.*')
+    .isIn(EXPENSE_TYPES)
+    .withMessage('Type de dépense invalide'),
+
+  body('targetAmount')
+    .optional({ nullable: true })
+    .isFloat({ min: 0.01 })
+    .withMessage('Objectif de collecte invalide'),
+
+  body('status')
+    .optional()
+    .isIn(['active', 'closed'])
+    .withMessage('Statut invalide'),
+
+  handleValidationErrors
+];
+
+const validateStatement = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  param('fundId')
+    .isInt({ min: 1 })
+    .withMessage('ID fonds invalide'),
+
+  query('format')
+    .optional()
+    .isIn(['csv', 'excel', 'pdf'])
+    .withMessage('Format invalide (csv, excel, pdf)'),
+
+  handleValidationErrors
+];
+
+// 🎯 ROUTES FONDS DÉDIÉS
+
+/**
+ * @route GET /api/v1/associations/:associationId/funds
+ * @desc Fonds dédiés avec collecte, dépenses, engagements et solde
+ * @access Bureau avec droits finances
+ */
+router.get('/:associationId/funds',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('view_finances'),
+  validateListFunds,
+  fundController.getFunds
+);
+
+/**
+ * @route POST /api/v1/associations/:associationId/funds
+ * @desc Créer un fonds dédié (ex: Rapatriement, Construction école)
+ * @access Trésorier + admin_association
+ */
+router.post('/:associationId/funds',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('validate_expenses'),
+  validateCreateFund,
+  fundController.createFund
+);
+
+/**
+ * @route PUT /api/v1/associations/:associationId/funds/:fundId
+ * @desc Modifier ou clôturer un fonds (clôture si solde et engagements nuls)
+ * @access Trésorier + admin_association
+ */
+router.put('/:associationId/funds/:fundId',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('validate_expenses'),
+  validateUpdateFund,
+  fundController.updateFund
+);
+
+/**
+ * @route GET /api/v1/associations/:associationId/funds/:fundId/statement
+ * @desc Relevé du fonds pour les donateurs (JSON, ou ?format=csv|excel|pdf)
+ * @access Bureau avec droits finances
+ */
+router.get('/:associationId/funds/:fundId/statement',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('view_finances'),
+  validateStatement,
+  fundController.getFundStatement
+);
+
+// 🚨 MIDDLEWARE GESTION ERREURS
+router.use((error, req, res, next) => {
+  console.error('Erreur routes fonds dédiés:', error);
+
+  res.status(500).json({
+    error: 'Erreur serveur',
+    code: 'INTERNAL_SERVER_ERROR'
+  });
+});
+
+module.exports = router;
@@ -68,6 +68,16 @@ const validateCreateIncomeEntry = [
     .isBoolean()
     .withMessage('restrictedUse doit être boolean'),
 
+  body('fundId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('ID fonds invalide'),
+
+  body('eventId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('ID événement invalide'),
+
   body('publiclyVisible')
     .optional()
     .isBoolean()
@@ -135,6 +145,11 @@ const validateGetIncomeEntries = [
     .isIn(['all', 'individual', 'company', 'government', 'ngo', 'foundation', 'member', 'anonymous'])
     .withMessage('Type source filtre invalide'),
 
+  query('eventId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID événement invalide'),
+
   query('dateFrom')
     .optional()
     .isISO8601()
@@ -404,9 +419,11 @@ router.get('/:associationId/income-entries/export',
   [
     param('associationId').isInt({ min: 1 }),
     query('format').optional().isIn(['excel', 'csv', 'pdf']),
-    query('dateFrom').isISO8601(),
-    query('dateTo').isISO8601(),
+    query('dateFrom').optional().isISO8601(),
+    query('dateTo').optional().isISO8601(),
+    query('sectionId').optional().isInt({ min: 1 }),
     query('includeDetails').optional().isBoolean(),
+    query('store').optional().isBoolean(),
     handleValidationErrors
   ],
   incomeEntryController.exportIncomeData
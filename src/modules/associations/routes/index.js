@@ -9,6 +9,16 @@ const associationRoutes = require('./associationRoutes');
 const expenseRequestRoutes = require('./expenseRequests');
 const incomeEntriesRoutes = require('./incomeEntries');
 const rolesRoutes = require('./rolesRoutes');
+const lateFeesRoutes = require('./lateFees');
+const ledgerRoutes = require('./ledger');
+const fundsRoutes = require('./funds');
+const exchangeRatesRoutes = require('./exchangeRates');
+const budgetsRoutes = require('./budgets');
+const approvalPoliciesRoutes = require('./approvalPolicies');
+const ballotsRoutes = require('./ballots');
+const cotisationRemindersRoutes = require('./cotisationReminders');
+const eventsRoutes = require('./events');
+const eventTicketsRoutes = require('./eventTickets');
 
 // 📋 ASSOCIATION CRUD
 router.use('/', associationRoutes);
@@ -19,6 +29,36 @@ router.use('/', expenseRequestRoutes);
 // 💵 Routes pour gestion des entrées d'argent personnalisées
 router.use('/', incomeEntriesRoutes);
 
+// ⏰ Pénalités de retard (cotisations et prêts)
+router.use('/', lateFeesRoutes);
+
+// 🔔 Relances de cotisations (J-3, J0, J+3, J+10...)
+router.use('/', cotisationRemindersRoutes);
+
+// 📒 Grand livre (partie double)
+router.use('/', ledgerRoutes);
+
+// 🎯 Fonds dédiés (dons à usage restreint)
+router.use('/', fundsRoutes);
+
+// 💱 Taux de change (multi-devises)
+router.use('/', exchangeRatesRoutes);
+
+// 📊 Budgets annuels (budget vs réalisé)
+router.use('/', budgetsRoutes);
+
+// ⚖️ Politiques de validation des dépenses et délégations
+router.use('/', approvalPoliciesRoutes);
+
+// 📅 Événements (calendrier, inscriptions, présences)
+router.use('/', eventsRoutes);
+
+// 🎟️ Billetterie des événements payants (carte, espèces, contrôle QR)
+router.use('/', eventTicketsRoutes);
+
+// 🗳️ Votes d'assemblée générale, procurations et procès-verbaux
+router.use('/', ballotsRoutes);
+
 // 🔐 ROUTES RBAC - RÔLES ET PERMISSIONS
 router.use('/', rolesRoutes); // ✅ AJOUTÉ
 
@@ -61,7 +101,65 @@ router.get('/health', (req, res) => {
       validation: [
         'POST /:associationId/expense-requests/:requestId/validate',
         'GET /:associationId/expense-requests/pending-validations',
-        'GET /:associationId/expense-requests/:requestId/validation-history'
+        'GET /:associationId/expense-requests/:requestId/validation-history',
+        'POST /:associationId/expense-requests/:requestId/abstain',
+        'POST /:associationId/expense-requests/:requestId/ratify'
+      ],
+      approvalPolicies: [
+        'GET /:associationId/approval-policies',
+        'POST /:associationId/approval-policies',
+        'POST /:associationId/approval-policies/preview',
+        'PUT /:associationId/approval-policies/:ruleId',
+        'DELETE /:associationId/approval-policies/:ruleId',
+        'GET /:associationId/approval-delegations',
+        'POST /:associationId/approval-delegations',
+        'DELETE /:associationId/approval-delegations/:delegationId'
+      ],
+      cotisationReminders: [
+        'GET /:associationId/cotisation-reminders',
+        'PUT /:associationId/cotisation-reminders',
+        'POST /:associationId/cotisation-reminders/run',
+        'POST /:associationId/cotisation-reminders/send'
+      ],
+      events: [
+        'GET /:associationId/events',
+        'POST /:associationId/events',
+        'GET /:associationId/events/:eventId',
+        'PUT /:associationId/events/:eventId',
+        'DELETE /:associationId/events/:eventId',
+        'POST /:associationId/events/:eventId/cancel',
+        'POST /:associationId/events/:eventId/rsvp',
+        'GET /:associationId/events/:eventId/participants',
+        'POST /:associationId/events/:eventId/attendance',
+        'GET /:associationId/events/:eventId/ics'
+      ],
+      eventTickets: [
+        'GET /:associationId/events/:eventId/tickets',
+        'POST /:associationId/events/:eventId/tickets',
+        'GET /:associationId/events/:eventId/tickets/mine',
+        'POST /:associationId/events/:eventId/tickets/cash',
+        'POST /:associationId/events/:eventId/tickets/check-in',
+        'GET /:associationId/events/:eventId/fundraising',
+        'GET /:associationId/tickets/:ticketId',
+        'POST /:associationId/tickets/:ticketId/cancel'
+      ],
+      ballots: [
+        'GET /:associationId/ballots',
+        'POST /:associationId/ballots',
+        'GET /:associationId/ballots/:ballotId',
+        'PUT /:associationId/ballots/:ballotId',
+        'POST /:associationId/ballots/:ballotId/open',
+        'POST /:associationId/ballots/:ballotId/close',
+        'POST /:associationId/ballots/:ballotId/cancel',
+        'POST /:associationId/ballots/:ballotId/vote',
+        'GET /:associationId/ballots/:ballotId/results',
+        'GET /:associationId/ballots/:ballotId/votes',
+        'POST /:associationId/ballots/:ballotId/minutes',
+        'POST /:associationId/events/:eventId/minutes',
+        'GET /:associationId/minutes/:documentId/verify',
+        'GET /:associationId/voting-proxies',
+        'POST /:associationId/voting-proxies',
+        'DELETE /:associationId/voting-proxies/:proxyId'
       ],
       payments: [
         'POST /:associationId/expense-requests/:requestId/pay',
@@ -70,7 +168,45 @@ router.get('/health', (req, res) => {
       loans: [
         'GET /:associationId/expense-requests/:requestId/loan-status',
         'POST /:associationId/expense-requests/:requestId/repayments',
-        'GET /:associationId/expense-requests/:requestId/repayments'
+        'GET /:associationId/expense-requests/:requestId/repayments',
+        'GET /:associationId/expense-requests/:requestId/schedule',
+        'GET /:associationId/expense-requests/:requestId/payoff',
+        'POST /:associationId/expense-requests/:requestId/payoff',
+        'POST /:associationId/expense-requests/:requestId/reschedule'
+      ],
+      lateFees: [
+        'GET /:associationId/late-fees',
+        'POST /:associationId/late-fees/run',
+        'POST /:associationId/late-fees/:feeId/waive',
+        'POST /:associationId/late-fees/:feeId/pay'
+      ],
+      ledger: [
+        'GET /:associationId/ledger/accounts',
+        'GET /:associationId/ledger/trial-balance',
+        'GET /:associationId/ledger/accounts/:accountCode/history',
+        'GET /:associationId/ledger/consolidated',
+        'POST /:associationId/ledger/sync'
+      ],
+      funds: [
+        'GET /:associationId/funds',
+        'POST /:associationId/funds',
+        'PUT /:associationId/funds/:fundId',
+        'GET /:associationId/funds/:fundId/statement'
+      ],
+      exchangeRates: [
+        'GET /:associationId/exchange-rates',
+        'GET /:associationId/exchange-rates/convert',
+        'POST /:associationId/exchange-rates',
+        'POST /:associationId/exchange-rates/import',
+        'DELETE /:associationId/exchange-rates/:rateId'
+      ],
+      budgets: [
+        'GET /:associationId/budgets',
+        'POST /:associationId/budgets',
+        'GET /:associationId/budgets/:budgetId',
+        'PUT /:associationId/budgets/:budgetId',
+        'DELETE /:associationId/budgets/:budgetId',
+        'GET /:associationId/budgets/:budgetId/report'
       ],
       analytics: [
         'GET /:associationId/expense-requests/statistics',
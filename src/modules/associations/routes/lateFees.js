@@ -0,0 +1,158 @@
+// src/modules/associations/routes/lateFees.js
+// Routes API des pénalités de retard (cotisations et prêts)
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { authenticate: authMiddleware } = require('../../../core/auth/middleware/auth');
+const { handleValidationErrors } = require('../../../core/middleware/validation');
+const { checkAssociationMember, checkPermission } = require('../../../core/middleware/checkPermission');
+
+const lateFeeController = require('../controllers/lateFeeController');
+
+// 📋 VALIDATIONS
+
+const validateListLateFees = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  query('status')
+    .optional()
+    .isIn(['pending', 'paid', 'waived', 'cancelled'])
+    .withMessage('Statut invalide'),
+
+  query('sourceType')
+    .optional()
+    .isIn(['cotisation', 'loan_installment'])
+    .withMessage('Origine invalide'),
+
+  query('memberId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('ID membre invalide'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page invalide'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limite invalide (1-100)'),
+
+  handleValidationErrors
+];
+
+const validateWaiveLateFee = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  param('feeId')
+    .isInt({ min: 1 })
+    .withMessage('ID pénalité invalide'),
+
+  body('reason')
+    .trim()
+    .isLength({ min: 10, max: 500 })
+    .withMessage('Motif d\'exonération requis (10-500 caractères)'),
+
+  handleValidationErrors
+];
+
+const validatePayLateFee = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  param('feeId')
+    .isInt({ min: 1 })
+    .withMessage('ID pénalité invalide'),
+
+  body('paymentMethod')
+    .isIn(['bank_transfer', 'card_payment', 'cash', 'check', 'mobile_money'])
+    .withMessage('Méthode paiement invalide'),
+
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Référence max 100 caractères'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes max 500 caractères'),
+
+  handleValidationErrors
+];
+
+/**
+ * @route GET /api/v1/associations/:associationId/late-fees
+ * @desc Lister les pénalités de retard
+ * @access Private (view_finances)
+ */
+router.get('/:associationId/late-fees',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('view_finances'),
+  validateListLateFees,
+  lateFeeController.listLateFees
+);
+
+/**
+ * @route POST /api/v1/associations/:associationId/late-fees/run
+ * @desc Appliquer la politique de pénalités (pénalités, retards, inactivité)
+ * @access Private (manage_cotisations)
+ */
+router.post('/:associationId/late-fees/run',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('manage_cotisations'),
+  [
+    param('associationId').isInt({ min: 1 }).withMessage('ID association invalide'),
+    handleValidationErrors
+  ],
+  lateFeeController.runPenaltyEngine
+);
+
+/**
+ * @route POST /api/v1/associations/:associationId/late-fees/:feeId/waive
+ * @desc Exonérer une pénalité (motif tracé dans l'audit)
+ * @access Private (manage_cotisations)
+ */
+router.post('/:associationId/late-fees/:feeId/waive',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('manage_cotisations'),
+  validateWaiveLateFee,
+  lateFeeController.waiveLateFee
+);
+
+/**
+ * @route POST /api/v1/associations/:associationId/late-fees/:feeId/pay
+ * @desc Enregistrer le règlement d'une pénalité de cotisation (créance soldée au grand livre)
+ * @access Private (manage_cotisations)
+ */
+router.post('/:associationId/late-fees/:feeId/pay',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('manage_cotisations'),
+  validatePayLateFee,
+  lateFeeController.payLateFee
+);
+
+// 🚨 MIDDLEWARE GESTION ERREURS
+router.use((error, req, res, next) => {
+  console.error('Erreur routes pénalités:', error);
+
+  res.status(500).json({
+    error: 'Erreur serveur',
+    code: 'INTERNAL_SERVER_ERROR'
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,146 @@
+// src/modules/associations/routes/ledger.js
+// Routes API du grand livre (comptabilité en partie double)
+
+const express = require('express');
+const router = express.Router();
+const { param, query } = require('express-validator');
+const { authenticate: authMiddleware } = require('../../../core/auth/middleware/auth');
+const { handleValidationErrors } = require('../../../core/middleware/validation');
+const { checkAssociationMember, checkPermission } = require('../../../core/middleware/checkPermission');
+
+const ledgerController = require('../controllers/ledgerController');
+const LedgerService = require('../services/ledgerService');
+
+// 📋 VALIDATIONS
+
+const validateAssociationId = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  handleValidationErrors
+];
+
+const validateTrialBalance = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  query('asOf')
+    .optional()
+    .isISO8601()
+    .withMessage('Date de balance invalide'),
+
+  handleValidationErrors
+];
+
+const validateAccountHistory = [
+  param('associationId')
+    .isInt({ min: 1 })
+    .withMessage('ID association invalide'),
+
+  param('accountCode')
+    .isIn(LedgerService.CHART.map((account) => account.code))
+    .withMessage('Compte invalide'),
+
+  query('dateFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('Date de début invalide'),
+
+  query('dateTo')
+    .optional()
+    .isISO8601()
+    .withMessage('Date de fin invalide'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page invalide'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limite invalide (1-200)'),
+
+  handleValidationErrors
+];
+
+// 📒 ROUTES GRAND LIVRE
+
+/**
+ * @route GET /api/v1/associations/:associationId/ledger/accounts
+ * @desc Plan comptable avec soldes et position financière
+ * @access Bureau avec droits finances
+ */
+router.get('/:associationId/ledger/accounts',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('view_finances'),
+  validateAssociationId,
+  ledgerController.getAccounts
+);
+
+/**
+ * @route GET /api/v1/associations/:associationId/ledger/trial-balance
+ * @desc Balance générale (débits = crédits)
+ * @access Bureau avec droits finances
+ */
+router.get('/:associationId/ledger/trial-balance',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('view_finances'),
+  validateTrialBalance,
+  ledgerController.getTrialBalance
+);
+
+/**
+ * @route GET /api/v1/associations/:associationId/ledger/accounts/:accountCode/history
+ * @desc Mouvements d'un compte avec solde progressif
+ * @access Bureau avec droits finances
+ */
+router.get('/:associationId/ledger/accounts/:accountCode/history',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('view_finances'),
+  validateAccountHistory,
+  ledgerController.getAccountHistory
+);
+
+/**
+ * @route GET /api/v1/associations/:associationId/ledger/consolidated
+ * @desc Comptes en devise principale, réévaluation des soldes en devises et gains/pertes de change
+ * @access Bureau avec droits finances
+ */
+router.get('/:associationId/ledger/consolidated',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('view_finances'),
+  validateTrialBalance,
+  ledgerController.getConsolidatedReport
+);
+
+/**
+ * @route POST /api/v1/associations/:associationId/ledger/sync
+ * @desc Comptabiliser les opérations existantes sans écriture (reprise d'historique)
+ * @access Trésorier + admin_association
+ */
+router.post('/:associationId/ledger/sync',
+  authMiddleware,
+  checkAssociationMember,
+  checkPermission('validate_expenses'),
+  validateAssociationId,
+  ledgerController.syncLedger
+);
+
+// 🚨 MIDDLEWARE GESTION ERREURS
+router.use((error, req, res, next) => {
+  console.error('Erreur routes grand livre:', error);
+
+  res.status(500).json({
+    error: 'Erreur serveur',
+    code: 'INTERNAL_SERVER_ERROR'
+  });
+});
+
+module.exports = router;
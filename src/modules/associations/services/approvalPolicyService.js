@@ -0,0 +1,653 @@
+// src/modules/associations/services/approvalPolicyService.js
+// Politiques de validation des dépenses : règles par association, quorum, abstention, délégation
+
+const { Association, AssociationMember } = require('../../../models');
+const CurrencyService = require('./currencyService');
+const { hasPermission } = require('../../../core/middleware/checkPermission');
+
+const POLICY_MODES = ['all', 'quorum'];
+const URGENCY_LEVELS = ['low', 'normal', 'high', 'critical'];
+const VOTE_DECISIONS = ['approved', 'rejected', 'abstained'];
+
+// Validateurs historiques quand aucune règle ne s'applique
+const DEFAULT_VALIDATORS = ['president', 'tresorier', 'secretaire'];
+const DEFAULT_RATIFICATION_DAYS = 30;
+
+// Erreur métier (status HTTP + code)
+function approvalError(status, code, message, details) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  if (details) error.details = details;
+  return error;
+}
+
+const toNumberOrNull = (value) =>
+  value === undefined || value === null || value === '' ? null : parseFloat(value);
+
+// Le vote compte pour le délégant quand il est émis par délégation
+const principalOf = (vote) => vote.onBehalfOf || vote.userId;
+
+class ApprovalPolicyService {
+  /**
+   * ⚙️ Configuration workflow de l'association (règles + délégations)
+   * Les anciennes clés par type de dépense ({ aide_membre: { validators } }) sont conservées
+   */
+  static getWorkflowRules(association) {
+    const workflowRules = association?.workflowRules || {};
+    return {
+      ...workflowRules,
+      version: workflowRules.version || 1,
+      rules: Array.isArray(workflowRules.rules) ? workflowRules.rules : [],
+      delegations: Array.isArray(workflowRules.delegations) ? workflowRules.delegations : []
+    };
+  }
+
+  static async getAssociation(associationId) {
+    const association = await Association.findByPk(associationId, {
+      attributes: ['id', 'primaryCurrency', 'rolesConfiguration', 'workflowRules']
+    });
+    if (!association) {
+      throw approvalError(404, 'ASSOCIATION_NOT_FOUND', 'Association introuvable');
+    }
+    return association;
+  }
+
+  static async saveWorkflowRules(association, workflowRules) {
+    association.workflowRules = workflowRules;
+    association.changed('workflowRules', true);
+    await association.save();
+    return workflowRules;
+  }
+
+  // 🧹 Contrôle et normalisation d'une règle (création ou modification partielle)
+  static normalizeRule(association, data, existing = {}) {
+    const rule = { ...existing };
+
+    if (data.name !== undefined) rule.name = String(data.name).trim();
+    if (data.description !== undefined) rule.description = data.description || null;
+    if (data.priority !== undefined) rule.priority = parseInt(data.priority);
+    if (data.active !== undefined) rule.active = !!data.active;
+    if (data.mode !== undefined) rule.mode = data.mode;
+    if (data.roles !== undefined) rule.roles = [...new Set(data.roles)];
+    if (data.quorum !== undefined) rule.quorum = data.quorum === null ? null : parseInt(data.quorum);
+    if (data.allowAbstention !== undefined) rule.allowAbstention = !!data.allowAbstention;
+
+    if (data.conditions !== undefined) {
+      const conditions = data.conditions || {};
+      rule.conditions = {
+        expenseTypes: conditions.expenseTypes?.length ? conditions.expenseTypes : null,
+        amountAbove: toNumberOrNull(conditions.amountAbove),
+        amountUpTo: toNumberOrNull(conditions.amountUpTo),
+        currency: conditions.currency ? CurrencyService.normalize(conditions.currency) : null,
+        isLoan: typeof conditions.isLoan === 'boolean' ? conditions.isLoan : null,
+        urgencyLevels: conditions.urgencyLevels?.length ? conditions.urgencyLevels : null
+      };
+    }
+
+    if (data.fastTrack !== undefined) {
+      rule.fastTrack = data.fastTrack
+        ? {
+            urgencyLevels: data.fastTrack.urgencyLevels?.length ? data.fastTrack.urgencyLevels : ['critical'],
+            approvals: parseInt(data.fastTrack.approvals || 1),
+            ratificationDays: parseInt(data.fastTrack.ratificationDays || DEFAULT_RATIFICATION_DAYS)
+          }
+        : null;
+    }
+
+    rule.mode = rule.mode || 'all';
+    rule.priority = Number.isInteger(rule.priority) ? rule.priority : 100;
+    rule.active = rule.active !== false;
+    rule.allowAbstention = rule.allowAbstention !== false;
+    rule.conditions = rule.conditions || {};
+    rule.fastTrack = rule.fastTrack || null;
+
+    if (!rule.name) {
+      throw approvalError(400, 'RULE_NAME_REQUIRED', 'Nom de la règle requis');
+    }
+
+    if (!POLICY_MODES.includes(rule.mode)) {
+      throw approvalError(400, 'INVALID_POLICY_MODE', 'Mode de validation invalide (all, quorum)');
+    }
+
+    if (!Array.isArray(rule.roles) || rule.roles.length === 0) {
+      throw approvalError(400, 'VALIDATOR_ROLES_REQUIRED', 'Au moins un rôle validateur requis');
+    }
+
+    const knownRoles = (association.rolesConfiguration?.roles || []).map((r) => r.id);
+    const unknownRoles = rule.roles.filter((role) => !knownRoles.includes(role));
+    if (unknownRoles.length > 0) {
+      throw approvalError(400, 'UNKNOWN_ROLES', 'Rôles inconnus dans cette association', { unknownRoles });
+    }
+
+    if (rule.mode === 'quorum') {
+      if (!Number.isInteger(rule.quorum) || rule.quorum < 1) {
+        throw approvalError(400, 'QUORUM_REQUIRED', 'Quorum requis (nombre de votes favorables) en mode quorum');
+      }
+    } else {
+      rule.quorum = null;
+    }
+
+    const { amountAbove, amountUpTo } = rule.conditions;
+    if (amountAbove !== null && amountAbove !== undefined && amountUpTo !== null && amountUpTo !== undefined && amountUpTo <= amountAbove) {
+      throw approvalError(400, 'INVALID_AMOUNT_RANGE', 'Plafond de montant inférieur au seuil');
+    }
+
+    return rule;
+  }
+
+  /**
+   * 📋 Règles de validation (par priorité) et délégations de l'association
+   */
+  static async listRules(associationId) {
+    const association = await ApprovalPolicyService.getAssociation(associationId);
+    const workflowRules = ApprovalPolicyService.getWorkflowRules(association);
+    const now = new Date();
+
+    return {
+      rules: [...workflowRules.rules].sort((a, b) => a.priority - b.priority),
+      delegations: workflowRules.delegations.filter((d) => ApprovalPolicyService.isDelegationActive(d, now)),
+      defaultValidators: DEFAULT_VALIDATORS
+    };
+  }
+
+  /**
+   * ➕ Ajouter une règle
+   */
+  static async createRule(associationId, data, userId) {
+    const association = await ApprovalPolicyService.getAssociation(associationId);
+    const workflowRules = ApprovalPolicyService.getWorkflowRules(association);
+
+    const rule = {
+      id: `rule_${Date.now()}`,
+      ...ApprovalPolicyService.normalizeRule(association, data),
+      createdBy: userId,
+      createdAt: new Date().toISOString()
+    };
+
+    await ApprovalPolicyService.saveWorkflowRules(association, {
+      ...workflowRules,
+      rules: [...workflowRules.rules, rule]
+    });
+
+    return rule;
+  }
+
+  /**
+   * ✏️ Modifier une règle (les demandes déjà créées gardent la politique figée à leur création)
+   */
+  static async updateRule(associationId, ruleId, data, userId) {
+    const association = await ApprovalPolicyService.getAssociation(associationId);
+    const workflowRules = ApprovalPolicyService.getWorkflowRules(association);
+
+    const existing = workflowRules.rules.find((r) => r.id === ruleId);
+    if (!existing) {
+      throw approvalError(404, 'RULE_NOT_FOUND', 'Règle de validation introuvable');
+    }
+
+    const rule = {
+      ...ApprovalPolicyService.normalizeRule(association, data, existing),
+      updatedBy: userId,
+      updatedAt: new Date().toISOString()
+    };
+
+    await ApprovalPolicyService.saveWorkflowRules(association, {
+      ...workflowRules,
+      rules: workflowRules.rules.map((r) => (r.id === ruleId ? rule : r))
+    });
+
+    return rule;
+  }
+
+  /**
+   * 🗑️ Supprimer une règle
+   */
+  static async deleteRule(associationId, ruleId) {
+    const association = await ApprovalPolicyService.getAssociation(associationId);
+    const workflowRules = ApprovalPolicyService.getWorkflowRules(association);
+
+    if (!workflowRules.rules.some((r) => r.id === ruleId)) {
+      throw approvalError(404, 'RULE_NOT_FOUND', 'Règle de validation introuvable');
+    }
+
+    await ApprovalPolicyService.saveWorkflowRules(association, {
+      ...workflowRules,
+      rules: workflowRules.rules.filter((r) => r.id !== ruleId)
+    });
+  }
+
+  // 🎯 La règle s'applique-t-elle à la demande ? (montant déjà converti dans la devise de la règle)
+  static matchesRule(rule, request, amount) {
+    const conditions = rule.conditions || {};
+
+    if (conditions.expenseTypes && !conditions.expenseTypes.includes(request.expenseType)) return false;
+    if (conditions.isLoan !== null && conditions.isLoan !== undefined && !!request.isLoan !== conditions.isLoan) return false;
+    if (conditions.urgencyLevels && !conditions.urgencyLevels.includes(request.urgencyLevel || 'normal')) return false;
+    if (conditions.amountAbove !== null && conditions.amountAbove !== undefined && !(amount > conditions.amountAbove)) return false;
+    if (conditions.amountUpTo !== null && conditions.amountUpTo !== undefined && !(amount <= conditions.amountUpTo)) return false;
+
+    return true;
+  }
+
+  /**
+   * 🧭 Politique applicable à une demande, figée à sa création
+   * request : { expenseType, amountRequested, currency, isLoan, urgencyLevel }
+   * Retourne { requiredValidators, approvalPolicy } (approvalPolicy null = circuit historique)
+   */
+  static async resolvePolicy(associationId, request) {
+    const association = await ApprovalPolicyService.getAssociation(associationId);
+    const workflowRules = ApprovalPolicyService.getWorkflowRules(association);
+    const currency = CurrencyService.normalize(request.currency);
+    const rules = workflowRules.rules
+      .filter((r) => r.active !== false)
+      .sort((a, b) => a.priority - b.priority);
+
+    let matched = null;
+    let evaluatedAmount = null;
+
+    for (const rule of rules) {
+      const hasAmountCondition = [rule.conditions?.amountAbove, rule.conditions?.amountUpTo]
+        .some((v) => v !== null && v !== undefined);
+
+      let amount = parseFloat(request.amountRequested || 0);
+      let ruleCurrency = currency;
+
+      // Seuils exprimés dans la devise de la règle (devise principale par défaut)
+      if (hasAmountCondition) {
+        ruleCurrency = rule.conditions.currency || CurrencyService.normalize(association.primaryCurrency);
+        if (ruleCurrency !== currency) {
+          ({ amount } = await CurrencyService.convert(associationId, amount, currency, ruleCurrency));
+        }
+      }
+
+      if (ApprovalPolicyService.matchesRule(rule, request, amount)) {
+        matched = rule;
+        evaluatedAmount = { amount, currency: ruleCurrency };
+        break;
+      }
+    }
+
+    if (!matched) {
+      const legacy = workflowRules[request.expenseType]?.validators;
+      return {
+        requiredValidators: Array.isArray(legacy) && legacy.length ? legacy : DEFAULT_VALIDATORS,
+        approvalPolicy: null
+      };
+    }
+
+    // Validateurs possibles à la création (membres actifs titulaires d'un des rôles)
+    const members = await AssociationMember.findAll({
+      where: { associationId, status: 'active' },
+      attributes: ['userId', 'assignedRoles']
+    });
+
+    const eligible = members
+      .map((m) => ({
+        userId: m.userId,
+        roles: (m.assignedRoles || []).filter((role) => matched.roles.includes(role))
+      }))
+      .filter((m) => m.roles.length > 0);
+
+    const vacantRoles = matched.roles.filter((role) => !eligible.some((m) => m.roles.includes(role)));
+
+    if (matched.mode === 'all' && vacantRoles.length > 0) {
+      throw approvalError(422, 'APPROVAL_POLICY_UNSATISFIABLE',
+        `Règle "${matched.name}" : aucun membre actif pour les rôles ${vacantRoles.join(', ')}`,
+        { ruleId: matched.id, vacantRoles });
+    }
+
+    if (matched.mode === 'quorum' && eligible.length < matched.quorum) {
+      throw approvalError(422, 'APPROVAL_POLICY_UNSATISFIABLE',
+        `Règle "${matched.name}" : ${eligible.length} votant(s) pour un quorum de ${matched.quorum}`,
+        { ruleId: matched.id, eligible: eligible.length, quorum: matched.quorum });
+    }
+
+    const fastTrack = matched.fastTrack?.urgencyLevels?.includes(request.urgencyLevel || 'normal')
+      ? matched.fastTrack
+      : null;
+
+    return {
+      requiredValidators: matched.roles,
+      approvalPolicy: {
+        ruleId: matched.id,
+        ruleName: matched.name,
+        mode: matched.mode,
+        roles: matched.roles,
+        quorum: matched.quorum,
+        allowAbstention: matched.allowAbstention !== false,
+        fastTrack,
+        eligible,
+        evaluatedAmount,
+        resolvedAt: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * 📊 État de la validation d'une demande d'après sa politique et ses votes
+   * outcome : pending | approved | rejected ; fastTracked = approuvée en urgence, ratification attendue
+   */
+  static evaluate(expenseRequest) {
+    const policy = expenseRequest.approvalPolicy;
+    const votes = (expenseRequest.validationHistory || []).filter((v) => VOTE_DECISIONS.includes(v.decision));
+
+    const approvers = new Set(votes.filter((v) => v.decision === 'approved').map(principalOf));
+    const rejecters = new Set(votes.filter((v) => v.decision === 'rejected').map(principalOf));
+    const abstainers = new Set(votes.filter((v) => v.decision === 'abstained').map(principalOf));
+    const voters = new Set(votes.map(principalOf));
+
+    const counts = {
+      approvals: approvers.size,
+      rejections: rejecters.size,
+      abstentions: abstainers.size
+    };
+
+    const progressOf = (completed, total) => ({
+      completed,
+      total,
+      percentage: total > 0 ? Math.round((completed / total) * 100) : 0
+    });
+
+    // Circuit historique : autant d'approbations que de validateurs listés, un refus suffit
+    if (!policy) {
+      const required = (expenseRequest.requiredValidators || ['president', 'tresorier']).length;
+      const complete = counts.approvals >= required;
+      return {
+        mode: 'legacy',
+        ...counts,
+        complete,
+        fastTracked: false,
+        outcome: counts.rejections > 0 ? 'rejected' : complete ? 'approved' : 'pending',
+        progress: progressOf(Math.min(counts.approvals, required), required)
+      };
+    }
+
+    const eligible = policy.eligible || [];
+    let complete;
+    let unreachable;
+    let progress;
+    let missingRoles = [];
+
+    if (policy.mode === 'quorum') {
+      // Votants possibles : membres recensés à la création + votants arrivés depuis (nouveaux élus)
+      const pool = new Set([...eligible.map((e) => e.userId), ...voters]);
+      const remaining = [...pool].filter((id) => !voters.has(id)).length;
+
+      complete = counts.approvals >= policy.quorum;
+      unreachable = !complete && counts.approvals + remaining < policy.quorum;
+      progress = progressOf(Math.min(counts.approvals, policy.quorum), policy.quorum);
+    } else {
+      const covered = policy.roles.filter((role) =>
+        votes.some((v) => v.decision === 'approved' && (v.roles || [v.role]).includes(role))
+      );
+      missingRoles = policy.roles.filter((role) => !covered.includes(role));
+
+      complete = missingRoles.length === 0;
+      // Tous les titulaires d'un rôle manquant se sont prononcés sans l'approuver
+      unreachable = counts.rejections > 0 || missingRoles.some((role) => {
+        const holders = eligible.filter((e) => e.roles.includes(role)).map((e) => e.userId);
+        return holders.length > 0 && holders.every((id) => voters.has(id));
+      });
+      progress = progressOf(covered.length, policy.roles.length);
+    }
+
+    const fastTracked = !complete && !unreachable && !!policy.fastTrack &&
+      counts.approvals >= policy.fastTrack.approvals;
+
+    return {
+      mode: policy.mode,
+      ...counts,
+      quorum: policy.quorum,
+      missingRoles,
+      complete,
+      fastTracked,
+      outcome: complete || fastTracked ? 'approved' : unreachable ? 'rejected' : 'pending',
+      progress
+    };
+  }
+
+  // Délégation en cours (non révoquée, dans sa période)
+  static isDelegationActive(delegation, at = new Date()) {
+    if (delegation.revokedAt) return false;
+    if (delegation.startsAt && new Date(delegation.startsAt) > at) return false;
+    if (delegation.endsAt && new Date(delegation.endsAt) < at) return false;
+    return true;
+  }
+
+  /**
+   * 👤 Pour qui un utilisateur peut voter : lui-même et les validateurs absents qui lui ont délégué
+   */
+  static async getActor(associationId, user, membership) {
+    const association = await ApprovalPolicyService.getAssociation(associationId);
+    const { delegations } = ApprovalPolicyService.getWorkflowRules(association);
+    const now = new Date();
+
+    const received = delegations.filter((d) => d.toUserId === user.id && ApprovalPolicyService.isDelegationActive(d, now));
+    const delegators = received.length
+      ? await AssociationMember.findAll({
+          where: { associationId, userId: received.map((d) => d.fromUserId), status: 'active' },
+          attributes: ['userId', 'assignedRoles']
+        })
+      : [];
+
+    return {
+      userId: user.id,
+      principals: [
+        { principalId: user.id, roles: membership?.assignedRoles || [], delegationId: null },
+        ...delegators.map((m) => ({
+          principalId: m.userId,
+          roles: m.assignedRoles || [],
+          delegationId: received.find((d) => d.fromUserId === m.userId).id
+        }))
+      ]
+    };
+  }
+
+  // Votes encore possibles pour cet acteur sur la demande
+  static pendingPrincipals(expenseRequest, actor) {
+    const policy = expenseRequest.approvalPolicy;
+    const votes = (expenseRequest.validationHistory || []).filter((v) => VOTE_DECISIONS.includes(v.decision));
+
+    if (!policy) {
+      const own = actor.principals[0];
+      return votes.some((v) => v.userId === actor.userId)
+        ? []
+        : [{ ...own, roles: own.roles.slice(0, 1) }];
+    }
+
+    const voted = new Set(votes.map(principalOf));
+
+    return actor.principals
+      .filter((p) => !voted.has(p.principalId))
+      .map((p) => ({ ...p, roles: p.roles.filter((role) => policy.roles.includes(role)) }))
+      .filter((p) => p.roles.length > 0);
+  }
+
+  /**
+   * 🗳️ Enregistrer le vote d'un validateur (en son nom et au nom de ses délégants)
+   * phase : approval (avant décision) ou ratification (après approbation en urgence)
+   * Retourne { entries, validationHistory, evaluation } ; la demande n'est pas sauvegardée
+   */
+  static async castVote(expenseRequest, { user, membership, decision, comment, phase = 'approval' }) {
+    const policy = expenseRequest.approvalPolicy;
+
+    if (decision === 'abstained' && policy && !policy.allowAbstention) {
+      throw approvalError(400, 'ABSTENTION_NOT_ALLOWED', 'L\'abstention n\'est pas permise par la politique de validation');
+    }
+
+    const actor = await ApprovalPolicyService.getActor(expenseRequest.associationId, user, membership);
+    const principals = ApprovalPolicyService.pendingPrincipals(expenseRequest, actor);
+
+    if (principals.length === 0) {
+      const alreadyVoted = (expenseRequest.validationHistory || [])
+        .some((v) => VOTE_DECISIONS.includes(v.decision) && v.userId === user.id);
+
+      if (alreadyVoted) {
+        throw approvalError(400, 'ALREADY_VALIDATED', 'Vous avez déjà validé cette demande');
+      }
+      throw approvalError(403, 'NOT_A_REQUIRED_VALIDATOR',
+        'Vous ne faites pas partie des validateurs requis par la politique de cette demande',
+        { requiredRoles: policy?.roles });
+    }
+
+    const timestamp = new Date().toISOString();
+    const entries = principals.map((p) => ({
+      userId: user.id,
+      onBehalfOf: p.principalId !== user.id ? p.principalId : null,
+      delegationId: p.delegationId,
+      role: p.roles[0] || 'member',
+      roles: p.roles,
+      decision,
+      phase,
+      comment: comment || '',
+      timestamp,
+      user: {
+        firstName: user.firstName,
+        lastName: user.lastName
+      }
+    }));
+
+    // Nouveau tableau : un JSON modifié sur place n'est pas détecté comme changé par Sequelize
+    const validationHistory = [...(expenseRequest.validationHistory || []), ...entries];
+    const evaluation = ApprovalPolicyService.evaluate({
+      approvalPolicy: policy,
+      requiredValidators: expenseRequest.requiredValidators,
+      validationHistory
+    });
+
+    return { entries, validationHistory, evaluation };
+  }
+
+  // Échéance de ratification d'une approbation en urgence
+  static ratificationFields(policy, from = new Date()) {
+    const days = policy?.fastTrack?.ratificationDays || DEFAULT_RATIFICATION_DAYS;
+    const dueAt = new Date(from);
+    dueAt.setDate(dueAt.getDate() + days);
+    return { ratificationStatus: 'pending', ratificationDueAt: dueAt };
+  }
+
+  /**
+   * 📋 Délégations de l'association (actives seulement par défaut)
+   */
+  static async listDelegations(associationId, { includeInactive = false } = {}) {
+    const association = await ApprovalPolicyService.getAssociation(associationId);
+    const { delegations } = ApprovalPolicyService.getWorkflowRules(association);
+    const now = new Date();
+
+    return includeInactive
+      ? delegations
+      : delegations.filter((d) => ApprovalPolicyService.isDelegationActive(d, now));
+  }
+
+  /**
+   * 🤝 Déléguer son droit de validation pendant une absence
+   * Un admin peut enregistrer la délégation d'un autre validateur (fromUserId)
+   */
+  static async createDelegation(associationId, data, { user, membership }) {
+    const association = await ApprovalPolicyService.getAssociation(associationId);
+    const workflowRules = ApprovalPolicyService.getWorkflowRules(association);
+
+    const fromUserId = data.fromUserId ? parseInt(data.fromUserId) : user.id;
+    const toUserId = parseInt(data.toUserId);
+
+    if (fromUserId !== user.id && !membership?.isAdmin) {
+      throw approvalError(403, 'DELEGATION_FORBIDDEN', 'Seul un administrateur peut déléguer pour un autre validateur');
+    }
+
+    if (fromUserId === toUserId) {
+      throw approvalError(400, 'INVALID_DELEGATION', 'Impossible de se déléguer à soi-même');
+    }
+
+    const startsAt = data.startsAt ? new Date(data.startsAt) : new Date();
+    const endsAt = new Date(data.endsAt);
+    if (endsAt <= startsAt) {
+      throw approvalError(400, 'INVALID_DELEGATION_PERIOD', 'La fin de délégation doit suivre son début');
+    }
+
+    const members = await AssociationMember.findAll({
+      where: { associationId, userId: [fromUserId, toUserId], status: 'active' },
+      include: [{ model: Association, as: 'association', attributes: ['id', 'rolesConfiguration'] }]
+    });
+    const delegator = members.find((m) => m.userId === fromUserId);
+    const delegate = members.find((m) => m.userId === toUserId);
+
+    if (!delegator || !delegate) {
+      throw approvalError(404, 'MEMBER_NOT_FOUND', 'Délégant ou délégataire introuvable parmi les membres actifs');
+    }
+
+    if (!(delegator.assignedRoles || []).length) {
+      throw approvalError(400, 'NOT_A_VALIDATOR', 'Le délégant n\'a aucun rôle à déléguer');
+    }
+
+    // Le délégataire vote via les routes de validation : il doit avoir le droit de valider
+    if (!hasPermission(delegate, 'validate_expenses')) {
+      throw approvalError(400, 'DELEGATE_CANNOT_VALIDATE', 'Le délégataire doit avoir la permission de valider les dépenses');
+    }
+
+    // Une seule délégation à la fois par validateur absent
+    const overlapping = workflowRules.delegations.find((d) =>
+      d.fromUserId === fromUserId && !d.revokedAt &&
+      new Date(d.startsAt) < endsAt && (!d.endsAt || new Date(d.endsAt) > startsAt)
+    );
+    if (overlapping) {
+      throw approvalError(409, 'DELEGATION_OVERLAP', 'Une délégation couvre déjà cette période', { delegationId: overlapping.id });
+    }
+
+    const delegation = {
+      id: `delegation_${Date.now()}`,
+      fromUserId,
+      toUserId,
+      startsAt: startsAt.toISOString(),
+      endsAt: endsAt.toISOString(),
+      reason: data.reason || null,
+      createdBy: user.id,
+      createdAt: new Date().toISOString(),
+      revokedAt: null
+    };
+
+    await ApprovalPolicyService.saveWorkflowRules(association, {
+      ...workflowRules,
+      delegations: [...workflowRules.delegations, delegation]
+    });
+
+    return delegation;
+  }
+
+  /**
+   * ⛔ Révoquer une délégation (délégant ou admin)
+   */
+  static async revokeDelegation(associationId, delegationId, { user, membership }) {
+    const association = await ApprovalPolicyService.getAssociation(associationId);
+    const workflowRules = ApprovalPolicyService.getWorkflowRules(association);
+
+    const delegation = workflowRules.delegations.find((d) => d.id === delegationId);
+    if (!delegation) {
+      throw approvalError(404, 'DELEGATION_NOT_FOUND', 'Délégation introuvable');
+    }
+
+    if (delegation.fromUserId !== user.id && !membership?.isAdmin) {
+      throw approvalError(403, 'DELEGATION_FORBIDDEN', 'Seul le délégant ou un administrateur peut révoquer');
+    }
+
+    if (delegation.revokedAt) {
+      throw approvalError(400, 'DELEGATION_ALREADY_REVOKED', 'Délégation déjà révoquée');
+    }
+
+    const revoked = { ...delegation, revokedAt: new Date().toISOString(), revokedBy: user.id };
+
+    await ApprovalPolicyService.saveWorkflowRules(association, {
+      ...workflowRules,
+      delegations: workflowRules.delegations.map((d) => (d.id === delegationId ? revoked : d))
+    });
+
+    return revoked;
+  }
+}
+
+ApprovalPolicyService.POLICY_MODES = POLICY_MODES;
+ApprovalPolicyService.URGENCY_LEVELS = URGENCY_LEVELS;
+ApprovalPolicyService.VOTE_DECISIONS = VOTE_DECISIONS;
+ApprovalPolicyService.DEFAULT_VALIDATORS = DEFAULT_VALIDATORS;
+ApprovalPolicyService.approvalError = approvalError;
+
+module.exports = ApprovalPolicyService;
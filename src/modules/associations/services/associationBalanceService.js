@@ -2,32 +2,32 @@
 // Service calcul solde association avec contrôle fonds disponibles
 
 const { Op } = require('sequelize');
-const { Transaction, ExpenseRequest, LoanRepayment } = require('../../../models');
+const { ExpenseRequest, LoanRepayment } = require('../../../models');
+const LedgerService = require('./ledgerService');
+const CurrencyService = require('./currencyService');
 
 class AssociationBalanceService {
   
   /**
-   * 💰 Calculer le solde disponible d'une association
+   * 💰 Calculer le solde disponible d'une association (lu dans le grand livre)
+   * Trésorerie (caisse, banque, mobile money) moins les fonds dédiés, en devise principale
+   * Association sans écriture : grand livre rattrapé à la première lecture (LedgerService.ensureBackfilled)
    */
   static async getAvailableBalance(associationId) {
     try {
-      // 1. ENTRÉES D'ARGENT
-      const totalIncome = await this.getTotalIncome(associationId);
-      
-      // 2. SORTIES D'ARGENT  
-      const totalExpenses = await this.getTotalExpenses(associationId);
-      
-      // 3. PRÊTS EN COURS (non remboursés)
-      const outstandingLoans = await this.getOutstandingLoans(associationId);
-      
-      // 4. CALCUL FINAL
-      const availableBalance = totalIncome - totalExpenses - outstandingLoans;
+      const [position, currency] = await Promise.all([
+        LedgerService.getPosition(associationId),
+        CurrencyService.getPrimaryCurrency(associationId)
+      ]);
       
       return {
-        totalIncome,
-        totalExpenses,
-        outstandingLoans,
-        availableBalance,
+        currency,
+        totalIncome: position.totalIncome,
+        totalExpenses: position.totalExpenses,
+        outstandingLoans: position.outstandingLoans,
+        treasury: position.treasury,
+        restrictedFunds: position.restrictedFunds,
+        availableBalance: position.availableBalance,
         lastCalculated: new Date()
       };
       
@@ -38,107 +38,27 @@ class AssociationBalanceService {
   }
   
   /**
-   * 💰 Total des entrées d'argent
+   * 💰 Total des produits (cotisations, dons, intérêts, pénalités)
    */
   static async getTotalIncome(associationId) {
-    // Pour l'instant, uniquement cotisations
-    const cotisationsResult = await Transaction.findOne({
-      where: {
-        associationId,
-        type: 'cotisation',
-        status: 'completed'
-      },
-      attributes: [
-        [Transaction.sequelize.fn('SUM', Transaction.sequelize.col('net_amount')), 'total']
-      ],
-      raw: true
-    });
-    
-    const totalCotisations = parseFloat(cotisationsResult?.total || 0);
-    
-    // TODO: Ajouter autres types d'entrées personnalisées (IncomeEntry futur)
-    const totalAutresEntrees = 0;
-    
-    return totalCotisations + totalAutresEntrees;
+    const position = await LedgerService.getPosition(associationId);
+    return position.totalIncome;
   }
   
   /**
-   * 💸 Total des sorties d'argent (dépenses payées)
+   * 💸 Total des charges (dépenses, aides, frais de paiement)
    */
   static async getTotalExpenses(associationId) {
-    // Dépenses via ExpenseRequest payées
-    const expensesResult = await ExpenseRequest.findOne({
-      where: {
-        associationId,
-        status: 'paid'
-      },
-      attributes: [
-        [ExpenseRequest.sequelize.fn('SUM', ExpenseRequest.sequelize.col('amount_approved')), 'total']
-      ],
-      raw: true
-    });
-    
-    const totalExpenseRequests = parseFloat(expensesResult?.total || 0);
-    
-    // Autres sorties via Transaction directes (aides anciennes, etc.)
-    const otherExpensesResult = await Transaction.findOne({
-      where: {
-        associationId,
-        type: 'aide',
-        status: 'completed'
-      },
-      attributes: [
-        [Transaction.sequelize.fn('SUM', Transaction.sequelize.col('amount')), 'total']
-      ],
-      raw: true
-    });
-    
-    const totalOtherExpenses = parseFloat(otherExpensesResult?.total || 0);
-    
-    return totalExpenseRequests + totalOtherExpenses;
+    const position = await LedgerService.getPosition(associationId);
+    return position.totalExpenses;
   }
   
   /**
-   * 🔄 Prêts en cours (non entièrement remboursés)
+   * 🔄 Prêts en cours : solde du compte des prêts accordés
    */
   static async getOutstandingLoans(associationId) {
-    // Récupérer tous les prêts approuvés
-    const loans = await ExpenseRequest.findAll({
-      where: {
-        associationId,
-        isLoan: true,
-        status: 'paid',
-        repaymentStatus: ['not_started', 'in_progress']
-      },
-      attributes: ['id', 'amountApproved', 'amountRequested']
-    });
-    
-    let totalOutstanding = 0;
-    
-    for (const loan of loans) {
-      const loanAmount = parseFloat(loan.amountApproved || loan.amountRequested);
-      
-      // Calculer le total remboursé pour ce prêt
-      const repaymentsResult = await LoanRepayment.findOne({
-        where: {
-          expenseRequestId: loan.id,
-          status: 'validated'
-        },
-        attributes: [
-          [LoanRepayment.sequelize.fn('SUM', LoanRepayment.sequelize.col('principal_amount')), 'total']
-        ],
-        raw: true
-      });
-      
-      const totalRepaid = parseFloat(repaymentsResult?.total || 0);
-      const outstanding = loanAmount - totalRepaid;
-      
-      if (outstanding > 0) {
-        totalOutstanding += outstanding;
-      }
-    }
-    
-    return totalOutstanding;
+    const position = await LedgerService.getPosition(associationId);
+    return position.outstandingLoans;
   }
   
   /**
@@ -164,22 +84,25 @@ class AssociationBalanceService {
     // Calcul solde actuel
     const currentBalance = await this.getAvailableBalance(associationId);
     
-    // Dépenses en attente d'approbation
-    const pendingExpensesResult = await ExpenseRequest.findOne({
+    // Dépenses en attente d'approbation (converties au taux du jour)
+    const pendingRequests = await ExpenseRequest.findAll({
       where: {
         associationId,
         status: ['pending', 'under_review', 'approved']
       },
-      attributes: [
-        [ExpenseRequest.sequelize.fn('SUM', ExpenseRequest.sequelize.col('amount_requested')), 'total']
-      ],
+      attributes: ['amountRequested', 'currency'],
       raw: true
     });
     
-    const pendingExpenses = parseFloat(pendingExpensesResult?.total || 0);
+    const pendingExpenses = await CurrencyService.sumIn(
+      associationId,
+      pendingRequests.map((r) => ({ amount: r.amountRequested, currency: r.currency })),
+      currentBalance.currency,
+      { skipMissingRates: true }
+    );
     
     // Prochaines échéances prêts
-    const upcomingRepaymentsResult = await LoanRepayment.findOne({
+    const upcomingInstallments = await LoanRepayment.findAll({
       where: {
         dueDate: {
           [Op.between]: [new Date(), new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)] // 30 jours
@@ -192,18 +115,22 @@ class AssociationBalanceService {
         where: { associationId },
         attributes: []
       }],
-      attributes: [
-        [LoanRepayment.sequelize.fn('SUM', LoanRepayment.sequelize.col('amount')), 'total']
-      ],
+      attributes: ['amount', 'currency'],
       raw: true
     });
     
-    const upcomingRepayments = parseFloat(upcomingRepaymentsResult?.total || 0);
+    const upcomingRepayments = await CurrencyService.sumIn(
+      associationId,
+      upcomingInstallments,
+      currentBalance.currency,
+      { skipMissingRates: true }
+    );
     
     // Breakdown par type de dépense
     const expensesByType = await this.getExpensesByType(associationId, period);
     
     return {
+      currency: currentBalance.currency,
       currentBalance,
       pendingExpenses,
       upcomingRepayments,
@@ -235,22 +162,32 @@ class AssociationBalanceService {
       };
     }
     
-    const expensesByType = await ExpenseRequest.findAll({
+    const paidExpenses = await ExpenseRequest.findAll({
       where: whereClause,
-      attributes: [
-        'expenseType',
-        [ExpenseRequest.sequelize.fn('COUNT', ExpenseRequest.sequelize.col('id')), 'count'],
-        [ExpenseRequest.sequelize.fn('SUM', ExpenseRequest.sequelize.col('amount_approved')), 'total']
-      ],
-      group: ['expenseType'],
+      attributes: ['expenseType', 'amountApproved', 'amountRequested', 'currency', 'convertedAmount', 'convertedCurrency', 'paidAt'],
       raw: true
     });
     
-    return expensesByType.map(item => ({
-      type: item.expenseType,
-      count: parseInt(item.count),
-      total: parseFloat(item.total || 0)
-    }));
+    // Montants convertis au paiement (taux du jour de paiement à défaut)
+    const currency = await CurrencyService.getPrimaryCurrency(associationId);
+    const byType = {};
+    paidExpenses.forEach((expense) => {
+      byType[expense.expenseType] = byType[expense.expenseType] || [];
+      byType[expense.expenseType].push({
+        amount: expense.amountApproved || expense.amountRequested,
+        currency: expense.currency,
+        convertedAmount: expense.convertedAmount,
+        convertedCurrency: expense.convertedCurrency,
+        date: expense.paidAt
+      });
+    });
+    
+    return Promise.all(Object.entries(byType).map(async ([type, items]) => ({
+      type,
+      count: items.length,
+      total: await CurrencyService.sumIn(associationId, items, currency, { skipMissingRates: true }),
+      currency
+    })));
   }
   
   /**
@@ -265,7 +202,7 @@ class AssociationBalanceService {
       alerts.push({
         type: 'low_balance',
         severity: 'warning',
-        message: `Solde faible: ${balance.availableBalance.toFixed(2)}€`,
+        message: `Solde faible: ${balance.availableBalance.toFixed(2)} ${balance.currency}`,
         value: balance.availableBalance
       });
     }
@@ -275,7 +212,7 @@ class AssociationBalanceService {
       alerts.push({
         type: 'negative_balance',
         severity: 'critical',
-        message: `Solde négatif: ${balance.availableBalance.toFixed(2)}€`,
+        message: `Solde négatif: ${balance.availableBalance.toFixed(2)} ${balance.currency}`,
         value: balance.availableBalance
       });
     }
@@ -333,50 +270,38 @@ class AssociationBalanceService {
     
     const history = [];
     
-    // Calculer solde pour chaque mois
+    // Produits, charges et trésorerie de chaque mois (écarts de soldes du grand livre)
+    const totalsAt = async (date) => {
+      const accounts = await LedgerService.getBalances(associationId, { asOf: date });
+      const sum = (filter) => accounts.filter(filter).reduce((total, a) => total + a.balance, 0);
+      return {
+        income: sum((a) => a.type === 'income'),
+        expenses: sum((a) => a.type === 'expense'),
+        treasury: sum((a) => a.isTreasury)
+      };
+    };
+    
+    let previous = await totalsAt(startDate);
+    
     for (let i = 0; i < months; i++) {
       const monthStart = new Date(startDate);
       monthStart.setMonth(startDate.getMonth() + i);
       const monthEnd = new Date(monthStart);
       monthEnd.setMonth(monthEnd.getMonth() + 1);
       
-      // Revenus du mois
-      const monthlyIncome = await Transaction.findOne({
-        where: {
-          associationId,
-          type: 'cotisation',
-          status: 'completed',
-          createdAt: {
-            [Op.between]: [monthStart, monthEnd]
-          }
-        },
-        attributes: [
-          [Transaction.sequelize.fn('SUM', Transaction.sequelize.col('net_amount')), 'total']
-        ],
-        raw: true
-      });
-      
-      // Dépenses du mois
-      const monthlyExpenses = await ExpenseRequest.findOne({
-        where: {
-          associationId,
-          status: 'paid',
-          paidAt: {
-            [Op.between]: [monthStart, monthEnd]
-          }
-        },
-        attributes: [
-          [ExpenseRequest.sequelize.fn('SUM', ExpenseRequest.sequelize.col('amount_approved')), 'total']
-        ],
-        raw: true
-      });
+      const current = await totalsAt(monthEnd);
+      const income = parseFloat((current.income - previous.income).toFixed(2));
+      const expenses = parseFloat((current.expenses - previous.expenses).toFixed(2));
       
       history.push({
         month: monthStart.toISOString().substring(0, 7), // YYYY-MM
-        income: parseFloat(monthlyIncome?.total || 0),
-        expenses: parseFloat(monthlyExpenses?.total || 0),
-        net: parseFloat(monthlyIncome?.total || 0) - parseFloat(monthlyExpenses?.total || 0)
+        income,
+        expenses,
+        net: parseFloat((income - expenses).toFixed(2)),
+        treasury: parseFloat(current.treasury.toFixed(2))
       });
+      
+      previous = current;
     }
     
     return history;
@@ -0,0 +1,672 @@
+// src/modules/associations/services/ballotService.js
+// Votes d'assemblée générale et scrutins en ligne : électeurs, procurations, quorum, majorité
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const {
+  sequelize,
+  Ballot,
+  BallotVote,
+  VotingProxy,
+  Event,
+  Section,
+  AssociationMember,
+  User
+} = require('../../../models');
+const { hasPermission } = require('../../../core/middleware/checkPermission');
+
+const ABSTAIN_KEY = 'abstain';
+
+const MOTION_OPTIONS = [
+  { key: 'for', label: 'Pour' },
+  { key: 'against', label: 'Contre' },
+  { key: ABSTAIN_KEY, label: 'Abstention' }
+];
+
+const DEFAULT_ELIGIBILITY = {
+  memberStatuses: ['active'],
+  memberTypes: null,
+  requireUpToDate: true,
+  minSeniorityMonths: null
+};
+
+const MAJORITY_LABELS = {
+  simple: 'Majorité simple des suffrages exprimés',
+  two_thirds: 'Majorité des deux tiers des suffrages exprimés'
+};
+
+// Erreur métier (status HTTP + code)
+function ballotError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+const memberInclude = (as) => ({
+  model: AssociationMember,
+  as,
+  attributes: ['id', 'userId', 'memberType'],
+  include: [{ model: User, as: 'user', attributes: ['id', 'firstName', 'lastName'] }]
+});
+
+class BallotService {
+  // Gestionnaire des votes : admin ou permission evenements.manage
+  static canManage(membership) {
+    return !!membership?.isAdmin || hasPermission(membership, 'evenements.manage');
+  }
+
+  /**
+   * 🔎 Scrutin d'une association (404 si introuvable)
+   */
+  static async getBallot(associationId, ballotId, t) {
+    const ballot = await Ballot.findOne({
+      where: { id: ballotId, associationId },
+      transaction: t,
+      lock: t ? t.LOCK.UPDATE : undefined
+    });
+
+    if (!ballot) {
+      throw ballotError(404, 'BALLOT_NOT_FOUND', 'Scrutin introuvable');
+    }
+    return ballot;
+  }
+
+  /**
+   * 📋 Scrutins de l'association (filtres assemblée, statut)
+   */
+  static async listBallots(associationId, { eventId, status } = {}) {
+    const where = { associationId };
+    if (eventId) where.eventId = parseInt(eventId);
+    if (status) where.status = status;
+
+    const ballots = await Ballot.findAll({
+      where,
+      attributes: { exclude: ['electorate'] },
+      include: [{ model: Event, as: 'event', attributes: ['id', 'title', 'type', 'startDate'] }],
+      order: [['created_at', 'DESC']]
+    });
+
+    // Décompte et résultats publiés seulement à la clôture (même règle que getResults)
+    return ballots.map(ballot => {
+      const data = ballot.toJSON();
+      if (ballot.status !== 'closed') {
+        delete data.tally;
+        delete data.results;
+      }
+      return data;
+    });
+  }
+
+  // 🧹 Choix proposés : pour / contre / abstention, ou candidats + vote blanc
+  static buildOptions(kind, options) {
+    if (kind === 'motion') return MOTION_OPTIONS;
+
+    const candidates = (options || [])
+      .map((option) => (typeof option === 'string' ? option : option?.label))
+      .filter((label) => label && String(label).trim())
+      .map((label, index) => ({ key: `candidate_${index + 1}`, label: String(label).trim() }));
+
+    if (candidates.length < 2) {
+      throw ballotError(400, 'CANDIDATES_REQUIRED', 'Une élection nécessite au moins deux candidats');
+    }
+
+    return [...candidates, { key: ABSTAIN_KEY, label: 'Vote blanc' }];
+  }
+
+  static normalizeQuorum(quorum) {
+    if (!quorum || !quorum.value) return null;
+
+    const type = quorum.type || 'percentage';
+    const value = parseFloat(quorum.value);
+
+    if (!['percentage', 'count'].includes(type) || !(value > 0) || (type === 'percentage' && value > 100)) {
+      throw ballotError(400, 'INVALID_QUORUM', 'Quorum invalide (pourcentage 1-100 ou nombre de votants)');
+    }
+    return { type, value };
+  }
+
+  // Assemblée et section de rattachement appartenant bien à l'association
+  static async checkScope(associationId, { eventId, sectionId }) {
+    if (eventId) {
+      const event = await Event.findOne({ where: { id: eventId, associationId } });
+      if (!event) throw ballotError(404, 'EVENT_NOT_FOUND', 'Assemblée introuvable');
+    }
+    if (sectionId) {
+      const section = await Section.findOne({ where: { id: sectionId, associationId } });
+      if (!section) throw ballotError(404, 'SECTION_NOT_FOUND', 'Section introuvable');
+    }
+  }
+
+  /**
+   * ➕ Créer un scrutin (brouillon)
+   */
+  static async createBallot(associationId, data, userId) {
+    const kind = data.kind || 'motion';
+    const eventId = data.eventId ? parseInt(data.eventId) : null;
+    const sectionId = data.sectionId ? parseInt(data.sectionId) : null;
+
+    await BallotService.checkScope(associationId, { eventId, sectionId });
+
+    return Ballot.create({
+      associationId,
+      eventId,
+      sectionId,
+      title: data.title,
+      description: data.description || null,
+      kind,
+      options: BallotService.buildOptions(kind, data.options),
+      secret: data.secret !== undefined ? !!data.secret : true,
+      majorityRule: data.majorityRule || 'simple',
+      eligibility: { ...DEFAULT_ELIGIBILITY, ...(data.eligibility || {}) },
+      quorum: BallotService.normalizeQuorum(data.quorum),
+      allowProxies: data.allowProxies !== undefined ? !!data.allowProxies : true,
+      maxProxiesPerMember: data.maxProxiesPerMember !== undefined ? parseInt(data.maxProxiesPerMember) : 1,
+      opensAt: data.opensAt || null,
+      closesAt: data.closesAt || null,
+      createdBy: userId
+    });
+  }
+
+  /**
+   * ✏️ Modifier un scrutin en brouillon (règles figées dès l'ouverture)
+   */
+  static async updateBallot(associationId, ballotId, data) {
+    const ballot = await BallotService.getBallot(associationId, ballotId);
+
+    if (ballot.status !== 'draft') {
+      throw ballotError(400, 'BALLOT_LOCKED', 'Seul un scrutin en brouillon peut être modifié');
+    }
+
+    const updates = {};
+    ['title', 'description', 'majorityRule', 'opensAt', 'closesAt'].forEach((field) => {
+      if (data[field] !== undefined) updates[field] = data[field];
+    });
+    ['secret', 'allowProxies'].forEach((field) => {
+      if (data[field] !== undefined) updates[field] = !!data[field];
+    });
+    if (data.maxProxiesPerMember !== undefined) updates.maxProxiesPerMember = parseInt(data.maxProxiesPerMember);
+    if (data.eligibility !== undefined) updates.eligibility = { ...DEFAULT_ELIGIBILITY, ...(data.eligibility || {}) };
+    if (data.quorum !== undefined) updates.quorum = BallotService.normalizeQuorum(data.quorum);
+
+    if (data.eventId !== undefined || data.sectionId !== undefined) {
+      const eventId = data.eventId !== undefined ? (data.eventId ? parseInt(data.eventId) : null) : ballot.eventId;
+      const sectionId = data.sectionId !== undefined ? (data.sectionId ? parseInt(data.sectionId) : null) : ballot.sectionId;
+      await BallotService.checkScope(associationId, { eventId, sectionId });
+      Object.assign(updates, { eventId, sectionId });
+    }
+
+    const kind = data.kind || ballot.kind;
+    if (data.kind !== undefined || data.options !== undefined) {
+      updates.kind = kind;
+      updates.options = BallotService.buildOptions(kind, data.options || ballot.options.filter((o) => o.key !== ABSTAIN_KEY));
+    }
+
+    return ballot.update(updates);
+  }
+
+  /**
+   * ✅ Le membre a-t-il le droit de vote sur ce scrutin ?
+   * Retourne { eligible, reasons[] }
+   */
+  static checkEligibility(member, ballot) {
+    const rules = { ...DEFAULT_ELIGIBILITY, ...(ballot.eligibility || {}) };
+    const reasons = [];
+
+    if (rules.memberStatuses?.length && !rules.memberStatuses.includes(member.status)) {
+      reasons.push(`Statut membre "${member.status}" non admis`);
+    }
+    if (rules.memberTypes?.length && !rules.memberTypes.includes(member.memberType)) {
+      reasons.push(`Type de membre "${member.memberType || 'non défini'}" non admis`);
+    }
+    if (rules.requireUpToDate && member.contributionStatus !== 'uptodate') {
+      reasons.push('Cotisations non à jour');
+    }
+    if (rules.minSeniorityMonths && member.getTotalSeniority() < rules.minSeniorityMonths) {
+      reasons.push(`Ancienneté inférieure à ${rules.minSeniorityMonths} mois`);
+    }
+    if (ballot.sectionId && member.sectionId !== ballot.sectionId) {
+      reasons.push('Membre d\'une autre section');
+    }
+
+    return { eligible: reasons.length === 0, reasons };
+  }
+
+  /**
+   * 🗳️ Ouvrir le vote : la liste d'émargement est figée
+   */
+  static async openBallot(associationId, ballotId) {
+    const ballot = await BallotService.getBallot(associationId, ballotId);
+
+    if (ballot.status !== 'draft') {
+      throw ballotError(400, 'BALLOT_NOT_DRAFT', 'Le scrutin a déjà été ouvert');
+    }
+
+    const members = await AssociationMember.findAll({
+      where: {
+        associationId,
+        ...(ballot.sectionId && { sectionId: ballot.sectionId })
+      }
+    });
+
+    const electorate = members
+      .filter((member) => BallotService.checkEligibility(member, ballot).eligible)
+      .map((member) => member.id);
+
+    if (electorate.length === 0) {
+      throw ballotError(400, 'EMPTY_ELECTORATE', 'Aucun membre ne remplit les conditions pour voter');
+    }
+
+    return ballot.update({
+      status: 'open',
+      openedAt: new Date(),
+      electorate,
+      tally: Object.fromEntries(ballot.options.map((o) => [o.key, 0]))
+    });
+  }
+
+  // Procuration active du mandant vers le mandataire pour ce scrutin (ou son assemblée)
+  static async findProxy(ballot, grantorMemberId, holderMemberId, t) {
+    return VotingProxy.findOne({
+      where: {
+        associationId: ballot.associationId,
+        grantorMemberId,
+        holderMemberId,
+        status: 'active',
+        [Op.or]: [
+          { ballotId: ballot.id },
+          ...(ballot.eventId ? [{ eventId: ballot.eventId }] : [])
+        ]
+      },
+      transaction: t
+    });
+  }
+
+  /**
+   * 🗳️ Voter, en son nom ou pour un mandant (onBehalfOf = ID membre du mandant)
+   * Vote secret : seul le décompte du scrutin garde le choix ; le votant reçoit un code de reçu
+   */
+  static async castVote(associationId, ballotId, { membership, choice, onBehalfOf }) {
+    return sequelize.transaction(async (t) => {
+      // Verrou sur le scrutin : décompte sans perte de voix
+      const ballot = await BallotService.getBallot(associationId, ballotId, t);
+
+      if (!ballot.isOpenForVoting()) {
+        throw ballotError(400, 'BALLOT_NOT_OPEN', 'Le vote n\'est pas ouvert');
+      }
+
+      if (!ballot.options.some((o) => o.key === choice)) {
+        throw ballotError(400, 'INVALID_CHOICE', 'Choix invalide pour ce scrutin');
+      }
+
+      const electorate = ballot.electorate || [];
+      const memberId = onBehalfOf ? parseInt(onBehalfOf) : membership.id;
+      let proxy = null;
+
+      if (!electorate.includes(membership.id)) {
+        throw ballotError(403, 'NOT_ELIGIBLE', 'Vous n\'avez pas le droit de vote sur ce scrutin');
+      }
+
+      if (memberId !== membership.id) {
+        if (!ballot.allowProxies) {
+          throw ballotError(400, 'PROXIES_NOT_ALLOWED', 'Vote par procuration non autorisé sur ce scrutin');
+        }
+
+        proxy = await BallotService.findProxy(ballot, memberId, membership.id, t);
+        if (!proxy) {
+          throw ballotError(403, 'PROXY_NOT_FOUND', 'Aucune procuration active de ce membre');
+        }
+
+        const proxiesUsed = await BallotVote.count({
+          where: { ballotId: ballot.id, castByMemberId: membership.id, proxyId: { [Op.ne]: null } },
+          transaction: t
+        });
+        if (proxiesUsed >= ballot.maxProxiesPerMember) {
+          throw ballotError(400, 'PROXY_LIMIT_REACHED', `Maximum ${ballot.maxProxiesPerMember} procuration(s) par mandataire`);
+        }
+
+        if (!electorate.includes(memberId)) {
+          throw ballotError(403, 'GRANTOR_NOT_ELIGIBLE', 'Le mandant n\'a pas le droit de vote sur ce scrutin');
+        }
+      }
+
+      const existing = await BallotVote.findOne({ where: { ballotId: ballot.id, memberId }, transaction: t });
+      if (existing) {
+        throw ballotError(409, 'ALREADY_VOTED', memberId === membership.id ? 'Vous avez déjà voté' : 'Ce mandant a déjà voté');
+      }
+
+      const vote = await BallotVote.create({
+        ballotId: ballot.id,
+        memberId,
+        castByMemberId: membership.id,
+        proxyId: proxy?.id || null,
+        choice: ballot.secret ? null : choice,
+        receiptCode: crypto.randomBytes(8).toString('hex').toUpperCase()
+      }, { transaction: t });
+
+      const tally = { ...(ballot.tally || {}) };
+      tally[choice] = (tally[choice] || 0) + 1;
+      await ballot.update({ tally }, { transaction: t });
+
+      return {
+        ballotId: ballot.id,
+        memberId,
+        byProxy: !!proxy,
+        receiptCode: vote.receiptCode,
+        castAt: vote.castAt
+      };
+    });
+  }
+
+  /**
+   * 📊 Dépouillement : participation, quorum, majorité, décision
+   */
+  static computeResults(ballot, votes) {
+    const tally = ballot.tally || {};
+    const eligible = (ballot.electorate || []).length;
+    const participants = votes.length;
+    const abstentions = tally[ABSTAIN_KEY] || 0;
+    const expressed = participants - abstentions;
+
+    let quorumRequired = 0;
+    if (ballot.quorum?.value) {
+      quorumRequired = ballot.quorum.type === 'count'
+        ? Math.ceil(ballot.quorum.value)
+        : Math.ceil((eligible * ballot.quorum.value) / 100);
+    }
+    const quorumReached = participants >= quorumRequired;
+
+    const options = ballot.options.map((option) => ({
+      key: option.key,
+      label: option.label,
+      votes: tally[option.key] || 0,
+      percentage: option.key !== ABSTAIN_KEY && expressed > 0
+        ? Math.round(((tally[option.key] || 0) / expressed) * 10000) / 100
+        : null
+    }));
+
+    // Suffrages exprimés = votants hors abstentions / votes blancs
+    const hasMajority = (count) => expressed > 0 && (ballot.majorityRule === 'two_thirds'
+      ? count * 3 >= expressed * 2
+      : count * 2 > expressed);
+
+    let outcome;
+    let winner = null;
+
+    if (!quorumReached) {
+      outcome = 'no_quorum';
+    } else if (ballot.kind === 'motion') {
+      outcome = hasMajority(tally.for || 0) ? 'adopted' : 'rejected';
+    } else {
+      const [top] = options.filter((o) => o.key !== ABSTAIN_KEY).sort((a, b) => b.votes - a.votes);
+      outcome = hasMajority(top.votes) ? 'elected' : 'no_majority';
+      if (outcome === 'elected') winner = { key: top.key, label: top.label };
+    }
+
+    return {
+      eligible,
+      participants,
+      byProxy: votes.filter((v) => v.proxyId).length,
+      participationRate: eligible > 0 ? Math.round((participants / eligible) * 10000) / 100 : 0,
+      abstentions,
+      expressed,
+      quorum: {
+        rule: ballot.quorum,
+        required: quorumRequired,
+        reached: quorumReached
+      },
+      majorityRule: ballot.majorityRule,
+      options,
+      outcome,
+      winner
+    };
+  }
+
+  /**
+   * 🔒 Clôturer le vote et figer les résultats
+   */
+  static async closeBallot(associationId, ballotId, userId) {
+    return sequelize.transaction(async (t) => {
+      const ballot = await BallotService.getBallot(associationId, ballotId, t);
+
+      if (ballot.status !== 'open') {
+        throw ballotError(400, 'BALLOT_NOT_OPEN', 'Seul un scrutin ouvert peut être clôturé');
+      }
+
+      const votes = await BallotVote.findAll({
+        where: { ballotId: ballot.id },
+        attributes: ['id', 'proxyId'],
+        transaction: t
+      });
+
+      const closedAt = new Date();
+      return ballot.update({
+        status: 'closed',
+        closedAt,
+        closedBy: userId,
+        results: { ...BallotService.computeResults(ballot, votes), closedAt }
+      }, { transaction: t });
+    });
+  }
+
+  /**
+   * ⛔ Annuler un scrutin non clôturé
+   */
+  static async cancelBallot(associationId, ballotId) {
+    const ballot = await BallotService.getBallot(associationId, ballotId);
+
+    if (!['draft', 'open'].includes(ballot.status)) {
+      throw ballotError(400, 'BALLOT_CLOSED', 'Un scrutin clôturé ne peut plus être annulé');
+    }
+    return ballot.update({ status: 'cancelled' });
+  }
+
+  /**
+   * 🔎 Scrutin vu par un membre : droit de vote, vote effectué, procurations détenues
+   * Le décompte n'est publié qu'à la clôture
+   */
+  static async getBallotForMember(associationId, ballotId, membership) {
+    const ballot = await BallotService.getBallot(associationId, ballotId);
+    const data = ballot.toJSON();
+    delete data.electorate;
+    if (ballot.status !== 'closed') delete data.tally;
+
+    const member = await AssociationMember.findByPk(membership.id);
+    const electorate = ballot.electorate || [];
+    const eligibility = ballot.status === 'draft'
+      ? BallotService.checkEligibility(member, ballot)
+      : {
+          eligible: electorate.includes(membership.id),
+          reasons: electorate.includes(membership.id) ? [] : ['Absent de la liste d\'émargement']
+        };
+
+    const votes = await BallotVote.findAll({
+      where: { ballotId: ballot.id, [Op.or]: [{ memberId: membership.id }, { castByMemberId: membership.id }] },
+      attributes: ['memberId', 'proxyId', 'castAt']
+    });
+
+    const proxies = ballot.allowProxies
+      ? await VotingProxy.findAll({
+          where: {
+            associationId,
+            holderMemberId: membership.id,
+            status: 'active',
+            [Op.or]: [{ ballotId: ballot.id }, ...(ballot.eventId ? [{ eventId: ballot.eventId }] : [])]
+          },
+          include: [memberInclude('grantor')]
+        })
+      : [];
+
+    return {
+      ballot: data,
+      participation: {
+        eligible: electorate.length,
+        participants: ballot.status === 'draft' ? 0 : Object.values(ballot.tally || {}).reduce((sum, n) => sum + n, 0)
+      },
+      me: {
+        ...eligibility,
+        hasVoted: votes.some((v) => v.memberId === membership.id),
+        proxiesHeld: proxies.map((proxy) => ({
+          proxyId: proxy.id,
+          grantorMemberId: proxy.grantorMemberId,
+          grantor: proxy.grantor?.user ? `${proxy.grantor.user.firstName} ${proxy.grantor.user.lastName}` : null,
+          instructions: proxy.instructions,
+          eligible: electorate.includes(proxy.grantorMemberId),
+          hasVoted: votes.some((v) => v.memberId === proxy.grantorMemberId)
+        }))
+      }
+    };
+  }
+
+  /**
+   * 📝 Émargement : qui a voté (et quoi, pour un vote public)
+   */
+  static async listVotes(associationId, ballotId) {
+    const ballot = await BallotService.getBallot(associationId, ballotId);
+
+    const votes = await BallotVote.findAll({
+      where: { ballotId: ballot.id },
+      attributes: ['id', 'memberId', 'castByMemberId', 'proxyId', 'choice', 'castAt'],
+      include: [memberInclude('member'), memberInclude('castBy')],
+      order: [['cast_at', 'ASC']]
+    });
+
+    return { ballot, votes };
+  }
+
+  /**
+   * 📋 Procurations (gestionnaire : toutes ; membre : données ou reçues)
+   */
+  static async listProxies(associationId, { eventId, ballotId } = {}, membership) {
+    const where = { associationId };
+    if (eventId) where.eventId = parseInt(eventId);
+    if (ballotId) where.ballotId = parseInt(ballotId);
+    if (!BallotService.canManage(membership)) {
+      where[Op.or] = [{ grantorMemberId: membership.id }, { holderMemberId: membership.id }];
+    }
+
+    return VotingProxy.findAll({
+      where,
+      include: [memberInclude('grantor'), memberInclude('holder')],
+      order: [['created_at', 'DESC']]
+    });
+  }
+
+  /**
+   * ✍️ Donner procuration pour une assemblée (eventId) ou un scrutin (ballotId)
+   * Un gestionnaire peut enregistrer une procuration papier (grantorMemberId)
+   */
+  static async createProxy(associationId, data, { user, membership }) {
+    const grantorMemberId = data.grantorMemberId ? parseInt(data.grantorMemberId) : membership.id;
+    const holderMemberId = parseInt(data.holderMemberId);
+    const eventId = data.eventId ? parseInt(data.eventId) : null;
+    const ballotId = data.ballotId ? parseInt(data.ballotId) : null;
+
+    if (grantorMemberId !== membership.id && !BallotService.canManage(membership)) {
+      throw ballotError(403, 'PROXY_FORBIDDEN', 'Vous ne pouvez donner procuration qu\'en votre nom');
+    }
+
+    if (!eventId === !ballotId) {
+      throw ballotError(400, 'PROXY_SCOPE_REQUIRED', 'Procuration pour une assemblée ou pour un scrutin (un seul des deux)');
+    }
+
+    if (grantorMemberId === holderMemberId) {
+      throw ballotError(400, 'INVALID_PROXY', 'Impossible de se donner procuration à soi-même');
+    }
+
+    let maxProxies = 1;
+    if (ballotId) {
+      const ballot = await BallotService.getBallot(associationId, ballotId);
+      if (!['draft', 'open'].includes(ballot.status)) {
+        throw ballotError(400, 'BALLOT_CLOSED', 'Le scrutin est clos');
+      }
+      if (!ballot.allowProxies) {
+        throw ballotError(400, 'PROXIES_NOT_ALLOWED', 'Vote par procuration non autorisé sur ce scrutin');
+      }
+      maxProxies = ballot.maxProxiesPerMember;
+    } else {
+      const event = await Event.findOne({ where: { id: eventId, associationId } });
+      if (!event) throw ballotError(404, 'EVENT_NOT_FOUND', 'Assemblée introuvable');
+      if (event.isPast()) throw ballotError(400, 'EVENT_PAST', 'L\'assemblée est terminée');
+
+      const eventBallots = await Ballot.findAll({ where: { eventId, allowProxies: true }, attributes: ['maxProxiesPerMember'] });
+      if (eventBallots.length) maxProxies = Math.max(...eventBallots.map((b) => b.maxProxiesPerMember));
+    }
+
+    const members = await AssociationMember.findAll({
+      where: { associationId, id: [grantorMemberId, holderMemberId] }
+    });
+    const grantor = members.find((m) => m.id === grantorMemberId);
+    const holder = members.find((m) => m.id === holderMemberId);
+
+    if (!grantor || !holder) {
+      throw ballotError(404, 'MEMBER_NOT_FOUND', 'Mandant ou mandataire introuvable');
+    }
+    if (holder.status !== 'active') {
+      throw ballotError(400, 'HOLDER_NOT_ACTIVE', 'Le mandataire doit être un membre actif');
+    }
+
+    const scope = ballotId ? { ballotId } : { eventId };
+    const activeInScope = await VotingProxy.findAll({
+      where: {
+        associationId,
+        status: 'active',
+        ...scope,
+        [Op.or]: [
+          { grantorMemberId: [grantorMemberId, holderMemberId] },
+          { holderMemberId: [grantorMemberId, holderMemberId] }
+        ]
+      }
+    });
+
+    if (activeInScope.some((p) => p.grantorMemberId === grantorMemberId)) {
+      throw ballotError(409, 'PROXY_ALREADY_GIVEN', 'Une procuration est déjà donnée pour ce vote');
+    }
+    // Pas de procuration en cascade
+    if (activeInScope.some((p) => p.grantorMemberId === holderMemberId)) {
+      throw ballotError(400, 'HOLDER_ABSENT', 'Le mandataire a lui-même donné procuration');
+    }
+    if (activeInScope.some((p) => p.holderMemberId === grantorMemberId)) {
+      throw ballotError(400, 'GRANTOR_IS_HOLDER', 'Le mandant détient des procurations : il doit les rendre avant de déléguer');
+    }
+    if (activeInScope.filter((p) => p.holderMemberId === holderMemberId).length >= maxProxies) {
+      throw ballotError(400, 'PROXY_LIMIT_REACHED', `Le mandataire détient déjà ${maxProxies} procuration(s)`);
+    }
+
+    return VotingProxy.create({
+      associationId,
+      eventId,
+      ballotId,
+      grantorMemberId,
+      holderMemberId,
+      instructions: data.instructions || null,
+      createdBy: user.id
+    });
+  }
+
+  /**
+   * ⛔ Révoquer une procuration (mandant ou gestionnaire) ; les votes déjà exprimés restent acquis
+   */
+  static async revokeProxy(associationId, proxyId, membership) {
+    const proxy = await VotingProxy.findOne({ where: { id: proxyId, associationId } });
+
+    if (!proxy) {
+      throw ballotError(404, 'PROXY_NOT_FOUND', 'Procuration introuvable');
+    }
+    if (proxy.grantorMemberId !== membership.id && !BallotService.canManage(membership)) {
+      throw ballotError(403, 'PROXY_FORBIDDEN', 'Seul le mandant ou un gestionnaire peut révoquer');
+    }
+    if (proxy.status === 'revoked') {
+      throw ballotError(400, 'PROXY_ALREADY_REVOKED', 'Procuration déjà révoquée');
+    }
+
+    return proxy.update({ status: 'revoked', revokedAt: new Date() });
+  }
+}
+
+BallotService.ABSTAIN_KEY = ABSTAIN_KEY;
+BallotService.MOTION_OPTIONS = MOTION_OPTIONS;
+BallotService.MAJORITY_LABELS = MAJORITY_LABELS;
+BallotService.ballotError = ballotError;
+
+module.exports = BallotService;
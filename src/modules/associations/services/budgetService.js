@@ -0,0 +1,527 @@
+// src/modules/associations/services/budgetService.js
+// Budgets annuels : lignes par type de dépense / recette, contrôle des dépassements, budget vs réalisé
+
+const { Op } = require('sequelize');
+const {
+  sequelize,
+  Association,
+  Section,
+  Budget,
+  BudgetLine,
+  ExpenseRequest,
+  IncomeEntry,
+  Transaction
+} = require('../../../models');
+const CurrencyService = require('./currencyService');
+
+const EXPENSE_TYPES = ['aide_membre', 'depense_operationnelle', 'pret_partenariat', 'projet_special', 'urgence_communautaire'];
+
+// Catégorie de recette réservée aux cotisations des membres (transactions)
+const COTISATIONS_CATEGORY = 'cotisations';
+
+// Seuil de consommation à partir duquel une ligne est signalée
+const WARNING_RATIO = 0.9;
+
+const round2 = (value) => parseFloat(parseFloat(value || 0).toFixed(2));
+
+// Erreur métier (status HTTP + code)
+function budgetError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+class BudgetService {
+  /**
+   * 🔎 Budget d'une association avec ses lignes (404 si introuvable)
+   */
+  static async getBudget(associationId, budgetId, t) {
+    const budget = await Budget.findOne({
+      where: { id: budgetId, associationId },
+      include: [
+        { model: BudgetLine, as: 'lines' },
+        { model: Section, as: 'section', attributes: ['id', 'name', 'currency'] }
+      ],
+      order: [[{ model: BudgetLine, as: 'lines' }, 'kind', 'ASC'], [{ model: BudgetLine, as: 'lines' }, 'category', 'ASC']],
+      transaction: t
+    });
+
+    if (!budget) {
+      throw budgetError(404, 'BUDGET_NOT_FOUND', 'Budget introuvable');
+    }
+
+    return budget;
+  }
+
+  static async listBudgets(associationId, { fiscalYear, sectionId, status } = {}) {
+    const where = { associationId };
+    if (fiscalYear) where.fiscalYear = parseInt(fiscalYear);
+    if (sectionId) where.sectionId = sectionId === 'central' ? null : parseInt(sectionId);
+    if (status) where.status = status;
+
+    const budgets = await Budget.findAll({
+      where,
+      include: [
+        { model: BudgetLine, as: 'lines' },
+        { model: Section, as: 'section', attributes: ['id', 'name'] }
+      ],
+      order: [['fiscalYear', 'DESC'], ['sectionId', 'ASC']]
+    });
+
+    return budgets.map((budget) => {
+      const total = (kind) => round2(budget.lines.filter((l) => l.kind === kind).reduce((sum, l) => sum + parseFloat(l.annualAmount), 0));
+      return {
+        ...budget.toJSON(),
+        totals: { expense: total('expense'), income: total('income') }
+      };
+    });
+  }
+
+  // Catégories autorisées : types de dépense du modèle, types de recette configurés + cotisations
+  static async validateLines(association, lines = []) {
+    const incomeTypes = [COTISATIONS_CATEGORY, ...Object.keys(association.incomeTypes || {})];
+    const seen = new Set();
+
+    lines.forEach((line) => {
+      const allowed = line.kind === 'expense' ? EXPENSE_TYPES : incomeTypes;
+      if (!allowed.includes(line.category)) {
+        const error = budgetError(400, 'INVALID_BUDGET_CATEGORY', `Catégorie "${line.category}" inconnue pour une ligne de ${line.kind === 'expense' ? 'dépense' : 'recette'}`);
+        error.details = { kind: line.kind, category: line.category, allowed };
+        throw error;
+      }
+
+      const key = `${line.kind}:${line.category}`;
+      if (seen.has(key)) {
+        throw budgetError(400, 'DUPLICATE_BUDGET_LINE', `Ligne en double : ${key}`);
+      }
+      seen.add(key);
+
+      if (line.monthlyAmounts) {
+        const monthlyTotal = round2(line.monthlyAmounts.reduce((sum, v) => sum + parseFloat(v || 0), 0));
+        if (line.monthlyAmounts.length !== 12 || monthlyTotal !== round2(line.annualAmount)) {
+          throw budgetError(400, 'INVALID_MONTHLY_SPLIT', `La répartition mensuelle de "${line.category}" doit compter 12 mois et totaliser le montant annuel`);
+        }
+      }
+    });
+  }
+
+  static lineValues(budgetId, line) {
+    return {
+      budgetId,
+      kind: line.kind,
+      category: line.category,
+      label: line.label || null,
+      annualAmount: round2(line.annualAmount),
+      monthlyAmounts: line.monthlyAmounts ? line.monthlyAmounts.map(round2) : null,
+      notes: line.notes || null
+    };
+  }
+
+  // Un seul budget actif par exercice et par périmètre (association ou section)
+  static async assertNoOtherActive(budget, t) {
+    const other = await Budget.findOne({
+      where: {
+        associationId: budget.associationId,
+        sectionId: budget.sectionId || null,
+        fiscalYear: budget.fiscalYear,
+        status: 'active',
+        id: { [Op.ne]: budget.id || 0 }
+      },
+      transaction: t
+    });
+
+    if (other) {
+      const error = budgetError(409, 'BUDGET_ALREADY_ACTIVE', 'Un budget est déjà actif pour cet exercice et ce périmètre');
+      error.details = { budgetId: other.id };
+      throw error;
+    }
+  }
+
+  /**
+   * ➕ Créer un budget et ses lignes
+   */
+  static async createBudget(associationId, data, userId) {
+    const association = await Association.findByPk(associationId);
+    if (!association) {
+      throw budgetError(404, 'ASSOCIATION_NOT_FOUND', 'Association introuvable');
+    }
+
+    let section = null;
+    if (data.sectionId) {
+      section = await Section.findOne({ where: { id: data.sectionId, associationId } });
+      if (!section) {
+        throw budgetError(400, 'SECTION_NOT_FOUND', 'Section non trouvée');
+      }
+    }
+
+    await BudgetService.validateLines(association, data.lines);
+
+    return sequelize.transaction(async (t) => {
+      const budget = Budget.build({
+        associationId,
+        sectionId: section?.id || null,
+        fiscalYear: parseInt(data.fiscalYear),
+        name: data.name || `Budget ${data.fiscalYear}${section ? ` - ${section.name}` : ''}`,
+        currency: data.currency || section?.currency || association.primaryCurrency || 'EUR',
+        status: data.status === 'active' ? 'active' : 'draft',
+        overrunPolicy: data.overrunPolicy || 'warn',
+        notes: data.notes || null,
+        createdBy: userId,
+        activatedAt: data.status === 'active' ? new Date() : null
+      });
+
+      if (budget.status === 'active') {
+        await BudgetService.assertNoOtherActive(budget, t);
+      }
+      await budget.save({ transaction: t });
+
+      await BudgetLine.bulkCreate(
+        (data.lines || []).map((line) => BudgetService.lineValues(budget.id, line)),
+        { transaction: t }
+      );
+
+      return BudgetService.getBudget(associationId, budget.id, t);
+    });
+  }
+
+  /**
+   * ✏️ Modifier un budget (lignes remplacées si fournies) ; clôturé = lecture seule
+   */
+  static async updateBudget(associationId, budgetId, data) {
+    return sequelize.transaction(async (t) => {
+      const budget = await BudgetService.getBudget(associationId, budgetId, t);
+
+      if (budget.status === 'closed' && data.status !== 'active') {
+        throw budgetError(400, 'BUDGET_CLOSED', 'Un budget clôturé ne peut plus être modifié');
+      }
+
+      const updates = {};
+      ['name', 'overrunPolicy', 'notes'].forEach((field) => {
+        if (data[field] !== undefined) updates[field] = data[field];
+      });
+
+      if (data.status && data.status !== budget.status) {
+        if (data.status === 'active') {
+          await BudgetService.assertNoOtherActive(budget, t);
+          updates.activatedAt = new Date();
+        }
+        updates.status = data.status;
+      }
+
+      await budget.update(updates, { transaction: t });
+
+      if (Array.isArray(data.lines)) {
+        const association = await Association.findByPk(associationId, { transaction: t });
+        await BudgetService.validateLines(association, data.lines);
+
+        await BudgetLine.destroy({ where: { budgetId: budget.id }, transaction: t });
+        await BudgetLine.bulkCreate(
+          data.lines.map((line) => BudgetService.lineValues(budget.id, line)),
+          { transaction: t }
+        );
+      }
+
+      return BudgetService.getBudget(associationId, budget.id, t);
+    });
+  }
+
+  static async deleteBudget(associationId, budgetId) {
+    const budget = await BudgetService.getBudget(associationId, budgetId);
+
+    if (budget.status !== 'draft') {
+      throw budgetError(400, 'BUDGET_NOT_DRAFT', 'Seul un budget en brouillon peut être supprimé (clôturez-le sinon)');
+    }
+
+    await sequelize.transaction(async (t) => {
+      await BudgetLine.destroy({ where: { budgetId: budget.id }, transaction: t });
+      await budget.destroy({ transaction: t });
+    });
+  }
+
+  // ============================================================
+  // 📊 RÉALISÉ
+  // ============================================================
+
+  // Bornes d'un exercice ou d'un mois
+  static periodBounds(year, month) {
+    return month
+      ? [new Date(year, month - 1, 1), new Date(year, month, 1)]
+      : [new Date(year, 0, 1), new Date(year + 1, 0, 1)];
+  }
+
+  // Somme par catégorie et par mois, convertie dans la devise du budget
+  static async aggregate(associationId, items, currency) {
+    const groups = {};
+    items.forEach((item) => {
+      const key = `${item.category}:${new Date(item.date).getMonth() + 1}`;
+      (groups[key] = groups[key] || []).push(item);
+    });
+
+    const result = {};
+    for (const [key, groupItems] of Object.entries(groups)) {
+      const [category, month] = key.split(':');
+      result[category] = result[category] || {};
+      result[category][month] = await CurrencyService.sumIn(associationId, groupItems, currency);
+    }
+    return result;
+  }
+
+  /**
+   * 📈 Dépenses payées, engagées et recettes encaissées de l'exercice, par catégorie et par mois
+   * excludeRequestId : demande en cours de contrôle, hors de ses propres engagements
+   */
+  static async getActuals(budget, { excludeRequestId } = {}) {
+    const [start, end] = BudgetService.periodBounds(budget.fiscalYear);
+    const scope = { associationId: budget.associationId };
+    if (budget.sectionId) scope.sectionId = budget.sectionId;
+
+    const [paid, committed, incomes, cotisations] = await Promise.all([
+      ExpenseRequest.findAll({
+        where: { ...scope, status: 'paid', paidAt: { [Op.gte]: start, [Op.lt]: end } },
+        attributes: ['expenseType', 'amountApproved', 'amountRequested', 'currency', 'convertedAmount', 'convertedCurrency', 'paidAt'],
+        raw: true
+      }),
+      ExpenseRequest.findAll({
+        where: {
+          ...scope,
+          status: 'approved',
+          approvedAt: { [Op.gte]: start, [Op.lt]: end },
+          ...(excludeRequestId && { id: { [Op.ne]: excludeRequestId } })
+        },
+        attributes: ['id', 'expenseType', 'amountApproved', 'amountRequested', 'currency', 'approvedAt'],
+        raw: true
+      }),
+      IncomeEntry.findAll({
+        where: { ...scope, status: 'validated', receivedDate: { [Op.gte]: start, [Op.lt]: end } },
+        attributes: ['incomeType', 'amount', 'currency', 'convertedAmount', 'convertedCurrency', 'receivedDate'],
+        raw: true
+      }),
+      Transaction.findAll({
+        where: {
+          ...scope,
+          type: 'cotisation',
+          status: 'completed',
+          completedAt: { [Op.gte]: start, [Op.lt]: end }
+        },
+        attributes: ['amount', 'currency', 'convertedAmount', 'convertedCurrency', 'completedAt'],
+        raw: true
+      })
+    ]);
+
+    const expenseItem = (date) => (r) => ({
+      category: r.expenseType,
+      amount: r.amountApproved || r.amountRequested,
+      currency: r.currency,
+      convertedAmount: r.convertedAmount,
+      convertedCurrency: r.convertedCurrency,
+      date: r[date]
+    });
+
+    const { associationId, currency } = budget;
+
+    return {
+      expense: await BudgetService.aggregate(associationId, paid.map(expenseItem('paidAt')), currency),
+      committed: await BudgetService.aggregate(associationId, committed.map(expenseItem('approvedAt')), currency),
+      income: await BudgetService.aggregate(associationId, [
+        ...incomes.map((r) => ({ ...r, category: r.incomeType, date: r.receivedDate })),
+        ...cotisations.map((r) => ({ ...r, category: COTISATIONS_CATEGORY, date: r.completedAt }))
+      ], currency)
+    };
+  }
+
+  // Total d'une catégorie sur un ensemble de mois
+  static sumMonths(byMonth = {}, months) {
+    return round2(months.reduce((sum, m) => sum + (byMonth[m] || 0), 0));
+  }
+
+  /**
+   * 📊 Budget vs réalisé (exercice complet, ou un mois avec cumul depuis janvier)
+   */
+  static async getReport(associationId, budgetId, { period = 'year', month } = {}) {
+    const budget = await BudgetService.getBudget(associationId, budgetId);
+    const actuals = await BudgetService.getActuals(budget);
+
+    const selectedMonth = period === 'month' ? parseInt(month || new Date().getMonth() + 1) : null;
+    const months = selectedMonth ? [selectedMonth] : Array.from({ length: 12 }, (_, i) => i + 1);
+    const ytdMonths = selectedMonth ? Array.from({ length: selectedMonth }, (_, i) => i + 1) : null;
+
+    const planned = (line, list) => round2(list.reduce((sum, m) => sum + line.getPlannedForMonth(m), 0));
+
+    const lines = budget.lines.map((line) => {
+      const source = line.kind === 'expense' ? actuals.expense : actuals.income;
+      const plannedAmount = planned(line, months);
+      const actual = BudgetService.sumMonths(source[line.category], months);
+      const committed = line.kind === 'expense' ? BudgetService.sumMonths(actuals.committed[line.category], months) : 0;
+      const consumed = round2(actual + committed);
+      const consumption = plannedAmount > 0 ? Math.round((consumed / plannedAmount) * 100) : null;
+
+      let status = 'ok';
+      if (line.kind === 'expense') {
+        if (consumed > plannedAmount) status = 'exceeded';
+        else if (plannedAmount > 0 && consumed >= plannedAmount * WARNING_RATIO) status = 'warning';
+      } else if (actual < plannedAmount) {
+        status = 'below_target';
+      }
+
+      return {
+        id: line.id,
+        kind: line.kind,
+        category: line.category,
+        label: line.label || line.category,
+        planned: plannedAmount,
+        actual,
+        committed,
+        // Écart favorable positif : dépense sous le budget, recette au-dessus
+        variance: line.kind === 'expense' ? round2(plannedAmount - consumed) : round2(actual - plannedAmount),
+        consumption,
+        status,
+        ...(ytdMonths && {
+          yearToDate: {
+            planned: planned(line, ytdMonths),
+            actual: BudgetService.sumMonths(source[line.category], ytdMonths)
+          }
+        })
+      };
+    });
+
+    // Réalisé hors budget (catégories sans ligne)
+    const budgeted = new Set(budget.lines.map((l) => `${l.kind}:${l.category}`));
+    const unbudgeted = [
+      ...Object.entries(actuals.expense).map(([category, byMonth]) => ({ kind: 'expense', category, actual: BudgetService.sumMonths(byMonth, months) })),
+      ...Object.entries(actuals.income).map(([category, byMonth]) => ({ kind: 'income', category, actual: BudgetService.sumMonths(byMonth, months) }))
+    ].filter((item) => !budgeted.has(`${item.kind}:${item.category}`) && item.actual > 0);
+
+    const total = (kind, field) => round2(lines.filter((l) => l.kind === kind).reduce((sum, l) => sum + l[field], 0));
+    const unbudgetedTotal = (kind) => round2(unbudgeted.filter((u) => u.kind === kind).reduce((sum, u) => sum + u.actual, 0));
+
+    const totals = {
+      expense: { planned: total('expense', 'planned'), actual: round2(total('expense', 'actual') + unbudgetedTotal('expense')), committed: total('expense', 'committed') },
+      income: { planned: total('income', 'planned'), actual: round2(total('income', 'actual') + unbudgetedTotal('income')) }
+    };
+    totals.plannedNet = round2(totals.income.planned - totals.expense.planned);
+    totals.actualNet = round2(totals.income.actual - totals.expense.actual);
+
+    const report = {
+      budget: {
+        id: budget.id,
+        name: budget.name,
+        fiscalYear: budget.fiscalYear,
+        section: budget.section || null,
+        currency: budget.currency,
+        status: budget.status,
+        overrunPolicy: budget.overrunPolicy
+      },
+      period: { type: selectedMonth ? 'month' : 'year', year: budget.fiscalYear, month: selectedMonth },
+      lines,
+      unbudgeted,
+      totals,
+      generatedAt: new Date()
+    };
+
+    // Vue mensuelle de l'exercice
+    if (!selectedMonth) {
+      report.months = months.map((m) => {
+        const sumKind = (kind, source) => round2(budget.lines.filter((l) => l.kind === kind)
+          .reduce((sum, l) => sum + (source ? (source[l.category]?.[m] || 0) : l.getPlannedForMonth(m)), 0));
+        return {
+          month: m,
+          expensePlanned: sumKind('expense'),
+          expenseActual: sumKind('expense', actuals.expense),
+          incomePlanned: sumKind('income'),
+          incomeActual: sumKind('income', actuals.income)
+        };
+      });
+    }
+
+    return report;
+  }
+
+  // ============================================================
+  // 🚦 CONTRÔLE DES APPROBATIONS
+  // ============================================================
+
+  /**
+   * 🚦 Dépense au regard des budgets actifs (section et central) de l'exercice en cours
+   * Retourne { allowed, warnings: [...] } ; une ligne dépassée bloque si le budget est en mode "block"
+   */
+  static async checkExpense(expenseRequest, amount, { date = new Date() } = {}) {
+    const budgets = await Budget.findAll({
+      where: {
+        associationId: expenseRequest.associationId,
+        fiscalYear: date.getFullYear(),
+        status: 'active',
+        sectionId: expenseRequest.sectionId ? { [Op.or]: [expenseRequest.sectionId, null] } : null
+      },
+      include: [{ model: BudgetLine, as: 'lines', where: { kind: 'expense' }, required: false }]
+    });
+
+    const warnings = [];
+    let allowed = true;
+
+    for (const budget of budgets) {
+      const line = budget.lines.find((l) => l.category === expenseRequest.expenseType);
+      const { amount: requested } = await CurrencyService.convert(
+        budget.associationId,
+        amount,
+        expenseRequest.currency,
+        budget.currency,
+        { date }
+      );
+
+      let planned = 0;
+      let consumed = 0;
+      if (line) {
+        const actuals = await BudgetService.getActuals(budget, { excludeRequestId: expenseRequest.id });
+        const allMonths = Array.from({ length: 12 }, (_, i) => i + 1);
+        planned = round2(line.annualAmount);
+        consumed = round2(
+          BudgetService.sumMonths(actuals.expense[line.category], allMonths) +
+          BudgetService.sumMonths(actuals.committed[line.category], allMonths)
+        );
+      }
+
+      const remaining = round2(planned - consumed);
+      if (requested <= remaining) continue;
+
+      const blocking = budget.overrunPolicy === 'block';
+      if (blocking) allowed = false;
+
+      warnings.push({
+        budgetId: budget.id,
+        budget: budget.name,
+        sectionId: budget.sectionId,
+        category: expenseRequest.expenseType,
+        code: line ? 'BUDGET_LINE_EXCEEDED' : 'BUDGET_LINE_MISSING',
+        message: line
+          ? `Le budget "${budget.name}" est dépassé pour "${line.label || line.category}"`
+          : `Aucune ligne "${expenseRequest.expenseType}" au budget "${budget.name}"`,
+        blocking,
+        currency: budget.currency,
+        planned,
+        consumed,
+        remaining,
+        requested,
+        overrun: round2(requested - Math.max(0, remaining))
+      });
+    }
+
+    return { allowed, warnings };
+  }
+}
+
+BudgetService.EXPENSE_TYPES = EXPENSE_TYPES;
+BudgetService.COTISATIONS_CATEGORY = COTISATIONS_CATEGORY;
+BudgetService.REPORT_COLUMNS = [
+  { key: 'kind', fr: 'Nature', en: 'Kind', value: (r, lang) => ({ expense: { fr: 'Dépense', en: 'Expense' }, income: { fr: 'Recette', en: 'Income' } })[r.kind][lang] },
+  { key: 'label', fr: 'Ligne', en: 'Line', width: 2 },
+  { key: 'planned', fr: 'Prévu', en: 'Planned', type: 'amount' },
+  { key: 'actual', fr: 'Réalisé', en: 'Actual', type: 'amount' },
+  { key: 'committed', fr: 'Engagé', en: 'Committed', type: 'amount' },
+  { key: 'variance', fr: 'Écart', en: 'Variance', type: 'amount' },
+  { key: 'consumption', fr: 'Consommation (%)', en: 'Consumption (%)', value: (r) => (r.consumption === null ? '' : r.consumption) },
+  { key: 'status', fr: 'Statut', en: 'Status' }
+];
+BudgetService.budgetError = budgetError;
+
+module.exports = BudgetService;
@@ -0,0 +1,351 @@
+// src/modules/associations/services/cotisationCollectorService.js
+// Prélèvement automatique des cotisations mensuelles (membres avec autoPaymentEnabled)
+
+const { Op } = require('sequelize');
+const { sequelize, Association, AssociationMember, Transaction } = require('../../../models');
+const PaymentService = require('../../../core/payments/services/paymentService');
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Délais entre tentatives (jours après la précédente) : 1, 3 puis 7 jours
+const RETRY_DELAYS_DAYS = (process.env.AUTO_DEBIT_RETRY_DAYS || '1,3,7').split(',').map((d) => parseInt(d));
+const MAX_ATTEMPTS = RETRY_DELAYS_DAYS.length + 1;
+
+// Tentative réservée sans réponse de Stripe au-delà de ce délai (processus interrompu) : reprise
+const CLAIM_TIMEOUT_MINUTES = 15;
+
+class CotisationCollectorService {
+  /**
+   * 💶 Montant dû : cotisation personnalisée du membre, sinon celle de son type
+   */
+  static resolveAmount(member, association) {
+    if (member.cotisationAmount !== null && member.cotisationAmount !== undefined) {
+      return parseFloat(member.cotisationAmount);
+    }
+
+    const memberTypes = Array.isArray(association.memberTypes) ? association.memberTypes : [];
+    const type = memberTypes.find((t) => t.name === member.memberType);
+    return parseFloat(type?.cotisationAmount || 0);
+  }
+
+  /**
+   * ⏳ Prochaine tentative autorisée après un échec (null si tentatives épuisées)
+   */
+  static nextRetryAt(transaction) {
+    const autoDebit = transaction.metadata?.autoDebit || {};
+    const attempts = autoDebit.attempts || 0;
+    if (attempts >= MAX_ATTEMPTS) return null;
+
+    const last = new Date(autoDebit.lastAttemptAt || transaction.updatedAt);
+    return new Date(last.getTime() + RETRY_DELAYS_DAYS[attempts - 1] * DAY_MS);
+  }
+
+  /**
+   * 💳 Débiter le membre hors session (PaymentIntent confirmé côté serveur)
+   * La clé d'idempotence ne change qu'après un refus confirmé par Stripe : une tentative
+   * interrompue (réseau, base) est rejouée avec la même clé et ne peut pas débiter deux fois
+   */
+  static async charge(transaction, member, currency, attempt) {
+    const autoDebit = transaction.metadata?.autoDebit || {};
+    let paymentIntent;
+
+    try {
+      const paymentMethod = await stripe.paymentMethods.retrieve(member.paymentMethodId);
+
+      paymentIntent = await stripe.paymentIntents.create({
+        amount: PaymentService.toStripeAmount(transaction.amount, currency),
+        currency: currency.toLowerCase(),
+        customer: paymentMethod.customer || undefined,
+        payment_method: member.paymentMethodId,
+        off_session: true,
+        confirm: true,
+        metadata: {
+          associationId: String(transaction.associationId),
+          memberId: String(member.id),
+          type: 'cotisation',
+          month: String(transaction.month),
+          year: String(transaction.year),
+          transactionId: String(transaction.id),
+          autoDebit: 'true'
+        }
+      }, {
+        idempotencyKey: `auto-debit-${transaction.id}-${attempt}`
+      });
+    } catch (error) {
+      // Refus confirmé par Stripe (carte refusée, authentification requise) : nouvelle tentative plus tard
+      if (error.type === 'StripeCardError') {
+        await transaction.update({
+          status: 'failed',
+          failureReason: (error.message || 'Prélèvement refusé').substring(0, 250),
+          externalTransactionId: error.raw?.payment_intent?.id || transaction.externalTransactionId,
+          metadata: {
+            ...(transaction.metadata || {}),
+            autoDebit: {
+              ...autoDebit,
+              attempts: attempt,
+              pendingAttempt: null,
+              claimedAt: null,
+              lastAttemptAt: new Date().toISOString(),
+              lastError: error.code || error.message
+            }
+          }
+        });
+
+        return 'failed';
+      }
+
+      // Issue inconnue : la tentative reste réservée, rejouée avec la même clé à l'expiration de la réservation
+      await transaction.update({
+        metadata: {
+          ...(transaction.metadata || {}),
+          autoDebit: { ...autoDebit, lastError: error.code || error.message }
+        }
+      });
+      throw error;
+    }
+
+    // PaymentIntent créé : la transaction n'est plus jamais marquée en échec ici (le webhook Stripe fait foi)
+    await transaction.update({
+      externalTransactionId: paymentIntent.id,
+      paymentProvider: 'stripe',
+      status: 'processing',
+      processedAt: new Date(),
+      metadata: {
+        ...(transaction.metadata || {}),
+        autoDebit: {
+          ...autoDebit,
+          attempts: attempt,
+          pendingAttempt: null,
+          claimedAt: null,
+          lastAttemptAt: new Date().toISOString(),
+          lastError: null
+        }
+      }
+    });
+
+    if (paymentIntent.status === 'succeeded') {
+      await PaymentService.markSucceeded(transaction, { externalTransactionId: paymentIntent.id });
+      return 'succeeded';
+    }
+
+    // Confirmation asynchrone : le webhook Stripe finalisera
+    return 'processing';
+  }
+
+  /**
+   * 🔒 Réserver la tentative de prélèvement du membre pour la période
+   * Verrou consultatif membre + mois : le cron et un lancement manuel simultanés ne prélèvent qu'une fois
+   * Retourne { transaction, attempt } à débiter, sinon { outcome } (rien à prélever)
+   */
+  static async claimAttempt(member, association, { month, year, now, amount }) {
+    return sequelize.transaction(async (t) => {
+      await sequelize.query('SELECT pg_advisory_xact_lock(hashtext(:key))', {
+        replacements: { key: `auto-debit:${member.id}:${year}-${month}` },
+        transaction: t
+      });
+
+      const existing = await Transaction.findAll({
+        where: { memberId: member.id, type: 'cotisation', month, year },
+        order: [['createdAt', 'DESC']],
+        transaction: t
+      });
+
+      if (existing.some((tx) => tx.status === 'completed')) return { outcome: 'skipped', reason: 'ALREADY_PAID' };
+
+      // Mois remboursé : jamais reprélevé automatiquement (décision du trésorier)
+      if (existing.some((tx) => tx.status === 'refunded')) return { outcome: 'skipped', reason: 'REFUNDED' };
+
+      // Paiement manuel en attente de validation : ne pas prélever en double
+      if (existing.some((tx) => !tx.metadata?.autoDebit && ['pending', 'processing'].includes(tx.status))) {
+        return { outcome: 'skipped', reason: 'MANUAL_PAYMENT_PENDING' };
+      }
+
+      let transaction = existing.find((tx) => tx.metadata?.autoDebit);
+      let attempt;
+
+      if (transaction) {
+        const autoDebit = transaction.metadata.autoDebit;
+
+        if (transaction.status === 'cancelled') return { outcome: 'skipped', reason: 'CANCELLED' };
+
+        if (transaction.status === 'processing') {
+          // PaymentIntent créé : le webhook Stripe finalisera
+          if (transaction.externalTransactionId) return { outcome: 'processing', transactionId: transaction.id };
+
+          // Tentative réservée par une autre exécution, encore en cours
+          const claimedAt = new Date(autoDebit.claimedAt || transaction.updatedAt);
+          if (Date.now() - claimedAt.getTime() < CLAIM_TIMEOUT_MINUTES * 60 * 1000) {
+            return { outcome: 'processing', transactionId: transaction.id };
+          }
+
+          // Sans réponse de Stripe : même tentative, même clé d'idempotence
+          attempt = autoDebit.pendingAttempt || (autoDebit.attempts || 0) + 1;
+        } else if (transaction.status === 'failed') {
+          const retryAt = CotisationCollectorService.nextRetryAt(transaction);
+          if (!retryAt) return { outcome: 'exhausted', transactionId: transaction.id };
+          if (retryAt > now) return { outcome: 'waiting', transactionId: transaction.id, retryAt };
+          attempt = (autoDebit.attempts || 0) + 1;
+        } else {
+          attempt = (autoDebit.attempts || 0) + 1;
+        }
+      } else {
+        transaction = await Transaction.create({
+          userId: member.userId,
+          associationId: association.id,
+          sectionId: member.sectionId,
+          memberId: member.id,
+          type: 'cotisation',
+          amount,
+          currency: association.primaryCurrency || 'EUR',
+          month,
+          year,
+          paymentMethod: 'card',
+          paymentMethodId: member.paymentMethodId,
+          status: 'pending',
+          description: `Cotisation ${month}/${year} (prélèvement automatique)`,
+          source: 'app',
+          isRecurring: true,
+          scheduledDate: new Date(year, month - 1, association.cotisationSettings?.dueDay || 5),
+          metadata: { autoDebit: { attempts: 0 } }
+        }, { transaction: t });
+        attempt = 1;
+      }
+
+      // Référence d'un PaymentIntent refusé effacée : l'absence de référence signale la tentative en vol
+      await transaction.update({
+        status: 'processing',
+        externalTransactionId: null,
+        metadata: {
+          ...(transaction.metadata || {}),
+          autoDebit: { ...transaction.metadata.autoDebit, pendingAttempt: attempt, claimedAt: new Date().toISOString() }
+        }
+      }, { transaction: t });
+
+      return { transaction, attempt };
+    });
+  }
+
+  /**
+   * 👤 Traiter un membre pour la période (idempotent : une transaction par membre/mois/année)
+   */
+  static async collectMember(member, association, { month, year, now }) {
+    const amount = CotisationCollectorService.resolveAmount(member, association);
+    if (!(amount > 0)) return { outcome: 'skipped', reason: 'NO_AMOUNT' };
+
+    const claim = await CotisationCollectorService.claimAttempt(member, association, { month, year, now, amount });
+    if (!claim.transaction) return claim;
+
+    const { transaction, attempt } = claim;
+    const outcome = await CotisationCollectorService.charge(transaction, member, transaction.currency, attempt);
+    return { outcome, transactionId: transaction.id, amount };
+  }
+
+  /**
+   * 🏛️ Campagne de prélèvement d'une association pour le mois en cours
+   */
+  static async collectAssociation(association, now = new Date()) {
+    const settings = association.cotisationSettings || {};
+    const dueDay = settings.dueDay || 5;
+    const gracePeriodDays = settings.gracePeriodDays ?? 5;
+    const month = now.getMonth() + 1;
+    const year = now.getFullYear();
+
+    const report = {
+      associationId: association.id,
+      associationName: association.name,
+      period: { month, year },
+      dueDay,
+      members: 0,
+      succeeded: 0,
+      processing: 0,
+      failed: 0,
+      waitingRetry: 0,
+      exhausted: 0,
+      skipped: 0,
+      markedLate: 0,
+      amountCollected: 0,
+      currency: association.primaryCurrency || 'EUR',
+      errors: []
+    };
+
+    // Avant l'échéance : rien à prélever
+    if (now.getDate() < dueDay) {
+      report.notDueUntil = new Date(year, month - 1, dueDay);
+      return report;
+    }
+
+    const members = await AssociationMember.findAll({
+      where: {
+        associationId: association.id,
+        status: 'active',
+        autoPaymentEnabled: true,
+        paymentMethodId: { [Op.ne]: null }
+      }
+    });
+    report.members = members.length;
+
+    const graceEnd = new Date(year, month - 1, dueDay + gracePeriodDays, 23, 59, 59);
+
+    for (const member of members) {
+      try {
+        const result = await CotisationCollectorService.collectMember(member, association, { month, year, now });
+
+        switch (result.outcome) {
+          case 'succeeded':
+            report.succeeded++;
+            report.amountCollected = parseFloat((report.amountCollected + result.amount).toFixed(2));
+            break;
+          case 'processing':
+            report.processing++;
+            break;
+          case 'failed':
+            report.failed++;
+            break;
+          case 'waiting':
+            report.waitingRetry++;
+            break;
+          case 'exhausted':
+            report.exhausted++;
+            break;
+          default:
+            report.skipped++;
+        }
+
+        // Délai de grâce dépassé sans paiement : membre en retard
+        const unpaid = ['failed', 'waiting', 'exhausted'].includes(result.outcome);
+        if (unpaid && now > graceEnd && member.contributionStatus === 'uptodate') {
+          await member.update({ contributionStatus: 'late' });
+          report.markedLate++;
+        }
+      } catch (error) {
+        report.errors.push({ memberId: member.id, error: error.message });
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * 🔄 Toutes les associations actives (appelé par le cron quotidien)
+   */
+  static async collectAll(now = new Date()) {
+    const associations = await Association.findAll({ where: { status: 'active' } });
+    const reports = [];
+
+    for (const association of associations) {
+      try {
+        reports.push(await CotisationCollectorService.collectAssociation(association, now));
+      } catch (error) {
+        reports.push({ associationId: association.id, associationName: association.name, errors: [{ error: error.message }] });
+      }
+    }
+
+    return reports;
+  }
+}
+
+CotisationCollectorService.RETRY_DELAYS_DAYS = RETRY_DELAYS_DAYS;
+
+module.exports = CotisationCollectorService;
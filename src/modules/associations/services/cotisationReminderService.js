@@ -0,0 +1,355 @@
+// src/modules/associations/services/cotisationReminderService.js
+// Campagnes de relance des cotisations : étapes avant / après l'échéance (J-3, J0, J+3, J+10...) et relance manuelle
+
+const { Op } = require('sequelize');
+const { Association, AssociationMember, Transaction } = require('../../../models');
+const NotificationService = require('../../../core/services/notificationService');
+const CotisationCollectorService = require('./cotisationCollectorService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const REMINDER_TEMPLATES = ['cotisation_due', 'cotisation_due_today', 'cotisation_late', 'cotisation_final_notice'];
+
+// offsetDays : jours par rapport à l'échéance (dueDay) ; négatif = avant
+const DEFAULT_SCHEDULE = [
+  { offsetDays: -3, template: 'cotisation_due', channels: ['in_app', 'push', 'email'] },
+  { offsetDays: 0, template: 'cotisation_due_today', channels: ['in_app', 'push', 'sms'] },
+  { offsetDays: 3, template: 'cotisation_late', channels: ['in_app', 'push', 'sms', 'email'] },
+  { offsetDays: 10, template: 'cotisation_final_notice', channels: ['in_app', 'push', 'sms', 'email'] }
+];
+
+// Une étape manquée (cron arrêté) reste envoyable pendant ce nombre de jours
+const CATCH_UP_DAYS = 2;
+
+// Erreur métier (status HTTP + code)
+function reminderError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('fr-FR');
+}
+
+class CotisationReminderService {
+  /**
+   * ⚙️ Calendrier de relance de l'association (cotisationSettings.reminderSchedule)
+   */
+  static getSchedule(association) {
+    const settings = association.cotisationSettings || {};
+    const steps = Array.isArray(settings.reminderSchedule) ? settings.reminderSchedule : DEFAULT_SCHEDULE;
+
+    return {
+      enabled: settings.remindersEnabled !== false,
+      dueDay: settings.dueDay || 5,
+      steps: [...steps].sort((a, b) => a.offsetDays - b.offsetDays)
+    };
+  }
+
+  /**
+   * ✏️ Modifier le calendrier (étapes : décalage unique, modèle, canaux)
+   */
+  static async updateSchedule(associationId, { enabled, steps }) {
+    const association = await Association.findByPk(associationId);
+    if (!association) {
+      throw reminderError(404, 'ASSOCIATION_NOT_FOUND', 'Association introuvable');
+    }
+
+    const settings = association.cotisationSettings || {};
+    const updates = {};
+
+    if (enabled !== undefined) updates.remindersEnabled = !!enabled;
+
+    if (steps !== undefined) {
+      const normalized = steps.map((step) => ({
+        offsetDays: parseInt(step.offsetDays),
+        template: step.template,
+        channels: [...new Set(step.channels)]
+      }));
+
+      const offsets = normalized.map((step) => step.offsetDays);
+      if (new Set(offsets).size !== offsets.length) {
+        throw reminderError(400, 'DUPLICATE_REMINDER_STEP', 'Deux étapes ne peuvent pas avoir le même décalage');
+      }
+      updates.reminderSchedule = normalized.sort((a, b) => a.offsetDays - b.offsetDays);
+    }
+
+    await association.update({ cotisationSettings: { ...settings, ...updates } });
+    return CotisationReminderService.getSchedule(association);
+  }
+
+  // Périodes autour d'aujourd'hui (mois précédent, en cours, suivant) avec l'écart en jours à l'échéance
+  static periodsAround(dueDay, now) {
+    const today = startOfDay(now);
+
+    return [-1, 0, 1].map((offset) => {
+      const dueDate = new Date(today.getFullYear(), today.getMonth() + offset, dueDay);
+      return {
+        month: dueDate.getMonth() + 1,
+        year: dueDate.getFullYear(),
+        key: `${dueDate.getFullYear()}-${String(dueDate.getMonth() + 1).padStart(2, '0')}`,
+        dueDate,
+        daysFromDue: Math.round((today - dueDate) / DAY_MS)
+      };
+    });
+  }
+
+  // Étape à envoyer aujourd'hui pour une période (la plus avancée, dans la fenêtre de rattrapage)
+  static dueStep(steps, daysFromDue) {
+    return steps
+      .filter((step) => step.offsetDays <= daysFromDue && daysFromDue - step.offsetDays <= CATCH_UP_DAYS)
+      .pop() || null;
+  }
+
+  static stepKey(period, offsetDays) {
+    return `${period.key}:${offsetDays >= 0 ? '+' : ''}${offsetDays}`;
+  }
+
+  // Étape automatique déjà envoyée pour cette période (même étape ou plus avancée)
+  static alreadyReminded(member, period, offsetDays) {
+    const [periodKey, offset] = String(member.lastReminderStep || '').split(':');
+    if (periodKey !== period.key || offset === undefined || offset === 'manual') return false;
+    return parseInt(offset) >= offsetDays;
+  }
+
+  /**
+   * 💳 État du paiement de chaque membre pour une période
+   * paid | processing | pending (paiement manuel à valider) | auto_debit_failed
+   */
+  static async getPaymentStates(associationId, period) {
+    const transactions = await Transaction.findAll({
+      where: {
+        associationId,
+        type: 'cotisation',
+        month: period.month,
+        year: period.year,
+        status: { [Op.notIn]: ['cancelled', 'refunded'] }
+      },
+      attributes: ['memberId', 'status', 'metadata']
+    });
+
+    const rank = { paid: 4, processing: 3, pending: 2, auto_debit_failed: 1 };
+    const states = new Map();
+
+    transactions.forEach((transaction) => {
+      let state = null;
+      if (transaction.status === 'completed') state = 'paid';
+      else if (transaction.status === 'processing') state = 'processing';
+      else if (transaction.status === 'pending' && !transaction.metadata?.autoDebit) state = 'pending';
+      else if (transaction.status === 'failed' && transaction.metadata?.autoDebit) state = 'auto_debit_failed';
+
+      const current = states.get(transaction.memberId);
+      if (state && (!current || rank[state] > rank[current])) {
+        states.set(transaction.memberId, state);
+      }
+    });
+
+    return states;
+  }
+
+  // Motif pour ne pas relancer ce membre (null = à relancer)
+  static skipReason(member, association, period, state) {
+    if (state === 'paid') return 'ALREADY_PAID';
+    if (state === 'processing') return 'PAYMENT_PROCESSING';
+    if (state === 'pending') return 'PAYMENT_PENDING_VALIDATION';
+    // Prélèvement automatique : relance seulement si le prélèvement de la période a échoué
+    if (member.autoPaymentEnabled && member.paymentMethodId && state !== 'auto_debit_failed') return 'AUTO_DEBIT';
+    if (!(CotisationCollectorService.resolveAmount(member, association) > 0)) return 'NO_AMOUNT';
+    if (member.joinDate && startOfDay(new Date(member.joinDate)) > period.dueDate) return 'JOINED_AFTER_DUE_DATE';
+    return null;
+  }
+
+  /**
+   * 🔔 Relancer un membre et mettre à jour ses compteurs
+   * Compteur remis à zéro à chaque nouvelle période ; une relance manuelle ne bloque pas les étapes automatiques
+   */
+  static async remindMember(member, association, period, { template, channels, offsetDays = null }) {
+    const amount = CotisationCollectorService.resolveAmount(member, association);
+
+    const notifications = await NotificationService.notify(template, member.userId, {
+      associationId: association.id,
+      member,
+      channels,
+      data: {
+        period: `${String(period.month).padStart(2, '0')}/${period.year}`,
+        amount: amount.toFixed(2),
+        currency: association.primaryCurrency || 'EUR',
+        dueDate: formatDate(period.dueDate),
+        associationName: association.name,
+        associationId: association.id,
+        memberId: member.id,
+        month: period.month,
+        year: period.year
+      }
+    });
+
+    const samePeriod = String(member.lastReminderStep || '').startsWith(`${period.key}:`);
+    const lastReminderStep = offsetDays !== null
+      ? CotisationReminderService.stepKey(period, offsetDays)
+      : samePeriod ? member.lastReminderStep : `${period.key}:manual`;
+
+    await member.update({
+      lastReminderSent: new Date(),
+      remindersSentCount: samePeriod ? member.remindersSentCount + 1 : 1,
+      lastReminderStep
+    });
+
+    return notifications;
+  }
+
+  /**
+   * 🏛️ Campagne du jour pour une association (idempotent ; dryRun = simulation sans envoi)
+   */
+  static async runAssociation(association, now = new Date(), { dryRun = false } = {}) {
+    const schedule = CotisationReminderService.getSchedule(association);
+    const report = {
+      associationId: association.id,
+      associationName: association.name,
+      enabled: schedule.enabled,
+      steps: [],
+      sent: 0,
+      skipped: {},
+      recipients: [],
+      errors: []
+    };
+
+    if (!schedule.enabled || schedule.steps.length === 0) return report;
+
+    const members = await AssociationMember.findAll({
+      where: { associationId: association.id, status: 'active' }
+    });
+    const reminded = new Set();
+
+    // Période la plus ancienne d'abord : un membre reçoit au plus une relance par jour
+    for (const period of CotisationReminderService.periodsAround(schedule.dueDay, now)) {
+      const step = CotisationReminderService.dueStep(schedule.steps, period.daysFromDue);
+      if (!step) continue;
+
+      report.steps.push({ period: period.key, offsetDays: step.offsetDays, template: step.template });
+      const states = await CotisationReminderService.getPaymentStates(association.id, period);
+
+      for (const member of members) {
+        if (reminded.has(member.id)) continue;
+
+        const reason = CotisationReminderService.alreadyReminded(member, period, step.offsetDays)
+          ? 'ALREADY_REMINDED'
+          : CotisationReminderService.skipReason(member, association, period, states.get(member.id));
+
+        if (reason) {
+          report.skipped[reason] = (report.skipped[reason] || 0) + 1;
+          continue;
+        }
+
+        reminded.add(member.id);
+        report.recipients.push({ memberId: member.id, period: period.key, offsetDays: step.offsetDays });
+        if (dryRun) continue;
+
+        try {
+          await CotisationReminderService.remindMember(member, association, period, step);
+          report.sent++;
+        } catch (error) {
+          report.errors.push({ memberId: member.id, error: error.message });
+        }
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * ⏱️ Campagnes du jour pour toutes les associations actives (cron)
+   */
+  static async runAll(now = new Date()) {
+    const associations = await Association.findAll({ where: { status: 'active' } });
+    const reports = [];
+
+    for (const association of associations) {
+      try {
+        reports.push(await CotisationReminderService.runAssociation(association, now));
+      } catch (error) {
+        reports.push({ associationId: association.id, associationName: association.name, error: error.message });
+      }
+    }
+
+    return reports;
+  }
+
+  /**
+   * 📣 Relance manuelle ("relancer") par le trésorier
+   * Période par défaut : dernière échéance atteinte ; modèle par défaut selon l'écart à l'échéance
+   */
+  static async sendManualReminders(associationId, { memberIds, month, year, template, channels } = {}, now = new Date()) {
+    const association = await Association.findByPk(associationId);
+    if (!association) {
+      throw reminderError(404, 'ASSOCIATION_NOT_FOUND', 'Association introuvable');
+    }
+
+    const { dueDay } = CotisationReminderService.getSchedule(association);
+    const periods = CotisationReminderService.periodsAround(dueDay, now);
+    let period;
+
+    if (month && year) {
+      const dueDate = new Date(parseInt(year), parseInt(month) - 1, dueDay);
+      period = {
+        month: parseInt(month),
+        year: parseInt(year),
+        key: `${year}-${String(month).padStart(2, '0')}`,
+        dueDate,
+        daysFromDue: Math.round((startOfDay(now) - dueDate) / DAY_MS)
+      };
+    } else {
+      period = periods[1].daysFromDue >= 0 ? periods[1] : periods[0];
+    }
+
+    const resolvedTemplate = template || (
+      period.daysFromDue < 0 ? 'cotisation_due' : period.daysFromDue === 0 ? 'cotisation_due_today' : 'cotisation_late'
+    );
+
+    const members = await AssociationMember.findAll({
+      where: {
+        associationId,
+        status: 'active',
+        ...(memberIds?.length && { id: memberIds.map((id) => parseInt(id)) })
+      }
+    });
+
+    const states = await CotisationReminderService.getPaymentStates(associationId, period);
+    const report = { period: period.key, template: resolvedTemplate, sent: 0, skipped: [], recipients: [], errors: [] };
+
+    for (const member of members) {
+      const reason = CotisationReminderService.skipReason(member, association, period, states.get(member.id));
+      if (reason) {
+        report.skipped.push({ memberId: member.id, reason });
+        continue;
+      }
+
+      try {
+        const notifications = await CotisationReminderService.remindMember(member, association, period, {
+          template: resolvedTemplate,
+          channels
+        });
+        report.sent++;
+        report.recipients.push({
+          memberId: member.id,
+          channels: notifications.map((n) => ({ channel: n.channel, status: n.status }))
+        });
+      } catch (error) {
+        report.errors.push({ memberId: member.id, error: error.message });
+      }
+    }
+
+    return report;
+  }
+}
+
+CotisationReminderService.REMINDER_TEMPLATES = REMINDER_TEMPLATES;
+CotisationReminderService.DEFAULT_SCHEDULE = DEFAULT_SCHEDULE;
+CotisationReminderService.reminderError = reminderError;
+
+module.exports = CotisationReminderService;
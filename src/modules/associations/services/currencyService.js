@@ -0,0 +1,360 @@
+// src/modules/associations/services/currencyService.js
+// Multi-devises : taux de change datés, conversion vers la devise principale, import de taux
+
+const ExcelJS = require('exceljs');
+const { Op } = require('sequelize');
+const { Association, ExchangeRate } = require('../../../models');
+
+const SUPPORTED_CURRENCIES = ['EUR', 'USD', 'GBP', 'CAD', 'CHF', 'XOF', 'XAF'];
+
+// Parités fixes (1 EUR = 655,957 XOF / XAF) : utilisées à défaut de taux saisi
+const FIXED_PEGS = {
+  'EUR:XOF': 655.957,
+  'EUR:XAF': 655.957
+};
+
+// En-têtes acceptés dans les fichiers importés
+const IMPORT_HEADERS = {
+  baseCurrency: ['basecurrency', 'base', 'from', 'devise_base', 'devise source'],
+  quoteCurrency: ['quotecurrency', 'quote', 'to', 'devise_cotation', 'devise cible'],
+  rate: ['rate', 'taux'],
+  effectiveDate: ['effectivedate', 'date', 'date_effet', "date d'effet"]
+};
+
+const round2 = (value) => parseFloat(parseFloat(value || 0).toFixed(2));
+const round8 = (value) => parseFloat(parseFloat(value).toFixed(8));
+
+// Erreur métier (status HTTP + code)
+function currencyError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+// Date au format YYYY-MM-DD (colonne DATEONLY)
+function toDateOnly(date) {
+  const value = date ? new Date(date) : new Date();
+  return value.toISOString().split('T')[0];
+}
+
+class CurrencyService {
+  static normalize(currency) {
+    return String(currency || 'EUR').toUpperCase();
+  }
+
+  /**
+   * 🏛️ Devise principale de l'association
+   */
+  static async getPrimaryCurrency(associationId, t) {
+    const association = await Association.findByPk(associationId, {
+      attributes: ['id', 'primaryCurrency'],
+      transaction: t
+    });
+    return CurrencyService.normalize(association?.primaryCurrency);
+  }
+
+  // Dernier taux saisi pour la paire à la date (taux de l'association prioritaire sur le taux commun)
+  static async findStoredRate(associationId, base, quote, date, t) {
+    const rows = await ExchangeRate.findAll({
+      where: {
+        associationId: associationId ? { [Op.or]: [associationId, null] } : null,
+        baseCurrency: base,
+        quoteCurrency: quote,
+        effectiveDate: { [Op.lte]: toDateOnly(date) }
+      },
+      order: [['effectiveDate', 'DESC']],
+      limit: 2,
+      transaction: t
+    });
+
+    if (!rows.length) return null;
+
+    // À date égale, le taux propre à l'association l'emporte
+    const [latest, previous] = rows;
+    const chosen = previous && previous.effectiveDate === latest.effectiveDate && !latest.associationId
+      ? previous
+      : latest;
+
+    return { rate: parseFloat(chosen.rate), effectiveDate: chosen.effectiveDate, source: chosen.source };
+  }
+
+  // Taux direct, inverse ou parité fixe
+  static async findPairRate(associationId, from, to, date, t) {
+    const direct = await CurrencyService.findStoredRate(associationId, from, to, date, t);
+    if (direct) return direct;
+
+    const inverse = await CurrencyService.findStoredRate(associationId, to, from, date, t);
+    if (inverse) return { ...inverse, rate: round8(1 / inverse.rate) };
+
+    if (FIXED_PEGS[`${from}:${to}`]) return { rate: FIXED_PEGS[`${from}:${to}`], effectiveDate: null, source: 'peg' };
+    if (FIXED_PEGS[`${to}:${from}`]) return { rate: round8(1 / FIXED_PEGS[`${to}:${from}`]), effectiveDate: null, source: 'peg' };
+
+    return null;
+  }
+
+  /**
+   * 💱 Taux de conversion from → to applicable à une date
+   * Ordre : même devise, taux direct, inverse, parité fixe, puis croisement via l'euro
+   */
+  static async findRate(associationId, from, to, date = new Date(), t) {
+    from = CurrencyService.normalize(from);
+    to = CurrencyService.normalize(to);
+
+    if (from === to) return { rate: 1, effectiveDate: null, source: 'identity' };
+
+    const pair = await CurrencyService.findPairRate(associationId, from, to, date, t);
+    if (pair) return pair;
+
+    if (from !== 'EUR' && to !== 'EUR') {
+      const [toEur, fromEur] = await Promise.all([
+        CurrencyService.findPairRate(associationId, from, 'EUR', date, t),
+        CurrencyService.findPairRate(associationId, 'EUR', to, date, t)
+      ]);
+      if (toEur && fromEur) {
+        return {
+          rate: round8(toEur.rate * fromEur.rate),
+          effectiveDate: [toEur.effectiveDate, fromEur.effectiveDate].filter(Boolean).sort()[0] || null,
+          source: 'cross'
+        };
+      }
+    }
+
+    return null;
+  }
+
+  static async getRate(associationId, from, to, date = new Date(), t) {
+    const found = await CurrencyService.findRate(associationId, from, to, date, t);
+
+    if (!found) throw CurrencyService.missingRateError(from, to, date);
+
+    return found;
+  }
+
+  static missingRateError(from, to, date) {
+    const error = currencyError(422, 'EXCHANGE_RATE_MISSING',
+      `Aucun taux de change ${CurrencyService.normalize(from)} → ${CurrencyService.normalize(to)} au ${toDateOnly(date)}`);
+    error.details = { from: CurrencyService.normalize(from), to: CurrencyService.normalize(to), date: toDateOnly(date) };
+    return error;
+  }
+
+  /**
+   * 🔄 Convertir un montant (arrondi au centime)
+   */
+  static async convert(associationId, amount, from, to, { date = new Date(), t } = {}) {
+    const { rate, effectiveDate } = await CurrencyService.getRate(associationId, from, to, date, t);
+    return { amount: round2(parseFloat(amount || 0) * rate), rate, rateDate: effectiveDate };
+  }
+
+  /**
+   * 🏷️ Figer la conversion d'une opération en devise principale (une seule fois)
+   * record : Transaction, IncomeEntry ou ExpenseRequest (amount, currency)
+   */
+  static async stampConversion(record, { associationId, amount, date, t } = {}) {
+    const primary = await CurrencyService.getPrimaryCurrency(associationId || record.associationId, t);
+
+    if (record.exchangeRate && record.convertedCurrency === primary) {
+      return { rate: parseFloat(record.exchangeRate), primaryCurrency: primary };
+    }
+
+    const { rate } = await CurrencyService.getRate(
+      associationId || record.associationId,
+      record.currency,
+      primary,
+      date,
+      t
+    );
+
+    await record.update({
+      exchangeRate: rate,
+      convertedAmount: round2(parseFloat(amount ?? record.amount) * rate),
+      convertedCurrency: primary
+    }, { transaction: t, hooks: false });
+
+    return { rate, primaryCurrency: primary };
+  }
+
+  /**
+   * ➕ Total en devise cible de montants hétérogènes ({ amount, currency, date })
+   * Les montants déjà convertis dans cette devise (convertedAmount) sont repris tels quels
+   * skipMissingRates : montants sans taux exclus du total (signalés) au lieu d'une erreur 422
+   */
+  static async sumIn(associationId, items, target, { date, skipMissingRates = false } = {}) {
+    target = CurrencyService.normalize(target);
+    let total = 0;
+    const cache = {};
+
+    for (const item of items) {
+      if (item.convertedAmount !== null && item.convertedAmount !== undefined && item.convertedCurrency === target) {
+        total += parseFloat(item.convertedAmount);
+        continue;
+      }
+
+      const from = CurrencyService.normalize(item.currency);
+      const at = toDateOnly(date || item.date);
+      const key = `${from}:${at}`;
+      if (cache[key] === undefined) {
+        const found = await CurrencyService.findRate(associationId, from, target, at);
+        if (!found) {
+          if (!skipMissingRates) throw CurrencyService.missingRateError(from, target, at);
+          console.warn(`⚠️ Montant en ${from} exclu du total en ${target} : aucun taux au ${at}`);
+        }
+        cache[key] = found ? found.rate : null;
+      }
+      if (cache[key] === null) continue;
+      total += parseFloat(item.amount || 0) * cache[key];
+    }
+
+    return round2(total);
+  }
+
+  // ============================================================
+  // 📋 TABLE DES TAUX
+  // ============================================================
+
+  /**
+   * 📋 Taux saisis (association + taux communs)
+   */
+  static async listRates(associationId, { baseCurrency, quoteCurrency, dateFrom, dateTo } = {}) {
+    const where = { associationId: { [Op.or]: [associationId, null] } };
+    if (baseCurrency) where.baseCurrency = CurrencyService.normalize(baseCurrency);
+    if (quoteCurrency) where.quoteCurrency = CurrencyService.normalize(quoteCurrency);
+    if (dateFrom || dateTo) {
+      where.effectiveDate = {};
+      if (dateFrom) where.effectiveDate[Op.gte] = toDateOnly(dateFrom);
+      if (dateTo) where.effectiveDate[Op.lte] = toDateOnly(dateTo);
+    }
+
+    return ExchangeRate.findAll({
+      where,
+      order: [['effectiveDate', 'DESC'], ['baseCurrency', 'ASC'], ['quoteCurrency', 'ASC']]
+    });
+  }
+
+  /**
+   * ✍️ Saisir un taux (remplace le taux existant de la même paire à la même date)
+   */
+  static async setRate(associationId, { baseCurrency, quoteCurrency, rate, effectiveDate }, userId, { source = 'manual', t } = {}) {
+    const base = CurrencyService.normalize(baseCurrency);
+    const quote = CurrencyService.normalize(quoteCurrency);
+
+    if (!SUPPORTED_CURRENCIES.includes(base) || !SUPPORTED_CURRENCIES.includes(quote)) {
+      throw currencyError(400, 'UNSUPPORTED_CURRENCY', `Devise non supportée (${base}/${quote})`);
+    }
+    if (base === quote) {
+      throw currencyError(400, 'SAME_CURRENCY', 'Les deux devises doivent être différentes');
+    }
+    const value = parseFloat(rate);
+    if (!(value > 0)) {
+      throw currencyError(400, 'INVALID_RATE', 'Le taux doit être strictement positif');
+    }
+
+    const day = toDateOnly(effectiveDate);
+    const existing = await ExchangeRate.findOne({
+      where: { associationId, baseCurrency: base, quoteCurrency: quote, effectiveDate: day },
+      transaction: t
+    });
+
+    if (existing) {
+      await existing.update({ rate: round8(value), source, createdBy: userId }, { transaction: t });
+      return { rate: existing, created: false };
+    }
+
+    const created = await ExchangeRate.create({
+      associationId,
+      baseCurrency: base,
+      quoteCurrency: quote,
+      rate: round8(value),
+      effectiveDate: day,
+      source,
+      createdBy: userId
+    }, { transaction: t });
+
+    return { rate: created, created: true };
+  }
+
+  static async deleteRate(associationId, rateId) {
+    const rate = await ExchangeRate.findOne({ where: { id: rateId, associationId } });
+    if (!rate) {
+      throw currencyError(404, 'EXCHANGE_RATE_NOT_FOUND', 'Taux de change introuvable');
+    }
+    await rate.destroy();
+  }
+
+  /**
+   * 📥 Import d'un fichier de taux (CSV ; ou , / XLSX)
+   * Colonnes : baseCurrency, quoteCurrency, rate, effectiveDate
+   */
+  static async parseRatesFile(file) {
+    const name = (file.originalname || '').toLowerCase();
+    let rows;
+
+    if (name.endsWith('.xlsx')) {
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(file.buffer);
+      const sheet = workbook.worksheets[0];
+      rows = [];
+      sheet?.eachRow((row) => {
+        rows.push(row.values.slice(1).map((cell) => (cell instanceof Date ? toDateOnly(cell) : cell?.result ?? cell)));
+      });
+    } else {
+      const text = file.buffer.toString('utf8').replace(/^\ufeff/, '');
+      const lines = text.split(/\r?\n/).filter((line) => line.trim());
+      const separator = (lines[0] || '').includes(';') ? ';' : ',';
+      rows = lines.map((line) => line.split(separator).map((cell) => cell.trim().replace(/^"|"$/g, '')));
+    }
+
+    if (rows.length < 2) {
+      throw currencyError(400, 'EMPTY_IMPORT', 'Le fichier ne contient aucun taux');
+    }
+
+    const header = rows[0].map((cell) => String(cell || '').trim().toLowerCase());
+    const columns = Object.fromEntries(Object.entries(IMPORT_HEADERS).map(([field, aliases]) => [
+      field,
+      header.findIndex((h) => aliases.includes(h))
+    ]));
+
+    const missing = Object.entries(columns).filter(([, index]) => index < 0).map(([field]) => field);
+    if (missing.length) {
+      throw currencyError(400, 'INVALID_IMPORT_HEADER', `Colonnes manquantes : ${missing.join(', ')}`);
+    }
+
+    return rows.slice(1).map((row, i) => ({
+      line: i + 2,
+      baseCurrency: row[columns.baseCurrency],
+      quoteCurrency: row[columns.quoteCurrency],
+      // Virgule décimale acceptée (fichiers français)
+      rate: String(row[columns.rate] ?? '').replace(',', '.'),
+      effectiveDate: row[columns.effectiveDate]
+    }));
+  }
+
+  static async importRates(associationId, file, userId) {
+    const rows = await CurrencyService.parseRatesFile(file);
+    const report = { created: 0, updated: 0, errors: [] };
+
+    for (const row of rows) {
+      if (!row.effectiveDate || isNaN(new Date(row.effectiveDate))) {
+        report.errors.push({ line: row.line, error: 'Date d\'effet invalide' });
+        continue;
+      }
+
+      try {
+        const { created } = await CurrencyService.setRate(associationId, row, userId, { source: 'import' });
+        report[created ? 'created' : 'updated']++;
+      } catch (error) {
+        if (!error.status) throw error;
+        report.errors.push({ line: row.line, error: error.message });
+      }
+    }
+
+    return report;
+  }
+}
+
+CurrencyService.SUPPORTED_CURRENCIES = SUPPORTED_CURRENCIES;
+CurrencyService.FIXED_PEGS = FIXED_PEGS;
+CurrencyService.toDateOnly = toDateOnly;
+CurrencyService.currencyError = currencyError;
+
+module.exports = CurrencyService;
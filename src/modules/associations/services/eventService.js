@@ -0,0 +1,800 @@
+// src/modules/associations/services/eventService.js
+// Événements d'association et de section : visibilité, inscriptions (RSVP), récurrences, présences
+
+const { Op } = require('sequelize');
+const { sequelize, Event, EventTicket, Section, AssociationMember, User } = require('../../../models');
+const { hasPermission } = require('../../../core/middleware/checkPermission');
+
+// Réponse API → valeur stockée dans participantResponses
+const RSVP_RESPONSES = { yes: 'confirmed', no: 'declined', maybe: 'maybe' };
+const RSVP_LABELS = { confirmed: 'yes', declined: 'no', maybe: 'maybe' };
+
+const EVENT_TYPES = ['meeting', 'general_assembly', 'cultural', 'social', 'fundraising', 'conference', 'workshop', 'celebration', 'other'];
+const VISIBILITIES = ['public', 'association', 'section', 'bureau', 'invited_only'];
+const ATTENDANCE_STATUSES = ['present', 'absent', 'excused'];
+const RECURRENCE_TYPES = ['daily', 'weekly', 'monthly'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_OCCURRENCES = 366;
+const MAX_RANGE_DAYS = 366;
+const DEFAULT_RANGE_DAYS = 90;
+
+// Champs modifiables via l'API (statut annulé : route dédiée)
+const EDITABLE_FIELDS = [
+  'title', 'description', 'type', 'sectionId', 'startDate', 'endDate', 'timezone', 'isAllDay',
+  'location', 'address', 'isOnline', 'onlineLink', 'onlineAccessCode', 'visibility',
+  'maxParticipants', 'requiresRegistration', 'registrationDeadline', 'invitedUsers', 'agenda',
+  'documents', 'sendReminders', 'reminderTimes', 'isFree', 'price', 'currency', 'status',
+  'isRecurring', 'recurrencePattern', 'tags'
+];
+
+// Données de suivi réservées aux organisateurs
+const ORGANIZER_FIELDS = ['participantResponses', 'participantNotes', 'attendance', 'invitedUsers', 'onlineAccessCode'];
+
+// Erreur métier (status HTTP + code)
+function eventError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+// Décalage (ms) d'un fuseau horaire à un instant donné
+function tzOffset(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  const v = Object.fromEntries(parts.map((p) => [p.type, parseInt(p.value)]));
+  const asUtc = Date.UTC(v.year, v.month - 1, v.day, v.hour, v.minute, v.second);
+  return asUtc - (date.getTime() - date.getUTCMilliseconds());
+}
+
+// Heure murale (champs UTC) ↔ instant réel : la récurrence conserve l'heure locale malgré les changements d'heure
+function toWallClock(date, timeZone) {
+  return new Date(date.getTime() + tzOffset(date, timeZone));
+}
+
+function fromWallClock(wall, timeZone) {
+  const guess = new Date(wall.getTime() - tzOffset(wall, timeZone));
+  return new Date(wall.getTime() - tzOffset(guess, timeZone));
+}
+
+const uniqueIds = (ids) => [...new Set((ids || []).map((id) => parseInt(id)).filter((id) => id > 0))];
+
+class EventService {
+  // Organisateur : admin ou permission evenements.manage
+  static canManage(membership) {
+    return !!membership?.isAdmin || hasPermission(membership, 'evenements.manage');
+  }
+
+  // Modification : organisateurs et créateur de l'événement
+  static canEdit(event, membership) {
+    return EventService.canManage(membership) || event.createdBy === membership?.userId;
+  }
+
+  // Bureau : admin ou titulaire d'au moins un rôle
+  static isBureau(membership) {
+    return !!membership?.isAdmin || (membership?.assignedRoles || []).length > 0;
+  }
+
+  // Événement payant : inscription par billet (achat carte ou vente sur place)
+  static isTicketed(event) {
+    return event.isFree === false;
+  }
+
+  // Places occupées : billets vendus pour un événement payant, réponses "yes" sinon
+  static getTakenPlaces(event) {
+    return EventService.isTicketed(event)
+      ? parseInt(event.metadata?.ticketsSold || 0)
+      : event.getConfirmedParticipantsCount();
+  }
+
+  static isInvited(event, userId) {
+    return uniqueIds(event.invitedUsers).includes(userId);
+  }
+
+  /**
+   * 👁️ Le membre peut-il voir cet événement ?
+   * Brouillons : organisateurs et créateur ; invités explicites : toujours
+   */
+  static canView(event, membership) {
+    if (EventService.canEdit(event, membership)) return true;
+    if (event.status === 'draft') return false;
+    if (EventService.isInvited(event, membership.userId)) return true;
+
+    switch (event.visibility) {
+      case 'public':
+      case 'association':
+        return true;
+      case 'section':
+        return !!event.sectionId && membership.sectionId === event.sectionId;
+      case 'bureau':
+        return EventService.isBureau(membership);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * 🔎 Événement d'une association (404 si introuvable)
+   */
+  static async getEvent(associationId, eventId, t) {
+    const event = await Event.findOne({
+      where: { id: eventId, associationId },
+      transaction: t,
+      lock: t ? t.LOCK.UPDATE : undefined
+    });
+
+    if (!event) {
+      throw eventError(404, 'EVENT_NOT_FOUND', 'Événement introuvable');
+    }
+    return event;
+  }
+
+  // Événement visible par le membre (404 sinon, l'existence n'est pas divulguée)
+  static async getVisibleEvent(associationId, eventId, membership, t) {
+    const event = await EventService.getEvent(associationId, eventId, t);
+    if (!EventService.canView(event, membership)) {
+      throw eventError(404, 'EVENT_NOT_FOUND', 'Événement introuvable');
+    }
+    return event;
+  }
+
+  static async getEditableEvent(associationId, eventId, membership, t) {
+    const event = await EventService.getEvent(associationId, eventId, t);
+    if (!EventService.canEdit(event, membership)) {
+      throw eventError(403, 'EVENT_EDIT_FORBIDDEN', 'Seuls l\'organisateur et les gestionnaires d\'événements peuvent modifier cet événement');
+    }
+    return event;
+  }
+
+  /**
+   * 📊 Compteurs de réponses
+   */
+  static getStats(event) {
+    const confirmed = event.getConfirmedParticipantsCount();
+    const responses = Object.values(event.participantResponses || {});
+    const attendance = Object.values(event.attendance || {});
+    const taken = EventService.getTakenPlaces(event);
+
+    return {
+      confirmed,
+      maybe: event.getMaybeParticipantsCount(),
+      declined: responses.filter((r) => r === 'declined').length,
+      ...(EventService.isTicketed(event) ? { ticketsSold: taken } : {}),
+      remainingPlaces: event.maxParticipants ? Math.max(event.maxParticipants - taken, 0) : null,
+      present: attendance.filter((a) => a.status === 'present').length
+    };
+  }
+
+  /**
+   * 🧾 Vue d'un événement pour un membre (suivi détaillé réservé aux organisateurs)
+   */
+  static present(event, membership, overrides = {}) {
+    const data = event.toJSON();
+    const canEdit = EventService.canEdit(event, membership);
+
+    if (!canEdit) {
+      for (const field of ORGANIZER_FIELDS) delete data[field];
+    }
+
+    return {
+      ...data,
+      ...overrides,
+      stats: EventService.getStats(event),
+      myResponse: RSVP_LABELS[event.getUserResponse(membership.userId)] || null,
+      registrationOpen: event.isRegistrationOpen(),
+      canEdit
+    };
+  }
+
+  // ─── Récurrence ────────────────────────────────────────────
+
+  /**
+   * 🔁 Valider un modèle de récurrence { type, interval, until?, count? }
+   */
+  static normalizeRecurrence(pattern, startDate) {
+    if (!pattern || !RECURRENCE_TYPES.includes(pattern.type)) {
+      throw eventError(400, 'INVALID_RECURRENCE', 'Récurrence invalide (daily, weekly ou monthly)');
+    }
+
+    const interval = pattern.interval !== undefined ? parseInt(pattern.interval) : 1;
+    if (!(interval >= 1 && interval <= 52)) {
+      throw eventError(400, 'INVALID_RECURRENCE', 'Intervalle de récurrence invalide (1-52)');
+    }
+
+    const until = pattern.until ? new Date(pattern.until) : null;
+    if (until && (isNaN(until) || until < new Date(startDate))) {
+      throw eventError(400, 'INVALID_RECURRENCE', 'La fin de récurrence doit suivre la première occurrence');
+    }
+
+    const count = pattern.count !== undefined && pattern.count !== null ? parseInt(pattern.count) : null;
+    if (count !== null && !(count >= 1 && count <= MAX_OCCURRENCES)) {
+      throw eventError(400, 'INVALID_RECURRENCE', `Nombre d'occurrences invalide (1-${MAX_OCCURRENCES})`);
+    }
+
+    return {
+      type: pattern.type,
+      interval,
+      until: until ? until.toISOString() : null,
+      count
+    };
+  }
+
+  // Début de la n-ième occurrence (heure locale du fuseau de l'événement conservée)
+  static nthOccurrence(event, n) {
+    const { type, interval } = event.recurrencePattern;
+    const timezone = event.timezone || 'Europe/Paris';
+    const wall = toWallClock(new Date(event.startDate), timezone);
+
+    if (type === 'monthly') {
+      const day = wall.getUTCDate();
+      const target = new Date(wall);
+      target.setUTCDate(1);
+      target.setUTCMonth(target.getUTCMonth() + n * interval);
+      // 31 → dernier jour des mois plus courts
+      const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+      target.setUTCDate(Math.min(day, lastDay));
+      return fromWallClock(target, timezone);
+    }
+
+    const stepDays = (type === 'weekly' ? 7 : 1) * interval;
+    return fromWallClock(new Date(wall.getTime() + n * stepDays * DAY_MS), timezone);
+  }
+
+  // Première occurrence susceptible de tomber dans la période (évite de parcourir toute la série)
+  static firstIndexFrom(event, from) {
+    const { type, interval } = event.recurrencePattern;
+    const start = new Date(event.startDate);
+    const duration = EventService.getDuration(event);
+    if (from <= start) return 0;
+
+    if (type === 'monthly') {
+      const months = (from.getUTCFullYear() - start.getUTCFullYear()) * 12 + from.getUTCMonth() - start.getUTCMonth();
+      return Math.max(Math.floor(months / interval) - 1, 0);
+    }
+
+    const stepMs = (type === 'weekly' ? 7 : 1) * interval * DAY_MS;
+    return Math.max(Math.floor((from.getTime() - start.getTime() - duration) / stepMs) - 1, 0);
+  }
+
+  static getDuration(event) {
+    return event.endDate ? new Date(event.endDate) - new Date(event.startDate) : 0;
+  }
+
+  /**
+   * 📆 Occurrences d'un événement récurrent dans une période [{ start, end }]
+   */
+  static expandOccurrences(event, from, to) {
+    if (!event.isRecurring || !event.recurrencePattern) return [];
+
+    const { until, count } = event.recurrencePattern;
+    const untilDate = until ? new Date(until) : null;
+    const duration = EventService.getDuration(event);
+    const occurrences = [];
+
+    for (let n = EventService.firstIndexFrom(event, from); occurrences.length < MAX_OCCURRENCES; n++) {
+      if (count && n >= count) break;
+
+      const start = EventService.nthOccurrence(event, n);
+      if (start > to || (untilDate && start > untilDate)) break;
+
+      const end = new Date(start.getTime() + duration);
+      if (end >= from) {
+        occurrences.push({ start, end: event.endDate ? end : null });
+      }
+    }
+
+    return occurrences;
+  }
+
+  // Occurrences déjà matérialisées (événements enfants) : { parentId: Set(occurrenceStart) }
+  static async getMaterializedStarts(parentIds, t) {
+    if (parentIds.length === 0) return {};
+
+    const children = await Event.findAll({
+      where: { parentEventId: parentIds },
+      attributes: ['id', 'parentEventId', 'metadata'],
+      transaction: t
+    });
+
+    return children.reduce((acc, child) => {
+      const occurrenceStart = child.metadata?.occurrenceStart;
+      if (occurrenceStart) {
+        acc[child.parentEventId] = acc[child.parentEventId] || new Set();
+        acc[child.parentEventId].add(new Date(occurrenceStart).getTime());
+      }
+      return acc;
+    }, {});
+  }
+
+  // Occurrence déjà matérialisée (null sinon)
+  static async findOccurrence(parent, start, t) {
+    const children = await Event.findAll({
+      where: { parentEventId: parent.id },
+      transaction: t,
+      lock: t ? t.LOCK.UPDATE : undefined
+    });
+    return children.find((c) => c.metadata?.occurrenceStart
+      && new Date(c.metadata.occurrenceStart).getTime() === start.getTime()) || null;
+  }
+
+  /**
+   * 🧩 Matérialiser une occurrence en événement enfant (réponses, présences, annulation ou report propres)
+   */
+  static async materializeOccurrence(parent, occurrenceStart, t) {
+    const start = new Date(occurrenceStart);
+    if (isNaN(start)) {
+      throw eventError(400, 'INVALID_OCCURRENCE', 'Date d\'occurrence invalide');
+    }
+
+    const existing = await EventService.findOccurrence(parent, start, t);
+    if (existing) return existing;
+
+    const occurrence = EventService.expandOccurrences(parent, start, start)
+      .find((o) => o.start.getTime() === start.getTime());
+    if (!occurrence) {
+      throw eventError(404, 'OCCURRENCE_NOT_FOUND', 'Aucune occurrence de cet événement à cette date');
+    }
+
+    const shift = occurrence.start - new Date(parent.startDate);
+    const data = parent.toJSON();
+    for (const field of ['id', 'createdAt', 'updatedAt', 'participantResponses', 'participantNotes',
+      'attendance', 'notificationsSent', 'viewCount', 'lastViewedAt']) {
+      delete data[field];
+    }
+
+    return Event.create({
+      ...data,
+      startDate: occurrence.start,
+      endDate: occurrence.end,
+      registrationDeadline: parent.registrationDeadline
+        ? new Date(new Date(parent.registrationDeadline).getTime() + shift)
+        : null,
+      isRecurring: false,
+      recurrencePattern: null,
+      parentEventId: parent.id,
+      participantResponses: {},
+      metadata: { ...(parent.metadata || {}), occurrenceStart: occurrence.start.toISOString() }
+    }, { transaction: t });
+  }
+
+  // Événement concerné par une action : occurrence matérialisée pour une série
+  static async resolveTarget(event, occurrenceStart, t) {
+    if (!event.isRecurring) return event;
+    if (!occurrenceStart) {
+      throw eventError(400, 'OCCURRENCE_REQUIRED', 'Événement récurrent : précisez l\'occurrence (occurrenceStart)');
+    }
+    return EventService.materializeOccurrence(event, occurrenceStart, t);
+  }
+
+  // ─── Consultation ──────────────────────────────────────────
+
+  /**
+   * 📋 Calendrier des événements visibles (occurrences récurrentes développées)
+   */
+  static async listEvents(associationId, membership, { from, to, type, sectionId, status, expand } = {}) {
+    const fromDate = from ? new Date(from) : new Date();
+    const toDate = to ? new Date(to) : new Date(fromDate.getTime() + DEFAULT_RANGE_DAYS * DAY_MS);
+
+    if (toDate < fromDate) {
+      throw eventError(400, 'INVALID_RANGE', 'La fin de période doit suivre le début');
+    }
+    if (toDate - fromDate > MAX_RANGE_DAYS * DAY_MS) {
+      throw eventError(400, 'RANGE_TOO_LARGE', `Période limitée à ${MAX_RANGE_DAYS} jours`);
+    }
+
+    const where = {
+      associationId,
+      startDate: { [Op.lte]: toDate },
+      [Op.or]: [
+        { isRecurring: true },
+        { endDate: { [Op.gte]: fromDate } },
+        { endDate: null, startDate: { [Op.gte]: fromDate } }
+      ]
+    };
+    if (type) where.type = type;
+    if (sectionId) where.sectionId = parseInt(sectionId);
+    if (status) where.status = status;
+
+    const events = (await Event.findAll({
+      where,
+      include: [
+        { model: Section, as: 'section', attributes: ['id', 'name'] },
+        { model: User, as: 'creator', attributes: ['id', 'firstName', 'lastName'] }
+      ],
+      order: [['startDate', 'ASC']]
+    })).filter((event) => EventService.canView(event, membership));
+
+    const shouldExpand = expand === undefined || expand === true || expand === 'true';
+    if (!shouldExpand) {
+      return events.map((event) => EventService.present(event, membership));
+    }
+
+    const parents = events.filter((e) => e.isRecurring);
+    const materialized = await EventService.getMaterializedStarts(parents.map((e) => e.id));
+    const items = [];
+
+    for (const event of events) {
+      if (!event.isRecurring) {
+        items.push(EventService.present(event, membership));
+        continue;
+      }
+
+      const replaced = materialized[event.id] || new Set();
+      for (const occurrence of EventService.expandOccurrences(event, fromDate, toDate)) {
+        if (replaced.has(occurrence.start.getTime())) continue;
+
+        items.push(EventService.present(event, membership, {
+          startDate: occurrence.start,
+          endDate: occurrence.end,
+          occurrenceStart: occurrence.start.toISOString(),
+          isOccurrence: true
+        }));
+      }
+    }
+
+    return items.sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+  }
+
+  /**
+   * 🔎 Détail d'un événement (compteur de vues, prochaines occurrences d'une série)
+   */
+  static async getEventForMember(associationId, eventId, membership) {
+    const event = await EventService.getVisibleEvent(associationId, eventId, membership);
+    await event.update({ viewCount: event.viewCount + 1, lastViewedAt: new Date() });
+
+    await event.reload({
+      include: [
+        { model: Section, as: 'section', attributes: ['id', 'name'] },
+        { model: User, as: 'creator', attributes: ['id', 'firstName', 'lastName'] }
+      ]
+    });
+
+    const data = EventService.present(event, membership);
+
+    if (event.isRecurring) {
+      const now = new Date();
+      const replaced = (await EventService.getMaterializedStarts([event.id]))[event.id] || new Set();
+      data.upcomingOccurrences = EventService.expandOccurrences(event, now, new Date(now.getTime() + MAX_RANGE_DAYS * DAY_MS))
+        .slice(0, 10)
+        .map((o) => ({
+          start: o.start,
+          end: o.end,
+          materialized: replaced.has(o.start.getTime())
+        }));
+    }
+
+    return data;
+  }
+
+  // ─── Création / modification ──────────────────────────────
+
+  /**
+   * ✅ Cohérence des champs (dates, section, visibilité, tarif, récurrence)
+   */
+  static async validateEventData(associationId, data) {
+    const start = new Date(data.startDate);
+
+    if (data.endDate && new Date(data.endDate) < start) {
+      throw eventError(400, 'INVALID_DATES', 'La fin de l\'événement doit suivre son début');
+    }
+    if (data.registrationDeadline && new Date(data.registrationDeadline) > start) {
+      throw eventError(400, 'INVALID_REGISTRATION_DEADLINE', 'La date limite d\'inscription doit précéder l\'événement');
+    }
+
+    if (data.sectionId) {
+      const section = await Section.findOne({ where: { id: data.sectionId, associationId } });
+      if (!section) throw eventError(404, 'SECTION_NOT_FOUND', 'Section introuvable');
+    }
+    if (data.visibility === 'section' && !data.sectionId) {
+      throw eventError(400, 'SECTION_REQUIRED', 'Visibilité section : précisez la section organisatrice');
+    }
+
+    if (data.isFree === false && !(parseFloat(data.price) > 0)) {
+      throw eventError(400, 'PRICE_REQUIRED', 'Événement payant : prix de participation requis');
+    }
+
+    if (data.isRecurring) {
+      data.recurrencePattern = EventService.normalizeRecurrence(data.recurrencePattern, data.startDate);
+      if (data.parentEventId) {
+        throw eventError(400, 'INVALID_RECURRENCE', 'Une occurrence ne peut pas être elle-même récurrente');
+      }
+    } else {
+      data.recurrencePattern = null;
+    }
+
+    if (data.invitedUsers !== undefined) {
+      data.invitedUsers = uniqueIds(data.invitedUsers);
+    }
+
+    return data;
+  }
+
+  static pickFields(data) {
+    return EDITABLE_FIELDS.reduce((acc, field) => {
+      if (data[field] !== undefined) acc[field] = data[field];
+      return acc;
+    }, {});
+  }
+
+  /**
+   * ➕ Créer un événement (brouillon par défaut)
+   */
+  static async createEvent(associationId, data, userId) {
+    const fields = EventService.pickFields(data);
+    if (fields.status === 'cancelled') {
+      throw eventError(400, 'INVALID_STATUS', 'Un événement ne peut pas être créé annulé');
+    }
+
+    if (fields.isFree === false) fields.price = parseFloat(fields.price);
+    if (fields.isFree !== false) fields.price = null;
+
+    const values = await EventService.validateEventData(associationId, {
+      ...fields,
+      sectionId: fields.sectionId ? parseInt(fields.sectionId) : null
+    });
+
+    return Event.create({
+      ...values,
+      associationId,
+      createdBy: userId,
+      participantResponses: {}
+    });
+  }
+
+  /**
+   * ✏️ Modifier un événement (la série d'un événement récurrent, pas ses occurrences matérialisées)
+   */
+  static async updateEvent(associationId, eventId, data, membership) {
+    const event = await EventService.getEditableEvent(associationId, eventId, membership);
+
+    if (['cancelled', 'completed'].includes(event.status)) {
+      throw eventError(409, 'EVENT_CLOSED', 'Événement annulé ou terminé : modification impossible');
+    }
+
+    const updates = EventService.pickFields(data);
+    if (updates.status === 'cancelled') {
+      throw eventError(400, 'INVALID_STATUS', 'Utilisez l\'annulation pour annuler un événement');
+    }
+    if (updates.isRecurring && event.parentEventId) {
+      throw eventError(400, 'INVALID_RECURRENCE', 'Une occurrence ne peut pas être elle-même récurrente');
+    }
+
+    const merged = { ...event.toJSON(), ...updates };
+    if (merged.sectionId) merged.sectionId = parseInt(merged.sectionId);
+    if (merged.isFree) merged.price = null;
+
+    // Billets déjà vendus : le tarif ne change plus (les recettes en dépendent)
+    const tariffChanged = ('isFree' in updates && String(updates.isFree) !== String(event.isFree))
+      || ('price' in updates && parseFloat(updates.price) !== parseFloat(event.price))
+      || ('currency' in updates && String(updates.currency).toUpperCase() !== event.currency);
+    if (tariffChanged && parseInt(event.metadata?.ticketsSold || 0) > 0) {
+      throw eventError(409, 'TICKETS_ALREADY_SOLD', 'Des billets ont déjà été vendus : le tarif ne peut plus être modifié');
+    }
+
+    const values = await EventService.validateEventData(associationId, merged);
+
+    if (values.maxParticipants && values.maxParticipants < EventService.getTakenPlaces(event)) {
+      throw eventError(409, 'CAPACITY_BELOW_CONFIRMED', 'La capacité ne peut pas être inférieure au nombre d\'inscrits confirmés');
+    }
+
+    return event.update(EventService.pickFields(values));
+  }
+
+  /**
+   * 🚫 Annuler un événement, ou une seule occurrence d'une série
+   */
+  static async cancelEvent(associationId, eventId, membership, { reason, occurrenceStart } = {}) {
+    return sequelize.transaction(async (t) => {
+      const event = await EventService.getEditableEvent(associationId, eventId, membership, t);
+      const target = occurrenceStart ? await EventService.resolveTarget(event, occurrenceStart, t) : event;
+
+      if (['cancelled', 'completed'].includes(target.status)) {
+        throw eventError(409, 'EVENT_CLOSED', 'Événement déjà annulé ou terminé');
+      }
+
+      return target.update({
+        status: 'cancelled',
+        cancellationReason: reason || null
+      }, { transaction: t });
+    });
+  }
+
+  /**
+   * 🗑️ Supprimer un événement sans réponses (sinon l'annuler)
+   */
+  static async deleteEvent(associationId, eventId, membership) {
+    const event = await EventService.getEditableEvent(associationId, eventId, membership);
+
+    const hasResponses = Object.keys(event.participantResponses || {}).length > 0
+      || Object.keys(event.attendance || {}).length > 0;
+    const children = event.isRecurring ? await Event.count({ where: { parentEventId: event.id } }) : 0;
+
+    if (hasResponses || children > 0) {
+      throw eventError(409, 'EVENT_HAS_RESPONSES', 'Des membres ont déjà répondu : annulez l\'événement plutôt que de le supprimer');
+    }
+
+    if (await EventTicket.count({ where: { eventId: event.id } }) > 0) {
+      throw eventError(409, 'EVENT_HAS_TICKETS', 'Des billets ont été émis : annulez l\'événement plutôt que de le supprimer');
+    }
+
+    await event.destroy();
+  }
+
+  // ─── Inscriptions & présences ──────────────────────────────
+
+  /**
+   * 🙋 Répondre à un événement (yes / no / maybe) dans la limite des places et avant la date limite
+   */
+  static async respond(associationId, eventId, membership, { response, note, occurrenceStart }) {
+    return sequelize.transaction(async (t) => {
+      // Verrou : les places restantes ne peuvent pas être attribuées deux fois
+      const parent = await EventService.getVisibleEvent(associationId, eventId, membership, t);
+      const event = await EventService.resolveTarget(parent, occurrenceStart, t);
+
+      if (event.status !== 'published') {
+        throw eventError(409, 'EVENT_NOT_OPEN', 'Cet événement n\'est pas ouvert aux inscriptions');
+      }
+      if (!event.isUpcoming()) {
+        throw eventError(409, 'REGISTRATION_CLOSED', 'L\'événement a déjà commencé');
+      }
+      if (event.registrationDeadline && new Date() > new Date(event.registrationDeadline)) {
+        throw eventError(409, 'REGISTRATION_CLOSED', 'La date limite d\'inscription est dépassée');
+      }
+
+      const userKey = membership.userId.toString();
+      const stored = RSVP_RESPONSES[response];
+      const responses = { ...(event.participantResponses || {}) };
+
+      // Événement payant : la participation est confirmée par l'achat d'un billet
+      if (stored === 'confirmed' && responses[userKey] !== 'confirmed' && EventService.isTicketed(event)) {
+        throw eventError(409, 'TICKET_REQUIRED', 'Événement payant : achetez un billet pour confirmer votre participation');
+      }
+
+      if (stored === 'confirmed' && responses[userKey] !== 'confirmed'
+        && event.maxParticipants && event.getConfirmedParticipantsCount() >= event.maxParticipants) {
+        throw eventError(409, 'EVENT_FULL', 'Plus de place disponible pour cet événement');
+      }
+
+      responses[userKey] = stored;
+      const updates = { participantResponses: responses };
+
+      if (note !== undefined) {
+        const notes = { ...(event.participantNotes || {}) };
+        if (note) notes[userKey] = note;
+        else delete notes[userKey];
+        updates.participantNotes = notes;
+      }
+
+      await event.update(updates, { transaction: t });
+
+      return {
+        eventId: event.id,
+        occurrenceStart: event.metadata?.occurrenceStart || null,
+        response,
+        stats: EventService.getStats(event)
+      };
+    });
+  }
+
+  /**
+   * 👥 Réponses, notes et présences (organisateurs ou evenements.view_attendance)
+   */
+  static async getParticipants(associationId, eventId, membership, { occurrenceStart } = {}) {
+    let event = await EventService.getVisibleEvent(associationId, eventId, membership);
+
+    if (!EventService.canEdit(event, membership) && !hasPermission(membership, 'evenements.view_attendance')) {
+      throw eventError(403, 'ATTENDANCE_FORBIDDEN', 'Accès à la liste des participants non autorisé');
+    }
+
+    // Occurrence sans réponse enregistrée : liste vide (rien n'est matérialisé en lecture)
+    if (event.isRecurring && occurrenceStart) {
+      const occurrence = await EventService.findOccurrence(event, new Date(occurrenceStart));
+      if (!occurrence) {
+        return { eventId: event.id, occurrenceStart, stats: null, participants: [] };
+      }
+      event = occurrence;
+    }
+
+    const responses = event.participantResponses || {};
+    const notes = event.participantNotes || {};
+    const attendance = event.attendance || {};
+    const userIds = uniqueIds([
+      ...Object.keys(responses),
+      ...Object.keys(attendance),
+      ...(event.invitedUsers || [])
+    ]);
+
+    const members = await AssociationMember.findAll({
+      where: { associationId, userId: userIds },
+      attributes: ['id', 'userId', 'sectionId', 'memberType', 'status'],
+      include: [{ model: User, as: 'user', attributes: ['id', 'firstName', 'lastName', 'phoneNumber'] }]
+    });
+    const byUser = new Map(members.map((m) => [m.userId, m]));
+
+    const participants = userIds.map((userId) => ({
+      userId,
+      member: byUser.get(userId) || null,
+      invited: EventService.isInvited(event, userId),
+      response: RSVP_LABELS[responses[userId]] || null,
+      note: notes[userId] || null,
+      attendance: attendance[userId] || null
+    }));
+
+    return {
+      eventId: event.id,
+      occurrenceStart: event.metadata?.occurrenceStart || null,
+      stats: EventService.getStats(event),
+      participants
+    };
+  }
+
+  /**
+   * 📍 Pointer les présences à partir du début de l'événement
+   * entries: [{ userId, status: present|absent|excused }]
+   */
+  static async recordAttendance(associationId, eventId, membership, { entries, occurrenceStart }) {
+    return sequelize.transaction(async (t) => {
+      const parent = await EventService.getEditableEvent(associationId, eventId, membership, t);
+      const event = await EventService.resolveTarget(parent, occurrenceStart, t);
+
+      if (['draft', 'cancelled'].includes(event.status)) {
+        throw eventError(409, 'EVENT_NOT_HELD', 'Événement en brouillon ou annulé : pas de présences');
+      }
+      if (event.isUpcoming()) {
+        throw eventError(409, 'EVENT_NOT_STARTED', 'Les présences se pointent à partir du début de l\'événement');
+      }
+
+      const userIds = uniqueIds(entries.map((e) => e.userId));
+      const members = await AssociationMember.findAll({
+        where: { associationId, userId: userIds },
+        attributes: ['userId'],
+        transaction: t
+      });
+      const known = new Set(members.map((m) => m.userId));
+      const unknown = userIds.filter((id) => !known.has(id));
+
+      if (unknown.length > 0) {
+        const error = eventError(400, 'UNKNOWN_MEMBERS', 'Certains utilisateurs ne sont pas membres de l\'association');
+        error.details = { userIds: unknown };
+        throw error;
+      }
+
+      const now = new Date().toISOString();
+      const attendance = { ...(event.attendance || {}) };
+      for (const entry of entries) {
+        attendance[parseInt(entry.userId)] = {
+          status: entry.status,
+          checkedInAt: now,
+          checkedInBy: membership.userId
+        };
+      }
+
+      await event.update({ attendance }, { transaction: t });
+
+      return {
+        eventId: event.id,
+        occurrenceStart: event.metadata?.occurrenceStart || null,
+        recorded: entries.length,
+        stats: EventService.getStats(event)
+      };
+    });
+  }
+}
+
+EventService.eventError = eventError;
+EventService.RSVP_RESPONSES = Object.keys(RSVP_RESPONSES);
+EventService.EVENT_TYPES = EVENT_TYPES;
+EventService.VISIBILITIES = VISIBILITIES;
+EventService.ATTENDANCE_STATUSES = ATTENDANCE_STATUSES;
+EventService.RECURRENCE_TYPES = RECURRENCE_TYPES;
+
+module.exports = EventService;
@@ -0,0 +1,832 @@
+// src/modules/associations/services/eventTicketService.js
+// Billetterie des événements payants : achat carte (Stripe) ou vente sur place, QR code, contrôle à l'entrée
+// Chaque billet payé crée une entrée d'argent validée rattachée à l'événement (totaux de collecte par événement)
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const QRCode = require('qrcode');
+const {
+  sequelize,
+  Event,
+  EventTicket,
+  IncomeEntry,
+  Transaction,
+  AssociationMember,
+  User
+} = require('../../../models');
+const { hasPermission } = require('../../../core/middleware/checkPermission');
+const PaymentService = require('../../../core/payments/services/paymentService');
+const EventService = require('./eventService');
+const LedgerService = require('./ledgerService');
+const CurrencyService = require('./currencyService');
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+const TICKET_STATUSES = ['pending_payment', 'paid', 'cancelled', 'refunded'];
+const MAX_TICKETS_PER_ORDER = 10;
+
+// Places bloquées pendant un paiement carte non finalisé (3-D Secure) ; au-delà, elles sont remises en vente
+const PAYMENT_HOLD_MINUTES = 30;
+
+// Contrôle à l'entrée : de 6 h avant le début à 6 h après la fin
+const CHECK_IN_MARGIN_HOURS = 6;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Catégorie des recettes de billetterie
+const INCOME_TYPE = 'vente_event';
+const INCOME_SUBTYPE = 'billetterie';
+
+const round2 = (value) => parseFloat(parseFloat(value || 0).toFixed(2));
+
+// Erreur métier (status HTTP + code)
+function ticketError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+class EventTicketService {
+  // Frais carte (mêmes conditions que les cotisations : 2,5 % + 0,25)
+  static cardCommission(amount) {
+    return round2(amount * 0.025 + 0.25);
+  }
+
+  // Vente sur place, contrôle et annulation : organisateurs de l'événement
+  static canSell(event, membership) {
+    return EventService.canEdit(event, membership);
+  }
+
+  // Liste des billets et totaux : organisateurs, trésorerie et pointage
+  static canViewSales(event, membership) {
+    return EventService.canEdit(event, membership)
+      || hasPermission(membership, 'view_finances')
+      || hasPermission(membership, 'evenements.view_attendance');
+  }
+
+  static generateIdentifiers(event) {
+    return {
+      code: crypto.randomBytes(24).toString('hex'),
+      ticketNumber: `BIL-${event.id}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`
+    };
+  }
+
+  static getCheckInWindow(event) {
+    const start = new Date(event.startDate);
+    const end = new Date(event.endDate || event.startDate);
+    return {
+      opensAt: new Date(start.getTime() - CHECK_IN_MARGIN_HOURS * HOUR_MS),
+      closesAt: new Date(end.getTime() + CHECK_IN_MARGIN_HOURS * HOUR_MS)
+    };
+  }
+
+  static assertCheckInOpen(event) {
+    const { opensAt, closesAt } = EventTicketService.getCheckInWindow(event);
+    const now = new Date();
+
+    if (now < opensAt) {
+      const error = ticketError(409, 'CHECK_IN_NOT_OPEN', `Contrôle des billets ouvert ${CHECK_IN_MARGIN_HOURS} h avant le début de l'événement`);
+      error.details = { opensAt };
+      throw error;
+    }
+    if (now > closesAt) {
+      throw ticketError(409, 'CHECK_IN_CLOSED', 'Événement terminé : contrôle des billets clos');
+    }
+  }
+
+  // ─── Jauge ─────────────────────────────────────────────────
+
+  /**
+   * 🎫 Événement ouvert à la billetterie (occurrence matérialisée pour une série, verrou dans t)
+   */
+  static async getTicketingEvent(associationId, eventId, membership, occurrenceStart, t) {
+    const parent = await EventService.getVisibleEvent(associationId, eventId, membership, t);
+    const event = await EventService.resolveTarget(parent, occurrenceStart, t);
+
+    if (!EventService.isTicketed(event)) {
+      throw ticketError(409, 'EVENT_NOT_TICKETED', 'Événement gratuit : l\'inscription se fait par réponse "yes"');
+    }
+    if (event.status !== 'published') {
+      throw ticketError(409, 'EVENT_NOT_OPEN', 'Cet événement n\'est pas ouvert à la vente');
+    }
+    if (!CurrencyService.SUPPORTED_CURRENCIES.includes(event.currency)) {
+      throw ticketError(409, 'UNSUPPORTED_CURRENCY', `Devise non supportée pour la billetterie (${event.currency})`);
+    }
+    return event;
+  }
+
+  // Places réservées par des paiements carte en cours
+  static async getHeldPlaces(event, t) {
+    const held = await EventTicket.sum('quantity', {
+      where: {
+        eventId: event.id,
+        status: 'pending_payment',
+        createdAt: { [Op.gte]: new Date(Date.now() - PAYMENT_HOLD_MINUTES * 60 * 1000) }
+      },
+      transaction: t
+    });
+    return held || 0;
+  }
+
+  static async assertCapacity(event, quantity, t) {
+    if (!event.maxParticipants) return;
+
+    const taken = EventService.getTakenPlaces(event) + await EventTicketService.getHeldPlaces(event, t);
+    const remaining = Math.max(event.maxParticipants - taken, 0);
+
+    if (quantity > remaining) {
+      const error = ticketError(409, 'EVENT_FULL', remaining > 0
+        ? `Plus que ${remaining} place(s) disponible(s)`
+        : 'Plus de place disponible pour cet événement');
+      error.details = { remainingPlaces: remaining };
+      throw error;
+    }
+  }
+
+  static async adjustTicketsSold(event, delta, t) {
+    const sold = parseInt(event.metadata?.ticketsSold || 0);
+    await event.update({
+      metadata: { ...(event.metadata || {}), ticketsSold: Math.max(sold + delta, 0) }
+    }, { transaction: t });
+  }
+
+  // ─── Vente ─────────────────────────────────────────────────
+
+  /**
+   * 💳 Acheter un billet par carte (places réservées pendant le paiement)
+   * Paiement confirmé immédiatement ou par webhook : voir confirmPayment
+   */
+  static async purchase(associationId, eventId, membership, user, {
+    quantity = 1, paymentMethodId, occurrenceStart, buyerName, buyerEmail, buyerPhone
+  }) {
+    const count = parseInt(quantity);
+
+    const { event, ticket, transaction } = await sequelize.transaction(async (t) => {
+      const event = await EventTicketService.getTicketingEvent(associationId, eventId, membership, occurrenceStart, t);
+
+      if (!event.isRegistrationOpen()) {
+        throw ticketError(409, 'REGISTRATION_CLOSED', 'Vente en ligne close (événement commencé ou date limite dépassée)');
+      }
+      await EventTicketService.assertCapacity(event, count, t);
+
+      const unitPrice = round2(event.price);
+      const amount = round2(unitPrice * count);
+      const commissionAmount = EventTicketService.cardCommission(amount);
+
+      const transaction = await Transaction.create({
+        userId: user.id,
+        associationId,
+        sectionId: event.sectionId,
+        memberId: membership.id,
+        type: 'event_ticket',
+        amount,
+        commissionAmount,
+        netAmount: round2(amount - commissionAmount),
+        currency: event.currency,
+        paymentMethod: 'card',
+        paymentMethodId,
+        status: 'pending',
+        description: `Billet ${event.title}${count > 1 ? ` (${count} places)` : ''}`.substring(0, 255),
+        source: 'app',
+        metadata: { eventId: event.id }
+      }, { transaction: t });
+
+      const ticket = await EventTicket.create({
+        associationId,
+        eventId: event.id,
+        ...EventTicketService.generateIdentifiers(event),
+        userId: user.id,
+        buyerName: buyerName || `${user.firstName} ${user.lastName}`.trim(),
+        buyerEmail: buyerEmail || user.email || null,
+        buyerPhone: buyerPhone || user.phoneNumber || null,
+        quantity: count,
+        unitPrice,
+        amount,
+        currency: event.currency,
+        paymentMethod: 'card',
+        status: 'pending_payment',
+        transactionId: transaction.id
+      }, { transaction: t });
+
+      return { event, ticket, transaction };
+    });
+
+    let paymentIntent;
+    try {
+      paymentIntent = await stripe.paymentIntents.create({
+        amount: PaymentService.toStripeAmount(transaction.amount, transaction.currency),
+        currency: transaction.currency.toLowerCase(),
+        payment_method: paymentMethodId,
+        confirm: true,
+        automatic_payment_methods: {
+          enabled: true,
+          allow_redirects: 'never'
+        },
+        metadata: {
+          associationId: String(associationId),
+          eventId: String(event.id),
+          ticketId: String(ticket.id),
+          type: 'event_ticket',
+          transactionId: String(transaction.id)
+        }
+      }, {
+        idempotencyKey: `event-ticket-${ticket.id}`
+      });
+    } catch (error) {
+      // Paiement refusé : transaction en échec et places libérées
+      await PaymentService.markFailed(transaction, error.message);
+
+      if (error.type === 'StripeCardError') {
+        throw ticketError(402, 'PAYMENT_DECLINED', error.message);
+      }
+      throw error;
+    }
+
+    await transaction.update({
+      externalTransactionId: paymentIntent.id,
+      paymentProvider: 'stripe',
+      status: 'processing',
+      processedAt: new Date()
+    });
+
+    // Succès immédiat : billet émis maintenant (sinon le webhook Stripe s'en charge)
+    if (paymentIntent.status === 'succeeded') {
+      await PaymentService.markSucceeded(transaction, { externalTransactionId: paymentIntent.id });
+      await ticket.reload();
+    }
+
+    return {
+      ticket: await EventTicketService.present(ticket, { withQrCode: true }),
+      paymentIntent: {
+        id: paymentIntent.id,
+        status: paymentIntent.status,
+        requiresAction: paymentIntent.status === 'requires_action',
+        clientSecret: paymentIntent.status === 'requires_action' ? paymentIntent.client_secret : undefined
+      }
+    };
+  }
+
+  /**
+   * 💵 Vente sur place en espèces par un organisateur (admission immédiate possible)
+   */
+  static async sellAtDoor(associationId, eventId, membership, {
+    quantity = 1, userId, buyerName, buyerEmail, buyerPhone, checkIn = false, occurrenceStart
+  }) {
+    const count = parseInt(quantity);
+
+    return sequelize.transaction(async (t) => {
+      const event = await EventTicketService.getTicketingEvent(associationId, eventId, membership, occurrenceStart, t);
+
+      if (!EventTicketService.canSell(event, membership)) {
+        throw ticketError(403, 'TICKET_SALE_FORBIDDEN', 'Seuls l\'organisateur et les gestionnaires d\'événements encaissent sur place');
+      }
+      if (new Date() > EventTicketService.getCheckInWindow(event).closesAt) {
+        throw ticketError(409, 'EVENT_ENDED', 'Événement terminé : vente close');
+      }
+      if (checkIn) EventTicketService.assertCheckInOpen(event);
+      await EventTicketService.assertCapacity(event, count, t);
+
+      // Acheteur membre : billet rattaché à son compte (et sa présence pointée à l'entrée)
+      let member = null;
+      if (userId) {
+        member = await AssociationMember.findOne({
+          where: { associationId, userId },
+          include: [{ model: User, as: 'user', attributes: ['id', 'firstName', 'lastName', 'email', 'phoneNumber'] }],
+          transaction: t
+        });
+        if (!member) {
+          throw ticketError(400, 'UNKNOWN_MEMBER', 'Cet utilisateur n\'est pas membre de l\'association');
+        }
+      }
+
+      const name = buyerName || (member ? `${member.user.firstName} ${member.user.lastName}`.trim() : null);
+      if (!name) {
+        throw ticketError(400, 'BUYER_NAME_REQUIRED', 'Nom de l\'acheteur requis');
+      }
+
+      const unitPrice = round2(event.price);
+      const amount = round2(unitPrice * count);
+      const now = new Date();
+
+      const transaction = await Transaction.create({
+        userId: member ? member.userId : membership.userId,
+        associationId,
+        sectionId: event.sectionId,
+        memberId: member ? member.id : null,
+        type: 'event_ticket',
+        amount,
+        commissionAmount: 0,
+        netAmount: amount,
+        currency: event.currency,
+        paymentMethod: 'cash',
+        status: 'completed',
+        processedAt: now,
+        completedAt: now,
+        description: `Billet ${event.title}${count > 1 ? ` (${count} places)` : ''} - vente sur place`.substring(0, 255),
+        source: 'manual',
+        metadata: { eventId: event.id, soldBy: membership.userId }
+      }, { transaction: t });
+
+      const ticket = await EventTicket.create({
+        associationId,
+        eventId: event.id,
+        ...EventTicketService.generateIdentifiers(event),
+        userId: member ? member.userId : null,
+        buyerName: name,
+        buyerEmail: buyerEmail || member?.user.email || null,
+        buyerPhone: buyerPhone || member?.user.phoneNumber || null,
+        quantity: count,
+        unitPrice,
+        amount,
+        currency: event.currency,
+        paymentMethod: 'cash',
+        status: 'pending_payment',
+        transactionId: transaction.id,
+        soldBy: membership.userId
+      }, { transaction: t });
+
+      await EventTicketService.issueTicket(ticket, event, transaction, {
+        fees: 0,
+        registeredBy: membership.userId,
+        validatedBy: membership.userId
+      }, t);
+
+      if (checkIn) {
+        await EventTicketService.admit(ticket, event, membership, ticket.quantity, t);
+      }
+
+      return EventTicketService.present(ticket, { withQrCode: true });
+    });
+  }
+
+  /**
+   * ✅ Billet payé : entrée d'argent validée rattachée à l'événement, écriture comptable, place confirmée
+   * event : verrouillé par l'appelant dans t
+   */
+  static async issueTicket(ticket, event, transaction, { fees = 0, registeredBy, validatedBy = null }, t) {
+    const amount = round2(ticket.amount);
+    const now = new Date();
+
+    const incomeEntry = await IncomeEntry.create({
+      associationId: ticket.associationId,
+      sectionId: event.sectionId,
+      eventId: event.id,
+      registeredBy,
+      incomeType: INCOME_TYPE,
+      incomeSubtype: INCOME_SUBTYPE,
+      amount,
+      grossAmount: amount,
+      fees: round2(fees),
+      netAmount: round2(amount - fees),
+      currency: ticket.currency,
+      sourceType: ticket.userId ? 'member' : 'individual',
+      sourceName: ticket.buyerName,
+      title: `Billetterie : ${event.title}`.substring(0, 255),
+      description: `Billet ${ticket.ticketNumber} (${ticket.quantity} place(s))`,
+      receivedDate: now,
+      paymentMethod: ticket.paymentMethod === 'card' ? 'card_payment' : 'cash',
+      transactionId: transaction.id,
+      status: 'validated',
+      validatedBy,
+      validatedAt: now,
+      metadata: { eventTicketId: ticket.id, ticketNumber: ticket.ticketNumber, quantity: ticket.quantity }
+    }, { transaction: t });
+
+    await LedgerService.postIncomeEntry(incomeEntry, t);
+
+    await ticket.update({
+      status: 'paid',
+      paidAt: now,
+      incomeEntryId: incomeEntry.id,
+      cancelledAt: null,
+      cancellationReason: null
+    }, { transaction: t });
+
+    await EventTicketService.adjustTicketsSold(event, ticket.quantity, t);
+
+    if (ticket.userId) {
+      await event.update({
+        participantResponses: { ...(event.participantResponses || {}), [ticket.userId]: 'confirmed' }
+      }, { transaction: t });
+    }
+
+    return ticket;
+  }
+
+  /**
+   * 🔐 Billet annulé ou remboursé : recette annulée et extournée, place libérée
+   */
+  static async revokeTicket(ticket, status, reason, t) {
+    const event = await Event.findByPk(ticket.eventId, { transaction: t, lock: t.LOCK.UPDATE });
+
+    if (ticket.incomeEntryId) {
+      const incomeEntry = await IncomeEntry.findByPk(ticket.incomeEntryId, { transaction: t, lock: t.LOCK.UPDATE });
+      if (incomeEntry && incomeEntry.status === 'validated') {
+        await incomeEntry.update({ status: 'cancelled' }, { transaction: t });
+        await LedgerService.reverseIncomeEntry(incomeEntry, t);
+      }
+    }
+
+    await ticket.update({
+      status,
+      cancelledAt: new Date(),
+      cancellationReason: reason || null
+    }, { transaction: t });
+
+    await EventTicketService.adjustTicketsSold(event, -ticket.quantity, t);
+
+    // Plus aucun billet payé : le membre n'est plus inscrit
+    if (ticket.userId && event.participantResponses?.[ticket.userId] === 'confirmed') {
+      const others = await EventTicket.count({
+        where: { eventId: event.id, userId: ticket.userId, status: 'paid', id: { [Op.ne]: ticket.id } },
+        transaction: t
+      });
+      if (others === 0) {
+        const responses = { ...event.participantResponses };
+        delete responses[ticket.userId];
+        await event.update({ participantResponses: responses }, { transaction: t });
+      }
+    }
+
+    return ticket;
+  }
+
+  // ─── Transitions de paiement (appelées par PaymentService dans sa transaction) ──
+
+  /**
+   * 💳 Paiement carte confirmé (immédiatement ou par webhook)
+   */
+  static async confirmPayment(transaction, t) {
+    const ticket = await EventTicket.findOne({
+      where: { transactionId: transaction.id },
+      transaction: t,
+      lock: t.LOCK.UPDATE
+    });
+    // Billet libéré après un échec puis paiement abouti : il est tout de même émis, l'acheteur a payé
+    if (!ticket || ['paid', 'refunded'].includes(ticket.status)) return null;
+
+    const event = await Event.findByPk(ticket.eventId, { transaction: t, lock: t.LOCK.UPDATE });
+
+    return EventTicketService.issueTicket(ticket, event, transaction, {
+      fees: transaction.commissionAmount,
+      registeredBy: ticket.userId || transaction.userId
+    }, t);
+  }
+
+  /**
+   * ❌ Paiement carte refusé : réservation libérée
+   */
+  static async releaseTicket(transaction, t) {
+    const ticket = await EventTicket.findOne({
+      where: { transactionId: transaction.id, status: 'pending_payment' },
+      transaction: t,
+      lock: t.LOCK.UPDATE
+    });
+    if (!ticket) return null;
+
+    return ticket.update({
+      status: 'cancelled',
+      cancelledAt: new Date(),
+      cancellationReason: (transaction.failureReason || 'Paiement refusé').substring(0, 255)
+    }, { transaction: t });
+  }
+
+  /**
+   * ↩️ Paiement carte remboursé en totalité
+   */
+  static async refundTicket(transaction, t) {
+    const ticket = await EventTicket.findOne({
+      where: { transactionId: transaction.id, status: 'paid' },
+      transaction: t,
+      lock: t.LOCK.UPDATE
+    });
+    if (!ticket) return null;
+
+    return EventTicketService.revokeTicket(ticket, 'refunded', ticket.cancellationReason || 'Paiement remboursé', t);
+  }
+
+  // ─── Contrôle à l'entrée ───────────────────────────────────
+
+  static async admit(ticket, event, membership, count, t) {
+    const now = new Date();
+
+    await ticket.update({
+      checkedInCount: ticket.checkedInCount + count,
+      checkedInAt: now,
+      checkedInBy: membership.userId
+    }, { transaction: t });
+
+    // Acheteur membre : présence pointée sur l'événement
+    if (ticket.userId && event.attendance?.[ticket.userId]?.status !== 'present') {
+      await event.update({
+        attendance: {
+          ...(event.attendance || {}),
+          [ticket.userId]: { status: 'present', checkedInAt: now.toISOString(), checkedInBy: membership.userId }
+        }
+      }, { transaction: t });
+    }
+  }
+
+  /**
+   * 🎟️ Scanner un billet (code du QR) et admettre tout ou partie de ses places
+   */
+  static async checkIn(associationId, eventId, membership, { code, admit }) {
+    return sequelize.transaction(async (t) => {
+      const parent = await EventService.getEditableEvent(associationId, eventId, membership, t);
+
+      const ticket = await EventTicket.findOne({
+        where: { code, associationId },
+        transaction: t,
+        lock: t.LOCK.UPDATE
+      });
+      if (!ticket) {
+        throw ticketError(404, 'TICKET_NOT_FOUND', 'Billet inconnu');
+      }
+
+      // Série récurrente : le billet doit concerner une de ses occurrences
+      const event = ticket.eventId === parent.id
+        ? parent
+        : await Event.findOne({
+          where: { id: ticket.eventId, parentEventId: parent.id },
+          transaction: t,
+          lock: t.LOCK.UPDATE
+        });
+      if (!event) {
+        const error = ticketError(409, 'TICKET_OTHER_EVENT', 'Ce billet est valable pour un autre événement');
+        error.details = { eventId: ticket.eventId };
+        throw error;
+      }
+
+      if (ticket.status === 'pending_payment') {
+        throw ticketError(409, 'TICKET_NOT_PAID', 'Billet non payé');
+      }
+      if (ticket.status !== 'paid') {
+        throw ticketError(409, 'TICKET_CANCELLED', 'Billet annulé ou remboursé');
+      }
+      if (event.status === 'cancelled') {
+        throw ticketError(409, 'EVENT_CANCELLED', 'Événement annulé');
+      }
+      EventTicketService.assertCheckInOpen(event);
+
+      const remaining = ticket.getRemainingAdmissions();
+      if (remaining === 0) {
+        const error = ticketError(409, 'TICKET_ALREADY_USED', 'Billet déjà utilisé');
+        error.details = { checkedInAt: ticket.checkedInAt, checkedInCount: ticket.checkedInCount };
+        throw error;
+      }
+
+      const count = admit ? parseInt(admit) : remaining;
+      if (count > remaining) {
+        throw ticketError(400, 'TOO_MANY_ADMISSIONS', `Plus que ${remaining} place(s) à admettre sur ce billet`);
+      }
+
+      await EventTicketService.admit(ticket, event, membership, count, t);
+
+      return {
+        ticket: await EventTicketService.present(ticket),
+        admitted: count,
+        remainingAdmissions: ticket.getRemainingAdmissions()
+      };
+    });
+  }
+
+  // ─── Annulation ────────────────────────────────────────────
+
+  /**
+   * 🚫 Annuler un billet non utilisé : remboursement carte via Stripe, espèces rendues sur place
+   */
+  static async cancelTicket(associationId, ticketId, membership, { reason } = {}) {
+    const { ticket } = await EventTicketService.getManagedTicket(associationId, ticketId, membership);
+
+    if (['cancelled', 'refunded'].includes(ticket.status)) {
+      throw ticketError(409, 'TICKET_ALREADY_CANCELLED', 'Billet déjà annulé ou remboursé');
+    }
+    if (ticket.checkedInCount > 0) {
+      throw ticketError(409, 'TICKET_ALREADY_USED', 'Billet déjà utilisé : annulation impossible');
+    }
+
+    if (ticket.paymentMethod === 'card') {
+      const transaction = await Transaction.findByPk(ticket.transactionId);
+      if (reason) await ticket.update({ cancellationReason: reason });
+
+      if (ticket.status === 'paid') {
+        // Même transition que le webhook charge.refunded (idempotente s'il arrive ensuite)
+        await stripe.refunds.create({
+          payment_intent: transaction.externalTransactionId,
+          metadata: { ticketId: String(ticket.id), transactionId: String(transaction.id) }
+        }, {
+          idempotencyKey: `event-ticket-refund-${ticket.id}`
+        });
+        await PaymentService.markRefunded(transaction, parseFloat(transaction.amount));
+      } else {
+        // Paiement non finalisé : abandonné chez Stripe pour qu'il ne puisse plus aboutir
+        if (transaction.externalTransactionId) {
+          await stripe.paymentIntents.cancel(transaction.externalTransactionId);
+        }
+        await PaymentService.markFailed(transaction, reason || 'Réservation annulée');
+      }
+
+      return EventTicketService.present(await ticket.reload());
+    }
+
+    return sequelize.transaction(async (t) => {
+      await ticket.reload({ transaction: t, lock: t.LOCK.UPDATE });
+      if (ticket.status !== 'paid') {
+        throw ticketError(409, 'TICKET_ALREADY_CANCELLED', 'Billet déjà annulé ou remboursé');
+      }
+
+      await EventTicketService.revokeTicket(ticket, 'cancelled', reason, t);
+
+      const transaction = await Transaction.findByPk(ticket.transactionId, { transaction: t, lock: t.LOCK.UPDATE });
+      if (transaction) {
+        await transaction.update({
+          status: 'refunded',
+          metadata: {
+            ...(transaction.metadata || {}),
+            refundedAmount: parseFloat(transaction.amount),
+            refundedAt: new Date().toISOString()
+          }
+        }, { transaction: t });
+      }
+
+      return EventTicketService.present(ticket);
+    });
+  }
+
+  // ─── Consultation ──────────────────────────────────────────
+
+  /**
+   * 🧾 Vue d'un billet (QR code du code secret pour un billet payé)
+   */
+  static async present(ticket, { withQrCode = false } = {}) {
+    const data = ticket.toJSON();
+    data.remainingAdmissions = ticket.getRemainingAdmissions();
+
+    if (!withQrCode) {
+      delete data.code;
+    } else if (ticket.status === 'paid') {
+      data.qrCode = await QRCode.toDataURL(ticket.code, { errorCorrectionLevel: 'M', margin: 1, width: 320 });
+    }
+    return data;
+  }
+
+  // Billet et événement, pour un organisateur de l'événement (403 sinon)
+  static async getManagedTicket(associationId, ticketId, membership) {
+    const ticket = await EventTicket.findOne({ where: { id: ticketId, associationId } });
+    if (!ticket) {
+      throw ticketError(404, 'TICKET_NOT_FOUND', 'Billet introuvable');
+    }
+
+    const event = await Event.findByPk(ticket.eventId);
+    if (!EventTicketService.canSell(event, membership)) {
+      throw ticketError(403, 'TICKET_MANAGE_FORBIDDEN', 'Seuls l\'organisateur et les gestionnaires d\'événements gèrent les billets');
+    }
+    return { ticket, event };
+  }
+
+  /**
+   * 🔎 Détail d'un billet : acheteur ou organisateurs (billet à imprimer pour un invité)
+   */
+  static async getTicket(associationId, ticketId, membership) {
+    const ticket = await EventTicket.findOne({ where: { id: ticketId, associationId } });
+    const event = ticket ? await Event.findByPk(ticket.eventId) : null;
+
+    if (!ticket || (ticket.userId !== membership.userId && !EventTicketService.canViewSales(event, membership))) {
+      throw ticketError(404, 'TICKET_NOT_FOUND', 'Billet introuvable');
+    }
+
+    return {
+      ...(await EventTicketService.present(ticket, { withQrCode: true })),
+      event: { id: event.id, title: event.title, startDate: event.startDate, location: event.location }
+    };
+  }
+
+  // Événement et occurrences concernés (?occurrenceStart : une seule occurrence d'une série)
+  static async getScopeIds(event, occurrenceStart) {
+    if (!event.isRecurring) return [event.id];
+
+    if (occurrenceStart) {
+      const occurrence = await EventService.findOccurrence(event, new Date(occurrenceStart));
+      return occurrence ? [occurrence.id] : [];
+    }
+
+    const children = await Event.findAll({ where: { parentEventId: event.id }, attributes: ['id'] });
+    return [event.id, ...children.map((c) => c.id)];
+  }
+
+  /**
+   * 🙋 Mes billets pour un événement
+   */
+  static async listMyTickets(associationId, eventId, membership, { occurrenceStart } = {}) {
+    const event = await EventService.getVisibleEvent(associationId, eventId, membership);
+    const eventIds = await EventTicketService.getScopeIds(event, occurrenceStart);
+
+    const tickets = await EventTicket.findAll({
+      where: { eventId: eventIds, userId: membership.userId, status: { [Op.ne]: 'cancelled' } },
+      order: [['createdAt', 'DESC']]
+    });
+
+    return Promise.all(tickets.map((ticket) => EventTicketService.present(ticket, { withQrCode: true })));
+  }
+
+  /**
+   * 📊 Billetterie et collecte d'un événement : places vendues, entrées, recettes par devise
+   * (billetterie et autres entrées d'argent rattachées : dons, ventes sur place)
+   */
+  static async getSalesSummary(eventIds, tickets) {
+    const paid = tickets.filter((ticket) => ticket.status === 'paid');
+    const sumOf = (list, field) => list.reduce((sum, ticket) => sum + ticket[field], 0);
+
+    const entries = await IncomeEntry.findAll({
+      where: { eventId: eventIds, status: 'validated' },
+      attributes: ['incomeType', 'incomeSubtype', 'amount', 'fees', 'netAmount', 'currency']
+    });
+
+    const byCurrency = {};
+    for (const entry of entries) {
+      const totals = byCurrency[entry.currency] || (byCurrency[entry.currency] = {
+        currency: entry.currency, ticketing: 0, other: 0, gross: 0, fees: 0, net: 0
+      });
+      const amount = parseFloat(entry.amount);
+      const isTicketing = entry.incomeType === INCOME_TYPE && entry.incomeSubtype === INCOME_SUBTYPE;
+
+      totals[isTicketing ? 'ticketing' : 'other'] += amount;
+      totals.gross += amount;
+      totals.fees += parseFloat(entry.fees || 0);
+      totals.net += parseFloat(entry.netAmount);
+    }
+
+    return {
+      tickets: {
+        sold: paid.length,
+        seatsSold: sumOf(paid, 'quantity'),
+        seatsCheckedIn: sumOf(paid, 'checkedInCount'),
+        pendingPayment: tickets.filter((ticket) => ticket.status === 'pending_payment').length,
+        cancelled: tickets.filter((ticket) => ticket.status === 'cancelled').length,
+        refunded: tickets.filter((ticket) => ticket.status === 'refunded').length
+      },
+      fundraising: Object.values(byCurrency).map((totals) => ({
+        currency: totals.currency,
+        ticketing: round2(totals.ticketing),
+        other: round2(totals.other),
+        gross: round2(totals.gross),
+        fees: round2(totals.fees),
+        net: round2(totals.net)
+      }))
+    };
+  }
+
+  /**
+   * 📋 Billets vendus d'un événement avec totaux (?status, ?occurrenceStart)
+   */
+  static async listEventTickets(associationId, eventId, membership, { status, occurrenceStart } = {}) {
+    const event = await EventService.getVisibleEvent(associationId, eventId, membership);
+    if (!EventTicketService.canViewSales(event, membership)) {
+      throw ticketError(403, 'TICKETS_FORBIDDEN', 'Accès à la billetterie non autorisé');
+    }
+
+    const eventIds = await EventTicketService.getScopeIds(event, occurrenceStart);
+    const tickets = await EventTicket.findAll({
+      where: { eventId: eventIds },
+      include: [{ model: User, as: 'buyer', attributes: ['id', 'firstName', 'lastName'], required: false }],
+      order: [['createdAt', 'DESC']]
+    });
+
+    const listed = status ? tickets.filter((ticket) => ticket.status === status) : tickets;
+
+    return {
+      eventId: event.id,
+      summary: await EventTicketService.getSalesSummary(eventIds, tickets),
+      tickets: await Promise.all(listed.map((ticket) => EventTicketService.present(ticket)))
+    };
+  }
+
+  /**
+   * 💰 Totaux de collecte d'un événement (payant ou non : dons rattachés)
+   */
+  static async getFundraising(associationId, eventId, membership, { occurrenceStart } = {}) {
+    const event = await EventService.getVisibleEvent(associationId, eventId, membership);
+    if (!EventTicketService.canViewSales(event, membership)) {
+      throw ticketError(403, 'TICKETS_FORBIDDEN', 'Accès aux recettes de l\'événement non autorisé');
+    }
+
+    const eventIds = await EventTicketService.getScopeIds(event, occurrenceStart);
+    const tickets = await EventTicket.findAll({
+      where: { eventId: eventIds },
+      attributes: ['status', 'quantity', 'checkedInCount']
+    });
+
+    return {
+      eventId: event.id,
+      ...(await EventTicketService.getSalesSummary(eventIds, tickets))
+    };
+  }
+}
+
+EventTicketService.ticketError = ticketError;
+EventTicketService.TICKET_STATUSES = TICKET_STATUSES;
+EventTicketService.MAX_TICKETS_PER_ORDER = MAX_TICKETS_PER_ORDER;
+EventTicketService.INCOME_TYPE = INCOME_TYPE;
+EventTicketService.INCOME_SUBTYPE = INCOME_SUBTYPE;
+
+module.exports = EventTicketService;
@@ -0,0 +1,215 @@
+// src/modules/associations/services/financialExportService.js
+// Exports comptables des entrées d'argent et des demandes de dépenses
+
+const { Op } = require('sequelize');
+const {
+  IncomeEntry,
+  ExpenseRequest,
+  LoanRepayment,
+  Association,
+  Section,
+  User,
+  Transaction
+} = require('../../../models');
+const ExportService = require('../../../core/services/exportService');
+const PdfDocumentService = require('../../../core/services/pdfDocumentService');
+
+const fullName = (user) => (user ? `${user.firstName} ${user.lastName}` : '');
+
+const DECISION_LABELS = {
+  fr: { approved: 'approuvé', rejected: 'refusé', info_requested: 'info demandée' },
+  en: { approved: 'approved', rejected: 'rejected', info_requested: 'info requested' }
+};
+
+// Historique de validation sur une ligne : "2024-12-01 Awa Diop (tresorier) : approuvé - commentaire"
+function formatValidationHistory(history, lang) {
+  return (history || [])
+    .map((entry) => {
+      const date = entry.timestamp ? String(entry.timestamp).split('T')[0] : '';
+      const who = entry.user ? fullName(entry.user) : `#${entry.userId}`;
+      const decision = DECISION_LABELS[lang][entry.decision] || entry.decision;
+      return `${date} ${who} (${entry.role || '-'}) : ${decision}${entry.comment ? ` - ${entry.comment}` : ''}`.trim();
+    })
+    .join(' | ');
+}
+
+// 💰 Colonnes entrées d'argent (reprend le jeu de colonnes historique de l'export)
+const INCOME_COLUMNS = [
+  { key: 'receivedDate', fr: 'Date', en: 'Date', type: 'date' },
+  { key: 'title', fr: 'Titre', en: 'Title', width: 2 },
+  { key: 'incomeType', fr: 'Type', en: 'Type' },
+  { key: 'sourceType', fr: 'Type Source', en: 'Source type', pdf: false },
+  { key: 'sourceName', fr: 'Nom Source', en: 'Source name', width: 1.5, value: (e, lang) => (e.isAnonymous ? (lang === 'fr' ? 'Anonyme' : 'Anonymous') : e.sourceName) },
+  { key: 'grossAmount', fr: 'Montant Brut', en: 'Gross amount', type: 'amount', value: (e) => e.grossAmount || e.amount },
+  { key: 'fees', fr: 'Frais', en: 'Fees', type: 'amount' },
+  { key: 'netAmount', fr: 'Montant Net', en: 'Net amount', type: 'amount' },
+  { key: 'currency', fr: 'Devise', en: 'Currency', width: 0.6 },
+  { key: 'paymentMethod', fr: 'Méthode', en: 'Method' },
+  { key: 'section', fr: 'Section', en: 'Section', value: (e, lang) => e.section?.name || (lang === 'fr' ? 'Centrale' : 'Central') },
+  { key: 'registeredBy', fr: 'Enregistré par', en: 'Registered by', width: 1.3, value: (e) => fullName(e.registeredByUser) },
+  { key: 'validatedBy', fr: 'Validé par', en: 'Validated by', width: 1.3, value: (e) => fullName(e.validatedByUser) },
+  { key: 'validatedAt', fr: 'Date validation', en: 'Validation date', type: 'date', pdf: false },
+  { key: 'receiptNumber', fr: 'N° reçu', en: 'Receipt no.', width: 1.5, pdf: false }
+];
+
+const INCOME_DETAIL_COLUMNS = [
+  { key: 'description', fr: 'Description', en: 'Description', width: 2, pdf: false },
+  { key: 'purpose', fr: 'Objectif', en: 'Purpose', width: 1.5, pdf: false },
+  { key: 'manualReference', fr: 'Référence', en: 'Reference', pdf: false },
+  { key: 'restrictedUse', fr: 'Usage restreint', en: 'Restricted use', type: 'boolean', pdf: false }
+];
+
+// 💸 Colonnes demandes de dépenses
+const EXPENSE_COLUMNS = [
+  { key: 'createdAt', fr: 'Date demande', en: 'Request date', type: 'date' },
+  { key: 'title', fr: 'Titre', en: 'Title', width: 2 },
+  { key: 'expenseType', fr: 'Type', en: 'Type', width: 1.3 },
+  { key: 'expenseSubtype', fr: 'Sous-type', en: 'Subtype', pdf: false },
+  { key: 'requester', fr: 'Demandeur', en: 'Requester', width: 1.3, value: (r) => fullName(r.requester) },
+  { key: 'beneficiary', fr: 'Bénéficiaire', en: 'Beneficiary', width: 1.3, value: (r) => (r.beneficiary ? fullName(r.beneficiary) : r.beneficiaryExternal?.name || '') },
+  { key: 'amountRequested', fr: 'Montant demandé', en: 'Amount requested', type: 'amount' },
+  { key: 'amountApproved', fr: 'Montant approuvé', en: 'Amount approved', type: 'amount' },
+  { key: 'currency', fr: 'Devise', en: 'Currency', width: 0.6 },
+  { key: 'status', fr: 'Statut', en: 'Status' },
+  { key: 'section', fr: 'Section', en: 'Section', pdf: false, value: (r, lang) => r.section?.name || (lang === 'fr' ? 'Centrale' : 'Central') },
+  { key: 'validationHistory', fr: 'Historique validation', en: 'Validation history', width: 3, value: (r, lang) => formatValidationHistory(r.validationHistory, lang) },
+  { key: 'rejectionReason', fr: 'Motif refus', en: 'Rejection reason', pdf: false },
+  { key: 'paymentMethod', fr: 'Méthode paiement', en: 'Payment method', pdf: false },
+  { key: 'paymentReference', fr: 'Référence paiement', en: 'Payment reference', width: 1.3, value: (r) => r.manualPaymentReference || r.transaction?.externalTransactionId || '' },
+  { key: 'paidAt', fr: 'Date paiement', en: 'Payment date', type: 'date' },
+  { key: 'isLoan', fr: 'Prêt', en: 'Loan', type: 'boolean', width: 0.6 },
+  { key: 'repaymentStatus', fr: 'Statut remboursement', en: 'Repayment status', value: (r) => (r.isLoan ? r.repaymentStatus || 'not_started' : '') },
+  { key: 'amountRepaid', fr: 'Montant remboursé', en: 'Amount repaid', type: 'amount', value: (r) => (r.isLoan ? repaidAmount(r) : '') },
+  { key: 'amountOutstanding', fr: 'Reste dû', en: 'Outstanding', type: 'amount', value: (r) => (r.isLoan ? Math.max(0, parseFloat(r.amountApproved || r.amountRequested) - repaidAmount(r)) : '') }
+];
+
+const EXPENSE_DETAIL_COLUMNS = [
+  { key: 'description', fr: 'Description', en: 'Description', width: 2, pdf: false },
+  { key: 'invoiceNumber', fr: 'N° facture', en: 'Invoice no.', pdf: false, value: (r) => r.externalReferences?.invoiceNumber || '' },
+  { key: 'urgencyLevel', fr: 'Urgence', en: 'Urgency', pdf: false }
+];
+
+// Remboursements validés d'un prêt
+function repaidAmount(expenseRequest) {
+  return (expenseRequest.repayments || [])
+    .filter((repayment) => repayment.status === 'validated')
+    .reduce((sum, repayment) => sum + parseFloat(repayment.amount), 0);
+}
+
+// Filtre de période (bornes optionnelles, date de fin incluse)
+function dateRange(dateFrom, dateTo) {
+  if (!dateFrom && !dateTo) return null;
+
+  const range = {};
+  if (dateFrom) range[Op.gte] = new Date(dateFrom);
+  if (dateTo) {
+    const end = new Date(dateTo);
+    end.setHours(23, 59, 59, 999);
+    range[Op.lte] = end;
+  }
+  return range;
+}
+
+const TITLES = {
+  income: { fr: 'Entrées d\'argent', en: 'Income entries' },
+  expense: { fr: 'Demandes de dépenses', en: 'Expense requests' }
+};
+
+class FinancialExportService {
+  /**
+   * 💰 Entrées d'argent validées
+   */
+  static async findIncomeEntries(associationId, { dateFrom, dateTo, sectionId }) {
+    const where = { associationId, status: 'validated' };
+
+    const receivedDate = dateRange(dateFrom, dateTo);
+    if (receivedDate) where.receivedDate = receivedDate;
+    if (sectionId) where.sectionId = parseInt(sectionId);
+
+    return IncomeEntry.findAll({
+      where,
+      include: [
+        { model: User, as: 'registeredByUser', attributes: ['firstName', 'lastName'] },
+        { model: User, as: 'validatedByUser', attributes: ['firstName', 'lastName'] },
+        { model: Section, as: 'section', attributes: ['name'] }
+      ],
+      order: [['receivedDate', 'DESC']]
+    });
+  }
+
+  /**
+   * 💸 Demandes de dépenses (historique, paiement, remboursements)
+   */
+  static async findExpenseRequests(associationId, { dateFrom, dateTo, sectionId, status }) {
+    const where = { associationId };
+
+    const createdAt = dateRange(dateFrom, dateTo);
+    if (createdAt) where.createdAt = createdAt;
+    if (sectionId) where.sectionId = parseInt(sectionId);
+    if (status) where.status = status;
+
+    return ExpenseRequest.findAll({
+      where,
+      include: [
+        { model: User, as: 'requester', attributes: ['firstName', 'lastName'] },
+        { model: User, as: 'beneficiary', attributes: ['firstName', 'lastName'], required: false },
+        { model: Section, as: 'section', attributes: ['name'], required: false },
+        { model: Transaction, as: 'transaction', attributes: ['id', 'externalTransactionId'], required: false },
+        { model: LoanRepayment, as: 'repayments', attributes: ['amount', 'status'], required: false }
+      ],
+      order: [['createdAt', 'DESC']]
+    });
+  }
+
+  /**
+   * 📦 Construire l'export (kind : income | expense)
+   */
+  static async buildExport(kind, associationId, filters, { format = 'excel', lang = 'fr', includeDetails = true } = {}) {
+    const association = await Association.findByPk(associationId, { attributes: ['id', 'name', 'theme'] });
+
+    const records = kind === 'income'
+      ? await FinancialExportService.findIncomeEntries(associationId, filters)
+      : await FinancialExportService.findExpenseRequests(associationId, filters);
+
+    const columns = kind === 'income'
+      ? [...INCOME_COLUMNS, ...(includeDetails ? INCOME_DETAIL_COLUMNS : [])]
+      : [...EXPENSE_COLUMNS, ...(includeDetails ? EXPENSE_DETAIL_COLUMNS : [])];
+
+    const period = [filters.dateFrom, filters.dateTo].filter(Boolean).join(' → ');
+    const title = `${TITLES[kind][lang]} - ${association?.name || ''}`;
+
+    const file = await ExportService.build(format, columns, records, lang, {
+      title,
+      subtitle: period || null,
+      footer: association?.name,
+      theme: { primaryColor: association?.theme?.primaryColor },
+      sheetName: TITLES[kind][lang],
+      filenamePrefix: `${kind === 'income' ? 'income_entries' : 'expense_requests'}_${associationId}`
+    });
+
+    return { ...file, total: records.length, title };
+  }
+
+  /**
+   * 💾 Archiver l'export comme Document (rapport financier)
+   */
+  static async storeExport(file, { kind, associationId, userId, filters }) {
+    return PdfDocumentService.storeFile(file.buffer, {
+      extension: file.extension,
+      mimeType: file.contentType.split(';')[0],
+      type: 'financial_report',
+      category: `${kind}_export`,
+      title: file.title,
+      userId,
+      associationId,
+      visibility: 'bureau',
+      templateUsed: `${kind}_export`,
+      generationData: { ...filters, total: file.total }
+    });
+  }
+}
+
+FinancialExportService.INCOME_COLUMNS = INCOME_COLUMNS;
+FinancialExportService.EXPENSE_COLUMNS = EXPENSE_COLUMNS;
+
+module.exports = FinancialExportService;
@@ -0,0 +1,373 @@
+// src/modules/associations/services/fundService.js
+// Fonds dédiés : soldes, contrôle d'affectation des dépenses, relevés donateurs
+
+const { Op } = require('sequelize');
+const {
+  Fund,
+  IncomeEntry,
+  ExpenseRequest
+} = require('../../../models');
+const LedgerService = require('./ledgerService');
+
+// Demandes approuvées non encore payées : montant engagé sur le fonds
+const COMMITTED_STATUSES = ['approved'];
+
+const round2 = (value) => parseFloat(parseFloat(value || 0).toFixed(2));
+
+// Erreur métier (status HTTP + code)
+function fundError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+// Code stable à partir d'un libellé ("Construction école" → construction_ecole)
+function slugify(value) {
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 100);
+}
+
+class FundService {
+  /**
+   * 🔎 Fonds d'une association (404 si introuvable)
+   */
+  static async getFund(associationId, fundId, t) {
+    const fund = await Fund.findOne({
+      where: { id: fundId, associationId },
+      transaction: t
+    });
+
+    if (!fund) {
+      throw fundError(404, 'FUND_NOT_FOUND', 'Fonds dédié introuvable');
+    }
+
+    return fund;
+  }
+
+  /**
+   * 🎯 Fonds alimenté par une entrée d'argent
+   * fundId explicite, sinon designatedFor.fund / designatedFor.project si usage restreint
+   * Retourne { fundId, restrictedUse } à enregistrer sur l'entrée
+   */
+  static async resolveIncomeFund(associationId, { fundId, designatedFor, restrictedUse }, userId, t) {
+    if (fundId) {
+      const fund = await FundService.getFund(associationId, fundId, t);
+      if (fund.status !== 'active') {
+        throw fundError(400, 'FUND_CLOSED', 'Ce fonds est clôturé et ne reçoit plus de dons');
+      }
+      return { fundId: fund.id, restrictedUse: true };
+    }
+
+    const designation = designatedFor?.fund || designatedFor?.project;
+    if (!restrictedUse || !designation) {
+      return { fundId: null, restrictedUse: !!restrictedUse };
+    }
+
+    const code = slugify(designation);
+    const [fund] = await Fund.findOrCreate({
+      where: { associationId, code },
+      defaults: {
+        associationId,
+        code,
+        name: String(designation).slice(0, 150),
+        createdBy: userId || null
+      },
+      transaction: t
+    });
+
+    if (fund.status !== 'active') {
+      throw fundError(400, 'FUND_CLOSED', 'Ce fonds est clôturé et ne reçoit plus de dons');
+    }
+
+    return { fundId: fund.id, restrictedUse: true };
+  }
+
+  /**
+   * 📌 Montant engagé sur un fonds (demandes approuvées non payées)
+   */
+  static async getCommitted(associationId, fundId, excludeRequestId = null) {
+    const where = { associationId, fundId, status: { [Op.in]: COMMITTED_STATUSES } };
+    if (excludeRequestId) where.id = { [Op.ne]: excludeRequestId };
+
+    const requests = await ExpenseRequest.findAll({
+      where,
+      attributes: ['amountRequested', 'amountApproved']
+    });
+
+    return round2(requests.reduce((total, r) => total + parseFloat(r.amountApproved || r.amountRequested), 0));
+  }
+
+  /**
+   * ✅ Contrôle d'une dépense : fonds dédié adapté et suffisant,
+   * sinon solde libre (trésorerie hors fonds dédiés)
+   * Retourne { sufficient, code, error, details }
+   */
+  static async checkExpense(expense, amount) {
+    const associationId = parseInt(expense.associationId);
+    const requested = round2(amount);
+
+    if (expense.fundId) {
+      const fund = await Fund.findOne({ where: { id: expense.fundId, associationId } });
+
+      if (!fund) {
+        return { sufficient: false, code: 'FUND_NOT_FOUND', error: 'Fonds dédié introuvable' };
+      }
+      if (fund.status !== 'active') {
+        return { sufficient: false, code: 'FUND_CLOSED', error: 'Ce fonds est clôturé' };
+      }
+      if (expense.isLoan || !fund.allowsExpenseType(expense.expenseType)) {
+        return {
+          sufficient: false,
+          code: 'FUND_PURPOSE_MISMATCH',
+          error: `Le fonds "${fund.name}" ne peut pas financer ce type de dépense`,
+          details: {
+            fund: fund.name,
+            expenseType: expense.isLoan ? 'pret' : expense.expenseType,
+            allowedExpenseTypes: fund.allowedExpenseTypes || []
+          }
+        };
+      }
+
+      const balances = await LedgerService.getFundBalances(associationId);
+      const balance = balances[fund.id]?.balance || 0;
+      const committed = await FundService.getCommitted(associationId, fund.id, expense.id);
+      const available = round2(balance - committed);
+
+      return {
+        sufficient: available >= requested,
+        code: available >= requested ? null : 'FUND_INSUFFICIENT',
+        error: available >= requested ? null : `Solde insuffisant sur le fonds "${fund.name}"`,
+        details: {
+          fund: fund.name,
+          requested,
+          balance,
+          committed,
+          available,
+          shortage: round2(Math.max(0, requested - available))
+        }
+      };
+    }
+
+    const position = await LedgerService.getPosition(associationId);
+
+    if (position.availableBalance >= requested) {
+      return {
+        sufficient: true,
+        details: { requested, available: position.availableBalance }
+      };
+    }
+
+    // La trésorerie suffirait, mais seulement en puisant dans les fonds dédiés
+    const touchesRestricted = position.treasury >= requested;
+
+    return {
+      sufficient: false,
+      code: touchesRestricted ? 'RESTRICTED_FUNDS_PROTECTED' : 'INSUFFICIENT_FUNDS',
+      error: touchesRestricted
+        ? 'Cette dépense utiliserait des fonds dédiés à un autre usage : imputez-la sur le fonds concerné'
+        : 'Fonds insuffisants',
+      details: {
+        requested,
+        available: position.availableBalance,
+        restrictedFunds: position.restrictedFunds,
+        shortage: round2(requested - position.availableBalance)
+      }
+    };
+  }
+
+  /**
+   * 📋 Fonds avec solde, collecte, utilisation et engagements
+   */
+  static async listFunds(associationId, { status } = {}) {
+    const where = { associationId };
+    if (status) where.status = status;
+
+    const funds = await Fund.findAll({ where, order: [['status', 'ASC'], ['name', 'ASC']] });
+    const balances = await LedgerService.getFundBalances(associationId);
+
+    const committedRows = await ExpenseRequest.findAll({
+      where: { associationId, fundId: { [Op.ne]: null }, status: { [Op.in]: COMMITTED_STATUSES } },
+      attributes: ['fundId', 'amountRequested', 'amountApproved']
+    });
+    const committedByFund = committedRows.reduce((acc, r) => {
+      acc[r.fundId] = round2((acc[r.fundId] || 0) + parseFloat(r.amountApproved || r.amountRequested));
+      return acc;
+    }, {});
+
+    return funds.map((fund) => {
+      const totals = balances[fund.id] || { received: 0, used: 0, balance: 0 };
+      const committed = committedByFund[fund.id] || 0;
+
+      return {
+        ...fund.toJSON(),
+        raised: totals.received,
+        spent: totals.used,
+        balance: totals.balance,
+        committed,
+        available: round2(totals.balance - committed),
+        progress: fund.targetAmount
+          ? Math.round((totals.received / parseFloat(fund.targetAmount)) * 100)
+          : null
+      };
+    });
+  }
+
+  /**
+   * ➕ Créer un fonds
+   */
+  static async createFund(associationId, data, userId) {
+    const code = slugify(data.code || data.name);
+
+    const existing = await Fund.findOne({ where: { associationId, code } });
+    if (existing) {
+      throw fundError(409, 'FUND_ALREADY_EXISTS', 'Un fonds avec ce code existe déjà');
+    }
+
+    return Fund.create({
+      associationId,
+      code,
+      name: data.name,
+      description: data.description || null,
+      allowedExpenseTypes: data.allowedExpenseTypes || null,
+      targetAmount: data.targetAmount || null,
+      currency: data.currency || 'EUR',
+      createdBy: userId
+    });
+  }
+
+  /**
+   * ✏️ Modifier / clôturer un fonds
+   * Clôture refusée tant qu'il reste un solde ou des engagements
+   */
+  static async updateFund(associationId, fundId, data) {
+    const fund = await FundService.getFund(associationId, fundId);
+    const updates = {};
+
+    ['name', 'description', 'allowedExpenseTypes', 'targetAmount'].forEach((field) => {
+      if (data[field] !== undefined) updates[field] = data[field];
+    });
+
+    if (data.status && data.status !== fund.status) {
+      if (data.status === 'closed') {
+        const balances = await LedgerService.getFundBalances(associationId);
+        const balance = balances[fund.id]?.balance || 0;
+        const committed = await FundService.getCommitted(associationId, fund.id);
+
+        if (balance > 0 || committed > 0) {
+          const error = fundError(400, 'FUND_NOT_EMPTY', 'Impossible de clôturer un fonds qui a encore un solde ou des dépenses engagées');
+          error.details = { balance, committed };
+          throw error;
+        }
+        updates.closedAt = new Date();
+      } else {
+        updates.closedAt = null;
+      }
+      updates.status = data.status;
+    }
+
+    await fund.update(updates);
+    return fund;
+  }
+
+  /**
+   * 📜 Relevé du fonds : donateurs et utilisation des dons
+   */
+  static async getStatement(associationId, fundId) {
+    const fund = await FundService.getFund(associationId, fundId);
+
+    const [donations, expenses] = await Promise.all([
+      IncomeEntry.findAll({
+        where: { associationId, fundId: fund.id, status: 'validated' },
+        order: [['receivedDate', 'ASC']]
+      }),
+      ExpenseRequest.findAll({
+        where: { associationId, fundId: fund.id, status: 'paid' },
+        order: [['paidAt', 'ASC']]
+      })
+    ]);
+
+    const donors = donations.map((entry) => ({
+      incomeEntryId: entry.id,
+      donor: entry.isAnonymous ? null : entry.sourceName,
+      isAnonymous: entry.isAnonymous,
+      incomeType: entry.incomeType,
+      amount: round2(entry.amount),
+      currency: entry.currency,
+      receivedDate: entry.receivedDate,
+      receiptNumber: entry.receiptNumber
+    }));
+
+    const expenditures = expenses.map((request) => ({
+      expenseRequestId: request.id,
+      title: request.title,
+      expenseType: request.expenseType,
+      amount: round2(request.amountApproved || request.amountRequested),
+      currency: request.currency,
+      paidAt: request.paidAt
+    }));
+
+    const raised = round2(donors.reduce((total, d) => total + d.amount, 0));
+    const spent = round2(expenditures.reduce((total, e) => total + e.amount, 0));
+
+    return {
+      fund: fund.toJSON(),
+      donors,
+      expenditures,
+      totals: {
+        raised,
+        spent,
+        balance: round2(raised - spent),
+        donorsCount: donors.length,
+        expendituresCount: expenditures.length
+      },
+      generatedAt: new Date()
+    };
+  }
+
+  /**
+   * 📦 Relevé exportable (CSV / Excel / PDF) : dons et dépenses sur une même chronologie
+   */
+  static statementRows(statement) {
+    return [
+      ...statement.donors.map((d) => ({
+        date: d.receivedDate,
+        kind: 'donation',
+        label: d.donor,
+        isAnonymous: d.isAnonymous,
+        category: d.incomeType,
+        amountIn: d.amount,
+        amountOut: '',
+        reference: d.receiptNumber
+      })),
+      ...statement.expenditures.map((e) => ({
+        date: e.paidAt,
+        kind: 'expense',
+        label: e.title,
+        category: e.expenseType,
+        amountIn: '',
+        amountOut: e.amount,
+        reference: `#${e.expenseRequestId}`
+      }))
+    ].sort((a, b) => new Date(a.date) - new Date(b.date));
+  }
+}
+
+FundService.STATEMENT_COLUMNS = [
+  { key: 'date', fr: 'Date', en: 'Date', type: 'date' },
+  { key: 'kind', fr: 'Mouvement', en: 'Movement', value: (r, lang) => ({ donation: { fr: 'Don', en: 'Donation' }, expense: { fr: 'Dépense', en: 'Expense' } })[r.kind][lang] },
+  { key: 'label', fr: 'Donateur / Objet', en: 'Donor / Purpose', width: 2, value: (r, lang) => (r.isAnonymous ? (lang === 'fr' ? 'Anonyme' : 'Anonymous') : r.label) },
+  { key: 'category', fr: 'Type', en: 'Type', width: 1.3 },
+  { key: 'amountIn', fr: 'Reçu', en: 'Received', type: 'amount' },
+  { key: 'amountOut', fr: 'Dépensé', en: 'Spent', type: 'amount' },
+  { key: 'reference', fr: 'Référence', en: 'Reference', width: 1.5 }
+];
+FundService.slugify = slugify;
+FundService.fundError = fundError;
+
+module.exports = FundService;
@@ -0,0 +1,425 @@
+// src/modules/associations/services/lateFeeService.js
+// Moteur de pénalités : retards de cotisation, échéances de prêt, passage en inactif
+
+const { Op } = require('sequelize');
+const {
+  sequelize,
+  Association,
+  AssociationMember,
+  Transaction,
+  ExpenseRequest,
+  LoanRepayment,
+  LateFee,
+  User
+} = require('../../../models');
+const CotisationCollectorService = require('./cotisationCollectorService');
+const LedgerService = require('./ledgerService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Taux annuel des pénalités de prêt (même défaut que LoanRepayment.calculatePenalty)
+const DEFAULT_LOAN_PENALTY_RATE = 0.05;
+
+const round2 = (value) => parseFloat(parseFloat(value).toFixed(2));
+
+// Erreur métier (status HTTP + code)
+function lateFeeError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+// Entrée du journal d'audit
+function auditEntry(action, by, details = {}) {
+  return { action, by: by || null, at: new Date().toISOString(), ...details };
+}
+
+class LateFeeService {
+  /**
+   * ⚙️ Règles de l'association (valeurs par défaut du modèle Association)
+   */
+  static getPolicy(association) {
+    const settings = association.cotisationSettings || {};
+    return {
+      dueDay: settings.dueDay || 5,
+      gracePeriodDays: settings.gracePeriodDays ?? 5,
+      lateFeesEnabled: !!settings.lateFeesEnabled,
+      lateFeesAmount: parseFloat(settings.lateFeesAmount || 0),
+      loanPenaltyRate: parseFloat(settings.loanPenaltyRate ?? DEFAULT_LOAN_PENALTY_RATE),
+      inactivityThresholdMonths: settings.inactivityThresholdMonths || 3
+    };
+  }
+
+  /**
+   * 📅 Périodes de cotisation échues (mois précédent et mois en cours) dont le délai de grâce est passé
+   */
+  static overduePeriods(policy, now) {
+    return [-1, 0]
+      .map((offset) => {
+        const dueDate = new Date(now.getFullYear(), now.getMonth() + offset, policy.dueDay);
+        const graceEnd = new Date(dueDate.getTime() + (policy.gracePeriodDays + 1) * DAY_MS);
+        return { month: dueDate.getMonth() + 1, year: dueDate.getFullYear(), dueDate, graceEnd };
+      })
+      .filter((period) => now >= period.graceEnd);
+  }
+
+  /**
+   * 💶 Pénalités sur cotisations impayées (montant fixe lateFeesAmount par mois)
+   */
+  static async applyCotisationFees(association, now = new Date()) {
+    const policy = LateFeeService.getPolicy(association);
+    const result = { created: 0, amount: 0, markedLate: 0 };
+
+    if (!policy.lateFeesEnabled || policy.lateFeesAmount <= 0) return result;
+
+    const members = await AssociationMember.findAll({
+      where: { associationId: association.id, status: 'active' }
+    });
+
+    for (const period of LateFeeService.overduePeriods(policy, now)) {
+      const [payments, fees] = await Promise.all([
+        Transaction.findAll({
+          where: {
+            associationId: association.id,
+            type: 'cotisation',
+            status: 'completed',
+            month: period.month,
+            year: period.year
+          },
+          attributes: ['memberId']
+        }),
+        LateFee.findAll({
+          where: {
+            associationId: association.id,
+            sourceType: 'cotisation',
+            periodMonth: period.month,
+            periodYear: period.year
+          },
+          attributes: ['memberId']
+        })
+      ]);
+
+      const paid = new Set(payments.map((p) => p.memberId));
+      const charged = new Set(fees.map((f) => f.memberId));
+
+      for (const member of members) {
+        if (paid.has(member.id) || charged.has(member.id)) continue;
+        if (new Date(member.joinDate) > period.dueDate) continue;
+        if (!(CotisationCollectorService.resolveAmount(member, association) > 0)) continue;
+
+        // Pénalité et créance au grand livre ensemble ; déjà créée par un calcul concurrent : ignorée
+        try {
+          await sequelize.transaction(async (t) => {
+            const fee = await LateFee.create({
+              associationId: association.id,
+              memberId: member.id,
+              userId: member.userId,
+              sourceType: 'cotisation',
+              periodMonth: period.month,
+              periodYear: period.year,
+              amount: policy.lateFeesAmount,
+              currency: association.primaryCurrency || 'EUR',
+              daysLate: Math.floor((now - period.dueDate) / DAY_MS),
+              dueDate: period.dueDate,
+              calculation: { rule: 'fixed', lateFeesAmount: policy.lateFeesAmount, gracePeriodDays: policy.gracePeriodDays },
+              auditTrail: [auditEntry('created', null, { reason: 'Cotisation impayée après délai de grâce' })]
+            }, { transaction: t });
+            await LedgerService.postLateFee(fee, t);
+          });
+        } catch (error) {
+          if (error.name === 'SequelizeUniqueConstraintError') continue;
+          throw error;
+        }
+
+        result.created++;
+        result.amount = round2(result.amount + policy.lateFeesAmount);
+
+        if (member.contributionStatus === 'uptodate') {
+          await member.update({ contributionStatus: 'late' });
+          result.markedLate++;
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 🏦 Pénalités sur échéances de prêt en retard (taux journalier sur le capital, recalculé chaque jour)
+   */
+  static async applyLoanFees(association, now = new Date()) {
+    const policy = LateFeeService.getPolicy(association);
+    const result = { created: 0, updated: 0, amount: 0 };
+
+    if (!policy.lateFeesEnabled) return result;
+
+    const graceLimit = new Date(now.getTime() - policy.gracePeriodDays * DAY_MS);
+
+    const installments = await LoanRepayment.findAll({
+      where: { status: 'pending', isScheduled: true, dueDate: { [Op.lt]: graceLimit } },
+      include: [{
+        model: ExpenseRequest,
+        as: 'loan',
+        where: { associationId: association.id, isLoan: true },
+        attributes: ['id', 'associationId', 'requesterId', 'beneficiaryId', 'currency']
+      }]
+    });
+
+    for (const installment of installments) {
+      const daysLate = Math.floor((now - new Date(installment.dueDate)) / DAY_MS);
+      const existing = await LateFee.findOne({ where: { loanRepaymentId: installment.id } });
+
+      // Pénalité exonérée ou réglée : figée, seul le retard est suivi
+      if (existing && existing.status !== 'pending') {
+        await installment.update({ daysLate }, { hooks: false });
+        continue;
+      }
+
+      installment.daysLate = daysLate;
+      // Jamais en baisse : un paiement partiel du capital ne réduit pas la pénalité déjà courue
+      const penalty = Math.max(
+        round2(installment.calculatePenalty(policy.loanPenaltyRate)),
+        parseFloat(installment.penaltyAmount || 0)
+      );
+
+      await installment.update({ daysLate, penaltyAmount: penalty }, { hooks: false });
+
+      const calculation = {
+        rule: 'daily_rate',
+        annualRate: policy.loanPenaltyRate,
+        principal: installment.getRemaining().principal
+      };
+
+      if (existing) {
+        if (parseFloat(existing.amount) === penalty) continue;
+
+        await existing.update({
+          amount: penalty,
+          daysLate,
+          calculation,
+          auditTrail: [...(existing.auditTrail || []), auditEntry('updated', null, { amount: penalty, daysLate })]
+        });
+        result.updated++;
+        continue;
+      }
+
+      if (penalty <= 0) continue;
+
+      const borrowerId = installment.loan.beneficiaryId || installment.loan.requesterId;
+      const member = await AssociationMember.findOne({
+        where: { associationId: association.id, userId: borrowerId },
+        attributes: ['id']
+      });
+
+      await LateFee.create({
+        associationId: association.id,
+        memberId: member?.id || null,
+        userId: borrowerId,
+        sourceType: 'loan_installment',
+        loanRepaymentId: installment.id,
+        expenseRequestId: installment.loan.id,
+        amount: penalty,
+        currency: installment.currency || installment.loan.currency || 'EUR',
+        daysLate,
+        dueDate: installment.dueDate,
+        calculation,
+        auditTrail: [auditEntry('created', null, { reason: 'Échéance de prêt en retard' })]
+      });
+
+      result.created++;
+      result.amount = round2(result.amount + penalty);
+    }
+
+    return result;
+  }
+
+  /**
+   * 💤 Membres sans cotisation depuis inactivityThresholdMonths : passage en inactif
+   */
+  static async applyInactivity(association, now = new Date()) {
+    const policy = LateFeeService.getPolicy(association);
+    const threshold = new Date(now);
+    threshold.setMonth(threshold.getMonth() - policy.inactivityThresholdMonths);
+
+    const members = await AssociationMember.findAll({
+      where: {
+        associationId: association.id,
+        status: 'active',
+        [Op.or]: [
+          { lastContributionDate: { [Op.lt]: threshold } },
+          { lastContributionDate: null, joinDate: { [Op.lt]: threshold } }
+        ]
+      }
+    });
+
+    let inactivated = 0;
+    for (const member of members) {
+      // Membres exonérés de cotisation (bureau, admin externe)
+      if (!(CotisationCollectorService.resolveAmount(member, association) > 0)) continue;
+
+      await member.update({
+        status: 'inactive',
+        contributionStatus: 'very_late',
+        suspensionReason: `Aucune cotisation depuis ${policy.inactivityThresholdMonths} mois`
+      });
+      inactivated++;
+    }
+
+    return inactivated;
+  }
+
+  /**
+   * 🏛️ Appliquer la politique complète d'une association
+   */
+  static async applyAssociation(association, now = new Date()) {
+    const cotisations = await LateFeeService.applyCotisationFees(association, now);
+    const loans = await LateFeeService.applyLoanFees(association, now);
+    const inactivated = await LateFeeService.applyInactivity(association, now);
+
+    return {
+      associationId: association.id,
+      associationName: association.name,
+      cotisationFees: cotisations.created,
+      loanFees: loans.created,
+      loanFeesUpdated: loans.updated,
+      amountCharged: round2(cotisations.amount + loans.amount),
+      markedLate: cotisations.markedLate,
+      inactivated,
+      currency: association.primaryCurrency || 'EUR'
+    };
+  }
+
+  /**
+   * 🔄 Toutes les associations actives (cron quotidien)
+   */
+  static async applyAll(now = new Date()) {
+    const associations = await Association.findAll({ where: { status: 'active' } });
+    const reports = [];
+
+    for (const association of associations) {
+      try {
+        reports.push(await LateFeeService.applyAssociation(association, now));
+      } catch (error) {
+        reports.push({ associationId: association.id, associationName: association.name, error: error.message });
+      }
+    }
+
+    return reports;
+  }
+
+  /**
+   * 📋 Pénalités d'une association
+   */
+  static async listFees(associationId, { status, memberId, sourceType, page = 1, limit = 50 } = {}) {
+    const where = { associationId };
+    if (status) where.status = status;
+    if (memberId) where.memberId = memberId;
+    if (sourceType) where.sourceType = sourceType;
+
+    const { rows, count } = await LateFee.findAndCountAll({
+      where,
+      include: [
+        { model: User, as: 'user', attributes: ['id', 'firstName', 'lastName'] },
+        { model: User, as: 'waiver', attributes: ['id', 'firstName', 'lastName'], required: false }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    });
+
+    const pendingTotal = await LateFee.sum('amount', { where: { associationId, status: 'pending' } });
+
+    return {
+      fees: rows,
+      pendingTotal: round2(pendingTotal || 0),
+      pagination: { page: parseInt(page), limit: parseInt(limit), total: count, pages: Math.ceil(count / limit) }
+    };
+  }
+
+  /**
+   * 🙏 Exonérer une pénalité (motif obligatoire, tracé dans l'audit)
+   */
+  static async waiveFee(associationId, feeId, userId, reason) {
+    return sequelize.transaction(async (t) => {
+      const fee = await LateFee.findOne({
+        where: { id: feeId, associationId },
+        transaction: t,
+        lock: t.LOCK.UPDATE
+      });
+
+      if (!fee) {
+        throw lateFeeError(404, 'LATE_FEE_NOT_FOUND', 'Pénalité introuvable');
+      }
+
+      if (!fee.canBeWaived()) {
+        throw lateFeeError(400, 'LATE_FEE_NOT_WAIVABLE', `Pénalité déjà ${fee.status === 'paid' ? 'réglée' : 'exonérée'}`);
+      }
+
+      await fee.update({
+        status: 'waived',
+        waivedBy: userId,
+        waivedAt: new Date(),
+        waiverReason: reason,
+        auditTrail: [...(fee.auditTrail || []), auditEntry('waived', userId, { reason, amount: parseFloat(fee.amount) })]
+      }, { transaction: t });
+
+      await LedgerService.reverseLateFee(fee, t);
+
+      // L'échéance de prêt ne porte plus de pénalité
+      if (fee.loanRepaymentId) {
+        await LoanRepayment.update(
+          { penaltyAmount: 0 },
+          { where: { id: fee.loanRepaymentId }, transaction: t, hooks: false }
+        );
+      }
+
+      return fee;
+    });
+  }
+
+  /**
+   * 💶 Encaisser une pénalité de cotisation (créance soldée au grand livre)
+   * Les pénalités de prêt sont réglées avec l'échéance (remboursement du prêt)
+   */
+  static async payFee(associationId, feeId, userId, { paymentMethod, reference, notes } = {}) {
+    return sequelize.transaction(async (t) => {
+      const fee = await LateFee.findOne({
+        where: { id: feeId, associationId },
+        transaction: t,
+        lock: t.LOCK.UPDATE
+      });
+
+      if (!fee) {
+        throw lateFeeError(404, 'LATE_FEE_NOT_FOUND', 'Pénalité introuvable');
+      }
+
+      if (fee.sourceType !== 'cotisation') {
+        throw lateFeeError(400, 'LATE_FEE_PAID_WITH_INSTALLMENT', 'Pénalité de prêt réglée avec le remboursement de l\'échéance');
+      }
+
+      if (fee.status !== 'pending') {
+        throw lateFeeError(400, 'LATE_FEE_NOT_PAYABLE', `Pénalité déjà ${fee.status === 'paid' ? 'réglée' : 'exonérée ou annulée'}`);
+      }
+
+      await fee.update({
+        status: 'paid',
+        paidAt: new Date(),
+        auditTrail: [
+          ...(fee.auditTrail || []),
+          auditEntry('paid', userId, { paymentMethod, reference: reference || null, notes: notes || null, amount: parseFloat(fee.amount) })
+        ]
+      }, { transaction: t });
+
+      // Créance constatée si la pénalité précède le grand livre (écriture idempotente)
+      await LedgerService.postLateFee(fee, t);
+      await LedgerService.postLateFeePayment(fee, { paymentMethod, recordedBy: userId }, t);
+
+      return fee;
+    });
+  }
+}
+
+LateFeeService.lateFeeError = lateFeeError;
+
+module.exports = LateFeeService;
@@ -0,0 +1,918 @@
+// src/modules/associations/services/ledgerService.js
+// Grand livre en partie double : plan comptable, écritures idempotentes, balance et historique des comptes
+
+const { Op } = require('sequelize');
+const {
+  sequelize,
+  Association,
+  Transaction,
+  IncomeEntry,
+  ExpenseRequest,
+  LoanRepayment,
+  LateFee,
+  LedgerAccount,
+  LedgerEntry,
+  LedgerLine
+} = require('../../../models');
+const CurrencyService = require('./currencyService');
+
+// 📒 Plan comptable créé pour chaque association
+const CHART = [
+  { code: 'cash', name: 'Caisse', type: 'asset', isTreasury: true },
+  { code: 'bank', name: 'Banque', type: 'asset', isTreasury: true },
+  { code: 'mobile_money', name: 'Mobile money', type: 'asset', isTreasury: true },
+  { code: 'member_receivables', name: 'Créances sur membres', type: 'asset' },
+  { code: 'loans_receivable', name: 'Prêts accordés', type: 'asset' },
+  { code: 'restricted_funds', name: 'Fonds dédiés', type: 'liability' },
+  { code: 'income_cotisations', name: 'Cotisations', type: 'income' },
+  { code: 'income_other', name: 'Dons, subventions et autres produits', type: 'income' },
+  { code: 'income_interest', name: 'Intérêts sur prêts', type: 'income' },
+  { code: 'income_penalties', name: 'Pénalités de retard', type: 'income' },
+  { code: 'expense_operations', name: 'Dépenses et aides', type: 'expense' },
+  { code: 'expense_payment_fees', name: 'Frais de paiement', type: 'expense' }
+];
+
+// Méthode de paiement → compte de trésorerie (cartes et virements réglés sur le compte bancaire)
+const TREASURY_BY_METHOD = {
+  cash: 'cash',
+  mobile_money: 'mobile_money',
+  card: 'bank',
+  card_payment: 'bank',
+  iban: 'bank',
+  bank_transfer: 'bank',
+  check: 'bank',
+  internal: 'bank'
+};
+
+const round2 = (value) => parseFloat(parseFloat(value || 0).toFixed(2));
+
+// Rattrapage du grand livre par association dans ce processus : { done } | { running } | { retryAfter }
+const backfills = new Map();
+const BACKFILL_RETRY_MS = 10 * 60 * 1000;
+
+// Erreur métier (status HTTP + code)
+function ledgerError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+class LedgerService {
+  /**
+   * 📒 Comptes de l'association (plan comptable créé au premier usage)
+   */
+  static async ensureAccounts(associationId, t) {
+    let accounts = await LedgerAccount.findAll({ where: { associationId }, transaction: t });
+
+    if (accounts.length < CHART.length) {
+      const existing = new Set(accounts.map((a) => a.code));
+      await LedgerAccount.bulkCreate(
+        CHART.filter((a) => !existing.has(a.code)).map((a) => ({
+          associationId,
+          code: a.code,
+          name: a.name,
+          type: a.type,
+          normalBalance: ['asset', 'expense'].includes(a.type) ? 'debit' : 'credit',
+          isTreasury: !!a.isTreasury
+        })),
+        { transaction: t, ignoreDuplicates: true }
+      );
+      accounts = await LedgerAccount.findAll({ where: { associationId }, transaction: t });
+    }
+
+    return Object.fromEntries(accounts.map((a) => [a.code, a]));
+  }
+
+  static treasuryAccount(paymentMethod) {
+    return TREASURY_BY_METHOD[paymentMethod] || 'bank';
+  }
+
+  /**
+   * ✍️ Passer une écriture équilibrée (idempotente par sourceKey)
+   * lines : [{ account: 'bank', debit: 10 }, { account: 'income_other', credit: 10, fundId: 3 }]
+   * Montants saisis dans la devise de l'opération (entry.currency), comptabilisés en devise principale
+   * au taux entry.exchangeRate, sinon au taux applicable à entryDate
+   */
+  static async postEntry(associationId, entry, t) {
+    if (!t) {
+      return sequelize.transaction((tx) => LedgerService.postEntry(associationId, entry, tx));
+    }
+
+    const existing = await LedgerEntry.findOne({
+      where: { associationId, sourceKey: entry.sourceKey },
+      transaction: t
+    });
+    if (existing) return { entry: existing, created: false };
+
+    const lines = entry.lines
+      .map((line) => ({ ...line, debit: round2(line.debit), credit: round2(line.credit) }))
+      .filter((line) => line.debit > 0 || line.credit > 0);
+
+    const totalDebit = round2(lines.reduce((sum, l) => sum + l.debit, 0));
+    const totalCredit = round2(lines.reduce((sum, l) => sum + l.credit, 0));
+
+    if (!lines.length || totalDebit <= 0) {
+      return { entry: null, created: false };
+    }
+
+    if (totalDebit !== totalCredit) {
+      throw ledgerError(400, 'UNBALANCED_ENTRY', `Écriture déséquilibrée (${totalDebit} / ${totalCredit}) pour ${entry.sourceKey}`);
+    }
+
+    // 💱 Conversion en devise principale
+    const primaryCurrency = await CurrencyService.getPrimaryCurrency(associationId, t);
+    const currency = CurrencyService.normalize(entry.currency || primaryCurrency);
+    const exchangeRate = entry.exchangeRate
+      ? parseFloat(entry.exchangeRate)
+      : (await CurrencyService.getRate(associationId, currency, primaryCurrency, entry.entryDate || new Date(), t)).rate;
+
+    const converted = LedgerService.convertLines(lines, exchangeRate);
+    const accounts = await LedgerService.ensureAccounts(associationId, t);
+
+    const created = await LedgerEntry.create({
+      associationId,
+      entryDate: entry.entryDate || new Date(),
+      description: entry.description.substring(0, 255),
+      sourceType: entry.sourceType,
+      sourceId: entry.sourceId || null,
+      sourceKey: entry.sourceKey,
+      currency,
+      exchangeRate,
+      reference: entry.reference || null,
+      createdBy: entry.createdBy || null,
+      metadata: entry.metadata || null
+    }, { transaction: t });
+
+    await LedgerLine.bulkCreate(converted.map((line) => {
+      if (!accounts[line.account]) {
+        throw ledgerError(400, 'UNKNOWN_ACCOUNT', `Compte inconnu: ${line.account}`);
+      }
+      return {
+        entryId: created.id,
+        accountId: accounts[line.account].id,
+        associationId,
+        debit: line.debit,
+        credit: line.credit,
+        currency,
+        originalAmount: line.originalAmount,
+        fundId: line.fundId || null,
+        memo: line.memo || null
+      };
+    }), { transaction: t });
+
+    return { entry: created, created: true };
+  }
+
+  // Lignes converties au taux ; l'écart d'arrondi est reporté sur la plus grosse ligne du côté excédentaire
+  static convertLines(lines, rate) {
+    const converted = lines.map((line) => ({
+      ...line,
+      originalAmount: line.debit || line.credit,
+      debit: round2(line.debit * rate),
+      credit: round2(line.credit * rate)
+    }));
+
+    if (rate === 1) return converted;
+
+    const gap = round2(
+      converted.reduce((sum, l) => sum + l.debit, 0) - converted.reduce((sum, l) => sum + l.credit, 0)
+    );
+    if (gap !== 0) {
+      const side = gap > 0 ? 'debit' : 'credit';
+      const target = converted
+        .filter((l) => l[side] > 0)
+        .reduce((max, l) => (l[side] > max[side] ? l : max));
+      target[side] = round2(target[side] - Math.abs(gap));
+    }
+
+    return converted;
+  }
+
+  // ============================================================
+  // 🔌 ÉCRITURES PAR ÉVÉNEMENT MÉTIER
+  // ============================================================
+
+  /**
+   * ⏳ Écriture d'une opération déjà encaissée : sans taux de change vers la devise principale,
+   * elle est reportée (metadata.ledgerPending) sans bloquer le paiement, puis reprise par
+   * syncAssociation dès la saisie du taux
+   */
+  static async postOrDefer(record, posting, t) {
+    try {
+      const result = await posting();
+      await LedgerService.clearLedgerPending(record, t);
+      return result;
+    } catch (error) {
+      if (error.code !== 'EXCHANGE_RATE_MISSING') throw error;
+
+      console.warn(`⏳ Écriture reportée pour l'opération ${record.id}: ${error.message}`);
+      await record.update({
+        metadata: {
+          ...(record.metadata || {}),
+          ledgerPending: { reason: error.code, details: error.details, at: new Date().toISOString() }
+        }
+      }, { transaction: t, hooks: false });
+
+      return { entry: null, created: false, deferred: true };
+    }
+  }
+
+  static async clearLedgerPending(record, t) {
+    if (!record.metadata?.ledgerPending) return record;
+
+    const { ledgerPending, ...metadata } = record.metadata;
+    return record.update({ metadata }, { transaction: t, hooks: false });
+  }
+
+  /**
+   * 💶 Cotisation encaissée : trésorerie (net) + frais au débit, produit cotisations au crédit
+   */
+  static async postCotisation(transaction, t) {
+    if (transaction.type !== 'cotisation' || !transaction.associationId) return null;
+
+    const amount = round2(transaction.amount);
+    const commission = round2(transaction.commissionAmount);
+    const { rate } = await CurrencyService.stampConversion(transaction, {
+      date: transaction.completedAt || new Date(),
+      t
+    });
+
+    return LedgerService.postEntry(transaction.associationId, {
+      sourceType: 'cotisation',
+      sourceId: transaction.id,
+      sourceKey: `cotisation:${transaction.id}`,
+      entryDate: transaction.completedAt || new Date(),
+      description: `Cotisation ${transaction.month || ''}/${transaction.year || ''} (transaction ${transaction.id})`,
+      currency: transaction.currency,
+      exchangeRate: rate,
+      reference: transaction.externalTransactionId,
+      lines: [
+        { account: LedgerService.treasuryAccount(transaction.paymentMethod), debit: round2(amount - commission) },
+        { account: 'expense_payment_fees', debit: commission },
+        { account: 'income_cotisations', credit: amount }
+      ]
+    }, t);
+  }
+
+  /**
+   * ↩️ Remboursement de cotisation : écrit la part pas encore comptabilisée du montant remboursé cumulé
+   */
+  static async postCotisationRefund(transaction, t) {
+    const refunded = round2(transaction.metadata?.refundedAmount);
+    if (transaction.type !== 'cotisation' || !transaction.associationId || refunded <= 0) return null;
+
+    // Déjà remboursé, en devise de la transaction (lignes antérieures au multi-devises : montant comptabilisé)
+    const posted = await LedgerLine.findOne({
+      where: { debit: { [Op.gt]: 0 } },
+      include: [{
+        model: LedgerEntry,
+        as: 'entry',
+        attributes: [],
+        where: { sourceType: 'cotisation_refund', sourceId: transaction.id }
+      }],
+      attributes: [[sequelize.fn('SUM', sequelize.fn('COALESCE', sequelize.col('original_amount'), sequelize.col('debit'))), 'total']],
+      raw: true,
+      transaction: t
+    });
+
+    const delta = round2(refunded - round2(posted?.total));
+    if (delta <= 0) return null;
+
+    return LedgerService.postEntry(transaction.associationId, {
+      sourceType: 'cotisation_refund',
+      sourceId: transaction.id,
+      sourceKey: `cotisation_refund:${transaction.id}:${refunded}`,
+      entryDate: transaction.metadata?.refundedAt || new Date(),
+      description: `Remboursement cotisation (transaction ${transaction.id})`,
+      currency: transaction.currency,
+      lines: [
+        { account: 'income_cotisations', debit: delta },
+        { account: LedgerService.treasuryAccount(transaction.paymentMethod), credit: delta }
+      ]
+    }, t);
+  }
+
+  /**
+   * 💵 Entrée d'argent validée : produit, ou fonds dédiés si usage restreint
+   */
+  static async postIncomeEntry(incomeEntry, t) {
+    if (incomeEntry.status !== 'validated') return null;
+
+    const amount = round2(incomeEntry.amount);
+    const fees = round2(incomeEntry.fees);
+    const { rate } = await CurrencyService.stampConversion(incomeEntry, {
+      date: incomeEntry.receivedDate || incomeEntry.validatedAt || new Date(),
+      t
+    });
+
+    return LedgerService.postEntry(incomeEntry.associationId, {
+      sourceType: 'income_entry',
+      sourceId: incomeEntry.id,
+      sourceKey: `income_entry:${incomeEntry.id}`,
+      entryDate: incomeEntry.receivedDate || incomeEntry.validatedAt || new Date(),
+      description: `${incomeEntry.title || incomeEntry.incomeType} (entrée ${incomeEntry.id})`,
+      currency: incomeEntry.currency,
+      exchangeRate: rate,
+      reference: incomeEntry.receiptNumber || incomeEntry.manualReference,
+      createdBy: incomeEntry.validatedBy,
+      lines: [
+        { account: LedgerService.treasuryAccount(incomeEntry.paymentMethod), debit: round2(amount - fees) },
+        { account: 'expense_payment_fees', debit: fees },
+        incomeEntry.restrictedUse
+          ? { account: 'restricted_funds', credit: amount, fundId: incomeEntry.fundId }
+          : { account: 'income_other', credit: amount }
+      ]
+    }, t);
+  }
+
+  /**
+   * ↩️ Entrée validée puis annulée (billet remboursé ou annulé) : produit extourné contre trésorerie
+   * Les frais de paiement déjà prélevés restent à la charge de l'association
+   */
+  static async reverseIncomeEntry(incomeEntry, t) {
+    const posted = await LedgerEntry.findOne({
+      where: { associationId: incomeEntry.associationId, sourceKey: `income_entry:${incomeEntry.id}` },
+      transaction: t
+    });
+    if (!posted) return null;
+
+    const amount = round2(incomeEntry.amount);
+
+    return LedgerService.postEntry(incomeEntry.associationId, {
+      sourceType: 'income_entry_reversal',
+      sourceId: incomeEntry.id,
+      sourceKey: `income_entry_reversal:${incomeEntry.id}`,
+      entryDate: new Date(),
+      description: `Annulation ${incomeEntry.title || incomeEntry.incomeType} (entrée ${incomeEntry.id})`,
+      currency: incomeEntry.currency,
+      exchangeRate: posted.exchangeRate,
+      lines: [
+        incomeEntry.restrictedUse
+          ? { account: 'restricted_funds', debit: amount, fundId: incomeEntry.fundId }
+          : { account: 'income_other', debit: amount },
+        { account: LedgerService.treasuryAccount(incomeEntry.paymentMethod), credit: amount }
+      ]
+    }, t);
+  }
+
+  /**
+   * 💸 Demande payée : charge (aide, dépense) ou créance (prêt) contre trésorerie
+   * Dépense imputée sur un fonds dédié : le fonds est repris en produit à hauteur de la dépense
+   */
+  static async postExpensePayment(expenseRequest, t) {
+    if (expenseRequest.status !== 'paid') return null;
+
+    const amount = round2(expenseRequest.amountApproved || expenseRequest.amountRequested);
+    const isLoan = !!expenseRequest.isLoan;
+    const { rate } = await CurrencyService.stampConversion(expenseRequest, {
+      amount,
+      date: expenseRequest.paidAt || new Date(),
+      t
+    });
+
+    return LedgerService.postEntry(expenseRequest.associationId, {
+      sourceType: isLoan ? 'loan_disbursement' : 'expense_payment',
+      sourceId: expenseRequest.id,
+      sourceKey: `expense_payment:${expenseRequest.id}`,
+      entryDate: expenseRequest.paidAt || new Date(),
+      description: `${isLoan ? 'Prêt' : 'Dépense'} : ${expenseRequest.title} (demande ${expenseRequest.id})`,
+      currency: expenseRequest.currency,
+      exchangeRate: rate,
+      reference: expenseRequest.manualPaymentReference,
+      createdBy: expenseRequest.paymentValidatedBy,
+      lines: [
+        { account: isLoan ? 'loans_receivable' : 'expense_operations', debit: amount },
+        { account: LedgerService.treasuryAccount(expenseRequest.paymentMethod), credit: amount },
+        ...(expenseRequest.fundId ? [
+          { account: 'restricted_funds', debit: amount, fundId: expenseRequest.fundId, memo: 'Utilisation fonds dédié' },
+          { account: 'income_other', credit: amount, memo: 'Report fonds dédié' }
+        ] : [])
+      ]
+    }, t);
+  }
+
+  /**
+   * 🏦 Paiement imputé sur une échéance (allocations[index]) : capital, intérêts, pénalités
+   * Les pénalités de prêt sont comptabilisées à l'encaissement
+   */
+  static async postLoanRepayment(associationId, installment, index, t) {
+    const allocation = (installment.allocations || [])[index];
+    if (!allocation) return null;
+
+    const principal = round2(allocation.principal);
+    const interest = round2(allocation.interest);
+    const penalty = round2(allocation.penalty);
+
+    return LedgerService.postEntry(associationId, {
+      sourceType: 'loan_repayment',
+      sourceId: installment.id,
+      sourceKey: `loan_repayment:${installment.id}:${index}`,
+      entryDate: allocation.at || installment.paymentDate || new Date(),
+      description: `Remboursement prêt ${installment.expenseRequestId}, échéance ${installment.installmentNumber}`,
+      currency: installment.currency,
+      reference: allocation.reference,
+      createdBy: allocation.by,
+      lines: [
+        { account: LedgerService.treasuryAccount(allocation.paymentMethod || installment.paymentMethod), debit: round2(principal + interest + penalty) },
+        { account: 'loans_receivable', credit: principal },
+        { account: 'income_interest', credit: interest },
+        { account: 'income_penalties', credit: penalty }
+      ]
+    }, t);
+  }
+
+  /**
+   * 🔁 Rééchelonnement : intérêts et pénalités échus capitalisés dans le prêt
+   */
+  static async postLoanCapitalisation(loan, index, t) {
+    const reschedule = (loan.loanTerms?.reschedules || [])[index];
+    if (!reschedule) return null;
+
+    const interest = round2(reschedule.capitalised?.interest);
+    const penalty = round2(reschedule.capitalised?.penalty);
+
+    return LedgerService.postEntry(loan.associationId, {
+      sourceType: 'loan_reschedule',
+      sourceId: loan.id,
+      sourceKey: `loan_reschedule:${loan.id}:${index}`,
+      entryDate: reschedule.at,
+      description: `Rééchelonnement prêt ${loan.id} : capitalisation`,
+      currency: loan.currency,
+      createdBy: reschedule.by,
+      lines: [
+        { account: 'loans_receivable', debit: round2(interest + penalty) },
+        { account: 'income_interest', credit: interest },
+        { account: 'income_penalties', credit: penalty }
+      ]
+    }, t);
+  }
+
+  /**
+   * ⏰ Pénalité de cotisation constatée : créance sur le membre
+   */
+  static async postLateFee(fee, t) {
+    if (fee.sourceType !== 'cotisation') return null;
+
+    return LedgerService.postEntry(fee.associationId, {
+      sourceType: 'late_fee',
+      sourceId: fee.id,
+      sourceKey: `late_fee:${fee.id}`,
+      entryDate: fee.createdAt || new Date(),
+      description: `Pénalité de retard cotisation ${fee.periodMonth}/${fee.periodYear} (membre ${fee.memberId})`,
+      currency: fee.currency,
+      lines: [
+        { account: 'member_receivables', debit: fee.amount },
+        { account: 'income_penalties', credit: fee.amount }
+      ]
+    }, t);
+  }
+
+  /**
+   * 💶 Pénalité de cotisation réglée : la créance sur le membre est soldée en trésorerie
+   */
+  static async postLateFeePayment(fee, { paymentMethod, recordedBy } = {}, t) {
+    if (fee.sourceType !== 'cotisation') return null;
+
+    return LedgerService.postEntry(fee.associationId, {
+      sourceType: 'late_fee_payment',
+      sourceId: fee.id,
+      sourceKey: `late_fee_payment:${fee.id}`,
+      entryDate: fee.paidAt || new Date(),
+      description: `Règlement pénalité ${fee.id} (cotisation ${fee.periodMonth}/${fee.periodYear}, membre ${fee.memberId})`,
+      currency: fee.currency,
+      createdBy: recordedBy,
+      lines: [
+        { account: LedgerService.treasuryAccount(paymentMethod), debit: fee.amount },
+        { account: 'member_receivables', credit: fee.amount }
+      ]
+    }, t);
+  }
+
+  /**
+   * 🙏 Pénalité exonérée ou annulée : extourne de la créance
+   */
+  static async reverseLateFee(fee, t) {
+    if (fee.sourceType !== 'cotisation') return null;
+
+    const accrued = await LedgerEntry.findOne({
+      where: { associationId: fee.associationId, sourceKey: `late_fee:${fee.id}` },
+      transaction: t
+    });
+    if (!accrued) return null;
+
+    return LedgerService.postEntry(fee.associationId, {
+      sourceType: 'late_fee_reversal',
+      sourceId: fee.id,
+      sourceKey: `late_fee_reversal:${fee.id}`,
+      entryDate: fee.waivedAt || new Date(),
+      description: `Exonération pénalité ${fee.id}${fee.waiverReason ? ` : ${fee.waiverReason}` : ''}`,
+      currency: fee.currency,
+      createdBy: fee.waivedBy,
+      lines: [
+        { account: 'income_penalties', debit: fee.amount },
+        { account: 'member_receivables', credit: fee.amount }
+      ]
+    }, t);
+  }
+
+  /**
+   * 🔄 Rattrapage : comptabiliser les opérations existantes sans écriture (idempotent, reprenable)
+   * Une opération en échec (taux de change manquant...) n'interrompt pas les suivantes ;
+   * le rattrapage n'est marqué terminé (Association.ledgerBackfilledAt) que sans aucune erreur
+   */
+  static async syncAssociation(associationId) {
+    const report = { cotisations: 0, refunds: 0, incomeEntries: 0, expensePayments: 0, loanRepayments: 0, reschedules: 0, lateFees: 0, errors: [] };
+    const post = async (key, source, posting) => {
+      try {
+        const result = await posting();
+        if (key && result?.created) report[key]++;
+      } catch (error) {
+        report.errors.push({ source, code: error.code || null, message: error.message });
+      }
+    };
+
+    const cotisations = await Transaction.findAll({
+      where: { associationId, type: 'cotisation', status: { [Op.in]: ['completed', 'refunded'] } }
+    });
+    for (const transaction of cotisations) {
+      const failed = report.errors.length;
+      await post('cotisations', `cotisation:${transaction.id}`, () => LedgerService.postCotisation(transaction));
+      await post('refunds', `cotisation_refund:${transaction.id}`, () => LedgerService.postCotisationRefund(transaction));
+
+      // Écriture reportée faute de taux : désormais passée
+      if (report.errors.length === failed) {
+        await post(null, `ledger_pending:${transaction.id}`, () => LedgerService.clearLedgerPending(transaction));
+      }
+    }
+
+    const incomeEntries = await IncomeEntry.findAll({ where: { associationId, status: 'validated' } });
+    for (const incomeEntry of incomeEntries) {
+      await post('incomeEntries', `income_entry:${incomeEntry.id}`, () => LedgerService.postIncomeEntry(incomeEntry));
+    }
+
+    const expenses = await ExpenseRequest.findAll({ where: { associationId, status: 'paid' } });
+    for (const expenseRequest of expenses) {
+      await post('expensePayments', `expense_payment:${expenseRequest.id}`, () => LedgerService.postExpensePayment(expenseRequest));
+
+      for (let i = 0; i < (expenseRequest.loanTerms?.reschedules || []).length; i++) {
+        await post('reschedules', `loan_reschedule:${expenseRequest.id}:${i}`, () => LedgerService.postLoanCapitalisation(expenseRequest, i));
+      }
+    }
+
+    const installments = await LoanRepayment.findAll({
+      include: [{ model: ExpenseRequest, as: 'loan', where: { associationId }, attributes: [] }]
+    });
+    for (const installment of installments) {
+      if (installment.isScheduled) {
+        for (let i = 0; i < (installment.allocations || []).length; i++) {
+          await post('loanRepayments', `loan_repayment:${installment.id}:${i}`, () => LedgerService.postLoanRepayment(associationId, installment, i));
+        }
+      } else if (installment.status === 'validated') {
+        // Remboursement saisi avant les échéanciers : une seule imputation
+        await post('loanRepayments', `loan_repayment:${installment.id}:0`, () => LedgerService.postLoanRepayment(associationId, {
+          ...installment.get({ plain: true }),
+          allocations: [{
+            at: installment.paymentDate,
+            principal: installment.principalAmount,
+            interest: installment.interestAmount,
+            penalty: installment.penaltyAmount,
+            reference: installment.manualReference,
+            by: installment.validatedBy
+          }]
+        }, 0));
+      }
+    }
+
+    const fees = await LateFee.findAll({ where: { associationId, sourceType: 'cotisation' } });
+    for (const fee of fees) {
+      await post('lateFees', `late_fee:${fee.id}`, () => LedgerService.postLateFee(fee));
+      if (['waived', 'cancelled'].includes(fee.status)) {
+        await post(null, `late_fee_reversal:${fee.id}`, () => LedgerService.reverseLateFee(fee));
+      }
+      if (fee.status === 'paid') {
+        const payment = (fee.auditTrail || []).find((e) => e.action === 'paid');
+        await post(null, `late_fee_payment:${fee.id}`, () => LedgerService.postLateFeePayment(fee, { paymentMethod: payment?.paymentMethod, recordedBy: payment?.by }));
+      }
+    }
+
+    report.complete = report.errors.length === 0;
+    if (report.complete) {
+      await Association.update({ ledgerBackfilledAt: new Date() }, { where: { id: associationId, ledgerBackfilledAt: null } });
+    }
+
+    return report;
+  }
+
+  /**
+   * 🧭 Grand livre rattrapé avant lecture : tant que le marqueur Association.ledgerBackfilledAt
+   * n'est pas posé, le rattrapage est relancé (au plus toutes les BACKFILL_RETRY_MS par processus)
+   */
+  static async ensureBackfilled(associationId) {
+    const state = backfills.get(associationId);
+    if (state?.done) return null;
+    if (state?.running) return state.running;
+    if (state?.retryAfter > Date.now()) return null;
+
+    const running = (async () => {
+      const association = await Association.findByPk(associationId, { attributes: ['id', 'ledgerBackfilledAt'] });
+      if (!association || association.ledgerBackfilledAt) return { complete: true };
+
+      const report = await LedgerService.syncAssociation(associationId);
+      if (report.complete) {
+        console.log(`📒 Grand livre association ${associationId} rattrapé:`, report);
+      } else {
+        console.warn(`⚠️ Rattrapage grand livre association ${associationId} incomplet (${report.errors.length} erreur(s)), nouvel essai plus tard:`, report.errors.slice(0, 5));
+      }
+      return report;
+    })().catch((error) => {
+      console.error(`⚠️ Rattrapage grand livre association ${associationId}:`, error.message);
+      return { complete: false };
+    });
+
+    backfills.set(associationId, { running });
+    const report = await running;
+    backfills.set(associationId, report.complete ? { done: true } : { retryAfter: Date.now() + BACKFILL_RETRY_MS });
+
+    return report;
+  }
+
+  // ============================================================
+  // 📊 LECTURE
+  // ============================================================
+
+  /**
+   * ⚖️ Soldes de tous les comptes (à une date si asOf fourni)
+   */
+  static async getBalances(associationId, { asOf } = {}) {
+    await LedgerService.ensureBackfilled(associationId);
+    const accounts = await LedgerService.ensureAccounts(associationId);
+
+    const totals = await LedgerLine.findAll({
+      where: { associationId },
+      include: [{
+        model: LedgerEntry,
+        as: 'entry',
+        attributes: [],
+        where: asOf ? { entryDate: { [Op.lte]: asOf } } : undefined
+      }],
+      attributes: [
+        'accountId',
+        [sequelize.fn('SUM', sequelize.col('debit')), 'debit'],
+        [sequelize.fn('SUM', sequelize.col('credit')), 'credit']
+      ],
+      group: ['accountId'],
+      raw: true
+    });
+
+    const byAccount = Object.fromEntries(totals.map((row) => [row.accountId, row]));
+
+    return Object.values(accounts)
+      .sort((a, b) => CHART.findIndex((c) => c.code === a.code) - CHART.findIndex((c) => c.code === b.code))
+      .map((account) => {
+        const debit = round2(byAccount[account.id]?.debit);
+        const credit = round2(byAccount[account.id]?.credit);
+        return {
+          code: account.code,
+          name: account.name,
+          type: account.type,
+          isTreasury: account.isTreasury,
+          debit,
+          credit,
+          balance: account.normalBalance === 'debit' ? round2(debit - credit) : round2(credit - debit)
+        };
+      });
+  }
+
+  /**
+   * 🧮 Balance générale : total débits = total crédits
+   */
+  static async getTrialBalance(associationId, { asOf } = {}) {
+    const accounts = await LedgerService.getBalances(associationId, { asOf });
+    const totalDebit = round2(accounts.reduce((sum, a) => sum + a.debit, 0));
+    const totalCredit = round2(accounts.reduce((sum, a) => sum + a.credit, 0));
+
+    return {
+      asOf: asOf || new Date(),
+      accounts,
+      totals: { debit: totalDebit, credit: totalCredit },
+      balanced: totalDebit === totalCredit
+    };
+  }
+
+  /**
+   * 📜 Mouvements d'un compte avec solde progressif
+   */
+  static async getAccountHistory(associationId, code, { dateFrom, dateTo, page = 1, limit = 50 } = {}) {
+    await LedgerService.ensureBackfilled(associationId);
+    const accounts = await LedgerService.ensureAccounts(associationId);
+    const account = accounts[code];
+
+    if (!account) {
+      throw ledgerError(404, 'ACCOUNT_NOT_FOUND', `Compte introuvable: ${code}`);
+    }
+
+    const sign = account.normalBalance === 'debit' ? 1 : -1;
+    const entryDate = {};
+    if (dateFrom) entryDate[Op.gte] = new Date(dateFrom);
+    if (dateTo) entryDate[Op.lte] = new Date(dateTo);
+
+    // Solde d'ouverture : mouvements antérieurs à la période
+    let opening = 0;
+    if (dateFrom) {
+      const before = await LedgerLine.findOne({
+        where: { accountId: account.id },
+        include: [{ model: LedgerEntry, as: 'entry', attributes: [], where: { entryDate: { [Op.lt]: new Date(dateFrom) } } }],
+        attributes: [
+          [sequelize.fn('SUM', sequelize.col('debit')), 'debit'],
+          [sequelize.fn('SUM', sequelize.col('credit')), 'credit']
+        ],
+        raw: true
+      });
+      opening = round2(sign * (round2(before?.debit) - round2(before?.credit)));
+    }
+
+    const lines = await LedgerLine.findAll({
+      where: { accountId: account.id },
+      include: [{
+        model: LedgerEntry,
+        as: 'entry',
+        where: Object.getOwnPropertySymbols(entryDate).length ? { entryDate } : undefined,
+        attributes: ['id', 'entryDate', 'description', 'sourceType', 'sourceId', 'reference', 'currency']
+      }],
+      order: [[{ model: LedgerEntry, as: 'entry' }, 'entryDate', 'ASC'], ['id', 'ASC']]
+    });
+
+    let running = opening;
+    const movements = lines.map((line) => {
+      running = round2(running + sign * (parseFloat(line.debit) - parseFloat(line.credit)));
+      return {
+        entryId: line.entry.id,
+        date: line.entry.entryDate,
+        description: line.entry.description,
+        sourceType: line.entry.sourceType,
+        sourceId: line.entry.sourceId,
+        reference: line.entry.reference,
+        debit: parseFloat(line.debit),
+        credit: parseFloat(line.credit),
+        currency: line.currency || line.entry.currency,
+        originalAmount: line.originalAmount !== null ? parseFloat(line.originalAmount) : null,
+        balance: running
+      };
+    });
+
+    const start = (parseInt(page) - 1) * parseInt(limit);
+
+    return {
+      account: { code: account.code, name: account.name, type: account.type },
+      openingBalance: opening,
+      closingBalance: running,
+      movements: movements.slice(start, start + parseInt(limit)),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: movements.length,
+        pages: Math.ceil(movements.length / limit)
+      }
+    };
+  }
+
+  /**
+   * 🎯 Solde des fonds dédiés par fonds (ressources reçues - utilisations)
+   */
+  static async getFundBalances(associationId, { asOf } = {}) {
+    await LedgerService.ensureBackfilled(associationId);
+    const rows = await LedgerLine.findAll({
+      where: { associationId, fundId: { [Op.ne]: null } },
+      include: [{
+        model: LedgerEntry,
+        as: 'entry',
+        attributes: [],
+        where: asOf ? { entryDate: { [Op.lte]: asOf } } : undefined
+      }],
+      attributes: [
+        'fundId',
+        [sequelize.fn('SUM', sequelize.col('debit')), 'debit'],
+        [sequelize.fn('SUM', sequelize.col('credit')), 'credit']
+      ],
+      group: ['fundId'],
+      raw: true
+    });
+
+    return Object.fromEntries(rows.map((row) => [row.fundId, {
+      received: round2(row.credit),
+      used: round2(row.debit),
+      balance: round2(round2(row.credit) - round2(row.debit))
+    }]));
+  }
+
+  /**
+   * 💰 Position financière : trésorerie, fonds dédiés, prêts en cours
+   */
+  static async getPosition(associationId) {
+    const accounts = await LedgerService.getBalances(associationId);
+    const sum = (filter) => round2(accounts.filter(filter).reduce((total, a) => total + a.balance, 0));
+    const balanceOf = (code) => accounts.find((a) => a.code === code)?.balance || 0;
+
+    const treasury = sum((a) => a.isTreasury);
+    const restrictedFunds = balanceOf('restricted_funds');
+
+    return {
+      treasury,
+      restrictedFunds,
+      outstandingLoans: balanceOf('loans_receivable'),
+      memberReceivables: balanceOf('member_receivables'),
+      totalIncome: sum((a) => a.type === 'income'),
+      totalExpenses: sum((a) => a.type === 'expense'),
+      availableBalance: round2(treasury - restrictedFunds)
+    };
+  }
+
+  /**
+   * 🌍 Rapport consolidé en devise principale
+   * Les soldes d'actifs et passifs détenus en devise étrangère sont réévalués au taux de la date
+   * du rapport ; l'écart avec leur valeur comptabilisée donne le gain ou la perte de change latent
+   */
+  static async getConsolidatedReport(associationId, { asOf } = {}) {
+    const reportDate = asOf ? new Date(asOf) : new Date();
+    const primaryCurrency = await CurrencyService.getPrimaryCurrency(associationId);
+    const [accounts, byCode] = await Promise.all([
+      LedgerService.getBalances(associationId, { asOf }),
+      LedgerService.ensureAccounts(associationId)
+    ]);
+    const byId = Object.fromEntries(Object.values(byCode).map((account) => [account.id, account]));
+
+    // Soldes par compte et devise d'origine (sens débiteur positif)
+    const holdings = await LedgerLine.findAll({
+      where: {
+        associationId,
+        currency: { [Op.and]: [{ [Op.ne]: null }, { [Op.ne]: primaryCurrency }] }
+      },
+      include: [{
+        model: LedgerEntry,
+        as: 'entry',
+        attributes: [],
+        where: asOf ? { entryDate: { [Op.lte]: reportDate } } : undefined
+      }],
+      attributes: [
+        'accountId',
+        'currency',
+        [sequelize.literal('SUM(CASE WHEN "LedgerLine"."debit" > 0 THEN "LedgerLine"."original_amount" ELSE -"LedgerLine"."original_amount" END)'), 'original'],
+        [sequelize.literal('SUM("LedgerLine"."debit" - "LedgerLine"."credit")'), 'booked']
+      ],
+      group: ['accountId', 'currency'],
+      raw: true
+    });
+
+    const exposures = [];
+    for (const row of holdings) {
+      const account = byId[row.accountId];
+      if (!account || !['asset', 'liability'].includes(account.type)) continue;
+
+      const { rate } = await CurrencyService.getRate(associationId, row.currency, primaryCurrency, reportDate);
+      const sign = account.normalBalance === 'debit' ? 1 : -1;
+      const original = round2(row.original);
+      const booked = round2(row.booked);
+      const revalued = round2(original * rate);
+
+      // Hausse d'un actif ou baisse d'un passif (sens débiteur) = gain
+      exposures.push({
+        account: account.code,
+        name: account.name,
+        currency: row.currency,
+        foreignBalance: round2(sign * original),
+        bookedBalance: round2(sign * booked),
+        rate,
+        revaluedBalance: round2(sign * revalued),
+        fxDifference: round2(revalued - booked)
+      });
+    }
+
+    const fxGain = round2(exposures.filter((e) => e.fxDifference > 0).reduce((sum, e) => sum + e.fxDifference, 0));
+    const fxLoss = round2(exposures.filter((e) => e.fxDifference < 0).reduce((sum, e) => sum - e.fxDifference, 0));
+    const totalOf = (type) => round2(accounts.filter((a) => a.type === type).reduce((sum, a) => sum + a.balance, 0));
+    const totalIncome = totalOf('income');
+    const totalExpenses = totalOf('expense');
+
+    return {
+      primaryCurrency,
+      asOf: reportDate,
+      accounts,
+      fxExposures: exposures,
+      incomeStatement: {
+        income: accounts.filter((a) => a.type === 'income').map(({ code, name, balance }) => ({ code, name, amount: balance })),
+        expenses: accounts.filter((a) => a.type === 'expense').map(({ code, name, balance }) => ({ code, name, amount: balance })),
+        totalIncome,
+        totalExpenses,
+        fxGain,
+        fxLoss,
+        netResult: round2(totalIncome - totalExpenses + fxGain - fxLoss)
+      }
+    };
+  }
+}
+
+LedgerService.CHART = CHART;
+LedgerService.ledgerError = ledgerError;
+
+module.exports = LedgerService;
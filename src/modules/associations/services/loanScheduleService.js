@@ -0,0 +1,573 @@
+// src/modules/associations/services/loanScheduleService.js
+// Échéanciers des prêts : génération, imputation des remboursements, remboursement anticipé, rééchelonnement
+
+const { Op } = require('sequelize');
+const { sequelize, ExpenseRequest, LoanRepayment, LateFee } = require('../../../models');
+const LedgerService = require('./ledgerService');
+
+// Périodicités supportées (nombre d'échéances par an)
+const FREQUENCIES = {
+  weekly: { days: 7, perYear: 52 },
+  biweekly: { days: 14, perYear: 26 },
+  monthly: { months: 1, perYear: 12 },
+  quarterly: { months: 3, perYear: 4 }
+};
+
+const INTEREST_TYPES = ['none', 'flat', 'declining'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (value) => parseFloat(parseFloat(value).toFixed(2));
+
+// Erreur métier (status HTTP + code)
+function loanError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+class LoanScheduleService {
+  /**
+   * ⚙️ Conditions normalisées du prêt (loanTerms + surcharges éventuelles)
+   * interestRate : taux annuel en %, gracePeriodDays : différé sans intérêts avant la première période
+   */
+  static normalizeTerms(loan, overrides = {}) {
+    const raw = { ...(loan.loanTerms || {}), ...overrides };
+    const interestRate = parseFloat(raw.interestRate || 0);
+    const frequency = raw.frequency || 'monthly';
+
+    if (!FREQUENCIES[frequency]) {
+      throw loanError(400, 'INVALID_LOAN_TERMS', `Périodicité inconnue: ${frequency}`);
+    }
+
+    const interestType = raw.interestType || (interestRate > 0 ? 'flat' : 'none');
+    if (!INTEREST_TYPES.includes(interestType)) {
+      throw loanError(400, 'INVALID_LOAN_TERMS', `Type d'intérêts inconnu: ${interestType}`);
+    }
+
+    if (interestRate < 0 || interestRate > 100) {
+      throw loanError(400, 'INVALID_LOAN_TERMS', 'Le taux d\'intérêt doit être compris entre 0 et 100 %');
+    }
+
+    // Nombre d'échéances : explicite, sinon déduit de la durée en mois
+    const perYear = FREQUENCIES[frequency].perYear;
+    const installmentsCount = parseInt(raw.installmentsCount) ||
+      Math.max(1, Math.round((parseInt(raw.durationMonths) || 12) * perYear / 12));
+
+    if (installmentsCount < 1 || installmentsCount > 360) {
+      throw loanError(400, 'INVALID_LOAN_TERMS', 'Le nombre d\'échéances doit être compris entre 1 et 360');
+    }
+
+    const firstDueDate = raw.firstDueDate ? new Date(raw.firstDueDate) : null;
+    if (firstDueDate && isNaN(firstDueDate)) {
+      throw loanError(400, 'INVALID_LOAN_TERMS', 'Date de première échéance invalide');
+    }
+
+    return {
+      interestType: interestType === 'none' || interestRate === 0 ? 'none' : interestType,
+      interestRate: interestType === 'none' ? 0 : interestRate,
+      frequency,
+      installmentsCount,
+      gracePeriodDays: Math.max(0, parseInt(raw.gracePeriodDays) || 0),
+      firstDueDate: firstDueDate ? firstDueDate.toISOString() : null
+    };
+  }
+
+  /**
+   * 📅 Ajouter n périodes à une date (fin de mois conservée : 31/01 + 1 mois = 28/02)
+   */
+  static addPeriods(date, frequency, count) {
+    const period = FREQUENCIES[frequency];
+    const start = new Date(date);
+
+    if (period.days) {
+      return new Date(start.getTime() + period.days * count * DAY_MS);
+    }
+
+    const target = new Date(start.getFullYear(), start.getMonth() + period.months * count, 1, 12);
+    const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+    target.setDate(Math.min(start.getDate(), lastDay));
+    return target;
+  }
+
+  /**
+   * 🧮 Calcul de l'échéancier (sans écriture en base)
+   */
+  static buildSchedule(principal, terms, startDate = new Date()) {
+    const amount = round2(principal);
+    const n = terms.installmentsCount;
+    const perYear = FREQUENCIES[terms.frequency].perYear;
+    const periodRate = terms.interestRate / 100 / perYear;
+
+    const firstDueDate = terms.firstDueDate
+      ? new Date(terms.firstDueDate)
+      : LoanScheduleService.addPeriods(new Date(new Date(startDate).getTime() + terms.gracePeriodDays * DAY_MS), terms.frequency, 1);
+
+    // Intérêts fixes : calculés une fois sur le capital initial, répartis à parts égales
+    const flatInterest = terms.interestType === 'flat' ? round2(amount * periodRate * n) : 0;
+
+    // Amortissement dégressif : annuité constante
+    const annuity = terms.interestType === 'declining'
+      ? amount * periodRate / (1 - Math.pow(1 + periodRate, -n))
+      : null;
+
+    const installments = [];
+    let balance = amount;
+    let interestLeft = flatInterest;
+
+    for (let i = 1; i <= n; i++) {
+      const isLast = i === n;
+      let principalPart;
+      let interestPart;
+
+      if (terms.interestType === 'declining') {
+        interestPart = round2(balance * periodRate);
+        principalPart = isLast ? balance : round2(annuity - interestPart);
+      } else {
+        principalPart = isLast ? balance : round2(amount / n);
+        interestPart = isLast ? round2(interestLeft) : round2(flatInterest / n);
+        interestLeft = round2(interestLeft - interestPart);
+      }
+
+      balance = round2(balance - principalPart);
+
+      installments.push({
+        installmentNumber: i,
+        dueDate: LoanScheduleService.addPeriods(firstDueDate, terms.frequency, i - 1),
+        principalAmount: round2(principalPart),
+        interestAmount: interestPart,
+        amount: round2(principalPart + interestPart),
+        remainingPrincipal: balance
+      });
+    }
+
+    return {
+      installments,
+      totalPrincipal: amount,
+      totalInterest: round2(installments.reduce((sum, i) => sum + i.interestAmount, 0)),
+      totalDue: round2(installments.reduce((sum, i) => sum + i.amount, 0))
+    };
+  }
+
+  /**
+   * 📋 Échéances actives du prêt (hors échéances annulées)
+   */
+  static async getInstallments(loanId, t) {
+    return LoanRepayment.findAll({
+      where: { expenseRequestId: loanId, isScheduled: true, status: { [Op.in]: ['pending', 'validated'] } },
+      order: [['installmentNumber', 'ASC']],
+      transaction: t
+    });
+  }
+
+  /**
+   * 🏗️ Créer les échéances en attente au décaissement (idempotent)
+   */
+  static async generateSchedule(loan, { overrides = {}, startDate, transaction: t } = {}) {
+    const existing = await LoanScheduleService.getInstallments(loan.id, t);
+    if (existing.length) return existing;
+
+    const terms = LoanScheduleService.normalizeTerms(loan, overrides);
+    const principal = parseFloat(loan.amountApproved || loan.amountRequested);
+    const schedule = LoanScheduleService.buildSchedule(principal, terms, startDate || loan.paidAt || new Date());
+
+    await LoanRepayment.bulkCreate(schedule.installments.map((installment) => ({
+      expenseRequestId: loan.id,
+      installmentNumber: installment.installmentNumber,
+      dueDate: installment.dueDate,
+      amount: installment.amount,
+      principalAmount: installment.principalAmount,
+      interestAmount: installment.interestAmount,
+      currency: loan.currency,
+      status: 'pending',
+      isScheduled: true
+    })), { transaction: t, validate: true });
+
+    await loan.update({
+      repaymentStatus: 'not_started',
+      loanTerms: {
+        ...(loan.loanTerms || {}),
+        ...terms,
+        schedule: {
+          generatedAt: new Date().toISOString(),
+          principal,
+          totalInterest: schedule.totalInterest,
+          totalDue: schedule.totalDue
+        }
+      }
+    }, { transaction: t });
+
+    return LoanScheduleService.getInstallments(loan.id, t);
+  }
+
+  /**
+   * 💰 Restant dû (pénalités, intérêts, capital) sur les échéances en attente
+   */
+  static summarize(installments, now = new Date()) {
+    const totals = { penalty: 0, interest: 0, principal: 0, total: 0, overdue: 0, overdueCount: 0 };
+    let nextDue = null;
+
+    for (const installment of installments) {
+      if (installment.status !== 'pending') continue;
+
+      const remaining = installment.getRemaining();
+      totals.penalty = round2(totals.penalty + remaining.penalty);
+      totals.interest = round2(totals.interest + remaining.interest);
+      totals.principal = round2(totals.principal + remaining.principal);
+      totals.total = round2(totals.total + remaining.total);
+
+      if (new Date(installment.dueDate) < now) {
+        totals.overdue = round2(totals.overdue + remaining.total);
+        totals.overdueCount++;
+      } else if (!nextDue) {
+        nextDue = { installmentNumber: installment.installmentNumber, dueDate: installment.dueDate, amount: remaining.total };
+      }
+    }
+
+    return { ...totals, nextDue };
+  }
+
+  /**
+   * 🔄 Statut de remboursement déduit des échéances
+   */
+  static async refreshRepaymentStatus(loan, t) {
+    const installments = await LoanScheduleService.getInstallments(loan.id, t);
+    const pending = installments.filter((i) => i.status === 'pending');
+    const started = installments.some((i) => i.status === 'validated' || parseFloat(i.principalPaid) + parseFloat(i.interestPaid) + parseFloat(i.penaltyPaid) > 0);
+
+    const repaymentStatus = !pending.length ? 'completed' : started ? 'in_progress' : 'not_started';
+    if (loan.repaymentStatus !== repaymentStatus) {
+      await loan.update({ repaymentStatus }, { transaction: t });
+    }
+
+    return repaymentStatus;
+  }
+
+  /**
+   * 📥 Imputer un paiement sur les échéances, de la plus ancienne à la plus récente
+   * Ordre d'imputation dans chaque échéance : pénalités → intérêts → capital
+   */
+  static async allocatePayment(installments, amount, payment, t) {
+    let left = round2(amount);
+    const allocations = [];
+
+    for (const installment of installments) {
+      if (left <= 0) break;
+      if (installment.status !== 'pending') continue;
+
+      const remaining = installment.getRemaining();
+      const penalty = Math.min(left, remaining.penalty);
+      left = round2(left - penalty);
+      const interest = Math.min(left, remaining.interest);
+      left = round2(left - interest);
+      const principal = Math.min(left, remaining.principal);
+      left = round2(left - principal);
+
+      if (penalty + interest + principal <= 0) continue;
+
+      const settled = round2(remaining.total - penalty - interest - principal) <= 0;
+      const entry = {
+        at: new Date().toISOString(),
+        by: payment.userId,
+        reference: payment.reference,
+        paymentMethod: payment.paymentMethod,
+        penalty: round2(penalty),
+        interest: round2(interest),
+        principal: round2(principal)
+      };
+
+      await installment.update({
+        penaltyPaid: round2(parseFloat(installment.penaltyPaid) + penalty),
+        interestPaid: round2(parseFloat(installment.interestPaid) + interest),
+        principalPaid: round2(parseFloat(installment.principalPaid) + principal),
+        allocations: [...(installment.allocations || []), entry],
+        paymentDate: payment.paymentDate,
+        paymentMode: payment.paymentMode,
+        paymentMethod: payment.paymentMethod,
+        manualReference: payment.reference,
+        isPartialPayment: !settled,
+        status: settled ? 'validated' : 'pending',
+        validatedBy: settled ? payment.userId : installment.validatedBy,
+        validatedAt: settled ? new Date() : installment.validatedAt,
+        daysLate: Math.max(0, Math.floor((new Date(payment.paymentDate) - new Date(installment.dueDate)) / DAY_MS))
+      }, { transaction: t, hooks: false });
+
+      // Pénalité intégralement réglée : ligne de pénalité soldée
+      if (penalty > 0 && installment.getRemaining().penalty <= 0) {
+        await LateFee.update(
+          { status: 'paid', paidAt: new Date() },
+          { where: { loanRepaymentId: installment.id, status: 'pending' }, transaction: t }
+        );
+      }
+
+      // Écriture comptable : trésorerie contre capital, intérêts et pénalités
+      await LedgerService.postLoanRepayment(payment.associationId, installment, installment.allocations.length - 1, t);
+
+      allocations.push({ installmentId: installment.id, installmentNumber: installment.installmentNumber, settled, ...entry });
+    }
+
+    return { allocations, unallocated: left };
+  }
+
+  /**
+   * 🔒 Prêt décaissé verrouillé, avec son échéancier
+   */
+  static async lockLoan(associationId, loanId, t) {
+    const loan = await ExpenseRequest.findOne({
+      where: { id: loanId, associationId, isLoan: true },
+      transaction: t,
+      lock: t.LOCK.UPDATE
+    });
+
+    if (!loan) {
+      throw loanError(404, 'LOAN_NOT_FOUND', 'Prêt non trouvé');
+    }
+
+    if (loan.status !== 'paid') {
+      throw loanError(400, 'LOAN_NOT_DISBURSED', 'Le prêt n\'a pas encore été décaissé');
+    }
+
+    const installments = await LoanScheduleService.getInstallments(loan.id, t);
+    if (!installments.length) {
+      throw loanError(404, 'SCHEDULE_NOT_FOUND', 'Aucun échéancier pour ce prêt');
+    }
+
+    return { loan, installments };
+  }
+
+  /**
+   * 💵 Enregistrer un remboursement sur l'échéancier
+   */
+  static async recordRepayment(associationId, loanId, payment) {
+    return sequelize.transaction(async (t) => {
+      const { loan, installments } = await LoanScheduleService.lockLoan(associationId, loanId, t);
+      const outstanding = LoanScheduleService.summarize(installments);
+      const amount = round2(payment.amount);
+
+      if (amount > outstanding.total) {
+        throw Object.assign(
+          loanError(400, 'AMOUNT_EXCEEDS_OUTSTANDING', 'Le montant dépasse le restant dû'),
+          { details: { outstanding: outstanding.total, requested: amount } }
+        );
+      }
+
+      const result = await LoanScheduleService.allocatePayment(installments, amount, { ...payment, associationId: loan.associationId }, t);
+      const repaymentStatus = await LoanScheduleService.refreshRepaymentStatus(loan, t);
+
+      return {
+        allocations: result.allocations,
+        repaymentStatus,
+        outstanding: LoanScheduleService.summarize(await LoanScheduleService.getInstallments(loan.id, t))
+      };
+    });
+  }
+
+  /**
+   * 🧾 Montant du remboursement anticipé à une date
+   * Intérêts des échéances non encore échues abandonnés, pénalités et intérêts échus dus
+   */
+  static quotePayoff(installments, payoffDate = new Date()) {
+    const quote = { penalty: 0, interest: 0, principal: 0, waivedInterest: 0 };
+
+    for (const installment of installments) {
+      if (installment.status !== 'pending') continue;
+
+      const remaining = installment.getRemaining();
+      const isDue = new Date(installment.dueDate) <= payoffDate;
+
+      quote.penalty = round2(quote.penalty + remaining.penalty);
+      quote.principal = round2(quote.principal + remaining.principal);
+      if (isDue) {
+        quote.interest = round2(quote.interest + remaining.interest);
+      } else {
+        quote.waivedInterest = round2(quote.waivedInterest + remaining.interest);
+      }
+    }
+
+    return { ...quote, total: round2(quote.penalty + quote.interest + quote.principal), payoffDate };
+  }
+
+  static async getPayoffQuote(associationId, loanId, payoffDate = new Date()) {
+    return sequelize.transaction(async (t) => {
+      const { installments } = await LoanScheduleService.lockLoan(associationId, loanId, t);
+      return LoanScheduleService.quotePayoff(installments, payoffDate);
+    });
+  }
+
+  /**
+   * ⏩ Remboursement anticipé : solde du prêt, intérêts futurs annulés
+   */
+  static async earlyPayoff(associationId, loanId, payment) {
+    return sequelize.transaction(async (t) => {
+      const { loan, installments } = await LoanScheduleService.lockLoan(associationId, loanId, t);
+      const payoffDate = new Date(payment.paymentDate);
+      const quote = LoanScheduleService.quotePayoff(installments, payoffDate);
+
+      if (quote.total <= 0) {
+        throw loanError(400, 'LOAN_ALREADY_REPAID', 'Ce prêt est déjà soldé');
+      }
+
+      if (payment.amount !== undefined && round2(payment.amount) !== quote.total) {
+        throw Object.assign(
+          loanError(400, 'PAYOFF_AMOUNT_MISMATCH', 'Le montant ne correspond pas au solde de remboursement anticipé'),
+          { details: { expected: quote.total, received: round2(payment.amount) } }
+        );
+      }
+
+      // Échéances non échues : intérêts ramenés à la part déjà réglée
+      for (const installment of installments) {
+        if (installment.status !== 'pending' || new Date(installment.dueDate) <= payoffDate) continue;
+
+        const interestAmount = parseFloat(installment.interestPaid);
+        await installment.update({
+          interestAmount,
+          amount: round2(parseFloat(installment.principalAmount) + interestAmount)
+        }, { transaction: t, hooks: false });
+      }
+
+      const result = await LoanScheduleService.allocatePayment(installments, quote.total, { ...payment, associationId: loan.associationId }, t);
+      const repaymentStatus = await LoanScheduleService.refreshRepaymentStatus(loan, t);
+
+      await loan.update({
+        loanTerms: {
+          ...(loan.loanTerms || {}),
+          earlyPayoff: { at: payoffDate.toISOString(), by: payment.userId, amount: quote.total, waivedInterest: quote.waivedInterest }
+        }
+      }, { transaction: t });
+
+      return { quote, allocations: result.allocations, repaymentStatus };
+    });
+  }
+
+  /**
+   * 🔁 Rééchelonnement : échéances en attente clôturées, restant dû réparti sur un nouvel échéancier
+   * Intérêts et pénalités échus impayés sont capitalisés
+   */
+  static async reschedule(associationId, loanId, { overrides = {}, reason, userId }) {
+    return sequelize.transaction(async (t) => {
+      const { loan, installments } = await LoanScheduleService.lockLoan(associationId, loanId, t);
+      const now = new Date();
+      const pending = installments.filter((i) => i.status === 'pending');
+
+      if (!pending.length) {
+        throw loanError(400, 'LOAN_ALREADY_REPAID', 'Ce prêt est déjà soldé');
+      }
+
+      // Nouvelle première échéance et durée recalculées sauf si précisées
+      const terms = LoanScheduleService.normalizeTerms(loan, {
+        firstDueDate: null,
+        ...(overrides.durationMonths && !overrides.installmentsCount ? { installmentsCount: undefined } : {}),
+        ...overrides
+      });
+      const capitalised = { principal: 0, interest: 0, penalty: 0 };
+
+      for (const installment of pending) {
+        const remaining = installment.getRemaining();
+        const isDue = new Date(installment.dueDate) <= now;
+
+        capitalised.principal = round2(capitalised.principal + remaining.principal);
+        capitalised.penalty = round2(capitalised.penalty + remaining.penalty);
+        if (isDue) capitalised.interest = round2(capitalised.interest + remaining.interest);
+
+        // Échéance ramenée à ce qui a déjà été payé
+        const paid = round2(parseFloat(installment.principalPaid) + parseFloat(installment.interestPaid) + parseFloat(installment.penaltyPaid));
+        await installment.update(paid > 0 ? {
+          status: 'validated',
+          amount: paid,
+          principalAmount: installment.principalPaid,
+          interestAmount: installment.interestPaid,
+          penaltyAmount: installment.penaltyPaid,
+          isPartialPayment: true,
+          notes: `Clôturée par rééchelonnement: ${reason}`
+        } : {
+          status: 'cancelled',
+          notes: `Annulée par rééchelonnement: ${reason}`
+        }, { transaction: t, hooks: false });
+      }
+
+      // Pénalités reprises dans le nouveau capital
+      await LateFee.update(
+        { status: 'cancelled' },
+        { where: { loanRepaymentId: pending.map((i) => i.id), status: 'pending' }, transaction: t }
+      );
+
+      const newPrincipal = round2(capitalised.principal + capitalised.interest + capitalised.penalty);
+      const schedule = LoanScheduleService.buildSchedule(newPrincipal, terms, now);
+      const lastNumber = Math.max(...installments.map((i) => i.installmentNumber || 0));
+
+      await LoanRepayment.bulkCreate(schedule.installments.map((installment) => ({
+        expenseRequestId: loan.id,
+        installmentNumber: lastNumber + installment.installmentNumber,
+        dueDate: installment.dueDate,
+        amount: installment.amount,
+        principalAmount: installment.principalAmount,
+        interestAmount: installment.interestAmount,
+        currency: loan.currency,
+        status: 'pending',
+        isScheduled: true
+      })), { transaction: t, validate: true });
+
+      const { schedule: previousSchedule, reschedules = [], ...previousTerms } = loan.loanTerms || {};
+      await loan.update({
+        loanTerms: {
+          ...previousTerms,
+          ...terms,
+          schedule: {
+            ...(previousSchedule || {}),
+            rescheduledAt: now.toISOString(),
+            principal: newPrincipal,
+            totalInterest: schedule.totalInterest,
+            totalDue: schedule.totalDue
+          },
+          reschedules: [
+            ...reschedules,
+            { at: now.toISOString(), by: userId, reason, previousTerms, capitalised }
+          ]
+        }
+      }, { transaction: t });
+
+      await LedgerService.postLoanCapitalisation(loan, reschedules.length, t);
+
+      const repaymentStatus = await LoanScheduleService.refreshRepaymentStatus(loan, t);
+
+      return {
+        capitalised,
+        newPrincipal,
+        repaymentStatus,
+        installments: await LoanScheduleService.getInstallments(loan.id, t)
+      };
+    });
+  }
+
+  /**
+   * 📤 Format API d'une échéance
+   */
+  static formatInstallment(installment) {
+    return {
+      id: installment.id,
+      installmentNumber: installment.installmentNumber,
+      dueDate: installment.dueDate,
+      amount: parseFloat(installment.amount),
+      principalAmount: parseFloat(installment.principalAmount),
+      interestAmount: parseFloat(installment.interestAmount),
+      penaltyAmount: parseFloat(installment.penaltyAmount),
+      paid: {
+        principal: parseFloat(installment.principalPaid),
+        interest: parseFloat(installment.interestPaid),
+        penalty: parseFloat(installment.penaltyPaid)
+      },
+      remaining: installment.getRemaining(),
+      status: installment.status,
+      isPartialPayment: installment.isPartialPayment,
+      daysLate: installment.daysLate,
+      paymentDate: installment.paymentDate
+    };
+  }
+}
+
+LoanScheduleService.FREQUENCIES = FREQUENCIES;
+LoanScheduleService.INTEREST_TYPES = INTEREST_TYPES;
+LoanScheduleService.loanError = loanError;
+
+module.exports = LoanScheduleService;
@@ -0,0 +1,201 @@
+// src/modules/associations/services/meetingMinutesService.js
+// Procès-verbaux de vote signés (document meeting_minutes) et vérification d'intégrité
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { Ballot, Event, Association, Document } = require('../../../models');
+const PdfDocumentService = require('../../../core/services/pdfDocumentService');
+const ReceiptService = require('./receiptService');
+const BallotService = require('./ballotService');
+
+const MINUTES_SECRET = process.env.MINUTES_SIGNING_SECRET || process.env.JWT_SECRET || 'your-super-secret-jwt-key-diaspora-tontine';
+
+const OUTCOME_LABELS = {
+  adopted: 'Résolution adoptée',
+  rejected: 'Résolution rejetée',
+  elected: 'Candidat élu',
+  no_majority: 'Aucun candidat n\'atteint la majorité requise',
+  no_quorum: 'Quorum non atteint : vote sans effet'
+};
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('fr-FR');
+}
+
+// JSON à clés triées : la signature ne dépend pas de l'ordre de stockage
+function canonicalize(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+class MeetingMinutesService {
+  // 🔐 Signature HMAC-SHA256 des résultats scellés
+  static sign(sealed) {
+    return crypto.createHmac('sha256', MINUTES_SECRET).update(canonicalize(sealed)).digest('hex');
+  }
+
+  // Résultats d'un scrutin tels qu'ils figurent au procès-verbal
+  static sealBallot(ballot) {
+    return {
+      id: ballot.id,
+      title: ballot.title,
+      kind: ballot.kind,
+      secret: ballot.secret,
+      majorityRule: ballot.majorityRule,
+      openedAt: ballot.openedAt ? new Date(ballot.openedAt).toISOString() : null,
+      closedAt: ballot.closedAt ? new Date(ballot.closedAt).toISOString() : null,
+      results: ballot.results
+    };
+  }
+
+  static buildBallotSection(ballot, index) {
+    const results = ballot.results;
+    const quorum = results.quorum.rule
+      ? `${results.quorum.required} votant(s) requis - ${results.quorum.reached ? 'atteint' : 'non atteint'}`
+      : 'Sans quorum';
+
+    return {
+      heading: `${ballot.kind === 'election' ? 'Élection' : 'Résolution'} n° ${index + 1} : ${ballot.title}`,
+      paragraphs: ballot.description ? [ballot.description] : [],
+      rows: [
+        ['Mode de scrutin', ballot.secret ? 'Vote secret' : 'Vote public'],
+        ['Règle de majorité', BallotService.MAJORITY_LABELS[ballot.majorityRule]],
+        ['Inscrits', String(results.eligible)],
+        ['Votants', `${results.participants} (${results.participationRate} %), dont ${results.byProxy} par procuration`],
+        ['Quorum', quorum],
+        [ballot.kind === 'election' ? 'Votes blancs' : 'Abstentions', String(results.abstentions)],
+        ['Suffrages exprimés', String(results.expressed)],
+        ...results.options
+          .filter((option) => option.key !== BallotService.ABSTAIN_KEY)
+          .map((option) => [option.label, `${option.votes} voix${option.percentage !== null ? ` (${option.percentage} %)` : ''}`]),
+        ['Décision', results.winner ? `${OUTCOME_LABELS.elected} : ${results.winner.label}` : OUTCOME_LABELS[results.outcome]]
+      ]
+    };
+  }
+
+  /**
+   * 📜 Générer le procès-verbal signé d'une assemblée (eventId) ou d'un scrutin autonome (ballotId)
+   * Tous les scrutins doivent être clôturés
+   */
+  static async generateMinutes(associationId, { eventId, ballotId }, { user, signatories = [] }) {
+    const association = await Association.findByPk(associationId);
+    let event = null;
+    let ballots;
+
+    if (eventId) {
+      event = await Event.findOne({ where: { id: eventId, associationId } });
+      if (!event) throw BallotService.ballotError(404, 'EVENT_NOT_FOUND', 'Assemblée introuvable');
+
+      ballots = await Ballot.findAll({
+        where: { associationId, eventId },
+        order: [['created_at', 'ASC']]
+      });
+      ballots = ballots.filter((ballot) => ballot.status !== 'cancelled');
+    } else {
+      ballots = [await BallotService.getBallot(associationId, ballotId)];
+    }
+
+    if (ballots.length === 0) {
+      throw BallotService.ballotError(400, 'NO_BALLOTS', 'Aucun scrutin à consigner');
+    }
+    if (ballots.some((ballot) => ballot.status !== 'closed')) {
+      throw BallotService.ballotError(400, 'BALLOTS_NOT_CLOSED', 'Tous les scrutins doivent être clôturés avant le procès-verbal');
+    }
+
+    const signedBy = signatories.length
+      ? signatories.map((s) => ({ name: s.name, role: s.role || null }))
+      : [{ name: `${user.firstName} ${user.lastName}`, role: 'Secrétaire de séance' }];
+
+    const sealed = {
+      associationId,
+      eventId: event ? event.id : null,
+      ballots: ballots.map(MeetingMinutesService.sealBallot),
+      signatories: signedBy,
+      generatedAt: new Date().toISOString()
+    };
+    const signature = MeetingMinutesService.sign(sealed);
+
+    const title = event
+      ? `Procès-verbal - ${event.title}`
+      : `Procès-verbal du scrutin - ${ballots[0].title}`;
+
+    const layout = {
+      header: ReceiptService.buildLetterhead(association),
+      title,
+      subtitle: event
+        ? `Séance du ${formatDate(event.startDate)}${event.location ? ` - ${event.location}` : ''}`
+        : `Vote en ligne clôturé le ${formatDate(ballots[0].closedAt)}`,
+      theme: { primaryColor: association.theme?.primaryColor, logoPath: ReceiptService.resolveLogoPath(association.theme) },
+      sections: [
+        ...ballots.map(MeetingMinutesService.buildBallotSection),
+        {
+          heading: 'Signatures',
+          paragraphs: [`Procès-verbal établi le ${formatDate(sealed.generatedAt)}.`],
+          rows: signedBy.map((s) => [s.role || 'Signataire', s.name])
+        }
+      ],
+      footer: `Signature ${signature.slice(0, 16).toUpperCase()} - vérifiable auprès de l'association`
+    };
+
+    const document = await PdfDocumentService.generateDocument(layout, {
+      type: 'meeting_minutes',
+      category: event ? 'general_assembly' : 'ballot',
+      title,
+      description: event ? event.description : ballots[0].description,
+      userId: user.id,
+      associationId,
+      visibility: 'association',
+      templateUsed: 'meeting_minutes',
+      generationData: { sealed, signature, algorithm: 'HMAC-SHA256' },
+      metadata: { eventId: sealed.eventId, ballotIds: ballots.map((b) => b.id) }
+    });
+
+    await Ballot.update(
+      { minutesDocumentId: document.id },
+      { where: { id: ballots.map((b) => b.id) } }
+    );
+
+    return { document, signature };
+  }
+
+  /**
+   * 🔍 Vérifier un procès-verbal : signature des résultats et empreinte du fichier
+   */
+  static async verifyMinutes(associationId, documentId) {
+    const document = await Document.findOne({
+      where: { id: documentId, associationId, type: 'meeting_minutes' }
+    });
+
+    if (!document || !document.generationData?.sealed) {
+      throw BallotService.ballotError(404, 'MINUTES_NOT_FOUND', 'Procès-verbal introuvable');
+    }
+
+    const { sealed, signature } = document.generationData;
+    const expected = MeetingMinutesService.sign(sealed);
+    const signatureValid = signature.length === expected.length
+      && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+    let fileIntact = null;
+    if (document.filePath && fs.existsSync(document.filePath)) {
+      const hash = crypto.createHash('sha256').update(fs.readFileSync(document.filePath)).digest('hex');
+      fileIntact = hash === document.fileHash;
+    }
+
+    return {
+      documentId: document.id,
+      title: document.title,
+      issuedDate: document.issuedDate,
+      signatureValid,
+      fileIntact,
+      valid: signatureValid && fileIntact !== false,
+      sealed
+    };
+  }
+}
+
+MeetingMinutesService.canonicalize = canonicalize;
+
+module.exports = MeetingMinutesService;
@@ -0,0 +1,419 @@
+// src/modules/associations/services/receiptService.js
+// Reçus PDF des entrées d'argent : reçu simple ou reçu fiscal Cerfa 11580 (dons, associations françaises)
+
+const path = require('path');
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize, IncomeEntry, Association, Document } = require('../../../models');
+const PdfDocumentService = require('../../../core/services/pdfDocumentService');
+
+const PROJECT_ROOT = path.join(__dirname, '..', '..', '..', '..');
+
+// 🔤 MONTANTS EN LETTRES (orthographe traditionnelle)
+
+const UNITS = [
+  'zéro', 'un', 'deux', 'trois', 'quatre', 'cinq', 'six', 'sept', 'huit', 'neuf', 'dix',
+  'onze', 'douze', 'treize', 'quatorze', 'quinze', 'seize', 'dix-sept', 'dix-huit', 'dix-neuf'
+];
+const TENS = ['', '', 'vingt', 'trente', 'quarante', 'cinquante', 'soixante'];
+
+// Devises : [singulier, pluriel, subdivision singulier, subdivision pluriel, décimales]
+const CURRENCY_WORDS = {
+  EUR: ['euro', 'euros', 'centime', 'centimes', 2],
+  USD: ['dollar américain', 'dollars américains', 'cent', 'cents', 2],
+  CAD: ['dollar canadien', 'dollars canadiens', 'cent', 'cents', 2],
+  GBP: ['livre sterling', 'livres sterling', 'penny', 'pence', 2],
+  CHF: ['franc suisse', 'francs suisses', 'centime', 'centimes', 2],
+  XOF: ['franc CFA', 'francs CFA', null, null, 0],
+  XAF: ['franc CFA', 'francs CFA', null, null, 0]
+};
+
+// 0 à 99
+function tensToWords(n) {
+  if (n < 20) return UNITS[n];
+
+  const ten = Math.floor(n / 10);
+  const unit = n % 10;
+
+  // 70-79 et 90-99 : base soixante / quatre-vingt + 10..19
+  if (ten === 7 || ten === 9) {
+    const base = ten === 7 ? 'soixante' : 'quatre-vingt';
+    const rest = 10 + unit;
+    return ten === 7 && unit === 1 ? `${base} et onze` : `${base}-${UNITS[rest]}`;
+  }
+
+  if (ten === 8) {
+    return unit === 0 ? 'quatre-vingts' : `quatre-vingt-${UNITS[unit]}`;
+  }
+
+  if (unit === 0) return TENS[ten];
+  if (unit === 1) return `${TENS[ten]} et un`;
+  return `${TENS[ten]}-${UNITS[unit]}`;
+}
+
+// 0 à 999 (isFinal : accord de "cents" et "quatre-vingts" en fin de nombre)
+function hundredsToWords(n, isFinal = true) {
+  const hundred = Math.floor(n / 100);
+  const rest = n % 100;
+  const parts = [];
+
+  if (hundred > 0) {
+    if (hundred === 1) parts.push('cent');
+    else parts.push(`${UNITS[hundred]} cent${rest === 0 && isFinal ? 's' : ''}`);
+  }
+
+  if (rest > 0 || hundred === 0) {
+    let words = tensToWords(rest);
+    if (!isFinal && rest === 80) words = 'quatre-vingt';
+    parts.push(words);
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * 🔤 Nombre entier en toutes lettres
+ */
+function numberToFrenchWords(value) {
+  let n = Math.floor(Math.abs(value));
+  if (n === 0) return 'zéro';
+
+  const scales = [
+    [1e9, 'milliard', 'milliards'],
+    [1e6, 'million', 'millions'],
+    [1e3, 'mille', 'mille']
+  ];
+  const parts = [];
+
+  scales.forEach(([size, singular, plural]) => {
+    const count = Math.floor(n / size);
+    if (count === 0) return;
+    n %= size;
+
+    if (size === 1e3) {
+      // "mille" invariable et jamais précédé de "un"
+      parts.push(count === 1 ? 'mille' : `${hundredsToWords(count, false)} mille`);
+    } else {
+      parts.push(`${hundredsToWords(count)} ${count > 1 ? plural : singular}`);
+    }
+  });
+
+  if (n > 0) parts.push(hundredsToWords(n));
+
+  return parts.join(' ');
+}
+
+/**
+ * 💶 Montant en toutes lettres avec devise ("mille deux cents euros et cinquante centimes")
+ */
+function amountToFrenchWords(amount, currency = 'EUR') {
+  const [singular, plural, subSingular, subPlural, decimals] = CURRENCY_WORDS[currency] || CURRENCY_WORDS.EUR;
+  const rounded = parseFloat(parseFloat(amount).toFixed(decimals));
+  const integer = Math.floor(rounded);
+  const fraction = Math.round((rounded - integer) * 100);
+
+  // "un million d'euros" / "deux millions de dollars"
+  const exactScale = integer >= 1e6 && integer % 1e6 === 0;
+  const unit = integer > 1 ? plural : singular;
+  const connector = exactScale ? (/^[aeiouy]/i.test(unit) ? " d'" : ' de ') : ' ';
+
+  let words = `${numberToFrenchWords(integer)}${connector}${unit}`;
+
+  if (fraction > 0 && subSingular) {
+    words += ` et ${numberToFrenchWords(fraction)} ${fraction > 1 ? subPlural : subSingular}`;
+  }
+
+  return words;
+}
+
+// Libellés des statuts juridiques
+const LEGAL_STATUS_LABELS = {
+  association_1901: 'Association loi 1901',
+  asbl: 'ASBL',
+  nonprofit_501c3: 'Nonprofit 501(c)(3)',
+  other: 'Organisme à but non lucratif'
+};
+
+// Mode de versement Cerfa
+const CERFA_PAYMENT_LABELS = {
+  cash: 'Remise d\'espèces',
+  check: 'Chèque',
+  bank_transfer: 'Virement, prélèvement, carte bancaire',
+  card_payment: 'Virement, prélèvement, carte bancaire',
+  mobile_money: 'Virement, prélèvement, carte bancaire'
+};
+
+const PAYMENT_LABELS = {
+  bank_transfer: 'Virement bancaire',
+  check: 'Chèque',
+  cash: 'Espèces',
+  card_payment: 'Carte bancaire',
+  mobile_money: 'Mobile money',
+  crypto: 'Crypto-actif',
+  other: 'Autre'
+};
+
+function formatAmount(amount, currency) {
+  return `${parseFloat(amount).toFixed(2)} ${currency}`;
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('fr-FR');
+}
+
+class ReceiptService {
+  /**
+   * 🔢 Numéro de reçu séquentiel par association et par année (RECU-<asso>-<année>-0001)
+   */
+  static async nextReceiptNumber(associationId, transaction) {
+    // Verrou sur l'association : numérotation sans trou ni doublon
+    await Association.findByPk(associationId, { transaction, lock: transaction.LOCK.UPDATE, attributes: ['id'] });
+
+    const year = new Date().getFullYear();
+    const prefix = `RECU-${associationId}-${year}-`;
+
+    const existing = await IncomeEntry.findAll({
+      where: { associationId, receiptNumber: { [Op.like]: `${prefix}%` } },
+      attributes: ['receiptNumber'],
+      transaction
+    });
+
+    const last = existing.reduce((max, entry) => {
+      const sequence = parseInt(entry.receiptNumber.slice(prefix.length)) || 0;
+      return Math.max(max, sequence);
+    }, 0);
+
+    return `${prefix}${String(last + 1).padStart(4, '0')}`;
+  }
+
+  /**
+   * 🧾 Reçu fiscal Cerfa : don à une association française, donateur identifié
+   */
+  static isCerfaEligible(incomeEntry, association) {
+    const isDonation = /^don/i.test(incomeEntry.incomeType || '');
+    return (
+      isDonation &&
+      association.domiciliationCountry === 'FR' &&
+      association.legalStatus === 'association_1901' &&
+      !incomeEntry.isAnonymous &&
+      incomeEntry.sourceType !== 'anonymous' &&
+      !!incomeEntry.sourceName
+    );
+  }
+
+  /**
+   * 🏷️ Identité du donateur ("Anonyme" si don anonyme)
+   */
+  static getDonorIdentity(incomeEntry) {
+    if (incomeEntry.isAnonymous || incomeEntry.sourceType === 'anonymous' || !incomeEntry.sourceName) {
+      return { name: 'Anonyme', address: null, identifier: null };
+    }
+
+    const details = incomeEntry.sourceDetails || {};
+    return {
+      name: incomeEntry.sourceName,
+      address: details.address || null,
+      identifier: details.siret || details.siren || null
+    };
+  }
+
+  /**
+   * 🔐 Code de vérification imprimé sur le reçu (empreinte des données du reçu)
+   */
+  static computeVerificationCode(incomeEntry, association) {
+    return crypto
+      .createHash('sha256')
+      .update([
+        association.id,
+        incomeEntry.receiptNumber,
+        parseFloat(incomeEntry.amount).toFixed(2),
+        incomeEntry.currency,
+        new Date(incomeEntry.receivedDate).toISOString(),
+        ReceiptService.getDonorIdentity(incomeEntry).name
+      ].join('|'))
+      .digest('hex');
+  }
+
+  // Logo local de l'association (chemin relatif uploads/ ou absolu)
+  static resolveLogoPath(theme) {
+    if (!theme?.logo || /^https?:/i.test(theme.logo)) return null;
+    return path.isAbsolute(theme.logo) ? theme.logo : path.join(PROJECT_ROOT, theme.logo.replace(/^\//, ''));
+  }
+
+  // En-tête commun : nom, statut juridique, numéro d'enregistrement, adresse
+  static buildLetterhead(association) {
+    return [
+      association.name,
+      [
+        LEGAL_STATUS_LABELS[association.legalStatus] || LEGAL_STATUS_LABELS.other,
+        association.registrationNumber ? `N° ${association.registrationNumber}` : null
+      ].filter(Boolean).join(' - '),
+      association.headquartersAddress || association.domiciliationCity || '',
+      association.website || association.contactInfo?.email || ''
+    ].filter(Boolean);
+  }
+
+  /**
+   * 📄 Mise en page Cerfa 11580 (reçu au titre des dons)
+   */
+  static buildCerfaLayout(incomeEntry, association, verificationCode) {
+    const donor = ReceiptService.getDonorIdentity(incomeEntry);
+    const isCompany = ['company', 'foundation', 'ngo'].includes(incomeEntry.sourceType);
+
+    return {
+      header: ReceiptService.buildLetterhead(association),
+      title: 'Reçu au titre des dons à certains organismes d\'intérêt général',
+      subtitle: `Cerfa n° 11580 - Articles 200, 238 bis et 978 du code général des impôts - Reçu n° ${incomeEntry.receiptNumber}`,
+      theme: { primaryColor: association.theme?.primaryColor, logoPath: ReceiptService.resolveLogoPath(association.theme) },
+      sections: [
+        {
+          heading: 'Bénéficiaire des versements',
+          rows: [
+            ['Nom ou dénomination', association.name],
+            ['Adresse', association.headquartersAddress || association.domiciliationCity || '-'],
+            ['N° RNA / SIREN', association.registrationNumber || '-'],
+            ['Objet', association.description || '-'],
+            ['Qualité', 'Association loi 1901 d\'intérêt général']
+          ]
+        },
+        {
+          heading: 'Donateur',
+          rows: [
+            [isCompany ? 'Dénomination' : 'Nom et prénom', donor.name],
+            ['Adresse', donor.address || '-'],
+            ...(donor.identifier ? [['SIREN / SIRET', donor.identifier]] : [])
+          ]
+        },
+        {
+          heading: 'Don',
+          paragraphs: [
+            `Le bénéficiaire reconnaît avoir reçu au titre des dons et versements ouvrant droit à réduction d'impôt la somme de ${formatAmount(incomeEntry.amount, incomeEntry.currency)}.`
+          ],
+          rows: [
+            ['Somme en toutes lettres', amountToFrenchWords(incomeEntry.amount, incomeEntry.currency)],
+            ['Date du versement', formatDate(incomeEntry.receivedDate)],
+            ['Forme du don', 'Déclaration de don manuel'],
+            ['Nature du don', 'Numéraire'],
+            ['Mode de versement', CERFA_PAYMENT_LABELS[incomeEntry.paymentMethod] || 'Autres']
+          ]
+        },
+        {
+          heading: 'Certification',
+          paragraphs: [
+            `Le bénéficiaire certifie sur l'honneur que les dons et versements qu'il reçoit ouvrent droit à la réduction d'impôt prévue à l'article ${isCompany ? '238 bis' : '200'} du CGI.`,
+            `Fait le ${formatDate(new Date())}${association.domiciliationCity ? ` à ${association.domiciliationCity}` : ''}.`,
+            'Signature du représentant légal :'
+          ]
+        }
+      ],
+      footer: `Code de vérification ${verificationCode.slice(0, 16).toUpperCase()} - ${incomeEntry.receiptNumber}`
+    };
+  }
+
+  /**
+   * 📄 Mise en page reçu simple (recettes non éligibles au Cerfa)
+   */
+  static buildSimpleLayout(incomeEntry, association, verificationCode) {
+    const donor = ReceiptService.getDonorIdentity(incomeEntry);
+
+    return {
+      header: ReceiptService.buildLetterhead(association),
+      title: 'Reçu de paiement',
+      subtitle: `Reçu n° ${incomeEntry.receiptNumber} - émis le ${formatDate(new Date())}`,
+      theme: { primaryColor: association.theme?.primaryColor, logoPath: ReceiptService.resolveLogoPath(association.theme) },
+      sections: [
+        {
+          paragraphs: [
+            `${association.name} reconnaît avoir reçu de ${donor.name} la somme de ${formatAmount(incomeEntry.amount, incomeEntry.currency)} (${amountToFrenchWords(incomeEntry.amount, incomeEntry.currency)}).`
+          ]
+        },
+        {
+          heading: 'Détails',
+          rows: [
+            ['Versé par', donor.name],
+            ['Objet', incomeEntry.title],
+            ['Type de recette', incomeEntry.incomeType],
+            ['Montant', formatAmount(incomeEntry.amount, incomeEntry.currency)],
+            ['Montant en lettres', amountToFrenchWords(incomeEntry.amount, incomeEntry.currency)],
+            ['Date de réception', formatDate(incomeEntry.receivedDate)],
+            ['Mode de paiement', PAYMENT_LABELS[incomeEntry.paymentMethod] || incomeEntry.paymentMethod]
+          ]
+        },
+        {
+          paragraphs: ['Ce reçu n\'ouvre pas droit à réduction d\'impôt.']
+        }
+      ],
+      footer: `Code de vérification ${verificationCode.slice(0, 16).toUpperCase()} - ${incomeEntry.receiptNumber}`
+    };
+  }
+
+  /**
+   * 🧾 Générer (ou retrouver) le reçu PDF d'une entrée validée
+   * Entrée verrouillée le temps de la génération : un seul numéro et un seul Document par reçu
+   */
+  static async generateReceipt(incomeEntry, association, userId) {
+    return sequelize.transaction(async (t) => {
+      await incomeEntry.reload({ transaction: t, lock: t.LOCK.UPDATE });
+
+      const existingDocumentId = (incomeEntry.documents || []).find((d) => d.type === 'recu_fiscal')?.documentId;
+      if (existingDocumentId) {
+        const existing = await Document.findByPk(existingDocumentId, { transaction: t });
+        if (existing) return { document: existing, receiptNumber: incomeEntry.receiptNumber, created: false };
+      }
+
+      // Numéro attribué une seule fois (verrou association pour la séquence)
+      if (!incomeEntry.receiptNumber) {
+        const receiptNumber = await ReceiptService.nextReceiptNumber(association.id, t);
+        await incomeEntry.update({ receiptNumber, receiptGenerated: true }, { transaction: t });
+      }
+
+      const cerfa = ReceiptService.isCerfaEligible(incomeEntry, association);
+      const verificationCode = ReceiptService.computeVerificationCode(incomeEntry, association);
+      const layout = cerfa
+        ? ReceiptService.buildCerfaLayout(incomeEntry, association, verificationCode)
+        : ReceiptService.buildSimpleLayout(incomeEntry, association, verificationCode);
+
+      const document = await PdfDocumentService.generateDocument(layout, {
+        type: 'payment_receipt',
+        category: cerfa ? 'cerfa_11580' : 'receipt',
+        title: `${cerfa ? 'Reçu fiscal' : 'Reçu'} ${incomeEntry.receiptNumber}`,
+        description: incomeEntry.title,
+        userId,
+        associationId: association.id,
+        transactionId: incomeEntry.transactionId,
+        visibility: 'association',
+        templateUsed: cerfa ? 'cerfa_11580' : 'payment_receipt',
+        generationData: {
+          incomeEntryId: incomeEntry.id,
+          receiptNumber: incomeEntry.receiptNumber,
+          amount: incomeEntry.amount,
+          currency: incomeEntry.currency,
+          donor: ReceiptService.getDonorIdentity(incomeEntry).name,
+          verificationCode
+        },
+        metadata: { incomeEntryId: incomeEntry.id, receiptNumber: incomeEntry.receiptNumber },
+        transaction: t
+      });
+
+      await incomeEntry.update({
+        documents: [
+          ...(incomeEntry.documents || []),
+          {
+            type: 'recu_fiscal',
+            documentId: document.id,
+            url: `/${document.fileUrl}`,
+            name: document.fileName,
+            generatedAt: new Date()
+          }
+        ]
+      }, { transaction: t });
+
+      return { document, receiptNumber: incomeEntry.receiptNumber, created: true, cerfa };
+    });
+  }
+}
+
+ReceiptService.numberToFrenchWords = numberToFrenchWords;
+ReceiptService.amountToFrenchWords = amountToFrenchWords;
+
+module.exports = ReceiptService;
@@ -0,0 +1,292 @@
+// src/modules/tontines/controllers/ratingController.js
+// Contrôleur notations et réputation des membres de tontines
+
+const { Op } = require("sequelize");
+const { Rating, User, Tontine } = require("../../../models");
+const TontineRatingService = require("../services/ratingService");
+
+const RATER_ATTRIBUTES = ["id", "firstName", "lastName"];
+
+class RatingController {
+  constructor() {
+    // Lier les méthodes au contexte de la classe
+    this.createRating = this.createRating.bind(this);
+    this.listTontineRatings = this.listTontineRatings.bind(this);
+    this.getUserRatings = this.getUserRatings.bind(this);
+    this.updateRating = this.updateRating.bind(this);
+    this.respondToRating = this.respondToRating.bind(this);
+    this.disputeRating = this.disputeRating.bind(this);
+    this.markHelpful = this.markHelpful.bind(this);
+    this.listDisputes = this.listDisputes.bind(this);
+    this.resolveDispute = this.resolveDispute.bind(this);
+  }
+
+  /**
+   * ⭐ Noter un membre de la tontine
+   * POST /api/v1/tontines/:tontineId/ratings
+   */
+  async createRating(req, res) {
+    try {
+      const rating = await TontineRatingService.createRating(req.tontine, req.user, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: "Notation publiée",
+        data: { rating: TontineRatingService.formatRating(rating, req.user) },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur création notation", "RATING_CREATE_ERROR");
+    }
+  }
+
+  /**
+   * 📋 Notations d'une tontine
+   * GET /api/v1/tontines/:tontineId/ratings
+   */
+  async listTontineRatings(req, res) {
+    try {
+      const where = {
+        tontineId: req.tontine.id,
+        ...TontineRatingService.visibilityWhere(req.user),
+      };
+      if (req.query.ratedUserId) where.ratedUserId = parseInt(req.query.ratedUserId);
+      if (req.query.ratingType) where.ratingType = req.query.ratingType;
+
+      const ratings = await Rating.findAll({
+        where,
+        include: [
+          { model: User, as: "rater", attributes: RATER_ATTRIBUTES },
+          { model: User, as: "ratedUser", attributes: RATER_ATTRIBUTES },
+        ],
+        order: [["publishedAt", "DESC"]],
+      });
+
+      res.json({
+        success: true,
+        data: {
+          organizerRating: req.tontine.organizerRating,
+          ratings: ratings.map((r) => TontineRatingService.formatRating(r, req.user)),
+        },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur récupération notations", "RATINGS_FETCH_ERROR");
+    }
+  }
+
+  /**
+   * 🧾 Réputation et notations reçues par un utilisateur
+   * GET /api/v1/ratings/users/:userId
+   */
+  async getUserRatings(req, res) {
+    try {
+      const userId = parseInt(req.params.userId);
+      const { page = 1, limit = 20 } = req.query;
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      const [summary, { count, rows }] = await Promise.all([
+        TontineRatingService.getReputationSummary(userId),
+        Rating.findAndCountAll({
+          where: {
+            ratedUserId: userId,
+            ...TontineRatingService.visibilityWhere(req.user),
+          },
+          include: [
+            { model: User, as: "rater", attributes: RATER_ATTRIBUTES },
+            { model: Tontine, as: "tontine", attributes: ["id", "title", "status"] },
+          ],
+          order: [["publishedAt", "DESC"]],
+          limit: parseInt(limit),
+          offset,
+        }),
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          ...summary,
+          ratings: rows.map((r) => TontineRatingService.formatRating(r, req.user)),
+          pagination: {
+            total: count,
+            page: parseInt(page),
+            pages: Math.ceil(count / parseInt(limit)),
+            limit: parseInt(limit),
+          },
+        },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur récupération réputation", "REPUTATION_FETCH_ERROR");
+    }
+  }
+
+  /**
+   * ✏️ Modifier sa notation
+   * PUT /api/v1/ratings/:ratingId
+   */
+  async updateRating(req, res) {
+    try {
+      const rating = await this.findRating(req, res);
+      if (!rating) return;
+
+      await TontineRatingService.updateRating(rating, req.user.id, req.body);
+
+      res.json({
+        success: true,
+        message: "Notation mise à jour",
+        data: { rating: TontineRatingService.formatRating(rating, req.user) },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur modification notation", "RATING_UPDATE_ERROR");
+    }
+  }
+
+  /**
+   * 💬 Répondre à une notation reçue
+   * POST /api/v1/ratings/:ratingId/respond
+   */
+  async respondToRating(req, res) {
+    try {
+      const rating = await this.findRating(req, res);
+      if (!rating) return;
+
+      await TontineRatingService.respondToRating(rating, req.user.id, req.body.comment);
+
+      res.json({
+        success: true,
+        message: "Réponse publiée",
+        data: { rating: TontineRatingService.formatRating(rating, req.user) },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur réponse notation", "RATING_RESPOND_ERROR");
+    }
+  }
+
+  /**
+   * ⚖️ Contester une notation reçue
+   * POST /api/v1/ratings/:ratingId/dispute
+   */
+  async disputeRating(req, res) {
+    try {
+      const rating = await this.findRating(req, res);
+      if (!rating) return;
+
+      await TontineRatingService.disputeRating(rating, req.user.id, req.body.reason);
+
+      res.json({
+        success: true,
+        message: "Contestation enregistrée, un modérateur va l'examiner",
+        data: { rating: TontineRatingService.formatRating(rating, req.user) },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur contestation notation", "RATING_DISPUTE_ERROR");
+    }
+  }
+
+  /**
+   * 👍 Marquer une notation comme utile
+   * POST /api/v1/ratings/:ratingId/helpful
+   */
+  async markHelpful(req, res) {
+    try {
+      const rating = await this.findRating(req, res);
+      if (!rating) return;
+
+      await TontineRatingService.markHelpful(rating, req.user.id);
+
+      res.json({
+        success: true,
+        data: { helpfulVotes: rating.helpfulVotes },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur vote notation", "RATING_VOTE_ERROR");
+    }
+  }
+
+  /**
+   * 🛡️ Contestations en attente de modération
+   * GET /api/v1/ratings/disputes
+   */
+  async listDisputes(req, res) {
+    try {
+      const ratings = await Rating.findAll({
+        where: { status: "disputed" },
+        include: [
+          { model: User, as: "rater", attributes: RATER_ATTRIBUTES },
+          { model: User, as: "ratedUser", attributes: RATER_ATTRIBUTES },
+          { model: Tontine, as: "tontine", attributes: ["id", "title", "status"] },
+        ],
+        order: [["updatedAt", "ASC"]],
+      });
+
+      res.json({
+        success: true,
+        data: {
+          disputes: ratings.map((r) => TontineRatingService.formatRating(r, req.user)),
+        },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur récupération contestations", "DISPUTES_FETCH_ERROR");
+    }
+  }
+
+  /**
+   * 🛡️ Trancher une contestation
+   * POST /api/v1/ratings/:ratingId/resolve
+   */
+  async resolveDispute(req, res) {
+    try {
+      const rating = await this.findRating(req, res);
+      if (!rating) return;
+
+      await TontineRatingService.resolveDispute(rating, req.user.id, {
+        decision: req.body.decision,
+        notes: req.body.notes,
+      });
+
+      res.json({
+        success: true,
+        message: req.body.decision === "removed" ? "Notation retirée" : "Notation maintenue",
+        data: { rating: TontineRatingService.formatRating(rating, req.user) },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur modération notation", "RATING_MODERATION_ERROR");
+    }
+  }
+
+  // 🔧 Charger une notation visible par l'utilisateur
+  async findRating(req, res) {
+    const rating = await Rating.findOne({
+      where: {
+        [Op.and]: [{ id: req.params.ratingId }, TontineRatingService.visibilityWhere(req.user)],
+      },
+    });
+
+    if (!rating) {
+      res.status(404).json({
+        error: "Notation introuvable",
+        code: "RATING_NOT_FOUND",
+      });
+      return null;
+    }
+
+    return rating;
+  }
+
+  // 🔧 Réponse d'erreur (erreurs métier du service : status + code)
+  handleError(res, error, message, code) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code,
+      });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+      error: message,
+      code,
+      details: error.message,
+    });
+  }
+}
+
+module.exports = new RatingController();
@@ -0,0 +1,1167 @@
+// src/modules/tontines/controllers/tontineController.js
+// Controller cycle de vie des tontines
+
+const { Op } = require("sequelize");
+const { Tontine, TontineParticipant, User, Transaction, Document } = require("../../../models");
+const TontineService = require("../services/tontineService");
+const TontineDrawService = require("../services/drawService");
+const TontineExchangeService = require("../services/exchangeService");
+const TontineRoundService = require("../services/roundService");
+const TontineDefaultService = require("../services/defaultService");
+const TontineDiscoveryService = require("../services/discoveryService");
+
+// Champs modifiables tant que la tontine n'a pas démarré
+const EDITABLE_FIELDS = [
+  "title",
+  "description",
+  "publicDescription",
+  "contributionDay",
+  "payoutDay",
+  "participationConditions",
+  "tags",
+  "category",
+  "isPubliclyVisible",
+  "targetRegion",
+  "language",
+  "timezone",
+  "allowPositionExchange",
+  "positionExchangeRequiresApproval",
+  "maxLatePaymentDays",
+  "automaticExclusionEnabled",
+  "inviteOnly",
+  "organizerNotes",
+];
+
+// Champs financiers modifiables uniquement en brouillon
+const DRAFT_ONLY_FIELDS = ["type", "monthlyContribution", "maxParticipants", "currency"];
+
+class TontineController {
+  constructor() {
+    // Bind toutes les méthodes pour préserver le contexte this
+    this.createTontine = this.createTontine.bind(this);
+    this.listMyTontines = this.listMyTontines.bind(this);
+    this.getTontine = this.getTontine.bind(this);
+    this.updateTontine = this.updateTontine.bind(this);
+    this.openRecruitment = this.openRecruitment.bind(this);
+    this.searchTontines = this.searchTontines.bind(this);
+    this.joinTontine = this.joinTontine.bind(this);
+    this.joinWithCode = this.joinWithCode.bind(this);
+    this.createInvitation = this.createInvitation.bind(this);
+    this.getParticipants = this.getParticipants.bind(this);
+    this.approveParticipant = this.approveParticipant.bind(this);
+    this.rejectParticipant = this.rejectParticipant.bind(this);
+    this.withdraw = this.withdraw.bind(this);
+    this.markReady = this.markReady.bind(this);
+    this.commitDraw = this.commitDraw.bind(this);
+    this.executeDraw = this.executeDraw.bind(this);
+    this.verifyDraw = this.verifyDraw.bind(this);
+    this.listExchanges = this.listExchanges.bind(this);
+    this.proposeExchange = this.proposeExchange.bind(this);
+    this.respondToExchange = this.respondToExchange.bind(this);
+    this.reviewExchange = this.reviewExchange.bind(this);
+    this.cancelExchange = this.cancelExchange.bind(this);
+    this.confirmExchangePremium = this.confirmExchangePremium.bind(this);
+    this.getRound = this.getRound.bind(this);
+    this.confirmContribution = this.confirmContribution.bind(this);
+    this.processRound = this.processRound.bind(this);
+    this.listDefaults = this.listDefaults.bind(this);
+    this.detectDefaults = this.detectDefaults.bind(this);
+    this.declareDefault = this.declareDefault.bind(this);
+    this.createRepaymentPlan = this.createRepaymentPlan.bind(this);
+    this.confirmRepayment = this.confirmRepayment.bind(this);
+    this.listDocuments = this.listDocuments.bind(this);
+    this.startTontine = this.startTontine.bind(this);
+    this.completeTontine = this.completeTontine.bind(this);
+    this.cancelTontine = this.cancelTontine.bind(this);
+  }
+
+  /**
+   * 🆕 Créer une tontine (brouillon)
+   * POST /api/v1/tontines
+   */
+  async createTontine(req, res) {
+    try {
+      const data = {};
+      [...EDITABLE_FIELDS, ...DRAFT_ONLY_FIELDS].forEach((field) => {
+        if (req.body[field] !== undefined) data[field] = req.body[field];
+      });
+
+      const tontine = await TontineService.createTontine(req.user, data);
+
+      res.status(201).json({
+        success: true,
+        message: "Tontine créée en brouillon",
+        data: { tontine: this.formatTontine(tontine, true) },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur création tontine", "TONTINE_CREATION_ERROR");
+    }
+  }
+
+  /**
+   * 📋 Lister mes tontines (organisées ou rejointes)
+   * GET /api/v1/tontines
+   */
+  async listMyTontines(req, res) {
+    try {
+      const { page = 1, limit = 20, status, role = "all" } = req.query;
+      const offset = (page - 1) * limit;
+
+      const participations = await TontineParticipant.findAll({
+        where: { userId: req.user.id },
+        attributes: ["tontineId"],
+      });
+      const participatingIds = participations.map((p) => p.tontineId);
+
+      const ownership = [];
+      if (role !== "participant") ownership.push({ organizerId: req.user.id });
+      if (role !== "organizer") ownership.push({ id: { [Op.in]: participatingIds } });
+
+      const whereClause = { [Op.or]: ownership };
+      if (status) whereClause.status = status;
+
+      const { rows: tontines, count } = await Tontine.findAndCountAll({
+        where: whereClause,
+        include: [
+          {
+            model: User,
+            as: "organizer",
+            attributes: ["id", "firstName", "lastName"],
+          },
+        ],
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        order: [["createdAt", "DESC"]],
+      });
+
+      res.json({
+        success: true,
+        data: {
+          tontines: tontines.map((tontine) =>
+            this.formatTontine(tontine, tontine.organizerId === req.user.id)
+          ),
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total: count,
+            pages: Math.ceil(count / limit),
+          },
+        },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur récupération tontines", "TONTINES_FETCH_ERROR");
+    }
+  }
+
+  /**
+   * 🔍 Détails d'une tontine
+   * GET /api/v1/tontines/:tontineId
+   */
+  async getTontine(req, res) {
+    try {
+      const tontine = await Tontine.findByPk(req.tontine.id, {
+        include: [
+          {
+            model: User,
+            as: "organizer",
+            attributes: ["id", "firstName", "lastName"],
+          },
+        ],
+      });
+
+      res.json({
+        success: true,
+        data: {
+          tontine: this.formatTontine(tontine, req.isTontineOrganizer),
+          participation: req.tontineParticipation,
+        },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur récupération tontine", "TONTINE_FETCH_ERROR");
+    }
+  }
+
+  /**
+   * ✏️ Modifier une tontine avant démarrage
+   * PUT /api/v1/tontines/:tontineId
+   */
+  async updateTontine(req, res) {
+    try {
+      const tontine = req.tontine;
+
+      if (!["draft", "recruiting"].includes(tontine.status)) {
+        return res.status(400).json({
+          error: "Tontine non modifiable après recrutement",
+          code: "TONTINE_LOCKED",
+        });
+      }
+
+      const updates = {};
+      EDITABLE_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) updates[field] = req.body[field];
+      });
+
+      const draftUpdates = DRAFT_ONLY_FIELDS.filter((field) => req.body[field] !== undefined);
+      if (draftUpdates.length > 0 && tontine.status !== "draft") {
+        return res.status(400).json({
+          error: "Paramètres financiers modifiables uniquement en brouillon",
+          code: "FINANCIALS_LOCKED",
+          details: draftUpdates,
+        });
+      }
+
+      if (req.body.maxParticipants !== undefined &&
+        parseInt(req.body.maxParticipants) < tontine.currentParticipants) {
+        return res.status(400).json({
+          error: "Nombre max inférieur aux participants actuels",
+          code: "MAX_PARTICIPANTS_TOO_LOW",
+        });
+      }
+
+      draftUpdates.forEach((field) => {
+        updates[field] = req.body[field];
+      });
+
+      tontine.set(updates);
+      if (draftUpdates.length > 0) {
+        tontine.monthlyContribution = parseFloat(tontine.monthlyContribution);
+        tontine.maxParticipants = parseInt(tontine.maxParticipants);
+        TontineService.applyFinancials(tontine);
+      }
+      await tontine.save();
+
+      res.json({
+        success: true,
+        message: "Tontine mise à jour",
+        data: { tontine: this.formatTontine(tontine, true) },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur mise à jour tontine", "TONTINE_UPDATE_ERROR");
+    }
+  }
+
+  /**
+   * 📣 Ouvrir le recrutement
+   * POST /api/v1/tontines/:tontineId/open
+   */
+  async openRecruitment(req, res) {
+    try {
+      const tontine = await TontineService.openRecruitment(req.tontine);
+
+      res.json({
+        success: true,
+        message: "Recrutement ouvert",
+        data: { tontine: this.formatTontine(tontine, true) },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur ouverture recrutement", "TONTINE_OPEN_ERROR");
+    }
+  }
+
+  /**
+   * 🔎 Recherche publique des tontines en recrutement
+   * GET /api/v1/tontines/search
+   */
+  async searchTontines(req, res) {
+    try {
+      const result = await TontineDiscoveryService.searchPublicTontines(req.query);
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur recherche tontines", "SEARCH_ERROR");
+    }
+  }
+
+  /**
+   * 🙋 Demander à rejoindre une tontine
+   * POST /api/v1/tontines/:tontineId/join
+   */
+  async joinTontine(req, res) {
+    try {
+      const tontine = await Tontine.findByPk(req.params.tontineId);
+
+      if (!tontine) {
+        return res.status(404).json({
+          error: "Tontine introuvable",
+          code: "TONTINE_NOT_FOUND",
+        });
+      }
+
+      const participant = await TontineDiscoveryService.join(tontine, req.user, req, {
+        accessCode: req.body.accessCode,
+        inviteToken: req.body.inviteToken,
+        referralCode: req.body.referralCode,
+        deviceInfo: req.body.deviceInfo,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Demande envoyée à l'organisateur",
+        data: { participant },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur demande adhésion", "TONTINE_JOIN_ERROR");
+    }
+  }
+
+  /**
+   * 🔑 Rejoindre avec un code d'accès ou un lien d'invitation
+   * POST /api/v1/tontines/join
+   */
+  async joinWithCode(req, res) {
+    try {
+      const tontine = await TontineDiscoveryService.findJoinTarget({
+        accessCode: req.body.accessCode,
+        inviteToken: req.body.inviteToken,
+      });
+
+      const participant = await TontineDiscoveryService.join(tontine, req.user, req, {
+        accessCode: req.body.accessCode,
+        inviteToken: req.body.inviteToken,
+        referralCode: req.body.referralCode,
+        deviceInfo: req.body.deviceInfo,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Demande envoyée à l'organisateur",
+        data: {
+          tontine: { id: tontine.id, title: tontine.title },
+          participant,
+        },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur demande adhésion", "TONTINE_JOIN_ERROR");
+    }
+  }
+
+  /**
+   * ✉️ Générer un lien d'invitation
+   * POST /api/v1/tontines/:tontineId/invitations
+   */
+  async createInvitation(req, res) {
+    try {
+      const invitation = await TontineDiscoveryService.createInvitation(req.tontine, req.user, {
+        expiresInDays: req.body.expiresInDays ? parseInt(req.body.expiresInDays) : undefined,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Lien d'invitation généré",
+        data: {
+          ...invitation,
+          // Le code d'accès reste réservé à l'organisateur
+          ...(req.isTontineOrganizer && { accessCode: req.tontine.accessCode }),
+        },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur génération invitation", "INVITATION_CREATE_ERROR");
+    }
+  }
+
+  /**
+   * 👥 Lister les participants
+   * GET /api/v1/tontines/:tontineId/participants
+   */
+  async getParticipants(req, res) {
+    try {
+      const { status } = req.query;
+      const whereClause = { tontineId: req.tontine.id };
+
+      if (status) {
+        whereClause.status = status;
+      } else if (!req.isTontineOrganizer) {
+        // Les participants ne voient pas les demandes en attente ni les retraits
+        whereClause.status = { [Op.in]: ["approved", "active", "completed", "defaulted"] };
+      }
+
+      const participants = await TontineParticipant.findAll({
+        where: whereClause,
+        include: [
+          {
+            model: User,
+            as: "user",
+            attributes: ["id", "firstName", "lastName", "tontineReputationScore"],
+          },
+        ],
+        order: [
+          ["position", "ASC"],
+          ["joinDate", "ASC"],
+        ],
+      });
+
+      res.json({
+        success: true,
+        data: { participants },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur récupération participants", "PARTICIPANTS_FETCH_ERROR");
+    }
+  }
+
+  /**
+   * ✅ Approuver une demande d'adhésion
+   * POST /api/v1/tontines/:tontineId/participants/:participantId/approve
+   */
+  async approveParticipant(req, res) {
+    try {
+      const participant = await this.findParticipant(req, res);
+      if (!participant) return;
+
+      await TontineService.approveParticipant(req.tontine, participant, req.user.id);
+      await req.tontine.reload();
+
+      res.json({
+        success: true,
+        message: "Participant approuvé",
+        data: {
+          participant,
+          tontine: this.formatTontine(req.tontine, true),
+        },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur approbation participant", "PARTICIPANT_APPROVAL_ERROR");
+    }
+  }
+
+  /**
+   * ❌ Refuser une demande d'adhésion
+   * POST /api/v1/tontines/:tontineId/participants/:participantId/reject
+   */
+  async rejectParticipant(req, res) {
+    try {
+      const participant = await this.findParticipant(req, res);
+      if (!participant) return;
+
+      await TontineService.rejectParticipant(req.tontine, participant, req.body.reason);
+
+      res.json({
+        success: true,
+        message: "Demande refusée",
+        data: { participant },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur refus participant", "PARTICIPANT_REJECTION_ERROR");
+    }
+  }
+
+  /**
+   * 🚪 Se retirer avant démarrage
+   * POST /api/v1/tontines/:tontineId/withdraw
+   */
+  async withdraw(req, res) {
+    try {
+      if (!req.tontineParticipation) {
+        return res.status(404).json({
+          error: "Participation introuvable",
+          code: "PARTICIPANT_NOT_FOUND",
+        });
+      }
+
+      const participant = await TontineService.withdrawParticipant(
+        req.tontine,
+        req.tontineParticipation,
+        req.body.reason
+      );
+
+      res.json({
+        success: true,
+        message: "Retrait enregistré",
+        data: { participant },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur retrait tontine", "TONTINE_WITHDRAW_ERROR");
+    }
+  }
+
+  /**
+   * 🎯 Marquer prête à démarrer (canStart)
+   * POST /api/v1/tontines/:tontineId/ready
+   */
+  async markReady(req, res) {
+    try {
+      const tontine = await TontineService.markReadyToStart(req.tontine);
+
+      res.json({
+        success: true,
+        message: "Tontine prête à démarrer",
+        data: { tontine: this.formatTontine(tontine, true) },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur préparation tontine", "TONTINE_READY_ERROR");
+    }
+  }
+
+  /**
+   * 🔐 Publier l'engagement du tirage (empreinte du seed)
+   * POST /api/v1/tontines/:tontineId/draw/commit
+   */
+  async commitDraw(req, res) {
+    try {
+      const tontine = await TontineDrawService.commitDraw(req.tontine);
+
+      res.json({
+        success: true,
+        message: "Engagement du tirage publié",
+        data: {
+          commitmentHash: tontine.drawCommitment.hash,
+          participantIds: tontine.drawCommitment.participantIds,
+          committedAt: tontine.drawCommitment.committedAt,
+          algorithm: tontine.drawAlgorithm,
+        },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur engagement tirage", "DRAW_COMMIT_ERROR");
+    }
+  }
+
+  /**
+   * 🎲 Effectuer le tirage (révélation du seed)
+   * POST /api/v1/tontines/:tontineId/draw
+   */
+  async executeDraw(req, res) {
+    try {
+      const tontine = await TontineDrawService.executeDraw(req.tontine);
+      const verification = await TontineDrawService.getVerification(tontine);
+
+      res.json({
+        success: true,
+        message: "Tirage effectué",
+        data: {
+          tontine: this.formatTontine(tontine, true),
+          verification,
+        },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur tirage au sort", "DRAW_ERROR");
+    }
+  }
+
+  /**
+   * 🔍 Vérifier publiquement un tirage
+   * GET /api/v1/tontines/:tontineId/draw/verify
+   */
+  async verifyDraw(req, res) {
+    try {
+      const tontine = await Tontine.findByPk(req.params.tontineId);
+
+      if (!tontine) {
+        return res.status(404).json({
+          error: "Tontine introuvable",
+          code: "TONTINE_NOT_FOUND",
+        });
+      }
+
+      const verification = await TontineDrawService.getVerification(tontine);
+
+      res.json({
+        success: true,
+        data: { verification },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur vérification tirage", "DRAW_VERIFY_ERROR");
+    }
+  }
+
+  /**
+   * 🔄 Lister les propositions d'échange de positions
+   * GET /api/v1/tontines/:tontineId/exchanges
+   */
+  async listExchanges(req, res) {
+    try {
+      const { status } = req.query;
+      let exchanges = req.tontine.positionExchanges || [];
+
+      if (status) {
+        exchanges = exchanges.filter((exchange) => exchange.status === status);
+      }
+
+      res.json({
+        success: true,
+        data: {
+          exchanges,
+          allowPositionExchange: req.tontine.allowPositionExchange,
+          requiresOrganizerApproval: req.tontine.positionExchangeRequiresApproval,
+        },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur récupération échanges", "EXCHANGES_FETCH_ERROR");
+    }
+  }
+
+  /**
+   * 📝 Proposer un échange de position
+   * POST /api/v1/tontines/:tontineId/exchanges
+   */
+  async proposeExchange(req, res) {
+    try {
+      if (!this.ensureParticipation(req, res)) return;
+
+      const exchange = await TontineExchangeService.proposeExchange(
+        req.tontine,
+        req.tontineParticipation,
+        req.body
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Proposition d'échange envoyée",
+        data: { exchange },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur proposition échange", "EXCHANGE_PROPOSE_ERROR");
+    }
+  }
+
+  /**
+   * 🤝 Accepter ou refuser une proposition (contrepartie)
+   * POST /api/v1/tontines/:tontineId/exchanges/:exchangeId/accept|decline
+   */
+  async respondToExchange(req, res) {
+    try {
+      if (!this.ensureParticipation(req, res)) return;
+
+      const accept = req.path.endsWith("/accept");
+      const exchange = await TontineExchangeService.respondToExchange(
+        req.tontine,
+        req.params.exchangeId,
+        req.tontineParticipation,
+        accept,
+        req.body.reason
+      );
+
+      res.json({
+        success: true,
+        message: !accept
+          ? "Proposition refusée"
+          : exchange.status === "completed"
+            ? "Échange effectué"
+            : "Proposition acceptée, en attente de validation organisateur",
+        data: { exchange },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur réponse échange", "EXCHANGE_RESPONSE_ERROR");
+    }
+  }
+
+  /**
+   * 🛡️ Valider ou rejeter un échange (organisateur)
+   * POST /api/v1/tontines/:tontineId/exchanges/:exchangeId/approve|reject
+   */
+  async reviewExchange(req, res) {
+    try {
+      const approve = req.path.endsWith("/approve");
+      const exchange = await TontineExchangeService.reviewExchange(
+        req.tontine,
+        req.params.exchangeId,
+        req.user.id,
+        approve,
+        req.body.reason
+      );
+
+      res.json({
+        success: true,
+        message: approve ? "Échange validé et effectué" : "Échange rejeté",
+        data: { exchange },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur validation échange", "EXCHANGE_REVIEW_ERROR");
+    }
+  }
+
+  /**
+   * 🚫 Retirer sa proposition
+   * POST /api/v1/tontines/:tontineId/exchanges/:exchangeId/cancel
+   */
+  async cancelExchange(req, res) {
+    try {
+      if (!this.ensureParticipation(req, res)) return;
+
+      const exchange = await TontineExchangeService.cancelExchange(
+        req.tontine,
+        req.params.exchangeId,
+        req.tontineParticipation
+      );
+
+      res.json({
+        success: true,
+        message: "Proposition retirée",
+        data: { exchange },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur retrait proposition", "EXCHANGE_CANCEL_ERROR");
+    }
+  }
+
+  /**
+   * 💶 Confirmer la réception de la prime d'échange
+   * POST /api/v1/tontines/:tontineId/exchanges/:exchangeId/premium/confirm
+   */
+  async confirmExchangePremium(req, res) {
+    try {
+      if (!this.ensureParticipation(req, res)) return;
+
+      const transaction = await TontineExchangeService.confirmPremium(
+        req.tontine,
+        req.params.exchangeId,
+        req.tontineParticipation
+      );
+
+      res.json({
+        success: true,
+        message: "Réception de la prime confirmée",
+        data: { transaction },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur confirmation prime", "EXCHANGE_PREMIUM_ERROR");
+    }
+  }
+
+  /**
+   * 📊 État d'un round (cotisations par participant)
+   * GET /api/v1/tontines/:tontineId/rounds/:round
+   */
+  async getRound(req, res) {
+    try {
+      const tontine = req.tontine;
+      const round =
+        req.params.round === "current" ? tontine.currentRound : parseInt(req.params.round);
+
+      if (round < 1 || round > tontine.durationMonths || !tontine.startDate) {
+        return res.status(404).json({
+          error: "Round introuvable",
+          code: "ROUND_NOT_FOUND",
+        });
+      }
+
+      const [contributions, beneficiary] = await Promise.all([
+        TontineRoundService.getRoundContributions(tontine, round),
+        TontineParticipant.findOne({
+          where: { tontineId: tontine.id, position: round },
+          include: [{ model: User, as: "user", attributes: ["id", "firstName", "lastName"] }],
+        }),
+      ]);
+      const { contributionDate, payoutDate } = TontineService.getRoundDates(tontine, round);
+
+      res.json({
+        success: true,
+        data: {
+          round,
+          status:
+            round < tontine.currentRound
+              ? "paid_out"
+              : round === tontine.currentRound
+                ? tontine.roundStatus
+                : "upcoming",
+          contributionDate,
+          payoutDate,
+          beneficiary,
+          expectedAmount: tontine.getNetPayout(),
+          contributions: contributions.map((c) => ({
+            id: c.id,
+            participantId: c.participantId,
+            userId: c.userId,
+            amount: c.amount,
+            status: c.status,
+            completedAt: c.completedAt,
+          })),
+          summary: {
+            paid: contributions.filter((c) => c.status === "completed").length,
+            pending: contributions.filter((c) => c.status === "pending").length,
+            late: contributions.filter((c) => c.status === "late").length,
+          },
+        },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur récupération round", "ROUND_FETCH_ERROR");
+    }
+  }
+
+  /**
+   * ✅ Confirmer la réception d'une cotisation
+   * POST /api/v1/tontines/:tontineId/contributions/:transactionId/confirm
+   */
+  async confirmContribution(req, res) {
+    try {
+      const contribution = await Transaction.findOne({
+        where: {
+          id: req.params.transactionId,
+          tontineId: req.tontine.id,
+          type: "cotisation_tontine",
+        },
+      });
+
+      if (!contribution) {
+        return res.status(404).json({
+          error: "Cotisation introuvable",
+          code: "CONTRIBUTION_NOT_FOUND",
+        });
+      }
+
+      if (contribution.status === "completed") {
+        return res.status(400).json({
+          error: "Cotisation déjà enregistrée",
+          code: "CONTRIBUTION_ALREADY_PAID",
+        });
+      }
+
+      const { recorded } = await TontineRoundService.recordContribution(contribution, {
+        paymentMethod: req.body.paymentMethod,
+        externalTransactionId: req.body.reference,
+        notes: req.body.notes,
+        recordedBy: req.user.id,
+      });
+
+      // Réglée ou annulée entre-temps (paiement carte confirmé, remboursement)
+      if (!recorded) {
+        return res.status(400).json({
+          error: "Cotisation déjà réglée, remboursée ou annulée",
+          code: "CONTRIBUTION_ALREADY_PAID",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Cotisation enregistrée",
+        data: { contribution },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur enregistrement cotisation", "CONTRIBUTION_RECORD_ERROR");
+    }
+  }
+
+  /**
+   * ⏱️ Lancer immédiatement le traitement du round (hors cron)
+   * POST /api/v1/tontines/:tontineId/rounds/process
+   */
+  async processRound(req, res) {
+    try {
+      const result = await TontineRoundService.processTontine(req.tontine);
+      await req.tontine.reload();
+
+      res.json({
+        success: true,
+        message: "Round traité",
+        data: {
+          result,
+          currentRound: req.tontine.currentRound,
+          roundStatus: req.tontine.roundStatus,
+          nextPayoutUserId: req.tontine.nextPayoutUserId,
+          nextPayoutDate: req.tontine.nextPayoutDate,
+        },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur traitement round", "ROUND_PROCESS_ERROR");
+    }
+  }
+
+  /**
+   * 🚨 Défaillances et état du recouvrement
+   * GET /api/v1/tontines/:tontineId/defaults
+   */
+  async listDefaults(req, res) {
+    try {
+      const tontine = req.tontine;
+
+      const [participants, repayments] = await Promise.all([
+        TontineParticipant.findAll({
+          where: { tontineId: tontine.id, isDefaulted: true },
+          include: [{ model: User, as: "user", attributes: ["id", "firstName", "lastName", "phoneNumber"] }],
+          order: [["defaultDate", "ASC"]],
+        }),
+        Transaction.findAll({
+          where: { tontineId: tontine.id, type: "remboursement" },
+          order: [["scheduledDate", "ASC"]],
+        }),
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          totalDefaultedAmount: tontine.totalDefaultedAmount,
+          defaults: tontine.defaultedParticipants || [],
+          participants: participants.map((participant) => ({
+            id: participant.id,
+            user: participant.user,
+            status: participant.status,
+            defaultDate: participant.defaultDate,
+            defaultReason: participant.defaultReason,
+            debtAmount: participant.debtAmount,
+            repayments: repayments.filter((r) => r.participantId === participant.id),
+          })),
+        },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur récupération défaillances", "DEFAULTS_FETCH_ERROR");
+    }
+  }
+
+  /**
+   * 🔍 Lancer la détection des défaillances (hors cron)
+   * POST /api/v1/tontines/:tontineId/defaults/detect
+   */
+  async detectDefaults(req, res) {
+    try {
+      const results = await TontineDefaultService.detectDefaults(req.tontine);
+
+      res.json({
+        success: true,
+        message: `${results.length} défaillance(s) détectée(s)`,
+        data: {
+          defaults: results.map(({ participant, debt, excluded }) => ({
+            participantId: participant.id,
+            userId: participant.userId,
+            excluded,
+            debt,
+          })),
+        },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur détection défaillances", "DEFAULTS_DETECT_ERROR");
+    }
+  }
+
+  /**
+   * 🚨 Déclarer manuellement un participant défaillant
+   * POST /api/v1/tontines/:tontineId/participants/:participantId/default
+   */
+  async declareDefault(req, res) {
+    try {
+      const participant = await this.findParticipant(req, res);
+      if (!participant) return;
+
+      if (req.tontine.status !== "active") {
+        return res.status(400).json({
+          error: "Défaillance déclarable uniquement sur une tontine active",
+          code: "TONTINE_NOT_ACTIVE",
+        });
+      }
+
+      const result = await TontineDefaultService.declareDefault(req.tontine, participant, {
+        reason: req.body.reason,
+        declaredBy: req.user.id,
+      });
+
+      res.json({
+        success: true,
+        message: "Participant déclaré défaillant",
+        data: {
+          participant: result.participant,
+          debt: result.debt,
+          excluded: result.excluded,
+          documents: result.documents.map((d) => ({ id: d.id, type: d.type, title: d.title, fileUrl: d.fileUrl })),
+        },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur déclaration défaillance", "DEFAULT_DECLARE_ERROR");
+    }
+  }
+
+  /**
+   * 📅 Créer l'échéancier de remboursement d'une dette
+   * POST /api/v1/tontines/:tontineId/participants/:participantId/repayment-plan
+   */
+  async createRepaymentPlan(req, res) {
+    try {
+      const participant = await this.findParticipant(req, res);
+      if (!participant) return;
+
+      const plan = await TontineDefaultService.createRepaymentPlan(req.tontine, participant, {
+        installments: req.body.installments,
+        firstDueDate: req.body.firstDueDate,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Échéancier de remboursement créé",
+        data: { debtAmount: participant.debtAmount, installments: plan },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur création échéancier", "REPAYMENT_PLAN_ERROR");
+    }
+  }
+
+  /**
+   * 💶 Confirmer le paiement d'une échéance de remboursement
+   * POST /api/v1/tontines/:tontineId/repayments/:transactionId/confirm
+   */
+  async confirmRepayment(req, res) {
+    try {
+      const repayment = await Transaction.findOne({
+        where: { id: req.params.transactionId, tontineId: req.tontine.id, type: "remboursement" },
+      });
+
+      if (!repayment) {
+        return res.status(404).json({
+          error: "Échéance introuvable",
+          code: "REPAYMENT_NOT_FOUND",
+        });
+      }
+
+      const result = await TontineDefaultService.recordRepayment(req.tontine, repayment, {
+        paymentMethod: req.body.paymentMethod,
+        reference: req.body.reference,
+        recordedBy: req.user.id,
+      });
+
+      res.json({
+        success: true,
+        message: result.remainingDebt === 0 ? "Dette soldée" : "Échéance enregistrée",
+        data: result,
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur enregistrement remboursement", "REPAYMENT_RECORD_ERROR");
+    }
+  }
+
+  /**
+   * 📄 Documents de la tontine (avis de défaillance, attestations)
+   * GET /api/v1/tontines/:tontineId/documents
+   */
+  async listDocuments(req, res) {
+    try {
+      // Participant : uniquement ses propres documents
+      const where = { tontineId: req.tontine.id };
+      if (!req.isTontineOrganizer) where.userId = req.user.id;
+
+      const documents = await Document.findAll({
+        where,
+        attributes: ["id", "userId", "type", "title", "fileUrl", "fileHash", "status", "issuedDate", "createdAt"],
+        order: [["createdAt", "DESC"]],
+      });
+
+      res.json({
+        success: true,
+        data: { documents },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur récupération documents", "DOCUMENTS_FETCH_ERROR");
+    }
+  }
+
+  /**
+   * 🚀 Démarrer la tontine
+   * POST /api/v1/tontines/:tontineId/start
+   */
+  async startTontine(req, res) {
+    try {
+      const tontine = await TontineService.startTontine(req.tontine);
+
+      res.json({
+        success: true,
+        message: "Tontine démarrée",
+        data: { tontine: this.formatTontine(tontine, true) },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur démarrage tontine", "TONTINE_START_ERROR");
+    }
+  }
+
+  /**
+   * 🏁 Clôturer la tontine
+   * POST /api/v1/tontines/:tontineId/complete
+   */
+  async completeTontine(req, res) {
+    try {
+      const tontine = await TontineService.completeTontine(req.tontine);
+
+      res.json({
+        success: true,
+        message: "Tontine terminée",
+        data: { tontine: this.formatTontine(tontine, true) },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur clôture tontine", "TONTINE_COMPLETE_ERROR");
+    }
+  }
+
+  /**
+   * 🛑 Annuler la tontine
+   * POST /api/v1/tontines/:tontineId/cancel
+   */
+  async cancelTontine(req, res) {
+    try {
+      const tontine = await TontineService.cancelTontine(req.tontine, req.user.id, req.body.reason);
+
+      res.json({
+        success: true,
+        message: "Tontine annulée",
+        data: { tontine: this.formatTontine(tontine, true) },
+      });
+    } catch (error) {
+      this.handleError(res, error, "Erreur annulation tontine", "TONTINE_CANCEL_ERROR");
+    }
+  }
+
+  // 🔧 Vérifier que l'utilisateur participe (l'organisateur seul n'a pas de position)
+  ensureParticipation(req, res) {
+    if (!req.tontineParticipation) {
+      res.status(403).json({
+        error: "Participation requise",
+        code: "NOT_TONTINE_PARTICIPANT",
+      });
+      return false;
+    }
+    return true;
+  }
+
+  // 🔧 Charger un participant de la tontine courante
+  async findParticipant(req, res) {
+    const participant = await TontineParticipant.findOne({
+      where: { id: req.params.participantId, tontineId: req.tontine.id },
+    });
+
+    if (!participant) {
+      res.status(404).json({
+        error: "Participant introuvable",
+        code: "PARTICIPANT_NOT_FOUND",
+      });
+      return null;
+    }
+
+    return participant;
+  }
+
+  // 🔧 Sérialiser une tontine (code d'accès réservé à l'organisateur, seed masqué avant tirage)
+  formatTontine(tontine, isOrganizer = false) {
+    const data = tontine.toJSON();
+
+    if (!isOrganizer) {
+      delete data.accessCode;
+      delete data.organizerNotes;
+    }
+
+    // Seed secret jusqu'au tirage, y compris pour l'organisateur
+    if (!tontine.drawDate) {
+      delete data.drawSeed;
+    }
+
+    return {
+      ...data,
+      progress: tontine.getProgress(),
+      netPayout: tontine.getNetPayout(),
+    };
+  }
+
+  // 🔧 Réponse d'erreur (erreurs métier du service : status + code)
+  handleError(res, error, message, code) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code,
+      });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+      error: message,
+      code,
+      details: error.message,
+    });
+  }
+}
+
+module.exports = new TontineController();
@@ -0,0 +1,38 @@
+// src/modules/tontines/jobs/roundJob.js
+// Cron quotidien du moteur de rounds tontine
+
+const cron = require('node-cron');
+const TontineRoundService = require('../services/roundService');
+
+// Tous les jours à 6h (heure de Paris) par défaut
+const ROUND_CRON = process.env.TONTINE_ROUND_CRON || '0 6 * * *';
+
+function startRoundJob() {
+  const task = cron.schedule(ROUND_CRON, async () => {
+    console.log('⏱️ Moteur rounds tontine - démarrage');
+
+    try {
+      const report = await TontineRoundService.processAllTontines();
+      console.log(
+        `✅ Moteur rounds tontine: ${report.processed} tontine(s), ${report.opened} ouvert(s), ` +
+        `${report.paidOut} versé(s), ${report.blocked} bloqué(s), ${report.completed} terminée(s), ` +
+        `${report.defaulted} défaillance(s)`
+      );
+
+      if (report.errors.length > 0) {
+        console.error('⚠️ Erreurs moteur rounds:', report.errors);
+      }
+    } catch (error) {
+      console.error('❌ Erreur moteur rounds tontine:', error);
+    }
+  }, {
+    name: 'tontine-rounds',
+    timezone: 'Europe/Paris',
+    noOverlap: true
+  });
+
+  console.log(`⏱️ Cron rounds tontine planifié (${ROUND_CRON})`);
+  return task;
+}
+
+module.exports = { startRoundJob };
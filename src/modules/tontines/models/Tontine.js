@@ -217,7 +217,13 @@ module.exports = (sequelize, DataTypes) => {
     drawSeed: {
       type: DataTypes.STRING,
       allowNull: true,
-      comment: 'Seed pour reproductibilité du tirage'
+      comment: 'Seed pour reproductibilité du tirage (secret jusqu\'au tirage)'
+    },
+
+    drawCommitment: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Engagement publié avant tirage: { hash: sha256(seed), participantIds, committedAt }'
     },
     
     // 📋 CONDITIONS PARTICIPATION
@@ -254,6 +260,20 @@ module.exports = (sequelize, DataTypes) => {
       defaultValue: 0,
       comment: 'Round en cours (0 = pas encore démarré)'
     },
+
+    roundStatus: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      validate: {
+        isIn: [['collecting', 'blocked', 'paid_out']]
+      },
+      comment: 'Statut du round en cours: collecte, bloqué (cotisations manquantes), versé'
+    },
+
+    roundOpenedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     
     nextPayoutUserId: {
       type: DataTypes.INTEGER,
@@ -429,6 +449,12 @@ module.exports = (sequelize, DataTypes) => {
       defaultValue: true,
       comment: 'Autoriser échanges de positions'
     },
+
+    positionExchangeRequiresApproval: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true,
+      comment: 'Échanges de positions soumis à validation organisateur'
+    },
     
     maxLatePaymentDays: {
       type: DataTypes.INTEGER,
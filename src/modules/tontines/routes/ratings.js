@@ -0,0 +1,232 @@
+// src/modules/tontines/routes/ratings.js
+// Routes API notations : réputation, réponses, contestations et modération
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { authenticate: authMiddleware, requireRole } = require('../../../core/auth/middleware/auth');
+const { handleValidationErrors } = require('../../../core/middleware/validation');
+
+const ratingController = require('../controllers/ratingController');
+
+// 📋 VALIDATIONS
+
+const validateRatingId = [
+  param('ratingId')
+    .isInt({ min: 1 })
+    .withMessage('ID notation invalide'),
+
+  handleValidationErrors
+];
+
+const scoreRule = (field) =>
+  body(field)
+    .optional({ nullable: true })
+    .isFloat({ min: 1, max: 5 })
+    .withMessage(`${field} doit être entre 1 et 5`);
+
+const validateUpdateRating = [
+  param('ratingId')
+    .isInt({ min: 1 })
+    .withMessage('ID notation invalide'),
+
+  ...['overallScore', 'punctualityScore', 'reliabilityScore', 'communicationScore',
+    'organizationScore', 'transparencyScore', 'conflictManagementScore'].map(scoreRule),
+
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Commentaire max 2000 caractères'),
+
+  body('privateNotes')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Notes privées max 2000 caractères'),
+
+  body('isPublic')
+    .optional()
+    .isBoolean()
+    .withMessage('isPublic doit être un booléen'),
+
+  body('isAnonymous')
+    .optional()
+    .isBoolean()
+    .withMessage('isAnonymous doit être un booléen'),
+
+  handleValidationErrors
+];
+
+const validateUserRatings = [
+  param('userId')
+    .isInt({ min: 1 })
+    .withMessage('ID utilisateur invalide'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page invalide'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limite entre 1 et 100'),
+
+  handleValidationErrors
+];
+
+const validateRespond = [
+  param('ratingId')
+    .isInt({ min: 1 })
+    .withMessage('ID notation invalide'),
+
+  body('comment')
+    .trim()
+    .isLength({ min: 2, max: 2000 })
+    .withMessage('Réponse requise (2-2000 caractères)'),
+
+  handleValidationErrors
+];
+
+const validateDispute = [
+  param('ratingId')
+    .isInt({ min: 1 })
+    .withMessage('ID notation invalide'),
+
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 255 })
+    .withMessage('Motif de contestation requis (5-255 caractères)'),
+
+  handleValidationErrors
+];
+
+const validateResolve = [
+  param('ratingId')
+    .isInt({ min: 1 })
+    .withMessage('ID notation invalide'),
+
+  body('decision')
+    .isIn(['upheld', 'removed'])
+    .withMessage('Décision invalide (upheld ou removed)'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Notes max 2000 caractères'),
+
+  handleValidationErrors
+];
+
+// 🛡️ MODÉRATION
+
+/**
+ * @route GET /api/v1/ratings/disputes
+ * @desc Contestations en attente de modération
+ * @access Admin plateforme
+ */
+router.get('/disputes',
+  authMiddleware,
+  requireRole('platform_admin'),
+  ratingController.listDisputes
+);
+
+/**
+ * @route POST /api/v1/ratings/:ratingId/resolve
+ * @desc Maintenir ou retirer une notation contestée
+ * @access Admin plateforme
+ */
+router.post('/:ratingId/resolve',
+  authMiddleware,
+  requireRole('platform_admin'),
+  validateResolve,
+  ratingController.resolveDispute
+);
+
+// ⭐ RÉPUTATION
+
+/**
+ * @route GET /api/v1/ratings/users/:userId
+ * @desc Réputation et notations reçues par un utilisateur
+ * @access Private
+ */
+router.get('/users/:userId',
+  authMiddleware,
+  validateUserRatings,
+  ratingController.getUserRatings
+);
+
+// 💬 INTERACTIONS
+
+/**
+ * @route PUT /api/v1/ratings/:ratingId
+ * @desc Modifier sa notation (7 jours après publication)
+ * @access Auteur de la notation
+ */
+router.put('/:ratingId',
+  authMiddleware,
+  validateUpdateRating,
+  ratingController.updateRating
+);
+
+/**
+ * @route POST /api/v1/ratings/:ratingId/respond
+ * @desc Répondre publiquement à une notation reçue
+ * @access Membre noté
+ */
+router.post('/:ratingId/respond',
+  authMiddleware,
+  validateRespond,
+  ratingController.respondToRating
+);
+
+/**
+ * @route POST /api/v1/ratings/:ratingId/dispute
+ * @desc Contester une notation reçue
+ * @access Membre noté
+ */
+router.post('/:ratingId/dispute',
+  authMiddleware,
+  validateDispute,
+  ratingController.disputeRating
+);
+
+/**
+ * @route POST /api/v1/ratings/:ratingId/helpful
+ * @desc Marquer une notation comme utile
+ * @access Private
+ */
+router.post('/:ratingId/helpful',
+  authMiddleware,
+  validateRatingId,
+  ratingController.markHelpful
+);
+
+// 🚨 MIDDLEWARE GESTION ERREURS
+router.use((error, req, res, next) => {
+  console.error('Erreur routes notations:', error);
+
+  if (error.name === 'SequelizeValidationError') {
+    return res.status(400).json({
+      error: 'Données invalides',
+      code: 'VALIDATION_ERROR',
+      details: error.errors
+    });
+  }
+
+  if (error.name === 'SequelizeUniqueConstraintError') {
+    return res.status(409).json({
+      error: 'Notation déjà existante',
+      code: 'DUPLICATE_RATING'
+    });
+  }
+
+  res.status(500).json({
+    error: 'Erreur serveur',
+    code: 'INTERNAL_SERVER_ERROR'
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,1054 @@
+// src/modules/tontines/routes/tontines.js
+// Routes API cycle de vie des tontines
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { authenticate: authMiddleware, requireTontinePermission } = require('../../../core/auth/middleware/auth');
+const { handleValidationErrors } = require('../../../core/middleware/validation');
+
+const tontineController = require('../controllers/tontineController');
+const ratingController = require('../controllers/ratingController');
+
+// 📋 VALIDATIONS
+
+const validateTontineId = [
+  param('tontineId')
+    .isInt({ min: 1 })
+    .withMessage('ID tontine invalide'),
+
+  handleValidationErrors
+];
+
+const validateParticipantAction = [
+  param('tontineId')
+    .isInt({ min: 1 })
+    .withMessage('ID tontine invalide'),
+
+  param('participantId')
+    .isInt({ min: 1 })
+    .withMessage('ID participant invalide'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Motif max 500 caractères'),
+
+  handleValidationErrors
+];
+
+const tontineSettingsRules = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Description max 2000 caractères'),
+
+  body('publicDescription')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Description publique max 2000 caractères'),
+
+  body('contributionDay')
+    .optional()
+    .isInt({ min: 1, max: 28 })
+    .withMessage('Jour de cotisation invalide (1-28)'),
+
+  body('payoutDay')
+    .optional()
+    .isInt({ min: 1, max: 28 })
+    .withMessage('Jour de versement invalide (1-28)'),
+
+  body('category')
+    .optional()
+    .isIn(['epargne_generale', 'achat_vehicule', 'logement', 'education', 'mariage', 'voyage', 'investissement', 'urgence', 'autre'])
+    .withMessage('Catégorie invalide'),
+
+  body('language')
+    .optional()
+    .isIn(['fr', 'en', 'it', 'es'])
+    .withMessage('Langue non supportée'),
+
+  body('tags')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Tags: tableau de 10 éléments max'),
+
+  body('maxLatePaymentDays')
+    .optional()
+    .isInt({ min: 1, max: 60 })
+    .withMessage('Délai de retard invalide (1-60 jours)'),
+
+  body(['isPubliclyVisible', 'allowPositionExchange', 'positionExchangeRequiresApproval', 'automaticExclusionEnabled', 'inviteOnly'])
+    .optional()
+    .isBoolean()
+    .withMessage('Valeur booléenne attendue')
+];
+
+const tontineFinancialRules = [
+  body('type')
+    .optional()
+    .isIn(['private', 'public'])
+    .withMessage('Type de tontine invalide'),
+
+  body('currency')
+    .optional()
+    .isIn(['EUR', 'USD', 'XOF', 'GBP', 'CAD'])
+    .withMessage('Devise non supportée')
+];
+
+const validateCreateTontine = [
+  body('title')
+    .trim()
+    .isLength({ min: 5, max: 100 })
+    .withMessage('Titre requis (5-100 caractères)'),
+
+  body('monthlyContribution')
+    .isFloat({ min: 10, max: 10000 })
+    .withMessage('Cotisation mensuelle invalide (10 - 10 000)'),
+
+  body('maxParticipants')
+    .isInt({ min: 3, max: 50 })
+    .withMessage('Nombre de participants invalide (3-50)'),
+
+  ...tontineFinancialRules,
+  ...tontineSettingsRules,
+
+  handleValidationErrors
+];
+
+const validateUpdateTontine = [
+  param('tontineId')
+    .isInt({ min: 1 })
+    .withMessage('ID tontine invalide'),
+
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 5, max: 100 })
+    .withMessage('Titre invalide (5-100 caractères)'),
+
+  body('monthlyContribution')
+    .optional()
+    .isFloat({ min: 10, max: 10000 })
+    .withMessage('Cotisation mensuelle invalide (10 - 10 000)'),
+
+  body('maxParticipants')
+    .optional()
+    .isInt({ min: 3, max: 50 })
+    .withMessage('Nombre de participants invalide (3-50)'),
+
+  ...tontineFinancialRules,
+  ...tontineSettingsRules,
+
+  handleValidationErrors
+];
+
+const validateListTontines = [
+  query('status')
+    .optional()
+    .isIn(['draft', 'recruiting', 'ready_to_start', 'active', 'paused', 'completed', 'cancelled', 'failed'])
+    .withMessage('Statut invalide'),
+
+  query('role')
+    .optional()
+    .isIn(['all', 'organizer', 'participant'])
+    .withMessage('Rôle invalide'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page invalide'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limite invalide (1-100)'),
+
+  handleValidationErrors
+];
+
+const validateReason = (required) => [
+  param('tontineId')
+    .isInt({ min: 1 })
+    .withMessage('ID tontine invalide'),
+
+  required
+    ? body('reason')
+      .trim()
+      .isLength({ min: 5, max: 500 })
+      .withMessage('Motif requis (5-500 caractères)')
+    : body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Motif max 500 caractères'),
+
+  handleValidationErrors
+];
+
+const validateListExchanges = [
+  param('tontineId')
+    .isInt({ min: 1 })
+    .withMessage('ID tontine invalide'),
+
+  query('status')
+    .optional()
+    .isIn(['proposed', 'awaiting_approval', 'completed', 'declined', 'rejected', 'cancelled'])
+    .withMessage('Statut d\'échange invalide'),
+
+  handleValidationErrors
+];
+
+const validateProposeExchange = [
+  param('tontineId')
+    .isInt({ min: 1 })
+    .withMessage('ID tontine invalide'),
+
+  body('counterpartyParticipantId')
+    .if(body('targetPosition').not().exists())
+    .isInt({ min: 1 })
+    .withMessage('Participant cible ou position cible requis'),
+
+  body('targetPosition')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Position cible invalide'),
+
+  body('premiumAmount')
+    .optional()
+    .isFloat({ min: 0, max: 100000 })
+    .withMessage('Prime invalide (0 - 100 000)'),
+
+  body('premiumPayer')
+    .optional()
+    .isIn(['requester', 'counterparty'])
+    .withMessage('Payeur de prime invalide'),
+
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message max 500 caractères'),
+
+  handleValidationErrors
+];
+
+const validateExchangeAction = [
+  param('tontineId')
+    .isInt({ min: 1 })
+    .withMessage('ID tontine invalide'),
+
+  param('exchangeId')
+    .isUUID()
+    .withMessage('ID échange invalide'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Motif max 500 caractères'),
+
+  handleValidationErrors
+];
+
+const validateGetRound = [
+  param('tontineId')
+    .isInt({ min: 1 })
+    .withMessage('ID tontine invalide'),
+
+  param('round')
+    .custom((value) => value === 'current' || /^[1-9]\d*$/.test(value))
+    .withMessage('Round invalide (numéro ou "current")'),
+
+  handleValidationErrors
+];
+
+const validateConfirmContribution = [
+  param('tontineId')
+    .isInt({ min: 1 })
+    .withMessage('ID tontine invalide'),
+
+  param('transactionId')
+    .isInt({ min: 1 })
+    .withMessage('ID transaction invalide'),
+
+  body('paymentMethod')
+    .optional()
+    .isIn(['card', 'iban', 'mobile_money', 'cash', 'internal'])
+    .withMessage('Méthode de paiement invalide'),
+
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Référence max 255 caractères'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes max 1000 caractères'),
+
+  handleValidationErrors
+];
+
+const validateDeclareDefault = [
+  ...validateParticipantAction.slice(0, -1),
+
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Motif requis (5-500 caractères)'),
+
+  handleValidationErrors
+];
+
+const validateRepaymentPlan = [
+  ...validateParticipantAction.slice(0, -1),
+
+  body('installments')
+    .isInt({ min: 1, max: 24 })
+    .withMessage('Nombre d\'échéances entre 1 et 24'),
+
+  body('firstDueDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Date de première échéance invalide'),
+
+  handleValidationErrors
+];
+
+const validateConfirmRepayment = [
+  param('tontineId')
+    .isInt({ min: 1 })
+    .withMessage('ID tontine invalide'),
+
+  param('transactionId')
+    .isInt({ min: 1 })
+    .withMessage('ID transaction invalide'),
+
+  body('paymentMethod')
+    .optional()
+    .isIn(['card', 'iban', 'mobile_money', 'cash', 'internal'])
+    .withMessage('Méthode de paiement invalide'),
+
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Référence max 255 caractères'),
+
+  handleValidationErrors
+];
+
+const ratingScoreRule = (field) =>
+  body(field)
+    .optional({ nullable: true })
+    .isFloat({ min: 1, max: 5 })
+    .withMessage(`${field} doit être entre 1 et 5`);
+
+const validateCreateRating = [
+  param('tontineId')
+    .isInt({ min: 1 })
+    .withMessage('ID tontine invalide'),
+
+  body('ratedUserId')
+    .isInt({ min: 1 })
+    .withMessage('Utilisateur noté invalide'),
+
+  ...['overallScore', 'punctualityScore', 'reliabilityScore', 'communicationScore',
+    'organizationScore', 'transparencyScore', 'conflictManagementScore'].map(ratingScoreRule),
+
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Commentaire max 2000 caractères'),
+
+  body('privateNotes')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Notes privées max 2000 caractères'),
+
+  body('contextTags')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Tags de contexte invalides'),
+
+  body('incidentRelated')
+    .optional()
+    .isBoolean()
+    .withMessage('incidentRelated doit être un booléen'),
+
+  body('incidentDescription')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Description incident max 2000 caractères'),
+
+  body('isPublic')
+    .optional()
+    .isBoolean()
+    .withMessage('isPublic doit être un booléen'),
+
+  body('isAnonymous')
+    .optional()
+    .isBoolean()
+    .withMessage('isAnonymous doit être un booléen'),
+
+  handleValidationErrors
+];
+
+const validateListRatings = [
+  param('tontineId')
+    .isInt({ min: 1 })
+    .withMessage('ID tontine invalide'),
+
+  query('ratedUserId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Utilisateur noté invalide'),
+
+  query('ratingType')
+    .optional()
+    .isIn(['participant_to_organizer', 'organizer_to_participant', 'participant_to_participant', 'mutual'])
+    .withMessage('Type de notation invalide'),
+
+  handleValidationErrors
+];
+
+const validateSearchTontines = [
+  query('q')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Recherche max 100 caractères'),
+
+  query('minContribution')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Cotisation minimum invalide'),
+
+  query('maxContribution')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Cotisation maximum invalide'),
+
+  query('currency')
+    .optional()
+    .isIn(['EUR', 'USD', 'XOF', 'GBP', 'CAD'])
+    .withMessage('Devise non supportée'),
+
+  query('region')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Région max 100 caractères'),
+
+  query('category')
+    .optional()
+    .isIn(['epargne_generale', 'achat_vehicule', 'logement', 'education', 'mariage', 'voyage', 'investissement', 'urgence', 'autre'])
+    .withMessage('Catégorie invalide'),
+
+  query('language')
+    .optional()
+    .isIn(['fr', 'en', 'it', 'es'])
+    .withMessage('Langue non supportée'),
+
+  query('tag')
+    .optional()
+    .trim()
+    .matches(/^[\w-]{1,30}$/)
+    .withMessage('Tag invalide'),
+
+  query('minSeats')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Places restantes invalides (1-50)'),
+
+  query('minOrganizerRating')
+    .optional()
+    .isFloat({ min: 0, max: 5 })
+    .withMessage('Note organisateur invalide (0-5)'),
+
+  query('sort')
+    .optional()
+    .isIn(['recent', 'contribution_asc', 'contribution_desc', 'start_date', 'rating'])
+    .withMessage('Tri invalide'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page invalide'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limite invalide (1-100)'),
+
+  handleValidationErrors
+];
+
+const joinAccessRules = [
+  body('accessCode')
+    .optional()
+    .trim()
+    .isLength({ min: 4, max: 20 })
+    .withMessage('Code d\'accès invalide'),
+
+  body('inviteToken')
+    .optional()
+    .isJWT()
+    .withMessage('Lien d\'invitation invalide'),
+
+  body('referralCode')
+    .optional()
+    .trim()
+    .isLength({ min: 4, max: 20 })
+    .withMessage('Code de parrainage invalide'),
+
+  body('deviceInfo')
+    .optional()
+    .isObject()
+    .withMessage('Informations appareil invalides')
+];
+
+const validateJoinTontine = [
+  param('tontineId')
+    .isInt({ min: 1 })
+    .withMessage('ID tontine invalide'),
+
+  ...joinAccessRules,
+
+  handleValidationErrors
+];
+
+const validateJoinWithCode = [
+  ...joinAccessRules,
+
+  body()
+    .custom((value) => !!(value.accessCode || value.inviteToken))
+    .withMessage('Code d\'accès ou lien d\'invitation requis'),
+
+  handleValidationErrors
+];
+
+const validateCreateInvitation = [
+  param('tontineId')
+    .isInt({ min: 1 })
+    .withMessage('ID tontine invalide'),
+
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 60 })
+    .withMessage('Validité entre 1 et 60 jours'),
+
+  handleValidationErrors
+];
+
+// 📝 ROUTES CRUD PRINCIPALES
+
+/**
+ * @route POST /api/v1/tontines
+ * @desc Créer une tontine (brouillon)
+ * @access Utilisateur connecté
+ */
+router.post('/',
+  authMiddleware,
+  validateCreateTontine,
+  tontineController.createTontine
+);
+
+/**
+ * @route GET /api/v1/tontines
+ * @desc Lister mes tontines (organisées et rejointes)
+ * @access Utilisateur connecté
+ */
+router.get('/',
+  authMiddleware,
+  validateListTontines,
+  tontineController.listMyTontines
+);
+
+/**
+ * @route GET /api/v1/tontines/search
+ * @desc Rechercher les tontines publiques en recrutement
+ * @access Public
+ */
+router.get('/search',
+  validateSearchTontines,
+  tontineController.searchTontines
+);
+
+/**
+ * @route POST /api/v1/tontines/join
+ * @desc Rejoindre une tontine avec un code d'accès ou un lien d'invitation
+ * @access Utilisateur connecté
+ */
+router.post('/join',
+  authMiddleware,
+  validateJoinWithCode,
+  tontineController.joinWithCode
+);
+
+/**
+ * @route GET /api/v1/tontines/:tontineId
+ * @desc Détails d'une tontine
+ * @access Organisateur ou participant
+ */
+router.get('/:tontineId',
+  authMiddleware,
+  validateTontineId,
+  requireTontinePermission('tontineId'),
+  tontineController.getTontine
+);
+
+/**
+ * @route PUT /api/v1/tontines/:tontineId
+ * @desc Modifier une tontine avant démarrage
+ * @access Organisateur
+ */
+router.put('/:tontineId',
+  authMiddleware,
+  validateUpdateTontine,
+  requireTontinePermission('tontineId', 'organizer'),
+  tontineController.updateTontine
+);
+
+// 👥 PARTICIPANTS
+
+/**
+ * @route POST /api/v1/tontines/:tontineId/join
+ * @desc Demander à rejoindre une tontine (code d'accès ou invitation si privée)
+ * @access Utilisateur connecté
+ */
+router.post('/:tontineId/join',
+  authMiddleware,
+  validateJoinTontine,
+  tontineController.joinTontine
+);
+
+/**
+ * @route POST /api/v1/tontines/:tontineId/invitations
+ * @desc Générer un lien d'invitation signé
+ * @access Organisateur ou participant approuvé
+ */
+router.post('/:tontineId/invitations',
+  authMiddleware,
+  validateCreateInvitation,
+  requireTontinePermission('tontineId'),
+  tontineController.createInvitation
+);
+
+/**
+ * @route GET /api/v1/tontines/:tontineId/participants
+ * @desc Lister les participants
+ * @access Organisateur ou participant
+ */
+router.get('/:tontineId/participants',
+  authMiddleware,
+  validateTontineId,
+  requireTontinePermission('tontineId'),
+  tontineController.getParticipants
+);
+
+/**
+ * @route POST /api/v1/tontines/:tontineId/participants/:participantId/approve
+ * @desc Approuver une demande d'adhésion
+ * @access Organisateur
+ */
+router.post('/:tontineId/participants/:participantId/approve',
+  authMiddleware,
+  validateParticipantAction,
+  requireTontinePermission('tontineId', 'organizer'),
+  tontineController.approveParticipant
+);
+
+/**
+ * @route POST /api/v1/tontines/:tontineId/participants/:participantId/reject
+ * @desc Refuser une demande d'adhésion
+ * @access Organisateur
+ */
+router.post('/:tontineId/participants/:participantId/reject',
+  authMiddleware,
+  validateParticipantAction,
+  requireTontinePermission('tontineId', 'organizer'),
+  tontineController.rejectParticipant
+);
+
+/**
+ * @route POST /api/v1/tontines/:tontineId/withdraw
+ * @desc Se retirer avant le démarrage
+ * @access Participant
+ */
+router.post('/:tontineId/withdraw',
+  authMiddleware,
+  validateReason(false),
+  requireTontinePermission('tontineId'),
+  tontineController.withdraw
+);
+
+// 🔁 ÉCHANGES DE POSITIONS
+
+/**
+ * @route GET /api/v1/tontines/:tontineId/exchanges
+ * @desc Lister les propositions d'échange
+ * @access Organisateur ou participant
+ */
+router.get('/:tontineId/exchanges',
+  authMiddleware,
+  validateListExchanges,
+  requireTontinePermission('tontineId'),
+  tontineController.listExchanges
+);
+
+/**
+ * @route POST /api/v1/tontines/:tontineId/exchanges
+ * @desc Proposer un échange de position (prime optionnelle)
+ * @access Participant
+ */
+router.post('/:tontineId/exchanges',
+  authMiddleware,
+  validateProposeExchange,
+  requireTontinePermission('tontineId'),
+  tontineController.proposeExchange
+);
+
+/**
+ * @route POST /api/v1/tontines/:tontineId/exchanges/:exchangeId/accept
+ * @desc Accepter une proposition
+ * @access Participant contrepartie
+ */
+router.post('/:tontineId/exchanges/:exchangeId/accept',
+  authMiddleware,
+  validateExchangeAction,
+  requireTontinePermission('tontineId'),
+  tontineController.respondToExchange
+);
+
+/**
+ * @route POST /api/v1/tontines/:tontineId/exchanges/:exchangeId/decline
+ * @desc Refuser une proposition
+ * @access Participant contrepartie
+ */
+router.post('/:tontineId/exchanges/:exchangeId/decline',
+  authMiddleware,
+  validateExchangeAction,
+  requireTontinePermission('tontineId'),
+  tontineController.respondToExchange
+);
+
+/**
+ * @route POST /api/v1/tontines/:tontineId/exchanges/:exchangeId/cancel
+ * @desc Retirer sa proposition
+ * @access Participant auteur
+ */
+router.post('/:tontineId/exchanges/:exchangeId/cancel',
+  authMiddleware,
+  validateExchangeAction,
+  requireTontinePermission('tontineId'),
+  tontineController.cancelExchange
+);
+
+/**
+ * @route POST /api/v1/tontines/:tontineId/exchanges/:exchangeId/approve
+ * @desc Valider un échange accepté
+ * @access Organisateur
+ */
+router.post('/:tontineId/exchanges/:exchangeId/approve',
+  authMiddleware,
+  validateExchangeAction,
+  requireTontinePermission('tontineId', 'organizer'),
+  tontineController.reviewExchange
+);
+
+/**
+ * @route POST /api/v1/tontines/:tontineId/exchanges/:exchangeId/reject
+ * @desc Rejeter un échange accepté
+ * @access Organisateur
+ */
+router.post('/:tontineId/exchanges/:exchangeId/reject',
+  authMiddleware,
+  validateExchangeAction,
+  requireTontinePermission('tontineId', 'organizer'),
+  tontineController.reviewExchange
+);
+
+/**
+ * @route POST /api/v1/tontines/:tontineId/exchanges/:exchangeId/premium/confirm
+ * @desc Confirmer la réception de la prime
+ * @access Participant bénéficiaire de la prime
+ */
+router.post('/:tontineId/exchanges/:exchangeId/premium/confirm',
+  authMiddleware,
+  validateExchangeAction,
+  requireTontinePermission('tontineId'),
+  tontineController.confirmExchangePremium
+);
+
+// 📆 ROUNDS & COTISATIONS
+
+/**
+ * @route POST /api/v1/tontines/:tontineId/rounds/process
+ * @desc Traiter le round maintenant (ouverture, versement, blocage)
+ * @access Organisateur
+ */
+router.post('/:tontineId/rounds/process',
+  authMiddleware,
+  validateTontineId,
+  requireTontinePermission('tontineId', 'organizer'),
+  tontineController.processRound
+);
+
+/**
+ * @route GET /api/v1/tontines/:tontineId/rounds/:round
+ * @desc État d'un round ("current" pour le round en cours)
+ * @access Organisateur ou participant
+ */
+router.get('/:tontineId/rounds/:round',
+  authMiddleware,
+  validateGetRound,
+  requireTontinePermission('tontineId'),
+  tontineController.getRound
+);
+
+/**
+ * @route POST /api/v1/tontines/:tontineId/contributions/:transactionId/confirm
+ * @desc Confirmer la réception d'une cotisation (paiement manuel)
+ * @access Organisateur
+ */
+router.post('/:tontineId/contributions/:transactionId/confirm',
+  authMiddleware,
+  validateConfirmContribution,
+  requireTontinePermission('tontineId', 'organizer'),
+  tontineController.confirmContribution
+);
+
+// 🚨 DÉFAILLANCES ET RECOUVREMENT
+
+/**
+ * @route GET /api/v1/tontines/:tontineId/defaults
+ * @desc Défaillances, dettes et échéanciers de remboursement
+ * @access Organisateur
+ */
+router.get('/:tontineId/defaults',
+  authMiddleware,
+  validateTontineId,
+  requireTontinePermission('tontineId', 'organizer'),
+  tontineController.listDefaults
+);
+
+/**
+ * @route POST /api/v1/tontines/:tontineId/defaults/detect
+ * @desc Détecter les retards au-delà du délai toléré (hors cron)
+ * @access Organisateur
+ */
+router.post('/:tontineId/defaults/detect',
+  authMiddleware,
+  validateTontineId,
+  requireTontinePermission('tontineId', 'organizer'),
+  tontineController.detectDefaults
+);
+
+/**
+ * @route POST /api/v1/tontines/:tontineId/participants/:participantId/default
+ * @desc Déclarer un participant défaillant (exclusion et calcul de la dette)
+ * @access Organisateur
+ */
+router.post('/:tontineId/participants/:participantId/default',
+  authMiddleware,
+  validateDeclareDefault,
+  requireTontinePermission('tontineId', 'organizer'),
+  tontineController.declareDefault
+);
+
+/**
+ * @route POST /api/v1/tontines/:tontineId/participants/:participantId/repayment-plan
+ * @desc Créer l'échéancier de remboursement d'un participant défaillant
+ * @access Organisateur
+ */
+router.post('/:tontineId/participants/:participantId/repayment-plan',
+  authMiddleware,
+  validateRepaymentPlan,
+  requireTontinePermission('tontineId', 'organizer'),
+  tontineController.createRepaymentPlan
+);
+
+/**
+ * @route POST /api/v1/tontines/:tontineId/repayments/:transactionId/confirm
+ * @desc Confirmer le paiement d'une échéance de remboursement
+ * @access Organisateur
+ */
+router.post('/:tontineId/repayments/:transactionId/confirm',
+  authMiddleware,
+  validateConfirmRepayment,
+  requireTontinePermission('tontineId', 'organizer'),
+  tontineController.confirmRepayment
+);
+
+/**
+ * @route GET /api/v1/tontines/:tontineId/documents
+ * @desc Documents générés (l'organisateur voit tout, le participant les siens)
+ * @access Organisateur ou participant
+ */
+router.get('/:tontineId/documents',
+  authMiddleware,
+  validateTontineId,
+  requireTontinePermission('tontineId'),
+  tontineController.listDocuments
+);
+
+// ⭐ NOTATIONS
+
+/**
+ * @route POST /api/v1/tontines/:tontineId/ratings
+ * @desc Noter un membre (tontine terminée ou incident le concernant)
+ * @access Organisateur ou participant
+ */
+router.post('/:tontineId/ratings',
+  authMiddleware,
+  validateCreateRating,
+  requireTontinePermission('tontineId'),
+  ratingController.createRating
+);
+
+/**
+ * @route GET /api/v1/tontines/:tontineId/ratings
+ * @desc Notations échangées dans la tontine
+ * @access Organisateur ou participant
+ */
+router.get('/:tontineId/ratings',
+  authMiddleware,
+  validateListRatings,
+  requireTontinePermission('tontineId'),
+  ratingController.listTontineRatings
+);
+
+// 🔄 CYCLE DE VIE
+
+/**
+ * @route POST /api/v1/tontines/:tontineId/open
+ * @desc Ouvrir le recrutement (draft → recruiting)
+ * @access Organisateur
+ */
+router.post('/:tontineId/open',
+  authMiddleware,
+  validateTontineId,
+  requireTontinePermission('tontineId', 'organizer'),
+  tontineController.openRecruitment
+);
+
+/**
+ * @route POST /api/v1/tontines/:tontineId/ready
+ * @desc Marquer prête à démarrer (recruiting → ready_to_start)
+ * @access Organisateur
+ */
+router.post('/:tontineId/ready',
+  authMiddleware,
+  validateTontineId,
+  requireTontinePermission('tontineId', 'organizer'),
+  tontineController.markReady
+);
+
+// 🎲 TIRAGE AU SORT
+
+/**
+ * @route POST /api/v1/tontines/:tontineId/draw/commit
+ * @desc Publier l'empreinte sha256 du seed avant le tirage
+ * @access Organisateur
+ */
+router.post('/:tontineId/draw/commit',
+  authMiddleware,
+  validateTontineId,
+  requireTontinePermission('tontineId', 'organizer'),
+  tontineController.commitDraw
+);
+
+/**
+ * @route POST /api/v1/tontines/:tontineId/draw
+ * @desc Révéler le seed et fixer l'ordre des versements
+ * @access Organisateur
+ */
+router.post('/:tontineId/draw',
+  authMiddleware,
+  validateTontineId,
+  requireTontinePermission('tontineId', 'organizer'),
+  tontineController.executeDraw
+);
+
+/**
+ * @route GET /api/v1/tontines/:tontineId/draw/verify
+ * @desc Recalculer l'ordre du tirage à partir du seed révélé
+ * @access Public
+ */
+router.get('/:tontineId/draw/verify',
+  validateTontineId,
+  tontineController.verifyDraw
+);
+
+/**
+ * @route POST /api/v1/tontines/:tontineId/start
+ * @desc Démarrer la tontine (ready_to_start → active, tirage requis)
+ * @access Organisateur
+ */
+router.post('/:tontineId/start',
+  authMiddleware,
+  validateTontineId,
+  requireTontinePermission('tontineId', 'organizer'),
+  tontineController.startTontine
+);
+
+/**
+ * @route POST /api/v1/tontines/:tontineId/complete
+ * @desc Clôturer la tontine (active → completed)
+ * @access Organisateur
+ */
+router.post('/:tontineId/complete',
+  authMiddleware,
+  validateTontineId,
+  requireTontinePermission('tontineId', 'organizer'),
+  tontineController.completeTontine
+);
+
+/**
+ * @route POST /api/v1/tontines/:tontineId/cancel
+ * @desc Annuler la tontine
+ * @access Organisateur
+ */
+router.post('/:tontineId/cancel',
+  authMiddleware,
+  validateReason(true),
+  requireTontinePermission('tontineId', 'organizer'),
+  tontineController.cancelTontine
+);
+
+// 🚨 MIDDLEWARE GESTION ERREURS
+router.use((error, req, res, next) => {
+  console.error('Erreur routes tontines:', error);
+
+  if (error.name === 'SequelizeValidationError') {
+    return res.status(400).json({
+      error: 'Données invalides',
+      code: 'VALIDATION_ERROR',
+      details: error.errors
+    });
+  }
+
+  if (error.name === 'SequelizeForeignKeyConstraintError') {
+    return res.status(400).json({
+      error: 'Référence invalide',
+      code: 'FOREIGN_KEY_ERROR'
+    });
+  }
+
+  res.status(500).json({
+    error: 'Erreur serveur',
+    code: 'INTERNAL_SERVER_ERROR'
+  });
+});
+
+module.exports = router;
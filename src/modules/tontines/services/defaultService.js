@@ -0,0 +1,420 @@
+// src/modules/tontines/services/defaultService.js
+// Défaillances tontine : détection, exclusion, calcul de dette et recouvrement échelonné
+
+const { Op } = require('sequelize');
+const { sequelize, Tontine, TontineParticipant, Transaction, User } = require('../../../models');
+const PdfDocumentService = require('../../../core/services/pdfDocumentService');
+const TontineService = require('./tontineService');
+
+const { tontineError, toDateOnly } = TontineService;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Montant formaté pour les documents
+function formatAmount(amount, currency) {
+  return `${parseFloat(amount).toFixed(2)} ${currency}`;
+}
+
+class TontineDefaultService {
+  /**
+   * 🔍 Détecter les participants en retard au-delà de maxLatePaymentDays
+   */
+  static async detectDefaults(tontine, now = new Date()) {
+    if (tontine.status !== 'active') return [];
+
+    const limit = new Date(now.getTime() - (tontine.maxLatePaymentDays || 7) * DAY_MS);
+
+    const overdue = await Transaction.findAll({
+      where: {
+        tontineId: tontine.id,
+        type: 'cotisation_tontine',
+        status: { [Op.in]: ['pending', 'late'] },
+        scheduledDate: { [Op.lt]: limit }
+      }
+    });
+
+    if (overdue.length === 0) return [];
+
+    const byParticipant = overdue.reduce((groups, contribution) => {
+      (groups[contribution.participantId] = groups[contribution.participantId] || []).push(contribution);
+      return groups;
+    }, {});
+
+    const participants = await TontineParticipant.findAll({
+      where: {
+        id: Object.keys(byParticipant),
+        status: 'active',
+        isDefaulted: false
+      }
+    });
+
+    const declared = [];
+    for (const participant of participants) {
+      const contributions = byParticipant[participant.id];
+      const result = await TontineDefaultService.declareDefault(tontine, participant, {
+        reason: `${contributions.length} cotisation(s) impayée(s) depuis plus de ${tontine.maxLatePaymentDays} jours`,
+        overdueContributions: contributions,
+        automatic: true
+      });
+      declared.push(result);
+    }
+
+    return declared;
+  }
+
+  /**
+   * 🧮 Calculer la dette d'un participant défaillant
+   */
+  static computeDebt(tontine, participant, overdueContributions) {
+    const unpaidContributions = overdueContributions.reduce(
+      (sum, c) => sum + parseFloat(c.amount),
+      0
+    );
+    const totalContributed = parseFloat(participant.totalContributed || 0);
+
+    // Déjà servi : doit rembourser la part du pot non couverte par ses cotisations
+    if (participant.hasReceivedPayout) {
+      const received = parseFloat(participant.payoutAmount || 0);
+      return {
+        hadReceivedPayout: true,
+        payoutReceived: received,
+        totalContributed,
+        unpaidContributions,
+        debtAmount: parseFloat(Math.max(0, received - totalContributed).toFixed(2))
+      };
+    }
+
+    // Pas encore servi : dette limitée aux cotisations impayées des tours passés
+    return {
+      hadReceivedPayout: false,
+      payoutReceived: 0,
+      totalContributed,
+      unpaidContributions,
+      debtAmount: parseFloat(unpaidContributions.toFixed(2))
+    };
+  }
+
+  /**
+   * 🚨 Déclarer un participant défaillant (exclusion si activée)
+   */
+  static async declareDefault(tontine, participant, { reason, overdueContributions = null, automatic = false, declaredBy = null }) {
+    if (participant.isDefaulted) {
+      throw tontineError(400, 'ALREADY_DEFAULTED', 'Participant déjà déclaré défaillant');
+    }
+
+    if (!overdueContributions) {
+      overdueContributions = await Transaction.findAll({
+        where: {
+          participantId: participant.id,
+          type: 'cotisation_tontine',
+          status: { [Op.in]: ['pending', 'late'] },
+          scheduledDate: { [Op.lt]: new Date() }
+        }
+      });
+    }
+
+    const debt = TontineDefaultService.computeDebt(tontine, participant, overdueContributions);
+    const exclude = tontine.automaticExclusionEnabled || !automatic;
+    const previousPosition = participant.position;
+
+    await sequelize.transaction(async (t) => {
+      await tontine.reload({ transaction: t, lock: t.LOCK.UPDATE });
+
+      // Hooks désactivés : compteur géré ici (le hook relit la tontine hors transaction)
+      await participant.update({
+        ...(exclude && {
+          status: 'defaulted',
+          lastStatusChange: new Date(),
+          position: null,
+          payoutMonth: null,
+          expectedPayoutDate: null
+        }),
+        isDefaulted: true,
+        defaultDate: new Date(),
+        defaultReason: reason,
+        statusReason: reason,
+        debtAmount: debt.debtAmount
+      }, { transaction: t, hooks: false });
+
+      // Exclu : ses cotisations impayées sont reportées dans la dette
+      if (exclude) {
+        await Transaction.update(
+          { status: 'cancelled', failureReason: 'Participant exclu - montant reporté en dette' },
+          {
+            where: {
+              participantId: participant.id,
+              type: 'cotisation_tontine',
+              status: { [Op.in]: ['pending', 'late'] }
+            },
+            transaction: t
+          }
+        );
+      }
+
+      // Exclu avant d'être servi : les positions suivantes avancent d'un rang
+      const scheduleUpdates = exclude && !debt.hadReceivedPayout && previousPosition
+        ? await TontineDefaultService.closePositionGap(tontine, previousPosition, t)
+        : {};
+
+      await tontine.update({
+        ...scheduleUpdates,
+        ...(exclude && { currentParticipants: Math.max(0, tontine.currentParticipants - 1) }),
+        defaultedParticipants: [
+          ...(tontine.defaultedParticipants || []),
+          {
+            participantId: participant.id,
+            userId: participant.userId,
+            position: previousPosition,
+            reason,
+            excluded: exclude,
+            automatic,
+            declaredBy,
+            ...debt,
+            recoveredAmount: 0,
+            date: new Date()
+          }
+        ],
+        totalDefaultedAmount: parseFloat(tontine.totalDefaultedAmount || 0) + debt.debtAmount,
+        incidentHistory: [
+          ...(tontine.incidentHistory || []),
+          {
+            type: 'participant_defaulted',
+            participantId: participant.id,
+            userId: participant.userId,
+            round: tontine.currentRound,
+            reason,
+            excluded: exclude,
+            debtAmount: debt.debtAmount,
+            date: new Date()
+          }
+        ]
+      }, { transaction: t });
+    });
+
+    const documents = await TontineDefaultService.generateDefaultDocuments(tontine, participant, debt, reason);
+
+    console.warn(`🚨 Tontine ${tontine.id}: participant ${participant.userId} défaillant (dette ${debt.debtAmount} ${tontine.currency})`);
+
+    return { participant, debt, excluded: exclude, documents };
+  }
+
+  /**
+   * ↕️ Resserrer le calendrier après exclusion d'un participant non servi (retourne les champs tontine à mettre à jour)
+   */
+  static async closePositionGap(tontine, removedPosition, t) {
+    const followers = await TontineParticipant.findAll({
+      where: {
+        tontineId: tontine.id,
+        position: { [Op.gt]: removedPosition }
+      },
+      order: [['position', 'ASC']],
+      transaction: t
+    });
+
+    for (const follower of followers) {
+      const position = follower.position - 1;
+      await follower.update({
+        position,
+        payoutMonth: position,
+        expectedPayoutDate: TontineService.getRoundDates(tontine, position).payoutDate
+      }, { transaction: t });
+    }
+
+    const durationMonths = tontine.durationMonths - 1;
+    const { payoutDate: lastPayoutDate } = TontineService.getRoundDates(tontine, durationMonths);
+
+    // Bénéficiaire attendu : celui du round en cours s'il n'est pas encore versé, sinon le suivant
+    const awaitedPosition = tontine.roundStatus === 'paid_out' || tontine.currentRound === 0
+      ? tontine.currentRound + 1
+      : tontine.currentRound;
+    const next = followers.find((f) => f.position === awaitedPosition);
+
+    return {
+      durationMonths,
+      endDate: toDateOnly(lastPayoutDate),
+      estimatedEndDate: toDateOnly(lastPayoutDate),
+      ...(next && { nextPayoutUserId: next.userId })
+    };
+  }
+
+  /**
+   * 📄 Avis de défaillance et attestation de dette
+   */
+  static async generateDefaultDocuments(tontine, participant, debt, reason) {
+    const user = await User.findByPk(participant.userId, {
+      attributes: ['id', 'firstName', 'lastName', 'phoneNumber']
+    });
+    const fullName = `${user.firstName} ${user.lastName}`;
+    const header = ['DiasporaTontine', `Tontine « ${tontine.title} » (#${tontine.id})`];
+    const today = new Date().toLocaleDateString('fr-FR');
+    const documents = [];
+
+    documents.push(await PdfDocumentService.generateDocument({
+      header,
+      title: 'Avis de défaillance',
+      subtitle: `Émis le ${today}`,
+      sections: [
+        {
+          paragraphs: [
+            `${fullName} est déclaré(e) défaillant(e) dans la tontine « ${tontine.title} ».`,
+            `Motif : ${reason}`
+          ]
+        },
+        {
+          heading: 'Situation',
+          rows: [
+            ['Participant', fullName],
+            ['Cotisations versées', formatAmount(debt.totalContributed, tontine.currency)],
+            ['Cotisations impayées', formatAmount(debt.unpaidContributions, tontine.currency)],
+            ['Pot déjà perçu', debt.hadReceivedPayout ? formatAmount(debt.payoutReceived, tontine.currency) : 'Non'],
+            ['Dette constatée', formatAmount(debt.debtAmount, tontine.currency)]
+          ]
+        }
+      ],
+      footer: `Document généré automatiquement - Tontine #${tontine.id}`
+    }, {
+      type: 'default_notice',
+      title: `Avis de défaillance - ${tontine.title}`,
+      userId: participant.userId,
+      tontineId: tontine.id,
+      visibility: 'tontine',
+      generationData: { participantId: participant.id, reason, ...debt }
+    }));
+
+    if (debt.debtAmount > 0) {
+      documents.push(await PdfDocumentService.generateDocument({
+        header,
+        title: 'Attestation de dette',
+        subtitle: `Émise le ${today}`,
+        sections: [
+          {
+            paragraphs: [
+              `Il est attesté que ${fullName} reste redevable de la somme de ${formatAmount(debt.debtAmount, tontine.currency)} envers les participants de la tontine « ${tontine.title} ».`,
+              debt.hadReceivedPayout
+                ? `Cette dette correspond au pot de ${formatAmount(debt.payoutReceived, tontine.currency)} perçu, diminué des cotisations versées (${formatAmount(debt.totalContributed, tontine.currency)}).`
+                : 'Cette dette correspond aux cotisations impayées des tours déjà versés.',
+              'Le remboursement peut être échelonné selon l\'échéancier convenu avec l\'organisateur.'
+            ]
+          }
+        ],
+        footer: `Document généré automatiquement - Tontine #${tontine.id}`
+      }, {
+        type: 'debt_attestation',
+        title: `Attestation de dette - ${tontine.title}`,
+        userId: participant.userId,
+        tontineId: tontine.id,
+        visibility: 'tontine',
+        generationData: { participantId: participant.id, ...debt }
+      }));
+    }
+
+    return documents;
+  }
+
+  /**
+   * 📅 Échéancier de remboursement (transactions "remboursement" en attente)
+   */
+  static async createRepaymentPlan(tontine, participant, { installments, firstDueDate }) {
+    const debt = parseFloat(participant.debtAmount || 0);
+
+    if (!participant.isDefaulted || debt <= 0) {
+      throw tontineError(400, 'NO_DEBT', 'Aucune dette à rembourser');
+    }
+
+    const openPlan = await Transaction.count({
+      where: {
+        participantId: participant.id,
+        type: 'remboursement',
+        status: { [Op.in]: ['pending', 'late'] }
+      }
+    });
+    if (openPlan > 0) {
+      throw tontineError(409, 'REPAYMENT_PLAN_EXISTS', 'Un échéancier est déjà en cours');
+    }
+
+    const count = parseInt(installments);
+    const base = Math.floor((debt / count) * 100) / 100;
+    const start = firstDueDate ? new Date(firstDueDate) : new Date(Date.now() + 30 * DAY_MS);
+
+    return sequelize.transaction(async (t) => {
+      const plan = [];
+
+      for (let i = 0; i < count; i++) {
+        // La dernière échéance absorbe les arrondis
+        const amount = i === count - 1 ? parseFloat((debt - base * (count - 1)).toFixed(2)) : base;
+        const dueDate = new Date(start);
+        dueDate.setMonth(dueDate.getMonth() + i);
+
+        plan.push(await Transaction.create({
+          userId: participant.userId,
+          tontineId: tontine.id,
+          participantId: participant.id,
+          type: 'remboursement',
+          amount,
+          currency: tontine.currency,
+          paymentMethod: 'cash',
+          status: 'pending',
+          description: `Remboursement dette tontine ${tontine.title} - échéance ${i + 1}/${count}`,
+          scheduledDate: dueDate,
+          month: dueDate.getMonth() + 1,
+          year: dueDate.getFullYear(),
+          metadata: { debtRepayment: true, installment: i + 1, installments: count }
+        }, { transaction: t }));
+      }
+
+      return plan;
+    });
+  }
+
+  /**
+   * 💶 Enregistrer le paiement d'une échéance de remboursement
+   */
+  static async recordRepayment(tontine, transaction, data = {}) {
+    if (transaction.type !== 'remboursement' || transaction.tontineId !== tontine.id) {
+      throw tontineError(400, 'NOT_DEBT_REPAYMENT', 'Transaction non liée à une dette de cette tontine');
+    }
+
+    return sequelize.transaction(async (t) => {
+      await tontine.reload({ transaction: t, lock: t.LOCK.UPDATE });
+
+      // Relecture verrouillée : deux confirmations simultanées ne remboursent qu'une fois
+      await transaction.reload({ transaction: t, lock: t.LOCK.UPDATE });
+      if (['completed', 'refunded'].includes(transaction.status)) {
+        throw tontineError(400, 'REPAYMENT_ALREADY_PAID', 'Échéance déjà réglée');
+      }
+      if (transaction.status === 'cancelled') {
+        throw tontineError(400, 'REPAYMENT_CANCELLED', 'Échéance annulée');
+      }
+
+      await transaction.update({
+        status: 'completed',
+        paymentMethod: data.paymentMethod || transaction.paymentMethod,
+        externalTransactionId: data.reference || transaction.externalTransactionId,
+        approvedBy: data.recordedBy || null,
+        approvedAt: new Date(),
+        processedAt: new Date(),
+        completedAt: new Date()
+      }, { transaction: t });
+
+      const participant = await TontineParticipant.findByPk(transaction.participantId, { transaction: t });
+      const remaining = Math.max(0, parseFloat(participant.debtAmount) - parseFloat(transaction.amount));
+      await participant.update({ debtAmount: parseFloat(remaining.toFixed(2)) }, { transaction: t });
+
+      await tontine.update({
+        defaultedParticipants: (tontine.defaultedParticipants || []).map((entry) =>
+          entry.participantId === participant.id
+            ? {
+              ...entry,
+              recoveredAmount: parseFloat(((entry.recoveredAmount || 0) + parseFloat(transaction.amount)).toFixed(2)),
+              ...(remaining === 0 && { settledAt: new Date() })
+            }
+            : entry
+        )
+      }, { transaction: t });
+
+      return { transaction, remainingDebt: remaining };
+    });
+  }
+}
+
+module.exports = TontineDefaultService;
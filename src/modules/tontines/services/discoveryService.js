@@ -0,0 +1,247 @@
+// src/modules/tontines/services/discoveryService.js
+// Recherche publique des tontines, liens d'invitation et contrôle d'accès à l'adhésion
+
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { sequelize, Tontine, TontineParticipant, User } = require('../../../models');
+const TontineService = require('./tontineService');
+const ReferralService = require('../../../core/referrals/services/referralService');
+
+const { tontineError } = TontineService;
+
+const INVITE_SECRET = process.env.TONTINE_INVITE_SECRET || process.env.JWT_SECRET || 'your-super-secret-jwt-key-diaspora-tontine';
+const INVITE_PURPOSE = 'tontine_invite';
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3001';
+
+// Tris autorisés pour la recherche
+const SEARCH_ORDERS = {
+  recent: [['createdAt', 'DESC']],
+  contribution_asc: [['monthlyContribution', 'ASC']],
+  contribution_desc: [['monthlyContribution', 'DESC']],
+  start_date: [['startDate', 'ASC']],
+  rating: [[sequelize.literal('"Tontine"."organizer_rating" IS NULL'), 'ASC'], ['organizerRating', 'DESC']]
+};
+
+// Informations appareil : celles envoyées par le client, complétées par la requête
+function buildDeviceInfo(req, deviceInfo) {
+  return {
+    ...(deviceInfo && typeof deviceInfo === 'object' ? deviceInfo : {}),
+    userAgent: req.get('user-agent') || null,
+    acceptLanguage: req.get('accept-language') || null
+  };
+}
+
+class TontineDiscoveryService {
+  /**
+   * 🔎 Recherche des tontines publiques en recrutement
+   */
+  static async searchPublicTontines(filters = {}) {
+    const page = parseInt(filters.page || 1);
+    const limit = parseInt(filters.limit || 20);
+
+    const conditions = [
+      {
+        status: 'recruiting',
+        type: 'public',
+        isPubliclyVisible: true,
+        inviteOnly: false
+      }
+    ];
+
+    if (filters.q) {
+      conditions.push({
+        [Op.or]: [
+          { title: { [Op.iLike]: `%${filters.q}%` } },
+          { description: { [Op.iLike]: `%${filters.q}%` } },
+          { searchKeywords: { [Op.iLike]: `%${filters.q}%` } }
+        ]
+      });
+    }
+
+    if (filters.minContribution || filters.maxContribution) {
+      conditions.push({
+        monthlyContribution: {
+          ...(filters.minContribution && { [Op.gte]: parseFloat(filters.minContribution) }),
+          ...(filters.maxContribution && { [Op.lte]: parseFloat(filters.maxContribution) })
+        }
+      });
+    }
+
+    if (filters.currency) conditions.push({ currency: filters.currency });
+    if (filters.region) conditions.push({ targetRegion: { [Op.iLike]: `%${filters.region}%` } });
+    if (filters.category) conditions.push({ category: filters.category });
+    if (filters.language) conditions.push({ language: filters.language });
+
+    if (filters.minOrganizerRating) {
+      conditions.push({ organizerRating: { [Op.gte]: parseFloat(filters.minOrganizerRating) } });
+    }
+
+    // Places restantes (au moins une par défaut)
+    conditions.push(
+      sequelize.where(
+        sequelize.literal('"Tontine"."max_participants" - "Tontine"."current_participants"'),
+        { [Op.gte]: parseInt(filters.minSeats || 1) }
+      )
+    );
+
+    if (filters.tag) {
+      conditions.push(sequelize.where(sequelize.cast(sequelize.col('Tontine.tags'), 'TEXT'), {
+        [Op.iLike]: `%"${filters.tag}"%`
+      }));
+    }
+
+    const { rows, count } = await Tontine.findAndCountAll({
+      where: { [Op.and]: conditions },
+      attributes: [
+        'id', 'title', 'description', 'monthlyContribution', 'currency', 'maxParticipants',
+        'currentParticipants', 'startDate', 'contributionDay', 'payoutDay', 'category', 'tags',
+        'targetRegion', 'language', 'organizerRating', 'createdAt'
+      ],
+      include: [{
+        model: User,
+        as: 'organizer',
+        attributes: ['id', 'firstName', 'lastName', 'tontineReputationScore', 'kycStatus']
+      }],
+      order: SEARCH_ORDERS[filters.sort] || SEARCH_ORDERS.recent,
+      limit,
+      offset: (page - 1) * limit,
+      distinct: true
+    });
+
+    return {
+      tontines: rows.map((tontine) => ({
+        ...tontine.toJSON(),
+        remainingSeats: tontine.maxParticipants - tontine.currentParticipants,
+        netPayout: tontine.getNetPayout()
+      })),
+      pagination: {
+        page,
+        limit,
+        total: count,
+        pages: Math.ceil(count / limit)
+      }
+    };
+  }
+
+  /**
+   * ✉️ Générer un lien d'invitation signé
+   */
+  static async createInvitation(tontine, inviter, { expiresInDays = 14 } = {}) {
+    if (tontine.status !== 'recruiting' && tontine.status !== 'draft') {
+      throw tontineError(400, 'TONTINE_NOT_RECRUITING', 'Invitations possibles uniquement avant le démarrage');
+    }
+
+    if (tontine.organizerId !== inviter.id) {
+      const participation = await TontineParticipant.findOne({
+        where: { tontineId: tontine.id, userId: inviter.id, status: ['approved', 'active'] }
+      });
+      if (!participation) {
+        throw tontineError(403, 'CANNOT_INVITE', 'Seuls l\'organisateur et les participants approuvés peuvent inviter');
+      }
+    }
+
+    const token = jwt.sign(
+      { purpose: INVITE_PURPOSE, tontineId: tontine.id, invitedBy: inviter.id },
+      INVITE_SECRET,
+      { expiresIn: `${expiresInDays}d` }
+    );
+
+    return {
+      token,
+      url: `${FRONTEND_URL}/tontines/join?invite=${encodeURIComponent(token)}`,
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    };
+  }
+
+  /**
+   * 🔐 Vérifier un lien d'invitation
+   */
+  static verifyInvitation(token) {
+    try {
+      const payload = jwt.verify(token, INVITE_SECRET);
+      if (payload.purpose !== INVITE_PURPOSE) throw new Error('purpose');
+      return payload;
+    } catch (error) {
+      throw tontineError(400, 'INVALID_INVITATION', 'Lien d\'invitation invalide ou expiré');
+    }
+  }
+
+  /**
+   * 🔑 Retrouver la tontine visée par un code d'accès ou une invitation
+   */
+  static async findJoinTarget({ accessCode, inviteToken }) {
+    if (inviteToken) {
+      const invitation = TontineDiscoveryService.verifyInvitation(inviteToken);
+      const tontine = await Tontine.findByPk(invitation.tontineId);
+      if (!tontine) throw tontineError(404, 'TONTINE_NOT_FOUND', 'Tontine introuvable');
+      return tontine;
+    }
+
+    const tontine = accessCode
+      ? await Tontine.findOne({
+        where: sequelize.where(sequelize.fn('UPPER', sequelize.col('access_code')), accessCode.trim().toUpperCase())
+      })
+      : null;
+
+    if (!tontine) {
+      throw tontineError(404, 'INVALID_ACCESS_CODE', 'Code d\'accès invalide');
+    }
+
+    return tontine;
+  }
+
+  /**
+   * 🚪 Vérifier le droit d'adhésion et en déduire la méthode d'arrivée
+   */
+  static resolveJoinAccess(tontine, { accessCode, inviteToken } = {}) {
+    if (inviteToken) {
+      const invitation = TontineDiscoveryService.verifyInvitation(inviteToken);
+      if (invitation.tontineId !== tontine.id) {
+        throw tontineError(400, 'INVALID_INVITATION', 'Lien d\'invitation invalide ou expiré');
+      }
+      return { joinMethod: 'invitation', invitedBy: invitation.invitedBy };
+    }
+
+    if (accessCode) {
+      if (!tontine.accessCode || tontine.accessCode.toUpperCase() !== accessCode.trim().toUpperCase()) {
+        throw tontineError(403, 'INVALID_ACCESS_CODE', 'Code d\'accès invalide');
+      }
+      return { joinMethod: 'invitation', invitedBy: null };
+    }
+
+    // Sans code ni invitation : tontines publiques ouvertes uniquement
+    if (tontine.type === 'private' || tontine.inviteOnly) {
+      throw tontineError(403, 'INVITATION_REQUIRED', 'Code d\'accès ou invitation requis pour cette tontine');
+    }
+
+    return { joinMethod: 'public_search', invitedBy: null };
+  }
+
+  /**
+   * 🙋 Demande d'adhésion (code, invitation, parrainage ou recherche publique)
+   */
+  static async join(tontine, user, req, { accessCode, inviteToken, referralCode, deviceInfo } = {}) {
+    const access = TontineDiscoveryService.resolveJoinAccess(tontine, { accessCode, inviteToken });
+
+    // Le code de parrainage n'ouvre pas l'accès, il attribue l'adhésion au parrain
+    const referrer = referralCode ? await ReferralService.findReferrer(referralCode) : null;
+    if (referrer && referrer.id === user.id) {
+      throw tontineError(400, 'SELF_REFERRAL', 'Impossible d\'utiliser son propre code');
+    }
+
+    const participant = await TontineService.requestToJoin(tontine, user, {
+      ...access,
+      ...(referrer && { joinMethod: 'referral', invitedBy: referrer.id }),
+      deviceInfo: buildDeviceInfo(req, deviceInfo),
+      ipAddress: req.ip
+    });
+
+    if (referrer) {
+      await ReferralService.attributeTontineJoin(participant, referrer);
+    }
+
+    return participant;
+  }
+}
+
+module.exports = TontineDiscoveryService;
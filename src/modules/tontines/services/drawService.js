@@ -0,0 +1,235 @@
+// src/modules/tontines/services/drawService.js
+// Tirage au sort vérifiable (commit-reveal) de l'ordre des versements
+
+const crypto = require('crypto');
+const { TontineParticipant } = require('../../../models');
+const TontineService = require('./tontineService');
+
+const { tontineError, toDateOnly } = TontineService;
+
+const DRAW_ALGORITHM = 'sha256_fisher_yates_v1';
+
+const ALGORITHM_DESCRIPTION = [
+  'Entrée: participantIds (userIds triés par ordre croissant), seed (hex), tontineId.',
+  'Engagement: hash = sha256(seed) publié avant le tirage.',
+  'Mélange Fisher-Yates: pour i de n-1 à 1, j = tirage uniforme dans [0, i].',
+  'Tirage uniforme: pour c = 0, 1, 2... calculer sha256("seed:tontineId:i:c"), lire les 6 premiers octets',
+  'comme entier x (big-endian); si x < floor(2^48 / (i+1)) * (i+1) alors j = x mod (i+1), sinon c suivant.',
+  'drawOrder = liste mélangée; position = index + 1.'
+].join(' ');
+
+const RANGE_48_BITS = 2 ** 48;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Entier uniforme dans [0, range) dérivé du seed (rejet pour éviter le biais modulo)
+function uniformIndex(seed, tontineId, step, range) {
+  const limit = Math.floor(RANGE_48_BITS / range) * range;
+
+  for (let counter = 0; ; counter++) {
+    const digest = crypto
+      .createHash('sha256')
+      .update(`${seed}:${tontineId}:${step}:${counter}`)
+      .digest();
+    const value = digest.readUIntBE(0, 6);
+    if (value < limit) return value % range;
+  }
+}
+
+class TontineDrawService {
+  /**
+   * 🎲 Calculer l'ordre de passage à partir du seed (déterministe)
+   */
+  static computeDrawOrder(seed, tontineId, participantIds) {
+    const order = [...participantIds].map(Number).sort((a, b) => a - b);
+
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = uniformIndex(seed, tontineId, i, i + 1);
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+
+    return order;
+  }
+
+  /**
+   * 👥 Participants retenus pour le tirage (userIds triés)
+   */
+  static async getDrawParticipantIds(tontineId) {
+    const participants = await TontineParticipant.findAll({
+      where: { tontineId, status: 'approved' },
+      attributes: ['userId']
+    });
+    return participants.map((p) => p.userId).sort((a, b) => a - b);
+  }
+
+  /**
+   * 🔐 Phase 1 : générer le seed secret et publier son empreinte
+   */
+  static async commitDraw(tontine) {
+    await tontine.reload();
+
+    if (tontine.status !== 'ready_to_start') {
+      throw tontineError(400, 'TONTINE_NOT_READY', 'La tontine doit être prête à démarrer');
+    }
+
+    if (tontine.drawDate) {
+      throw tontineError(409, 'DRAW_ALREADY_DONE', 'Le tirage a déjà été effectué');
+    }
+
+    const participantIds = await TontineDrawService.getDrawParticipantIds(tontine.id);
+    if (participantIds.length < tontine.maxParticipants) {
+      throw tontineError(
+        400,
+        'TONTINE_NOT_FULL',
+        `Tontine incomplète (${participantIds.length}/${tontine.maxParticipants})`
+      );
+    }
+
+    const seed = crypto.randomBytes(32).toString('hex');
+
+    return tontine.update({
+      drawSeed: seed,
+      drawAlgorithm: DRAW_ALGORITHM,
+      drawCommitment: {
+        hash: sha256(seed),
+        participantIds,
+        committedAt: new Date()
+      }
+    });
+  }
+
+  /**
+   * 🎯 Phase 2 : révéler le seed, calculer l'ordre et planifier les versements
+   */
+  static async executeDraw(tontine) {
+    await tontine.reload();
+
+    if (tontine.status !== 'ready_to_start') {
+      throw tontineError(400, 'TONTINE_NOT_READY', 'La tontine doit être prête à démarrer');
+    }
+
+    if (tontine.drawDate) {
+      throw tontineError(409, 'DRAW_ALREADY_DONE', 'Le tirage a déjà été effectué');
+    }
+
+    const commitment = tontine.drawCommitment;
+    if (!commitment || !tontine.drawSeed) {
+      throw tontineError(400, 'DRAW_NOT_COMMITTED', 'L\'engagement du tirage doit être publié avant');
+    }
+
+    const participantIds = await TontineDrawService.getDrawParticipantIds(tontine.id);
+    if (participantIds.join(',') !== commitment.participantIds.join(',')) {
+      throw tontineError(
+        409,
+        'DRAW_PARTICIPANTS_CHANGED',
+        'Les participants ont changé depuis l\'engagement, un nouvel engagement est requis'
+      );
+    }
+
+    const drawOrder = TontineDrawService.computeDrawOrder(tontine.drawSeed, tontine.id, participantIds);
+
+    // Date de démarrage prévue : sert au calcul des dates de versement
+    tontine.startDate = toDateOnly(TontineService.getFirstContributionDate(tontine.contributionDay));
+
+    const participants = await TontineParticipant.findAll({
+      where: { tontineId: tontine.id, status: 'approved' }
+    });
+    const byUserId = new Map(participants.map((p) => [p.userId, p]));
+    await TontineService.assignPayoutSchedule(
+      tontine,
+      drawOrder.map((userId) => byUserId.get(userId))
+    );
+
+    return tontine.update({
+      drawOrder,
+      drawDate: new Date(),
+      drawAlgorithm: DRAW_ALGORITHM,
+      startDate: tontine.startDate,
+      nextPayoutUserId: drawOrder[0],
+      nextPayoutDate: TontineService.getRoundDates(tontine, 1).payoutDate
+    });
+  }
+
+  /**
+   * ♻️ Annuler engagement/tirage quand la liste des participants change avant démarrage
+   */
+  static async invalidateDraw(tontine, reason) {
+    if (!tontine.drawCommitment && !tontine.drawDate) return tontine;
+
+    await TontineParticipant.update(
+      { position: null, originalPosition: null, payoutMonth: null, expectedPayoutDate: null },
+      { where: { tontineId: tontine.id } }
+    );
+
+    return tontine.update({
+      drawCommitment: null,
+      drawSeed: null,
+      drawOrder: null,
+      drawDate: null,
+      nextPayoutUserId: null,
+      nextPayoutDate: null,
+      incidentHistory: [
+        ...(tontine.incidentHistory || []),
+        {
+          type: 'draw_invalidated',
+          reason,
+          previousCommitment: tontine.drawCommitment?.hash || null,
+          previousOrder: tontine.drawOrder || null,
+          date: new Date()
+        }
+      ]
+    });
+  }
+
+  /**
+   * 🔍 Données publiques de vérification (seed révélé uniquement après tirage)
+   */
+  static async getVerification(tontine) {
+    const commitment = tontine.drawCommitment;
+
+    const verification = {
+      tontineId: tontine.id,
+      algorithm: tontine.drawAlgorithm,
+      algorithmDescription: ALGORITHM_DESCRIPTION,
+      commitmentHash: commitment?.hash || null,
+      committedAt: commitment?.committedAt || null,
+      participantIds: commitment?.participantIds || null,
+      drawDate: tontine.drawDate,
+      status: tontine.drawDate ? 'drawn' : commitment ? 'committed' : 'pending'
+    };
+
+    if (!tontine.drawDate) return verification;
+
+    const recomputedOrder = TontineDrawService.computeDrawOrder(
+      tontine.drawSeed,
+      tontine.id,
+      commitment.participantIds
+    );
+
+    const participants = await TontineParticipant.findAll({
+      where: { tontineId: tontine.id, userId: tontine.drawOrder },
+      attributes: ['userId', 'originalPosition']
+    });
+    const recordedPositions = participants.every(
+      (p) => tontine.drawOrder.indexOf(p.userId) + 1 === p.originalPosition
+    );
+
+    return {
+      ...verification,
+      seed: tontine.drawSeed,
+      drawOrder: tontine.drawOrder,
+      recomputedOrder,
+      checks: {
+        seedMatchesCommitment: sha256(tontine.drawSeed) === commitment.hash,
+        orderMatchesSeed: recomputedOrder.join(',') === tontine.drawOrder.join(','),
+        positionsMatchOrder: recordedPositions
+      }
+    };
+  }
+}
+
+TontineDrawService.DRAW_ALGORITHM = DRAW_ALGORITHM;
+
+module.exports = TontineDrawService;
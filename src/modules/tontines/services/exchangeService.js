@@ -0,0 +1,338 @@
+// src/modules/tontines/services/exchangeService.js
+// Bourse d'échange de positions entre participants d'une tontine
+
+const crypto = require('crypto');
+const { sequelize, Tontine, TontineParticipant, Transaction } = require('../../../models');
+const TontineService = require('./tontineService');
+
+const { tontineError } = TontineService;
+
+// Statuts d'une proposition d'échange
+const OPEN_EXCHANGE_STATUSES = ['proposed', 'awaiting_approval'];
+
+class TontineExchangeService {
+  /**
+   * 🔎 Retrouver une proposition dans l'historique de la tontine
+   */
+  static findExchange(tontine, exchangeId) {
+    const exchange = (tontine.positionExchanges || []).find((e) => e.id === exchangeId);
+    if (!exchange) {
+      throw tontineError(404, 'EXCHANGE_NOT_FOUND', 'Proposition d\'échange introuvable');
+    }
+    // Copie : le JSON d'origine ne doit pas être muté avant sauvegarde
+    return { ...exchange, history: [...(exchange.history || [])] };
+  }
+
+  /**
+   * ✅ Vérifier qu'une position peut encore être échangée
+   */
+  static assertExchangeable(tontine, participant) {
+    if (tontine.allowPositionExchange === false || !participant.canExchangePosition()) {
+      throw tontineError(
+        400,
+        'POSITION_NOT_EXCHANGEABLE',
+        'Position non échangeable (participant inactif, déjà servi ou échanges désactivés)'
+      );
+    }
+
+    // Le bénéficiaire du tour en cours ne peut plus céder sa place
+    if (!participant.position || participant.position <= tontine.currentRound) {
+      throw tontineError(400, 'POSITION_ALREADY_IN_ROUND', 'Ce tour est déjà ouvert');
+    }
+  }
+
+  /**
+   * 💾 Enregistrer une proposition modifiée (copie du tableau JSON)
+   */
+  static async saveExchange(tontine, exchange, options = {}) {
+    const exchanges = (tontine.positionExchanges || []).map((e) =>
+      e.id === exchange.id ? exchange : e
+    );
+    if (!exchanges.some((e) => e.id === exchange.id)) exchanges.push(exchange);
+
+    await tontine.update({ positionExchanges: exchanges }, options);
+    return exchange;
+  }
+
+  /**
+   * 🔒 Lire et modifier les échanges sur la tontine verrouillée (historique JSON réécrit en entier)
+   */
+  static async withLockedTontine(tontine, callback) {
+    return sequelize.transaction(async (t) => {
+      await tontine.reload({ transaction: t, lock: t.LOCK.UPDATE });
+      return callback(t);
+    });
+  }
+
+  /**
+   * 📝 Proposer un échange de position
+   */
+  static async proposeExchange(tontine, requester, data) {
+    return TontineExchangeService.withLockedTontine(tontine, async (t) => {
+      if (tontine.status !== 'active') {
+        throw tontineError(400, 'TONTINE_NOT_ACTIVE', 'Échanges possibles uniquement sur une tontine active');
+      }
+
+      const counterparty = await TontineParticipant.findOne({
+        where: data.counterpartyParticipantId
+          ? { id: data.counterpartyParticipantId, tontineId: tontine.id }
+          : { position: data.targetPosition, tontineId: tontine.id, status: 'active' },
+        transaction: t
+      });
+
+      if (!counterparty) {
+        throw tontineError(404, 'PARTICIPANT_NOT_FOUND', 'Participant cible introuvable');
+      }
+
+      if (counterparty.id === requester.id) {
+        throw tontineError(400, 'SELF_EXCHANGE', 'Impossible d\'échanger avec soi-même');
+      }
+
+      TontineExchangeService.assertExchangeable(tontine, requester);
+      TontineExchangeService.assertExchangeable(tontine, counterparty);
+
+      const busy = (tontine.positionExchanges || []).find(
+        (e) =>
+          OPEN_EXCHANGE_STATUSES.includes(e.status) &&
+          [e.requesterParticipantId, e.counterpartyParticipantId].some((id) =>
+            [requester.id, counterparty.id].includes(id)
+          )
+      );
+      if (busy) {
+        throw tontineError(409, 'EXCHANGE_ALREADY_OPEN', 'Un échange est déjà en cours pour l\'une des positions');
+      }
+
+      const premiumAmount = parseFloat(data.premiumAmount || 0);
+
+      const exchange = {
+        id: crypto.randomUUID(),
+        requesterParticipantId: requester.id,
+        requesterUserId: requester.userId,
+        requesterPosition: requester.position,
+        counterpartyParticipantId: counterparty.id,
+        counterpartyUserId: counterparty.userId,
+        counterpartyPosition: counterparty.position,
+        premiumAmount,
+        premiumPayer: premiumAmount > 0 ? data.premiumPayer || 'requester' : null,
+        premiumTransactionId: null,
+        message: data.message || null,
+        requiresOrganizerApproval: tontine.positionExchangeRequiresApproval !== false,
+        status: 'proposed',
+        history: [{ action: 'proposed', by: requester.userId, date: new Date() }],
+        createdAt: new Date()
+      };
+
+      return TontineExchangeService.saveExchange(tontine, exchange, { transaction: t });
+    });
+  }
+
+  /**
+   * 🤝 Réponse de la contrepartie (acceptation ou refus)
+   */
+  static async respondToExchange(tontine, exchangeId, participant, accept, reason) {
+    return TontineExchangeService.withLockedTontine(tontine, async (t) => {
+      const exchange = TontineExchangeService.findExchange(tontine, exchangeId);
+
+      if (exchange.counterpartyParticipantId !== participant.id) {
+        throw tontineError(403, 'NOT_EXCHANGE_COUNTERPARTY', 'Seule la contrepartie peut répondre');
+      }
+
+      if (exchange.status !== 'proposed') {
+        throw tontineError(400, 'EXCHANGE_NOT_PROPOSED', 'Cette proposition n\'attend plus de réponse');
+      }
+
+      exchange.respondedAt = new Date();
+
+      if (!accept) {
+        exchange.status = 'declined';
+        exchange.history.push({ action: 'declined', by: participant.userId, reason, date: new Date() });
+        return TontineExchangeService.saveExchange(tontine, exchange, { transaction: t });
+      }
+
+      const accepted = { action: 'accepted', by: participant.userId, date: new Date() };
+
+      if (exchange.requiresOrganizerApproval) {
+        exchange.status = 'awaiting_approval';
+        exchange.history.push(accepted);
+        return TontineExchangeService.saveExchange(tontine, exchange, { transaction: t });
+      }
+
+      return TontineExchangeService.executeExchange(tontine.id, exchangeId, participant.userId, [accepted], t);
+    });
+  }
+
+  /**
+   * 🛡️ Décision de l'organisateur
+   */
+  static async reviewExchange(tontine, exchangeId, organizerId, approve, reason) {
+    return TontineExchangeService.withLockedTontine(tontine, async (t) => {
+      const exchange = TontineExchangeService.findExchange(tontine, exchangeId);
+
+      if (exchange.status !== 'awaiting_approval') {
+        throw tontineError(400, 'EXCHANGE_NOT_AWAITING_APPROVAL', 'Cette proposition n\'attend pas de validation');
+      }
+
+      if (!approve) {
+        exchange.status = 'rejected';
+        exchange.history.push({ action: 'rejected', by: organizerId, reason, date: new Date() });
+        return TontineExchangeService.saveExchange(tontine, exchange, { transaction: t });
+      }
+
+      return TontineExchangeService.executeExchange(tontine.id, exchangeId, organizerId, [
+        { action: 'approved', by: organizerId, date: new Date() }
+      ], t);
+    });
+  }
+
+  /**
+   * 🚫 Retrait de la proposition par son auteur
+   */
+  static async cancelExchange(tontine, exchangeId, participant) {
+    return TontineExchangeService.withLockedTontine(tontine, async (t) => {
+      const exchange = TontineExchangeService.findExchange(tontine, exchangeId);
+
+      if (exchange.requesterParticipantId !== participant.id) {
+        throw tontineError(403, 'NOT_EXCHANGE_REQUESTER', 'Seul l\'auteur peut retirer la proposition');
+      }
+
+      if (!OPEN_EXCHANGE_STATUSES.includes(exchange.status)) {
+        throw tontineError(400, 'EXCHANGE_CLOSED', 'Cette proposition est déjà clôturée');
+      }
+
+      exchange.status = 'cancelled';
+      exchange.history.push({ action: 'cancelled', by: participant.userId, date: new Date() });
+      return TontineExchangeService.saveExchange(tontine, exchange, { transaction: t });
+    });
+  }
+
+  /**
+   * 🔄 Permuter les positions (transaction SQL unique, celle de l'appelant si fournie)
+   */
+  static async executeExchange(tontineId, exchangeId, actorId, historyEntries = [], transaction = null) {
+    const run = async (t) => {
+      const tontine = await Tontine.findByPk(tontineId, { transaction: t, lock: t.LOCK.UPDATE });
+      const exchange = TontineExchangeService.findExchange(tontine, exchangeId);
+
+      if (!OPEN_EXCHANGE_STATUSES.includes(exchange.status)) {
+        throw tontineError(409, 'EXCHANGE_CLOSED', 'Cette proposition est déjà clôturée');
+      }
+
+      const [requester, counterparty] = await Promise.all(
+        [exchange.requesterParticipantId, exchange.counterpartyParticipantId].map((id) =>
+          TontineParticipant.findByPk(id, { transaction: t, lock: t.LOCK.UPDATE })
+        )
+      );
+
+      // Positions modifiées depuis la proposition (autre échange, tour ouvert...)
+      if (
+        requester.position !== exchange.requesterPosition ||
+        counterparty.position !== exchange.counterpartyPosition
+      ) {
+        throw tontineError(409, 'EXCHANGE_OUTDATED', 'Les positions ont changé depuis la proposition');
+      }
+
+      TontineExchangeService.assertExchangeable(tontine, requester);
+      TontineExchangeService.assertExchangeable(tontine, counterparty);
+
+      const now = new Date();
+      const swaps = [
+        [requester, counterparty, exchange.counterpartyPosition],
+        [counterparty, requester, exchange.requesterPosition]
+      ];
+
+      for (const [participant, other, newPosition] of swaps) {
+        await participant.update({
+          position: newPosition,
+          payoutMonth: newPosition,
+          expectedPayoutDate: TontineService.getRoundDates(tontine, newPosition).payoutDate,
+          lastPositionExchange: now,
+          positionExchangeHistory: [
+            ...(participant.positionExchangeHistory || []),
+            {
+              exchangeId,
+              fromPosition: participant.position,
+              toPosition: newPosition,
+              withParticipantId: other.id,
+              withUserId: other.userId,
+              premiumAmount: exchange.premiumAmount,
+              date: now
+            }
+          ]
+        }, { transaction: t });
+      }
+
+      if (exchange.premiumAmount > 0) {
+        const payer = exchange.premiumPayer === 'counterparty' ? counterparty : requester;
+        const payee = payer === requester ? counterparty : requester;
+
+        const premium = await Transaction.create({
+          userId: payer.userId,
+          tontineId: tontine.id,
+          participantId: payer.id,
+          type: 'echange_position',
+          amount: exchange.premiumAmount,
+          currency: tontine.currency,
+          paymentMethod: 'internal',
+          status: 'pending',
+          description: `Prime échange de position #${exchange.requesterPosition} ↔ #${exchange.counterpartyPosition}`,
+          metadata: {
+            exchangeId,
+            payeeUserId: payee.userId,
+            payeeParticipantId: payee.id
+          }
+        }, { transaction: t });
+
+        exchange.premiumTransactionId = premium.id;
+      }
+
+      // Le prochain bénéficiaire peut avoir changé
+      const nextPosition = tontine.currentRound + 1;
+      const nextBeneficiary = [requester, counterparty].find((p) => p.position === nextPosition);
+
+      exchange.status = 'completed';
+      exchange.completedAt = now;
+      exchange.history.push(...historyEntries, { action: 'completed', by: actorId, date: now });
+
+      await tontine.update({
+        ...(nextBeneficiary && { nextPayoutUserId: nextBeneficiary.userId }),
+        positionExchanges: (tontine.positionExchanges || []).map((e) =>
+          e.id === exchange.id ? exchange : e
+        )
+      }, { transaction: t });
+
+      return exchange;
+    };
+
+    // Appel depuis une réponse ou une validation : même transaction que la tontine déjà verrouillée
+    return transaction ? run(transaction) : sequelize.transaction(run);
+  }
+
+  /**
+   * 💶 Le bénéficiaire confirme la réception de la prime
+   */
+  static async confirmPremium(tontine, exchangeId, participant) {
+    const exchange = TontineExchangeService.findExchange(tontine, exchangeId);
+
+    if (exchange.status !== 'completed' || !exchange.premiumTransactionId) {
+      throw tontineError(400, 'NO_PREMIUM_DUE', 'Aucune prime à confirmer pour cet échange');
+    }
+
+    const premium = await Transaction.findByPk(exchange.premiumTransactionId);
+
+    if (premium.metadata?.payeeParticipantId !== participant.id) {
+      throw tontineError(403, 'NOT_PREMIUM_PAYEE', 'Seul le bénéficiaire de la prime peut confirmer');
+    }
+
+    if (premium.status === 'completed') return premium;
+
+    return premium.update({
+      status: 'completed',
+      processedAt: new Date(),
+      completedAt: new Date()
+    });
+  }
+}
+
+TontineExchangeService.OPEN_EXCHANGE_STATUSES = OPEN_EXCHANGE_STATUSES;
+
+module.exports = TontineExchangeService;
@@ -0,0 +1,410 @@
+// src/modules/tontines/services/ratingService.js
+// Notations entre participants et organisateur : règles, réponses, contestations et réputation
+
+const { Op } = require('sequelize');
+const { sequelize, Rating, Tontine, TontineParticipant, User } = require('../../../models');
+const TontineService = require('./tontineService');
+
+const { tontineError } = TontineService;
+
+// Notations prises en compte dans les scores (une contestation ne suspend pas la note)
+const COUNTED_RATING_STATUSES = ['published', 'disputed'];
+
+// Participations ouvrant droit à la notation
+const RATEABLE_PARTICIPANT_STATUSES = ['active', 'completed', 'defaulted', 'withdrawn'];
+
+const SCORE_FIELDS = [
+  'overallScore',
+  'punctualityScore',
+  'reliabilityScore',
+  'communicationScore',
+  'organizationScore',
+  'transparencyScore',
+  'conflictManagementScore'
+];
+
+const ORGANIZER_SCORE_FIELDS = ['organizationScore', 'transparencyScore', 'conflictManagementScore'];
+
+// Moyenne arrondie au centième (null si aucune valeur)
+function average(values) {
+  const scores = values.filter((v) => v !== null && v !== undefined).map(parseFloat);
+  if (scores.length === 0) return null;
+  return parseFloat((scores.reduce((sum, v) => sum + v, 0) / scores.length).toFixed(2));
+}
+
+class TontineRatingService {
+  /**
+   * 🔍 Incident de la tontine impliquant l'utilisateur noté
+   */
+  static hasIncidentWith(tontine, userId) {
+    if (tontine.organizerId === userId && tontine.status === 'cancelled') return true;
+
+    return (tontine.incidentHistory || []).some(
+      (incident) => incident.userId === userId || (incident.missingUserIds || []).includes(userId)
+    );
+  }
+
+  /**
+   * 🎯 Déterminer le type de notation (et vérifier que les deux parties sont membres)
+   */
+  static async resolveRatingParties(tontine, raterUserId, ratedUserId) {
+    if (raterUserId === ratedUserId) {
+      throw tontineError(400, 'SELF_RATING', 'Impossible de se noter soi-même');
+    }
+
+    const participations = await TontineParticipant.findAll({
+      where: {
+        tontineId: tontine.id,
+        userId: [raterUserId, ratedUserId],
+        status: RATEABLE_PARTICIPANT_STATUSES
+      }
+    });
+
+    const raterParticipation = participations.find((p) => p.userId === raterUserId) || null;
+    const ratedParticipation = participations.find((p) => p.userId === ratedUserId) || null;
+    const raterIsOrganizer = tontine.organizerId === raterUserId;
+    const ratedIsOrganizer = tontine.organizerId === ratedUserId;
+
+    if ((!raterParticipation && !raterIsOrganizer) || (!ratedParticipation && !ratedIsOrganizer)) {
+      throw tontineError(403, 'NOT_RATEABLE', 'Notation réservée aux membres ayant participé à la tontine');
+    }
+
+    let ratingType = 'participant_to_participant';
+    if (raterIsOrganizer) ratingType = 'organizer_to_participant';
+    if (ratedIsOrganizer) ratingType = 'participant_to_organizer';
+
+    return { ratingType, raterParticipation, ratedParticipation };
+  }
+
+  /**
+   * ⭐ Noter un membre de la tontine
+   */
+  static async createRating(tontine, rater, data) {
+    const incidentRelated = !!data.incidentRelated;
+
+    if (tontine.status !== 'completed') {
+      if (!incidentRelated || !TontineRatingService.hasIncidentWith(tontine, data.ratedUserId)) {
+        throw tontineError(
+          400,
+          'RATING_NOT_OPEN',
+          'Notation possible après la fin de la tontine ou suite à un incident impliquant ce membre'
+        );
+      }
+    }
+
+    const { ratingType, raterParticipation, ratedParticipation } =
+      await TontineRatingService.resolveRatingParties(tontine, rater.id, data.ratedUserId);
+
+    const existing = await Rating.findOne({
+      where: { raterUserId: rater.id, ratedUserId: data.ratedUserId, tontineId: tontine.id }
+    });
+    if (existing) {
+      throw tontineError(409, 'ALREADY_RATED', 'Vous avez déjà noté ce membre pour cette tontine');
+    }
+
+    const scores = SCORE_FIELDS.reduce((values, field) => {
+      if (data[field] !== undefined && data[field] !== null) values[field] = parseFloat(data[field]);
+      return values;
+    }, {});
+
+    if (!scores.overallScore && !scores.punctualityScore && !scores.reliabilityScore) {
+      throw tontineError(400, 'SCORE_REQUIRED', 'Note globale, ponctualité ou fiabilité requise');
+    }
+
+    const hasOrganizerScores = ORGANIZER_SCORE_FIELDS.some((field) => scores[field]);
+    if (hasOrganizerScores && ratingType !== 'participant_to_organizer') {
+      throw tontineError(400, 'ORGANIZER_SCORES_ONLY', 'Scores organisateur réservés à la notation de l\'organisateur');
+    }
+
+    const rating = await sequelize.transaction(async (t) => {
+      const created = await Rating.create({
+        raterUserId: rater.id,
+        ratedUserId: data.ratedUserId,
+        tontineId: tontine.id,
+        participantId: ratedParticipation?.id || null,
+        ratingType,
+        ...scores,
+        comment: data.comment || null,
+        privateNotes: data.privateNotes || null,
+        categories: data.categories || null,
+        contextTags: data.contextTags || [tontine.status === 'completed' ? 'fin_normale' : 'incident'],
+        incidentRelated,
+        incidentDescription: data.incidentDescription || null,
+        isPublic: data.isPublic !== false,
+        isAnonymous: !!data.isAnonymous,
+        status: 'published',
+        publishedAt: new Date(),
+        ratingPeriodStart: tontine.startDate,
+        ratingPeriodEnd: tontine.endDate || new Date(),
+        deviceInfo: data.deviceInfo || null
+      }, { transaction: t });
+
+      // Note directe reportée sur la participation concernée
+      const overall = created.getOverallScore();
+      if (ratingType === 'organizer_to_participant') {
+        await ratedParticipation.update({
+          ratingByOrganizer: overall,
+          commentByOrganizer: created.comment
+        }, { transaction: t });
+      } else if (ratingType === 'participant_to_organizer' && raterParticipation) {
+        await raterParticipation.update({
+          organizerRating: overall,
+          organizerComment: created.comment
+        }, { transaction: t });
+      }
+
+      await TontineRatingService.refreshScores(created, t);
+      return created;
+    });
+
+    return rating;
+  }
+
+  /**
+   * ✏️ Modifier sa notation (délai de 7 jours, hors contestation)
+   */
+  static async updateRating(rating, userId, data) {
+    if (rating.raterUserId !== userId) {
+      throw tontineError(403, 'NOT_RATING_AUTHOR', 'Seul l\'auteur peut modifier la notation');
+    }
+
+    if (!rating.canBeEdited() || rating.status !== 'published') {
+      throw tontineError(400, 'RATING_LOCKED', 'Cette notation ne peut plus être modifiée');
+    }
+
+    const updates = SCORE_FIELDS.reduce((values, field) => {
+      if (data[field] !== undefined) values[field] = data[field] === null ? null : parseFloat(data[field]);
+      return values;
+    }, {});
+    ['comment', 'privateNotes', 'isPublic', 'isAnonymous'].forEach((field) => {
+      if (data[field] !== undefined) updates[field] = data[field];
+    });
+
+    return sequelize.transaction(async (t) => {
+      await rating.update(updates, { transaction: t });
+      await TontineRatingService.refreshScores(rating, t);
+      return rating;
+    });
+  }
+
+  /**
+   * 💬 Réponse publique du membre noté (une seule fois)
+   */
+  static async respondToRating(rating, userId, comment) {
+    if (rating.ratedUserId !== userId) {
+      throw tontineError(403, 'NOT_RATED_USER', 'Seul le membre noté peut répondre');
+    }
+
+    if (rating.hasResponse) {
+      throw tontineError(409, 'ALREADY_RESPONDED', 'Une réponse a déjà été publiée');
+    }
+
+    return rating.update({
+      hasResponse: true,
+      responseComment: comment,
+      responseDate: new Date()
+    });
+  }
+
+  /**
+   * ⚖️ Contester une notation (membre noté)
+   */
+  static async disputeRating(rating, userId, reason) {
+    if (rating.ratedUserId !== userId) {
+      throw tontineError(403, 'NOT_RATED_USER', 'Seul le membre noté peut contester');
+    }
+
+    if (rating.isDisputed || rating.isLocked) {
+      throw tontineError(409, 'DISPUTE_CLOSED', 'Cette notation a déjà été contestée');
+    }
+
+    return rating.update({
+      status: 'disputed',
+      isDisputed: true,
+      disputeReason: reason,
+      metadata: {
+        ...(rating.metadata || {}),
+        disputedAt: new Date()
+      }
+    });
+  }
+
+  /**
+   * 🛡️ Décision de modération : notation maintenue ou retirée
+   */
+  static async resolveDispute(rating, moderatorId, { decision, notes }) {
+    if (rating.status !== 'disputed') {
+      throw tontineError(400, 'NOT_DISPUTED', 'Aucune contestation en cours pour cette notation');
+    }
+
+    return sequelize.transaction(async (t) => {
+      await rating.update({
+        status: decision === 'removed' ? 'moderated' : 'published',
+        isPublic: decision === 'removed' ? false : rating.isPublic,
+        isLocked: true,
+        moderatedBy: moderatorId,
+        moderationNotes: notes || null,
+        metadata: {
+          ...(rating.metadata || {}),
+          disputeDecision: decision,
+          resolvedAt: new Date()
+        }
+      }, { transaction: t });
+
+      await TontineRatingService.refreshScores(rating, t);
+      return rating;
+    });
+  }
+
+  /**
+   * 👍 Vote "utile" (un vote par utilisateur)
+   */
+  static async markHelpful(rating, userId) {
+    const voters = rating.metadata?.helpfulVoters || [];
+
+    if (voters.includes(userId)) {
+      throw tontineError(409, 'ALREADY_VOTED', 'Vous avez déjà voté pour cette notation');
+    }
+
+    return rating.update({
+      helpfulVotes: rating.helpfulVotes + 1,
+      metadata: {
+        ...(rating.metadata || {}),
+        helpfulVoters: [...voters, userId]
+      }
+    });
+  }
+
+  /**
+   * 📊 Recalculer les scores impactés par une notation
+   */
+  static async refreshScores(rating, transaction = null) {
+    const options = transaction ? { transaction } : {};
+
+    const received = await Rating.findAll({
+      where: {
+        ratedUserId: rating.ratedUserId,
+        status: { [Op.in]: COUNTED_RATING_STATUSES }
+      },
+      ...options
+    });
+
+    // Réputation globale : moyenne des notes reçues toutes tontines confondues
+    const reputation = average(received.map((r) => r.getOverallScore()));
+    await User.update(
+      { tontineReputationScore: reputation ?? 5.0 },
+      { where: { id: rating.ratedUserId }, ...options }
+    );
+
+    const inTontine = received.filter((r) => r.tontineId === rating.tontineId);
+
+    // Scores de la participation dans cette tontine
+    const participant = await TontineParticipant.findOne({
+      where: { tontineId: rating.tontineId, userId: rating.ratedUserId },
+      ...options
+    });
+    if (participant) {
+      const reliability = average(inTontine.map((r) => r.reliabilityScore ?? r.getOverallScore()));
+      const punctuality = average(inTontine.map((r) => r.punctualityScore));
+
+      await participant.update({
+        ...(reliability !== null && { reliabilityScore: reliability }),
+        ...(punctuality !== null && { punctualityScore: punctuality })
+      }, { ...options, hooks: false });
+    }
+
+    // Note de l'organisateur sur cette tontine
+    if (rating.ratingType === 'participant_to_organizer') {
+      const organizerRating = average(
+        inTontine.filter((r) => r.ratingType === 'participant_to_organizer').map((r) => r.getOverallScore())
+      );
+      await Tontine.update(
+        { organizerRating },
+        { where: { id: rating.tontineId }, ...options }
+      );
+    }
+  }
+
+  /**
+   * 🧾 Résumé de réputation d'un utilisateur
+   */
+  static async getReputationSummary(userId) {
+    const [user, ratings] = await Promise.all([
+      User.findByPk(userId, {
+        attributes: ['id', 'firstName', 'lastName', 'tontineReputationScore', 'associationReputationScore']
+      }),
+      Rating.findAll({
+        where: { ratedUserId: userId, status: { [Op.in]: COUNTED_RATING_STATUSES } }
+      })
+    ]);
+
+    if (!user) {
+      throw tontineError(404, 'USER_NOT_FOUND', 'Utilisateur introuvable');
+    }
+
+    const asOrganizer = ratings.filter((r) => r.ratingType === 'participant_to_organizer');
+
+    return {
+      user,
+      ratingsCount: ratings.length,
+      averages: SCORE_FIELDS.reduce((values, field) => {
+        values[field] = average(ratings.map((r) => (field === 'overallScore' ? r.getOverallScore() : r[field])));
+        return values;
+      }, {}),
+      asOrganizer: {
+        ratingsCount: asOrganizer.length,
+        average: average(asOrganizer.map((r) => r.getOverallScore()))
+      },
+      distribution: [1, 2, 3, 4, 5].reduce((values, star) => {
+        values[star] = ratings.filter((r) => Math.round(r.getOverallScore()) === star).length;
+        return values;
+      }, {})
+    };
+  }
+
+  /**
+   * 👁️ Sérialiser une notation selon le lecteur (anonymat, notes privées)
+   */
+  static formatRating(rating, viewer) {
+    const data = rating.toJSON();
+    const isModerator = viewer?.role === 'platform_admin';
+    const isAuthor = viewer?.id === rating.raterUserId;
+
+    if (rating.isAnonymous && !isAuthor && !isModerator) {
+      delete data.raterUserId;
+      delete data.rater;
+    }
+
+    if (!isAuthor && !isModerator) {
+      delete data.privateNotes;
+      delete data.deviceInfo;
+      delete data.moderationNotes;
+      if (data.metadata) delete data.metadata.helpfulVoters;
+    }
+
+    return {
+      ...data,
+      level: rating.getRatingLevel(),
+      badge: rating.getBadge()
+    };
+  }
+
+  /**
+   * 🔒 Filtre de visibilité : notations publiques, ou celles qui concernent le lecteur
+   */
+  static visibilityWhere(viewer) {
+    if (viewer?.role === 'platform_admin') return {};
+
+    return {
+      [Op.or]: [
+        { isPublic: true, status: { [Op.in]: COUNTED_RATING_STATUSES } },
+        ...(viewer ? [{ raterUserId: viewer.id }, { ratedUserId: viewer.id }] : [])
+      ]
+    };
+  }
+}
+
+TontineRatingService.COUNTED_RATING_STATUSES = COUNTED_RATING_STATUSES;
+TontineRatingService.SCORE_FIELDS = SCORE_FIELDS;
+
+module.exports = TontineRatingService;
@@ -0,0 +1,383 @@
+// src/modules/tontines/services/roundService.js
+// Moteur des rounds mensuels : ouverture, collecte des cotisations, versement au bénéficiaire
+
+const { Op } = require('sequelize');
+const { sequelize, Tontine, TontineParticipant, Transaction } = require('../../../models');
+const TontineService = require('./tontineService');
+const TontineDefaultService = require('./defaultService');
+const ReferralService = require('../../../core/referrals/services/referralService');
+const NotificationService = require('../../../core/services/notificationService');
+
+const { tontineError } = TontineService;
+
+// Méthode de paiement participant → méthode Transaction
+const PAYMENT_METHOD_MAP = {
+  card_auto: 'card',
+  bank_transfer: 'iban',
+  manual: 'cash'
+};
+
+class TontineRoundService {
+  /**
+   * ⏱️ Traiter toutes les tontines actives (appelé par le cron)
+   */
+  static async processAllTontines(now = new Date()) {
+    const tontines = await Tontine.findAll({ where: { status: 'active' } });
+    const report = { processed: 0, opened: 0, paidOut: 0, blocked: 0, completed: 0, defaulted: 0, errors: [] };
+
+    for (const tontine of tontines) {
+      try {
+        const result = await TontineRoundService.processTontine(tontine, now);
+        report.processed++;
+        if (result.opened) report.opened++;
+        if (result.paidOut) report.paidOut++;
+        if (result.blocked) report.blocked++;
+        if (result.completed) report.completed++;
+        report.defaulted += result.defaulted;
+      } catch (error) {
+        console.error(`❌ Erreur round tontine ${tontine.id}:`, error);
+        report.errors.push({ tontineId: tontine.id, error: error.message });
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * 🔄 Faire avancer une tontine selon le calendrier
+   */
+  static async processTontine(tontine, now = new Date()) {
+    const result = { tontineId: tontine.id, opened: false, paidOut: false, blocked: false, completed: false, defaulted: 0 };
+
+    if (tontine.status !== 'active') return result;
+
+    // 1. Ouverture du round suivant au jour de cotisation
+    const roundClosed = tontine.currentRound === 0 || tontine.roundStatus === 'paid_out';
+    if (roundClosed && tontine.currentRound < tontine.durationMonths) {
+      const { contributionDate } = TontineService.getRoundDates(tontine, tontine.currentRound + 1);
+      if (now >= contributionDate) {
+        await TontineRoundService.openRound(tontine);
+        result.opened = true;
+      }
+    }
+
+    // Défaillances : retards au-delà de maxLatePaymentDays
+    const defaults = await TontineDefaultService.detectDefaults(tontine, now);
+    result.defaulted = defaults.length;
+    if (defaults.length > 0) await tontine.reload();
+
+    // 2. Versement au jour de versement si toutes les cotisations sont reçues
+    if (['collecting', 'blocked'].includes(tontine.roundStatus)) {
+      const { payoutDate } = TontineService.getRoundDates(tontine, tontine.currentRound);
+      if (now >= payoutDate) {
+        const payout = await TontineRoundService.releasePayout(tontine);
+        result.paidOut = payout.paidOut;
+        result.blocked = !payout.paidOut;
+      }
+    }
+
+    // 3. Dernier round versé : clôture
+    if (tontine.roundStatus === 'paid_out' && tontine.currentRound >= tontine.durationMonths) {
+      await TontineService.completeTontine(tontine);
+      result.completed = true;
+    }
+
+    return result;
+  }
+
+  /**
+   * 📂 Ouvrir un round : cotisations attendues de chaque participant actif
+   */
+  static async openRound(tontine) {
+    return sequelize.transaction(async (t) => {
+      await tontine.reload({ transaction: t, lock: t.LOCK.UPDATE });
+
+      const round = tontine.currentRound + 1;
+      const { contributionDate, payoutDate } = TontineService.getRoundDates(tontine, round);
+
+      const participants = await TontineParticipant.findAll({
+        where: { tontineId: tontine.id, status: 'active' },
+        transaction: t
+      });
+
+      for (const participant of participants) {
+        const where = {
+          tontineId: tontine.id,
+          participantId: participant.id,
+          type: 'cotisation_tontine',
+          month: contributionDate.getUTCMonth() + 1,
+          year: contributionDate.getUTCFullYear()
+        };
+
+        const existing = await Transaction.findOne({ where, transaction: t });
+        if (existing) continue;
+
+        await Transaction.create({
+          ...where,
+          userId: participant.userId,
+          amount: tontine.totalMonthlyPayment,
+          commissionAmount: tontine.managementFees,
+          currency: tontine.currency,
+          paymentMethod: PAYMENT_METHOD_MAP[participant.paymentMethod] || 'cash',
+          status: 'pending',
+          description: `Cotisation tontine ${tontine.title} - round ${round}`,
+          scheduledDate: contributionDate,
+          isRecurring: participant.autoPaymentEnabled,
+          metadata: { round }
+        }, { transaction: t });
+      }
+
+      const beneficiary = participants.find((p) => p.position === round);
+
+      await tontine.update({
+        currentRound: round,
+        roundStatus: 'collecting',
+        roundOpenedAt: new Date(),
+        nextPayoutUserId: beneficiary?.userId || null,
+        nextPayoutDate: payoutDate
+      }, { transaction: t });
+
+      console.log(`📂 Tontine ${tontine.id}: round ${round}/${tontine.durationMonths} ouvert`);
+      return tontine;
+    });
+  }
+
+  /**
+   * 📋 Cotisations d'un round (par participant)
+   */
+  static async getRoundContributions(tontine, round = tontine.currentRound, options = {}) {
+    const { contributionDate } = TontineService.getRoundDates(tontine, round);
+
+    return Transaction.findAll({
+      where: {
+        tontineId: tontine.id,
+        type: 'cotisation_tontine',
+        month: contributionDate.getUTCMonth() + 1,
+        year: contributionDate.getUTCFullYear()
+      },
+      order: [['participantId', 'ASC']],
+      ...options
+    });
+  }
+
+  /**
+   * ✅ Enregistrer une cotisation reçue (saisie organisateur ou confirmation paiement)
+   * recorded : false si la cotisation était déjà réglée, remboursée ou annulée
+   */
+  static async recordContribution(transaction, data = {}) {
+    if (transaction.type !== 'cotisation_tontine') {
+      throw tontineError(400, 'NOT_TONTINE_CONTRIBUTION', 'Transaction non liée à une cotisation tontine');
+    }
+
+    const recorded = await sequelize.transaction(async (t) => {
+      // Relecture verrouillée : deux confirmations simultanées ne comptent qu'une fois
+      await transaction.reload({ transaction: t, lock: t.LOCK.UPDATE });
+      if (['completed', 'refunded', 'cancelled'].includes(transaction.status)) return false;
+
+      await transaction.update({
+        status: 'completed',
+        paymentMethod: data.paymentMethod || transaction.paymentMethod,
+        externalTransactionId: data.externalTransactionId || transaction.externalTransactionId,
+        notes: data.notes || transaction.notes,
+        approvedBy: data.recordedBy || null,
+        approvedAt: data.recordedBy ? new Date() : null,
+        processedAt: new Date(),
+        completedAt: new Date()
+      }, { transaction: t });
+
+      const participant = await TontineParticipant.findByPk(transaction.participantId, { transaction: t });
+      const scheduled = transaction.scheduledDate ? new Date(transaction.scheduledDate) : null;
+      const delayDays = scheduled ? Math.max(0, Math.floor((Date.now() - scheduled) / 86400000)) : 0;
+      const count = participant.contributionsCount + 1;
+
+      await participant.update({
+        contributionsCount: count,
+        totalContributed: parseFloat(participant.totalContributed) + parseFloat(transaction.netAmount),
+        lastContributionDate: new Date(),
+        averagePaymentDelay: parseFloat(
+          ((parseFloat(participant.averagePaymentDelay) * (count - 1) + delayDays) / count).toFixed(1)
+        ),
+        longestPaymentDelay: Math.max(participant.longestPaymentDelay, delayDays)
+      }, { transaction: t });
+
+      await Tontine.increment(
+        { totalAmountCollected: parseFloat(transaction.netAmount) },
+        { where: { id: transaction.tontineId }, transaction: t }
+      );
+      return true;
+    });
+
+    if (!recorded) return { transaction, recorded: false };
+
+    // Parrainage : la première cotisation du filleul débloque le bonus
+    try {
+      await ReferralService.handleContribution(transaction.userId, transaction.tontineId);
+    } catch (error) {
+      console.error(`⚠️ Bonus parrainage non crédité (transaction ${transaction.id}):`, error);
+    }
+
+    return { transaction, recorded: true };
+  }
+
+  /**
+   * 💸 Verser le pot au bénéficiaire (ou bloquer le round si cotisations manquantes)
+   */
+  static async releasePayout(tontine) {
+    const result = await sequelize.transaction(async (t) => {
+      await tontine.reload({ transaction: t, lock: t.LOCK.UPDATE });
+
+      if (tontine.roundStatus === 'paid_out') return { paidOut: true };
+
+      const round = tontine.currentRound;
+      const [participants, contributions] = await Promise.all([
+        TontineParticipant.findAll({
+          where: { tontineId: tontine.id, status: 'active' },
+          transaction: t
+        }),
+        TontineRoundService.getRoundContributions(tontine, round, { transaction: t })
+      ]);
+
+      const paidParticipantIds = new Set(
+        contributions.filter((c) => c.status === 'completed').map((c) => c.participantId)
+      );
+      const missing = participants.filter((p) => !paidParticipantIds.has(p.id));
+
+      if (missing.length > 0) {
+        await TontineRoundService.blockRound(tontine, round, missing, contributions, t);
+        return { paidOut: false, missing };
+      }
+
+      const beneficiary = participants.find((p) => p.position === round);
+      if (!beneficiary) {
+        await TontineRoundService.blockRound(tontine, round, [], contributions, t, 'Bénéficiaire introuvable pour ce round');
+        return { paidOut: false, missing: [] };
+      }
+
+      // Participants exclus : le pot est amputé de leurs cotisations
+      const shortfall = Math.max(0, tontine.maxParticipants - participants.length) * parseFloat(tontine.monthlyContribution);
+      const payoutAmount = parseFloat(Math.max(0, tontine.getNetPayout() - shortfall).toFixed(2));
+
+      // Pot vide (exclusions) : pas de transaction à 0, le round est tracé puis clôturé
+      const payout = payoutAmount > 0 ? await Transaction.create({
+        userId: beneficiary.userId,
+        tontineId: tontine.id,
+        participantId: beneficiary.id,
+        type: 'versement_tontine',
+        amount: payoutAmount,
+        currency: tontine.currency,
+        paymentMethod: 'internal',
+        status: 'completed',
+        description: `Versement tontine ${tontine.title} - round ${round}`,
+        processedAt: new Date(),
+        completedAt: new Date(),
+        metadata: { round }
+      }, { transaction: t }) : null;
+
+      await beneficiary.update({
+        hasReceivedPayout: true,
+        payoutAmount,
+        payoutDate: new Date(),
+        payoutTransactionId: payout ? payout.id : null
+      }, { transaction: t });
+
+      const incidentHistory = TontineRoundService.resolveRoundIncident(tontine, round);
+      if (!payout) {
+        incidentHistory.push({
+          type: 'empty_payout',
+          round,
+          reason: 'Pot du round nul après déduction des cotisations des participants exclus',
+          beneficiaryParticipantId: beneficiary.id,
+          beneficiaryUserId: beneficiary.userId,
+          shortfall,
+          date: new Date(),
+          resolved: true
+        });
+      }
+
+      const next = participants.find((p) => p.position === round + 1);
+      const hasNextRound = round < tontine.durationMonths;
+
+      await tontine.update({
+        roundStatus: 'paid_out',
+        totalAmountPaidOut: parseFloat(tontine.totalAmountPaidOut) + payoutAmount,
+        totalCommissionsGenerated:
+          parseFloat(tontine.totalCommissionsGenerated) + tontine.getMonthlyCommission(),
+        nextPayoutUserId: hasNextRound ? next?.userId || null : null,
+        nextPayoutDate: hasNextRound ? TontineService.getRoundDates(tontine, round + 1).payoutDate : null,
+        incidentHistory
+      }, { transaction: t });
+
+      console.log(`💸 Tontine ${tontine.id}: round ${round} versé à l'utilisateur ${beneficiary.userId} (${payoutAmount} ${tontine.currency})`);
+      return { paidOut: true, payout };
+    });
+
+    // 🔔 Bénéficiaire prévenu après validation du versement
+    if (result.payout) {
+      await NotificationService.notify('tontine_payout', result.payout.userId, {
+        data: {
+          amount: parseFloat(result.payout.amount).toFixed(2),
+          currency: result.payout.currency,
+          tontineTitle: tontine.title,
+          round: result.payout.metadata?.round,
+          tontineId: tontine.id
+        }
+      }).catch((error) => console.error(`⚠️ Notification versement tontine ${tontine.id}:`, error.message));
+    }
+
+    return result;
+  }
+
+  /**
+   * 🚧 Bloquer le round et tracer l'incident (une seule fois par round)
+   */
+  static async blockRound(tontine, round, missing, contributions, t, reason = null) {
+    const alreadyBlocked = tontine.roundStatus === 'blocked';
+
+    // Cotisations en attente au-delà du jour de versement : en retard
+    const lateContributions = contributions.filter(
+      (c) => c.status === 'pending' && missing.some((p) => p.id === c.participantId)
+    );
+    for (const contribution of lateContributions) {
+      await contribution.update({ status: 'late' }, { transaction: t });
+    }
+    for (const participant of missing) {
+      if (lateContributions.some((c) => c.participantId === participant.id)) {
+        await participant.increment('latePaymentsCount', { transaction: t });
+      }
+    }
+
+    if (alreadyBlocked) return tontine;
+
+    const missingAmount = missing.length * parseFloat(tontine.totalMonthlyPayment);
+
+    console.warn(`🚧 Tontine ${tontine.id}: round ${round} bloqué (${missing.length} cotisation(s) manquante(s))`);
+
+    return tontine.update({
+      roundStatus: 'blocked',
+      incidentHistory: [
+        ...(tontine.incidentHistory || []),
+        {
+          type: 'round_blocked',
+          round,
+          reason: reason || 'Cotisations manquantes au jour de versement',
+          missingParticipantIds: missing.map((p) => p.id),
+          missingUserIds: missing.map((p) => p.userId),
+          missingAmount,
+          date: new Date(),
+          resolved: false
+        }
+      ]
+    }, { transaction: t });
+  }
+
+  // Marquer l'incident de blocage du round comme résolu
+  static resolveRoundIncident(tontine, round) {
+    return (tontine.incidentHistory || []).map((incident) =>
+      incident.type === 'round_blocked' && incident.round === round && !incident.resolved
+        ? { ...incident, resolved: true, resolvedAt: new Date() }
+        : incident
+    );
+  }
+}
+
+module.exports = TontineRoundService;
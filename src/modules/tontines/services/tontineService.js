@@ -0,0 +1,451 @@
+// src/modules/tontines/services/tontineService.js
+// Service cycle de vie des tontines : brouillon → recrutement → prête → active → terminée/annulée
+
+const { Op } = require('sequelize');
+const { Tontine, TontineParticipant, User } = require('../../../models');
+
+// 🔄 Transitions de statut autorisées
+const STATUS_TRANSITIONS = {
+  draft: ['recruiting', 'cancelled'],
+  recruiting: ['ready_to_start', 'cancelled'],
+  ready_to_start: ['active', 'recruiting', 'cancelled'],
+  active: ['paused', 'completed', 'failed'],
+  paused: ['active', 'cancelled', 'failed'],
+  completed: [],
+  cancelled: [],
+  failed: []
+};
+
+// Statuts participant comptés dans currentParticipants
+const COUNTED_PARTICIPANT_STATUSES = ['approved', 'active'];
+
+// Erreur métier avec statut HTTP et code (lu par les controllers tontine)
+function tontineError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+// Date UTC → 'YYYY-MM-DD' (colonnes DATEONLY)
+function toDateOnly(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+class TontineService {
+  /**
+   * 🆕 Créer une tontine en brouillon (organisateur inscrit automatiquement)
+   */
+  static async createTontine(organizer, data) {
+    const tontine = Tontine.build({
+      ...data,
+      organizerId: organizer.id,
+      monthlyContribution: parseFloat(data.monthlyContribution),
+      maxParticipants: parseInt(data.maxParticipants),
+      status: 'draft',
+      // L'inscription de l'organisateur ci-dessous incrémente le compteur
+      currentParticipants: 0,
+      organizerKycStatus: organizer.kycStatus === 'approved' ? 'validated' : 'pending',
+      organizerKycValidatedAt: organizer.kycStatus === 'approved' ? new Date() : null
+    });
+
+    TontineService.applyFinancials(tontine);
+    await tontine.save();
+
+    await TontineParticipant.create({
+      userId: organizer.id,
+      tontineId: tontine.id,
+      status: 'approved',
+      approvedAt: new Date(),
+      approvedBy: organizer.id,
+      joinMethod: 'organizer_added'
+    });
+
+    return tontine.reload();
+  }
+
+  /**
+   * 💰 Recalculer frais, mensualité, versement net et durée
+   */
+  static applyFinancials(tontine) {
+    const commission = tontine.getMonthlyCommission();
+    tontine.managementFees = parseFloat((commission / tontine.maxParticipants).toFixed(2));
+    tontine.totalMonthlyPayment = parseFloat(
+      (parseFloat(tontine.monthlyContribution) + tontine.managementFees).toFixed(2)
+    );
+    tontine.payoutAmount = tontine.getNetPayout();
+    tontine.durationMonths = tontine.maxParticipants;
+    return tontine;
+  }
+
+  /**
+   * 🔒 Vérifier qu'une transition de statut est autorisée
+   */
+  static assertTransition(tontine, nextStatus) {
+    const allowed = STATUS_TRANSITIONS[tontine.status] || [];
+    if (!allowed.includes(nextStatus)) {
+      throw tontineError(
+        400,
+        'INVALID_STATUS_TRANSITION',
+        `Transition impossible: ${tontine.status} → ${nextStatus}`
+      );
+    }
+  }
+
+  /**
+   * 📣 Ouvrir le recrutement
+   */
+  static async openRecruitment(tontine) {
+    TontineService.assertTransition(tontine, 'recruiting');
+    return tontine.update({ status: 'recruiting' });
+  }
+
+  /**
+   * 🙋 Demande d'adhésion d'un utilisateur
+   */
+  static async requestToJoin(tontine, user, options = {}) {
+    if (tontine.status !== 'recruiting') {
+      throw tontineError(400, 'TONTINE_NOT_RECRUITING', 'Cette tontine ne recrute pas');
+    }
+
+    if (tontine.organizerId === user.id) {
+      throw tontineError(400, 'ALREADY_ORGANIZER', 'Vous êtes l\'organisateur de cette tontine');
+    }
+
+    if (tontine.currentParticipants >= tontine.maxParticipants) {
+      throw tontineError(400, 'TONTINE_FULL', 'Tontine complète');
+    }
+
+    const values = {
+      status: 'pending',
+      statusReason: null,
+      joinDate: new Date(),
+      joinMethod: options.joinMethod || 'public_search',
+      invitedBy: options.invitedBy || null,
+      deviceInfo: options.deviceInfo || null,
+      ipAddress: options.ipAddress || null
+    };
+
+    const existing = await TontineParticipant.findOne({
+      where: { userId: user.id, tontineId: tontine.id }
+    });
+
+    if (existing) {
+      if (existing.status !== 'withdrawn') {
+        throw tontineError(409, 'ALREADY_PARTICIPANT', 'Vous participez déjà à cette tontine');
+      }
+
+      // Nouvelle demande après retrait : un participant retiré n'est plus compté
+      return existing.update({ ...values, lastStatusChange: new Date() }, { hooks: false });
+    }
+
+    return TontineParticipant.create({
+      ...values,
+      userId: user.id,
+      tontineId: tontine.id
+    });
+  }
+
+  /**
+   * ✅ Approuver un participant (le hook incrémente currentParticipants)
+   */
+  static async approveParticipant(tontine, participant, approverId) {
+    if (!['recruiting', 'ready_to_start'].includes(tontine.status)) {
+      throw tontineError(400, 'TONTINE_NOT_RECRUITING', 'Cette tontine ne recrute pas');
+    }
+
+    if (participant.status !== 'pending') {
+      throw tontineError(400, 'PARTICIPANT_NOT_PENDING', 'Ce participant n\'est pas en attente');
+    }
+
+    await tontine.reload();
+    if (tontine.currentParticipants >= tontine.maxParticipants) {
+      throw tontineError(400, 'TONTINE_FULL', 'Tontine complète');
+    }
+
+    await participant.update({
+      status: 'approved',
+      approvedAt: new Date(),
+      approvedBy: approverId
+    });
+
+    return participant;
+  }
+
+  /**
+   * ❌ Refuser une demande d'adhésion
+   */
+  static async rejectParticipant(tontine, participant, reason) {
+    if (participant.status !== 'pending') {
+      throw tontineError(400, 'PARTICIPANT_NOT_PENDING', 'Ce participant n\'est pas en attente');
+    }
+
+    // Demande jamais comptée : pas de hook de décrément
+    return participant.update({
+      status: 'withdrawn',
+      statusReason: reason || 'Demande refusée par l\'organisateur',
+      lastStatusChange: new Date()
+    }, { hooks: false });
+  }
+
+  /**
+   * 🚪 Retrait volontaire avant démarrage
+   */
+  static async withdrawParticipant(tontine, participant, reason) {
+    if (tontine.organizerId === participant.userId) {
+      throw tontineError(400, 'ORGANIZER_CANNOT_WITHDRAW', 'L\'organisateur doit annuler la tontine');
+    }
+
+    if (!['draft', 'recruiting', 'ready_to_start'].includes(tontine.status)) {
+      throw tontineError(400, 'TONTINE_ALREADY_STARTED', 'Retrait impossible après le démarrage');
+    }
+
+    if (!['pending', 'approved'].includes(participant.status)) {
+      throw tontineError(400, 'INVALID_PARTICIPANT_STATUS', 'Retrait impossible pour ce statut');
+    }
+
+    const wasCounted = COUNTED_PARTICIPANT_STATUSES.includes(participant.status);
+
+    await participant.update({
+      status: 'withdrawn',
+      statusReason: reason || 'Retrait volontaire',
+      lastStatusChange: new Date()
+    }, { hooks: wasCounted });
+
+    // Une place s'est libérée : retour en recrutement, tirage à refaire
+    if (wasCounted && tontine.status === 'ready_to_start') {
+      const TontineDrawService = require('./drawService');
+      await TontineDrawService.invalidateDraw(tontine, `Retrait du participant ${participant.userId}`);
+      await tontine.update({ status: 'recruiting' });
+    }
+
+    return participant;
+  }
+
+  /**
+   * 🪪 Synchroniser le statut KYC organisateur avec le profil utilisateur
+   */
+  static async refreshOrganizerKyc(tontine) {
+    if (tontine.organizerKycStatus === 'validated') return tontine;
+
+    const organizer = await User.findByPk(tontine.organizerId, { attributes: ['id', 'kycStatus'] });
+    if (organizer?.kycStatus === 'approved') {
+      await tontine.update({ organizerKycStatus: 'validated', organizerKycValidatedAt: new Date() });
+    } else if (organizer?.kycStatus === 'rejected') {
+      await tontine.update({ organizerKycStatus: 'rejected' });
+    }
+
+    return tontine;
+  }
+
+  /**
+   * 🎯 Passer en "prête à démarrer" (complète + KYC organisateur validé)
+   */
+  static async markReadyToStart(tontine) {
+    await tontine.reload();
+    await TontineService.refreshOrganizerKyc(tontine);
+
+    // Le hook participant a pu la basculer dès qu'elle est complète, sans contrôle KYC
+    if (tontine.status === 'ready_to_start') {
+      if (tontine.organizerKycStatus !== 'validated') {
+        throw tontineError(400, 'ORGANIZER_KYC_REQUIRED', 'KYC organisateur non validé');
+      }
+      return tontine;
+    }
+
+    if (!tontine.canStart()) {
+      TontineService.throwNotReady(tontine);
+    }
+
+    return tontine.update({ status: 'ready_to_start' });
+  }
+
+  // Explique pourquoi canStart() échoue
+  static throwNotReady(tontine) {
+    if (tontine.organizerKycStatus !== 'validated') {
+      throw tontineError(400, 'ORGANIZER_KYC_REQUIRED', 'KYC organisateur non validé');
+    }
+    if (tontine.currentParticipants < tontine.maxParticipants) {
+      throw tontineError(
+        400,
+        'TONTINE_NOT_FULL',
+        `Tontine incomplète (${tontine.currentParticipants}/${tontine.maxParticipants})`
+      );
+    }
+    throw tontineError(400, 'INVALID_STATUS_TRANSITION', `Transition impossible: ${tontine.status} → ready_to_start`);
+  }
+
+  /**
+   * 📅 Dates de cotisation et de versement d'un tour (1 = premier mois)
+   */
+  static getRoundDates(tontine, round) {
+    const start = new Date(`${tontine.startDate}T00:00:00Z`);
+    const year = start.getUTCFullYear();
+    const month = start.getUTCMonth() + (round - 1);
+
+    const contributionDate = new Date(Date.UTC(year, month, tontine.contributionDay));
+    // Versement le mois suivant si le jour de versement précède celui des cotisations
+    const payoutMonth = tontine.payoutDay < tontine.contributionDay ? month + 1 : month;
+    const payoutDate = new Date(Date.UTC(year, payoutMonth, tontine.payoutDay));
+
+    return { contributionDate, payoutDate };
+  }
+
+  /**
+   * 📅 Prochain jour de cotisation après une date
+   */
+  static getFirstContributionDate(contributionDay, from = new Date()) {
+    const monthOffset = from.getUTCDate() < contributionDay ? 0 : 1;
+    return new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth() + monthOffset, contributionDay));
+  }
+
+  /**
+   * 🗓️ Écrire position, mois et date de versement sur chaque participant
+   */
+  static async assignPayoutSchedule(tontine, orderedParticipants) {
+    for (const [index, participant] of orderedParticipants.entries()) {
+      const position = index + 1;
+      await participant.update({
+        position,
+        originalPosition: position,
+        payoutMonth: position,
+        expectedPayoutDate: TontineService.getRoundDates(tontine, position).payoutDate
+      });
+    }
+    return orderedParticipants;
+  }
+
+  /**
+   * 🚀 Démarrer la tontine
+   */
+  static async startTontine(tontine) {
+    await tontine.reload();
+    TontineService.assertTransition(tontine, 'active');
+
+    await TontineService.refreshOrganizerKyc(tontine);
+    if (tontine.organizerKycStatus !== 'validated') {
+      throw tontineError(400, 'ORGANIZER_KYC_REQUIRED', 'KYC organisateur non validé');
+    }
+
+    if (!tontine.drawDate || !tontine.drawOrder) {
+      throw tontineError(400, 'DRAW_REQUIRED', 'Le tirage au sort doit être effectué avant le démarrage');
+    }
+
+    const participants = await TontineParticipant.findAll({
+      where: { tontineId: tontine.id, status: 'approved' },
+      order: [['position', 'ASC']]
+    });
+
+    if (participants.length < tontine.maxParticipants) {
+      throw tontineError(
+        400,
+        'TONTINE_NOT_FULL',
+        `Tontine incomplète (${participants.length}/${tontine.maxParticipants})`
+      );
+    }
+
+    // Démarrage après la date prévue au tirage : décaler le calendrier, l'ordre reste celui du tirage
+    const plannedStart = new Date(`${tontine.startDate}T00:00:00Z`);
+    if (!tontine.startDate || plannedStart <= new Date()) {
+      tontine.startDate = toDateOnly(TontineService.getFirstContributionDate(tontine.contributionDay));
+      await TontineService.assignPayoutSchedule(tontine, participants);
+    }
+
+    const { payoutDate: lastPayoutDate } = TontineService.getRoundDates(tontine, tontine.durationMonths);
+
+    await TontineParticipant.update(
+      { status: 'active', lastStatusChange: new Date() },
+      { where: { tontineId: tontine.id, status: 'approved' } }
+    );
+
+    // Demandes restées en attente : closes sans impact sur le compteur
+    await TontineParticipant.update(
+      {
+        status: 'withdrawn',
+        statusReason: 'Tontine démarrée avant approbation',
+        lastStatusChange: new Date()
+      },
+      { where: { tontineId: tontine.id, status: 'pending' } }
+    );
+
+    return tontine.update({
+      status: 'active',
+      startDate: tontine.startDate,
+      endDate: toDateOnly(lastPayoutDate),
+      estimatedEndDate: toDateOnly(lastPayoutDate),
+      currentRound: 0,
+      nextPayoutUserId: participants[0].userId,
+      nextPayoutDate: TontineService.getRoundDates(tontine, 1).payoutDate
+    });
+  }
+
+  /**
+   * 🏁 Clôturer une tontine dont tous les tours sont versés
+   */
+  static async completeTontine(tontine) {
+    await tontine.reload();
+    TontineService.assertTransition(tontine, 'completed');
+
+    const awaitingPayout = await TontineParticipant.count({
+      where: { tontineId: tontine.id, status: 'active', hasReceivedPayout: false }
+    });
+
+    if (awaitingPayout > 0 && tontine.currentRound < tontine.durationMonths) {
+      throw tontineError(
+        400,
+        'PAYOUTS_PENDING',
+        `${awaitingPayout} participant(s) n'ont pas encore reçu leur versement`
+      );
+    }
+
+    await TontineParticipant.update(
+      { status: 'completed', lastStatusChange: new Date() },
+      { where: { tontineId: tontine.id, status: 'active' } }
+    );
+
+    return tontine.update({
+      status: 'completed',
+      nextPayoutUserId: null,
+      nextPayoutDate: null,
+      endDate: tontine.endDate || toDateOnly(new Date())
+    });
+  }
+
+  /**
+   * 🛑 Annuler une tontine non démarrée (ou en pause)
+   */
+  static async cancelTontine(tontine, userId, reason) {
+    await tontine.reload();
+    TontineService.assertTransition(tontine, 'cancelled');
+
+    await TontineParticipant.update(
+      {
+        status: 'withdrawn',
+        statusReason: `Tontine annulée: ${reason}`,
+        lastStatusChange: new Date()
+      },
+      {
+        where: {
+          tontineId: tontine.id,
+          status: { [Op.in]: ['pending', 'approved', 'active'] }
+        }
+      }
+    );
+
+    return tontine.update({
+      status: 'cancelled',
+      nextPayoutUserId: null,
+      nextPayoutDate: null,
+      incidentHistory: [
+        ...(tontine.incidentHistory || []),
+        { type: 'cancelled', reason, by: userId, date: new Date() }
+      ]
+    });
+  }
+}
+
+TontineService.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+TontineService.tontineError = tontineError;
+TontineService.toDateOnly = toDateOnly;
+
+module.exports = TontineService;
@@ -102,21 +102,72 @@ async function startServer() {
         }
 
         // ➕ AJOUT : nouveaux modèles avant Document
+        if (models.ExchangeRate) {
+          await models.ExchangeRate.sync({ alter: true });
+          console.log('   ✅ ExchangeRate synchronisé');
+        }
+
+        if (models.Fund) {
+          await models.Fund.sync({ alter: true });
+          console.log('   ✅ Fund synchronisé');
+        }
+
+        if (models.Budget) {
+          await models.Budget.sync({ alter: true });
+          console.log('   ✅ Budget synchronisé');
+        }
+
+        if (models.BudgetLine) {
+          await models.BudgetLine.sync({ alter: true });
+          console.log('   ✅ BudgetLine synchronisé');
+        }
+
         if (models.ExpenseRequest) {
           await models.ExpenseRequest.sync({ alter: true });
           console.log('   ✅ ExpenseRequest synchronisé');
         }
 
+        // Événements avant les entrées d'argent (recettes de billetterie rattachées à l'événement)
+        if (models.Event) {
+          await models.Event.sync({ alter: true });
+          console.log('   ✅ Event synchronisé');
+        }
+
         if (models.IncomeEntry) {
           await models.IncomeEntry.sync({ alter: true });
           console.log('   ✅ IncomeEntry synchronisé');
         }
 
+        if (models.EventTicket) {
+          await models.EventTicket.sync({ alter: true });
+          console.log('   ✅ EventTicket synchronisé');
+        }
+
         if (models.LoanRepayment) {
           await models.LoanRepayment.sync({ alter: true });
           console.log('   ✅ LoanRepayment synchronisé');
         }
 
+        if (models.LateFee) {
+          await models.LateFee.sync({ alter: true });
+          console.log('   ✅ LateFee synchronisé');
+        }
+
+        if (models.LedgerAccount) {
+          await models.LedgerAccount.sync({ alter: true });
+          console.log('   ✅ LedgerAccount synchronisé');
+        }
+
+        if (models.LedgerEntry) {
+          await models.LedgerEntry.sync({ alter: true });
+          console.log('   ✅ LedgerEntry synchronisé');
+        }
+
+        if (models.LedgerLine) {
+          await models.LedgerLine.sync({ alter: true });
+          console.log('   ✅ LedgerLine synchronisé');
+        }
+
         if (models.Document) {
           await models.Document.sync({ alter: true });
           console.log('   ✅ Document synchronisé');
@@ -127,10 +178,30 @@ async function startServer() {
           console.log('   ✅ Rating synchronisé');
         }
 
+        if (models.Referral) {
+          await models.Referral.sync({ alter: true });
+          console.log('   ✅ Referral synchronisé');
+        }
+
+        if (models.Notification) {
+          await models.Notification.sync({ alter: true });
+          console.log('   ✅ Notification synchronisé');
+        }
+
         // 5. Tables support
-        if (models.Event) {
-          await models.Event.sync({ alter: true });
-          console.log('   ✅ Event synchronisé');
+        if (models.Ballot) {
+          await models.Ballot.sync({ alter: true });
+          console.log('   ✅ Ballot synchronisé');
+        }
+
+        if (models.VotingProxy) {
+          await models.VotingProxy.sync({ alter: true });
+          console.log('   ✅ VotingProxy synchronisé');
+        }
+
+        if (models.BallotVote) {
+          await models.BallotVote.sync({ alter: true });
+          console.log('   ✅ BallotVote synchronisé');
         }
 
         console.log('\n✅ Synchronisation terminée avec succès !');
@@ -182,6 +253,13 @@ async function startServer() {
       console.log('✅ Prêt à recevoir les requêtes !\n');
     });
 
+    // ⏱️ Tâches planifiées (désactivables via CRON_JOBS_ENABLED=false)
+    if (process.env.CRON_JOBS_ENABLED !== 'false') {
+      require('./modules/tontines/jobs/roundJob').startRoundJob();
+      require('./modules/associations/jobs/cotisationJob').startCotisationJob();
+      require('./core/jobs/notificationJob').startNotificationJob();
+    }
+
     // Gestion graceful shutdown
     process.on('SIGTERM', () => {
       console.log('\n🛑 Signal SIGTERM reçu, arrêt graceful...');
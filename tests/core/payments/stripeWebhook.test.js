@@ -0,0 +1,301 @@
+// tests/core/payments/stripeWebhook.test.js
+// Webhook Stripe : signature, transitions de paiement et idempotence (fixtures signées comme Stripe)
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const Stripe = require('stripe');
+
+const WEBHOOK_SECRET = 'whsec_test_fixtures';
+const FIXTURES_DIR = path.join(__dirname, '../../../src/core/payments/fixtures/stripe');
+
+// 🗄️ Modèles en mémoire (pas de base de données)
+jest.mock('../../../src/models', () => {
+  const { Op } = require('sequelize');
+
+  const matches = (row, where = {}) => {
+    if (where[Op.or]) return where[Op.or].some((clause) => matches(row, clause));
+    return Object.entries(where).every(([key, value]) => row[key] === value);
+  };
+
+  class Row {
+    constructor(values) {
+      Object.assign(this, values);
+    }
+
+    async reload() {
+      return this;
+    }
+
+    async update(values) {
+      Object.assign(this, values);
+      return this;
+    }
+  }
+
+  const table = () => ({
+    rows: [],
+    async findOne({ where } = {}) {
+      return this.rows.find((row) => matches(row, where)) || null;
+    },
+    async findByPk(id) {
+      return this.rows.find((row) => row.id === id) || null;
+    },
+    seed(values) {
+      const row = new Row(values);
+      this.rows.push(row);
+      return row;
+    }
+  });
+
+  return {
+    sequelize: { transaction: (callback) => callback({ LOCK: { UPDATE: 'UPDATE' } }) },
+    Transaction: table(),
+    AssociationMember: table(),
+    TontineParticipant: table(),
+    Tontine: table()
+  };
+});
+
+jest.mock('../../../src/modules/associations/services/ledgerService', () => {
+  const { postOrDefer } = jest.requireActual('../../../src/modules/associations/services/ledgerService');
+
+  return {
+    postOrDefer,
+    clearLedgerPending: jest.fn(async (record) => record),
+    postCotisation: jest.fn(async () => ({ created: true })),
+    postCotisationRefund: jest.fn(async () => ({ created: true }))
+  };
+});
+
+jest.mock('../../../src/modules/tontines/services/roundService', () => ({
+  recordContribution: jest.fn()
+}));
+
+const { Transaction, AssociationMember } = require('../../../src/models');
+const LedgerService = require('../../../src/modules/associations/services/ledgerService');
+const webhookRoutes = require('../../../src/core/payments/routes/webhookRoutes');
+
+const app = express();
+app.use('/api/v1/webhooks', webhookRoutes);
+
+// 📦 Événement enregistré, signé avec le secret de test
+function signedFixture(name, { secret = WEBHOOK_SECRET, mutate } = {}) {
+  const event = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+  if (mutate) mutate(event);
+
+  const payload = JSON.stringify(event);
+  const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret });
+  return { payload, signature };
+}
+
+function sendWebhook({ payload, signature }) {
+  return request(app)
+    .post('/api/v1/webhooks/stripe')
+    .set('Content-Type', 'application/json')
+    .set('Stripe-Signature', signature)
+    .send(payload);
+}
+
+describe('POST /api/v1/webhooks/stripe', () => {
+  let transaction;
+  let member;
+
+  beforeAll(() => {
+    process.env.STRIPE_WEBHOOK_SECRET = WEBHOOK_SECRET;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    delete process.env.STRIPE_WEBHOOK_SECRET;
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Transaction.rows.length = 0;
+    AssociationMember.rows.length = 0;
+
+    // Cotisation de janvier 2025 (membre 1) en attente de confirmation Stripe
+    member = AssociationMember.seed({
+      id: 1,
+      status: 'active',
+      totalContributed: '0.00',
+      contributionStatus: 'late',
+      createdAt: new Date()
+    });
+    transaction = Transaction.seed({
+      id: 1,
+      associationId: 1,
+      memberId: 1,
+      type: 'cotisation',
+      amount: '25.00',
+      currency: 'EUR',
+      status: 'processing',
+      month: 1,
+      year: 2025,
+      externalTransactionId: 'pi_3PfixtureCotisation01',
+      metadata: {}
+    });
+  });
+
+  describe('🔐 Signature', () => {
+    it('rejette un événement signé avec un autre secret', async () => {
+      const response = await sendWebhook(signedFixture('payment_intent.succeeded', { secret: 'whsec_wrong' }));
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('INVALID_SIGNATURE');
+      expect(transaction.status).toBe('processing');
+      expect(LedgerService.postCotisation).not.toHaveBeenCalled();
+    });
+
+    it('rejette un corps modifié après signature', async () => {
+      const { signature } = signedFixture('payment_intent.succeeded');
+      const { payload } = signedFixture('payment_intent.succeeded', {
+        mutate: (event) => { event.data.object.amount_received = 1; }
+      });
+
+      const response = await sendWebhook({ payload, signature });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('INVALID_SIGNATURE');
+      expect(transaction.status).toBe('processing');
+    });
+
+    it('rejette une requête sans en-tête Stripe-Signature', async () => {
+      const { payload } = signedFixture('payment_intent.succeeded');
+
+      const response = await request(app)
+        .post('/api/v1/webhooks/stripe')
+        .set('Content-Type', 'application/json')
+        .send(payload);
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('MISSING_SIGNATURE');
+    });
+  });
+
+  describe('💳 Transitions', () => {
+    it('payment_intent.succeeded : cotisation terminée, membre crédité et écriture passée', async () => {
+      const response = await sendWebhook(signedFixture('payment_intent.succeeded'));
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ received: true, handled: true, changed: true, transactionId: 1, status: 'completed' });
+      expect(transaction.status).toBe('completed');
+      expect(transaction.completedAt).toBeInstanceOf(Date);
+      expect(member.totalContributed).toBe(25);
+      expect(member.contributionStatus).toBe('uptodate');
+      expect(LedgerService.postCotisation).toHaveBeenCalledTimes(1);
+      expect(transaction.metadata.stripeEvents).toEqual([
+        expect.objectContaining({ id: 'evt_3PfixtureSucceeded0001', type: 'payment_intent.succeeded' })
+      ]);
+    });
+
+    it('payment_intent.succeeded sans taux de change : cotisation terminée, écriture reportée', async () => {
+      const missingRate = Object.assign(new Error('Taux de change USD → EUR manquant'), {
+        status: 422,
+        code: 'EXCHANGE_RATE_MISSING',
+        details: { from: 'USD', to: 'EUR' }
+      });
+      LedgerService.postCotisation.mockRejectedValueOnce(missingRate);
+
+      const response = await sendWebhook(signedFixture('payment_intent.succeeded'));
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ handled: true, changed: true, status: 'completed' });
+      expect(transaction.status).toBe('completed');
+      expect(member.totalContributed).toBe(25);
+      expect(transaction.metadata.ledgerPending).toMatchObject({
+        reason: 'EXCHANGE_RATE_MISSING',
+        details: { from: 'USD', to: 'EUR' }
+      });
+    });
+
+    it('payment_intent.payment_failed : cotisation refusée avec le motif Stripe', async () => {
+      const response = await sendWebhook(signedFixture('payment_intent.payment_failed'));
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ handled: true, changed: true, status: 'failed' });
+      expect(transaction.status).toBe('failed');
+      expect(transaction.failureReason).toBe('Your card has insufficient funds.');
+      expect(member.totalContributed).toBe('0.00');
+      expect(LedgerService.postCotisation).not.toHaveBeenCalled();
+    });
+
+    it('payment_intent.payment_failed après le succès : ignoré', async () => {
+      await sendWebhook(signedFixture('payment_intent.succeeded'));
+      const response = await sendWebhook(signedFixture('payment_intent.payment_failed'));
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ handled: true, changed: false, status: 'completed' });
+      expect(transaction.status).toBe('completed');
+    });
+
+    it('charge.refunded : cotisation remboursée, membre débité et extourne passée', async () => {
+      await sendWebhook(signedFixture('payment_intent.succeeded'));
+      const response = await sendWebhook(signedFixture('charge.refunded'));
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ handled: true, changed: true, status: 'refunded' });
+      expect(transaction.status).toBe('refunded');
+      expect(transaction.metadata.refundedAmount).toBe(25);
+      expect(member.totalContributed).toBe(0);
+      expect(LedgerService.postCotisationRefund).toHaveBeenCalledTimes(1);
+    });
+
+    it('charge.refunded partiel : montant remboursé suivi, cotisation toujours terminée', async () => {
+      await sendWebhook(signedFixture('payment_intent.succeeded'));
+      const response = await sendWebhook(signedFixture('charge.refunded', {
+        mutate: (event) => { event.data.object.amount_refunded = 1000; }
+      }));
+
+      expect(response.body).toMatchObject({ changed: true, status: 'completed' });
+      expect(transaction.metadata.refundedAmount).toBe(10);
+      expect(member.totalContributed).toBe(15);
+    });
+  });
+
+  describe('🔁 Idempotence', () => {
+    it('un événement relivré ne modifie rien', async () => {
+      const fixture = signedFixture('payment_intent.succeeded');
+
+      await sendWebhook(fixture);
+      const snapshot = { ...transaction, metadata: { ...transaction.metadata } };
+      const response = await sendWebhook(fixture);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ handled: true, duplicate: true, status: 'completed' });
+      expect(member.totalContributed).toBe(25);
+      expect(LedgerService.postCotisation).toHaveBeenCalledTimes(1);
+      expect(transaction.completedAt).toBe(snapshot.completedAt);
+      expect(transaction.metadata.stripeEvents).toHaveLength(1);
+    });
+
+    it('un remboursement relivré ne débite pas deux fois', async () => {
+      await sendWebhook(signedFixture('payment_intent.succeeded'));
+      const refund = signedFixture('charge.refunded');
+
+      await sendWebhook(refund);
+      const response = await sendWebhook(refund);
+
+      expect(response.body).toMatchObject({ duplicate: true, status: 'refunded' });
+      expect(member.totalContributed).toBe(0);
+      expect(LedgerService.postCotisationRefund).toHaveBeenCalledTimes(1);
+    });
+
+    it('un événement sans transaction locale est accusé sans effet', async () => {
+      const response = await sendWebhook(signedFixture('payment_intent.succeeded', {
+        mutate: (event) => {
+          event.data.object.id = 'pi_unknown';
+          event.data.object.metadata = {};
+        }
+      }));
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ received: true, handled: false, reason: 'TRANSACTION_NOT_FOUND' });
+      expect(transaction.status).toBe('processing');
+    });
+  });
+});
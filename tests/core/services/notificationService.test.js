@@ -0,0 +1,359 @@
+// tests/core/services/notificationService.test.js
+// Notifications : routage selon préférences, heures de silence (cron), repli de langue et journal d'envoi
+
+jest.mock('node-cron', () => ({
+  schedule: jest.fn(() => ({ stop: jest.fn() }))
+}));
+
+// 🗄️ Modèles en mémoire (pas de base de données)
+jest.mock('../../../src/models', () => {
+  const { Op } = require('sequelize');
+
+  const matchValue = (actual, expected) => {
+    if (expected && typeof expected === 'object' && !(expected instanceof Date)) {
+      if (Op.lte in expected) return actual !== null && actual <= expected[Op.lte];
+      if (Op.lt in expected) return actual < expected[Op.lt];
+      if (Op.ne in expected) return actual !== expected[Op.ne];
+    }
+    return actual === expected;
+  };
+
+  const matches = (row, where = {}) => {
+    if (where[Op.or]) return where[Op.or].some((clause) => matches(row, clause));
+    return Object.entries(where).every(([key, value]) => matchValue(row[key], value));
+  };
+
+  class Row {
+    constructor(values) {
+      Object.assign(this, values);
+    }
+
+    async update(values) {
+      Object.assign(this, values);
+      return this;
+    }
+  }
+
+  const Notification = {
+    rows: [],
+    async create(values) {
+      const row = new Row({
+        id: Notification.rows.length + 1,
+        status: 'pending',
+        attempts: 0,
+        scheduledFor: null,
+        createdAt: new Date(),
+        ...values
+      });
+      Notification.rows.push(row);
+      return row;
+    },
+    async findAll({ where, limit }) {
+      return Notification.rows.filter((row) => matches(row, where)).slice(0, limit);
+    }
+  };
+
+  const User = {
+    rows: [],
+    async findByPk(id) {
+      return User.rows.find((row) => row.id === id) || null;
+    },
+    async findAll({ where }) {
+      return User.rows.filter((row) => where.id.includes(row.id));
+    }
+  };
+
+  return {
+    Notification,
+    User,
+    AssociationMember: { findOne: jest.fn(async () => null) },
+    Row
+  };
+});
+
+const cron = require('node-cron');
+const { Notification, User, AssociationMember, Row } = require('../../../src/models');
+const NotificationService = require('../../../src/core/services/notificationService');
+const { createMemoryTransport } = require('../../../src/core/services/notificationTransports');
+const { startNotificationJob } = require('../../../src/core/jobs/notificationJob');
+
+const EXPENSE_DATA = { title: 'Rapatriement', amount: '500.00', currency: 'EUR', associationName: 'Entraide Dakar' };
+
+function seedUser(values = {}) {
+  const user = new Row({
+    id: User.rows.length + 1,
+    language: 'fr',
+    timezone: 'UTC',
+    phoneNumber: '+33600000001',
+    email: 'awa@example.com',
+    fcmTokens: ['token-android'],
+    notificationSettings: {},
+    ...values
+  });
+  User.rows.push(user);
+  return user;
+}
+
+const channelsOf = (notifications) => notifications.map((n) => n.channel);
+
+describe('NotificationService', () => {
+  let push;
+  let sms;
+  let email;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    NotificationService.resetTransports();
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    Notification.rows.length = 0;
+    User.rows.length = 0;
+    AssociationMember.findOne.mockClear();
+
+    push = createMemoryTransport();
+    sms = createMemoryTransport();
+    email = createMemoryTransport();
+    NotificationService.registerTransport('push', push);
+    NotificationService.registerTransport('sms', sms);
+    NotificationService.registerTransport('email', email);
+  });
+
+  describe('🧭 Routage selon les préférences', () => {
+    it('envoie sur tous les canaux du modèle par défaut', async () => {
+      const user = seedUser();
+
+      const notifications = await NotificationService.notify('expense_approved', user, { data: EXPENSE_DATA });
+
+      expect(channelsOf(notifications)).toEqual(['in_app', 'push', 'sms']);
+      expect(push.sent).toHaveLength(1);
+      expect(push.sent[0].to).toEqual(['token-android']);
+      expect(sms.sent).toHaveLength(1);
+      expect(sms.sent[0].to).toBe('+33600000001');
+    });
+
+    it('respecte les canaux coupés par l\'utilisateur', async () => {
+      const user = seedUser({ notificationSettings: { smsEnabled: false } });
+
+      const notifications = await NotificationService.notify('expense_approved', user, { data: EXPENSE_DATA });
+
+      expect(channelsOf(notifications)).toEqual(['in_app', 'push']);
+      expect(sms.sent).toHaveLength(0);
+    });
+
+    it('ne garde que l\'in-app quand la catégorie est coupée', async () => {
+      const user = seedUser({ notificationSettings: { aidApprovals: false } });
+
+      const notifications = await NotificationService.notify('expense_approved', user, { data: EXPENSE_DATA });
+
+      expect(channelsOf(notifications)).toEqual(['in_app']);
+      expect(push.sent).toHaveLength(0);
+      expect(sms.sent).toHaveLength(0);
+    });
+
+    it('applique les préférences d\'adhésion de l\'association', async () => {
+      const user = seedUser();
+      AssociationMember.findOne.mockResolvedValueOnce({ id: 9, notificationPreferences: { push: false } });
+
+      const notifications = await NotificationService.notify('expense_approved', user, { associationId: 3, data: EXPENSE_DATA });
+
+      expect(AssociationMember.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        where: { userId: user.id, associationId: 3 }
+      }));
+      expect(channelsOf(notifications)).toEqual(['in_app', 'sms']);
+    });
+
+    it('ignore les types coupés pour une adhésion', async () => {
+      const user = seedUser();
+      const member = { id: 9, notificationPreferences: { mutedTypes: ['expense_approved'] } };
+
+      const notifications = await NotificationService.notify('expense_approved', user, { member, data: EXPENSE_DATA });
+
+      expect(channelsOf(notifications)).toEqual(['in_app']);
+    });
+
+    it('écarte les canaux sans coordonnées (téléphone, appareil, email)', async () => {
+      const user = seedUser({ phoneNumber: null, fcmTokens: [], notificationSettings: { emailEnabled: true } });
+
+      const notifications = await NotificationService.notify('expense_submitted', user, { data: EXPENSE_DATA });
+
+      expect(channelsOf(notifications)).toEqual(['in_app', 'email']);
+      expect(email.sent[0].to).toBe('awa@example.com');
+    });
+  });
+
+  describe('🌙 Heures de silence', () => {
+    const QUIET = { quietHours: { start: '22:00', end: '07:00' } };
+
+    beforeEach(() => {
+      cron.schedule.mockClear();
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'queueMicrotask', 'setImmediate'] });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    // Tâche planifiée par notificationJob (déclenchée à la main)
+    function runJob() {
+      startNotificationJob();
+      const [, task] = cron.schedule.mock.calls[cron.schedule.mock.calls.length - 1];
+      return task();
+    }
+
+    it('diffère push et SMS jusqu\'à la fin du silence, l\'in-app part tout de suite', async () => {
+      jest.setSystemTime(new Date('2025-03-10T23:30:00Z'));
+      const user = seedUser({ notificationSettings: QUIET });
+
+      const notifications = await NotificationService.notify('expense_approved', user, { data: EXPENSE_DATA });
+
+      expect(notifications.map((n) => [n.channel, n.status])).toEqual([
+        ['in_app', 'sent'],
+        ['push', 'deferred'],
+        ['sms', 'deferred']
+      ]);
+      expect(notifications[1].scheduledFor).toEqual(new Date('2025-03-11T07:00:00Z'));
+      expect(push.sent).toHaveLength(0);
+      expect(sms.sent).toHaveLength(0);
+    });
+
+    it('le cron envoie les notifications différées une fois le silence terminé', async () => {
+      jest.setSystemTime(new Date('2025-03-10T23:30:00Z'));
+      const user = seedUser({ notificationSettings: QUIET });
+      await NotificationService.notify('expense_approved', user, { data: EXPENSE_DATA });
+
+      jest.setSystemTime(new Date('2025-03-11T06:55:00Z'));
+      await runJob();
+      expect(push.sent).toHaveLength(0);
+      expect(sms.sent).toHaveLength(0);
+
+      jest.setSystemTime(new Date('2025-03-11T07:05:00Z'));
+      await runJob();
+      expect(push.sent).toHaveLength(1);
+      expect(sms.sent).toHaveLength(1);
+      expect(Notification.rows.map((n) => n.status)).toEqual(['sent', 'sent', 'sent']);
+
+      // Déjà envoyées : pas de second envoi
+      await runJob();
+      expect(push.sent).toHaveLength(1);
+    });
+
+    it('suit le fuseau horaire du destinataire', async () => {
+      // 23:30 UTC = 00:30 à Paris, 18:30 à New York (hors silence)
+      jest.setSystemTime(new Date('2025-03-10T23:30:00Z'));
+      const user = seedUser({ timezone: 'America/New_York', notificationSettings: QUIET });
+
+      const notifications = await NotificationService.notify('expense_approved', user, { data: EXPENSE_DATA });
+
+      expect(notifications.every((n) => n.status === 'sent')).toBe(true);
+    });
+
+    it('les notifications prioritaires passent malgré le silence', async () => {
+      jest.setSystemTime(new Date('2025-03-10T23:30:00Z'));
+      const user = seedUser({ notificationSettings: QUIET });
+
+      const notifications = await NotificationService.notify('tontine_payout', user, {
+        data: { amount: '600.00', currency: 'EUR', tontineTitle: 'Tontine famille', round: 2 }
+      });
+
+      expect(notifications.every((n) => n.status === 'sent')).toBe(true);
+      expect(push.sent).toHaveLength(1);
+    });
+  });
+
+  describe('🌍 Modèles localisés', () => {
+    it('rédige dans la langue du destinataire', async () => {
+      const user = seedUser({ language: 'en' });
+
+      const [inApp] = await NotificationService.notify('expense_approved', user, { data: EXPENSE_DATA });
+
+      expect(inApp.locale).toBe('en');
+      expect(inApp.title).toBe('Request approved');
+      expect(inApp.body).toBe('Your request "Rapatriement" for 500.00 EUR was approved by Entraide Dakar.');
+    });
+
+    it('se replie sur le français pour une langue sans traduction', async () => {
+      const user = seedUser({ language: 'de' });
+
+      const [inApp] = await NotificationService.notify('expense_approved', user, { data: EXPENSE_DATA });
+
+      expect(inApp.locale).toBe('fr');
+      expect(inApp.title).toBe('Demande approuvée');
+      expect(sms.sent[0].body).toBe('Votre demande « Rapatriement » de 500.00 EUR a été approuvée par Entraide Dakar.');
+    });
+
+    it('laisse vide une variable non fournie', async () => {
+      const user = seedUser();
+
+      const [inApp] = await NotificationService.notify('expense_approved', user, {
+        data: { title: 'Rapatriement', amount: '500.00', currency: 'EUR' }
+      });
+
+      expect(inApp.body).toBe('Votre demande « Rapatriement » de 500.00 EUR a été approuvée par .');
+    });
+
+    it('refuse un type de notification inconnu', async () => {
+      await expect(NotificationService.notify('unknown_type', seedUser())).rejects.toThrow('Modèle de notification inconnu');
+    });
+  });
+
+  describe('📜 Journal d\'envoi', () => {
+    it('trace chaque canal avec destinataire, statut et identifiant fournisseur', async () => {
+      const user = seedUser();
+
+      await NotificationService.notify('expense_approved', user, { associationId: 3, member: null, data: EXPENSE_DATA });
+
+      expect(Notification.rows).toEqual([
+        expect.objectContaining({ channel: 'in_app', status: 'sent', recipient: null, associationId: 3, type: 'expense_approved' }),
+        expect.objectContaining({ channel: 'push', status: 'sent', recipient: '1 appareil(s)', attempts: 1, providerMessageId: 'memory_1' }),
+        expect.objectContaining({ channel: 'sms', status: 'sent', recipient: '+33600000001', attempts: 1, providerMessageId: 'memory_1', error: null })
+      ]);
+      expect(Notification.rows[2].sentAt).toBeInstanceOf(Date);
+    });
+
+    it('trace l\'échec du transport puis la relance réussie', async () => {
+      const user = seedUser();
+      NotificationService.registerTransport('sms', createMemoryTransport({ fail: true }));
+
+      await NotificationService.notify('expense_approved', user, { data: EXPENSE_DATA });
+      const smsLog = Notification.rows.find((n) => n.channel === 'sms');
+
+      expect(smsLog).toMatchObject({ status: 'failed', attempts: 1, error: 'Échec simulé du transport' });
+
+      NotificationService.registerTransport('sms', sms);
+      const report = await NotificationService.processPending();
+
+      expect(report).toEqual({ processed: 1, sent: 1, failed: 0 });
+      expect(smsLog).toMatchObject({ status: 'sent', attempts: 2, error: null, providerMessageId: 'memory_1' });
+    });
+
+    it('abandonne après trois tentatives', async () => {
+      const user = seedUser();
+      NotificationService.registerTransport('sms', createMemoryTransport({ fail: true }));
+
+      await NotificationService.notify('expense_approved', user, { data: EXPENSE_DATA });
+      await NotificationService.processPending();
+      await NotificationService.processPending();
+      const report = await NotificationService.processPending();
+
+      expect(report.processed).toBe(0);
+      expect(Notification.rows.find((n) => n.channel === 'sms')).toMatchObject({ status: 'failed', attempts: 3 });
+    });
+
+    it('journalise l\'envoi à un contact sans compte', async () => {
+      const notifications = await NotificationService.notifyContact('income_thanks', {
+        email: 'donateur@example.com',
+        language: 'en'
+      }, { associationId: 3, data: { associationName: 'Entraide Dakar', message: 'Merci !' } });
+
+      expect(channelsOf(notifications)).toEqual(['email']);
+      expect(notifications[0]).toMatchObject({ userId: null, recipient: 'donateur@example.com', locale: 'en', status: 'sent' });
+      expect(email.sent[0]).toMatchObject({ to: 'donateur@example.com', title: 'Thank you from Entraide Dakar', body: 'Merci !' });
+    });
+  });
+});
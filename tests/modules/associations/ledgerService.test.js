@@ -0,0 +1,206 @@
+// tests/modules/associations/ledgerService.test.js
+// Grand livre : écritures équilibrées et idempotentes, conversion des lignes, position financière
+
+// 🗄️ Modèles en mémoire (pas de base de données)
+jest.mock('../../../src/models', () => {
+  const matches = (row, where = {}) => Object.entries(where).every(([key, value]) => row[key] === value);
+
+  const table = () => ({
+    rows: [],
+    async findOne({ where } = {}) {
+      return this.rows.find((row) => matches(row, where)) || null;
+    },
+    async findAll({ where } = {}) {
+      return this.rows.filter((row) => matches(row, where));
+    },
+    async create(values) {
+      const row = { id: this.rows.length + 1, ...values };
+      this.rows.push(row);
+      return row;
+    },
+    async bulkCreate(list) {
+      return Promise.all(list.map((values) => this.create(values)));
+    }
+  });
+
+  return {
+    sequelize: { transaction: (callback) => callback({ LOCK: { UPDATE: 'UPDATE' } }) },
+    LedgerAccount: table(),
+    LedgerEntry: table(),
+    LedgerLine: table()
+  };
+});
+
+jest.mock('../../../src/modules/associations/services/currencyService', () => ({
+  normalize: (currency) => String(currency).toUpperCase(),
+  getPrimaryCurrency: jest.fn(async () => 'EUR'),
+  getRate: jest.fn(async () => ({ rate: 1 }))
+}));
+
+const { LedgerAccount, LedgerEntry, LedgerLine } = require('../../../src/models');
+const CurrencyService = require('../../../src/modules/associations/services/currencyService');
+const LedgerService = require('../../../src/modules/associations/services/ledgerService');
+
+const total = (lines, side) => Math.round(lines.reduce((sum, line) => sum + line[side], 0) * 100) / 100;
+
+describe('LedgerService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    LedgerAccount.rows.length = 0;
+    LedgerEntry.rows.length = 0;
+    LedgerLine.rows.length = 0;
+  });
+
+  describe('✍️ postEntry', () => {
+    const cotisation = (overrides = {}) => ({
+      sourceType: 'cotisation',
+      sourceKey: 'cotisation:1',
+      description: 'Cotisation janvier 2025',
+      currency: 'EUR',
+      lines: [
+        { account: 'bank', debit: 24.5 },
+        { account: 'expense_payment_fees', debit: 0.5 },
+        { account: 'income_cotisations', credit: 25 }
+      ],
+      ...overrides
+    });
+
+    it('passe une écriture équilibrée et crée le plan comptable', async () => {
+      const { entry, created } = await LedgerService.postEntry(1, cotisation());
+
+      expect(created).toBe(true);
+      expect(entry).toMatchObject({ associationId: 1, sourceKey: 'cotisation:1', currency: 'EUR', exchangeRate: 1 });
+      expect(LedgerAccount.rows.map((a) => a.code)).toEqual(expect.arrayContaining(['bank', 'income_cotisations']));
+      expect(LedgerLine.rows).toHaveLength(3);
+      expect(total(LedgerLine.rows, 'debit')).toBe(25);
+      expect(total(LedgerLine.rows, 'credit')).toBe(25);
+    });
+
+    it('rejette une écriture déséquilibrée sans rien enregistrer', async () => {
+      const unbalanced = cotisation({
+        lines: [
+          { account: 'bank', debit: 25 },
+          { account: 'income_cotisations', credit: 24.99 }
+        ]
+      });
+
+      await expect(LedgerService.postEntry(1, unbalanced)).rejects.toMatchObject({ status: 400, code: 'UNBALANCED_ENTRY' });
+      expect(LedgerEntry.rows).toHaveLength(0);
+      expect(LedgerLine.rows).toHaveLength(0);
+    });
+
+    it('ignore les lignes nulles et une écriture sans montant', async () => {
+      const result = await LedgerService.postEntry(1, cotisation({
+        lines: [{ account: 'bank', debit: 0 }, { account: 'income_cotisations', credit: 0 }]
+      }));
+
+      expect(result).toEqual({ entry: null, created: false });
+      expect(LedgerEntry.rows).toHaveLength(0);
+    });
+
+    it('est idempotente par sourceKey', async () => {
+      const first = await LedgerService.postEntry(1, cotisation());
+      const second = await LedgerService.postEntry(1, cotisation());
+
+      expect(second).toEqual({ entry: first.entry, created: false });
+      expect(LedgerEntry.rows).toHaveLength(1);
+      expect(LedgerLine.rows).toHaveLength(3);
+    });
+
+    it('convertit en devise principale au taux applicable', async () => {
+      CurrencyService.getRate.mockResolvedValueOnce({ rate: 0.0015 });
+
+      const { entry } = await LedgerService.postEntry(1, cotisation({
+        sourceKey: 'cotisation:2',
+        currency: 'xof',
+        lines: [{ account: 'cash', debit: 10000 }, { account: 'income_cotisations', credit: 10000 }]
+      }));
+
+      expect(CurrencyService.getRate).toHaveBeenCalledWith(1, 'XOF', 'EUR', expect.any(Date), expect.anything());
+      expect(entry).toMatchObject({ currency: 'XOF', exchangeRate: 0.0015 });
+      expect(LedgerLine.rows.map((l) => [l.debit, l.credit, l.originalAmount])).toEqual([[15, 0, 10000], [0, 15, 10000]]);
+    });
+
+    it('reprend le taux figé sur l\'opération sans le rechercher', async () => {
+      await LedgerService.postEntry(1, cotisation({ currency: 'USD', exchangeRate: '0.9' }));
+
+      expect(CurrencyService.getRate).not.toHaveBeenCalled();
+      expect(total(LedgerLine.rows, 'debit')).toBe(22.5);
+    });
+  });
+
+  describe('💱 convertLines', () => {
+    it('reporte l\'écart d\'arrondi sur la plus grosse ligne du côté excédentaire', () => {
+      const converted = LedgerService.convertLines([
+        { account: 'bank', debit: 0.35, credit: 0 },
+        { account: 'expense_payment_fees', debit: 0.35, credit: 0 },
+        { account: 'income_cotisations', debit: 0, credit: 0.7 }
+      ], 1.1);
+
+      expect(total(converted, 'debit')).toBe(total(converted, 'credit'));
+      expect(converted.map((l) => [l.debit, l.credit])).toEqual([[0.38, 0], [0.39, 0], [0, 0.77]]);
+      expect(converted.map((l) => l.originalAmount)).toEqual([0.35, 0.35, 0.7]);
+    });
+
+    it('corrige un excédent au crédit', () => {
+      const converted = LedgerService.convertLines([
+        { account: 'bank', debit: 0.7, credit: 0 },
+        { account: 'income_cotisations', debit: 0, credit: 0.35 },
+        { account: 'income_other', debit: 0, credit: 0.35 }
+      ], 1.1);
+
+      expect(converted.map((l) => [l.debit, l.credit])).toEqual([[0.77, 0], [0, 0.38], [0, 0.39]]);
+    });
+
+    it('laisse les lignes inchangées au taux 1', () => {
+      const converted = LedgerService.convertLines([
+        { account: 'bank', debit: 12.34, credit: 0 },
+        { account: 'income_other', debit: 0, credit: 12.34 }
+      ], 1);
+
+      expect(converted.map((l) => [l.debit, l.credit, l.originalAmount])).toEqual([[12.34, 0, 12.34], [0, 12.34, 12.34]]);
+    });
+  });
+
+  describe('📊 getPosition', () => {
+    it('agrège trésorerie, fonds dédiés, créances, produits et charges', async () => {
+      jest.spyOn(LedgerService, 'getBalances').mockResolvedValueOnce([
+        { code: 'cash', type: 'asset', isTreasury: true, balance: 120.5 },
+        { code: 'bank', type: 'asset', isTreasury: true, balance: 1000 },
+        { code: 'mobile_money', type: 'asset', isTreasury: true, balance: 0.1 },
+        { code: 'member_receivables', type: 'asset', isTreasury: false, balance: 30 },
+        { code: 'loans_receivable', type: 'asset', isTreasury: false, balance: 250 },
+        { code: 'restricted_funds', type: 'liability', isTreasury: false, balance: 200.2 },
+        { code: 'income_cotisations', type: 'income', isTreasury: false, balance: 900 },
+        { code: 'income_other', type: 'income', isTreasury: false, balance: 300.3 },
+        { code: 'expense_operations', type: 'expense', isTreasury: false, balance: 80 },
+        { code: 'expense_payment_fees', type: 'expense', isTreasury: false, balance: 0.2 }
+      ]);
+
+      await expect(LedgerService.getPosition(1)).resolves.toEqual({
+        treasury: 1120.6,
+        restrictedFunds: 200.2,
+        outstandingLoans: 250,
+        memberReceivables: 30,
+        totalIncome: 1200.3,
+        totalExpenses: 80.2,
+        availableBalance: 920.4
+      });
+      expect(LedgerService.getBalances).toHaveBeenCalledWith(1);
+    });
+
+    it('renvoie des zéros sans écriture', async () => {
+      jest.spyOn(LedgerService, 'getBalances').mockResolvedValueOnce([]);
+
+      await expect(LedgerService.getPosition(1)).resolves.toEqual({
+        treasury: 0,
+        restrictedFunds: 0,
+        outstandingLoans: 0,
+        memberReceivables: 0,
+        totalIncome: 0,
+        totalExpenses: 0,
+        availableBalance: 0
+      });
+    });
+  });
+});